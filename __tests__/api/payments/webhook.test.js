@@ -89,11 +89,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_123'
       },
       body: JSON.stringify({
         event: 'payment.captured',
-        event_id: 'evt_123',
         payload: {
           payment: {
             id: 'pay_123',
@@ -118,11 +118,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_456'
       },
       body: JSON.stringify({
         event: 'payment.failed',
-        event_id: 'evt_456',
         payload: {
           payment: {
             id: 'pay_456',
@@ -149,11 +149,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_789'
       },
       body: JSON.stringify({
         event: 'refund.created',
-        event_id: 'evt_789',
         payload: {
           payment: {
             id: 'pay_789',
@@ -180,11 +180,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_101'
       },
       body: JSON.stringify({
         event: 'refund.processed',
-        event_id: 'evt_101',
         payload: {
           payment: {
             id: 'pay_101',
@@ -211,11 +211,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_999'
       },
       body: JSON.stringify({
         event: 'unknown.event',
-        event_id: 'evt_999',
         payload: {}
       })
     });
@@ -230,11 +230,11 @@ describe('Webhook API Handler', () => {
     const { req, res } = createMocks({
       method: 'POST',
       headers: {
-        'x-razorpay-signature': 'valid-signature'
+        'x-razorpay-signature': 'valid-signature',
+        'x-razorpay-event-id': 'evt_123'
       },
       body: JSON.stringify({
         event: 'payment.captured',
-        event_id: 'evt_123',
         payload: {
           payment: {
             id: 'pay_123',
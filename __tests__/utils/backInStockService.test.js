@@ -0,0 +1,143 @@
+import { getDoc, getDocs, setDoc, addDoc, updateDoc } from 'firebase/firestore';
+import { subscribeToBackInStock, notifyBackInStock, getBackInStockDemand } from '../../utils/backInStockService';
+import { sendBackInStockEmail } from '../../utils/emailService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  addDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('../../utils/emailService', () => ({
+  sendBackInStockEmail: jest.fn()
+}));
+
+const products = {
+  'jeans-1': { name: 'Slim Jeans', slug: 'slim-jeans', stock: { 30: 0, 32: 4 } },
+  'jeans-2': {
+    name: 'Straight Jeans',
+    variants: [{ id: 'black-32-30', sku: 'SJ-BK-3230', wash: 'Black', size: '32', length: '30' }],
+    stock: { 'black-32-30': 0 }
+  }
+};
+
+const subscriptionDoc = (id, data) => ({ id, ref: { path: `stockSubscriptions/${id}` }, data: () => data });
+
+describe('backInStockService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getDoc.mockImplementation(async ({ path }) => {
+      const product = products[path.split('/').pop()];
+      return { exists: () => Boolean(product), data: () => product };
+    });
+  });
+
+  describe('subscribeToBackInStock', () => {
+    it('should subscribe a guest to a sold-out size once per email', async () => {
+      const subscription = await subscribeToBackInStock({ productId: 'jeans-1', size: '30', email: ' Asha@Example.com ' });
+
+      expect(subscription).toMatchObject({ id: 'jeans-1_30_asha@example.com', stockKey: '30', label: 'Size 30', userId: null });
+      expect(setDoc).toHaveBeenCalledWith(
+        { path: 'stockSubscriptions/jeans-1_30_asha@example.com' },
+        expect.objectContaining({ email: 'asha@example.com', status: 'active' })
+      );
+    });
+
+    it('should link signed-in customers and variants', async () => {
+      const subscription = await subscribeToBackInStock({ productId: 'jeans-2', size: '32', variantId: 'black-32-30', userId: 'user-1' });
+
+      expect(subscription).toMatchObject({ id: 'jeans-2_black-32-30_user-1', stockKey: 'black-32-30', userId: 'user-1', email: null });
+    });
+
+    it('should reject invalid emails, unknown sizes and sizes in stock', async () => {
+      await expect(subscribeToBackInStock({ productId: 'jeans-1', size: '30', email: 'asha' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'email' }
+      });
+      await expect(subscribeToBackInStock({ productId: 'jeans-1', size: '40', email: 'asha@example.com' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'size' }
+      });
+      await expect(subscribeToBackInStock({ productId: 'jeans-1', size: '32', email: 'asha@example.com' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { available: 4 }
+      });
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyBackInStock', () => {
+    it('should email subscribers, notify customers in-app and mark them notified', async () => {
+      getDocs.mockResolvedValue({
+        docs: [
+          subscriptionDoc('guest', { productId: 'jeans-1', stockKey: '32', email: 'asha@example.com', userId: null }),
+          subscriptionDoc('customer', { productId: 'jeans-1', stockKey: '32', email: 'ravi@example.com', userId: 'user-1' }),
+          subscriptionDoc('other-size', { productId: 'jeans-1', stockKey: '30', email: 'meera@example.com', userId: null })
+        ]
+      });
+
+      await expect(notifyBackInStock('jeans-1', ['32', '30'])).resolves.toEqual({ notified: 2, failed: 0 });
+
+      // Size 30 is still sold out, so its subscriber waits
+      expect(sendBackInStockEmail.mock.calls.map(([to]) => to)).toEqual(['asha@example.com', 'ravi@example.com']);
+      expect(sendBackInStockEmail).toHaveBeenCalledWith('asha@example.com', expect.objectContaining({
+        name: 'Slim Jeans',
+        label: 'Size 32',
+        slug: 'slim-jeans'
+      }));
+      expect(addDoc).toHaveBeenCalledTimes(1);
+      expect(addDoc).toHaveBeenCalledWith({ path: 'users/user-1/notifications' }, expect.objectContaining({
+        type: 'back_in_stock',
+        link: '/products/slim-jeans',
+        read: false
+      }));
+      expect(updateDoc.mock.calls.map(([ref, data]) => [ref.path, data.status])).toEqual([
+        ['stockSubscriptions/guest', 'notified'],
+        ['stockSubscriptions/customer', 'notified']
+      ]);
+    });
+
+    it('should leave a subscription active when its email fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getDocs.mockResolvedValue({
+        docs: [subscriptionDoc('guest', { productId: 'jeans-1', stockKey: '32', email: 'asha@example.com', userId: null })]
+      });
+      sendBackInStockEmail.mockRejectedValueOnce(new Error('Mail server down'));
+
+      await expect(notifyBackInStock('jeans-1', ['32'])).resolves.toEqual({ notified: 0, failed: 1 });
+      expect(updateDoc).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getBackInStockDemand', () => {
+    it('should count subscribers per sold-out size, most wanted first', async () => {
+      getDocs.mockResolvedValue({
+        docs: [
+          subscriptionDoc('a', { productId: 'jeans-1', stockKey: '30', label: 'Size 30', userId: null }),
+          subscriptionDoc('b', { productId: 'jeans-2', stockKey: 'black-32-30', label: 'Black / 32 / L30', userId: 'user-1' }),
+          subscriptionDoc('c', { productId: 'jeans-2', stockKey: 'black-32-30', label: 'Black / 32 / L30', userId: null })
+        ]
+      });
+
+      const demand = await getBackInStockDemand();
+
+      expect(demand.map(line => [line.name, line.stockKey, line.subscribers, line.customers, line.guests, line.quantity])).toEqual([
+        ['Straight Jeans', 'black-32-30', 2, 1, 1, 0],
+        ['Slim Jeans', '30', 1, 0, 1, 0]
+      ]);
+    });
+  });
+});
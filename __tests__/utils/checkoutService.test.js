@@ -0,0 +1,150 @@
+import { runTransaction } from 'firebase/firestore';
+import { priceOrder } from '../../utils/pricingService';
+import { assertServiceable } from '../../utils/serviceabilityService';
+import { placeOrder } from '../../utils/checkoutService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  // A collection reference on its own gets a new auto-ID document
+  doc: jest.fn((parent, ...path) => (path.length === 0
+    ? { id: 'order-1', path: `${parent.path}/order-1` }
+    : { id: path[path.length - 1], path: path.join('/') })),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn()
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ORDER_STATUSES: jest.requireActual('../../utils/orderService').ORDER_STATUSES
+}));
+
+jest.mock('../../utils/pricingService', () => ({
+  priceOrder: jest.fn(),
+  calculateTotals: jest.fn(),
+  assertClientTotal: jest.requireActual('../../utils/pricingService').assertClientTotal
+}));
+
+jest.mock('../../utils/couponService', () => ({
+  redeemCouponInTransaction: jest.fn()
+}));
+
+jest.mock('../../utils/serviceabilityService', () => ({
+  assertServiceable: jest.fn(),
+  getDeliveryEstimate: jest.fn().mockReturnValue({ zone: 'metro', minDays: 3, maxDays: 5 })
+}));
+
+jest.mock('../../utils/shippingRateService', () => ({
+  getOrderShippingOption: jest.fn().mockReturnValue({ service: 'standard', cost: 0 })
+}));
+
+const orderData = {
+  userId: 'user-1',
+  email: 'asha@example.com',
+  shippingAddress: { fullName: 'Asha Rao', email: 'asha@example.com', pincode: '400001', state: 'Maharashtra' },
+  items: [{ id: 'kurta-1', size: 'M', quantity: 1 }],
+  paymentMethod: 'online',
+  stockReservationId: 'reservation-1',
+  totalAmount: 1499
+};
+
+describe('checkoutService', () => {
+  let reservations;
+  let writes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    reservations = {
+      'stockReservations/reservation-1': {
+        userId: 'user-1',
+        orderId: null,
+        status: 'held',
+        items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }]
+      }
+    };
+    writes = {};
+    runTransaction.mockImplementation(async (db, callback) => callback({
+      get: async (ref) => ({ exists: () => !!reservations[ref.path], data: () => reservations[ref.path] }),
+      set: (ref, data) => { writes[ref.path] = data; },
+      update: (ref, data) => { writes[ref.path] = { ...writes[ref.path], ...data }; }
+    }));
+
+    assertServiceable.mockResolvedValue({ zone: 'metro' });
+    priceOrder.mockResolvedValue({
+      items: [{ id: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity: 1, price: 1499 }],
+      totals: { subtotal: 1499, discount: 0, shippingCost: 0, codFee: 0, tax: 0, gst: null, total: 1499 },
+      couponCode: null,
+      shippingOption: null
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('placeOrder', () => {
+    it('should write the pending order and tie the stock hold to it', async () => {
+      const result = await placeOrder(orderData);
+
+      expect(result).toMatchObject({ success: true, orderId: 'order-1', totalAmount: 1499 });
+      expect(writes['users/user-1/orders/order-1']).toMatchObject({
+        status: 'pending',
+        stockReservationId: 'reservation-1',
+        totalAmount: 1499
+      });
+      expect(writes['stockReservations/reservation-1']).toEqual({ orderId: 'order-1', updatedAt: 'server-timestamp' });
+    });
+
+    it('should give the order a number and a top-level copy guests can track', async () => {
+      const result = await placeOrder(orderData);
+
+      expect(result.orderNumber).toMatch(/^RNG-\d{8}-\d{4}$/);
+      expect(writes['orders/order-1']).toEqual(writes['users/user-1/orders/order-1']);
+      expect(writes['orders/order-1']).toMatchObject({ orderNumber: result.orderNumber, userEmail: 'asha@example.com' });
+    });
+
+    it.each([
+      ['holds fewer units than the order', { items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }], quantity: 5 }],
+      ['holds another size', { items: [{ productId: 'kurta-1', size: 'L', quantity: 1 }] }],
+      ['already backs another order', { orderId: 'order-0' }],
+      ['is no longer held', { status: 'expired' }],
+      ['belongs to someone else', { userId: 'user-2' }]
+    ])('should not use a reservation that %s', async (reason, { quantity = 1, ...overrides }) => {
+      Object.assign(reservations['stockReservations/reservation-1'], overrides);
+      priceOrder.mockResolvedValue({
+        items: [{ id: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity, price: 1499 }],
+        totals: { subtotal: 1499 * quantity, discount: 0, shippingCost: 0, codFee: 0, tax: 0, gst: null, total: 1499 * quantity },
+        couponCode: null,
+        shippingOption: null
+      });
+
+      await placeOrder({ ...orderData, totalAmount: 1499 * quantity });
+
+      // The order's own items are held when payment starts
+      expect(writes['users/user-1/orders/order-1'].stockReservationId).toBeNull();
+      expect(writes['stockReservations/reservation-1']).toBeUndefined();
+    });
+
+    it('should leave reservations alone when checkout held no stock', async () => {
+      await placeOrder({ ...orderData, stockReservationId: null });
+
+      expect(Object.keys(writes).some(path => path.startsWith('stockReservations/'))).toBe(false);
+    });
+
+    it('should reject a total the server does not agree with', async () => {
+      await expect(placeOrder({ ...orderData, totalAmount: 999 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(runTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
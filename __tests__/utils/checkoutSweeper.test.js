@@ -0,0 +1,175 @@
+import { getDoc, updateDoc } from 'firebase/firestore';
+import { updateOrderStatus } from '../../utils/orderService';
+import { getExpiredReservations, getReservation, releaseReservation } from '../../utils/stockReservationService';
+import { sendOrderStatusUpdateEmail } from '../../utils/emailService';
+import { getUserById } from '../../utils/userService';
+import { sweepAbandonedCheckouts, CANCELLATION_REASON } from '../../utils/checkoutSweeper';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ORDER_STATUSES: jest.requireActual('../../utils/orderService').ORDER_STATUSES,
+  updateOrderStatus: jest.fn()
+}));
+
+jest.mock('../../utils/stockReservationService', () => ({
+  RESERVATION_STATUSES: { HELD: 'held', CONVERTED: 'converted', RELEASED: 'released', EXPIRED: 'expired' },
+  getExpiredReservations: jest.fn(),
+  getReservation: jest.fn(),
+  releaseReservation: jest.fn()
+}));
+
+jest.mock('../../utils/emailService', () => ({
+  sendOrderStatusUpdateEmail: jest.fn()
+}));
+
+jest.mock('../../utils/userService', () => ({
+  getUserById: jest.fn()
+}));
+
+const now = new Date('2024-05-01T10:00:00.000Z');
+
+const expired = (id, overrides = {}) => ({
+  id,
+  userId: 'user-1',
+  orderId: null,
+  status: 'held',
+  expiresAt: '2024-05-01T09:30:00.000Z',
+  items: [{ productId: 'jeans-1', size: '32', quantity: 1 }],
+  ...overrides
+});
+
+describe('checkoutSweeper', () => {
+  let docs;
+  let reservations;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    docs = {};
+    reservations = {};
+
+    getDoc.mockImplementation(async (ref) => ({
+      exists: () => !!docs[ref.path],
+      data: () => docs[ref.path]
+    }));
+    updateDoc.mockImplementation(async (ref, data) => {
+      docs[ref.path] = { ...docs[ref.path], ...data };
+    });
+
+    getExpiredReservations.mockImplementation(async () => Object.values(reservations));
+    getReservation.mockImplementation(async (id) => reservations[id] || null);
+    releaseReservation.mockImplementation(async (id) => {
+      const released = reservations[id].status === 'held';
+      reservations[id].status = released ? 'expired' : reservations[id].status;
+      return { released, status: reservations[id].status };
+    });
+
+    updateOrderStatus.mockImplementation(async (orderId, status) => {
+      docs[`orders/${orderId}`].status = status;
+      reservations['res-1'].status = 'released';
+      return { id: orderId, status };
+    });
+
+    getUserById.mockResolvedValue({ id: 'user-1', email: 'asha@example.com' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should release holds of checkouts that never became orders', async () => {
+    reservations['res-1'] = expired('res-1');
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary).toEqual({ releasedReservations: 1, cancelledOrders: [], failed: [] });
+    expect(releaseReservation).toHaveBeenCalledWith('res-1', { status: 'expired', onlyIfExpired: true });
+  });
+
+  it('should cancel unpaid orders whose payment window lapsed', async () => {
+    reservations['res-1'] = expired('res-1', { orderId: 'order-1' });
+    docs['orders/order-1'] = { status: 'payment_processing', payment: { status: 'pending' } };
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary).toEqual({ releasedReservations: 1, cancelledOrders: ['order-1'], failed: [] });
+    expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'cancelled', {
+      cancellationReason: CANCELLATION_REASON,
+      cancelledAt: 'server-timestamp'
+    }, {
+      changedBy: 'system',
+      note: CANCELLATION_REASON
+    });
+  });
+
+  it('should cancel and notify for orders that only live under the user', async () => {
+    reservations['res-2'] = expired('res-2', { orderId: 'order-2' });
+    docs['users/user-1/orders/order-2'] = { status: 'Pending', orderNumber: 'RNG-1' };
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary.cancelledOrders).toEqual(['order-2']);
+    expect(docs['users/user-1/orders/order-2']).toMatchObject({
+      status: 'cancelled',
+      cancellationReason: CANCELLATION_REASON,
+      statusHistory: [expect.objectContaining({ status: 'Pending', changedBy: 'system' })]
+    });
+    expect(sendOrderStatusUpdateEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'order-2', status: 'cancelled' }),
+      { id: 'user-1', email: 'asha@example.com' },
+      'cancelled',
+      CANCELLATION_REASON
+    );
+    expect(reservations['res-2'].status).toBe('expired');
+  });
+
+  it('should leave orders with a payment in flight alone', async () => {
+    reservations['res-1'] = expired('res-1', { orderId: 'order-1' });
+    docs['orders/order-1'] = { status: 'payment_processing', payment: { status: 'authorized' } };
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary.cancelledOrders).toEqual([]);
+    expect(updateOrderStatus).not.toHaveBeenCalled();
+    expect(docs['orders/order-1'].status).toBe('payment_processing');
+  });
+
+  it('should skip holds renewed since they were found', async () => {
+    reservations['res-1'] = expired('res-1', { orderId: 'order-1', expiresAt: '2024-05-01T10:20:00.000Z' });
+    getExpiredReservations.mockResolvedValueOnce([expired('res-1', { orderId: 'order-1' })]);
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary).toEqual({ releasedReservations: 0, cancelledOrders: [], failed: [] });
+    expect(releaseReservation).not.toHaveBeenCalled();
+  });
+
+  it('should carry on sweeping when one reservation fails', async () => {
+    reservations['res-1'] = expired('res-1', { orderId: 'order-1' });
+    reservations['res-3'] = expired('res-3');
+    docs['orders/order-1'] = { status: 'pending' };
+    updateOrderStatus.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    const summary = await sweepAbandonedCheckouts({ now });
+
+    expect(summary).toEqual({
+      releasedReservations: 1,
+      cancelledOrders: [],
+      failed: [{ reservationId: 'res-1', error: 'Firestore unavailable' }]
+    });
+    expect(reservations['res-1'].status).toBe('held');
+  });
+});
@@ -0,0 +1,150 @@
+import { evaluateCoupon, redeemCouponInTransaction, normalizeCouponCode } from '../../utils/couponService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  getDocs: jest.fn(),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp'),
+  runTransaction: jest.fn()
+}));
+
+const items = [
+  { id: 'jeans-1', category: 'jeans', price: 1500, quantity: 1 },
+  { id: 'shirt-1', category: 'shirts', price: 500, quantity: 2 }
+];
+
+const now = new Date('2026-06-15T12:00:00Z');
+
+describe('couponService', () => {
+  describe('normalizeCouponCode', () => {
+    it('should upper-case and trim codes', () => {
+      expect(normalizeCouponCode('  welcome10 ')).toBe('WELCOME10');
+    });
+  });
+
+  describe('evaluateCoupon', () => {
+    it('should apply a percentage discount capped by maxDiscount', () => {
+      const coupon = { type: 'percentage', value: 20, maxDiscount: 300, active: true };
+
+      expect(evaluateCoupon(coupon, { items, now })).toEqual({ valid: true, discount: 300, message: null });
+    });
+
+    it('should apply a fixed discount', () => {
+      const coupon = { type: 'fixed', value: 250, active: true };
+
+      expect(evaluateCoupon(coupon, { items, now }).discount).toBe(250);
+    });
+
+    it('should enforce the minimum cart value', () => {
+      const coupon = { type: 'fixed', value: 250, minCartValue: 5000, active: true };
+
+      expect(evaluateCoupon(coupon, { items, now })).toMatchObject({ valid: false, discount: 0 });
+    });
+
+    it('should enforce the validity window', () => {
+      const expired = { type: 'fixed', value: 100, expiresAt: '2026-06-01T00:00:00Z', active: true };
+      const upcoming = { type: 'fixed', value: 100, startsAt: '2026-07-01T00:00:00Z', active: true };
+
+      expect(evaluateCoupon(expired, { items, now }).message).toBe('This promo code has expired');
+      expect(evaluateCoupon(upcoming, { items, now }).message).toBe('This promo code is not active yet');
+    });
+
+    it('should enforce global and per-user usage limits', () => {
+      const coupon = { type: 'fixed', value: 100, usageLimit: 10, usedCount: 10, active: true };
+      const perUser = { type: 'fixed', value: 100, perUserLimit: 1, active: true };
+
+      expect(evaluateCoupon(coupon, { items, now }).valid).toBe(false);
+      expect(evaluateCoupon(perUser, { items, now, userUsageCount: 1 }).valid).toBe(false);
+      expect(evaluateCoupon(perUser, { items, now, userUsageCount: 0 }).valid).toBe(true);
+    });
+
+    it('should only discount items in the allowed categories or products', () => {
+      const byCategory = { type: 'percentage', value: 10, applicableCategories: ['shirts'], active: true };
+      const byProduct = { type: 'percentage', value: 10, applicableProducts: ['jeans-1'], active: true };
+      const noMatch = { type: 'percentage', value: 10, applicableCategories: ['jackets'], active: true };
+
+      expect(evaluateCoupon(byCategory, { items, now }).discount).toBe(100);
+      expect(evaluateCoupon(byProduct, { items, now }).discount).toBe(150);
+      expect(evaluateCoupon(noMatch, { items, now }).valid).toBe(false);
+    });
+
+    it('should reject disabled coupons', () => {
+      expect(evaluateCoupon({ type: 'fixed', value: 100, active: false }, { items, now }).valid).toBe(false);
+    });
+  });
+
+  describe('redeemCouponInTransaction', () => {
+    const mockTransaction = (docs) => {
+      const writes = [];
+      return {
+        writes,
+        get: async (ref) => ({
+          exists: () => !!docs[ref.path],
+          data: () => docs[ref.path]
+        }),
+        update: (ref, data) => writes.push({ type: 'update', path: ref.path, data }),
+        set: (ref, data) => writes.push({ type: 'set', path: ref.path, data })
+      };
+    };
+
+    it('should increment usage counters and record the redemption', async () => {
+      const transaction = mockTransaction({
+        'coupons/SAVE100': { type: 'fixed', value: 100, usedCount: 4, usageLimit: 5, active: true },
+        'coupons/SAVE100/usage/user-1': { count: 0 }
+      });
+
+      const result = await redeemCouponInTransaction(transaction, 'save100', {
+        userId: 'user-1',
+        orderId: 'order-1',
+        items
+      });
+
+      expect(result).toEqual({ code: 'SAVE100', discount: 100 });
+      expect(transaction.writes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: 'coupons/SAVE100', data: expect.objectContaining({ usedCount: 5 }) }),
+        expect.objectContaining({ path: 'coupons/SAVE100/usage/user-1', data: expect.objectContaining({ count: 1 }) }),
+        expect.objectContaining({ path: 'couponRedemptions/SAVE100_order-1', data: expect.objectContaining({ discount: 100 }) })
+      ]));
+    });
+
+    it('should reject an exhausted coupon without writing', async () => {
+      const transaction = mockTransaction({
+        'coupons/SAVE100': { type: 'fixed', value: 100, usedCount: 5, usageLimit: 5, active: true }
+      });
+
+      await expect(redeemCouponInTransaction(transaction, 'SAVE100', {
+        userId: 'user-1',
+        orderId: 'order-1',
+        items
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(transaction.writes).toHaveLength(0);
+    });
+
+    it('should look up product categories for category-restricted coupons', async () => {
+      const transaction = mockTransaction({
+        'coupons/SHIRTS10': { type: 'percentage', value: 10, applicableCategories: ['shirts'], active: true },
+        'products/shirt-1': { category: 'shirts' },
+        'products/jeans-1': { category: 'jeans' }
+      });
+
+      const result = await redeemCouponInTransaction(transaction, 'SHIRTS10', {
+        userId: 'user-1',
+        orderId: 'order-1',
+        items: items.map(({ category, ...item }) => item)
+      });
+
+      expect(result.discount).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { runTransaction } from 'firebase/firestore';
+import { redeemCouponInTransaction } from '../../utils/couponService';
+import { calculateTotals } from '../../utils/pricingService';
+import { createCustomerOrder } from '../../utils/customerOrderService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  // A collection reference on its own gets a new auto-ID document
+  doc: jest.fn((parent, ...path) => (path.length === 0
+    ? { id: 'order-1', path: `${parent.path}/order-1` }
+    : { id: path[path.length - 1], path: path.join('/') })),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ORDER_STATUSES: jest.requireActual('../../utils/orderService').ORDER_STATUSES,
+  isValidStatusTransition: jest.fn()
+}));
+
+jest.mock('../../utils/couponService', () => ({
+  redeemCouponInTransaction: jest.fn()
+}));
+
+const shippingOption = { service: 'standard', shippingCost: 0, codFee: 0 };
+const items = [{ id: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity: 1, price: 1499, gstRate: 12 }];
+const totals = calculateTotals({ items, discount: 200, destinationState: 'Maharashtra', shipping: shippingOption });
+
+// As priced by priceOrder in /api/customer-orders/create with a ₹200 coupon
+const orderData = {
+  items,
+  couponCode: 'save200',
+  shipping: { address: { state: 'Maharashtra' }, service: 'standard' },
+  shippingOption,
+  totals
+};
+
+describe('customerOrderService', () => {
+  let writes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    writes = {};
+    runTransaction.mockImplementation(async (db, callback) => callback({
+      set: (ref, data) => { writes[ref.path] = data; }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createCustomerOrder', () => {
+    it('should write the totals for the discount the coupon was redeemed at', async () => {
+      redeemCouponInTransaction.mockResolvedValue({ code: 'SAVE200', discount: 200 });
+
+      const order = await createCustomerOrder(orderData, 'user-1');
+
+      expect(order).toMatchObject({ couponCode: 'SAVE200', totals });
+      expect(writes['users/user-1/orders/order-1'].totals).toEqual(totals);
+      expect(writes['orders/order-1'].totals).toEqual(totals);
+    });
+
+    it('should reject the order when the coupon is worth less than when it was priced', async () => {
+      redeemCouponInTransaction.mockResolvedValue({ code: 'SAVE200', discount: 100 });
+
+      await expect(createCustomerOrder(orderData, 'user-1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+      expect(writes).toEqual({});
+    });
+  });
+});
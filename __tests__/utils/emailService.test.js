@@ -0,0 +1,238 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { addDoc } from 'firebase/firestore';
+import { sendEmail, sendOrderConfirmationEmail, sendOrderShippedEmail } from '../../utils/emailService';
+import { renderEmailTemplate } from '../../utils/emailTemplates';
+import { getEmailTransport, selectEmailTransport } from '../../utils/emailTransports';
+import { startSmtpSink } from '../../scripts/smtp-sink';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  addDoc: jest.fn(async () => ({ id: 'email-1' })),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+const site = { name: 'Rangya', url: 'https://rangya.com', supportEmail: 'support@rangya.com' };
+
+const order = {
+  id: 'order-1',
+  orderNumber: 'ORD-1',
+  status: 'processing',
+  items: [
+    { name: 'Slim Jeans', size: '32', quantity: 2, price: 1499 },
+    { name: '<b>Tee</b>', size: 'M', quantity: 1, price: 499 }
+  ],
+  total: 3497
+};
+
+const user = { uid: 'user-1', email: 'asha@example.com', displayName: 'Asha' };
+
+const ENV_KEYS = ['EMAIL_TRANSPORT', 'EMAIL_HOST', 'EMAIL_PORT', 'EMAIL_SECURE', 'EMAIL_USER', 'EMAIL_PASSWORD', 'EMAIL_OUTBOX_DIR'];
+
+describe('emailService', () => {
+  const originalEnv = {};
+  let sink;
+
+  beforeAll(async () => {
+    ENV_KEYS.forEach(key => { originalEnv[key] = process.env[key]; });
+    sink = await startSmtpSink({ port: 0, users: { shop: 'secret' }, rejectRecipients: ['bounce@example.com'] });
+  });
+
+  afterAll(async () => {
+    getEmailTransport('smtp').close();
+    await sink.close();
+    ENV_KEYS.forEach(key => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sink.messages.length = 0;
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.EMAIL_HOST = sink.host;
+    process.env.EMAIL_PORT = String(sink.port);
+    process.env.EMAIL_SECURE = 'false';
+    process.env.EMAIL_USER = 'shop';
+    process.env.EMAIL_PASSWORD = 'secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('templates', () => {
+    it('should render the HTML and text versions in the layout', () => {
+      const email = renderEmailTemplate('order_confirmation', { order, customerName: 'Asha' }, site);
+
+      expect(email.subject).toBe('Order ORD-1 confirmed');
+      expect(email.html).toContain('<h1 style="font-size: 20px; margin: 0 0 16px;">Thank you for your order</h1>');
+      expect(email.html).toContain('https://rangya.com/account/orders/order-1');
+      expect(email.html).toContain('support@rangya.com');
+      expect(email.text).toContain('Hi Asha,');
+      expect(email.text).toContain('- Slim Jeans (32) × 2');
+      expect(email.text).toContain('View your order: https://rangya.com/account/orders/order-1');
+    });
+
+    it('should escape variables in HTML', () => {
+      const email = renderEmailTemplate('order_confirmation', { order, customerName: '<script>' }, site);
+
+      expect(email.html).toContain('&lt;b&gt;Tee&lt;/b&gt;');
+      expect(email.html).toContain('Hi &lt;script&gt;,');
+      expect(email.html).not.toContain('<script>');
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => renderEmailTemplate('nope', {}, site)).toThrow('Unknown email template: nope');
+    });
+  });
+
+  describe('transports', () => {
+    it('should use SMTP when a host is configured and the console otherwise', () => {
+      expect(selectEmailTransport().id).toBe('smtp');
+
+      delete process.env.EMAIL_HOST;
+      expect(selectEmailTransport().id).toBe('console');
+
+      process.env.EMAIL_TRANSPORT = 'file';
+      expect(selectEmailTransport().id).toBe('file');
+    });
+  });
+
+  describe('typed senders', () => {
+    it('should queue the email with only the order fields the template uses', async () => {
+      const result = await sendOrderConfirmationEmail({ ...order, userId: 'user-1', createdAt: 'server-timestamp' }, user);
+
+      expect(result).toEqual({ queued: true, queueId: 'email-1' });
+      expect(sink.messages).toHaveLength(0);
+      expect(addDoc).toHaveBeenCalledTimes(1);
+      expect(addDoc).toHaveBeenCalledWith({ path: 'emailQueue' }, expect.objectContaining({
+        message: expect.objectContaining({
+          to: 'asha@example.com',
+          template: 'order_confirmation',
+          variables: { order, customerName: 'Asha' },
+          type: 'order_confirmation',
+          metadata: { orderId: 'order-1' }
+        }),
+        status: 'pending',
+        attempts: 0
+      }));
+    });
+
+    it('should render queued variables the same as the original order', async () => {
+      await sendOrderShippedEmail(order, user, { trackingNumber: 'AWB123' });
+
+      const { variables } = addDoc.mock.calls[0][1].message;
+
+      expect(renderEmailTemplate('order_shipped', variables, site))
+        .toEqual(renderEmailTemplate('order_shipped', { order, customerName: 'Asha', tracking: { trackingNumber: 'AWB123' } }, site));
+    });
+  });
+
+  describe('sendEmail', () => {
+    const orderConfirmation = (to = user.email) => ({
+      to,
+      template: 'order_confirmation',
+      variables: { order, customerName: 'Asha' },
+      type: 'order_confirmation',
+      metadata: { orderId: 'order-1' }
+    });
+
+    it('should deliver through SMTP and record the delivery', async () => {
+      const result = await sendEmail(orderConfirmation());
+
+      expect(result).toMatchObject({ success: true, transport: 'smtp', emailId: 'email-1' });
+      expect(sink.messages).toHaveLength(1);
+      expect(sink.messages[0]).toMatchObject({
+        user: 'shop',
+        envelope: { from: 'noreply@rangya.com', to: ['asha@example.com'] }
+      });
+      expect(sink.messages[0].headers.subject).toBe('Order ORD-1 confirmed');
+      expect(sink.messages[0].headers['content-type']).toContain('multipart/alternative');
+      expect(sink.messages[0].body).toContain('text/plain');
+      expect(sink.messages[0].body).toContain('text/html');
+      expect(addDoc).toHaveBeenCalledWith({ path: 'emails' }, expect.objectContaining({
+        to: 'asha@example.com',
+        type: 'order_confirmation',
+        template: 'order_confirmation',
+        transport: 'smtp',
+        status: 'sent',
+        messageId: result.messageId,
+        accepted: ['asha@example.com'],
+        rejected: [],
+        metadata: { orderId: 'order-1' }
+      }));
+    });
+
+    it('should record recipients the server refused', async () => {
+      await sendEmail({
+        to: ['asha@example.com', 'bounce@example.com'],
+        template: 'order_shipped',
+        variables: { order, customerName: 'Asha', tracking: { trackingNumber: 'AWB123' } },
+        type: 'order_shipped',
+        metadata: { orderId: 'order-1', trackingNumber: 'AWB123' }
+      });
+
+      expect(sink.messages[0].envelope.to).toEqual(['asha@example.com']);
+      expect(addDoc).toHaveBeenCalledWith({ path: 'emails' }, expect.objectContaining({
+        status: 'sent',
+        accepted: ['asha@example.com'],
+        rejected: ['bounce@example.com'],
+        metadata: { orderId: 'order-1', trackingNumber: 'AWB123' }
+      }));
+    });
+
+    it('should record failed deliveries and throw', async () => {
+      await expect(sendEmail({ to: 'bounce@example.com', subject: 'Hello', text: 'Hi' })).rejects.toMatchObject({
+        code: 'EXTERNAL_SERVICE_ERROR'
+      });
+      expect(addDoc).toHaveBeenCalledWith({ path: 'emails' }, expect.objectContaining({
+        type: 'general',
+        status: 'failed',
+        error: expect.stringContaining('rejected')
+      }));
+    });
+
+    it('should fail on wrong SMTP credentials', async () => {
+      process.env.EMAIL_PASSWORD = 'wrong';
+
+      await expect(sendEmail(orderConfirmation())).rejects.toMatchObject({ code: 'EXTERNAL_SERVICE_ERROR' });
+      expect(sink.messages).toHaveLength(0);
+    });
+
+    it('should write messages to the outbox with the file transport', async () => {
+      const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      process.env.EMAIL_TRANSPORT = 'file';
+      process.env.EMAIL_OUTBOX_DIR = outbox;
+
+      try {
+        await sendEmail({ to: 'asha@example.com', template: 'welcome', variables: { customerName: 'Asha' } });
+
+        const [file] = fs.readdirSync(outbox);
+        const message = JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8'));
+
+        expect(message).toMatchObject({ to: 'asha@example.com', subject: 'Welcome to Rangya', from: 'noreply@rangya.com' });
+        expect(message.text).toContain('Start shopping: ');
+        expect(sink.messages).toHaveLength(0);
+      } finally {
+        fs.rmSync(outbox, { recursive: true, force: true });
+      }
+    });
+
+    it('should require a recipient and content', async () => {
+      await expect(sendEmail({ to: 'asha@example.com', subject: 'Hello' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(addDoc).not.toHaveBeenCalled();
+    });
+  });
+});
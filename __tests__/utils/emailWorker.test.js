@@ -0,0 +1,230 @@
+import { sendEmail } from '../../utils/emailService';
+import { enqueueEmail, resendEmail, getRetryDelay, EMAIL_QUEUE_CONFIG } from '../../utils/emailQueue';
+import { processEmailQueue } from '../../utils/emailWorker';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => {
+  const store = {};
+  let nextId = 0;
+
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    exists: () => !!store[path],
+    data: () => store[path]
+  });
+
+  return {
+    store,
+    collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+    doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+    getDoc: jest.fn(async (ref) => snapshot(ref.path)),
+    addDoc: jest.fn(async (ref, data) => {
+      const id = `queued-${++nextId}`;
+      store[`${ref.path}/${id}`] = data;
+      return { id };
+    }),
+    updateDoc: jest.fn(async (ref, data) => {
+      store[ref.path] = { ...store[ref.path], ...data };
+    }),
+    // Only the worker's query is needed: due pending or leased emails,
+    // oldest first
+    getDocs: jest.fn(async ({ path, constraints }) => {
+      const [status, due] = constraints.filter(constraint => constraint.type === 'where');
+      const max = constraints.find(constraint => constraint.type === 'limit').value;
+      const docs = Object.keys(store)
+        .filter(key => key.startsWith(`${path}/`))
+        .filter(key => status.value.includes(store[key].status) && store[key].nextAttemptAt <= due.value)
+        .sort((a, b) => store[a].nextAttemptAt.localeCompare(store[b].nextAttemptAt))
+        .slice(0, max)
+        .map(snapshot);
+      return { docs };
+    }),
+    query: jest.fn((ref, ...constraints) => ({ path: ref.path, constraints })),
+    where: jest.fn((field, op, value) => ({ type: 'where', field, op, value })),
+    orderBy: jest.fn(field => ({ type: 'orderBy', field })),
+    limit: jest.fn(value => ({ type: 'limit', value })),
+    runTransaction: jest.fn(async (db, callback) => callback({
+      get: async (ref) => snapshot(ref.path),
+      update: (ref, data) => {
+        store[ref.path] = { ...store[ref.path], ...data };
+      }
+    })),
+    serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+  };
+});
+
+jest.mock('../../utils/emailService', () => ({
+  sendEmail: jest.fn()
+}));
+
+const { store } = jest.requireMock('firebase/firestore');
+
+const message = {
+  to: 'asha@example.com',
+  template: 'order_confirmation',
+  variables: { order: { id: 'order-1', orderNumber: 'ORD-1', items: [], total: 1499 }, customerName: 'Asha' },
+  type: 'order_confirmation',
+  metadata: { orderId: 'order-1' }
+};
+
+const minutes = (count) => count * 60 * 1000;
+
+describe('emailWorker', () => {
+  let start;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.keys(store).forEach(key => delete store[key]);
+    start = new Date();
+    sendEmail.mockResolvedValue({ success: true, messageId: '<message-1@rangya.com>', transport: 'smtp', emailId: 'email-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Run the worker `offset` milliseconds after the test started
+  const runAt = (offset) => processEmailQueue({ now: new Date(start.getTime() + offset) });
+
+  it('should queue emails instead of sending them', async () => {
+    const { queueId } = await enqueueEmail(message);
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({
+      message: { ...message, subject: null, html: null, text: null, replyTo: null },
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS,
+      lastError: null
+    });
+  });
+
+  it('should reject emails that could never be sent', async () => {
+    await expect(enqueueEmail({ to: 'asha@example.com', subject: 'Hello' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect(Object.keys(store)).toHaveLength(0);
+  });
+
+  it('should send due emails and mark them sent', async () => {
+    const { queueId } = await enqueueEmail(message);
+
+    const summary = await runAt(1000);
+
+    expect(summary).toEqual({ sent: 1, retrying: [], dead: [] });
+    expect(sendEmail).toHaveBeenCalledWith({
+      ...message,
+      subject: null,
+      html: null,
+      text: null,
+      replyTo: null,
+      metadata: { orderId: 'order-1', queueId, attempt: 1 }
+    });
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({
+      status: 'sent',
+      attempts: 1,
+      messageId: '<message-1@rangya.com>',
+      transport: 'smtp'
+    });
+
+    await runAt(minutes(10));
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry failed sends with exponential backoff', async () => {
+    const { queueId } = await enqueueEmail(message);
+    sendEmail.mockRejectedValue(Object.assign(new Error('Failed to send email'), {
+      code: 'EXTERNAL_SERVICE_ERROR',
+      originalError: new Error('Connection refused')
+    }));
+
+    const summary = await runAt(1000);
+
+    expect(summary.retrying).toEqual([{ queueId, error: 'Failed to send email' }]);
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Connection refused',
+      nextAttemptAt: new Date(start.getTime() + 1000 + minutes(1)).toISOString()
+    });
+
+    // Not due again until the delay has passed
+    await runAt(minutes(1));
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+
+    await runAt(1000 + minutes(1));
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+    expect(store[`emailQueue/${queueId}`].nextAttemptAt).toBe(new Date(start.getTime() + 1000 + minutes(3)).toISOString());
+
+    expect([1, 2, 3, 4, 10].map(getRetryDelay)).toEqual([minutes(1), minutes(2), minutes(4), minutes(8), minutes(60)]);
+  });
+
+  it('should dead-letter emails after the last attempt', async () => {
+    const { queueId } = await enqueueEmail(message);
+    sendEmail.mockRejectedValue(new Error('Mail server down'));
+
+    let offset = 1000;
+    for (let attempt = 1; attempt < EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS; attempt++) {
+      await runAt(offset);
+      offset += getRetryDelay(attempt);
+    }
+
+    const summary = await runAt(offset);
+
+    expect(sendEmail).toHaveBeenCalledTimes(EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS);
+    expect(summary.dead).toEqual([{ queueId, error: 'Mail server down' }]);
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({
+      status: 'dead',
+      attempts: EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS,
+      lastError: 'Mail server down'
+    });
+
+    await runAt(offset + minutes(24 * 60));
+    expect(sendEmail).toHaveBeenCalledTimes(EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS);
+  });
+
+  it('should dead-letter emails that can never be sent without retrying', async () => {
+    const { queueId } = await enqueueEmail({ ...message, template: 'retired_template' });
+    sendEmail.mockRejectedValue(Object.assign(new Error('Unknown email template: retired_template'), { code: 'VALIDATION_ERROR' }));
+
+    const summary = await runAt(1000);
+
+    expect(summary.dead).toHaveLength(1);
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  it('should pick up emails a crashed worker left leased', async () => {
+    const { queueId } = await enqueueEmail(message);
+    store[`emailQueue/${queueId}`] = {
+      ...store[`emailQueue/${queueId}`],
+      status: 'sending',
+      attempts: 1,
+      nextAttemptAt: new Date(start.getTime() + EMAIL_QUEUE_CONFIG.LEASE_MS).toISOString()
+    };
+
+    await runAt(minutes(1));
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    await runAt(EMAIL_QUEUE_CONFIG.LEASE_MS);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({ status: 'sent', attempts: 2 });
+  });
+
+  it('should let admins resend dead emails', async () => {
+    const { queueId } = await enqueueEmail(message);
+
+    await expect(resendEmail(queueId)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+    store[`emailQueue/${queueId}`] = { ...store[`emailQueue/${queueId}`], status: 'dead', attempts: 5, lastError: 'Mail server down' };
+
+    await expect(resendEmail(queueId, { actor: 'admin-1' })).resolves.toEqual({ queueId, status: 'pending' });
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({ status: 'pending', attempts: 0, resentBy: 'admin-1' });
+
+    await runAt(minutes(1));
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(store[`emailQueue/${queueId}`]).toMatchObject({ status: 'sent', attempts: 1, lastError: null });
+  });
+});
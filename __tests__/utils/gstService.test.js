@@ -0,0 +1,53 @@
+import { calculateGst, getGstRate, getSupplyType, SELLER_CONFIG } from '../../utils/gstService';
+
+describe('gstService', () => {
+  describe('getSupplyType', () => {
+    it('should treat the seller state as intra-state regardless of case', () => {
+      expect(getSupplyType(SELLER_CONFIG.state.toUpperCase())).toBe('intra_state');
+      expect(getSupplyType(null)).toBe('intra_state');
+      expect(getSupplyType('Karnataka')).toBe('inter_state');
+    });
+  });
+
+  describe('getGstRate', () => {
+    it('should pick the apparel band from the per-piece value', () => {
+      expect(getGstRate('apparel', 2500)).toBe(5);
+      expect(getGstRate('apparel', 2500.01)).toBe(18);
+      expect(getGstRate('standard', 100)).toBe(18);
+    });
+
+    it('should fall back to the default slab for unknown slabs', () => {
+      expect(getGstRate(undefined, 999)).toBe(5);
+    });
+  });
+
+  describe('calculateGst', () => {
+    const items = [
+      { id: 'jeans-1', name: 'Jeans', hsnCode: '6203', price: 3000, quantity: 1 },
+      { id: 'shirt-1', name: 'Shirt', hsnCode: '6205', price: 1000, quantity: 2 }
+    ];
+
+    it('should split intra-state tax into CGST and SGST', () => {
+      const gst = calculateGst({ items, destinationState: SELLER_CONFIG.state });
+
+      expect(gst).toMatchObject({ supplyType: 'intra_state', cgst: 320, sgst: 320, igst: 0, total: 640 });
+      expect(gst.lines[0]).toMatchObject({ hsnCode: '6203', taxableValue: 3000, rate: 18, cgst: 270, sgst: 270 });
+      expect(gst.lines[1]).toMatchObject({ hsnCode: '6205', taxableValue: 2000, rate: 5, cgst: 50, sgst: 50 });
+    });
+
+    it('should charge IGST on inter-state orders', () => {
+      const gst = calculateGst({ items, destinationState: 'Tamil Nadu' });
+
+      expect(gst).toMatchObject({ supplyType: 'inter_state', placeOfSupply: 'Tamil Nadu', cgst: 0, sgst: 0, igst: 640 });
+    });
+
+    it('should spread the discount across lines before choosing the rate', () => {
+      const gst = calculateGst({ items, discount: 1000, destinationState: 'Tamil Nadu' });
+
+      // Jeans drop to ₹2400 a piece and into the 5% band
+      expect(gst.lines[0]).toMatchObject({ taxableValue: 2400, rate: 5, igst: 120 });
+      expect(gst.lines[1]).toMatchObject({ taxableValue: 1600, rate: 5, igst: 80 });
+      expect(gst.lines.reduce((sum, line) => sum + line.taxableValue, 0)).toBe(4000);
+    });
+  });
+});
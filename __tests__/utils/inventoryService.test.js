@@ -0,0 +1,77 @@
+import { sumMovements, getStockChanges, getLowStockLines, setLowStockThresholds } from '../../utils/inventoryService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+describe('inventoryService', () => {
+  describe('sumMovements', () => {
+    it('should derive on-hand stock per size or variant', () => {
+      expect(sumMovements([
+        { stockKey: '32', type: 'adjustment', quantity: 5 },
+        { stockKey: '32', type: 'sale', quantity: -2 },
+        { stockKey: '34', type: 'restock', quantity: 4 },
+        { stockKey: '32', type: 'cancel', quantity: 1 },
+        { stockKey: '34', type: 'sale', quantity: -4 }
+      ])).toEqual({ 32: 4, 34: 0 });
+    });
+  });
+
+  describe('getLowStockLines', () => {
+    it('should use per-size thresholds and the default', () => {
+      const lines = getLowStockLines({
+        stock: { 30: 0, 32: 5, 34: 3, 36: 4 },
+        lowStockThresholds: { 32: 6, 34: 2 }
+      });
+
+      expect(lines.map(line => [line.stockKey, line.threshold])).toEqual([['30', 3], ['32', 6]]);
+    });
+
+    it('should list variants by their labels', () => {
+      const lines = getLowStockLines({
+        variants: [
+          { id: 'black-32-30', sku: 'SJ-BK-3230', wash: 'Black', size: '32', length: '30' },
+          { id: 'black-34-30', sku: 'SJ-BK-3430', wash: 'Black', size: '34', length: '30' }
+        ],
+        stock: { 'black-32-30': 2, 'black-34-30': 10 }
+      });
+
+      expect(lines).toEqual([expect.objectContaining({
+        stockKey: 'black-32-30',
+        variantId: 'black-32-30',
+        sku: 'SJ-BK-3230',
+        label: 'Black W32 L30',
+        quantity: 2
+      })]);
+    });
+  });
+
+  describe('setLowStockThresholds', () => {
+    it('should reject thresholds that are not whole numbers', async () => {
+      await expect(setLowStockThresholds('jeans-1', { 32: '2.5' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(setLowStockThresholds('jeans-1', { 32: '2', 34: 0 })).resolves.toEqual({ 32: 2, 34: 0 });
+    });
+  });
+
+  describe('getStockChanges', () => {
+    it('should return the non-zero changes between two stock maps', () => {
+      expect(getStockChanges(
+        { 30: 2, 32: 5, 'black-32-30': 3 },
+        { 30: 2, 32: 7, 34: 4 }
+      )).toEqual({ 32: 2, 34: 4, 'black-32-30': -3 });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  getFinancialYear,
+  formatInvoiceNumber,
+  buildInvoiceData,
+  issueInvoice
+} from '../../utils/invoiceService';
+import { generateInvoicePDF } from '../../utils/pdfGenerator';
+import { createFirestoreFake } from '../../test-utils/firestoreFake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+const order = {
+  orderNumber: 'RNG-20260601-1234',
+  userId: 'user-1',
+  status: 'processing',
+  customer: { fullName: 'Asha Patel', email: 'asha@example.com', phone: '9876543210' },
+  shipping: {
+    address: { flatNo: '12', street: 'MG Road', city: 'Pune', state: 'Maharashtra', postalCode: '411001' }
+  },
+  items: [
+    { id: 'jeans-1', name: 'Indigo Jeans', hsnCode: '6203', size: '32', price: 1200, quantity: 1 }
+  ],
+  subtotal: 1200,
+  discount: 0,
+  shippingCost: 0,
+  total: 1260
+};
+
+describe('invoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getFinancialYear', () => {
+    it('should run financial years from April to March', () => {
+      expect(getFinancialYear(new Date(2026, 2, 31))).toBe('2025-26');
+      expect(getFinancialYear(new Date(2026, 3, 1))).toBe('2026-27');
+      expect(getFinancialYear(new Date(2099, 11, 1))).toBe('2099-00');
+    });
+
+    it('should turn the year at midnight IST', () => {
+      // 1 April 00:00 and 05:29 IST are still 31 March in UTC
+      expect(getFinancialYear(new Date('2026-03-31T18:29:59Z'))).toBe('2025-26');
+      expect(getFinancialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27');
+      expect(getFinancialYear(new Date('2026-03-31T23:59:00Z'))).toBe('2026-27');
+    });
+  });
+
+  describe('formatInvoiceNumber', () => {
+    it('should zero-pad the sequence', () => {
+      expect(formatInvoiceNumber('2026-27', 42)).toBe('RNG/2026-27/00042');
+    });
+  });
+
+  describe('buildInvoiceData', () => {
+    it('should compute itemized GST for orders without a stored breakup', () => {
+      const invoice = buildInvoiceData({ id: 'order-1', ...order });
+
+      expect(invoice).toMatchObject({
+        orderId: 'order-1',
+        placeOfSupply: 'Maharashtra',
+        supplyType: 'inter_state',
+        igst: 60,
+        total: 1260
+      });
+      expect(invoice.lines[0]).toMatchObject({ hsnCode: '6203', taxableValue: 1200, rate: 5 });
+      expect(invoice.buyer.shippingAddressLines).toContain('Pune, Maharashtra');
+    });
+  });
+
+  describe('issueInvoice', () => {
+    it('should issue consecutive numbers and reuse an existing invoice', async () => {
+      const docs = createFirestoreFake({
+        'orders/order-1': { ...order },
+        'orders/order-2': { ...order }
+      });
+
+      const first = await issueInvoice('order-1');
+      const second = await issueInvoice('order-2');
+      const again = await issueInvoice('order-1');
+      const financialYear = getFinancialYear();
+
+      expect(first.invoiceNumber).toBe(`RNG/${financialYear}/00001`);
+      expect(second.invoiceNumber).toBe(`RNG/${financialYear}/00002`);
+      expect(again.id).toBe(first.id);
+      expect(docs[`invoiceCounters/${financialYear}`].lastSequence).toBe(2);
+      expect(docs['orders/order-1'].invoice.number).toBe(first.invoiceNumber);
+    });
+
+    it('should not consume a number for unconfirmed orders', async () => {
+      const docs = createFirestoreFake({ 'orders/order-1': { ...order, status: 'pending' } });
+
+      await expect(issueInvoice('order-1')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(docs[`invoiceCounters/${getFinancialYear()}`]).toBeUndefined();
+    });
+  });
+
+  describe('generateInvoicePDF', () => {
+    it('should render a PDF document', () => {
+      const invoice = {
+        ...buildInvoiceData({ id: 'order-1', ...order }),
+        invoiceNumber: 'RNG/2026-27/00001',
+        issuedAt: '2026-06-01T10:00:00.000Z'
+      };
+
+      const pdf = Buffer.from(generateInvoicePDF(invoice));
+
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { addDoc, updateDoc } from 'firebase/firestore';
+import {
+  normalizePhone,
+  sendMessage,
+  sendOrderStatusMessages,
+  sendOrderShippedMessages,
+  sendOtpMessage,
+  updateChannelPreferences
+} from '../../utils/messagingService';
+import { registerMessageTemplate, renderMessageTemplate } from '../../utils/messageTemplates';
+import { MESSAGE_TEMPLATES } from '../../utils/messageTemplates/templates';
+import { registerMessagingProvider } from '../../utils/messagingProviders';
+import { createFakeMessagingProvider } from '../../utils/messagingProviders/fake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  addDoc: jest.fn(async () => ({ id: 'message-1' })),
+  updateDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+const order = {
+  id: 'order-1',
+  orderNumber: 'RNG-240501-AB12',
+  status: 'processing',
+  totalAmount: 2998,
+  customer: { fullName: 'Asha Rao', phone: '98765 43210' }
+};
+
+const user = { id: 'user-1', displayName: 'Asha' };
+
+describe('messagingService', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    provider = registerMessagingProvider(createFakeMessagingProvider({ unreachable: ['+919000000000'] }));
+    ['order_status_update', 'order_shipped', 'otp'].forEach((name, index) => {
+      registerMessageTemplate(name, { ...MESSAGE_TEMPLATES[name], dltTemplateId: `110700000000000000${index}` });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('templates', () => {
+    it('should fill the DLT text with the values in order', () => {
+      const message = renderMessageTemplate('order_shipped', {
+        order,
+        customerName: 'Asha',
+        tracking: { carrier: 'Delhivery', trackingNumber: 'AWB123' }
+      }, { url: 'https://rangya.com' });
+
+      expect(message).toEqual({
+        name: 'order_shipped',
+        dltTemplateId: '1107000000000000001',
+        whatsappTemplate: 'order_shipped',
+        language: 'en',
+        params: ['Asha', 'RNG-240501-AB12', 'Delhivery', 'AWB123'],
+        body: 'Dear Asha, your Rangya order RNG-240501-AB12 has shipped via Delhivery, tracking number AWB123. Track it at rangya.com/account/orders - RANGYA'
+      });
+    });
+
+    it('should cut values to the DLT limit', () => {
+      const message = renderMessageTemplate('order_status_update', {
+        order,
+        customerName: 'Venkata Lakshmi Narasimha Subrahmanyam',
+        status: 'out_for_delivery'
+      }, {});
+
+      expect(message.params).toEqual(['Venkata Lakshmi Narasimha Subr', 'RNG-240501-AB12', 'out for delivery']);
+    });
+  });
+
+  it('should normalize Indian mobile numbers', () => {
+    expect(['9876543210', '+91 98765 43210', '098765-43210', '919876543210'].map(normalizePhone))
+      .toEqual(Array(4).fill('+919876543210'));
+    expect(['12345', '1234567890', '', null].map(normalizePhone)).toEqual([null, null, null, null]);
+  });
+
+  describe('sendMessage', () => {
+    it('should send SMS with its DLT registration and record the delivery', async () => {
+      const result = await sendMessage({
+        channel: 'sms',
+        to: '98765 43210',
+        template: 'order_status_update',
+        variables: { order, customerName: 'Asha' },
+        metadata: { orderId: 'order-1' }
+      });
+
+      expect(result).toEqual({ success: true, messageId: 'sms_fake_1', provider: 'fake', recordId: 'message-1' });
+      expect(provider.messages).toEqual([expect.objectContaining({
+        channel: 'sms',
+        to: '+919876543210',
+        template: expect.objectContaining({ name: 'order_status_update', dltTemplateId: '1107000000000000000' }),
+        params: ['Asha', 'RNG-240501-AB12', 'processing'],
+        senderId: 'RANGYA'
+      })]);
+      expect(addDoc).toHaveBeenCalledWith({ path: 'messages' }, expect.objectContaining({
+        channel: 'sms',
+        to: '+919876543210',
+        type: 'order_status_update',
+        provider: 'fake',
+        status: 'sent',
+        messageId: 'sms_fake_1',
+        metadata: { orderId: 'order-1' }
+      }));
+    });
+
+    it('should not send SMS without a DLT template ID', async () => {
+      await expect(sendMessage({ channel: 'sms', to: '9876543210', template: 'order_confirmation', variables: { order } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(provider.messages).toHaveLength(0);
+    });
+
+    it('should record failed deliveries and throw', async () => {
+      await expect(sendMessage({ channel: 'whatsapp', to: '9000000000', template: 'order_status_update', variables: { order } }))
+        .rejects.toMatchObject({ code: 'EXTERNAL_SERVICE_ERROR' });
+      expect(addDoc).toHaveBeenCalledWith({ path: 'messages' }, expect.objectContaining({
+        channel: 'whatsapp',
+        status: 'failed',
+        error: '+919000000000 is not reachable on whatsapp'
+      }));
+    });
+  });
+
+  describe('channel preferences', () => {
+    it('should send SMS by default to the number given with the order', async () => {
+      const result = await sendOrderStatusMessages(order, user);
+
+      expect(result).toEqual({ sent: ['sms'], failed: [] });
+      expect(provider.messages.map(message => [message.channel, message.to])).toEqual([['sms', '+919876543210']]);
+    });
+
+    it('should use the channels and number the customer chose', async () => {
+      const result = await sendOrderShippedMessages(order, {
+        ...user,
+        phone: '+919123456789',
+        notificationPreferences: { email: true, sms: false, whatsapp: true }
+      }, { trackingNumber: 'AWB123' });
+
+      expect(result).toEqual({ sent: ['whatsapp'], failed: [] });
+      expect(provider.messages).toEqual([expect.objectContaining({
+        channel: 'whatsapp',
+        to: '+919123456789',
+        template: expect.objectContaining({ whatsappTemplate: 'order_shipped', language: 'en' })
+      })]);
+    });
+
+    it('should keep going when one channel fails', async () => {
+      const result = await sendOrderStatusMessages(order, {
+        ...user,
+        phone: '9000000000',
+        notificationPreferences: { sms: true, whatsapp: true }
+      });
+
+      expect(result.sent).toEqual([]);
+      expect(result.failed.map(failure => failure.channel)).toEqual(['sms', 'whatsapp']);
+    });
+
+    it('should send nothing when the customer turned messages off', async () => {
+      const result = await sendOrderStatusMessages(order, { ...user, notificationPreferences: { sms: false } });
+
+      expect(result).toEqual({ sent: [], failed: [] });
+      expect(provider.messages).toHaveLength(0);
+    });
+
+    it('should send one-time passwords whatever the preferences', async () => {
+      await sendOtpMessage('9876543210', '482913');
+
+      expect(provider.messages[0].body).toBe('482913 is your Rangya verification code. It is valid for 10 minutes. Do not share it with anyone. - RANGYA');
+    });
+
+    it('should save preferences with a normalized number', async () => {
+      const saved = await updateChannelPreferences('user-1', { sms: false, whatsapp: 'on' }, { phone: '98765 43210' });
+
+      expect(saved).toEqual({ notificationPreferences: { email: true, sms: false, whatsapp: true }, phone: '+919876543210' });
+      expect(updateDoc).toHaveBeenCalledWith({ path: 'users/user-1' }, expect.objectContaining(saved));
+
+      await expect(updateChannelPreferences('user-1', {}, { phone: '12345' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
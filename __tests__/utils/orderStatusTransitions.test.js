@@ -0,0 +1,179 @@
+import {
+  isValidStatusTransition,
+  getAllowedStatusTransitions,
+  updateOrderStatus,
+  overrideOrderStatus
+} from '../../utils/orderService';
+import { getDoc, updateDoc, addDoc } from 'firebase/firestore';
+import { getUserById } from '../../utils/userService';
+import { sendOrderStatusUpdateEmail } from '../../utils/emailService';
+import { sendOrderStatusMessages } from '../../utils/messagingService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn().mockReturnValue({}),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn().mockResolvedValue({}),
+  addDoc: jest.fn().mockResolvedValue({ id: 'audit-id' }),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn()
+}));
+
+jest.mock('../../utils/userService', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../utils/emailService', () => ({
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderStatusUpdateEmail: jest.fn(),
+  sendOrderShippedEmail: jest.fn()
+}));
+
+jest.mock('../../utils/messagingService', () => ({
+  getChannelPreferences: jest.requireActual('../../utils/messagingService').getChannelPreferences,
+  sendOrderStatusMessages: jest.fn(),
+  sendOrderShippedMessages: jest.fn()
+}));
+
+jest.mock('../../utils/orderUtils', () => ({
+  createOrderStatusNotification: jest.fn()
+}));
+
+jest.mock('../../utils/productService', () => ({
+  updateProductStock: jest.fn()
+}));
+
+const mockOrder = (status) => {
+  getDoc.mockResolvedValue({
+    id: 'order-1',
+    exists: () => true,
+    data: () => ({ userId: 'user-1', orderNumber: 'RNG-1', status, items: [] })
+  });
+};
+
+describe('order status transitions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserById.mockResolvedValue(null);
+  });
+
+  it('should allow transitions listed in the state machine', () => {
+    expect(isValidStatusTransition('pending', 'payment_processing')).toBe(true);
+    expect(isValidStatusTransition('shipped', 'delivered')).toBe(true);
+    expect(isValidStatusTransition('delivered', 'delivered')).toBe(true);
+  });
+
+  it('should reject transitions not listed in the state machine', () => {
+    expect(isValidStatusTransition('delivered', 'pending')).toBe(false);
+    expect(isValidStatusTransition('refunded', 'processing')).toBe(false);
+    expect(isValidStatusTransition('unknown', 'processing')).toBe(false);
+  });
+
+  it('should list allowed next statuses', () => {
+    expect(getAllowedStatusTransitions('shipped')).toEqual(['delivered', 'returned']);
+    expect(getAllowedStatusTransitions('not-a-status')).toEqual([]);
+  });
+
+  it('should reject an illegal transition with a validation error', async () => {
+    mockOrder('delivered');
+
+    await expect(updateOrderStatus('order-1', 'pending')).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: { from: 'delivered', to: 'pending' }
+    });
+    expect(updateDoc).not.toHaveBeenCalled();
+  });
+
+  it('should reject statuses outside the canonical enum', async () => {
+    mockOrder('pending');
+
+    await expect(updateOrderStatus('order-1', 'confirmed')).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'Unknown order status: confirmed'
+    });
+  });
+
+  it('should apply a legal transition', async () => {
+    mockOrder('processing');
+
+    await updateOrderStatus('order-1', 'shipped', {}, { changedBy: 'admin-1' });
+
+    const updateData = updateDoc.mock.calls[0][1];
+    expect(updateData.status).toBe('shipped');
+    expect(updateData.statusHistory[0]).toMatchObject({ status: 'processing', changedBy: 'admin-1' });
+    expect(updateData.statusHistory[0]).toMatchObject({ to: 'shipped', actor: 'admin' });
+    expect(addDoc).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ type: 'status_override' }));
+  });
+
+  it("should apply the same change to the customer's copy of the order", async () => {
+    mockOrder('processing');
+
+    await updateOrderStatus('order-1', 'shipped', {}, { changedBy: 'admin-1' });
+
+    expect(updateDoc.mock.calls.map(([ref]) => ref.path)).toEqual(['orders/order-1', 'users/user-1/orders/order-1']);
+    expect(updateDoc.mock.calls[1][1]).toEqual(updateDoc.mock.calls[0][1]);
+  });
+
+  it('should find orders that only live under the customer', async () => {
+    getDoc.mockImplementation(async (ref) => ({
+      id: 'order-1',
+      exists: () => ref.path === 'users/user-1/orders/order-1',
+      data: () => ({ userId: 'user-1', status: 'pending', items: [] })
+    }));
+
+    await updateOrderStatus('order-1', 'payment_processing', {}, { changedBy: 'system', userId: 'user-1' });
+
+    expect(updateDoc.mock.calls.map(([ref]) => ref.path)).toEqual(['users/user-1/orders/order-1']);
+  });
+
+  it('should tell the customer on the channels they chose', async () => {
+    const customer = { id: 'user-1', phone: '+919876543210', notificationPreferences: { email: false, sms: true } };
+    mockOrder('processing');
+    getUserById.mockResolvedValue(customer);
+
+    await updateOrderStatus('order-1', 'shipped');
+
+    expect(sendOrderStatusUpdateEmail).not.toHaveBeenCalled();
+    expect(sendOrderStatusMessages).toHaveBeenCalledWith(expect.objectContaining({ id: 'order-1' }), customer);
+  });
+
+  it('should require a reason for overrides', async () => {
+    await expect(overrideOrderStatus('order-1', 'pending', { adminId: 'admin-1' })).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR'
+    });
+  });
+
+  it('should only let admins override', async () => {
+    getUserById.mockResolvedValue({ id: 'user-1', role: 'customer' });
+
+    await expect(overrideOrderStatus('order-1', 'pending', { adminId: 'user-1', reason: 'Mistake' })).rejects.toMatchObject({
+      code: 'AUTHORIZATION_ERROR'
+    });
+  });
+
+  it('should apply and audit an admin override', async () => {
+    mockOrder('delivered');
+    getUserById.mockResolvedValue({ id: 'admin-1', role: 'admin' });
+
+    await overrideOrderStatus('order-1', 'shipped', { adminId: 'admin-1', reason: 'Marked delivered by mistake' });
+
+    expect(updateDoc.mock.calls[0][1].status).toBe('shipped');
+    expect(addDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      type: 'status_override',
+      orderId: 'order-1',
+      from: 'delivered',
+      to: 'shipped',
+      reason: 'Marked delivered by mistake',
+      adminId: 'admin-1'
+    }));
+  });
+});
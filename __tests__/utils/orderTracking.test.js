@@ -0,0 +1,273 @@
+import { getDocs } from 'firebase/firestore';
+import { getShipmentsForOrder } from '../../utils/shipmentService';
+import { createStatusHistoryEntry, getStatusChanges } from '../../utils/orderStatusHistory';
+import {
+  buildTrackingTimeline,
+  getExpectedDelivery,
+  getOrderTracking,
+  findOrderForTracking
+} from '../../utils/orderTracking';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn((ref, ...constraints) => ({ path: ref.path, constraints })),
+  where: jest.fn((field, op, value) => ({ field, op, value })),
+  limit: jest.fn(),
+  serverTimestamp: jest.fn()
+}));
+
+jest.mock('../../utils/shipmentService', () => ({
+  SHIPMENT_STATUSES: jest.requireActual('../../utils/carriers/constants').SHIPMENT_STATUSES,
+  SHIPMENT_DIRECTIONS: jest.requireActual('../../utils/carriers/constants').SHIPMENT_DIRECTIONS,
+  getShipmentsForOrder: jest.fn()
+}));
+
+const firestoreTimestamp = (iso) => ({ toDate: () => new Date(iso) });
+
+const order = {
+  id: 'order-1',
+  orderNumber: 'ORD-1714557600000-4821',
+  userId: 'user-1',
+  status: 'shipped',
+  createdAt: firestoreTimestamp('2024-05-01T10:00:00.000Z'),
+  customer: { email: 'Asha@Example.com' },
+  items: [{ name: 'Indigo Kurta', size: 'M', quantity: 2, price: 1299 }],
+  statusHistory: [
+    { status: 'pending', to: 'processing', timestamp: '2024-05-01T10:05:00.000Z', changedBy: 'payment_webhook', actor: 'system' },
+    { status: 'processing', to: 'shipped', timestamp: '2024-05-02T09:00:00.000Z', changedBy: 'admin-1', actor: 'admin' }
+  ]
+};
+
+const shipment = {
+  id: 'shipment-1',
+  orderId: 'order-1',
+  status: 'in_transit',
+  courierName: 'Local Courier',
+  awb: 'FAKE00000001',
+  trackingUrl: 'https://example.com/track/FAKE00000001',
+  expectedDeliveryDate: '2024-05-05T00:00:00.000Z',
+  events: [
+    { status: 'picked_up', location: 'Ahmedabad', occurredAt: '2024-05-02T12:00:00.000Z' },
+    { status: 'in_transit', location: 'Mumbai Hub', occurredAt: '2024-05-03T08:00:00.000Z' }
+  ]
+};
+
+describe('Order Tracking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createStatusHistoryEntry', () => {
+    it('should keep the old status as status and record the new one and who changed it', () => {
+      const entry = createStatusHistoryEntry({ from: 'pending', to: 'cancelled', changedBy: 'user-1', note: 'Ordered twice' }, order);
+
+      expect(entry).toMatchObject({ status: 'pending', to: 'cancelled', changedBy: 'user-1', actor: 'customer', note: 'Ordered twice' });
+      expect(entry.override).toBeUndefined();
+    });
+
+    it('should record admin overrides', () => {
+      const entry = createStatusHistoryEntry({ from: 'delivered', to: 'processing', changedBy: 'admin-1', override: true }, order);
+
+      expect(entry).toMatchObject({ actor: 'admin', override: true });
+    });
+  });
+
+  describe('getStatusChanges', () => {
+    it('should read legacy entries that held the previous status', () => {
+      const changes = getStatusChanges({
+        status: 'shipped',
+        statusHistory: [
+          { status: 'pending', timestamp: '2024-05-01T10:05:00.000Z', changedBy: 'payment_webhook' },
+          { status: 'processing', timestamp: '2024-05-02T09:00:00.000Z', changedBy: 'admin-1' }
+        ]
+      });
+
+      expect(changes.map(({ from, status, actor }) => ({ from, status, actor }))).toEqual([
+        { from: 'pending', status: 'processing', actor: 'system' },
+        { from: 'processing', status: 'shipped', actor: 'admin' }
+      ]);
+    });
+
+    it('should follow legacy entries with the ones that record where the order went', () => {
+      const changes = getStatusChanges({
+        status: 'delivered',
+        statusHistory: [
+          { status: 'pending', timestamp: '2024-05-01T10:05:00.000Z', changedBy: 'payment_webhook' },
+          { status: 'processing', to: 'shipped', timestamp: '2024-05-02T09:00:00.000Z', changedBy: 'admin-1', actor: 'admin' },
+          { status: 'shipped', to: 'delivered', timestamp: '2024-05-04T11:05:00.000Z', changedBy: 'carrier_tracking', actor: 'system' }
+        ]
+      });
+
+      expect(changes.map(({ from, status }) => [from, status])).toEqual([
+        ['pending', 'processing'],
+        ['processing', 'shipped'],
+        ['shipped', 'delivered']
+      ]);
+    });
+
+    it('should read entries written by the customer order service as they are', () => {
+      const changes = getStatusChanges({
+        userId: 'user-1',
+        status: 'pending',
+        statusHistory: [{ status: 'pending', timestamp: firestoreTimestamp('2024-05-01T10:00:00.000Z'), changedBy: 'user-1' }]
+      });
+
+      expect(changes).toEqual([expect.objectContaining({ status: 'pending', actor: 'customer' })]);
+    });
+  });
+
+  describe('buildTrackingTimeline', () => {
+    it('should merge status changes and carrier scans, oldest first', () => {
+      const timeline = buildTrackingTimeline(order, [shipment]);
+
+      expect(timeline.map(({ type, status, location }) => [type, status, location])).toEqual([
+        ['order', 'pending', null],
+        ['order', 'processing', null],
+        ['order', 'shipped', null],
+        ['shipment', 'picked_up', 'Ahmedabad'],
+        ['shipment', 'in_transit', 'Mumbai Hub']
+      ]);
+    });
+
+    it('should date each status of orders stored before entries recorded where they went', () => {
+      const stored = {
+        ...order,
+        statusHistory: [
+          { status: 'pending', timestamp: '2024-05-01T10:05:00.000Z', changedBy: 'payment_webhook' },
+          { status: 'processing', timestamp: '2024-05-02T09:00:00.000Z', changedBy: 'admin-1' }
+        ]
+      };
+
+      const timeline = buildTrackingTimeline(stored, []);
+
+      expect(timeline.map(({ status, at }) => [status, at])).toEqual([
+        ['pending', '2024-05-01T10:00:00.000Z'],
+        ['processing', '2024-05-01T10:05:00.000Z'],
+        ['shipped', '2024-05-02T09:00:00.000Z']
+      ]);
+    });
+
+    it('should show the carrier delivery scan instead of the delivered status', () => {
+      const delivered = {
+        ...order,
+        status: 'delivered',
+        statusHistory: [
+          ...order.statusHistory,
+          { status: 'shipped', to: 'delivered', timestamp: '2024-05-04T11:05:00.000Z', changedBy: 'carrier_tracking', actor: 'system' }
+        ]
+      };
+      const scanned = {
+        ...shipment,
+        events: [...shipment.events, { status: 'delivered', location: 'Andheri', occurredAt: '2024-05-04T11:00:00.000Z' }]
+      };
+
+      const timeline = buildTrackingTimeline(delivered, [scanned]);
+
+      expect(timeline.filter(entry => entry.status === 'delivered')).toEqual([
+        expect.objectContaining({ type: 'shipment', location: 'Andheri' })
+      ]);
+    });
+
+    it('should leave out scans of cancelled shipments', () => {
+      const timeline = buildTrackingTimeline(order, [{ ...shipment, status: 'cancelled' }]);
+
+      expect(timeline.some(entry => entry.type === 'shipment')).toBe(false);
+    });
+  });
+
+  describe('getExpectedDelivery', () => {
+    it('should estimate from the order date before the order ships', () => {
+      expect(getExpectedDelivery({ ...order, status: 'processing' })).toEqual({
+        from: '2024-05-05T10:00:00.000Z',
+        to: '2024-05-08T10:00:00.000Z',
+        source: 'estimate'
+      });
+    });
+
+    it('should use the window quoted for the pincode at checkout', () => {
+      const deliveryEstimate = { zone: 'metro', minDays: 3, maxDays: 5, from: '2024-05-04T10:00:00.000Z', to: '2024-05-06T10:00:00.000Z' };
+
+      expect(getExpectedDelivery({ ...order, status: 'processing', deliveryEstimate })).toEqual({
+        from: deliveryEstimate.from,
+        to: deliveryEstimate.to,
+        source: 'estimate'
+      });
+    });
+
+    it("should use the carrier's date once shipped", () => {
+      expect(getExpectedDelivery(order, shipment)).toEqual({
+        from: shipment.expectedDeliveryDate,
+        to: shipment.expectedDeliveryDate,
+        source: 'carrier'
+      });
+    });
+
+    it('should have none for cancelled orders', () => {
+      expect(getExpectedDelivery({ ...order, status: 'cancelled' })).toBeNull();
+    });
+  });
+
+  describe('getOrderTracking', () => {
+    it('should only include what the customer already knows', async () => {
+      getShipmentsForOrder.mockResolvedValue([shipment]);
+
+      const tracking = await getOrderTracking(order);
+
+      expect(tracking).toMatchObject({
+        orderNumber: 'ORD-1714557600000-4821',
+        status: 'shipped',
+        items: [{ name: 'Indigo Kurta', size: 'M', quantity: 2 }],
+        shipment: { courierName: 'Local Courier', awb: 'FAKE00000001', status: 'in_transit' },
+        expectedDelivery: { source: 'carrier' }
+      });
+      expect(tracking.items[0].price).toBeUndefined();
+      expect(tracking.customer).toBeUndefined();
+    });
+
+    it('should leave return pickups out', async () => {
+      getShipmentsForOrder.mockResolvedValue([
+        { ...shipment, id: 'pickup-1', direction: 'reverse', awb: 'FAKE00000002', status: 'picked_up' },
+        shipment
+      ]);
+
+      const tracking = await getOrderTracking(order);
+
+      expect(tracking.shipment.awb).toBe('FAKE00000001');
+    });
+  });
+
+  describe('findOrderForTracking', () => {
+    beforeEach(() => {
+      getDocs.mockResolvedValue({ docs: [{ id: 'order-1', data: () => order }] });
+    });
+
+    it('should find the order by number and email, ignoring case', async () => {
+      const found = await findOrderForTracking(' ord-1714557600000-4821 ', 'asha@example.com');
+
+      expect(found.id).toBe('order-1');
+      expect(getDocs.mock.calls[0][0].constraints[0]).toEqual({ field: 'orderNumber', op: '==', value: 'ORD-1714557600000-4821' });
+    });
+
+    it('should answer a wrong email like an unknown order', async () => {
+      const wrongEmail = findOrderForTracking('ORD-1714557600000-4821', 'someone@example.com');
+      await expect(wrongEmail).rejects.toMatchObject({ code: 'NOT_FOUND_ERROR' });
+
+      getDocs.mockResolvedValue({ docs: [] });
+      const unknown = findOrderForTracking('ORD-1714557600000-0000', 'asha@example.com');
+      await expect(unknown).rejects.toMatchObject({ code: 'NOT_FOUND_ERROR' });
+    });
+
+    it('should require both the order number and email', async () => {
+      await expect(findOrderForTracking('ORD-1714557600000-4821', '')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(getDocs).not.toHaveBeenCalled();
+    });
+  });
+});
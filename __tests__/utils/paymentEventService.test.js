@@ -0,0 +1,279 @@
+import { getDocs, updateDoc } from 'firebase/firestore';
+import { updateOrderStatus } from '../../utils/orderService';
+import {
+  recordPaymentEvent,
+  applyPaymentEvent,
+  replayPaymentEvent,
+  isStalePaymentStatus,
+  PAYMENT_EVENT_STATUSES
+} from '../../utils/paymentEventService';
+import { createFirestoreFake } from '../../test-utils/firestoreFake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  getDocs: jest.fn(),
+  limit: jest.fn(),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn()
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ...jest.requireActual('../../utils/orderService'),
+  updateOrderStatus: jest.fn()
+}));
+
+jest.mock('../../utils/userService', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../utils/emailService', () => ({
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderStatusUpdateEmail: jest.fn(),
+  sendOrderShippedEmail: jest.fn()
+}));
+
+jest.mock('../../utils/messagingService', () => ({
+  getChannelPreferences: jest.requireActual('../../utils/messagingService').getChannelPreferences,
+  sendOrderStatusMessages: jest.fn(),
+  sendOrderShippedMessages: jest.fn()
+}));
+
+jest.mock('../../utils/orderUtils', () => ({
+  createOrderStatusNotification: jest.fn()
+}));
+
+jest.mock('../../utils/productService', () => ({
+  updateProductStock: jest.fn()
+}));
+
+// In-memory documents, with the order status changes applied to them too
+const createStore = (docs) => {
+  createFirestoreFake(docs);
+
+  updateOrderStatus.mockImplementation(async (orderId, status, additionalData) => {
+    await updateDoc({ path: `orders/${orderId}` }, { ...additionalData, status });
+    return { success: true };
+  });
+
+  return docs;
+};
+
+const capturedEvent = {
+  id: 'evt_1',
+  type: 'payment.captured',
+  gatewayOrderId: 'order_gw_1',
+  paymentId: 'pay_1',
+  amount: 1044.75,
+  method: 'card',
+  status: 'captured'
+};
+
+// Deliver a webhook event the way pages/api/payments/webhook does
+const deliver = async (event, orderId = 'order-1') => {
+  const claim = await recordPaymentEvent({
+    providerId: 'fake',
+    event,
+    rawBody: JSON.stringify(event),
+    orderId
+  });
+
+  if (claim.duplicate) {
+    return claim;
+  }
+
+  return applyPaymentEvent({ id: claim.id, providerId: 'fake', event, orderId });
+};
+
+describe('paymentEventService', () => {
+  let docs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    docs = createStore({
+      'orders/order-1': {
+        userId: 'user-1',
+        status: 'pending',
+        payment: { provider: 'fake', status: 'pending', gatewayOrderId: 'order_gw_1' }
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply an event once and report redeliveries as duplicates', async () => {
+    const first = await deliver(capturedEvent);
+    const second = await deliver(capturedEvent);
+
+    expect(first.processingStatus).toBe(PAYMENT_EVENT_STATUSES.APPLIED);
+    expect(second).toMatchObject({ id: 'fake_evt_1', duplicate: true, processingStatus: 'applied' });
+    expect(updateOrderStatus).toHaveBeenCalledTimes(1);
+    expect(updateOrderStatus).toHaveBeenCalledWith(
+      'order-1',
+      'processing',
+      {},
+      { changedBy: 'payment_webhook', userId: 'user-1' }
+    );
+    expect(docs['paymentEvents/fake_evt_1']).toMatchObject({
+      provider: 'fake',
+      type: 'payment.captured',
+      orderId: 'order-1',
+      attempts: 1,
+      processingStatus: 'applied',
+      payload: JSON.stringify(capturedEvent)
+    });
+  });
+
+  it('should report an event another delivery is processing as a duplicate', async () => {
+    await recordPaymentEvent({ providerId: 'fake', event: capturedEvent, rawBody: '{}', orderId: 'order-1' });
+
+    const claim = await recordPaymentEvent({ providerId: 'fake', event: capturedEvent, rawBody: '{}', orderId: 'order-1' });
+
+    expect(claim).toMatchObject({ duplicate: true, processingStatus: 'processing' });
+  });
+
+  it('should key events without an id by a hash of the body', async () => {
+    const event = { ...capturedEvent, id: undefined };
+
+    await deliver(event);
+    const second = await deliver(event);
+
+    expect(second.duplicate).toBe(true);
+    expect(second.id).toMatch(/^fake_[0-9a-f]{40}$/);
+    expect(updateOrderStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('should find orders that only live under the customer through the gateway mapping', async () => {
+    docs['users/user-1/orders/order-1'] = docs['orders/order-1'];
+    delete docs['orders/order-1'];
+    getDocs.mockResolvedValue({
+      empty: false,
+      docs: [{ data: () => ({ provider: 'fake', orderId: 'order-1', userId: 'user-1' }) }]
+    });
+
+    const result = await deliver({ ...capturedEvent, type: 'payment.authorized', status: 'authorized' });
+
+    expect(result.processingStatus).toBe(PAYMENT_EVENT_STATUSES.APPLIED);
+    expect(updateOrderStatus).toHaveBeenCalledWith(
+      'order-1',
+      'payment_processing',
+      {},
+      { changedBy: 'payment_webhook', userId: 'user-1' }
+    );
+  });
+
+  it('should change the order status once when two deliveries race', async () => {
+    // The first status change is still running when the second delivery reads the order
+    const applyStatus = updateOrderStatus.getMockImplementation();
+    updateOrderStatus.mockImplementation(async (...args) => {
+      await new Promise(resolve => setImmediate(resolve));
+      return applyStatus(...args);
+    });
+
+    const results = await Promise.all([
+      deliver(capturedEvent),
+      deliver({ ...capturedEvent, id: 'evt_1_retry' })
+    ]);
+
+    expect(results.map(result => result.processingStatus)).toEqual(['applied', 'applied']);
+    expect(updateOrderStatus).toHaveBeenCalledTimes(1);
+    expect(docs['orders/order-1']).toMatchObject({ status: 'processing', payment: { status: 'paid' } });
+  });
+
+  it('should ignore events older than the order payment state', async () => {
+    await deliver(capturedEvent);
+    const result = await deliver({ ...capturedEvent, id: 'evt_0', type: 'payment.failed', status: 'failed' });
+
+    expect(result).toMatchObject({ processingStatus: 'ignored', reason: 'stale_event' });
+    expect(docs['orders/order-1']).toMatchObject({ status: 'processing', payment: { status: 'paid' } });
+    expect(updateOrderStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record refund events in the order refund ledger', async () => {
+    await deliver(capturedEvent);
+    const result = await deliver({ id: 'evt_2', type: 'refund.created', paymentId: 'pay_1', refundId: 'rfnd_1', amount: 100 });
+
+    expect(result).toMatchObject({ processingStatus: 'applied', result: { refundStatus: 'initiated' } });
+    expect(docs['orders/order-1'].payment.status).toBe('refund_initiated');
+    expect(docs['orders/order-1'].refunds).toEqual([
+      expect.objectContaining({ amount: 100, gatewayRefundId: 'rfnd_1', status: 'initiated' })
+    ]);
+  });
+
+  it('should mark unhandled event types as ignored', async () => {
+    const result = await deliver({ id: 'evt_3', type: 'order.paid' });
+
+    expect(result).toMatchObject({ processingStatus: 'ignored', reason: 'unhandled_event' });
+    expect(updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it('should let a redelivery retry a failed event', async () => {
+    updateOrderStatus.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    await expect(deliver(capturedEvent)).rejects.toThrow('Firestore unavailable');
+    expect(docs['paymentEvents/fake_evt_1']).toMatchObject({
+      processingStatus: 'failed',
+      error: 'Firestore unavailable'
+    });
+    expect(docs['orders/order-1'].payment.status).toBe('pending');
+
+    const retry = await deliver(capturedEvent);
+
+    expect(retry.processingStatus).toBe('applied');
+    expect(docs['paymentEvents/fake_evt_1'].attempts).toBe(2);
+    expect(docs['orders/order-1'].status).toBe('processing');
+  });
+
+  it('should replay a stored event for an admin', async () => {
+    updateOrderStatus.mockRejectedValueOnce(new Error('Firestore unavailable'));
+    await expect(deliver(capturedEvent)).rejects.toThrow();
+
+    const result = await replayPaymentEvent('fake_evt_1', 'admin-1');
+
+    expect(result.processingStatus).toBe('applied');
+    expect(docs['paymentEvents/fake_evt_1']).toMatchObject({
+      processingStatus: 'applied',
+      attempts: 2,
+      lastReplayedBy: 'admin-1'
+    });
+    expect(docs['orders/order-1'].payment.status).toBe('paid');
+  });
+
+  it('should reject replaying an unknown event', async () => {
+    await expect(replayPaymentEvent('fake_missing', 'admin-1')).rejects.toMatchObject({
+      code: 'NOT_FOUND_ERROR'
+    });
+  });
+
+  describe('isStalePaymentStatus', () => {
+    it('should only let payment statuses move forward', () => {
+      expect(isStalePaymentStatus('pending', 'failed')).toBe(false);
+      expect(isStalePaymentStatus('failed', 'paid')).toBe(false);
+      expect(isStalePaymentStatus('paid', 'authorized')).toBe(true);
+      expect(isStalePaymentStatus('paid', 'failed')).toBe(true);
+      expect(isStalePaymentStatus('refunded', 'paid')).toBe(true);
+      expect(isStalePaymentStatus(undefined, 'authorized')).toBe(false);
+    });
+  });
+});
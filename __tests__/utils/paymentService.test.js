@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import { setDoc, updateDoc } from 'firebase/firestore';
+import { createRazorpayClient } from '../../utils/razorpayClient';
+import { holdOrderStock, convertReservation } from '../../utils/stockReservationService';
+import { updateOrderStatus } from '../../utils/orderService';
+import {
+  initializePayment,
+  verifyPayment,
+  refundPayment,
+  getPaymentStatus,
+  getOrderByGatewayOrderId
+} from '../../utils/paymentService';
+import {
+  registerPaymentProvider,
+  unregisterPaymentProvider,
+  selectPaymentProvider,
+  getPaymentProvider
+} from '../../utils/paymentProviders';
+import { createFakePaymentProvider } from '../../utils/paymentProviders/fake';
+import { startRazorpayStub } from '../../scripts/razorpay-stub-server';
+import { createFirestoreFake } from '../../test-utils/firestoreFake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  query: jest.fn((ref, ...constraints) => ({ path: ref.path, constraints: constraints.filter(Boolean) })),
+  where: jest.fn((field, op, value) => ({ field, value })),
+  limit: jest.fn(),
+  getDocs: jest.fn(),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('../../utils/stockReservationService', () => ({
+  holdOrderStock: jest.fn().mockResolvedValue({ reservationId: 'reservation-1', status: 'held' }),
+  convertReservation: jest.fn().mockResolvedValue({ converted: true }),
+  convertOrderStock: jest.fn().mockResolvedValue({ converted: true })
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ...jest.requireActual('../../utils/orderService'),
+  updateOrderStatus: jest.fn()
+}));
+
+const KEY_ID = 'rzp_test_key';
+const KEY_SECRET = 'rzp_test_secret';
+
+// In-memory documents, with the order status changes applied to them too
+const createStore = (docs) => {
+  createFirestoreFake(docs);
+
+  // Stands in for the status state machine, which updates both copies
+  updateOrderStatus.mockImplementation(async (orderId, status, additionalData, { userId }) => {
+    for (const path of [`orders/${orderId}`, `users/${userId}/orders/${orderId}`]) {
+      if (docs[path]) {
+        await updateDoc({ path }, { ...additionalData, status });
+      }
+    }
+  });
+
+  return docs;
+};
+
+const order = {
+  userId: 'user-1',
+  status: 'pending',
+  paymentMethod: 'card',
+  items: [{ productId: 'jeans-1', price: 995, quantity: 1 }],
+  totalAmount: 1044.75
+};
+
+describe('paymentService', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startRazorpayStub({ keyId: KEY_ID, keySecret: KEY_SECRET, port: 0 });
+    process.env.RAZORPAY_API_URL = stub.url;
+    process.env.RAZORPAY_KEY_ID = KEY_ID;
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stub.orders.clear();
+    stub.requests.length = 0;
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('createRazorpayClient', () => {
+    it('should create and fetch gateway orders with Basic auth', async () => {
+      const client = createRazorpayClient();
+
+      const created = await client.createOrder({ amount: 50000, currency: 'INR', receipt: 'order-1' });
+      const fetched = await client.fetchOrder(created.id);
+
+      expect(created).toMatchObject({ entity: 'order', amount: 50000, receipt: 'order-1', status: 'created' });
+      expect(created.id).toMatch(/^order_/);
+      expect(fetched.id).toBe(created.id);
+      expect(stub.requests[0].headers.authorization).toBe(
+        `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`
+      );
+    });
+
+    it('should surface gateway errors', async () => {
+      const client = createRazorpayClient({ keySecret: 'wrong-secret' });
+
+      await expect(client.createOrder({ amount: 50000, receipt: 'order-1' })).rejects.toMatchObject({
+        code: 'EXTERNAL_SERVICE_ERROR',
+        message: 'Authentication failed',
+        details: { status: 401, gatewayCode: 'BAD_REQUEST_ERROR' }
+      });
+    });
+
+    it('should reject non-integer amounts before calling the gateway', async () => {
+      const client = createRazorpayClient();
+
+      await expect(client.createOrder({ amount: 104.5, receipt: 'order-1' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+      expect(stub.requests).toHaveLength(0);
+    });
+  });
+
+  describe('initializePayment with Razorpay', () => {
+    it('should create a gateway order from the stored order total', async () => {
+      const docs = createStore({ 'users/user-1/orders/order-1': { ...order } });
+
+      const result = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const { options } = result.data.checkout;
+      const gatewayOrderId = options.order_id;
+
+      expect(result.data).toMatchObject({ provider: 'razorpay', checkout: { type: 'razorpay' } });
+      expect(gatewayOrderId).toMatch(/^order_/);
+      expect(gatewayOrderId).not.toBe('order-1');
+      expect(options.amount).toBe(104475);
+      expect(stub.orders.get(gatewayOrderId)).toMatchObject({
+        amount: 104475,
+        currency: 'INR',
+        receipt: 'order-1',
+        notes: { order_id: 'order-1', user_id: 'user-1' }
+      });
+      expect(docs['users/user-1/orders/order-1'].payment).toMatchObject({
+        provider: 'razorpay',
+        method: 'card',
+        status: 'pending',
+        gatewayOrderId,
+        gatewayAmount: 104475
+      });
+      await expect(getOrderByGatewayOrderId(gatewayOrderId)).resolves.toMatchObject({
+        provider: 'razorpay',
+        orderId: 'order-1',
+        userId: 'user-1'
+      });
+    });
+
+    it('should reuse the gateway order when checkout is retried', async () => {
+      createStore({
+        'orders/order-1': { ...order },
+        'users/user-1/orders/order-1': { ...order }
+      });
+
+      const first = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const second = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'upi' });
+
+      expect(second.data.checkout.options.order_id).toBe(first.data.checkout.options.order_id);
+      expect(second.data.checkout.options.method).toBe('upi');
+      expect(stub.orders.size).toBe(1);
+    });
+
+    it('should not let a prepaid order be switched to Cash on Delivery', async () => {
+      const docs = createStore({ 'users/user-1/orders/order-1': { ...order } });
+
+      await expect(initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'cod' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'paymentMethod' }
+      });
+      expect(holdOrderStock).not.toHaveBeenCalled();
+      expect(convertReservation).not.toHaveBeenCalled();
+      expect(docs['users/user-1/orders/order-1'].payment).toBeUndefined();
+    });
+
+    it('should not let users pay for other users\' orders', async () => {
+      createStore({ 'orders/order-1': { ...order, userId: 'user-2' } });
+
+      await expect(initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' })).rejects.toMatchObject({
+        code: 'AUTHORIZATION_ERROR'
+      });
+      expect(stub.orders.size).toBe(0);
+    });
+  });
+
+  describe('verifyPayment with Razorpay', () => {
+    it('should accept a signature over the gateway order id', async () => {
+      const docs = createStore({ 'users/user-1/orders/order-1': { ...order } });
+      const { data } = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const gatewayOrderId = data.checkout.options.order_id;
+      const sign = (signedOrderId) => crypto
+        .createHmac('sha256', KEY_SECRET)
+        .update(`${signedOrderId}|pay_123`)
+        .digest('hex');
+
+      await expect(verifyPayment({
+        orderId: 'order-1',
+        userId: 'user-1',
+        payload: {
+          razorpay_order_id: gatewayOrderId,
+          razorpay_payment_id: 'pay_123',
+          razorpay_signature: sign('order-1')
+        }
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+      await expect(verifyPayment({
+        orderId: 'order-1',
+        userId: 'user-1',
+        payload: {
+          razorpay_order_id: gatewayOrderId,
+          razorpay_payment_id: 'pay_123',
+          razorpay_signature: sign(gatewayOrderId)
+        }
+      })).resolves.toMatchObject({ success: true, data: { paymentId: 'pay_123' } });
+      expect(docs['users/user-1/orders/order-1']).toMatchObject({ status: 'processing', payment: { status: 'paid' } });
+    });
+
+    it('should only record the payment on an order that has already moved on', async () => {
+      const docs = createStore({ 'users/user-1/orders/order-1': { ...order } });
+      const { data } = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const gatewayOrderId = data.checkout.options.order_id;
+      docs['users/user-1/orders/order-1'].status = 'cancelled';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await verifyPayment({
+        orderId: 'order-1',
+        userId: 'user-1',
+        payload: {
+          razorpay_order_id: gatewayOrderId,
+          razorpay_payment_id: 'pay_123',
+          razorpay_signature: crypto.createHmac('sha256', KEY_SECRET).update(`${gatewayOrderId}|pay_123`).digest('hex')
+        }
+      });
+
+      expect(updateOrderStatus).not.toHaveBeenCalled();
+      expect(docs['users/user-1/orders/order-1']).toMatchObject({ status: 'cancelled', payment: { status: 'paid' } });
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Razorpay provider', () => {
+    it('should normalize webhook payloads', () => {
+      const event = getPaymentProvider('razorpay').parseWebhookEvent({
+        event: 'payment.captured',
+        payload: {
+          payment: {
+            entity: { id: 'pay_1', order_id: 'order_abc', amount: 104475, method: 'upi', status: 'captured', notes: {} }
+          }
+        }
+      }, { 'x-razorpay-event-id': 'evt_1' });
+
+      expect(event).toMatchObject({
+        id: 'evt_1',
+        type: 'payment.captured',
+        gatewayOrderId: 'order_abc',
+        paymentId: 'pay_1',
+        amount: 1044.75,
+        orderId: null
+      });
+    });
+
+    it('should refund through the gateway', async () => {
+      createStore({
+        'orders/order-1': { ...order, payment: { provider: 'razorpay', details: { paymentId: 'pay_1' } } }
+      });
+
+      const refund = await refundPayment({ orderId: 'order-1', amount: 500 });
+
+      expect(refund).toMatchObject({ provider: 'razorpay', amount: 500, status: 'processed' });
+      expect(stub.refunds.get(refund.refundId)).toMatchObject({ payment_id: 'pay_1', amount: 50000 });
+    });
+  });
+
+  describe('provider selection', () => {
+    let fake;
+
+    beforeEach(() => {
+      fake = registerPaymentProvider(createFakePaymentProvider());
+      process.env.PAYMENT_PROVIDER = 'fake';
+    });
+
+    afterEach(() => {
+      unregisterPaymentProvider('fake');
+      delete process.env.PAYMENT_PROVIDER;
+    });
+
+    it('should route online methods to the configured provider and COD to cash on delivery', () => {
+      expect(selectPaymentProvider('card').id).toBe('fake');
+      expect(selectPaymentProvider('netbanking').id).toBe('razorpay');
+      expect(selectPaymentProvider('cod').id).toBe('cod');
+      expect(() => selectPaymentProvider('bitcoin')).toThrow('Unsupported payment method: bitcoin');
+    });
+
+    it('should pay, check and refund an order through the order\'s provider', async () => {
+      const docs = createStore({
+        'orders/order-1': { ...order },
+        'users/user-1/orders/order-1': { ...order }
+      });
+
+      const { data } = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const payload = fake.completeCheckout(data.checkout.gatewayOrderId);
+
+      // Switching the default gateway later must not affect orders already started
+      delete process.env.PAYMENT_PROVIDER;
+
+      await verifyPayment({ orderId: 'order-1', userId: 'user-1', payload });
+      await expect(getPaymentStatus('order-1')).resolves.toEqual({ provider: 'fake', status: 'paid' });
+
+      const refund = await refundPayment({ orderId: 'order-1' });
+
+      expect(docs['users/user-1/orders/order-1'].payment).toMatchObject({
+        provider: 'fake',
+        status: 'paid',
+        details: { paymentId: payload.paymentId }
+      });
+      expect(docs['users/user-1/orders/order-1'].stockReservationId).toBe('reservation-1');
+      // The state machine takes the held stock on the way to processing
+      expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'processing', expect.objectContaining({
+        'payment.status': 'paid'
+      }), { changedBy: 'payment_verify', userId: 'user-1' });
+      expect(refund).toMatchObject({ provider: 'fake', amount: 1044.75 });
+      expect(fake.refunds[0]).toMatchObject({ paymentId: payload.paymentId, amount: 104475 });
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it('should reject a confirmation for a different gateway order', async () => {
+      createStore({
+        'users/user-1/orders/order-1': { ...order },
+        'users/user-1/orders/order-2': { ...order }
+      });
+
+      await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'card' });
+      const other = await initializePayment({ orderId: 'order-2', userId: 'user-1', paymentMethod: 'card' });
+
+      await expect(verifyPayment({
+        orderId: 'order-1',
+        userId: 'user-1',
+        payload: fake.completeCheckout(other.data.checkout.gatewayOrderId)
+      })).rejects.toMatchObject({ message: 'Payment does not belong to this order' });
+    });
+
+    it('should not need a gateway for Cash on Delivery', async () => {
+      const docs = createStore({ 'users/user-1/orders/order-1': { ...order, paymentMethod: 'cod' } });
+
+      const { data } = await initializePayment({ orderId: 'order-1', userId: 'user-1', paymentMethod: 'cod' });
+
+      expect(data).toEqual({ provider: 'cod', checkout: { type: 'none' } });
+      expect(docs['users/user-1/orders/order-1'].payment).toMatchObject({ provider: 'cod', gatewayOrderId: null });
+      expect(setDoc).not.toHaveBeenCalled();
+      expect(holdOrderStock).toHaveBeenCalledWith(expect.objectContaining({ id: 'order-1' }));
+      expect(convertReservation).toHaveBeenCalledWith('reservation-1');
+    });
+
+    it('should reject incomplete providers', () => {
+      expect(() => registerPaymentProvider({ id: 'broken', paymentMethods: ['card'] })).toThrow('Invalid payment provider broken');
+    });
+  });
+});
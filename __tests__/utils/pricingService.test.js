@@ -0,0 +1,234 @@
+import { getDoc, getDocs } from 'firebase/firestore';
+import {
+  getUnitPrice,
+  calculateTotals,
+  priceOrder,
+  assertClientTotal
+} from '../../utils/pricingService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  getDocs: jest.fn(),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp'),
+  runTransaction: jest.fn()
+}));
+
+const products = {
+  'products/jeans-1': { name: 'Indigo Jeans', category: 'jeans', price: 1500, salePrice: 1200 },
+  'products/shirt-1': { name: 'Linen Shirt', category: 'shirts', price: 500 },
+  'products/jeans-2': {
+    name: 'Straight Jeans',
+    category: 'jeans',
+    price: 2000,
+    salePrice: 1800,
+    variants: [
+      { id: 'dark-indigo-32-30', sku: 'SJ-DI-3230', wash: 'Dark Indigo', size: '32', length: '30', price: null, salePrice: null },
+      { id: 'black-32-32', sku: 'SJ-BK-3232', wash: 'Black', size: '32', length: '32', price: 2200, salePrice: null }
+    ]
+  }
+};
+
+const mockFirestore = (docs) => {
+  getDoc.mockImplementation(async (ref) => ({
+    exists: () => !!docs[ref.path],
+    data: () => docs[ref.path]
+  }));
+};
+
+describe('pricingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getUnitPrice', () => {
+    it('should use the sale price only when it is lower than the regular price', () => {
+      expect(getUnitPrice({ price: 1500, salePrice: 1200 })).toBe(1200);
+      expect(getUnitPrice({ price: 1500, salePrice: 1800 })).toBe(1500);
+      expect(getUnitPrice({ price: 1500, salePrice: 0 })).toBe(1500);
+      expect(getUnitPrice({ price: 1500 })).toBe(1500);
+    });
+
+    it('should let a variant override the product price', () => {
+      const product = { price: 2000, salePrice: 1800 };
+
+      expect(getUnitPrice(product, { price: null, salePrice: null })).toBe(1800);
+      expect(getUnitPrice(product, { price: 2200, salePrice: 1900 })).toBe(1900);
+      expect(getUnitPrice(product, { price: 2200, salePrice: null })).toBe(2200);
+      expect(getUnitPrice(product, { price: 1500 })).toBe(1500);
+    });
+  });
+
+  describe('calculateTotals', () => {
+    it('should charge shipping and GST on small orders', () => {
+      expect(calculateTotals({ items: [{ price: 500, quantity: 1 }] })).toMatchObject({
+        subtotal: 500,
+        discount: 0,
+        shippingCost: 100,
+        tax: 25,
+        total: 625
+      });
+    });
+
+    it('should apply the discount before shipping and tax', () => {
+      const totals = calculateTotals({ items: [{ price: 1200, quantity: 1 }], discount: 300 });
+
+      expect(totals).toMatchObject({
+        subtotal: 1200,
+        discount: 300,
+        shippingCost: 100,
+        tax: 45,
+        total: 1045
+      });
+    });
+
+    it('should give free shipping above the threshold and cap the discount', () => {
+      expect(calculateTotals({ items: [{ price: 1200, quantity: 1 }] }).shippingCost).toBe(0);
+      expect(calculateTotals({ items: [{ price: 200, quantity: 1 }], discount: 500 }).discount).toBe(200);
+    });
+
+    it('should return zero totals for an empty cart', () => {
+      expect(calculateTotals({ items: [] }).total).toBe(0);
+    });
+  });
+
+  describe('priceOrder', () => {
+    it('should replace client prices with Firestore prices', async () => {
+      mockFirestore(products);
+
+      const result = await priceOrder({
+        items: [
+          { id: 'jeans-1', price: 1, quantity: 1, size: 'M' },
+          { id: 'shirt-1', price: 1, quantity: 2, size: 'L' }
+        ]
+      });
+
+      expect(result.items.map(item => item.price)).toEqual([1200, 500]);
+      expect(result.totals).toMatchObject({ subtotal: 2200, shippingCost: 0, tax: 110, total: 2310 });
+    });
+
+    it('should apply a valid coupon', async () => {
+      mockFirestore({
+        ...products,
+        'coupons/SAVE100': { type: 'fixed', value: 100, active: true }
+      });
+
+      const result = await priceOrder({
+        items: [{ id: 'shirt-1', quantity: 1 }],
+        couponCode: 'save100',
+        userId: 'user-1'
+      });
+
+      expect(result.totals).toMatchObject({ subtotal: 500, discount: 100, total: 520 });
+    });
+
+    it('should split GST by the destination state', async () => {
+      mockFirestore({
+        ...products,
+        'products/shirt-1': { ...products['products/shirt-1'], hsnCode: '6205', taxSlab: 'standard' }
+      });
+
+      const result = await priceOrder({
+        items: [{ id: 'shirt-1', quantity: 1 }],
+        destinationState: 'Maharashtra'
+      });
+
+      expect(result.items[0]).toMatchObject({ hsnCode: '6205', taxSlab: 'standard' });
+      expect(result.totals.gst).toMatchObject({ supplyType: 'inter_state', igst: 90, cgst: 0, sgst: 0 });
+    });
+
+    it('should reject an invalid coupon', async () => {
+      mockFirestore(products);
+
+      await expect(priceOrder({
+        items: [{ id: 'shirt-1', quantity: 1 }],
+        couponCode: 'NOPE',
+        userId: 'user-1'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('should price variants and copy their SKU and options onto the item', async () => {
+      mockFirestore(products);
+
+      const result = await priceOrder({
+        items: [
+          { id: 'jeans-2', variantId: 'dark-indigo-32-30', quantity: 1, price: 1 },
+          { id: 'jeans-2', variantId: 'black-32-32', quantity: 1, price: 1 }
+        ]
+      });
+
+      expect(result.items[0]).toMatchObject({ price: 1800, sku: 'SJ-DI-3230', wash: 'Dark Indigo', size: '32', length: '30' });
+      expect(result.items[1]).toMatchObject({ price: 2200, sku: 'SJ-BK-3232', wash: 'Black', length: '32' });
+    });
+
+    it('should reject variant products without a known variant', async () => {
+      mockFirestore(products);
+
+      await expect(priceOrder({ items: [{ id: 'jeans-2', size: '32', quantity: 1 }] }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { productId: 'jeans-2', variantId: null } });
+      await expect(priceOrder({ items: [{ id: 'jeans-2', variantId: 'stone-40-30', quantity: 1 }] }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('should price shipping with the chosen option and add the COD fee when paying on delivery', async () => {
+      mockFirestore({
+        ...products,
+        'products/shirt-1': { ...products['products/shirt-1'], weight: 0.4 }
+      });
+      getDocs.mockResolvedValue({
+        docs: [
+          { id: 'standard', data: () => ({ name: 'Standard', service: 'standard', baseRate: 60, codFee: 40 }) },
+          { id: 'express', data: () => ({ name: 'Express', service: 'express', baseRate: 150, codFee: 40, deliveryDays: { min: 1, max: 2 } }) }
+        ]
+      });
+      const serviceability = {
+        deliverable: true,
+        zone: 'metro',
+        estimatedDays: { min: 3, max: 5 }
+      };
+
+      const result = await priceOrder({
+        items: [{ id: 'shirt-1', quantity: 1 }],
+        serviceability,
+        shippingService: 'express',
+        paymentMethod: 'cod'
+      });
+
+      expect(result.shippingOptions.map(option => option.service)).toEqual(['standard', 'express']);
+      expect(result.shippingOption).toMatchObject({ service: 'express', ruleId: 'express', shippingCost: 150, codFee: 40, weight: 0.4 });
+      expect(result.totals).toMatchObject({ shippingCost: 150, codFee: 40, total: 715 });
+
+      const prepaid = await priceOrder({ items: [{ id: 'shirt-1', quantity: 1 }], serviceability, paymentMethod: 'upi' });
+
+      expect(prepaid.shippingOption).toMatchObject({ service: 'standard', codFee: 0 });
+      expect(prepaid.totals.total).toBe(585);
+    });
+
+    it('should reject missing products and bad quantities', async () => {
+      mockFirestore(products);
+
+      await expect(priceOrder({ items: [{ id: 'ghost', quantity: 1 }] }))
+        .rejects.toMatchObject({ code: 'NOT_FOUND_ERROR' });
+      await expect(priceOrder({ items: [{ id: 'shirt-1', quantity: 0 }] }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('assertClientTotal', () => {
+    it('should accept a matching total and reject a tampered one', () => {
+      expect(() => assertClientTotal(690, 690)).not.toThrow();
+      expect(() => assertClientTotal(1, 690)).toThrow('Order total has changed');
+    });
+  });
+});
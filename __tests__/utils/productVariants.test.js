@@ -0,0 +1,88 @@
+import {
+  buildVariantId,
+  findVariant,
+  getVariantOptions,
+  getSizesInStock,
+  getVariantImages,
+  getVariantLabel,
+  buildVariantMatrix,
+  normalizeVariants,
+  toVariantRows
+} from '../../utils/productVariants';
+
+const product = {
+  images: ['product.jpg'],
+  variants: [
+    { id: 'dark-indigo-30-32', sku: 'SJ-DI-3032', wash: 'Dark Indigo', size: '30', length: '32', images: ['dark.jpg'] },
+    { id: 'dark-indigo-32-32', sku: 'SJ-DI-3232', wash: 'Dark Indigo', size: '32', length: '32', images: [] },
+    { id: 'stone-wash-32-34', sku: 'SJ-SW-3234', wash: 'Stone Wash', size: '32', length: '34', images: [] }
+  ],
+  stock: { 'dark-indigo-30-32': 0, 'dark-indigo-32-32': 2, 'stone-wash-32-34': 5 }
+};
+
+describe('productVariants', () => {
+  it('should build variant IDs from the wash, size and length', () => {
+    expect(buildVariantId({ wash: 'Dark Indigo', size: 32, length: '30' })).toBe('dark-indigo-32-30');
+    expect(buildVariantId({ wash: ' Stone Wash ', size: '34', length: '' })).toBe('stone-wash-34');
+  });
+
+  it('should find variants and list their options', () => {
+    expect(findVariant(product, { wash: 'Stone Wash', size: '32', length: '34' }).sku).toBe('SJ-SW-3234');
+    expect(findVariant(product, { wash: 'Stone Wash', size: '30', length: '34' })).toBeNull();
+    expect(getVariantOptions(product)).toEqual({
+      washes: ['Dark Indigo', 'Stone Wash'],
+      sizes: ['30', '32'],
+      lengths: ['32', '34']
+    });
+  });
+
+  it('should list the sizes in stock for variant and size-only products', () => {
+    expect(getSizesInStock(product)).toEqual(['32']);
+    expect(getSizesInStock({ stock: { 30: 0, 32: 3 } })).toEqual(['32']);
+    expect(getSizesInStock({})).toEqual([]);
+  });
+
+  it('should fall back to the images of the wash, then the product', () => {
+    expect(getVariantImages(product, product.variants[1])).toEqual(['dark.jpg']);
+    expect(getVariantImages(product, product.variants[2])).toEqual(['product.jpg']);
+    expect(getVariantLabel(product.variants[2])).toBe('Stone Wash W32 L34');
+  });
+
+  it('should generate the missing combinations only', () => {
+    const rows = buildVariantMatrix(
+      { washes: ['Dark Indigo'], sizes: ['30', '32'], lengths: ['32'] },
+      [{ ...product.variants[0], stock: 4 }]
+    );
+
+    expect(rows.map(row => row.id)).toEqual(['dark-indigo-30-32', 'dark-indigo-32-32']);
+    expect(rows[0].stock).toBe(4);
+  });
+
+  describe('normalizeVariants', () => {
+    it('should split variant rows into variants and stock', () => {
+      const { variants, stock } = normalizeVariants(toVariantRows(product).map(row => ({ ...row, price: row.id === 'stone-wash-32-34' ? '1999' : '' })));
+
+      expect(stock).toEqual(product.stock);
+      expect(variants[2]).toEqual({
+        id: 'stone-wash-32-34',
+        sku: 'SJ-SW-3234',
+        wash: 'Stone Wash',
+        size: '32',
+        length: '34',
+        price: 1999,
+        salePrice: null,
+        images: []
+      });
+    });
+
+    it('should reject incomplete, repeated and badly priced variants', () => {
+      const row = { sku: 'SJ-1', wash: 'Black', size: '32', length: '30', price: '', salePrice: '', stock: 1 };
+
+      expect(() => normalizeVariants([{ ...row, sku: '' }])).toThrow('SKU is required');
+      expect(() => normalizeVariants([{ ...row, wash: '' }])).toThrow('wash and size are required');
+      expect(() => normalizeVariants([row, { ...row, sku: 'sj-1', length: '32' }])).toThrow('used by more than one variant');
+      expect(() => normalizeVariants([row, { ...row, sku: 'SJ-2' }])).toThrow('listed more than once');
+      expect(() => normalizeVariants([{ ...row, price: '-5' }])).toThrow('price must be a positive number');
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import { getDocs, updateDoc } from 'firebase/firestore';
+import { updateOrderStatus } from '../../utils/orderService';
+import {
+  createRefund,
+  applyRefundEvent,
+  summarizeRefunds,
+  getRefundLedger,
+  REFUND_STATUSES
+} from '../../utils/refundService';
+import { registerPaymentProvider, unregisterPaymentProvider } from '../../utils/paymentProviders';
+import { createFakePaymentProvider } from '../../utils/paymentProviders/fake';
+import { createFirestoreFake } from '../../test-utils/firestoreFake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  limit: jest.fn(),
+  getDocs: jest.fn(),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn()
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ...jest.requireActual('../../utils/orderService'),
+  updateOrderStatus: jest.fn()
+}));
+
+jest.mock('../../utils/userService', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../utils/emailService', () => ({
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderStatusUpdateEmail: jest.fn(),
+  sendOrderShippedEmail: jest.fn()
+}));
+
+jest.mock('../../utils/messagingService', () => ({
+  getChannelPreferences: jest.requireActual('../../utils/messagingService').getChannelPreferences,
+  sendOrderStatusMessages: jest.fn(),
+  sendOrderShippedMessages: jest.fn()
+}));
+
+jest.mock('../../utils/orderUtils', () => ({
+  createOrderStatusNotification: jest.fn()
+}));
+
+jest.mock('../../utils/productService', () => ({
+  updateProductStock: jest.fn()
+}));
+
+// In-memory documents, with the order status changes applied to them too
+const createStore = (docs) => {
+  createFirestoreFake(docs);
+
+  updateOrderStatus.mockImplementation(async (orderId, status, additionalData) => {
+    await updateDoc({ path: `orders/${orderId}` }, { ...additionalData, status });
+    return { success: true };
+  });
+
+  return docs;
+};
+
+// Two pairs of jeans and a tee with itemized GST: 2240 + 525 = 2765
+const createOrder = (overrides = {}) => ({
+  userId: 'user-1',
+  status: 'delivered',
+  total: 2765,
+  items: [
+    { productId: 'jeans-1', name: 'Slim Jeans', size: '32', price: 1000, quantity: 2 },
+    { productId: 'tee-1', name: 'Basic Tee', size: 'M', price: 500, quantity: 1 }
+  ],
+  gst: {
+    lines: [
+      { taxableValue: 2000, cgst: 120, sgst: 120, igst: 0 },
+      { taxableValue: 500, cgst: 12.5, sgst: 12.5, igst: 0 }
+    ]
+  },
+  payment: { provider: 'fake', status: 'paid', details: { paymentId: 'pay_1' } },
+  ...overrides
+});
+
+describe('refundService', () => {
+  let docs;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    provider = createFakePaymentProvider();
+    registerPaymentProvider(provider);
+
+    docs = createStore({
+      'orders/order-1': createOrder(),
+      'products/jeans-1': { name: 'Slim Jeans', stock: { 32: 4 } }
+    });
+  });
+
+  afterEach(() => {
+    unregisterPaymentProvider('fake');
+    jest.restoreAllMocks();
+  });
+
+  it('should refund items through the gateway and mark the order partially refunded', async () => {
+    const result = await createRefund({
+      orderId: 'order-1',
+      reason: 'Wrong size',
+      adminId: 'admin-1',
+      items: [{ productId: 'jeans-1', size: '32', quantity: 1 }]
+    });
+
+    expect(result.refund).toMatchObject({
+      amount: 1120,
+      status: REFUND_STATUSES.PROCESSED,
+      provider: 'fake',
+      createdBy: 'admin-1',
+      items: [{ productId: 'jeans-1', size: '32', quantity: 1, amount: 1120 }]
+    });
+    expect(result.refund.gatewayRefundId).toMatch(/^rfnd_fake_/);
+    expect(provider.refunds[0]).toMatchObject({
+      paymentId: 'pay_1',
+      amount: 112000,
+      notes: { order_id: 'order-1', refund_id: result.refund.id }
+    });
+    expect(result.orderStatus).toBe('partially_refunded');
+    expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'partially_refunded', {}, {
+      changedBy: 'admin-1',
+      note: 'Refund of 1120: Wrong size',
+      userId: 'user-1'
+    });
+    expect(docs['orders/order-1']).toMatchObject({
+      refundedAmount: 1120,
+      payment: { status: 'partially_refunded' }
+    });
+    expect(docs['products/jeans-1'].stock[32]).toBe(5);
+  });
+
+  it('should add partial refunds up to a full refund', async () => {
+    await createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 500 });
+    const result = await createRefund({ orderId: 'order-1', reason: 'Order returned', adminId: 'admin-1' });
+
+    const ledger = getRefundLedger(docs['orders/order-1']);
+
+    expect(ledger).toHaveLength(2);
+    expect(ledger[0]).toMatchObject({ amount: 500, items: [] });
+    expect(ledger[1].amount).toBe(2265);
+    expect(ledger[1].items).toHaveLength(2);
+    expect(result.orderStatus).toBe('refunded');
+    expect(summarizeRefunds(docs['orders/order-1'])).toMatchObject({
+      refundedAmount: 2765,
+      remainingAmount: 0,
+      fullyRefunded: true
+    });
+    expect(docs['orders/order-1'].payment.status).toBe('refunded');
+  });
+
+  it('should not refund more than what is left', async () => {
+    await createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 2000 });
+
+    await expect(createRefund({ orderId: 'order-1', reason: 'Again', adminId: 'admin-1', amount: 800 }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { remaining: 765 } });
+    await expect(createRefund({
+      orderId: 'order-1',
+      reason: 'Again',
+      adminId: 'admin-1',
+      items: [{ productId: 'tee-1', size: 'M', quantity: 2 }]
+    })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect(provider.refunds).toHaveLength(1);
+  });
+
+  it('should refund orders that only live under the customer through the gateway mapping', async () => {
+    docs['users/user-1/orders/order-1'] = docs['orders/order-1'];
+    delete docs['orders/order-1'];
+    getDocs.mockResolvedValue({
+      empty: false,
+      docs: [{ data: () => ({ provider: 'fake', orderId: 'order-1', userId: 'user-1' }) }]
+    });
+
+    await createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 500 });
+
+    expect(docs['users/user-1/orders/order-1'].refunds[0]).toMatchObject({ amount: 500, status: 'processed' });
+    expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'partially_refunded', {}, expect.objectContaining({ userId: 'user-1' }));
+  });
+
+  it('should reject refunds for orders that cannot be refunded', async () => {
+    docs['orders/order-1'] = createOrder({ status: 'shipped' });
+
+    await expect(createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1' }))
+      .rejects.toThrow('Cannot refund order with status: shipped');
+  });
+
+  it('should mark the entry failed when the gateway rejects the refund', async () => {
+    jest.spyOn(provider, 'refund').mockRejectedValueOnce(new Error('Payment already fully refunded'));
+
+    await expect(createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 500 }))
+      .rejects.toThrow('Payment already fully refunded');
+
+    const order = docs['orders/order-1'];
+    expect(order.refunds[0]).toMatchObject({ status: 'failed', error: 'Payment already fully refunded' });
+    expect(order).toMatchObject({ status: 'delivered', refundedAmount: 0, payment: { status: 'paid' } });
+    expect(updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it('should record refunds of unpaid orders without the gateway', async () => {
+    docs['orders/order-1'] = createOrder({ payment: { provider: 'cod', status: 'pending' } });
+
+    const result = await createRefund({ orderId: 'order-1', reason: 'Returned', adminId: 'admin-1', amount: 100 });
+
+    expect(result.refund).toMatchObject({ status: 'processed', provider: null, gatewayRefundId: null });
+    expect(provider.refunds).toHaveLength(0);
+  });
+
+  it('should count refunds from orders refunded before the ledger', () => {
+    const order = createOrder({ refund: { amount: 765, reason: 'Damaged', items: 'full' } });
+
+    expect(summarizeRefunds(order)).toMatchObject({ refundedAmount: 765, remainingAmount: 2000 });
+  });
+
+  describe('applyRefundEvent', () => {
+    it('should complete a refund the gateway processes later', async () => {
+      jest.spyOn(provider, 'refund').mockResolvedValueOnce({ refundId: 'rfnd_1', amount: 50000, status: 'pending' });
+
+      const { refund } = await createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 500 });
+      expect(refund.status).toBe('initiated');
+      expect(docs['orders/order-1'].payment.status).toBe('refund_initiated');
+
+      const result = await applyRefundEvent({
+        orderId: 'order-1',
+        providerId: 'fake',
+        event: { type: 'refund.processed', refundId: 'rfnd_1', amount: 500 },
+        status: REFUND_STATUSES.PROCESSED
+      });
+
+      expect(result).toMatchObject({ stale: false, refundId: refund.id, refundStatus: 'processed', paymentStatus: 'partially_refunded' });
+      expect(docs['orders/order-1'].refunds).toHaveLength(1);
+    });
+
+    it('should ignore events older than the ledger entry', async () => {
+      const { refund } = await createRefund({ orderId: 'order-1', reason: 'Damaged', adminId: 'admin-1', amount: 500 });
+
+      const result = await applyRefundEvent({
+        orderId: 'order-1',
+        providerId: 'fake',
+        event: { type: 'refund.created', refundId: refund.gatewayRefundId, amount: 500 },
+        status: REFUND_STATUSES.INITIATED
+      });
+
+      expect(result).toMatchObject({ stale: true, refundStatus: 'processed' });
+    });
+
+    it('should add refunds issued from the gateway dashboard to the ledger', async () => {
+      const result = await applyRefundEvent({
+        orderId: 'order-1',
+        providerId: 'fake',
+        event: { type: 'refund.processed', refundId: 'rfnd_dashboard', paymentId: 'pay_1', amount: 2765 },
+        status: REFUND_STATUSES.PROCESSED
+      });
+
+      expect(result).toMatchObject({ orderStatus: 'refunded', refundStatus: 'processed', paymentStatus: 'refunded' });
+      expect(docs['orders/order-1'].refunds[0]).toMatchObject({
+        amount: 2765,
+        gatewayRefundId: 'rfnd_dashboard',
+        createdBy: 'fake'
+      });
+      expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'refunded', {}, { changedBy: 'payment_webhook', userId: 'user-1' });
+    });
+  });
+});
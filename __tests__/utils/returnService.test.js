@@ -0,0 +1,348 @@
+import { getDoc, getDocs, addDoc, runTransaction } from 'firebase/firestore';
+import { updateOrderStatus } from '../../utils/orderService';
+import { holdStock, restockItems } from '../../utils/stockReservationService';
+import {
+  getReturnWindow,
+  getReturnableItems,
+  getExchangeOptions,
+  createReturnRequest,
+  markReturnReceived,
+  completeReturn,
+  RETURN_STATUSES
+} from '../../utils/returnService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {},
+  functions: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  addDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn()
+}));
+
+jest.mock('../../utils/orderService', () => ({
+  ...jest.requireActual('../../utils/orderService'),
+  updateOrderStatus: jest.fn()
+}));
+
+jest.mock('../../utils/stockReservationService', () => ({
+  getAvailableStock: jest.requireActual('../../utils/stockReservationService').getAvailableStock,
+  holdStock: jest.fn(),
+  convertReservation: jest.fn(),
+  releaseReservation: jest.fn(),
+  restockItems: jest.fn()
+}));
+
+jest.mock('../../utils/shipmentService', () => ({
+  createReturnPickup: jest.fn()
+}));
+
+const now = new Date('2026-05-10T10:00:00.000Z');
+
+const order = {
+  orderNumber: 'RNG-260501-AB12',
+  userId: 'user-1',
+  status: 'delivered',
+  deliveredAt: '2026-05-06T12:00:00.000Z',
+  customer: { fullName: 'Asha Rao', email: 'asha@example.com' },
+  items: [
+    { productId: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity: 2, price: 1499 },
+    { productId: 'dupatta-1', name: 'Block Print Dupatta', size: 'Free', quantity: 1, price: 899 }
+  ],
+  total: 3897
+};
+
+const snapshot = (id, data) => ({ id, exists: () => !!data, data: () => data });
+
+const photo = `data:image/jpeg;base64,${'A'.repeat(400)}`;
+
+describe('Return Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getReturnWindow', () => {
+    it('should stay open for 7 days after delivery', () => {
+      expect(getReturnWindow(order, now)).toEqual({
+        eligible: true,
+        deliveredAt: '2026-05-06T12:00:00.000Z',
+        closesAt: '2026-05-13T12:00:00.000Z',
+        reason: null
+      });
+      expect(getReturnWindow(order, new Date('2026-05-14T00:00:00.000Z'))).toMatchObject({
+        eligible: false,
+        reason: 'Returns closed 7 days after delivery'
+      });
+    });
+
+    it('should use the status history for orders marked delivered by hand', () => {
+      const window = getReturnWindow({
+        ...order,
+        deliveredAt: null,
+        statusHistory: [
+          { status: 'processing', to: 'shipped', timestamp: '2026-05-02T09:00:00.000Z' },
+          { status: 'shipped', to: 'delivered', timestamp: '2026-05-08T09:00:00.000Z' }
+        ]
+      }, now);
+
+      expect(window).toMatchObject({ eligible: true, closesAt: '2026-05-15T09:00:00.000Z' });
+    });
+
+    it('should not open before delivery', () => {
+      expect(getReturnWindow({ ...order, status: 'shipped', deliveredAt: null }, now).eligible).toBe(false);
+    });
+  });
+
+  describe('getReturnableItems', () => {
+    it('should take off units in open requests and refunds, but not rejected ones', () => {
+      const items = getReturnableItems({
+        ...order,
+        refunds: [{ id: 'refund-1', status: 'processed', items: [{ productId: 'dupatta-1', size: 'Free', quantity: 1 }] }]
+      }, [
+        { status: RETURN_STATUSES.REQUESTED, items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }] },
+        { status: RETURN_STATUSES.REJECTED, items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }] }
+      ]);
+
+      expect(items.map(item => [item.key, item.returnableQuantity])).toEqual([
+        ['kurta-1:M', 1],
+        ['dupatta-1:Free', 0]
+      ]);
+    });
+  });
+
+  describe('getExchangeOptions', () => {
+    it('should offer the other sizes in stock', () => {
+      const product = { stock: { S: 2, M: 1, L: 0, XL: 4 } };
+
+      expect(getExchangeOptions(product, { size: 'M' })).toEqual([{ size: 'S' }, { size: 'XL' }]);
+    });
+
+    it('should keep the wash and length of variant products', () => {
+      const product = {
+        variants: [
+          { id: 'indigo-s', wash: 'Indigo', size: 'S' },
+          { id: 'indigo-m', wash: 'Indigo', size: 'M' },
+          { id: 'indigo-l', wash: 'Indigo', size: 'L' },
+          { id: 'black-s', wash: 'Black', size: 'S' }
+        ],
+        stock: { 'indigo-s': 3, 'indigo-m': 1, 'indigo-l': 0, 'black-s': 5 }
+      };
+
+      expect(getExchangeOptions(product, { size: 'M', variantId: 'indigo-m' })).toEqual([{ size: 'S', variantId: 'indigo-s' }]);
+    });
+  });
+
+  describe('createReturnRequest', () => {
+    const request = {
+      orderId: 'order-1',
+      userId: 'user-1',
+      type: 'return',
+      items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }],
+      reason: 'size_too_small'
+    };
+
+    beforeEach(() => {
+      getDoc.mockImplementation(async (ref) => (ref.path === 'orders/order-1'
+        ? snapshot('order-1', order)
+        : snapshot(ref.path.split('/').pop(), { stock: { S: 2, M: 0, L: 3 } })));
+      getDocs.mockResolvedValue({ docs: [] });
+      addDoc.mockResolvedValue({ id: 'return-1' });
+    });
+
+    it('should store the request and tell the admins', async () => {
+      const created = await createReturnRequest({ ...request, type: 'exchange', items: [{ ...request.items[0], exchange: { size: 'L' } }] }, { now });
+
+      expect(created).toMatchObject({
+        id: 'return-1',
+        returnNumber: 'RNG-260501-AB12-R1',
+        type: 'exchange',
+        status: 'requested',
+        customer: { name: 'Asha Rao', email: 'asha@example.com' },
+        items: [{ productId: 'kurta-1', size: 'M', name: 'Indigo Kurta', price: 1499, quantity: 1, exchange: { size: 'L' } }]
+      });
+      expect(addDoc).toHaveBeenCalledWith({ path: 'adminNotifications' }, expect.objectContaining({
+        type: 'return_requested',
+        returnId: 'return-1'
+      }));
+    });
+
+    it('should reject sizes that are out of stock', async () => {
+      await expect(createReturnRequest({ ...request, type: 'exchange', items: [{ ...request.items[0], exchange: { size: 'M' } }] }, { now }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Indigo Kurta is not available in that size' });
+    });
+
+    it('should need a photo of faulty items', async () => {
+      await expect(createReturnRequest({ ...request, reason: 'defective' }, { now }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'photos' } });
+      await expect(createReturnRequest({ ...request, reason: 'defective', photos: ['not-an-image'] }, { now }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Photos must be images' });
+      await expect(createReturnRequest({ ...request, reason: 'defective', photos: [photo] }, { now }))
+        .resolves.toMatchObject({ photos: [photo] });
+    });
+
+    it('should only accept returns from the customer within the window', async () => {
+      await expect(createReturnRequest({ ...request, userId: 'user-2' }, { now }))
+        .rejects.toMatchObject({ code: 'AUTHORIZATION_ERROR' });
+      await expect(createReturnRequest(request, { now: new Date('2026-05-20T00:00:00.000Z') }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ field: 'orderId' }) });
+      expect(addDoc).not.toHaveBeenCalled();
+    });
+
+    it('should not take back more than was bought', async () => {
+      getDocs.mockResolvedValue({
+        docs: [snapshot('return-0', { status: 'approved', items: [{ productId: 'kurta-1', size: 'M', quantity: 1 }] })]
+      });
+
+      await expect(createReturnRequest({ ...request, items: [{ productId: 'kurta-1', size: 'M', quantity: 2 }] }, { now }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ returnable: 1 }) });
+    });
+  });
+
+  describe('markReturnReceived', () => {
+    let docs;
+    let transaction;
+
+    const returnRequest = {
+      returnNumber: 'RNG-260501-AB12-R1',
+      orderId: 'order-1',
+      status: 'approved',
+      items: [{ productId: 'kurta-1', size: 'M', name: 'Indigo Kurta', quantity: 2 }],
+      statusHistory: []
+    };
+
+    beforeEach(() => {
+      docs = {
+        'returns/return-1': returnRequest,
+        'orders/order-1': order
+      };
+      transaction = {
+        get: jest.fn(async (ref) => snapshot(ref.path.split('/').pop(), docs[ref.path])),
+        update: jest.fn((ref, data) => {
+          docs[ref.path] = { ...docs[ref.path], ...data };
+        })
+      };
+      runTransaction.mockImplementation(async (db, callback) => callback(transaction));
+    });
+
+    it('should record the items on the order and put them back in stock', async () => {
+      const received = await markReturnReceived('return-1', { adminId: 'admin-1', note: 'Tags intact' });
+
+      expect(received).toMatchObject({ status: 'received', restocked: true });
+      expect(docs['returns/return-1'].statusHistory).toEqual([
+        expect.objectContaining({ status: 'approved', to: 'received', changedBy: 'admin-1', note: 'Tags intact' })
+      ]);
+      expect(docs['orders/order-1'].returnedItems).toEqual([
+        { productId: 'kurta-1', size: 'M', quantity: 2, returnId: 'return-1', restocked: true }
+      ]);
+      expect(restockItems).toHaveBeenCalledWith(returnRequest.items, expect.objectContaining({
+        type: 'return',
+        orderId: 'order-1',
+        actor: 'admin-1'
+      }));
+      // The dupatta is still with the customer
+      expect(updateOrderStatus).not.toHaveBeenCalled();
+    });
+
+    it('should mark the order returned once every unit is back', async () => {
+      docs['orders/order-1'] = {
+        ...order,
+        returnedItems: [{ productId: 'dupatta-1', size: 'Free', quantity: 1, returnId: 'return-0', restocked: false }]
+      };
+
+      await markReturnReceived('return-1', { adminId: 'admin-1', restock: false });
+
+      expect(restockItems).not.toHaveBeenCalled();
+      expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'returned', {}, {
+        changedBy: 'admin-1',
+        note: 'All items returned (RNG-260501-AB12-R1)'
+      });
+    });
+
+    it('should only receive approved returns', async () => {
+      docs['returns/return-1'] = { ...returnRequest, status: 'requested' };
+
+      await expect(markReturnReceived('return-1')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeReturn', () => {
+    let docs;
+
+    const exchange = {
+      returnNumber: 'RNG-260501-AB12-R1',
+      orderId: 'order-1',
+      type: 'exchange',
+      status: 'received',
+      items: [{ productId: 'kurta-1', size: 'M', name: 'Indigo Kurta', price: 1499, quantity: 1, exchange: { size: 'L' } }],
+      statusHistory: []
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      docs = {
+        'returns/return-1': exchange,
+        'orders/order-1': order
+      };
+      getDoc.mockImplementation(async (ref) => snapshot(ref.path.split('/').pop(), docs[ref.path]));
+      runTransaction.mockImplementation(async (db, callback) => callback({
+        get: async (ref) => snapshot(ref.path.split('/').pop(), docs[ref.path]),
+        update: (ref, data) => {
+          docs[ref.path] = { ...docs[ref.path], ...data };
+        }
+      }));
+      addDoc.mockResolvedValue({ id: 'copy-1' });
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('should claim the return before taking stock for the replacement', async () => {
+      holdStock.mockImplementation(async () => {
+        expect(docs['returns/return-1'].status).toBe('completing');
+        return { reservationId: 'reservation-1' };
+      });
+
+      const completed = await completeReturn('return-1', { adminId: 'admin-1' });
+
+      expect(completed).toMatchObject({ status: 'completed', resolution: { type: 'replacement', orderNumber: 'RNG-260501-AB12-X1' } });
+      expect(holdStock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not complete a return another admin is completing', async () => {
+      docs['returns/return-1'] = { ...exchange, status: 'completing' };
+
+      await expect(completeReturn('return-1', { adminId: 'admin-2' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(holdStock).not.toHaveBeenCalled();
+    });
+
+    it('should hand the return back when the replacement fails', async () => {
+      holdStock.mockRejectedValue(new Error('Some items are not available'));
+
+      await expect(completeReturn('return-1', { adminId: 'admin-1' })).rejects.toThrow('Some items are not available');
+      expect(docs['returns/return-1'].status).toBe('received');
+      expect(docs['returns/return-1'].statusHistory.pop()).toMatchObject({
+        status: 'completing',
+        to: 'received',
+        note: 'Could not complete: Some items are not available'
+      });
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import {
+  applyRatingChange,
+  addProductReview,
+  updateProductReview,
+  deleteProductReview,
+  moderateReview,
+  reportReview
+} from '../../utils/reviewService';
+import { getDoc, getDocs, setDoc, updateDoc, runTransaction } from 'firebase/firestore';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn().mockReturnValue({}),
+  query: jest.fn().mockReturnValue({}),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  doc: jest.fn((db, path, id) => ({ path: `${path}/${id}` })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn().mockResolvedValue({}),
+  updateDoc: jest.fn().mockResolvedValue({}),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp'),
+  runTransaction: jest.fn()
+}));
+
+const reviewDocs = (...ratings) => ({
+  docs: ratings.map(rating => ({ data: () => ({ rating }) }))
+});
+
+const snapshot = (data) => ({
+  exists: () => !!data,
+  data: () => data
+});
+
+/**
+ * Run the transaction callback against an in-memory set of documents
+ * @param {Object} docs - Documents keyed by path
+ * @returns {Object} - Recorded transaction writes
+ */
+const mockTransaction = (docs) => {
+  const writes = { set: [], update: [], delete: [] };
+  runTransaction.mockImplementation(async (db, callback) => callback({
+    get: async (ref) => snapshot(docs[ref.path]),
+    set: (ref, data) => writes.set.push({ path: ref.path, data }),
+    update: (ref, data) => writes.update.push({ path: ref.path, data }),
+    delete: (ref) => writes.delete.push({ path: ref.path })
+  }));
+  return writes;
+};
+
+const reviewInput = {
+  productId: 'prod-1',
+  userId: 'user-1',
+  userName: 'Asha',
+  rating: 4,
+  title: 'Great fit',
+  comment: 'Comfortable all day'
+};
+
+describe('reviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getDocs.mockResolvedValue({ docs: [] });
+  });
+
+  describe('applyRatingChange', () => {
+    it('should add, replace and remove ratings', () => {
+      let summary = applyRatingChange(null, null, 5);
+      summary = applyRatingChange(summary, null, 3);
+      expect(summary).toMatchObject({ count: 2, total: 8, average: 4 });
+      expect(summary.distribution).toMatchObject({ 5: 1, 3: 1, 1: 0 });
+
+      summary = applyRatingChange(summary, 3, 4);
+      expect(summary).toMatchObject({ count: 2, total: 9, average: 4.5 });
+      expect(summary.distribution).toMatchObject({ 5: 1, 4: 1, 3: 0 });
+
+      summary = applyRatingChange(summary, 5, null);
+      summary = applyRatingChange(summary, 4, null);
+      expect(summary).toMatchObject({ count: 0, total: 0, average: 0 });
+    });
+  });
+
+  describe('addProductReview', () => {
+    it('should store one pending review per user per product', async () => {
+      const writes = mockTransaction({ 'products/prod-1': { name: 'Jeans' } });
+
+      const review = await addProductReview(reviewInput);
+
+      expect(review.id).toBe('prod-1_user-1');
+      expect(review.status).toBe('pending');
+      expect(writes.set[0].path).toBe('reviews/prod-1_user-1');
+      // Pending reviews do not count toward the rating until approved
+      expect(writes.update).toHaveLength(0);
+    });
+
+    it('should reject a second review for the same product', async () => {
+      mockTransaction({
+        'products/prod-1': { name: 'Jeans' },
+        'reviews/prod-1_user-1': { userId: 'user-1', rating: 5 }
+      });
+
+      await expect(addProductReview(reviewInput)).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'You have already reviewed this product'
+      });
+    });
+
+    it('should leave the verified purchase flag to moderation', async () => {
+      const writes = mockTransaction({ 'products/prod-1': { name: 'Jeans' } });
+
+      const review = await addProductReview({ ...reviewInput, verifiedPurchase: true });
+
+      expect(review.verifiedPurchase).toBe(false);
+      expect(writes.set[0].data.verifiedPurchase).toBe(false);
+      expect(getDocs).not.toHaveBeenCalled();
+    });
+
+    it('should reject ratings outside 1-5', async () => {
+      await expect(addProductReview({ ...reviewInput, rating: 6 })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+  });
+
+  describe('author-only changes', () => {
+    const docs = {
+      'products/prod-1': { ratingSummary: applyRatingChange(null, null, 4) },
+      'reviews/prod-1_user-1': { productId: 'prod-1', userId: 'user-1', rating: 4, status: 'approved' }
+    };
+
+    it('should not let another user edit a review', async () => {
+      mockTransaction(docs);
+
+      await expect(updateProductReview('prod-1_user-1', { ...reviewInput, userId: 'user-2' })).rejects.toMatchObject({
+        code: 'AUTHORIZATION_ERROR'
+      });
+    });
+
+    it('should not let another user delete a review', async () => {
+      const writes = mockTransaction(docs);
+
+      await expect(deleteProductReview('prod-1_user-1', 'user-2')).rejects.toMatchObject({
+        code: 'AUTHORIZATION_ERROR'
+      });
+      expect(writes.delete).toHaveLength(0);
+    });
+
+    it('should recompute the aggregate when the author deletes an approved review', async () => {
+      const writes = mockTransaction(docs);
+
+      await deleteProductReview('prod-1_user-1', 'user-1');
+
+      expect(writes.delete[0].path).toBe('reviews/prod-1_user-1');
+      expect(updateDoc).toHaveBeenCalledWith({ path: 'products/prod-1' }, {
+        ratingSummary: expect.objectContaining({ count: 0, average: 0 })
+      });
+    });
+
+    it('should send an edited review back to moderation without touching the product', async () => {
+      const writes = mockTransaction(docs);
+
+      const review = await updateProductReview('prod-1_user-1', { ...reviewInput, rating: 2 });
+
+      expect(review.status).toBe('pending');
+      expect(writes.update.map(write => write.path)).toEqual(['reviews/prod-1_user-1']);
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moderateReview', () => {
+    it('should require a reason', async () => {
+      await expect(moderateReview('prod-1_user-1', 'approve', { adminId: 'admin-1' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+
+    it('should reject unknown actions', async () => {
+      await expect(moderateReview('prod-1_user-1', 'delete', { adminId: 'admin-1', reason: 'Spam' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+
+    it('should count a review in the aggregate once approved', async () => {
+      getDocs
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce(reviewDocs(5));
+      const writes = mockTransaction({
+        'products/prod-1': { name: 'Jeans' },
+        'reviews/prod-1_user-1': { productId: 'prod-1', userId: 'user-1', rating: 5, status: 'pending' }
+      });
+
+      const result = await moderateReview('prod-1_user-1', 'approve', { adminId: 'admin-1', reason: 'Looks good' });
+
+      expect(result.status).toBe('approved');
+      expect(writes.update[0].data).toMatchObject({
+        status: 'approved',
+        moderation: { action: 'approve', reason: 'Looks good', adminId: 'admin-1' },
+        verifiedPurchase: false
+      });
+      expect(updateDoc.mock.calls[0][1].ratingSummary).toMatchObject({ count: 1, average: 5 });
+    });
+
+    it('should flag verified purchases from delivered orders on approval', async () => {
+      getDocs
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [{ data: () => ({ items: [{ id: 'prod-1', quantity: 1 }] }) }] })
+        .mockResolvedValueOnce(reviewDocs(5));
+      const writes = mockTransaction({
+        'products/prod-1': { name: 'Jeans' },
+        'reviews/prod-1_user-1': { productId: 'prod-1', userId: 'user-1', rating: 5, status: 'pending', verifiedPurchase: false }
+      });
+
+      await moderateReview('prod-1_user-1', 'approve', { adminId: 'admin-1', reason: 'Looks good' });
+
+      expect(writes.update[0].data.verifiedPurchase).toBe(true);
+    });
+
+    it('should remove a hidden review from the aggregate and resolve its reports', async () => {
+      const reportRef = { path: 'reviewReports/prod-1_user-1_user-2' };
+      getDocs
+        .mockResolvedValueOnce({ docs: [{ ref: reportRef }] })
+        .mockResolvedValueOnce(reviewDocs());
+      const writes = mockTransaction({
+        'products/prod-1': { ratingSummary: applyRatingChange(null, null, 1) },
+        'reviews/prod-1_user-1': { productId: 'prod-1', userId: 'user-1', rating: 1, status: 'approved' }
+      });
+
+      await moderateReview('prod-1_user-1', 'hide', { adminId: 'admin-1', reason: 'Abusive language' });
+
+      expect(updateDoc.mock.calls[0][1].ratingSummary).toMatchObject({ count: 0 });
+      expect(writes.update[1]).toMatchObject({
+        path: reportRef.path,
+        data: { status: 'resolved' }
+      });
+    });
+  });
+
+  describe('reportReview', () => {
+    it('should record one open report per user', async () => {
+      getDoc
+        .mockResolvedValueOnce(snapshot({ productId: 'prod-1', userId: 'user-1' }))
+        .mockResolvedValueOnce(snapshot(null));
+
+      const report = await reportReview('prod-1_user-1', { userId: 'user-2', reason: 'Spam' });
+
+      expect(report).toMatchObject({ id: 'prod-1_user-1_user-2', status: 'open', reporterId: 'user-2' });
+      expect(setDoc).toHaveBeenCalled();
+    });
+
+    it('should not let authors report their own review', async () => {
+      getDoc.mockResolvedValueOnce(snapshot({ productId: 'prod-1', userId: 'user-1' }));
+
+      await expect(reportReview('prod-1_user-1', { userId: 'user-1', reason: 'Spam' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+  });
+});
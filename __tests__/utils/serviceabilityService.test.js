@@ -0,0 +1,132 @@
+import {
+  normalizePincode,
+  getDeliveryZone,
+  checkServiceability,
+  assertServiceable,
+  getDeliveryEstimate,
+  DELIVERY_ZONES
+} from '../../utils/serviceabilityService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => {
+  const store = {};
+
+  return {
+    store,
+    doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+    getDoc: jest.fn(async (ref) => ({
+      exists: () => !!store[ref.path],
+      data: () => store[ref.path]
+    }))
+  };
+});
+
+const { store } = jest.requireMock('firebase/firestore');
+
+const now = new Date('2024-05-01T10:00:00.000Z');
+
+describe('Serviceability Service', () => {
+  beforeEach(() => {
+    Object.keys(store).forEach(key => delete store[key]);
+    store['pincodes/395007'] = { city: 'Surat', state: 'Gujarat', deliverable: true };
+    store['pincodes/380015'] = { city: 'Ahmedabad', state: 'Gujarat', deliverable: true };
+    store['pincodes/400001'] = { city: 'Mumbai', state: 'Maharashtra', deliverable: true };
+    store['pincodes/302001'] = { city: 'Jaipur', state: 'Rajasthan', deliverable: true };
+    store['pincodes/781001'] = { city: 'Kamrup Metro', state: 'Assam', deliverable: true };
+    store['pincodes/176215'] = { city: 'Kangra', state: 'Himachal Pradesh', deliverable: false };
+  });
+
+  describe('normalizePincode', () => {
+    it('should accept six digits and reject anything else', () => {
+      expect(normalizePincode(' 395 007 ')).toBe('395007');
+      expect(normalizePincode(395007)).toBe('395007');
+      expect(normalizePincode('012345')).toBe('');
+      expect(normalizePincode('39500')).toBe('');
+      expect(normalizePincode(null)).toBe('');
+    });
+  });
+
+  describe('getDeliveryZone', () => {
+    it.each([
+      ['395007', 'Gujarat', DELIVERY_ZONES.LOCAL],
+      ['380015', 'Gujarat', DELIVERY_ZONES.REGIONAL],
+      ['400001', 'Maharashtra', DELIVERY_ZONES.METRO],
+      ['302001', 'Rajasthan', DELIVERY_ZONES.NATIONAL],
+      ['781001', 'Assam', DELIVERY_ZONES.SPECIAL],
+      ['744101', 'Andaman & Nicobar Islands', DELIVERY_ZONES.SPECIAL]
+    ])('should place %s (%s) in the %s zone', (pincode, state, zone) => {
+      expect(getDeliveryZone({ pincode, state })).toBe(zone);
+    });
+
+    it('should use a zone set on the pincode', () => {
+      expect(getDeliveryZone({ pincode: '302001', state: 'Rajasthan', zone: 'metro' })).toBe(DELIVERY_ZONES.METRO);
+    });
+  });
+
+  describe('checkServiceability', () => {
+    it('should give the delivery window and COD for the zone', async () => {
+      const result = await checkServiceability('400001', { now });
+
+      expect(result).toEqual({
+        pincode: '400001',
+        deliverable: true,
+        codAvailable: true,
+        city: 'Mumbai',
+        district: null,
+        state: 'Maharashtra',
+        zone: DELIVERY_ZONES.METRO,
+        estimatedDays: { min: 3, max: 5 },
+        estimatedDelivery: { from: '2024-05-04T10:00:00.000Z', to: '2024-05-06T10:00:00.000Z' }
+      });
+    });
+
+    it('should not offer COD in special zones', async () => {
+      const result = await checkServiceability('781001', { now });
+
+      expect(result).toMatchObject({ deliverable: true, codAvailable: false, estimatedDays: { min: 7, max: 10 } });
+    });
+
+    it('should apply overrides on the pincode', async () => {
+      store['pincodes/302001'] = { ...store['pincodes/302001'], cod: false, deliveryDays: { min: 2, max: 3 } };
+
+      const result = await checkServiceability('302001', { now });
+
+      expect(result).toMatchObject({ deliverable: true, codAvailable: false, estimatedDays: { min: 2, max: 3 } });
+    });
+
+    it('should not deliver to pincodes marked undeliverable or missing from the directory', async () => {
+      await expect(checkServiceability('176215')).resolves.toMatchObject({ deliverable: false, codAvailable: false, estimatedDelivery: null });
+      await expect(checkServiceability('560001')).resolves.toMatchObject({ deliverable: false, zone: null });
+    });
+
+    it('should reject a malformed pincode', async () => {
+      await expect(checkServiceability('12345')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('assertServiceable', () => {
+    it('should return the serviceability for a deliverable address', async () => {
+      const result = await assertServiceable({ postalCode: '395007' }, 'cod');
+
+      expect(getDeliveryEstimate(result)).toMatchObject({ zone: DELIVERY_ZONES.LOCAL, minDays: 1, maxDays: 2 });
+    });
+
+    it('should refuse pincodes we do not deliver to', async () => {
+      await expect(assertServiceable({ postalCode: '176215' }, 'upi')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'shippingAddress.postalCode', pincode: '176215' }
+      });
+    });
+
+    it('should refuse Cash on Delivery where it is not available', async () => {
+      await expect(assertServiceable({ postalCode: '781001' }, 'cod')).rejects.toMatchObject({
+        details: { field: 'paymentMethod' }
+      });
+      await expect(assertServiceable({ postalCode: '781001' }, 'upi')).resolves.toMatchObject({ deliverable: true });
+    });
+  });
+});
@@ -0,0 +1,359 @@
+import { updateOrderStatus } from '../../utils/orderService';
+import {
+  normalizePackage,
+  createShipment,
+  createReturnPickup,
+  assignShipmentAwb,
+  getShipmentLabel,
+  refreshTracking,
+  cancelShipment,
+  SHIPMENT_STATUSES
+} from '../../utils/shipmentService';
+import { registerCarrier, unregisterCarrier } from '../../utils/carriers';
+import { createFakeCarrier } from '../../utils/carriers/fake';
+import shiprocketCarrier, { resetShiprocketSession } from '../../utils/carriers/shiprocket';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => {
+  const store = {};
+
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    exists: () => !!store[path],
+    data: () => store[path]
+  });
+
+  return {
+    store,
+    collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+    doc: jest.fn((db, ...path) => ({ path: path.join('/') })),
+    getDoc: jest.fn(async (ref) => snapshot(ref.path)),
+    addDoc: jest.fn(async (ref, data) => {
+      const id = `shipment-${Object.keys(store).filter(key => key.startsWith(`${ref.path}/`)).length + 1}`;
+      store[`${ref.path}/${id}`] = data;
+      return { id, path: `${ref.path}/${id}` };
+    }),
+    updateDoc: jest.fn(async (ref, data) => {
+      store[ref.path] = { ...store[ref.path], ...data };
+    }),
+    // Only the shipments-for-an-order query is needed
+    getDocs: jest.fn(async ({ path, constraints }) => {
+      const orderId = constraints.find(constraint => constraint.field === 'orderId').value;
+      const docs = Object.keys(store)
+        .filter(key => key.startsWith(`${path}/`) && store[key].orderId === orderId)
+        .map(snapshot);
+      return { docs };
+    }),
+    query: jest.fn((ref, ...constraints) => ({ path: ref.path, constraints })),
+    where: jest.fn((field, op, value) => ({ type: 'where', field, op, value })),
+    orderBy: jest.fn(field => ({ type: 'orderBy', field })),
+    limit: jest.fn(value => ({ type: 'limit', value })),
+    serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+  };
+});
+
+jest.mock('../../utils/orderService', () => {
+  const actual = jest.requireActual('../../utils/orderService');
+
+  return {
+    ORDER_STATUSES: actual.ORDER_STATUSES,
+    isValidStatusTransition: actual.isValidStatusTransition,
+    updateOrderStatus: jest.fn()
+  };
+});
+
+const { store } = jest.requireMock('firebase/firestore');
+
+const order = {
+  orderNumber: 'RNG-240501-AB12',
+  userId: 'user-1',
+  status: 'processing',
+  customer: { fullName: 'Asha Rao', email: 'asha@example.com', phone: '9876543210' },
+  shipping: {
+    address: {
+      fullName: 'Asha Rao',
+      flatNo: '12',
+      street: 'MG Road',
+      city: 'Bengaluru',
+      state: 'Karnataka',
+      postalCode: '560001',
+      phone: '9876543210'
+    }
+  },
+  payment: { method: 'cod' },
+  items: [{ productId: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity: 2, price: 1499 }],
+  total: 2998
+};
+
+const pkg = { weight: '0.5', length: '30', breadth: '25', height: '5' };
+
+describe('shipmentService', () => {
+  let carrier;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.keys(store).forEach(key => delete store[key]);
+    store['orders/order-1'] = { ...order };
+
+    carrier = registerCarrier(createFakeCarrier({ unserviceable: ['110001'] }));
+
+    // Status changes are applied to the stored order as orderService would
+    updateOrderStatus.mockImplementation(async (orderId, status, additionalData) => {
+      store[`orders/${orderId}`] = { ...store[`orders/${orderId}`], status, ...additionalData };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should charge for the greater of actual and volumetric weight', () => {
+    expect(normalizePackage(pkg)).toEqual({
+      weight: 0.5,
+      length: 30,
+      breadth: 25,
+      height: 5,
+      volumetricWeight: 0.75,
+      chargeableWeight: 0.75
+    });
+    expect(() => normalizePackage({ ...pkg, weight: 0 })).toThrow('Package weight must be a positive number');
+  });
+
+  describe('createShipment', () => {
+    it('should book the order with the carrier and store its AWB', async () => {
+      const shipment = await createShipment('order-1', { package: pkg }, { actor: 'admin-1' });
+
+      expect(shipment).toMatchObject({
+        id: 'shipment-1',
+        orderId: 'order-1',
+        reference: 'RNG-240501-AB12-1',
+        carrier: 'fake',
+        carrierShipmentId: 'shp_fake_1',
+        awb: 'FAKE00000001',
+        courierName: 'Local Courier',
+        status: SHIPMENT_STATUSES.READY_TO_SHIP,
+        paymentMode: 'cod',
+        codAmount: 2998,
+        deliveryAddress: expect.objectContaining({ line1: '12, MG Road', postalCode: '560001' }),
+        items: [expect.objectContaining({ name: 'Indigo Kurta', quantity: 2 })],
+        createdBy: 'admin-1'
+      });
+      expect(store['shipments/shipment-1']).toMatchObject({ awb: 'FAKE00000001', status: 'ready_to_ship' });
+      expect(store['orders/order-1'].shipment).toEqual({
+        shipmentId: 'shipment-1',
+        carrier: 'Local Courier',
+        trackingNumber: 'FAKE00000001',
+        trackingUrl: null,
+        status: 'ready_to_ship',
+        expectedDeliveryDate: null
+      });
+    });
+
+    it('should allow one open shipment per order', async () => {
+      await createShipment('order-1', { package: pkg });
+
+      await expect(createShipment('order-1', { package: pkg }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ shipmentId: 'shipment-1' }) });
+
+      await cancelShipment('shipment-1', { actor: 'admin-1' });
+      const rebooked = await createShipment('order-1', { package: pkg });
+
+      expect(rebooked.reference).toBe('RNG-240501-AB12-2');
+    });
+
+    it('should only ship confirmed orders', async () => {
+      store['orders/order-1'].status = 'pending';
+
+      await expect(createShipment('order-1', { package: pkg })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(carrier.consignments.size).toBe(0);
+    });
+
+    it('should keep a booked shipment whose AWB could not be assigned', async () => {
+      registerCarrier({
+        ...carrier,
+        id: 'flaky',
+        assignAwb: jest.fn()
+          .mockRejectedValueOnce(new Error('No courier serviceable'))
+          .mockImplementation(carrier.assignAwb)
+      });
+
+      const shipment = await createShipment('order-1', { package: pkg, carrier: 'flaky' });
+
+      expect(shipment).toMatchObject({ status: 'booked', awb: null, awbError: 'No courier serviceable' });
+      expect(store['shipments/shipment-1'].awbError).toBe('No courier serviceable');
+
+      const retried = await assignShipmentAwb('shipment-1');
+
+      expect(retried).toMatchObject({ status: 'ready_to_ship', awb: 'FAKE00000001', awbError: null });
+      unregisterCarrier('flaky');
+    });
+  });
+
+  describe('refreshTracking', () => {
+    it('should store new scans once and mark the order shipped, then delivered', async () => {
+      const { awb } = await createShipment('order-1', { package: pkg });
+      carrier.addTrackingEvent(awb, {
+        status: SHIPMENT_STATUSES.PICKED_UP,
+        location: 'Surat',
+        occurredAt: '2026-05-01T09:00:00.000Z',
+        expectedDeliveryDate: '2026-05-05T00:00:00.000Z'
+      });
+
+      const first = await refreshTracking('shipment-1');
+      const second = await refreshTracking('shipment-1');
+
+      expect(first.newEvents).toHaveLength(1);
+      expect(second.newEvents).toHaveLength(0);
+      expect(store['shipments/shipment-1']).toMatchObject({
+        status: 'picked_up',
+        expectedDeliveryDate: '2026-05-05T00:00:00.000Z',
+        events: [expect.objectContaining({ status: 'picked_up', location: 'Surat' })]
+      });
+      expect(updateOrderStatus).toHaveBeenCalledTimes(1);
+      expect(updateOrderStatus).toHaveBeenCalledWith('order-1', 'shipped', {
+        shipment: expect.objectContaining({ trackingNumber: awb, carrier: 'Local Courier', status: 'picked_up' })
+      }, { changedBy: 'carrier_tracking', note: 'Picked up by Local Courier' });
+
+      carrier.addTrackingEvent(awb, { status: SHIPMENT_STATUSES.DELIVERED, occurredAt: '2026-05-04T12:30:00.000Z' });
+      await refreshTracking('shipment-1');
+
+      expect(store['shipments/shipment-1'].deliveredAt).toBe('2026-05-04T12:30:00.000Z');
+      expect(store['orders/order-1'].status).toBe('delivered');
+    });
+  });
+
+  describe('createReturnPickup', () => {
+    const returnRequest = {
+      id: 'return-1',
+      orderId: 'order-1',
+      items: [{ productId: 'kurta-1', name: 'Indigo Kurta', size: 'M', quantity: 1, price: 1499 }]
+    };
+
+    beforeEach(() => {
+      store['orders/order-1'].status = 'delivered';
+      store['returns/return-1'] = { status: 'approved', pickup: null };
+    });
+
+    it('should collect the returned items from the customer, prepaid', async () => {
+      const shipment = await createReturnPickup(returnRequest, { package: pkg }, { actor: 'admin-1' });
+
+      expect(shipment).toMatchObject({
+        returnId: 'return-1',
+        direction: 'reverse',
+        reference: 'RNG-240501-AB12-R1',
+        awb: 'FAKE00000001',
+        paymentMode: 'prepaid',
+        codAmount: 0,
+        declaredValue: 1499,
+        pickupAddress: expect.objectContaining({ fullName: 'Asha Rao', postalCode: '560001' }),
+        items: [expect.objectContaining({ name: 'Indigo Kurta', quantity: 1 })]
+      });
+      expect(shipment.deliveryAddress.postalCode).not.toBe('560001');
+      expect(store['returns/return-1'].pickup).toMatchObject({ shipmentId: 'shipment-1', trackingNumber: 'FAKE00000001' });
+      expect(store['orders/order-1'].shipment).toBeUndefined();
+
+      await expect(createReturnPickup(returnRequest, { package: pkg }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ shipmentId: 'shipment-1' }) });
+    });
+
+    it('should leave the order status alone when the pickup is tracked', async () => {
+      const { awb } = await createReturnPickup(returnRequest, { package: pkg });
+      carrier.addTrackingEvent(awb, { status: SHIPMENT_STATUSES.DELIVERED, occurredAt: '2026-05-09T12:00:00.000Z' });
+
+      await refreshTracking('shipment-1');
+
+      expect(updateOrderStatus).not.toHaveBeenCalled();
+      expect(store['orders/order-1'].status).toBe('delivered');
+      expect(store['returns/return-1'].pickup.status).toBe('delivered');
+    });
+
+    it('should fail where the carrier does not pick up', async () => {
+      store['orders/order-1'].shipping = { address: { ...order.shipping.address, postalCode: '110001' } };
+
+      await expect(createReturnPickup(returnRequest, { package: pkg }))
+        .rejects.toMatchObject({ message: 'Local Courier does not pick up from 110001' });
+    });
+  });
+
+  it('should print labels for carriers that do not host them', async () => {
+    await createShipment('order-1', { package: pkg });
+
+    const label = await getShipmentLabel('shipment-1');
+
+    expect(label.filename).toBe('label-FAKE00000001.pdf');
+    expect(Buffer.from(label.pdf).subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should not cancel a shipment the courier has collected', async () => {
+    const { awb } = await createShipment('order-1', { package: pkg });
+    carrier.addTrackingEvent(awb, { status: SHIPMENT_STATUSES.IN_TRANSIT });
+    await refreshTracking('shipment-1');
+
+    await expect(cancelShipment('shipment-1')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  describe('shiprocket carrier', () => {
+    beforeEach(() => {
+      process.env.SHIPROCKET_EMAIL = 'api@rangya.com';
+      process.env.SHIPROCKET_PASSWORD = 'secret';
+      resetShiprocketSession();
+    });
+
+    afterEach(() => {
+      delete process.env.SHIPROCKET_EMAIL;
+      delete process.env.SHIPROCKET_PASSWORD;
+    });
+
+    const respond = (body, status = 200) => Promise.resolve({
+      ok: status < 400,
+      status,
+      json: async () => body
+    });
+
+    it('should log in once and normalize tracking scans', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch')
+        .mockImplementationOnce(() => respond({ token: 'token-1' }))
+        .mockImplementation(() => respond({
+          tracking_data: {
+            shipment_track: [{ current_status: 'OUT FOR DELIVERY', edd: '2026-05-04 18:00:00' }],
+            shipment_track_activities: [
+              { date: '2026-05-04 08:15:00', activity: 'Out for delivery', location: 'Bengaluru', 'sr-status-label': 'OUT FOR DELIVERY' },
+              { date: '2026-05-02 21:40:00', activity: 'Bag received at hub', location: 'Bhiwandi', 'sr-status-label': 'IN TRANSIT' },
+              { date: '2026-05-01 14:23:00', activity: 'Shipment picked up', location: 'Surat', 'sr-status-label': 'PICKED UP' }
+            ]
+          }
+        }));
+
+      const tracking = await shiprocketCarrier.track({ shipment: { awb: '1234567890' } });
+      await shiprocketCarrier.track({ shipment: { awb: '1234567890' } });
+
+      expect(tracking.status).toBe('out_for_delivery');
+      expect(tracking.expectedDeliveryDate).toBe('2026-05-04T12:30:00.000Z');
+      expect(tracking.events.map(event => [event.status, event.occurredAt])).toEqual([
+        ['out_for_delivery', '2026-05-04T02:45:00.000Z'],
+        ['in_transit', '2026-05-02T16:10:00.000Z'],
+        ['picked_up', '2026-05-01T08:53:00.000Z']
+      ]);
+      expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+        'https://apiv2.shiprocket.in/v1/external/auth/login',
+        'https://apiv2.shiprocket.in/v1/external/courier/track/awb/1234567890',
+        'https://apiv2.shiprocket.in/v1/external/courier/track/awb/1234567890'
+      ]);
+      expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe('Bearer token-1');
+    });
+
+    it('should fail when no courier takes the AWB', async () => {
+      jest.spyOn(global, 'fetch')
+        .mockImplementationOnce(() => respond({ token: 'token-1' }))
+        .mockImplementation(() => respond({ awb_assign_status: 0, response: { data: { awb_assign_error: 'Pincode not serviceable' } } }));
+
+      await expect(shiprocketCarrier.assignAwb({ shipment: { carrierShipmentId: '987' } }))
+        .rejects.toMatchObject({ code: 'EXTERNAL_SERVICE_ERROR', message: 'Shiprocket could not assign an AWB: Pincode not serviceable' });
+    });
+  });
+});
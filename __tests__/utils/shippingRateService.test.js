@@ -0,0 +1,183 @@
+import { getDocs, addDoc } from 'firebase/firestore';
+import {
+  getOrderWeight,
+  ruleMatches,
+  calculateShippingCost,
+  getShippingOptions,
+  selectShippingOption,
+  getShippingRates,
+  createShippingRate,
+  DEFAULT_SHIPPING_RATES
+} from '../../utils/shippingRateService';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  getDocs: jest.fn(),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  addDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+const now = new Date('2024-05-01T10:00:00.000Z');
+
+const serviceability = {
+  pincode: '400001',
+  deliverable: true,
+  zone: 'metro',
+  estimatedDays: { min: 3, max: 5 }
+};
+
+const rules = [
+  { id: 'standard-light', name: 'Standard light', service: 'standard', maxWeight: 1, baseRate: 60, freeAbove: 1000, codFee: 30 },
+  { id: 'standard-heavy', name: 'Standard heavy', service: 'standard', minWeight: 1, baseRate: 60, baseWeight: 1, additionalRate: 25, weightStep: 0.5 },
+  { id: 'standard-metro', name: 'Standard metro', service: 'standard', zones: ['metro'], baseRate: 50 },
+  { id: 'express-metro', name: 'Express metro', service: 'express', zones: ['metro'], baseRate: 150, codPercent: 2, deliveryDays: { min: 1, max: 2 } },
+  { id: 'express-off', name: 'Express (old)', service: 'express', baseRate: 10, active: false }
+];
+
+describe('Shipping Rate Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getOrderWeight', () => {
+    it('should add up item weights, assuming 0.5 kg where none is set', () => {
+      expect(getOrderWeight([
+        { weight: 0.35, quantity: 2 },
+        { weight: null, quantity: 1 }
+      ])).toBe(1.2);
+    });
+  });
+
+  describe('ruleMatches', () => {
+    it('should match on zone, weight and order value', () => {
+      const order = { zone: 'national', weight: 0.8, orderValue: 900 };
+
+      expect(ruleMatches(rules[0], order)).toBe(true);
+      expect(ruleMatches(rules[1], order)).toBe(false);
+      expect(ruleMatches(rules[2], order)).toBe(false);
+      expect(ruleMatches({ ...rules[0], minOrderValue: 1000 }, order)).toBe(false);
+      expect(ruleMatches(rules[4], order)).toBe(false);
+    });
+  });
+
+  describe('calculateShippingCost', () => {
+    it('should charge every started weight step above the base weight', () => {
+      expect(calculateShippingCost(rules[1], { weight: 1, orderValue: 500 }).shippingCost).toBe(60);
+      expect(calculateShippingCost(rules[1], { weight: 1.2, orderValue: 500 }).shippingCost).toBe(85);
+      expect(calculateShippingCost(rules[1], { weight: 2.5, orderValue: 500 }).shippingCost).toBe(135);
+    });
+
+    it('should ship free above the threshold but still charge for COD', () => {
+      expect(calculateShippingCost(rules[0], { weight: 0.5, orderValue: 1500 })).toEqual({ shippingCost: 0, codFee: 30 });
+      expect(calculateShippingCost(rules[3], { weight: 0.5, orderValue: 1500 })).toEqual({ shippingCost: 150, codFee: 30 });
+    });
+  });
+
+  describe('getShippingOptions', () => {
+    it('should offer the cheapest matching rule of each service', () => {
+      const options = getShippingOptions({
+        items: [{ weight: 0.4, quantity: 1 }],
+        orderValue: 800,
+        serviceability,
+        rules,
+        now
+      });
+
+      expect(options).toEqual([
+        {
+          service: 'standard',
+          label: 'Standard Delivery',
+          ruleId: 'standard-metro',
+          shippingCost: 50,
+          codFee: 0,
+          weight: 0.4,
+          estimatedDays: { min: 3, max: 5 },
+          estimatedDelivery: { from: '2024-05-04T10:00:00.000Z', to: '2024-05-06T10:00:00.000Z' }
+        },
+        {
+          service: 'express',
+          label: 'Express Delivery',
+          ruleId: 'express-metro',
+          shippingCost: 150,
+          codFee: 16,
+          weight: 0.4,
+          estimatedDays: { min: 1, max: 2 },
+          estimatedDelivery: { from: '2024-05-02T10:00:00.000Z', to: '2024-05-03T10:00:00.000Z' }
+        }
+      ]);
+    });
+
+    it('should offer nothing for undeliverable pincodes', () => {
+      expect(getShippingOptions({ items: [], orderValue: 0, serviceability: { deliverable: false }, rules })).toEqual([]);
+    });
+  });
+
+  describe('selectShippingOption', () => {
+    const options = [{ service: 'standard', shippingCost: 50 }, { service: 'express', shippingCost: 150 }];
+
+    it('should pick the chosen service, or the cheapest without a choice', () => {
+      expect(selectShippingOption(options, 'express').shippingCost).toBe(150);
+      expect(selectShippingOption(options).service).toBe('standard');
+    });
+
+    it('should reject a service that is not offered', () => {
+      expect(() => selectShippingOption(options.slice(0, 1), 'express')).toThrow('Express Delivery is not available for this address');
+      expect(() => selectShippingOption([], null)).toThrow('No delivery option is available for this address');
+    });
+  });
+
+  describe('getShippingRates', () => {
+    it('should fall back to the default rate while no rule is active', async () => {
+      getDocs.mockResolvedValue({ docs: [{ id: 'express-off', data: () => rules[4] }] });
+
+      await expect(getShippingRates()).resolves.toEqual(DEFAULT_SHIPPING_RATES);
+    });
+  });
+
+  describe('createShippingRate', () => {
+    it('should store numbers and delivery days from the admin form', async () => {
+      addDoc.mockResolvedValue({ id: 'rate-1' });
+
+      const rate = await createShippingRate({
+        name: ' Express metro ',
+        service: 'express',
+        zones: ['metro', 'moon'],
+        baseRate: '150',
+        codPercent: '2',
+        maxWeight: '',
+        minDays: '1',
+        maxDays: '2'
+      });
+
+      expect(rate).toMatchObject({
+        id: 'rate-1',
+        name: 'Express metro',
+        zones: ['metro'],
+        baseRate: 150,
+        codPercent: 2,
+        maxWeight: null,
+        deliveryDays: { min: 1, max: 2 },
+        active: true
+      });
+    });
+
+    it('should reject unknown services and negative amounts', async () => {
+      await expect(createShippingRate({ name: 'Drone', service: 'drone', baseRate: 10 }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'service' } });
+      await expect(createShippingRate({ name: 'Standard', service: 'standard', baseRate: -10 }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'baseRate' } });
+      expect(addDoc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,362 @@
+import {
+  holdStock,
+  convertReservation,
+  releaseReservation,
+  releaseOrderStock,
+  releaseExpiredReservations,
+  restockItems,
+  adjustStock,
+  receiveStock,
+  reconcileStock,
+  getAvailableStock,
+  RESERVATION_STATUSES
+} from '../../utils/stockReservationService';
+import { notifyBackInStock } from '../../utils/backInStockService';
+import { createFirestoreFake } from '../../test-utils/firestoreFake';
+
+// Mock Firebase Firestore functions
+jest.mock('../../utils/firebase', () => ({
+  db: {}
+}));
+
+jest.mock('../../utils/backInStockService', () => ({
+  notifyBackInStock: jest.fn()
+}));
+
+let mockAutoId = 0;
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => ({ path: path.join('/') })),
+  doc: jest.fn((parent, ...path) => {
+    const segments = parent.path ? [parent.path, `auto-${++mockAutoId}`] : path;
+    const fullPath = segments.join('/');
+    return { path: fullPath, id: fullPath.split('/').pop() };
+  }),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn((ref, ...constraints) => ({ path: ref.path, constraints })),
+  where: jest.fn((field, op, value) => ({ field, op, value })),
+  limit: jest.fn(),
+  runTransaction: jest.fn(),
+  deleteField: jest.fn(() => 'delete-field'),
+  serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
+}));
+
+describe('stockReservationService', () => {
+  let docs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    docs = createFirestoreFake({
+      'products/jeans-1': { name: 'Slim Jeans', stock: { 30: 1, 32: 5 } },
+      'products/tee-1': { name: 'Basic Tee', sizes: { M: 2 } },
+      'products/cap-1': { name: 'Cap', stock: 3 },
+      'products/jeans-2': {
+        name: 'Straight Jeans',
+        variants: [
+          { id: 'dark-indigo-32-30', sku: 'SJ-DI-3230', wash: 'Dark Indigo', size: '32', length: '30' },
+          { id: 'black-32-30', sku: 'SJ-BK-3230', wash: 'Black', size: '32', length: '30' }
+        ],
+        stock: { 'dark-indigo-32-30': 1, 'black-32-30': 4 }
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should let only one of two concurrent checkouts hold the last unit', async () => {
+    const results = await Promise.allSettled([
+      holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }], userId: 'user-1' }),
+      holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }], userId: 'user-2' })
+    ]);
+
+    const held = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(held).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: { unavailableItems: [{ productId: 'jeans-1', size: '30', available: 0, reason: 'Insufficient stock' }] }
+    });
+
+    const product = docs['products/jeans-1'];
+    expect(Object.keys(product.stockHolds)).toEqual([held[0].value.reservationId]);
+    expect(product.stock[30]).toBe(1);
+    expect(getAvailableStock(product, '30')).toBe(0);
+  });
+
+  it('should take the stock when a reservation is converted', async () => {
+    const { reservationId } = await holdStock({
+      items: [
+        { productId: 'jeans-1', size: '32', quantity: 2 },
+        { id: 'tee-1', size: 'M', qty: 1 }
+      ],
+      userId: 'user-1',
+      orderId: 'order-1'
+    });
+
+    const result = await convertReservation(reservationId);
+    const again = await convertReservation(reservationId);
+
+    expect(result).toMatchObject({ converted: true, oversold: [] });
+    expect(again.converted).toBe(false);
+    expect(docs['products/jeans-1']).toMatchObject({ stock: { 30: 1, 32: 3 }, stockHolds: {} });
+    expect(docs['products/tee-1']).toMatchObject({ sizes: { M: 1 }, stockHolds: {} });
+    expect(docs[`stockReservations/${reservationId}`].status).toBe(RESERVATION_STATUSES.CONVERTED);
+
+    const notification = Object.entries(docs).find(([path]) => path.startsWith('adminNotifications/'));
+    expect(notification[1]).toMatchObject({ type: 'low_stock', orderId: 'order-1' });
+  });
+
+  it('should count all sizes against a single stock number', async () => {
+    await holdStock({ items: [{ productId: 'cap-1', size: 'S', quantity: 2 }] });
+
+    await expect(holdStock({
+      items: [{ productId: 'cap-1', size: 'L', quantity: 2 }]
+    })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('should free the stock when a reservation is released', async () => {
+    const { reservationId } = await holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }] });
+
+    await expect(releaseReservation(reservationId)).resolves.toEqual({ released: true, status: 'released' });
+    await expect(releaseReservation(reservationId)).resolves.toEqual({ released: false, status: 'released' });
+    await expect(holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }] })).resolves.toMatchObject({
+      status: 'held'
+    });
+  });
+
+  it('should ignore and release expired holds', async () => {
+    const first = await holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }], ttlMs: -1000 });
+    const second = await holdStock({ items: [{ productId: 'jeans-1', size: '30', quantity: 1 }] });
+
+    const released = await releaseExpiredReservations();
+
+    expect(released).toBe(1);
+    expect(docs[`stockReservations/${first.reservationId}`].status).toBe(RESERVATION_STATUSES.EXPIRED);
+    expect(docs[`stockReservations/${second.reservationId}`].status).toBe(RESERVATION_STATUSES.HELD);
+    expect(Object.keys(docs['products/jeans-1'].stockHolds)).toEqual([second.reservationId]);
+  });
+
+  it('should hold and take stock per variant', async () => {
+    const { reservationId } = await holdStock({
+      items: [
+        { productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 1 },
+        { productId: 'jeans-2', size: '32', variantId: 'black-32-30', quantity: 2 }
+      ]
+    });
+
+    expect(docs['products/jeans-2'].stockHolds[reservationId].sizes).toEqual({ 'dark-indigo-32-30': 1, 'black-32-30': 2 });
+    await expect(holdStock({
+      items: [{ productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 1 }]
+    })).rejects.toMatchObject({
+      details: { unavailableItems: [{ productId: 'jeans-2', variantId: 'dark-indigo-32-30', available: 0 }] }
+    });
+    await expect(holdStock({
+      items: [{ productId: 'jeans-2', size: '32', quantity: 1 }]
+    })).rejects.toMatchObject({ details: { unavailableItems: [{ reason: 'Size not available' }] } });
+
+    await convertReservation(reservationId);
+
+    expect(docs['products/jeans-2'].stock).toEqual({ 'dark-indigo-32-30': 0, 'black-32-30': 2 });
+  });
+
+  it('should renew a reservation without counting its own hold', async () => {
+    const { reservationId } = await holdStock({ items: [{ productId: 'tee-1', size: 'M', quantity: 2 }] });
+
+    const renewed = await holdStock({ reservationId, orderId: 'order-1', ttlMs: 60 * 60 * 1000 });
+
+    expect(renewed).toMatchObject({ reservationId, status: 'held' });
+    expect(docs[`stockReservations/${reservationId}`]).toMatchObject({ orderId: 'order-1', items: [{ productId: 'tee-1', size: 'M', quantity: 2 }] });
+  });
+
+  it('should alert once when a sale takes stock down to its threshold', async () => {
+    docs['products/jeans-1'].lowStockThresholds = { 32: 1 };
+    const getAlerts = () => Object.entries(docs).filter(([path]) => path.startsWith('adminNotifications/'));
+
+    const first = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 3 }] });
+    await convertReservation(first.reservationId);
+    expect(getAlerts()).toHaveLength(0);
+
+    const second = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 1 }] });
+    await convertReservation(second.reservationId);
+    const third = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 1 }] });
+    await convertReservation(third.reservationId);
+
+    expect(getAlerts()).toHaveLength(1);
+    expect(getAlerts()[0][1].items).toEqual([expect.objectContaining({ productId: 'jeans-1', size: '32', remaining: 1, threshold: 1 })]);
+  });
+
+  describe('releaseOrderStock', () => {
+    it('should drop the hold of an unpaid order', async () => {
+      const { reservationId } = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 2 }], orderId: 'order-1' });
+
+      await expect(releaseOrderStock({ id: 'order-1', stockReservationId: reservationId })).resolves.toEqual({
+        released: true,
+        restocked: false
+      });
+      expect(docs['products/jeans-1'].stock[32]).toBe(5);
+    });
+
+    it('should restock a paid order', async () => {
+      const { reservationId } = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 2 }], orderId: 'order-1' });
+      await convertReservation(reservationId);
+
+      await expect(releaseOrderStock({ id: 'order-1' })).resolves.toEqual({ released: false, restocked: true });
+      expect(docs['products/jeans-1'].stock[32]).toBe(5);
+    });
+
+    it('should restock orders placed before reservations', async () => {
+      await releaseOrderStock({ id: 'order-legacy', items: [{ productId: 'tee-1', size: 'M', qty: 1 }] });
+
+      expect(docs['products/tee-1'].sizes.M).toBe(3);
+    });
+  });
+
+  describe('inventory ledger', () => {
+    const getMovements = () => Object.entries(docs)
+      .filter(([path]) => path.startsWith('inventoryMovements/'))
+      .map(([, movement]) => movement);
+
+    it('should record sales and cancellations', async () => {
+      const { reservationId } = await holdStock({ items: [{ productId: 'jeans-1', size: '32', quantity: 2 }], orderId: 'order-1' });
+      await convertReservation(reservationId, { actor: 'user-1' });
+      await releaseOrderStock({ id: 'order-1' }, { actor: 'admin-1' });
+
+      expect(getMovements()).toEqual([
+        expect.objectContaining({ productId: 'jeans-1', stockKey: '32', type: 'sale', quantity: -2, balance: 3, orderId: 'order-1', actor: 'user-1' }),
+        expect.objectContaining({ productId: 'jeans-1', stockKey: '32', type: 'cancel', quantity: 2, balance: 5, orderId: 'order-1', actor: 'admin-1' })
+      ]);
+    });
+
+    it('should adjust stock by hand with a reason', async () => {
+      await expect(adjustStock({
+        productId: 'jeans-1',
+        changes: [{ size: '32', quantity: -1 }],
+        reason: ' '
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'reason' } });
+      await expect(adjustStock({
+        productId: 'jeans-1',
+        changes: [{ size: '32', quantity: -6 }],
+        reason: 'Stocktake'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: { available: 5 } });
+
+      const levels = await adjustStock({
+        productId: 'jeans-2',
+        changes: [{ size: '32', variantId: 'black-32-30', quantity: 3 }],
+        type: 'restock',
+        reason: 'Delivery from mill',
+        actor: 'admin-1'
+      });
+
+      expect(levels).toEqual({ 'black-32-30': 7 });
+      expect(docs['products/jeans-2'].stock['black-32-30']).toBe(7);
+      expect(getMovements()).toEqual([expect.objectContaining({
+        stockKey: 'black-32-30',
+        variantId: 'black-32-30',
+        type: 'restock',
+        quantity: 3,
+        balance: 7,
+        actor: 'admin-1',
+        reason: 'Delivery from mill'
+      })]);
+    });
+
+    it('should book in purchase-order receipts', async () => {
+      await expect(receiveStock({ reference: ' ', items: [{ productId: 'jeans-1', size: '30', quantity: 5 }] })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'reference' }
+      });
+      await expect(receiveStock({
+        reference: 'PO-7',
+        items: [{ productId: 'jeans-2', size: '34', variantId: 'black-34-30', quantity: 2 }]
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+      const { receiptId, items } = await receiveStock({
+        reference: 'PO-7',
+        supplier: 'Arvind Mills',
+        items: [
+          { productId: 'jeans-1', size: '30', quantity: 5 },
+          { productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 6 }
+        ],
+        actor: 'admin-1'
+      });
+
+      expect(items.map(item => item.balance)).toEqual([6, 7]);
+      expect(docs['products/jeans-1'].stock[30]).toBe(6);
+      expect(docs['products/jeans-2'].stock['dark-indigo-32-30']).toBe(7);
+      expect(docs[`purchaseOrderReceipts/${receiptId}`]).toMatchObject({ reference: 'PO-7', supplier: 'Arvind Mills', receivedBy: 'admin-1' });
+      expect(getMovements()).toEqual([
+        expect.objectContaining({ type: 'restock', quantity: 5, receiptId, reason: 'Purchase order PO-7 from Arvind Mills' }),
+        expect.objectContaining({ type: 'restock', quantity: 6, receiptId, stockKey: 'dark-indigo-32-30' })
+      ]);
+    });
+
+    it('should record stock that predates the ledger as opening balances', async () => {
+      await restockItems([{ productId: 'jeans-1', size: '30', quantity: 1 }], { type: 'return', orderId: 'order-1' });
+
+      await expect(reconcileStock('jeans-1', { actor: 'admin-1' })).resolves.toEqual({ 30: 1, 32: 5 });
+      await expect(reconcileStock('jeans-1')).resolves.toEqual({});
+      expect(getMovements().filter(movement => movement.reason === 'Opening balance')).toHaveLength(2);
+    });
+  });
+
+  describe('back in stock', () => {
+    const sellOut = async (items) => {
+      const { reservationId } = await holdStock({ items });
+      await convertReservation(reservationId);
+    };
+
+    it('should announce sizes that go from zero to positive', async () => {
+      await sellOut([{ productId: 'jeans-1', size: '30', quantity: 1 }]);
+
+      await restockItems([{ productId: 'jeans-1', size: '30', quantity: 1 }], { type: 'return' });
+      await restockItems([{ productId: 'jeans-1', size: '32', quantity: 1 }], { type: 'return' });
+
+      expect(notifyBackInStock).toHaveBeenCalledTimes(1);
+      expect(notifyBackInStock).toHaveBeenCalledWith('jeans-1', ['30']);
+    });
+
+    it('should announce adjustments and receipts once per product', async () => {
+      await sellOut([
+        { productId: 'jeans-1', size: '30', quantity: 1 },
+        { productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 1 }
+      ]);
+
+      await adjustStock({ productId: 'jeans-1', changes: [{ size: '30', quantity: 2 }], reason: 'Stocktake' });
+      await receiveStock({
+        reference: 'PO-8',
+        items: [
+          { productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 1 },
+          { productId: 'jeans-2', size: '32', variantId: 'dark-indigo-32-30', quantity: 1 },
+          { productId: 'jeans-2', size: '32', variantId: 'black-32-30', quantity: 1 }
+        ]
+      });
+
+      expect(notifyBackInStock.mock.calls).toEqual([
+        ['jeans-1', ['30']],
+        ['jeans-2', ['dark-indigo-32-30']]
+      ]);
+    });
+
+    it('should keep the stock change when notifying fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      notifyBackInStock.mockRejectedValueOnce(new Error('Mail server down'));
+      await sellOut([{ productId: 'jeans-1', size: '30', quantity: 1 }]);
+
+      await expect(restockItems([{ productId: 'jeans-1', size: '30', quantity: 2 }])).resolves.toBeUndefined();
+      expect(docs['products/jeans-1'].stock[30]).toBe(2);
+    });
+  });
+
+  it('should reject items without a positive quantity', async () => {
+    await expect(restockItems([{ productId: 'jeans-1', size: '32', quantity: 0 }])).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR'
+    });
+  });
+});
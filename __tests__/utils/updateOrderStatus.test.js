@@ -1,5 +1,5 @@
 import { updateOrderStatus } from '../../pages/api/payments/webhook';
-import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, updateDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { db } from '../../utils/firebase';
 
 // Mock Firebase Firestore functions
@@ -9,9 +9,16 @@ jest.mock('../../utils/firebase', () => ({
 
 jest.mock('firebase/firestore', () => {
   return {
+    collection: jest.fn(),
+    query: jest.fn(),
+    where: jest.fn(),
+    limit: jest.fn(),
+    // No gateway order mappings
+    getDocs: jest.fn().mockResolvedValue({ empty: true, docs: [] }),
     doc: jest.fn().mockReturnValue({}),
     getDoc: jest.fn(),
     updateDoc: jest.fn().mockResolvedValue({}),
+    runTransaction: jest.fn(),
     serverTimestamp: jest.fn().mockReturnValue('server-timestamp')
   };
 });
@@ -31,6 +38,9 @@ describe('updateOrderStatus', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     
+    // The payment status is recorded in a transaction; its writes show up as updateDoc calls
+    runTransaction.mockImplementation(async (db, callback) => callback({ get: getDoc, update: updateDoc }));
+    
     // Setup mock for getDoc to return existing order
     getDoc.mockResolvedValue({
       exists: () => true,
@@ -38,7 +48,7 @@ describe('updateOrderStatus', () => {
     });
   });
 
-  it('should update order status to confirmed when payment is captured', async () => {
+  it('should update order status to processing when payment is captured', async () => {
     const orderId = 'test-order-id';
     const status = 'captured';
     const paymentDetails = {
@@ -57,7 +67,7 @@ describe('updateOrderStatus', () => {
 
     // Verify updateDoc was called with correct arguments
     const expectedUpdateData = {
-      status: 'confirmed',
+      status: 'processing',
       'payment.status': 'paid',
       'payment.details': {
         originalField: 'value',
@@ -79,7 +89,7 @@ describe('updateOrderStatus', () => {
     expect(result).toEqual({
       success: true,
       orderId,
-      orderStatus: 'confirmed',
+      orderStatus: 'processing',
       paymentStatus: 'paid'
     });
   });
@@ -99,9 +109,9 @@ describe('updateOrderStatus', () => {
 
     const result = await updateOrderStatus(orderId, status, paymentDetails);
 
-    // Verify updateDoc was called with correct status
-    expect(updateDoc.mock.calls[0][1].status).toBe('payment_failed');
+    // Verify the payment status was recorded, then the order status changed
     expect(updateDoc.mock.calls[0][1]['payment.status']).toBe('failed');
+    expect(updateDoc.mock.calls[1][1].status).toBe('payment_failed');
 
     // Verify result
     expect(result).toEqual({
@@ -113,6 +123,12 @@ describe('updateOrderStatus', () => {
   });
 
   it('should update order status to refunded when refund is processed', async () => {
+    // Only cancelled, delivered or returned orders can move to refunded
+    getDoc.mockResolvedValue({
+      exists: () => true,
+      data: () => ({ ...mockOrderData, status: 'cancelled' })
+    });
+
     const orderId = 'test-order-id';
     const status = 'refunded';
     const paymentDetails = {
@@ -125,9 +141,9 @@ describe('updateOrderStatus', () => {
 
     const result = await updateOrderStatus(orderId, status, paymentDetails);
 
-    // Verify updateDoc was called with correct status
-    expect(updateDoc.mock.calls[0][1].status).toBe('refunded');
+    // Verify the payment status was recorded, then the order status changed
     expect(updateDoc.mock.calls[0][1]['payment.status']).toBe('refunded');
+    expect(updateDoc.mock.calls[1][1].status).toBe('refunded');
 
     // Verify result
     expect(result).toEqual({
@@ -217,8 +233,9 @@ describe('updateOrderStatus', () => {
 
     const result = await updateOrderStatus(orderId, status, paymentDetails);
 
-    // Should still update successfully with new payment details
-    expect(updateDoc).toHaveBeenCalledTimes(2);
+    // Should still update successfully with new payment details: the
+    // payment fields, then the status on both copies of the order
+    expect(updateDoc).toHaveBeenCalledTimes(3);
     expect(updateDoc.mock.calls[0][1]['payment.details']).toEqual({
       paymentId: 'pay_123',
       updatedAt: 'server-timestamp'
@@ -4,6 +4,7 @@ import Link from 'next/link';
 import { FiPackage, FiChevronRight, FiLoader, FiAlertCircle, FiClock, FiCheckCircle, FiRefreshCw } from 'react-icons/fi';
 import { useAuth } from '../../contexts/AuthContext';
 import OptimizedImage from '../common/OptimizedImage';
+import { getVariantLabel } from '../../utils/productVariants';
 
 /**
  * Component to display customer orders from the subcollection
@@ -242,7 +243,9 @@ export default function CustomerOrders({ status = null }) {
                   <div>
                     <h3 className="font-medium">{item.name}</h3>
                     <p className="text-sm text-gray-500">
-                      {item.size && <span>Size: {item.size} | </span>}
+                      {item.variantId
+                        ? <span>{getVariantLabel(item)} | </span>
+                        : item.size && <span>Size: {item.size} | </span>}
                       <span>Qty: {item.quantity}</span>
                     </p>
                     <p className="text-sm font-medium">${item.price?.toFixed(2) || 'N/A'}</p>
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { FiLoader } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { getUserById } from '../../utils/userService';
+import { getChannelPreferences, updateChannelPreferences } from '../../utils/messagingService';
+
+const CHANNELS = [
+  { id: 'email', label: 'Email', description: 'Order status updates by email. Order receipts are always emailed.' },
+  { id: 'sms', label: 'SMS', description: 'Order, shipping and delivery updates by text message.' },
+  { id: 'whatsapp', label: 'WhatsApp', description: 'The same updates on WhatsApp.' }
+];
+
+/**
+ * Lets customers pick the channels order updates reach them on
+ */
+export default function NotificationPreferences() {
+  const { currentUser } = useAuth();
+  const { showNotification } = useNotification();
+  const [preferences, setPreferences] = useState(getChannelPreferences(null));
+  const [phone, setPhone] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    async function fetchPreferences() {
+      if (!currentUser) return;
+
+      try {
+        const user = await getUserById(currentUser.uid);
+        setPreferences(getChannelPreferences(user));
+        setPhone(user?.phone || '');
+      } catch (err) {
+        console.error('Error loading notification preferences:', err);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchPreferences();
+  }, [currentUser]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const saved = await updateChannelPreferences(currentUser.uid, preferences, { phone });
+      setPhone(saved.phone || '');
+      showNotification('Notification preferences saved', 'success');
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+      showNotification(err.message || 'Failed to save notification preferences', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-600">Loading preferences...</p>;
+  }
+
+  const needsPhone = (preferences.sms || preferences.whatsapp) && !phone;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="space-y-3 mb-4">
+        {CHANNELS.map(channel => (
+          <label key={channel.id} className="flex items-start">
+            <input
+              type="checkbox"
+              checked={preferences[channel.id]}
+              onChange={(e) => setPreferences(prev => ({ ...prev, [channel.id]: e.target.checked }))}
+              className="mt-1 mr-3"
+            />
+            <span>
+              <span className="font-medium">{channel.label}</span>
+              <span className="block text-sm text-gray-600">{channel.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="mb-4 max-w-xs">
+        <label htmlFor="notificationPhone" className="block text-sm font-medium text-gray-700 mb-1">Mobile number</label>
+        <input
+          id="notificationPhone"
+          type="tel"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="98765 43210"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep"
+        />
+        {needsPhone && (
+          <p className="text-xs text-gray-500 mt-1">Without a number here, SMS and WhatsApp go to the number given at checkout.</p>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        className="bg-indigo-deep text-white px-4 py-2 rounded hover:bg-blue-800 disabled:opacity-50"
+        disabled={saving}
+      >
+        {saving ? <FiLoader className="animate-spin inline" /> : 'Save Preferences'}
+      </button>
+    </form>
+  );
+}
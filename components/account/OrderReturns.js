@@ -0,0 +1,102 @@
+import { FiExternalLink, FiRotateCcw } from 'react-icons/fi';
+
+const STATUS_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  received: 'Received',
+  completing: 'Received',
+  completed: 'Completed'
+};
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  received: 'bg-indigo-100 text-indigo-800',
+  completing: 'bg-indigo-100 text-indigo-800',
+  completed: 'bg-green-100 text-green-800'
+};
+
+const formatDate = (iso) => {
+  if (!iso) return '';
+
+  return new Intl.DateTimeFormat('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  }).format(new Date(iso));
+};
+
+// What happens next, or how the request ended
+const describeProgress = (returnRequest) => {
+  const { status, type, pickup, resolution } = returnRequest;
+  const lastNote = (returnRequest.statusHistory || []).filter(entry => entry.note).pop()?.note;
+
+  if (status === 'requested') return 'We are reviewing your request.';
+  if (status === 'rejected') return lastNote ? `Not accepted: ${lastNote}` : 'Not accepted.';
+  if (status === 'approved') return pickup ? 'A courier will collect the items.' : 'We will arrange a pickup shortly.';
+  if (status === 'received' || status === 'completing') {
+    return type === 'exchange' ? 'Items received. Your new size ships soon.' : 'Items received. Your refund is on its way.';
+  }
+  if (resolution?.type === 'replacement') return `Replacement order #${resolution.orderNumber} is on its way.`;
+  if (resolution?.type === 'refund') return `Refunded ₹${Number(resolution.amount).toFixed(2)}.`;
+  return '';
+};
+
+/**
+ * An order's return and exchange requests and how far each has got
+ * @param {Object} props - Component props
+ * @param {Array} props.returns - Return requests from /api/returns
+ * @param {Object} props.reasons - Reason labels by reason
+ */
+export default function OrderReturns({ returns, reasons }) {
+  return (
+    <ul className="space-y-4">
+      {returns.map(returnRequest => (
+        <li key={returnRequest.id} className="border border-gray-200 rounded-md p-4">
+          <div className="flex flex-wrap justify-between items-center gap-2">
+            <div className="flex items-center text-sm font-medium">
+              <FiRotateCcw className="mr-2 text-gray-500" />
+              {returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} {returnRequest.returnNumber}
+              <span className="ml-2 text-gray-500 font-normal">{formatDate(returnRequest.createdAt)}</span>
+            </div>
+            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[returnRequest.status] || 'bg-gray-100 text-gray-800'}`}>
+              {STATUS_LABELS[returnRequest.status] || returnRequest.status}
+            </span>
+          </div>
+
+          <ul className="mt-2 text-sm text-gray-700">
+            {returnRequest.items.map(item => (
+              <li key={`${item.productId}-${item.variantId || item.size}`}>
+                {item.quantity} × {item.name}
+                {item.size && ` (size ${item.size}`}
+                {item.exchange && ` → ${item.exchange.size}`}
+                {item.size && ')'}
+              </li>
+            ))}
+          </ul>
+
+          <p className="mt-2 text-xs text-gray-500">{reasons[returnRequest.reason] || returnRequest.reason}</p>
+          <p className="mt-2 text-sm">{describeProgress(returnRequest)}</p>
+
+          {returnRequest.pickup?.trackingNumber && ['approved', 'received'].includes(returnRequest.status) && (
+            <div className="mt-2 flex flex-wrap items-center text-sm text-gray-700">
+              <span>Pickup: {returnRequest.pickup.carrier} · AWB {returnRequest.pickup.trackingNumber}</span>
+              {returnRequest.pickup.trackingUrl && (
+                <a
+                  href={returnRequest.pickup.trackingUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="ml-3 inline-flex items-center text-indigo-deep hover:text-blue-800"
+                >
+                  Track <FiExternalLink className="ml-1" size={12} />
+                </a>
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
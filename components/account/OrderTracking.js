@@ -0,0 +1,85 @@
+import { FiCheckCircle, FiClock, FiExternalLink, FiMapPin, FiTruck } from 'react-icons/fi';
+
+const formatDate = (iso, withTime = false) => {
+  if (!iso) return '';
+
+  return new Intl.DateTimeFormat('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: withTime ? undefined : 'numeric',
+    hour: withTime ? 'numeric' : undefined,
+    minute: withTime ? '2-digit' : undefined
+  }).format(new Date(iso));
+};
+
+const formatExpectedDelivery = ({ from, to, source }) => {
+  if (source === 'delivered') return `Delivered on ${formatDate(from)}`;
+  if (from === to) return `Arriving by ${formatDate(to)}`;
+  return `Expected between ${formatDate(from)} and ${formatDate(to)}`;
+};
+
+/**
+ * Tracking timeline for an order: expected delivery, the courier and AWB
+ * once shipped, and every status change and carrier scan, newest first
+ * @param {Object} props - Component props
+ * @param {Object} props.tracking - Tracking details from /api/orders/tracking
+ */
+export default function OrderTracking({ tracking }) {
+  const { expectedDelivery, shipment, timeline } = tracking;
+  const entries = [...timeline].reverse();
+
+  return (
+    <div>
+      {expectedDelivery && (
+        <div className="flex items-center mb-4 text-sm">
+          {expectedDelivery.source === 'delivered'
+            ? <FiCheckCircle className="text-green-600 mr-2" />
+            : <FiClock className="text-indigo-deep mr-2" />}
+          <span className="font-medium">{formatExpectedDelivery(expectedDelivery)}</span>
+          {expectedDelivery.source === 'estimate' && (
+            <span className="text-gray-500 ml-1">(estimated)</span>
+          )}
+        </div>
+      )}
+
+      {shipment?.awb && (
+        <div className="flex flex-wrap items-center mb-4 text-sm text-gray-700">
+          <FiTruck className="mr-2" />
+          <span>{shipment.courierName} · AWB {shipment.awb}</span>
+          {shipment.trackingUrl && (
+            <a
+              href={shipment.trackingUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="ml-3 inline-flex items-center text-indigo-deep hover:text-blue-800"
+            >
+              Track on courier site <FiExternalLink className="ml-1" size={12} />
+            </a>
+          )}
+        </div>
+      )}
+
+      <ol className="relative border-l-2 border-gray-200 ml-2">
+        {entries.map((entry, index) => (
+          <li key={`${entry.type}-${entry.status}-${entry.at}`} className="mb-4 ml-4">
+            <span className={`absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full ${index === 0 ? 'bg-indigo-deep' : 'bg-gray-300'}`} />
+            <p className={`text-sm ${index === 0 ? 'font-semibold text-gray-900' : 'font-medium text-gray-700'}`}>
+              {entry.label}
+            </p>
+            <p className="text-xs text-gray-500">
+              {formatDate(entry.at, true)}
+              {entry.location && (
+                <span className="inline-flex items-center ml-2">
+                  <FiMapPin className="mr-1" size={10} /> {entry.location}
+                </span>
+              )}
+            </p>
+            {entry.description && entry.description.toLowerCase() !== entry.label.toLowerCase() && (
+              <p className="text-xs text-gray-500">{entry.description}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { FiX, FiCamera, FiTrash2 } from 'react-icons/fi';
+import { fetchCsrfToken } from '../../utils/csrf';
+import { compressAndConvertToBase64, estimateBase64Size, validateImage } from '../../utils/imageUtils';
+
+const optionValue = (option) => option.variantId || option.size;
+
+/**
+ * Form for asking to return or exchange items of a delivered order
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - Order ID
+ * @param {Array} props.items - Order lines from /api/returns, with
+ *   returnableQuantity and exchangeOptions
+ * @param {Object} props.reasons - Reason labels by reason
+ * @param {number} props.maxPhotos - Most photos a request may carry
+ * @param {number} props.maxPhotoBytes - Largest photo after compression
+ * @param {Function} props.onClose - Close the form
+ * @param {Function} props.onCreated - Called with the new return request
+ */
+const ReturnRequestModal = ({ orderId, items, reasons, maxPhotos, maxPhotoBytes, onClose, onCreated }) => {
+  const [type, setType] = useState('return');
+  const [selected, setSelected] = useState({});
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const returnableItems = items.filter(item => item.returnableQuantity > 0);
+
+  const updateItem = (key, changes) => {
+    setSelected(current => ({ ...current, [key]: { ...current[key], ...changes } }));
+  };
+
+  const toggleItem = (item) => {
+    setSelected(current => {
+      const { [item.key]: existing, ...rest } = current;
+      return existing ? rest : { ...current, [item.key]: { quantity: 1, exchange: '' } };
+    });
+  };
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, maxPhotos - photos.length);
+    e.target.value = '';
+    setError(null);
+
+    try {
+      const added = [];
+
+      for (const file of files) {
+        const validation = validateImage(file);
+
+        if (validation !== true) {
+          setError(validation);
+          return;
+        }
+
+        const base64 = await compressAndConvertToBase64(file, 800, 0.7);
+
+        if (estimateBase64Size(base64) > maxPhotoBytes) {
+          setError(`${file.name} is too large. Please use a smaller photo.`);
+          return;
+        }
+
+        added.push(base64);
+      }
+
+      setPhotos(current => [...current, ...added]);
+    } catch (err) {
+      console.error('Error reading photo:', err);
+      setError('Could not read that photo. Please try another.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const requestItems = returnableItems
+      .filter(item => selected[item.key])
+      .map(item => {
+        const { quantity, exchange } = selected[item.key];
+        const option = item.exchangeOptions.find(candidate => optionValue(candidate) === exchange);
+
+        return {
+          productId: item.productId,
+          size: item.size,
+          ...(item.variantId ? { variantId: item.variantId } : {}),
+          quantity: Number(quantity),
+          ...(type === 'exchange' ? { exchange: option || null } : {})
+        };
+      });
+
+    if (requestItems.length === 0) {
+      setError('Please choose at least one item');
+      return;
+    }
+
+    if (type === 'exchange' && requestItems.some(item => !item.exchange)) {
+      setError('Please choose the size you want for each item');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/returns', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ orderId, type, items: requestItems, reason, comment, photos })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      onCreated(data.returnRequest);
+    } catch (err) {
+      console.error('Error requesting return:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium">Return or Exchange</h3>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <FiX />
+          </button>
+        </div>
+
+        <div className="flex space-x-4 mb-4">
+          {[['return', 'Return for a refund'], ['exchange', 'Exchange for another size']].map(([value, label]) => (
+            <label key={value} className="flex items-center text-sm">
+              <input
+                type="radio"
+                name="returnType"
+                value={value}
+                checked={type === value}
+                onChange={() => setType(value)}
+                className="mr-2"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="space-y-3 mb-4">
+          {returnableItems.map(item => {
+            const choice = selected[item.key];
+            const noSizes = type === 'exchange' && item.exchangeOptions.length === 0;
+
+            return (
+              <div key={item.key} className="border border-gray-200 rounded-md p-3">
+                <label className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(choice)}
+                    disabled={noSizes}
+                    onChange={() => toggleItem(item)}
+                    className="mr-2"
+                  />
+                  <span className="font-medium">{item.name}</span>
+                  {item.size && <span className="ml-2 text-gray-500">Size: {item.size}</span>}
+                </label>
+                {noSizes && (
+                  <p className="mt-1 text-xs text-gray-500">No other sizes in stock</p>
+                )}
+                {choice && (
+                  <div className="mt-2 flex flex-wrap gap-3 text-sm">
+                    <label className="flex items-center">
+                      Quantity
+                      <select
+                        value={choice.quantity}
+                        onChange={(e) => updateItem(item.key, { quantity: e.target.value })}
+                        className="ml-2 border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        {Array.from({ length: item.returnableQuantity }, (_, index) => index + 1).map(quantity => (
+                          <option key={quantity} value={quantity}>{quantity}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {type === 'exchange' && (
+                      <label className="flex items-center">
+                        New size
+                        <select
+                          value={choice.exchange}
+                          onChange={(e) => updateItem(item.key, { exchange: e.target.value })}
+                          className="ml-2 border border-gray-300 rounded-md px-2 py-1"
+                        >
+                          <option value="">Choose</option>
+                          {item.exchangeOptions.map(option => (
+                            <option key={optionValue(option)} value={optionValue(option)}>{option.size}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="returnReason">Reason</label>
+        <select
+          id="returnReason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          required
+          className="w-full border border-gray-300 rounded-md px-3 py-2 mb-4"
+        >
+          <option value="">Choose a reason</option>
+          {Object.entries(reasons).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="returnComment">Details (optional)</label>
+        <textarea
+          id="returnComment"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows="3"
+          maxLength={1000}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 mb-4 focus:outline-none focus:ring-2 focus:ring-indigo-deep focus:border-transparent"
+          placeholder="Tell us more about the problem"
+        ></textarea>
+
+        <p className="text-sm font-medium text-gray-700 mb-1">Photos</p>
+        <p className="text-xs text-gray-500 mb-2">
+          Up to {maxPhotos} photos. Please add one for damaged, wrong or not-as-described items.
+        </p>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {photos.map((photo, index) => (
+            <div key={index} className="relative h-16 w-16">
+              <img src={photo} alt={`Photo ${index + 1}`} className="h-16 w-16 object-cover rounded-md" />
+              <button
+                type="button"
+                onClick={() => setPhotos(current => current.filter((_, other) => other !== index))}
+                className="absolute -top-2 -right-2 bg-white rounded-full p-1 shadow text-red-600"
+              >
+                <FiTrash2 size={12} />
+              </button>
+            </div>
+          ))}
+          {photos.length < maxPhotos && (
+            <label className="h-16 w-16 border-2 border-dashed border-gray-300 rounded-md flex items-center justify-center text-gray-400 cursor-pointer hover:border-gray-400">
+              <FiCamera />
+              <input type="file" accept="image/jpeg,image/png,image/webp" multiple onChange={handlePhotos} className="hidden" />
+            </label>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 bg-indigo-deep text-white rounded-md hover:bg-blue-800 disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Send Request'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReturnRequestModal;
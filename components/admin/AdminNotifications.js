@@ -1,11 +1,11 @@
 import React from 'react';
-import { FiBell, FiLoader } from 'react-icons/fi';
+import { FiBell, FiLoader, FiAlertTriangle } from 'react-icons/fi';
 import { useRouter } from 'next/router';
 import { useAdminNotification } from '../../contexts/AdminNotificationContext';
 
 const AdminNotifications = () => {
   const notificationContext = useAdminNotification();
-  const { unreadCount = 0, loading = false, error = null, retryFetch } = notificationContext || {};
+  const { unreadCount = 0, lowStockNotifications = [], loading = false, error = null, retryFetch } = notificationContext || {};
   const router = useRouter();
 
   // Return null during SSR if context is not available
@@ -17,8 +17,27 @@ const AdminNotifications = () => {
     router.push('/admin/notifications');
   };
 
+  // Sizes and variants named by unread low-stock alerts
+  const lowStockItems = lowStockNotifications.flatMap(notification => notification.items || []);
+
   return (
-    <div className="relative">
+    <div className="relative flex items-center">
+      {/* Low Stock Alerts */}
+      {lowStockNotifications.length > 0 && (
+        <div
+          className="relative p-2 mr-2 text-yellow-600 hover:text-yellow-700 cursor-pointer"
+          onClick={() => router.push('/admin/inventory')}
+          title={lowStockItems
+            .map(item => `${item.name || item.productId} ${item.variantId || item.size || ''}: ${item.remaining} left`)
+            .join('\n') || 'Low stock'}
+        >
+          <FiAlertTriangle className="h-6 w-6" />
+          <span className="absolute top-0 right-0 inline-flex items-center justify-center px-2 py-1 text-xs font-bold leading-none text-white transform translate-x-1/2 -translate-y-1/2 bg-yellow-500 rounded-full">
+            {lowStockItems.length > 99 ? '99+' : lowStockItems.length}
+          </span>
+        </div>
+      )}
+
       {/* Notification Bell with Count */}
       <div 
         className="relative p-2 text-gray-600 hover:text-gray-900 focus:outline-none transition-all duration-300 cursor-pointer"
@@ -0,0 +1,150 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FiLoader, FiRefreshCw } from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+import { fetchCsrfToken } from '../../utils/csrf';
+
+const STATUS_STYLES = {
+  applied: 'bg-green-100 text-green-800',
+  ignored: 'bg-gray-100 text-gray-700',
+  processing: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+/**
+ * Payment webhook events stored for an order, with a replay action
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - Order ID
+ */
+const PaymentEventsPanel = ({ orderId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+  const { showNotification } = useNotification();
+
+  const loadEvents = useCallback(async () => {
+    if (!orderId) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/payments/events?orderId=${encodeURIComponent(orderId)}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      setEvents(data.events);
+    } catch (err) {
+      console.error('Error loading payment events:', err);
+      showNotification(`Failed to load payment events: ${err.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId, showNotification]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleReplay = async (eventId) => {
+    try {
+      setReplayingId(eventId);
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/payments/events', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ eventId })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      showNotification(`Event replayed: ${data.result.processingStatus}`, 'success');
+      await loadEvents();
+    } catch (err) {
+      console.error('Error replaying payment event:', err);
+      showNotification(`Failed to replay event: ${err.message}`, 'error');
+      await loadEvents();
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg overflow-hidden mb-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-medium text-gray-900">Payment Events</h2>
+        <button
+          onClick={loadEvents}
+          className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
+        >
+          <FiRefreshCw className="mr-1" /> Refresh
+        </button>
+      </div>
+      {loading ? (
+        <div className="px-6 py-4 flex items-center text-gray-500">
+          <FiLoader className="animate-spin mr-2" /> Loading events...
+        </div>
+      ) : events.length === 0 ? (
+        <p className="px-6 py-4 text-sm text-gray-500">No payment events received for this order.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map((event) => (
+                <tr key={event.id}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{event.type || 'unknown'}</div>
+                    <div className="text-gray-500">{event.provider} · {event.eventId || event.id}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {event.receivedAt ? new Date(event.receivedAt).toLocaleString() : 'N/A'}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[event.processingStatus] || STATUS_STYLES.ignored}`}>
+                      {event.processingStatus}
+                    </span>
+                    {(event.reason || event.error) && (
+                      <div className="text-gray-500 mt-1">{event.error || event.reason}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {event.attempts || 1}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    <button
+                      onClick={() => handleReplay(event.id)}
+                      disabled={replayingId !== null}
+                      className="text-indigo-600 hover:text-indigo-900 disabled:opacity-50"
+                    >
+                      {replayingId === event.id ? 'Replaying...' : 'Replay'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentEventsPanel;
@@ -0,0 +1,322 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FiLoader, FiRefreshCw, FiPrinter, FiTruck } from 'react-icons/fi';
+import { useNotification } from '../../contexts/NotificationContext';
+import { fetchCsrfToken } from '../../utils/csrf';
+
+const STATUS_STYLES = {
+  booked: 'bg-yellow-100 text-yellow-800',
+  ready_to_ship: 'bg-blue-100 text-blue-800',
+  picked_up: 'bg-indigo-100 text-indigo-800',
+  in_transit: 'bg-indigo-100 text-indigo-800',
+  out_for_delivery: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  delivery_failed: 'bg-red-100 text-red-800',
+  returned_to_origin: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const CLOSED_STATUSES = ['cancelled', 'returned_to_origin'];
+const CANCELLABLE_STATUSES = ['booked', 'ready_to_ship'];
+
+// A typical folded garment in a poly mailer
+const DEFAULT_PACKAGE = { weight: '0.5', length: '30', breadth: '25', height: '5' };
+
+const PACKAGE_FIELDS = [
+  { id: 'weight', label: 'Weight (kg)', step: '0.01' },
+  { id: 'length', label: 'Length (cm)', step: '0.1' },
+  { id: 'breadth', label: 'Breadth (cm)', step: '0.1' },
+  { id: 'height', label: 'Height (cm)', step: '0.1' }
+];
+
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+/**
+ * An order's shipments: book one with a carrier, print its label and follow
+ * its tracking events
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - Order ID
+ * @param {boolean} props.canShip - Whether the order is in a shippable status
+ * @param {Function} props.onChange - Called after a shipment changes, so the
+ *   page can reload the order's status
+ */
+const ShipmentPanel = ({ orderId, canShip, onChange }) => {
+  const [shipments, setShipments] = useState([]);
+  const [carriers, setCarriers] = useState([]);
+  const [carrier, setCarrier] = useState('');
+  const [pkg, setPkg] = useState(DEFAULT_PACKAGE);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const { showNotification } = useNotification();
+
+  const loadShipments = useCallback(async () => {
+    if (!orderId) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/shipments?orderId=${encodeURIComponent(orderId)}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      setShipments(data.shipments);
+      setCarriers(data.carriers);
+      setCarrier(current => current || data.defaultCarrier);
+    } catch (err) {
+      console.error('Error loading shipments:', err);
+      showNotification(`Failed to load shipments: ${err.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId, showNotification]);
+
+  useEffect(() => {
+    loadShipments();
+  }, [loadShipments]);
+
+  const post = async (url, body) => {
+    const csrfToken = await fetchCsrfToken();
+    const response = await fetch(url, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Unknown error');
+    }
+
+    return data;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const { shipment } = await post('/api/shipments', { orderId, carrier, package: pkg });
+
+      if (shipment.awbError) {
+        showNotification(`Shipment booked, but no AWB yet: ${shipment.awbError}`, 'warning');
+      } else {
+        showNotification(`Shipment booked with AWB ${shipment.awb}`, 'success');
+      }
+
+      await loadShipments();
+      onChange?.();
+    } catch (err) {
+      console.error('Error creating shipment:', err);
+      showNotification(`Failed to create shipment: ${err.message}`, 'error');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleAction = async (shipmentId, action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this shipment with the carrier?')) {
+      return;
+    }
+
+    try {
+      setBusyId(shipmentId);
+      const data = await post('/api/shipments/update', { shipmentId, action });
+
+      if (action === 'track') {
+        showNotification(`${data.newEvents.length} new tracking event(s)`, 'success');
+      } else if (action === 'assign_awb') {
+        showNotification(`AWB ${data.shipment.awb} assigned`, 'success');
+      } else {
+        showNotification('Shipment cancelled', 'success');
+      }
+
+      await loadShipments();
+      onChange?.();
+    } catch (err) {
+      console.error(`Error running shipment action ${action}:`, err);
+      showNotification(`Failed to update shipment: ${err.message}`, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Return pickups are listed too, but don't stop the order being shipped
+  const hasOpenShipment = shipments.some(shipment => shipment.direction !== 'reverse' && !CLOSED_STATUSES.includes(shipment.status));
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg overflow-hidden mb-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-medium text-gray-900">Shipments</h2>
+        <button
+          onClick={loadShipments}
+          className="text-sm text-gray-500 hover:text-gray-700 flex items-center"
+        >
+          <FiRefreshCw className="mr-1" /> Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="px-6 py-4 flex items-center text-gray-500">
+          <FiLoader className="animate-spin mr-2" /> Loading shipments...
+        </div>
+      ) : (
+        <>
+          {shipments.length === 0 && (
+            <p className="px-6 py-4 text-sm text-gray-500">No shipments booked for this order.</p>
+          )}
+
+          {shipments.map((shipment) => (
+            <div key={shipment.id} className="px-6 py-4 border-b border-gray-200">
+              <div className="flex flex-wrap justify-between items-start gap-2">
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900">
+                    {shipment.awb ? `AWB ${shipment.awb}` : shipment.reference}
+                    {shipment.direction === 'reverse' && (
+                      <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-orange-100 text-orange-800">
+                        Return pickup
+                      </span>
+                    )}
+                    <span className={`ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[shipment.status] || STATUS_STYLES.cancelled}`}>
+                      {formatStatus(shipment.status)}
+                    </span>
+                  </div>
+                  <div className="text-gray-500">
+                    {shipment.courierName || shipment.carrierName} · {shipment.package.weight} kg · {shipment.package.length} x {shipment.package.breadth} x {shipment.package.height} cm
+                    {shipment.paymentMode === 'cod' && ' · COD'}
+                  </div>
+                  {shipment.expectedDeliveryDate && (
+                    <div className="text-gray-500">
+                      Expected delivery: {new Date(shipment.expectedDeliveryDate).toLocaleDateString()}
+                    </div>
+                  )}
+                  {shipment.awbError && !shipment.awb && (
+                    <div className="text-red-600">{shipment.awbError}</div>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3 text-sm">
+                  {shipment.awb && shipment.status !== 'cancelled' && (
+                    <a
+                      href={`/api/shipments/label?shipmentId=${encodeURIComponent(shipment.id)}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-indigo-600 hover:text-indigo-900 flex items-center"
+                    >
+                      <FiPrinter className="mr-1" /> Label
+                    </a>
+                  )}
+                  {shipment.trackingUrl && (
+                    <a
+                      href={shipment.trackingUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-indigo-600 hover:text-indigo-900"
+                    >
+                      Carrier page
+                    </a>
+                  )}
+                  {shipment.awb && !CLOSED_STATUSES.includes(shipment.status) && (
+                    <button
+                      onClick={() => handleAction(shipment.id, 'track')}
+                      disabled={busyId !== null}
+                      className="text-indigo-600 hover:text-indigo-900 disabled:opacity-50"
+                    >
+                      {busyId === shipment.id ? 'Working...' : 'Update Tracking'}
+                    </button>
+                  )}
+                  {!shipment.awb && shipment.status === 'booked' && (
+                    <button
+                      onClick={() => handleAction(shipment.id, 'assign_awb')}
+                      disabled={busyId !== null}
+                      className="text-indigo-600 hover:text-indigo-900 disabled:opacity-50"
+                    >
+                      Get AWB
+                    </button>
+                  )}
+                  {CANCELLABLE_STATUSES.includes(shipment.status) && (
+                    <button
+                      onClick={() => handleAction(shipment.id, 'cancel')}
+                      disabled={busyId !== null}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {shipment.events?.length > 0 && (
+                <ul className="mt-3 space-y-1 text-sm border-l-2 border-gray-200 pl-4">
+                  {[...shipment.events].reverse().map((event) => (
+                    <li key={`${event.occurredAt}-${event.carrierStatus || event.status}-${event.location || ''}`}>
+                      <span className="text-gray-500">{new Date(event.occurredAt).toLocaleString()}</span>
+                      {' '}
+                      <span className="font-medium capitalize">{formatStatus(event.status)}</span>
+                      {event.description && <span className="text-gray-600"> – {event.description}</span>}
+                      {event.location && <span className="text-gray-500"> ({event.location})</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+
+          {canShip && !hasOpenShipment && (
+            <form onSubmit={handleCreate} className="px-6 py-4 bg-gray-50">
+              <h3 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
+                <FiTruck className="mr-2" /> Create Shipment
+              </h3>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+                <div>
+                  <label htmlFor="shipmentCarrier" className="block text-xs font-medium text-gray-700 mb-1">Carrier</label>
+                  <select
+                    id="shipmentCarrier"
+                    value={carrier}
+                    onChange={(e) => setCarrier(e.target.value)}
+                    className="w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {carriers.map(option => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {PACKAGE_FIELDS.map(field => (
+                  <div key={field.id}>
+                    <label htmlFor={`package-${field.id}`} className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+                    <input
+                      id={`package-${field.id}`}
+                      type="number"
+                      min="0"
+                      step={field.step}
+                      required
+                      value={pkg[field.id]}
+                      onChange={(e) => setPkg(prev => ({ ...prev, [field.id]: e.target.value }))}
+                      className="w-full border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={creating}
+                className="mt-3 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {creating ? <FiLoader className="animate-spin mr-2" /> : <FiTruck className="mr-2" />}
+                {creating ? 'Booking...' : 'Book Shipment'}
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ShipmentPanel;
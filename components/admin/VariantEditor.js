@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { FiPlus, FiTrash2, FiX, FiImage } from 'react-icons/fi';
+import { buildVariantMatrix } from '../../utils/productVariants';
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-indigo-deep';
+
+/**
+ * Editor for a product's wash × size × length variants. Rows hold the
+ * variant's SKU, price override, stock and images; new image files are kept
+ * in `imageFiles` until the product is saved.
+ */
+const VariantEditor = ({ variants, onChange }) => {
+  const [washes, setWashes] = useState('');
+  const [sizes, setSizes] = useState('28, 30, 32, 34, 36, 38');
+  const [lengths, setLengths] = useState('30, 32, 34');
+
+  const updateVariant = (index, changes) => {
+    const updated = [...variants];
+    updated[index] = { ...updated[index], ...changes };
+    onChange(updated);
+  };
+
+  const removeVariant = (index) => {
+    onChange(variants.filter((_, i) => i !== index));
+  };
+
+  const addVariant = () => {
+    onChange([...variants, { id: '', sku: '', wash: '', size: '', length: '', price: '', salePrice: '', stock: 0, images: [] }]);
+  };
+
+  const generateVariants = () => {
+    onChange(buildVariantMatrix({
+      washes: splitList(washes),
+      sizes: splitList(sizes),
+      lengths: splitList(lengths)
+    }, variants));
+  };
+
+  const handleImageChange = (index, e) => {
+    const files = Array.from(e.target.files);
+    const variant = variants[index];
+    updateVariant(index, { imageFiles: [...(variant.imageFiles || []), ...files] });
+  };
+
+  const removeImage = (index, imageIndex) => {
+    const variant = variants[index];
+    updateVariant(index, { images: variant.images.filter((_, i) => i !== imageIndex) });
+  };
+
+  const removeImageFile = (index, fileIndex) => {
+    const variant = variants[index];
+    updateVariant(index, { imageFiles: variant.imageFiles.filter((_, i) => i !== fileIndex) });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Washes / Colours</label>
+          <input
+            type="text"
+            value={washes}
+            onChange={(e) => setWashes(e.target.value)}
+            placeholder="e.g. Dark Indigo, Stone Wash"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Waist Sizes</label>
+          <input
+            type="text"
+            value={sizes}
+            onChange={(e) => setSizes(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Lengths (Inseam)</label>
+          <input
+            type="text"
+            value={lengths}
+            onChange={(e) => setLengths(e.target.value)}
+            placeholder="Leave empty for one length"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="flex space-x-4 mb-4">
+        <button
+          type="button"
+          onClick={generateVariants}
+          disabled={splitList(washes).length === 0 || splitList(sizes).length === 0}
+          className="text-sm text-indigo-deep hover:text-blue-800 disabled:text-gray-400"
+        >
+          Generate Variants
+        </button>
+        <button
+          type="button"
+          onClick={addVariant}
+          className="text-sm text-indigo-deep hover:text-blue-800 flex items-center"
+        >
+          <FiPlus className="mr-1" /> Add Variant
+        </button>
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Wash', 'Size', 'Length', 'SKU', 'Price (₹)', 'Sale (₹)', 'Stock', 'Images', ''].map(heading => (
+                  <th key={heading} className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {variants.map((variant, index) => (
+                <tr key={index}>
+                  <td className="px-2 py-2 min-w-[8rem]">
+                    <input
+                      type="text"
+                      value={variant.wash}
+                      onChange={(e) => updateVariant(index, { wash: e.target.value })}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 w-16">
+                    <input
+                      type="text"
+                      value={variant.size}
+                      onChange={(e) => updateVariant(index, { size: e.target.value })}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 w-16">
+                    <input
+                      type="text"
+                      value={variant.length}
+                      onChange={(e) => updateVariant(index, { length: e.target.value })}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 min-w-[8rem]">
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 w-24">
+                    <input
+                      type="number"
+                      value={variant.price}
+                      onChange={(e) => updateVariant(index, { price: e.target.value })}
+                      placeholder="Product"
+                      min="0"
+                      step="0.01"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 w-24">
+                    <input
+                      type="number"
+                      value={variant.salePrice}
+                      onChange={(e) => updateVariant(index, { salePrice: e.target.value })}
+                      placeholder="Product"
+                      min="0"
+                      step="0.01"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2 w-20">
+                    <input
+                      type="number"
+                      value={variant.stock}
+                      onChange={(e) => updateVariant(index, { stock: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                      min="0"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-2">
+                    <div className="flex items-center flex-wrap gap-1">
+                      {variant.images.map((url, imageIndex) => (
+                        <div key={imageIndex} className="relative">
+                          <img src={url} alt={`${variant.wash} ${imageIndex + 1}`} className="h-8 w-8 object-cover rounded" />
+                          <button
+                            type="button"
+                            onClick={() => removeImage(index, imageIndex)}
+                            className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full w-4 h-4 flex items-center justify-center"
+                          >
+                            <FiX size={10} />
+                          </button>
+                        </div>
+                      ))}
+                      {(variant.imageFiles || []).map((file, fileIndex) => (
+                        <span key={fileIndex} className="inline-flex items-center text-xs bg-gray-100 rounded px-1">
+                          {file.name}
+                          <button type="button" onClick={() => removeImageFile(index, fileIndex)} className="ml-1 text-red-500">
+                            <FiX size={10} />
+                          </button>
+                        </span>
+                      ))}
+                      <label className="cursor-pointer text-gray-500 hover:text-indigo-deep" title="Add images">
+                        <FiImage />
+                        <input
+                          type="file"
+                          multiple
+                          accept="image/*"
+                          onChange={(e) => handleImageChange(index, e)}
+                          className="hidden"
+                        />
+                      </label>
+                    </div>
+                  </td>
+                  <td className="px-2 py-2">
+                    <button
+                      type="button"
+                      onClick={() => removeVariant(index)}
+                      className="text-red-500 hover:text-red-700"
+                      aria-label="Remove variant"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Empty prices use the product&apos;s price. Variants without images show the images of their wash, or the product&apos;s.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantEditor;
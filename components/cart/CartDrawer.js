@@ -1,9 +1,10 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
 import { FiX, FiTrash2, FiShoppingBag, FiMinus, FiPlus } from 'react-icons/fi';
-import { useCart } from '../../contexts/CartContext';
+import { useCart, getCartLineId } from '../../contexts/CartContext';
 import OptimizedImage from '../common/OptimizedImage';
 import { isBase64Image } from '../../utils/imageUtils';
+import { getVariantLabel } from '../../utils/productVariants';
 
 const CartDrawer = ({ isOpen, onClose }) => {
   const router = useRouter();
@@ -11,7 +12,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
   const { 
     cartItems, 
     loading, 
-    discount, 
+    promoCode: appliedPromoCode, 
     subtotal, 
     discountAmount, 
     total,
@@ -23,7 +24,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
   const handleApplyPromoCode = async () => {
     const result = await applyPromoCode(promoCode);
     if (result.success) {
-      alert(`Promo code applied: ${result.discount}% discount`);
+      alert(`Promo code applied: you save ₹${result.discount.toFixed(2)}`);
     } else {
       alert(result.message || 'Invalid promo code');
     }
@@ -34,13 +35,13 @@ const CartDrawer = ({ isOpen, onClose }) => {
     router.push('/checkout');
   };
 
-  const handleUpdateQuantity = (productId, size, newQuantity) => {
+  const handleUpdateQuantity = (lineId, newQuantity) => {
     if (newQuantity < 1) return;
-    updateQuantity(productId, size, newQuantity);
+    updateQuantity(lineId, newQuantity);
   };
 
-  const handleRemoveItem = (productId, size) => {
-    removeItem(productId, size);
+  const handleRemoveItem = (lineId) => {
+    removeItem(lineId);
   };
 
   return (
@@ -95,7 +96,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
           ) : (
             <ul className="divide-y divide-gray-200">
               {cartItems.map((item) => (
-                <li key={`${item.id}-${item.size}`} className="py-6">
+                <li key={getCartLineId(item)} className="py-6">
                   <div className="flex items-center">
                     <div className="w-16 h-16 bg-gray-100 rounded-md overflow-hidden mr-4">
                       {item.image ? (
@@ -112,7 +113,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
                     </div>
                     <div className="flex-1">
                       <h3 className="text-sm font-medium text-gray-900">{item.name}</h3>
-                      <p className="text-sm text-gray-500">Size: {item.size}</p>
+                      <p className="text-sm text-gray-500">{item.variantId ? getVariantLabel(item) : `Size: ${item.size}`}</p>
                       <div className="flex items-center mt-1">
                         <span className="text-sm font-medium">₹{item.price}</span>
                         {item.price !== item.originalPrice && (
@@ -124,7 +125,7 @@ const CartDrawer = ({ isOpen, onClose }) => {
                       <div className="flex items-center border border-gray-300 rounded">
                         <button 
                           className="px-2 py-1 text-gray-500 hover:text-gray-700"
-                          onClick={() => handleUpdateQuantity(item.id, item.size, item.quantity - 1)}
+                          onClick={() => handleUpdateQuantity(getCartLineId(item), item.quantity - 1)}
                           disabled={item.quantity <= 1}
                         >
                           <FiMinus size={14} />
@@ -132,14 +133,14 @@ const CartDrawer = ({ isOpen, onClose }) => {
                         <span className="px-2 text-sm">{item.quantity}</span>
                         <button 
                           className="px-2 py-1 text-gray-500 hover:text-gray-700"
-                          onClick={() => handleUpdateQuantity(item.id, item.size, item.quantity + 1)}
+                          onClick={() => handleUpdateQuantity(getCartLineId(item), item.quantity + 1)}
                         >
                           <FiPlus size={14} />
                         </button>
                       </div>
                       <button 
                         className="text-gray-400 hover:text-red-500"
-                        onClick={() => handleRemoveItem(item.id, item.size)}
+                        onClick={() => handleRemoveItem(getCartLineId(item))}
                         aria-label="Remove item"
                       >
                         <FiTrash2 size={16} />
@@ -178,9 +179,9 @@ const CartDrawer = ({ isOpen, onClose }) => {
                 <span className="text-gray-600">Subtotal</span>
                 <span className="font-medium">₹{subtotal.toFixed(2)}</span>
               </div>
-              {discount > 0 && (
+              {discountAmount > 0 && (
                 <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Discount ({discount}%)</span>
+                  <span className="text-gray-600">Discount ({appliedPromoCode})</span>
                   <span className="font-medium text-green-success">-₹{discountAmount.toFixed(2)}</span>
                 </div>
               )}
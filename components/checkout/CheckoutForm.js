@@ -1,7 +1,7 @@
 // Checkout Form Component
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
-import { FiAlertCircle, FiCheck, FiChevronRight, FiLoader, FiMapPin, FiPhone, FiUser, FiMail, FiCreditCard } from 'react-icons/fi';
+import { FiAlertCircle, FiCheck, FiChevronRight, FiLoader, FiMapPin, FiPhone, FiUser, FiMail, FiCreditCard, FiTruck } from 'react-icons/fi';
 import { useCart } from '../../contexts/CartContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
@@ -10,15 +10,14 @@ import { db } from '../../utils/firebase';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { fetchCsrfToken } from '../../utils/csrf';
-import { reserveStock, releaseStockReservation } from '../../utils/productService';
 import { validateForm as validateFormFields } from '../../utils/validationUtils';
-import { placeOrder } from '../../utils/orderUtils';
-import { loadRazorpayScript, isRazorpayAvailable, createRazorpayInstance } from '../../utils/razorpayLoader';
+import { openPaymentCheckout } from '../../utils/paymentCheckout';
+import { getVariantLabel } from '../../utils/productVariants';
 
-const CheckoutForm = ({ onOrderPlaced, onError }) => {
+const CheckoutForm = ({ onOrderPlaced, onError, onShippingStateChange, onShippingChange }) => {
   const router = useRouter();
   const { currentUser } = useAuth();
-  const { cartItems, total, clearCart, validateStock } = useCart();
+  const { cartItems, getOrderTotals, discountAmount, promoCode, clearCart, validateStock } = useCart();
   const { showNotification } = useNotification();
 
   // Form state
@@ -44,8 +43,33 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
     notes: ''
   });
 
+  // Delivery options quoted for the pincode, and the one chosen
+  const [shippingOptions, setShippingOptions] = useState(null);
+  const [shippingService, setShippingService] = useState(null);
+  const selectedShipping = shippingOptions?.find(option => option.service === shippingService)
+    || shippingOptions?.[0]
+    || null;
+  const shippingCost = selectedShipping ? selectedShipping.shippingCost : null;
+  const codFee = selectedShipping && formData.paymentMethod === 'cod' ? selectedShipping.codFee : 0;
+  const shipping = selectedShipping ? { shippingCost, codFee } : null;
+
+  // GST is split by the shipping state and shipping follows the chosen
+  // option, so totals follow the address
+  const orderTotals = getOrderTotals(formData.shippingAddress.state, shipping);
+
+  useEffect(() => {
+    if (onShippingStateChange) {
+      onShippingStateChange(formData.shippingAddress.state);
+    }
+  }, [formData.shippingAddress.state, onShippingStateChange]);
+
+  useEffect(() => {
+    if (onShippingChange) {
+      onShippingChange(shippingCost === null ? null : { shippingCost, codFee });
+    }
+  }, [shippingCost, codFee, onShippingChange]);
+
   // UI state
-  const [loading, setLoading] = useState(false);
   const [savingAddress, setSavingAddress] = useState(false);
   const [stockValidating, setStockValidating] = useState(false);
   const [stockErrors, setStockErrors] = useState([]);
@@ -54,6 +78,9 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
   const [errors, setErrors] = useState({});
   const [formStep, setFormStep] = useState(1); // 1: Customer info, 2: Shipping, 3: Payment
   const [isPageLoading, setIsPageLoading] = useState(false);
+  const [serviceability, setServiceability] = useState(null);
+  const [checkingPincode, setCheckingPincode] = useState(false);
+  const [loadingShippingOptions, setLoadingShippingOptions] = useState(false);
   
   // Redirect if not authenticated
   useEffect(() => {
@@ -63,6 +90,49 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
     }
   }, [currentUser, router, showNotification]);
   
+  // Check whether we deliver to a pincode (and whether COD is allowed there)
+  // against our pincode directory
+  const checkPincode = useCallback(async (postalCode, { autofill = true } = {}) => {
+    try {
+      setCheckingPincode(true);
+      const response = await fetch(`/api/shipping/serviceability?pincode=${encodeURIComponent(postalCode)}`);
+      const data = await response.json();
+      
+      if (!response.ok) {
+        showNotification(data.message || 'Please enter a valid 6-digit pincode', 'error');
+        return;
+      }
+      
+      const result = data.serviceability;
+      setServiceability(result);
+      
+      if (autofill && result.state) {
+        setFormData(prev => ({
+          ...prev,
+          shippingAddress: {
+            ...prev.shippingAddress,
+            city: result.city || prev.shippingAddress.city,
+            state: result.state,
+            country: 'India'
+          }
+        }));
+      }
+      
+      // Only Cash on Delivery is offered for now, so fall back to it when it
+      // is allowed and keep it from being chosen when it isn't
+      setFormData(prev => {
+        if (result.codAvailable) {
+          return { ...prev, paymentMethod: prev.paymentMethod || 'cod' };
+        }
+        return prev.paymentMethod === 'cod' ? { ...prev, paymentMethod: '' } : prev;
+      });
+    } catch (error) {
+      console.error('Error checking pincode:', error);
+    } finally {
+      setCheckingPincode(false);
+    }
+  }, [showNotification]);
+  
   // Load user data if available
   useEffect(() => {
     const loadUserData = async () => {
@@ -102,6 +172,11 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
               billingAddressSameAsShipping: userData.shippingInfo.sameAsShipping || true,
               billingAddress: userData.shippingInfo.sameAsShipping ? userData.shippingInfo : {}
             }));
+            
+            // Check the saved pincode, keeping the saved city and state
+            if (userData.shippingInfo.postalCode) {
+              checkPincode(userData.shippingInfo.postalCode, { autofill: false });
+            }
           } else if (userData.displayName || currentUser.displayName) {
             // Otherwise just use the display name if available
             setFormData(prev => ({
@@ -129,7 +204,7 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
     };
     
     loadUserData();
-  }, [currentUser]);
+  }, [currentUser, checkPincode]);
   
   // Handle form input changes
   const handleChange = (e) => {
@@ -179,43 +254,70 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
       }
     });
     
-    // Auto-detect city and state when postal code is entered
-    if (field === 'postalCode' && value.length === 6) {
-      // Fetch location data based on postal code
-      fetchPostalCodeInfo(value);
+    // Check delivery and fill in the city and state once the pincode is complete
+    if (field === 'postalCode') {
+      setServiceability(null);
+      
+      if (value.length === 6) {
+        checkPincode(value);
+      }
     }
   };
   
-  // Function to fetch postal code information
-  const fetchPostalCodeInfo = async (postalCode) => {
-    try {
-      setLoading(true);
-      // Call the India Post API or a third-party postal code API
-      const response = await fetch(`https://api.postalpincode.in/pincode/${postalCode}`);
-      const data = await response.json();
-      
-      if (data && data[0]?.Status === "Success" && data[0]?.PostOffice?.length > 0) {
-        const postOffice = data[0].PostOffice[0];
-        setFormData({
-          ...formData,
-          shippingAddress: {
-            ...formData.shippingAddress,
-            city: postOffice.Block || postOffice.Name,
-            state: postOffice.State,
-            country: "India"
-          }
+  // Quote the delivery options for a deliverable pincode; the price depends on
+  // the cart's weight and value, so quote again when the cart changes
+  useEffect(() => {
+    if (!serviceability?.deliverable || cartItems.length === 0) {
+      setShippingOptions(null);
+      return undefined;
+    }
+    
+    let cancelled = false;
+    
+    const loadShippingOptions = async () => {
+      try {
+        setLoadingShippingOptions(true);
+        const response = await fetch('/api/shipping/options', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            pincode: serviceability.pincode,
+            discount: discountAmount,
+            items: cartItems.map(item => ({
+              id: item.id,
+              size: item.size,
+              variantId: item.variantId || null,
+              quantity: item.quantity
+            }))
+          })
         });
-        showNotification("Address details loaded successfully", "success");
-      } else {
-        showNotification("Invalid postal code. Please enter a valid postal code.", "error");
+        const data = await response.json();
+        
+        if (cancelled) return;
+        
+        if (!response.ok) {
+          showNotification(data.message || 'Could not load delivery options', 'error');
+          setShippingOptions([]);
+          return;
+        }
+        
+        setShippingOptions(data.options);
+      } catch (error) {
+        console.error('Error loading delivery options:', error);
+      } finally {
+        if (!cancelled) setLoadingShippingOptions(false);
       }
-    } catch (error) {
-      console.error("Error fetching postal code data:", error);
-      // Removed the error notification that was showing "Failed to fetch location data"
-    } finally {
-      setLoading(false);
-    }
-  };
+    };
+    
+    loadShippingOptions();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [serviceability, cartItems, discountAmount, showNotification]);
+  
+  // Shown under the pincode once it has been checked
+  const formatDeliveryDays = ({ min, max }) => (min === max ? `${min} days` : `${min}-${max} days`);
   
   // Validate form
   const validateForm = () => {
@@ -264,10 +366,28 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
   
   // Handle form navigation
   const handleNextStep = () => {
-    if (validateForm()) {
-      setFormStep(prev => prev + 1);
-      window.scrollTo(0, 0);
+    if (!validateForm()) {
+      return;
     }
+    
+    if (formStep === 2 && serviceability && !serviceability.deliverable) {
+      setErrors(prev => ({
+        ...prev,
+        'shippingAddress.postalCode': `Sorry, we don't deliver to ${serviceability.pincode} yet`
+      }));
+      return;
+    }
+    
+    if (formStep === 2 && shippingOptions && shippingOptions.length === 0) {
+      setErrors(prev => ({
+        ...prev,
+        shippingService: 'No delivery option is available for this address'
+      }));
+      return;
+    }
+    
+    setFormStep(prev => prev + 1);
+    window.scrollTo(0, 0);
   };
   
   const handlePrevStep = () => {
@@ -294,53 +414,6 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
       setIsSubmitting(true);
       console.log('Starting order submission process');
       
-      // Validate stock and create reservations
-      setStockValidating(true);
-      console.log('Validating stock and creating reservations');
-      
-      // Generate a session ID for this checkout
-      const sessionId = currentUser ? currentUser.uid : `anon-${Date.now()}`;
-      console.log('Session ID for checkout:', sessionId);
-      
-      // Reserve stock for each item
-      const reservationPromises = cartItems.map(async (item) => {
-        const reservation = await reserveStock(item.id, item.size, item.quantity, sessionId);
-        
-        if (!reservation.success) {
-          console.log(`Stock reservation failed for item ${item.name} (${item.size}):`, reservation.message);
-          return {
-            success: false,
-            productId: item.id,
-            name: item.name,
-            size: item.size,
-            message: reservation.message
-          };
-        }
-        
-        return {
-          success: true,
-          productId: item.id,
-          reservationId: reservation.reservationId,
-          expiresAt: reservation.expiresAt
-        };
-      });
-      
-      const reservationResults = await Promise.all(reservationPromises);
-      const failedReservations = reservationResults.filter(r => !r.success);
-      
-      if (failedReservations.length > 0) {
-        // Some reservations failed
-        setStockErrors(failedReservations.map(r => `${r.name} (${r.size}): ${r.message}`));
-        setStockValidating(false);
-        setIsSubmitting(false);
-        console.log('Stock reservation failed for some items:', failedReservations);
-        onError('Stock reservation failed for some items. Please check availability.');
-        return;
-      }
-      
-      setStockValidating(false);
-      console.log('Stock validation and reservation successful');
-      
       // Get CSRF token
       console.log('Fetching CSRF token...');
       let csrfToken = null;
@@ -371,6 +444,45 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
         throw new Error('Could not get security token. Please refresh the page and try again.');
       }
       
+      // Hold the stock while the order is placed and paid for
+      setStockValidating(true);
+      console.log('Reserving stock for checkout');
+      
+      const reservationResponse = await fetch('/api/stock/reservations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          items: cartItems.map(item => ({
+            productId: item.id,
+            size: item.size,
+            variantId: item.variantId || null,
+            quantity: item.quantity
+          }))
+        })
+      });
+      
+      const reservationData = await reservationResponse.json();
+      setStockValidating(false);
+      
+      if (!reservationData.success) {
+        const unavailableItems = reservationData.details?.unavailableItems || [];
+        setStockErrors(unavailableItems.map(item => {
+          const cartItem = cartItems.find(line => line.id === item.productId && (line.variantId || null) === (item.variantId || null));
+          const option = cartItem?.variantId ? getVariantLabel(cartItem) : item.size;
+          return `${item.name || item.productId} (${option}): ${item.reason}`;
+        }));
+        setIsSubmitting(false);
+        console.log('Stock reservation failed for some items:', unavailableItems);
+        onError(reservationData.message || 'Stock reservation failed for some items. Please check availability.');
+        return;
+      }
+      
+      const stockReservationId = reservationData.data.reservationId;
+      console.log('Stock reserved:', stockReservationId);
+      
       // Prepare order data
       const orderData = {
         customer: {
@@ -384,10 +496,12 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
           price: item.price,
           quantity: item.quantity,
           size: item.size,
+          variantId: item.variantId || null,
           image: item.image
         })),
         shipping: {
-          address: formData.shippingAddress
+          address: formData.shippingAddress,
+          service: selectedShipping?.service || null
         },
         billing: {
           sameAsShipping: formData.billingAddressSameAsShipping,
@@ -398,227 +512,65 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
         payment: {
           method: formData.paymentMethod
         },
-        subtotal: total,
-        tax: Math.round(total * 0.18 * 100) / 100, // 18% tax
-        shippingCost: total > 1000 ? 0 : 100, // Free shipping over ₹1000
-        total: total + (total > 1000 ? 0 : 100) + Math.round(total * 0.18 * 100) / 100,
+        couponCode: promoCode || null,
+        ...orderTotals,
         csrfToken: csrfToken, // Include CSRF token in the request body
-        stockReservations: reservationResults.filter(r => r.success).map(r => ({
-          productId: r.productId,
-          reservationId: r.reservationId
-        }))
+        stockReservationId
       };
       
       console.log('Submitting order with data:', orderData);
       
-      // Handle different payment methods
-       if (formData.paymentMethod === 'card' || formData.paymentMethod === 'upi') {
-         // Load Razorpay script if not already loaded
-         const razorpayLoadResult = await loadRazorpayScript();
-         
-         // Check if Razorpay is available in the environment
-         if (!razorpayLoadResult.success) {
-           showNotification(`Payment gateway could not be loaded: ${razorpayLoadResult.error || 'Unknown error'}. Please try again later or choose Cash on Delivery.`, 'error');
-           setIsSubmitting(false);
-           return;
-         }
-         
-         // Double-check that Razorpay is available
-         if (!isRazorpayAvailable()) {
-           showNotification('Payment gateway is not available after loading. Please try again later or choose Cash on Delivery.', 'error');
-           setIsSubmitting(false);
-           return;
-         }
-        
-        // Prepare order data for placeOrder function
-        const placeOrderData = {
-          userId: currentUser.uid,
-          shippingAddress: formData.shippingAddress,
-          items: cartItems.map(item => ({
-            id: item.id,
-            name: item.name,
-            size: item.size,
-            quantity: item.quantity,
-            price: item.price,
-            image: item.image
-          })),
-          paymentMethod: formData.paymentMethod,
-          subtotal: total,
-          shippingFee: total > 1000 ? 0 : 100, // Free shipping over ₹1000
-          tax: Math.round(total * 0.18 * 100) / 100, // 18% tax
-          totalAmount: total + (total > 1000 ? 0 : 100) + Math.round(total * 0.18 * 100) / 100
-        };
-        
-        // Place the order using the placeOrder function
-        const result = await placeOrder(placeOrderData);
-        
-        if (!result.success) {
-          onError(result.message || 'Failed to create order. Please try again.');
-          throw new Error(result.message || 'Failed to create order');
-        }
-        
-        // Initialize payment
-        try {
-          const paymentInitResponse = await fetch('/api/payments/initialize', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-CSRF-Token': csrfToken
-            },
-            body: JSON.stringify({
-              orderId: result.orderId,
-              amount: Math.round(placeOrderData.totalAmount * 100), // Convert to paise
-              paymentMethod: formData.paymentMethod,
-              currency: 'INR',
-              customerName: formData.customerName,
-              customerEmail: formData.email,
-              customerPhone: formData.phone,
-              vpa: '' // For UPI, if provided by user
-            })
-          });
-          
-          const paymentInitData = await paymentInitResponse.json();
-          
-          if (!paymentInitData.success) {
-            throw new Error(paymentInitData.message || 'Failed to initialize payment');
-          }
-          
-          // Create Razorpay options
-          const options = {
-            ...paymentInitData.data,
-            handler: async function(response) {
-              try {
-                // Verify payment
-                const verifyResponse = await fetch('/api/payments/verify', {
-                  method: 'POST',
-                  headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                  },
-                  body: JSON.stringify({
-                    orderId: result.orderId,
-                    ...response
-                  })
-                });
-                
-                const verifyData = await verifyResponse.json();
-                
-                if (verifyData.success) {
-                  // Payment successful
-                  clearCart();
-                  
-                  // Call the onOrderPlaced callback if provided
-                  if (onOrderPlaced) {
-                    onOrderPlaced(result.orderId, result.orderNumber);
-                  }
-                  
-                  // Redirect to order confirmation page after order placement
-                  setIsPageLoading(true);
-                  router.push(`/order-confirmation?id=${result.orderId}`);
-                } else {
-                  throw new Error(verifyData.message || 'Payment verification failed');
-                }
-              } catch (error) {
-                console.error('Payment verification error:', error);
-                onError('Payment verification failed. Please contact support with your order ID.');
-                setIsSubmitting(false);
-              }
-            },
-            modal: {
-              ondismiss: function() {
-                console.log('Payment modal closed');
-                setIsSubmitting(false);
-              }
-            }
-          };
-          
-          // Create and open Razorpay payment form
-          try {
-            const razorpayInstance = createRazorpayInstance(options);
-            
-            if (!razorpayInstance) {
-              throw new Error('Failed to create Razorpay instance');
-            }
-            
-            razorpayInstance.open();
-          } catch (error) {
-            console.error('Error creating Razorpay instance:', error);
-            onError('Failed to open payment gateway. Please try again or choose Cash on Delivery.');
-            setIsSubmitting(false);
-          }
-          
-          // Release stock reservations as they're handled by the order
-          await Promise.all(
-            reservationResults
-              .filter(r => r.success)
-              .map(r => releaseStockReservation(r.productId, r.reservationId))
-          );
-          
-        } catch (error) {
-          console.error('Payment initialization error:', error);
-          onError('Failed to initialize payment. Please try again or choose Cash on Delivery.');
-          setIsSubmitting(false);
-        }
-      } else if (formData.paymentMethod === 'cod') {
-        // For Cash on Delivery
-        // Prepare order data for placeOrder function
-        const placeOrderData = {
-          userId: currentUser.uid,
-          shippingAddress: formData.shippingAddress,
-          items: cartItems.map(item => ({
-            id: item.id,
-            name: item.name,
-            size: item.size,
-            quantity: item.quantity,
-            price: item.price,
-            image: item.image
-          })),
-          paymentMethod: formData.paymentMethod,
-          subtotal: total,
-          shippingFee: total > 1000 ? 0 : 100, // Free shipping over ₹1000
-          tax: Math.round(total * 0.18 * 100) / 100, // 18% tax
-          totalAmount: total + (total > 1000 ? 0 : 100) + Math.round(total * 0.18 * 100) / 100
-        };
-        
-        // Place the order using the placeOrder function
-        const result = await placeOrder(placeOrderData);
-        
-        // Release stock reservations as they're no longer needed (placeOrder handles inventory)
-        await Promise.all(
-          reservationResults
-            .filter(r => r.success)
-            .map(r => releaseStockReservation(r.productId, r.reservationId))
-        );
+      // Prepare order data for /api/orders/place; the server takes the user
+      // from the session
+      const placeOrderData = {
+        shippingAddress: formData.shippingAddress,
+        items: cartItems.map(item => ({
+          id: item.id,
+          name: item.name,
+          size: item.size,
+          variantId: item.variantId || null,
+          sku: item.sku || null,
+          wash: item.wash || null,
+          length: item.length || null,
+          quantity: item.quantity,
+          price: item.price,
+          image: item.image
+        })),
+        paymentMethod: formData.paymentMethod,
+        shippingService: selectedShipping?.service || null,
+        couponCode: promoCode || null,
+        stockReservationId,
+        // Totals shown to the customer; placeOrder re-prices and rejects a mismatch
+        totalAmount: orderTotals.total
+      };
+      
+      // Place the order on the server; the held stock moves over to the
+      // order, so it is only given back if placing fails
+      let result;
+      try {
+        const placeResponse = await fetch('/api/orders/place', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify(placeOrderData)
+        });
+        result = await placeResponse.json();
         
-        if (!result.success) {
-          onError(result.message || 'Failed to create order. Please try again.');
+        if (!placeResponse.ok) {
           throw new Error(result.message || 'Failed to create order');
         }
-        
-        // Create a result object similar to the API response
-        const orderResult = {
-          orderId: result.orderId,
-          orderNumber: `RNG-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Math.floor(1000 + Math.random() * 9000)}`,
-          status: 'pending',
-          message: 'Order created successfully'
-        }
-        console.log('Order created successfully:', orderResult);
-        
-        // Order created successfully
-        clearCart();
-        
-        // Call the onOrderPlaced callback if provided
-        if (onOrderPlaced) {
-          onOrderPlaced(orderResult.orderId, orderResult.orderNumber);
-        }
-        
-        // Redirect to order confirmation page after order placement
-        setIsPageLoading(true);
-        router.push(`/order-confirmation?id=${orderResult.orderId}`);
-      } else {
-        // Invalid payment method
-        showNotification('Invalid payment method. Please select a valid payment method.', 'error');
-        setIsSubmitting(false);
+      } catch (error) {
+        await fetch('/api/stock/reservations', {
+          method: 'DELETE',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ reservationId: stockReservationId })
+        }).catch(releaseError => console.error('Error releasing stock reservation:', releaseError));
+        throw error;
       }
       
       if (!result.success) {
@@ -626,26 +578,88 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
         throw new Error(result.message || 'Failed to create order');
       }
       
-      // Create a result object similar to the API response
-      const orderResult = {
-        orderId: result.orderId,
-        orderNumber: `RNG-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Math.floor(1000 + Math.random() * 9000)}`,
-        status: 'pending',
-        message: 'Order created successfully'
+      // Start the payment with the provider for the chosen payment method
+      const paymentInitResponse = await fetch('/api/payments/initialize', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          orderId: result.orderId, // Amount is taken from the stored order
+          paymentMethod: formData.paymentMethod,
+          currency: 'INR',
+          customerName: formData.customerName,
+          customerEmail: formData.email,
+          customerPhone: formData.phone,
+          vpa: '' // For UPI, if provided by user
+        })
+      });
+      
+      const paymentInitData = await paymentInitResponse.json();
+      
+      if (!paymentInitData.success) {
+        throw new Error(paymentInitData.message || 'Failed to initialize payment');
+      }
+      
+      let checkoutResult;
+      try {
+        checkoutResult = await openPaymentCheckout(paymentInitData.data.checkout);
+      } catch (error) {
+        console.error('Error opening payment checkout:', error);
+        onError(`${error.message}. Please try again or choose Cash on Delivery.`);
+        setIsSubmitting(false);
+        return;
       }
-      console.log('Order created successfully:', orderResult);
+      
+      if (checkoutResult.status === 'dismissed') {
+        console.log('Payment modal closed');
+        setIsSubmitting(false);
+        return;
+      }
+      
+      // The gateway's hosted page takes over from here
+      if (checkoutResult.status === 'redirected') {
+        return;
+      }
+      
+      if (checkoutResult.payload) {
+        // Verify payment
+        const verifyResponse = await fetch('/api/payments/verify', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({
+            orderId: result.orderId,
+            payload: checkoutResult.payload
+          })
+        });
+        
+        const verifyData = await verifyResponse.json();
+        
+        if (!verifyData.success) {
+          console.error('Payment verification error:', verifyData);
+          onError('Payment verification failed. Please contact support with your order ID.');
+          setIsSubmitting(false);
+          return;
+        }
+      }
+      
+      console.log('Order created successfully:', result.orderId);
       
       // Order created successfully
       clearCart();
       
       // Call the onOrderPlaced callback if provided
       if (onOrderPlaced) {
-        onOrderPlaced(orderResult.orderId, orderResult.orderNumber);
+        onOrderPlaced(result.orderId);
       }
       
       // Redirect to order confirmation page after order placement
       setIsPageLoading(true);
-      router.push(`/order-confirmation?id=${orderResult.orderId}`);
+      router.push(`/order-confirmation?id=${result.orderId}`);
       
     } catch (error) {
       console.error('Error creating order:', error);
@@ -855,8 +869,29 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
                     value={formData.shippingAddress.postalCode || ''}
                     onChange={e => handleShippingAddressChange('postalCode', e.target.value)}
                     className="w-full p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                    inputMode="numeric"
+                    maxLength="6"
                     required
                   />
+                  {checkingPincode && (
+                    <p className="mt-1 text-sm text-gray-500 flex items-center">
+                      <FiLoader className="animate-spin mr-1" /> Checking delivery...
+                    </p>
+                  )}
+                  {!checkingPincode && serviceability && (serviceability.deliverable ? (
+                    <p className="mt-1 text-sm text-green-700 flex items-center">
+                      <FiTruck className="mr-1" />
+                      Delivery in {formatDeliveryDays(serviceability.estimatedDays)}
+                      {!serviceability.codAvailable && ' · Cash on Delivery not available'}
+                    </p>
+                  ) : (
+                    <p className="mt-1 text-sm text-red-600">
+                      Sorry, we don&apos;t deliver to {serviceability.pincode} yet
+                    </p>
+                  ))}
+                  {errors['shippingAddress.postalCode'] && !serviceability && (
+                    <p className="mt-1 text-sm text-red-600">{errors['shippingAddress.postalCode']}</p>
+                  )}
                 </div>
                 
                 <div>
@@ -1004,6 +1039,56 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
               </div>
             )}
             
+            {serviceability?.deliverable && (
+              <div className="mt-6 space-y-3 border-t border-gray-200 pt-4">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  <FiTruck className="mr-2" /> Delivery Speed
+                </h3>
+                
+                {loadingShippingOptions && !shippingOptions && (
+                  <p className="text-sm text-gray-500 flex items-center">
+                    <FiLoader className="animate-spin mr-1" /> Loading delivery options...
+                  </p>
+                )}
+                
+                {shippingOptions?.map(option => (
+                  <label
+                    key={option.service}
+                    className={`flex items-center justify-between p-3 border rounded-md cursor-pointer ${
+                      selectedShipping?.service === option.service ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300'
+                    }`}
+                  >
+                    <span className="flex items-center">
+                      <input
+                        type="radio"
+                        name="shippingService"
+                        value={option.service}
+                        checked={selectedShipping?.service === option.service}
+                        onChange={() => setShippingService(option.service)}
+                        className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300"
+                      />
+                      <span className="ml-3 text-sm">
+                        <span className="block font-medium text-gray-700">{option.label}</span>
+                        <span className="block text-gray-500">
+                          Delivery in {formatDeliveryDays(option.estimatedDays)}
+                        </span>
+                      </span>
+                    </span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {option.shippingCost === 0 ? 'Free' : `₹${option.shippingCost.toFixed(2)}`}
+                    </span>
+                  </label>
+                ))}
+                
+                {shippingOptions && shippingOptions.length === 0 && (
+                  <p className="text-sm text-red-600">No delivery option is available for this address</p>
+                )}
+                {errors.shippingService && shippingOptions?.length !== 0 && (
+                  <p className="mt-1 text-sm text-red-600">{errors.shippingService}</p>
+                )}
+              </div>
+            )}
+            
             <div className="pt-4 flex justify-between">
               <Button 
                 onClick={handlePrevStep}
@@ -1037,10 +1122,17 @@ const CheckoutForm = ({ onOrderPlaced, onError }) => {
                   value="cod"
                   checked={formData.paymentMethod === 'cod'}
                   onChange={e => handleShippingAddressChange('paymentMethod', e.target.value)}
+                  disabled={serviceability?.codAvailable === false}
                   className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300"
                 />
                 <label htmlFor="cod" className="ml-3 block text-sm font-medium text-gray-700">
                   Cash on Delivery
+                  {serviceability?.codAvailable === false && (
+                    <span className="text-red-600"> (not available for {serviceability.pincode})</span>
+                  )}
+                  {serviceability?.codAvailable !== false && selectedShipping?.codFee > 0 && (
+                    <span className="text-gray-500"> (+₹{selectedShipping.codFee.toFixed(2)} COD charges)</span>
+                  )}
                 </label>
               </div>
               
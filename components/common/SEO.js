@@ -85,6 +85,9 @@ const SEO = ({
     }))
   } : null;
   
+  // Only approved reviews are published in structured data
+  const approvedReviews = (product?.reviews || []).filter(review => review.status === 'approved');
+  
   // Generate JSON-LD for product if provided
   const productSchema = product ? {
     '@context': 'https://schema.org',
@@ -107,15 +110,15 @@ const SEO = ({
       itemCondition: 'https://schema.org/NewCondition',
       availability: product.stock > 0 ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock'
     },
-    ...(product.rating && {
+    ...(product.rating && product.rating.count > 0 && {
       aggregateRating: {
         '@type': 'AggregateRating',
         ratingValue: product.rating.average,
         reviewCount: product.rating.count
       }
     }),
-    ...(product.reviews && product.reviews.length > 0 && {
-      review: product.reviews.map(review => ({
+    ...(approvedReviews.length > 0 && {
+      review: approvedReviews.map(review => ({
         '@type': 'Review',
         reviewRating: {
           '@type': 'Rating',
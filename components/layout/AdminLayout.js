@@ -11,7 +11,13 @@ import {
   FiUsers, 
   FiLogOut,
   FiImage,
-  FiBell
+  FiBell,
+  FiStar,
+  FiTag,
+  FiLayers,
+  FiMail,
+  FiTruck,
+  FiRotateCcw
 } from 'react-icons/fi';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
@@ -104,6 +110,21 @@ export default function AdminLayout({ children, title }) {
                 </Link>
               </li>
               
+              <li>
+                <Link 
+                  href="/admin/inventory" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/inventory') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiLayers className="mr-3" />
+                  Restock
+                </Link>
+              </li>
+              
               <li>
                 <Link 
                   href="/admin/orders" 
@@ -119,6 +140,21 @@ export default function AdminLayout({ children, title }) {
                 </Link>
               </li>
               
+              <li>
+                <Link 
+                  href="/admin/returns" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/returns') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiRotateCcw className="mr-3" />
+                  Returns
+                </Link>
+              </li>
+              
               <li>
                 <Link 
                   href="/admin/users" 
@@ -134,6 +170,66 @@ export default function AdminLayout({ children, title }) {
                 </Link>
               </li>
               
+              <li>
+                <Link 
+                  href="/admin/reviews" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/reviews') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiStar className="mr-3" />
+                  Reviews
+                </Link>
+              </li>
+              
+              <li>
+                <Link 
+                  href="/admin/coupons" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/coupons') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiTag className="mr-3" />
+                  Coupons
+                </Link>
+              </li>
+              
+              <li>
+                <Link 
+                  href="/admin/shipping-rates" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/shipping-rates') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiTruck className="mr-3" />
+                  Shipping Rates
+                </Link>
+              </li>
+              
+              <li>
+                <Link 
+                  href="/admin/emails" 
+                  className={`flex items-center p-2 rounded-md ${
+                    isSectionActive('/admin/emails') 
+                      ? 'bg-white text-indigo-deep' 
+                      : 'text-white hover:bg-indigo-800'
+                  }`}
+                  onClick={() => setSidebarOpen(false)}
+                >
+                  <FiMail className="mr-3" />
+                  Emails
+                </Link>
+              </li>
+              
               <li>
                 <Link 
                   href="/admin/carousel" 
@@ -31,6 +31,7 @@ const Layout = ({ children }) => {
               <ul className="space-y-2">
                 <li><Link href="/about" className="text-gray-600 hover:text-indigo-deep">About Us</Link></li>
                 <li><Link href="/contact" className="text-gray-600 hover:text-indigo-deep">Contact Us</Link></li>
+                <li><Link href="/track-order" className="text-gray-600 hover:text-indigo-deep">Track Order</Link></li>
                 <li><Link href="/security-policy" className="text-gray-600 hover:text-indigo-deep">Security Policy</Link></li>
                 <li><Link href="/products" className="text-gray-600 hover:text-indigo-deep">Products</Link></li>
                 <li><Link href="/login" className="text-gray-600 hover:text-indigo-deep">Account</Link></li>
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { FiCheckCircle, FiLoader, FiMapPin, FiXCircle } from 'react-icons/fi';
+
+// The last pincode checked, so other product pages can show it straight away
+const PINCODE_STORAGE_KEY = 'deliveryPincode';
+
+const formatDate = (iso) => new Intl.DateTimeFormat('en-IN', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short'
+}).format(new Date(iso));
+
+/**
+ * "Check delivery" box for the product page: whether we deliver to a
+ * pincode, by when, and whether Cash on Delivery is available there
+ */
+export default function DeliveryCheck() {
+  const [pincode, setPincode] = useState('');
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const check = async (code) => {
+    try {
+      setChecking(true);
+      setError('');
+
+      const response = await fetch(`/api/shipping/serviceability?pincode=${encodeURIComponent(code)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Could not check this pincode');
+      }
+
+      setResult(data.serviceability);
+      localStorage.setItem(PINCODE_STORAGE_KEY, code);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  useEffect(() => {
+    const saved = localStorage.getItem(PINCODE_STORAGE_KEY);
+
+    if (saved) {
+      setPincode(saved);
+      check(saved);
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!/^[1-9][0-9]{5}$/.test(pincode)) {
+      setResult(null);
+      setError('Please enter a valid 6-digit pincode');
+      return;
+    }
+
+    check(pincode);
+  };
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-md p-4">
+      <h2 className="text-lg font-semibold mb-2 flex items-center">
+        <FiMapPin className="mr-2" /> Check Delivery
+      </h2>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength="6"
+          value={pincode}
+          onChange={(e) => setPincode(e.target.value.replace(/\D/g, ''))}
+          placeholder="Enter pincode"
+          aria-label="Pincode"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep"
+        />
+        <button
+          type="submit"
+          disabled={checking}
+          className="px-4 py-2 rounded-md border border-indigo-deep text-indigo-deep hover:bg-indigo-50 disabled:opacity-50"
+        >
+          {checking ? <FiLoader className="animate-spin" /> : 'Check'}
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {result && (result.deliverable ? (
+        <div className="mt-3 text-sm space-y-1">
+          <p className="flex items-center text-green-700">
+            <FiCheckCircle className="mr-2" />
+            Delivery by {formatDate(result.estimatedDelivery.to)}
+            {result.city && <span className="text-gray-500 ml-1">to {result.city}</span>}
+          </p>
+          <p className={`flex items-center ${result.codAvailable ? 'text-gray-700' : 'text-gray-500'}`}>
+            {result.codAvailable
+              ? <FiCheckCircle className="mr-2 text-green-700" />
+              : <FiXCircle className="mr-2" />}
+            Cash on Delivery {result.codAvailable ? 'available' : 'not available'}
+          </p>
+        </div>
+      ) : (
+        <p className="mt-3 text-sm text-red-600 flex items-center">
+          <FiXCircle className="mr-2" />
+          Sorry, we don&apos;t deliver to {result.pincode} yet
+        </p>
+      ))}
+    </div>
+  );
+}
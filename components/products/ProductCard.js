@@ -6,6 +6,7 @@ import { useCart } from '../../contexts/CartContext';
 import { useRouter } from 'next/router';
 import { useNotification } from '../../contexts/NotificationContext';
 import { formatPrice } from '../../utils/helpers';
+import { hasVariants, getSizesInStock } from '../../utils/productVariants';
 
 export default function ProductCard({ product, view = 'grid' }) {
   const [isHovered, setIsHovered] = useState(false);
@@ -45,16 +46,19 @@ export default function ProductCard({ product, view = 'grid' }) {
     : 0;
   
   // Get all available sizes
-  const getAvailableSizes = () => {
-    if (!safeProduct.stock) return [];
-    return Object.keys(safeProduct.stock).filter(size => safeProduct.stock[size] > 0);
-  };
+  const getAvailableSizes = () => getSizesInStock(product);
   
   // Handle adding to cart with default size
   const handleAddToCart = (e) => {
     e.preventDefault();
     e.stopPropagation();
     
+    // Products with variants need a wash and length chosen on the product page
+    if (hasVariants(product)) {
+      router.push(`/products/${safeProduct.slug}`);
+      return;
+    }
+    
     // Get available sizes
     const availableSizes = getAvailableSizes();
     
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { FiStar, FiUser, FiThumbsUp, FiFlag, FiEdit, FiTrash2 } from 'react-icons/fi';
+import { FiStar, FiUser, FiThumbsUp, FiFlag, FiEdit, FiTrash2, FiCheckCircle } from 'react-icons/fi';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
 import { 
@@ -7,10 +7,11 @@ import {
   getProductRating, 
   addProductReview, 
   updateProductReview, 
-  deleteProductReview,
-  getUserProductReview
+  getUserProductReview,
+  reportReview
 } from '../../utils/reviewService';
 import Button from '../common/Button';
+import { fetchCsrfToken } from '../../utils/csrf';
 import { t } from '../../utils/i18n';
 
 const ProductReviews = ({ productId, productName }) => {
@@ -23,6 +24,9 @@ const ProductReviews = ({ productId, productName }) => {
   const [userReview, setUserReview] = useState(null);
   const [showReviewForm, setShowReviewForm] = useState(false);
   const [submitting, setSubmitting] = useState(false);
+  const [reportingReviewId, setReportingReviewId] = useState(null);
+  const [reportReason, setReportReason] = useState('');
+  const [reportedReviewIds, setReportedReviewIds] = useState([]);
   
   // Form state
   const [reviewForm, setReviewForm] = useState({
@@ -109,7 +113,10 @@ const ProductReviews = ({ productId, productName }) => {
       setShowReviewForm(false);
       
       // Refresh reviews
-      const ratingData = await getProductRating(productId, true);
+      const reviewsData = await getProductReviews(productId);
+      setReviews(reviewsData);
+      
+      const ratingData = await getProductRating(productId);
       setRating(ratingData);
     } catch (error) {
       console.error('Error submitting review:', error);
@@ -126,7 +133,22 @@ const ProductReviews = ({ productId, productName }) => {
     try {
       setSubmitting(true);
       
-      await deleteProductReview(userReview.id, currentUser.uid);
+      // Deleted through the API, which keeps the product rating in step
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/reviews/delete', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ reviewId: userReview.id })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to delete review');
+      }
       
       showNotification('Your review has been deleted', 'success');
       
@@ -139,10 +161,10 @@ const ProductReviews = ({ productId, productName }) => {
       });
       
       // Refresh reviews
-      const reviewsData = await getProductReviews(productId, { bypassCache: true });
+      const reviewsData = await getProductReviews(productId);
       setReviews(reviewsData);
       
-      const ratingData = await getProductRating(productId, true);
+      const ratingData = await getProductRating(productId);
       setRating(ratingData);
     } catch (error) {
       console.error('Error deleting review:', error);
@@ -152,6 +174,35 @@ const ProductReviews = ({ productId, productName }) => {
     }
   };
   
+  // Handle review report
+  const handleReportReview = async (e) => {
+    e.preventDefault();
+    
+    if (!currentUser) {
+      showNotification('Please login to report a review', 'info');
+      return;
+    }
+    
+    try {
+      setSubmitting(true);
+      
+      await reportReview(reportingReviewId, {
+        userId: currentUser.uid,
+        reason: reportReason
+      });
+      
+      setReportedReviewIds([...reportedReviewIds, reportingReviewId]);
+      setReportingReviewId(null);
+      setReportReason('');
+      showNotification('Thanks, our team will review this report', 'success');
+    } catch (error) {
+      console.error('Error reporting review:', error);
+      showNotification(error.message || 'Failed to report review', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
   // Render star rating
   const renderStars = (rating) => {
     return (
@@ -302,8 +353,13 @@ const ProductReviews = ({ productId, productName }) => {
           ) : (
             <div className="flex justify-between items-center mb-6">
               <div>
-                {userReview.approved ? (
+                {userReview.status === 'approved' ? (
                   <span className="text-green-600 font-medium">Your review is published</span>
+                ) : userReview.status === 'rejected' || userReview.status === 'hidden' ? (
+                  <span className="text-red-600 font-medium">
+                    Your review was not published
+                    {userReview.moderation?.reason && `: ${userReview.moderation.reason}`}
+                  </span>
                 ) : (
                   <span className="text-amber-600 font-medium">Your review is pending approval</span>
                 )}
@@ -363,6 +419,12 @@ const ProductReviews = ({ productId, productName }) => {
                   </div>
                   <div className="ml-3">
                     <h4 className="font-medium">{review.userName}</h4>
+                    {review.verifiedPurchase && (
+                      <span className="flex items-center text-xs text-green-600">
+                        <FiCheckCircle className="mr-1" />
+                        Verified Purchase
+                      </span>
+                    )}
                     <p className="text-sm text-gray-500">
                       {new Date(review.createdAt?.seconds ? review.createdAt.seconds * 1000 : review.createdAt).toLocaleDateString()}
                     </p>
@@ -382,16 +444,52 @@ const ProductReviews = ({ productId, productName }) => {
                     <span>Helpful</span>
                   </button>
                   
-                  <button className="flex items-center hover:text-gray-700">
-                    <FiFlag className="mr-1" />
-                    <span>Report</span>
-                  </button>
+                  {review.userId !== currentUser?.uid && (
+                    reportedReviewIds.includes(review.id) ? (
+                      <span className="flex items-center">
+                        <FiFlag className="mr-1" />
+                        <span>Reported</span>
+                      </span>
+                    ) : (
+                      <button
+                        className="flex items-center hover:text-gray-700"
+                        onClick={() => {
+                          setReportingReviewId(reportingReviewId === review.id ? null : review.id);
+                          setReportReason('');
+                        }}
+                      >
+                        <FiFlag className="mr-1" />
+                        <span>Report</span>
+                      </button>
+                    )
+                  )}
                 </div>
                 
                 {review.updatedAt && review.updatedAt !== review.createdAt && (
                   <span className="italic">Edited</span>
                 )}
               </div>
+              
+              {reportingReviewId === review.id && (
+                <form onSubmit={handleReportReview} className="mt-4 flex space-x-3">
+                  <input
+                    type="text"
+                    value={reportReason}
+                    onChange={(e) => setReportReason(e.target.value)}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                    placeholder="Why are you reporting this review?"
+                    aria-label="Report reason"
+                    required
+                  />
+                  <Button
+                    type="submit"
+                    variant="outline"
+                    isLoading={submitting}
+                  >
+                    Report
+                  </Button>
+                </form>
+              )}
             </div>
           ))
         )}
@@ -24,6 +24,7 @@ export function useAdminNotification() {
 
 export function AdminNotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
+  const [lowStockNotifications, setLowStockNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -266,6 +267,42 @@ export function AdminNotificationProvider({ children }) {
     fetchNotifications();
   }, [retryCount]);
 
+  // Listen to unread low-stock alerts raised when sales take stock down to
+  // its threshold
+  useEffect(() => {
+    if (!db) return undefined;
+    
+    const lowStockQuery = query(
+      collection(db, 'adminNotifications'),
+      where('type', '==', 'low_stock'),
+      where('read', '==', false)
+    );
+    
+    const unsubscribe = onSnapshot(lowStockQuery, (snapshot) => {
+      const alerts = snapshot.docs.map(doc => {
+        const data = doc.data();
+        
+        return {
+          id: doc.id,
+          type: 'low_stock',
+          title: data.title || 'Low Stock Alert',
+          message: data.message,
+          items: data.items || [],
+          orderId: data.orderId || null,
+          timestamp: data.createdAt?.toDate() || new Date(),
+          read: false
+        };
+      });
+      
+      alerts.sort((a, b) => b.timestamp - a.timestamp);
+      setLowStockNotifications(alerts);
+    }, (err) => {
+      console.error('Error fetching low stock notifications:', err);
+    });
+    
+    return () => unsubscribe();
+  }, [retryCount]);
+
   // Function to retry fetching notifications
   const retryFetch = () => {
     console.log('Retrying notification fetch...');
@@ -279,6 +316,13 @@ export function AdminNotificationProvider({ children }) {
     try {
       console.log(`Marking notification ${notificationId} as read`);
       
+      // Low-stock alerts live in adminNotifications
+      if (lowStockNotifications.some(notification => notification.id === notificationId)) {
+        await updateDoc(doc(db, 'adminNotifications', notificationId), { read: true });
+        setLowStockNotifications(prev => prev.filter(notification => notification.id !== notificationId));
+        return true;
+      }
+      
       // Update the order document in Firebase
       const orderRef = doc(db, 'orders', notificationId);
       await updateDoc(orderRef, {
@@ -308,13 +352,17 @@ export function AdminNotificationProvider({ children }) {
     try {
       console.log('Marking all notifications as read');
       
-      if (notifications.length === 0) {
+      if (notifications.length === 0 && lowStockNotifications.length === 0) {
         console.log('No notifications to mark as read');
         return true;
       }
       
       const batch = writeBatch(db);
       
+      lowStockNotifications.forEach(notification => {
+        batch.update(doc(db, 'adminNotifications', notification.id), { read: true });
+      });
+      
       // Update each order in Firebase
       notifications.forEach(notification => {
         const orderRef = doc(db, 'orders', notification.id);
@@ -329,6 +377,7 @@ export function AdminNotificationProvider({ children }) {
       
       // Clear local notifications
       setNotifications([]);
+      setLowStockNotifications([]);
       setUnreadCount(0);
       
       console.log(`Successfully marked ${notifications.length} notifications as read`);
@@ -376,9 +425,14 @@ export function AdminNotificationProvider({ children }) {
     setSoundEnabled(prev => !prev);
   };
 
+  // Order notifications and low-stock alerts, newest first
+  const allNotifications = [...notifications, ...lowStockNotifications]
+    .sort((a, b) => b.timestamp - a.timestamp);
+
   const value = {
-    notifications,
-    unreadCount,
+    notifications: allNotifications,
+    unreadCount: unreadCount + lowStockNotifications.length,
+    lowStockNotifications,
     loading,
     error,
     markAsRead,
@@ -3,6 +3,10 @@ import { useAuth } from './AuthContext';
 import { doc, setDoc, getDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../utils/firebase';
 import { useNotification } from './NotificationContext';
+import { validateCoupon } from '../utils/couponService';
+import { calculateTotals, getUnitPrice } from '../utils/pricingService';
+import { DEFAULT_TAX_SLAB } from '../utils/gstService';
+import { getVariantImages, getVariantLabel, getStockKey } from '../utils/productVariants';
 
 const CartContext = createContext();
 
@@ -10,6 +14,10 @@ export function useCart() {
   return useContext(CartContext);
 }
 
+// A cart line is one product in one variant, or one size for products
+// without variants
+export const getCartLineId = (item) => `${item.id}:${getStockKey(item)}`;
+
 export function CartProvider({ children }) {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -197,15 +205,47 @@ export function CartProvider({ children }) {
     debouncedSave(cartItems, discount, promoCode);
   }, [cartItems, discount, promoCode, loading, debouncedSave]);
 
-  // Calculate totals
+  // Re-validate the applied promo code when the cart changes, since the
+  // discount depends on the cart contents and the coupon's limits
+  useEffect(() => {
+    if (loading || !promoCode) return;
+    
+    let cancelled = false;
+    
+    validateCoupon(promoCode, { items: cartItems, userId: currentUser?.uid })
+      .then((result) => {
+        if (cancelled) return;
+        
+        if (result.valid) {
+          setDiscount(result.discount);
+        } else {
+          setDiscount(0);
+          setPromoCode('');
+          showNotification(`Promo code removed: ${result.message}`, 'info');
+        }
+      })
+      .catch((error) => console.error('Error re-validating promo code:', error));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [cartItems, promoCode, loading, currentUser, showNotification]);
+
+  // Calculate totals. `discount` is the coupon discount amount in rupees.
   const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const discountAmount = (subtotal * discount) / 100;
+  const discountAmount = Math.min(discount, subtotal);
   const total = subtotal - discountAmount;
+  // Shipping, GST and grand total, priced the same way the server prices the
+  // order. The GST split needs the shipping state and shipping the chosen
+  // delivery option, so checkout passes them in.
+  const getOrderTotals = (destinationState = null, shipping = null) =>
+    calculateTotals({ items: cartItems, discount: discountAmount, destinationState, shipping });
+  const orderTotals = getOrderTotals();
 
-  // Add item to cart
-  const addToCart = (product, size, quantity = 1) => {
+  // Add item to cart. Products with variants pass the chosen variant.
+  const addToCart = (product, size, quantity = 1, variant = null) => {
     try {
-      console.log("Adding to cart:", product, size, quantity);
+      console.log("Adding to cart:", product, size, quantity, variant);
       
       if (!product || !product.id) {
         console.error("Invalid product object:", product);
@@ -214,20 +254,31 @@ export function CartProvider({ children }) {
       }
       
       // Create a properly formatted item object
+      const images = getVariantImages(product, variant);
       let newItem = {
         id: product.id,
         name: product.name_en || product.name || "Unknown Product",
         slug: product.slug || "",
-        price: product.salePrice || product.price || 0,
-        originalPrice: product.price || 0,
-        image: product.images && product.images.length > 0 ? product.images[0] : null,
-        size,
+        price: getUnitPrice(product, variant),
+        originalPrice: variant?.price ?? product.price ?? 0,
+        hsnCode: product.hsnCode || null,
+        taxSlab: product.taxSlab || DEFAULT_TAX_SLAB,
+        image: images.length > 0 ? images[0] : null,
+        size: variant ? variant.size : size,
         quantity
       };
       
-      const existingItemIndex = cartItems.findIndex(
-        item => item.id === product.id && item.size === size
-      );
+      if (variant) {
+        Object.assign(newItem, {
+          variantId: variant.id,
+          sku: variant.sku,
+          wash: variant.wash,
+          length: variant.length || null
+        });
+      }
+      
+      const lineId = getCartLineId(newItem);
+      const existingItemIndex = cartItems.findIndex(item => getCartLineId(item) === lineId);
 
       let updatedCart;
 
@@ -235,12 +286,12 @@ export function CartProvider({ children }) {
         // Update quantity if item exists
         updatedCart = [...cartItems];
         updatedCart[existingItemIndex].quantity += quantity;
-        lastAddedItemRef.current = { id: product.id, size };
+        lastAddedItemRef.current = { id: product.id, size: newItem.size, variantId: newItem.variantId };
       } else {
         // Add new item if it doesn't exist
         console.log("Creating new cart item:", newItem);
         updatedCart = [...cartItems, newItem];
-        lastAddedItemRef.current = { id: product.id, size };
+        lastAddedItemRef.current = { id: product.id, size: newItem.size, variantId: newItem.variantId };
         
         // Track add to cart event with analytics
         try {
@@ -253,7 +304,8 @@ export function CartProvider({ children }) {
       
       // Update cart state
       setCartItems(updatedCart);
-      showNotification(`${newItem.name} (Size: ${size}) added to cart!`, 'success');
+      const option = variant ? getVariantLabel(variant) : `Size: ${size}`;
+      showNotification(`${newItem.name} (${option}) added to cart!`, 'success');
       
       return { success: true, authRequired: false };
     } catch (error) {
@@ -264,11 +316,13 @@ export function CartProvider({ children }) {
   };
 
   // Update item quantity
-  const updateQuantity = (productId, size, newQuantity) => {
+  const updateQuantity = (lineId, newQuantity) => {
     if (newQuantity < 1) return;
 
+    let updatedItem = null;
     const updatedCart = cartItems.map(item => {
-      if (item.id === productId && item.size === size) {
+      if (getCartLineId(item) === lineId) {
+        updatedItem = item;
         return { ...item, quantity: newQuantity };
       }
       return item;
@@ -281,19 +335,22 @@ export function CartProvider({ children }) {
       detail: { items: updatedCart, discount, promoCode } 
     }));
     
-    showNotification(`Updated quantity of ${productId} in size ${size}`, 'success');
+    if (updatedItem) {
+      const option = updatedItem.variantId ? getVariantLabel(updatedItem) : `size ${updatedItem.size}`;
+      showNotification(`Updated quantity of ${updatedItem.name} in ${option}`, 'success');
+    }
     
     return updatedCart;
   };
 
   // Remove item from cart
-  const removeItem = (productId, size) => {
+  const removeItem = (lineId) => {
     try {
       // Find the item to be removed
-      const itemToRemove = cartItems.find(item => item.id === productId && item.size === size);
+      const itemToRemove = cartItems.find(item => getCartLineId(item) === lineId);
       
       if (!itemToRemove) {
-        console.warn("Item not found in cart:", productId, size);
+        console.warn("Item not found in cart:", lineId);
         return;
       }
       
@@ -306,7 +363,7 @@ export function CartProvider({ children }) {
       }
       
       // Filter out the item
-      const updatedCart = cartItems.filter(item => !(item.id === productId && item.size === size));
+      const updatedCart = cartItems.filter(item => getCartLineId(item) !== lineId);
       
       // Update state
       setCartItems(updatedCart);
@@ -333,22 +390,30 @@ export function CartProvider({ children }) {
     showNotification('Order placed successfully! Your cart has been cleared.', 'success');
   };
 
-  // Apply promo code
+  // Apply promo code. The coupon is validated here for display and
+  // re-validated and redeemed on the server when the order is created.
   const applyPromoCode = async (code) => {
-    // In a real app, you'd validate this against a database
-    // For now, we'll use hardcoded values
-    if (code.toLowerCase() === 'welcome10') {
-      setDiscount(10);
-      setPromoCode(code);
-      return { success: true, discount: 10 };
-    } else if (code.toLowerCase() === 'summer20') {
-      setDiscount(20);
-      setPromoCode(code);
-      return { success: true, discount: 20 };
-    } else {
-      return { success: false, message: 'Invalid promo code' };
+    try {
+      const result = await validateCoupon(code, { items: cartItems, userId: currentUser?.uid });
+      
+      if (!result.valid) {
+        return { success: false, message: result.message };
+      }
+      
+      setDiscount(result.discount);
+      setPromoCode(result.coupon.code);
+      return { success: true, discount: result.discount, code: result.coupon.code };
+    } catch (error) {
+      console.error('Error applying promo code:', error);
+      return { success: false, message: 'Could not apply promo code. Please try again.' };
     }
   };
+  
+  // Remove promo code
+  const removePromoCode = () => {
+    setDiscount(0);
+    setPromoCode('');
+  };
 
   // Merge anonymous cart with user cart when logging in
   const mergeAnonymousCart = async () => {
@@ -373,7 +438,7 @@ export function CartProvider({ children }) {
       // Add items from anonymous cart, updating quantities if item already exists
       anonymousCart.forEach(anonymousItem => {
         const existingItemIndex = mergedCart.findIndex(
-          item => item.id === anonymousItem.id && item.size === anonymousItem.size
+          item => getCartLineId(item) === getCartLineId(anonymousItem)
         );
         
         if (existingItemIndex !== -1) {
@@ -460,14 +525,16 @@ export function CartProvider({ children }) {
           const stockField = product.stock || {};
           const sizesField = product.sizes || {};
           
-          // Get stock from either field, prioritizing the stock field
-          const availableStock = stockField[item.size] !== undefined ? 
-            stockField[item.size] : 
-            sizesField[item.size] !== undefined ? 
-              sizesField[item.size] : 
+          // Get stock from either field, prioritizing the stock field.
+          // Variant products keep their stock by variant ID.
+          const stockKey = getStockKey(item);
+          const availableStock = stockField[stockKey] !== undefined ? 
+            stockField[stockKey] : 
+            sizesField[stockKey] !== undefined ? 
+              sizesField[stockKey] : 
               0;
           
-          console.log(`Stock check for ${item.name} (${item.size}): Available=${availableStock}, Requested=${item.quantity}`);
+          console.log(`Stock check for ${item.name} (${stockKey}): Available=${availableStock}, Requested=${item.quantity}`);
           
           if (availableStock < item.quantity) {
             outOfStock.push({ 
@@ -504,11 +571,14 @@ export function CartProvider({ children }) {
     subtotal,
     discountAmount,
     total,
+    orderTotals,
+    getOrderTotals,
     addToCart,
     updateQuantity,
     removeItem,
     clearCart,
     applyPromoCode,
+    removePromoCode,
     validateStock,
     itemCount: cartItems.reduce((count, item) => count + item.quantity, 0),
     isEmpty: cartItems.length === 0
@@ -144,6 +144,35 @@ export function NotificationProvider({ children }) {
     }
   }, [currentUser, userRole]);
 
+  // Show the customer's unread in-app notifications (e.g. back in stock)
+  // once, then mark them read
+  useEffect(() => {
+    if (!currentUser?.uid) {
+      return undefined;
+    }
+
+    const q = query(
+      collection(db, 'users', currentUser.uid, 'notifications'),
+      where('read', '==', false),
+      limit(5)
+    );
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .forEach(change => {
+          showNotification(change.doc.data().message, 'info', 8000);
+          updateDoc(change.doc.ref, { read: true }).catch(error => {
+            console.error('Error marking notification as read:', error);
+          });
+        });
+    }, (error) => {
+      console.error('Error listening for notifications:', error);
+    });
+
+    return () => unsubscribe();
+  }, [currentUser?.uid, showNotification]);
+
   // Get the appropriate icon based on notification type
   const getIcon = (type) => {
     switch (type) {
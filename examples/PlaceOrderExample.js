@@ -1,18 +1,18 @@
 import { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
-import { placeOrder } from '../utils/orderUtils';
+import { fetchCsrfToken } from '../utils/csrf';
 import { useRouter } from 'next/router';
 import { useNotification } from '../contexts/NotificationContext';
 
 /**
- * Example component showing how to use the placeOrder function
+ * Example component showing how to place an order through /api/orders/place
  * This is just a reference implementation and not meant to be used directly
  */
 const PlaceOrderExample = ({ shippingAddress, paymentMethod }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const { currentUser } = useAuth();
-  const { cartItems, clearCart, total, subtotal } = useCart();
+  const { cartItems, clearCart, orderTotals, promoCode } = useCart();
   const router = useRouter();
   const { showNotification } = useNotification();
   
@@ -30,14 +30,8 @@ const PlaceOrderExample = ({ shippingAddress, paymentMethod }) => {
     try {
       setIsSubmitting(true);
       
-      // Calculate tax and shipping fee
-      const tax = Math.round(subtotal * 0.18 * 100) / 100; // 18% tax
-      const shippingFee = subtotal > 1000 ? 0 : 100; // Free shipping over ₹1000
-      const totalAmount = subtotal + shippingFee + tax;
-      
       // Prepare order data
       const orderData = {
-        userId: currentUser.uid,
         shippingAddress: shippingAddress,
         items: cartItems.map(item => ({
           id: item.id,
@@ -48,14 +42,26 @@ const PlaceOrderExample = ({ shippingAddress, paymentMethod }) => {
           image: item.image
         })),
         paymentMethod: paymentMethod,
-        subtotal: subtotal,
-        shippingFee: shippingFee,
-        tax: tax,
-        totalAmount: totalAmount
+        couponCode: promoCode || null,
+        // placeOrder re-prices the order and rejects a total that doesn't match
+        totalAmount: orderTotals.total
       };
       
-      // Place the order
-      const result = await placeOrder(orderData);
+      // Place the order; the server takes the user from the session
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/orders/place', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify(orderData)
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to place order');
+      }
       
       if (result.success) {
         // Clear the cart after successful order placement
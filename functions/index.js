@@ -50,6 +50,60 @@ exports.cleanupOldOrders = functions.pubsub
     }
   });
 
+/**
+ * Call one of the app's cron endpoints with the shared CRON_SECRET. The app
+ * owns the logic these jobs run, so the scheduled functions below only
+ * trigger it. APP_URL and CRON_SECRET are set in functions/.env
+ * @param {string} path - Endpoint path, e.g. /api/cron/sweep-checkouts
+ * @returns {Promise<null>}
+ */
+const callCronEndpoint = async (path) => {
+  const appUrl = process.env.APP_URL;
+  const cronSecret = process.env.CRON_SECRET;
+  
+  if (!appUrl || !cronSecret) {
+    console.error(`APP_URL and CRON_SECRET must be set to call ${path}`);
+    return null;
+  }
+  
+  try {
+    const response = await fetch(`${appUrl}${path}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${cronSecret}` }
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      console.error(`${path} failed:`, result);
+      return null;
+    }
+    
+    console.log(`${path}:`, result.data);
+    return null;
+  } catch (error) {
+    console.error(`Error calling ${path}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Cloud Function that runs every 5 minutes to release stock held by abandoned
+ * checkouts and cancel orders whose payment window lapsed
+ */
+exports.sweepAbandonedCheckouts = functions.pubsub.schedule('every 5 minutes').onRun(() => callCronEndpoint('/api/cron/sweep-checkouts'));
+
+/**
+ * Cloud Function that runs every minute to send queued emails, retrying
+ * failed ones with backoff
+ */
+exports.processEmailQueue = functions.pubsub.schedule('every 1 minutes').onRun(() => callCronEndpoint('/api/cron/process-email-queue'));
+
+/**
+ * Cloud Function that runs every hour to fetch tracking for shipments still
+ * on their way
+ */
+exports.syncShipmentTracking = functions.pubsub.schedule('every 60 minutes').onRun(() => callCronEndpoint('/api/cron/sync-shipments'));
+
 /**
  * Cloud Function that marks an order as delivered
  * This can be triggered by an admin or an automated system
@@ -24,6 +24,9 @@ export async function middleware(request) {
     '/images/',
     '/public/',
     '/products',
+    '/track-order',
+    '/api/orders/tracking',
+    '/api/shipping/serviceability',
     '/',
   ];
   
@@ -148,6 +148,7 @@ const nextConfig = {
         zlib: false,
         net: false,
         tls: false,
+        dns: false,
         child_process: false,
       };
     }
@@ -6,6 +6,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { db } from '../../utils/firebase';
 import { collection, query, where, getDocs, orderBy } from 'firebase/firestore';
 import { FiShield } from 'react-icons/fi';
+import NotificationPreferences from '../../components/account/NotificationPreferences';
 
 export default function Account() {
   const { currentUser, userRole } = useAuth();
@@ -93,6 +94,12 @@ export default function Account() {
         </div>
       </div>
 
+      {/* Notification Preferences */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Order Updates</h2>
+        <NotificationPreferences />
+      </div>
+
       {/* Recent Orders */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex justify-between items-center mb-4">
@@ -1,11 +1,16 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Head from 'next/head';
-import { FiArrowLeft, FiLoader, FiAlertCircle, FiPackage, FiTruck, FiCheckCircle, FiXCircle, FiX, FiClock } from 'react-icons/fi';
+import { FiArrowLeft, FiLoader, FiAlertCircle, FiPackage, FiTruck, FiCheckCircle, FiXCircle, FiX, FiClock, FiDownload, FiRotateCcw } from 'react-icons/fi';
 import { useAuth } from '../../../contexts/AuthContext';
 import { getOrderById, cancelOrder, markOrderAsPaid } from '../../../utils/orderService';
 import OptimizedImage from '../../../components/common/OptimizedImage';
+import { SUPPLY_TYPES } from '../../../utils/gstService';
+import { INVOICEABLE_STATUSES } from '../../../utils/invoiceService';
+import OrderTracking from '../../../components/account/OrderTracking';
+import OrderReturns from '../../../components/account/OrderReturns';
+import ReturnRequestModal from '../../../components/account/ReturnRequestModal';
 
 export default function OrderDetail() {
   const router = useRouter();
@@ -19,6 +24,9 @@ export default function OrderDetail() {
   const [cancelReason, setCancelReason] = useState('');
   const [cancelling, setCancelling] = useState(false);
   const [markingAsPaid, setMarkingAsPaid] = useState(false);
+  const [tracking, setTracking] = useState(null);
+  const [returnSummary, setReturnSummary] = useState(null);
+  const [showReturnModal, setShowReturnModal] = useState(false);
 
   useEffect(() => {
     // Redirect if not logged in
@@ -56,6 +64,61 @@ export default function OrderDetail() {
     fetchOrder();
   }, [id, currentUser, router]);
 
+  // Tracking merges the status history with the carrier's scans, which are
+  // only readable on the server
+  useEffect(() => {
+    async function fetchTracking() {
+      if (!order?.id) return;
+
+      try {
+        const response = await fetch(`/api/orders/tracking?orderId=${encodeURIComponent(order.id)}`, {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          setTracking(data.tracking);
+        }
+      } catch (err) {
+        console.error('Error fetching order tracking:', err);
+      }
+    }
+
+    fetchTracking();
+  }, [order?.id, order?.status]);
+
+  // Return requests, and what can still be returned, come from the server,
+  // which also checks the return window and the sizes in stock for exchanges
+  const fetchReturns = useCallback(async () => {
+    if (!order?.id) return;
+
+    try {
+      const response = await fetch(`/api/returns?orderId=${encodeURIComponent(order.id)}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setReturnSummary(data);
+      }
+    } catch (err) {
+      console.error('Error fetching returns:', err);
+    }
+  }, [order?.id]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns, order?.status]);
+
+  const handleReturnCreated = (returnRequest) => {
+    setShowReturnModal(false);
+    setSuccess(`${returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} ${returnRequest.returnNumber} requested`);
+    fetchReturns();
+  };
+
+  const canRequestReturn = Boolean(returnSummary?.window?.eligible &&
+    returnSummary.items.some(item => item.returnableQuantity > 0));
+
   // Helper function to format date
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
@@ -170,7 +233,7 @@ export default function OrderDetail() {
 
     try {
       setCancelling(true);
-      await cancelOrder(order.id, cancelReason);
+      await cancelOrder(order.id, cancelReason, { changedBy: currentUser.uid });
       
       // Update local order state
       setOrder(prev => ({
@@ -325,6 +388,12 @@ export default function OrderDetail() {
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-sm font-medium text-gray-700 mb-2">Order Status</h3>
           {renderOrderTimeline(order.status)}
+          {tracking && (
+            <div className="mt-6">
+              <h3 className="text-sm font-medium text-gray-700 mb-3">Tracking</h3>
+              <OrderTracking tracking={tracking} />
+            </div>
+          )}
         </div>
 
         {/* Order Details */}
@@ -426,6 +495,14 @@ export default function OrderDetail() {
           </div>
         </div>
 
+        {/* Returns and exchanges */}
+        {returnSummary?.returns.length > 0 && (
+          <div className="p-6 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-700 mb-4">Returns &amp; Exchanges</h3>
+            <OrderReturns returns={returnSummary.returns} reasons={returnSummary.reasons} />
+          </div>
+        )}
+
         {/* Order Summary */}
         <div className="p-6">
           <div className="ml-auto w-full md:w-1/2 lg:w-1/3">
@@ -438,6 +515,23 @@ export default function OrderDetail() {
                 <p className="text-sm text-gray-600">Shipping</p>
                 <p className="text-sm font-medium">₹{order.shipping?.toFixed(2) || '0.00'}</p>
               </div>
+              {order.gst && (order.gst.supplyType === SUPPLY_TYPES.INTER_STATE ? (
+                <div className="flex justify-between">
+                  <p className="text-sm text-gray-600">IGST</p>
+                  <p className="text-sm font-medium">₹{order.gst.igst.toFixed(2)}</p>
+                </div>
+              ) : (
+                <>
+                  <div className="flex justify-between">
+                    <p className="text-sm text-gray-600">CGST</p>
+                    <p className="text-sm font-medium">₹{order.gst.cgst.toFixed(2)}</p>
+                  </div>
+                  <div className="flex justify-between">
+                    <p className="text-sm text-gray-600">SGST</p>
+                    <p className="text-sm font-medium">₹{order.gst.sgst.toFixed(2)}</p>
+                  </div>
+                </>
+              ))}
               {order.discount > 0 && (
                 <div className="flex justify-between">
                   <p className="text-sm text-gray-600">Discount</p>
@@ -455,6 +549,28 @@ export default function OrderDetail() {
         {/* Order Actions */}
         <div className="p-6 bg-gray-50 border-t border-gray-200">
           <div className="flex flex-wrap gap-3 justify-end">
+            {/* GST invoice is available once the order is confirmed */}
+            {(order.invoice || INVOICEABLE_STATUSES.includes(order.status)) && (
+              <a
+                href={`/api/orders/invoice?orderId=${encodeURIComponent(order.id)}`}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                <FiDownload className="-ml-1 mr-2 h-4 w-4" />
+                Download Invoice
+              </a>
+            )}
+            
+            {canRequestReturn && (
+              <button
+                onClick={() => setShowReturnModal(true)}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                title={`Returns close on ${formatDate(returnSummary.window.closesAt)}`}
+              >
+                <FiRotateCcw className="-ml-1 mr-2 h-4 w-4" />
+                Return or Exchange
+              </button>
+            )}
+            
             {/* Show Mark as Paid button only for delivered orders that aren't paid yet */}
             {order.status === 'delivered' && !order.isPaid && (
               <button
@@ -490,6 +606,18 @@ export default function OrderDetail() {
         </div>
       </div>
 
+      {showReturnModal && (
+        <ReturnRequestModal
+          orderId={order.id}
+          items={returnSummary.items}
+          reasons={returnSummary.reasons}
+          maxPhotos={returnSummary.maxPhotos}
+          maxPhotoBytes={returnSummary.maxPhotoBytes}
+          onClose={() => setShowReturnModal(false)}
+          onCreated={handleReturnCreated}
+        />
+      )}
+
       {/* Cancel Order Modal */}
       {showCancelModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
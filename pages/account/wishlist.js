@@ -8,6 +8,7 @@ import { db } from '../../utils/firebase';
 import { doc, getDoc, setDoc, arrayRemove, updateDoc } from 'firebase/firestore';
 import { getProductById } from '../../utils/productService';
 import OptimizedImage from '../../components/common/OptimizedImage';
+import { hasVariants, getSizesInStock } from '../../utils/productVariants';
 
 export default function Wishlist() {
   const router = useRouter();
@@ -99,6 +100,12 @@ export default function Wishlist() {
   };
 
   const addToCart = (product) => {
+    // Products with variants need a wash, size and length chosen on the product page
+    if (hasVariants(product)) {
+      router.push(`/products/${product.slug}`);
+      return;
+    }
+    
     try {
       // Get current cart from localStorage
       const cart = JSON.parse(localStorage.getItem('cart') || '[]');
@@ -121,7 +128,7 @@ export default function Wishlist() {
           image: product.images && product.images.length > 0 ? product.images[0] : null,
           quantity: 1,
           // Default to first available size or null if no sizes
-          size: product.stock ? Object.keys(product.stock).find(size => product.stock[size] > 0) || null : null
+          size: getSizesInStock(product)[0] || null
         });
       }
       
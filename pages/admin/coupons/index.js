@@ -0,0 +1,357 @@
+import { useState, useEffect } from 'react';
+import { FiPlus, FiEdit, FiTrash2, FiLoader } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useNotification } from '../../../contexts/NotificationContext';
+import {
+  COUPON_TYPES,
+  getAllCoupons,
+  createCoupon,
+  updateCoupon,
+  setCouponActive,
+  deleteCoupon
+} from '../../../utils/couponService';
+
+const emptyForm = {
+  code: '',
+  description: '',
+  type: COUPON_TYPES.PERCENTAGE,
+  value: '',
+  maxDiscount: '',
+  minCartValue: '',
+  startsAt: '',
+  expiresAt: '',
+  usageLimit: '',
+  perUserLimit: '',
+  applicableCategories: '',
+  applicableProducts: '',
+  active: true
+};
+
+// Convert an ISO date to the local-time value format of a datetime-local input
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Split a comma separated list into trimmed values
+const toList = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+export default function AdminCoupons() {
+  const { showNotification } = useNotification();
+
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingCode, setEditingCode] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [processing, setProcessing] = useState(false);
+
+  // Fetch coupons
+  useEffect(() => {
+    async function fetchCoupons() {
+      try {
+        setLoading(true);
+        setError(null);
+        setCoupons(await getAllCoupons());
+      } catch (err) {
+        console.error('Error fetching coupons:', err);
+        setError('Failed to load coupons');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchCoupons();
+  }, []);
+
+  const openCreate = () => {
+    setEditingCode(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (coupon) => {
+    setEditingCode(coupon.code);
+    setForm({
+      ...emptyForm,
+      ...coupon,
+      value: coupon.value ?? '',
+      maxDiscount: coupon.maxDiscount ?? '',
+      minCartValue: coupon.minCartValue || '',
+      usageLimit: coupon.usageLimit ?? '',
+      perUserLimit: coupon.perUserLimit ?? '',
+      startsAt: toInputDate(coupon.startsAt),
+      expiresAt: toInputDate(coupon.expiresAt),
+      applicableCategories: (coupon.applicableCategories || []).join(', '),
+      applicableProducts: (coupon.applicableProducts || []).join(', ')
+    });
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Save coupon
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const couponData = {
+      ...form,
+      applicableCategories: toList(form.applicableCategories),
+      applicableProducts: toList(form.applicableProducts)
+    };
+
+    try {
+      setProcessing(true);
+
+      if (editingCode) {
+        const updated = await updateCoupon(editingCode, couponData);
+        setCoupons(prev => prev.map(coupon =>
+          coupon.code === editingCode ? { ...coupon, ...updated, startsAt: form.startsAt || null, expiresAt: form.expiresAt || null } : coupon
+        ));
+        showNotification(`Coupon ${editingCode} updated`, 'success');
+      } else {
+        const created = await createCoupon(couponData);
+        setCoupons(prev => [...prev, { ...created, startsAt: form.startsAt || null, expiresAt: form.expiresAt || null }]
+          .sort((a, b) => a.code.localeCompare(b.code)));
+        showNotification(`Coupon ${created.code} created`, 'success');
+      }
+
+      setShowForm(false);
+    } catch (err) {
+      console.error('Error saving coupon:', err);
+      showNotification(err.message || 'Failed to save coupon', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleToggleActive = async (coupon) => {
+    try {
+      await setCouponActive(coupon.code, !coupon.active);
+      setCoupons(prev => prev.map(c => (c.code === coupon.code ? { ...c, active: !coupon.active } : c)));
+    } catch (err) {
+      console.error('Error updating coupon:', err);
+      showNotification('Failed to update coupon', 'error');
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+
+    try {
+      await deleteCoupon(coupon.code);
+      setCoupons(prev => prev.filter(c => c.code !== coupon.code));
+      showNotification(`Coupon ${coupon.code} deleted`, 'success');
+    } catch (err) {
+      console.error('Error deleting coupon:', err);
+      showNotification('Failed to delete coupon', 'error');
+    }
+  };
+
+  // Format date
+  const formatDate = (value) => {
+    if (!value) return '—';
+
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(value));
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep';
+
+  return (
+    <AdminLayout title="Coupons">
+      <div className="mb-6 flex justify-end">
+        <button
+          onClick={openCreate}
+          className="flex items-center px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800"
+        >
+          <FiPlus className="mr-2" /> New Coupon
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Coupons Table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Min. Cart</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valid</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center">
+                    <div className="flex justify-center">
+                      <FiLoader className="animate-spin h-5 w-5 text-indigo-deep" />
+                    </div>
+                  </td>
+                </tr>
+              ) : coupons.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No coupons yet
+                  </td>
+                </tr>
+              ) : (
+                coupons.map((coupon) => (
+                  <tr key={coupon.code} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{coupon.code}</div>
+                      {coupon.description && <div className="text-xs text-gray-500">{coupon.description}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {coupon.type === COUPON_TYPES.PERCENTAGE ? `${coupon.value}%` : `₹${coupon.value}`}
+                      {coupon.maxDiscount && <span className="text-gray-500"> (max ₹{coupon.maxDiscount})</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {coupon.minCartValue ? `₹${coupon.minCartValue}` : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(coupon.startsAt)} – {formatDate(coupon.expiresAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleToggleActive(coupon)}
+                        className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          coupon.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                        }`}
+                      >
+                        {coupon.active ? 'Active' : 'Disabled'}
+                      </button>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => openEdit(coupon)}
+                        className="text-indigo-deep hover:text-indigo-800 mr-3"
+                      >
+                        <FiEdit className="inline" /> Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(coupon)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <FiTrash2 className="inline" /> Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Coupon Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-screen overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingCode ? `Edit ${editingCode}` : 'New Coupon'}
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                <input id="code" name="code" value={form.code} onChange={handleChange} className={inputClass} disabled={!!editingCode} required />
+              </div>
+              <div>
+                <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input id="description" name="description" value={form.description} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select id="type" name="type" value={form.type} onChange={handleChange} className={inputClass}>
+                  <option value={COUPON_TYPES.PERCENTAGE}>Percentage</option>
+                  <option value={COUPON_TYPES.FIXED}>Fixed amount (₹)</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="value" className="block text-sm font-medium text-gray-700 mb-1">Value</label>
+                <input id="value" name="value" type="number" min="0" step="0.01" value={form.value} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="maxDiscount" className="block text-sm font-medium text-gray-700 mb-1">Max discount (₹)</label>
+                <input id="maxDiscount" name="maxDiscount" type="number" min="0" value={form.maxDiscount} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="minCartValue" className="block text-sm font-medium text-gray-700 mb-1">Minimum cart value (₹)</label>
+                <input id="minCartValue" name="minCartValue" type="number" min="0" value={form.minCartValue} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="startsAt" className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                <input id="startsAt" name="startsAt" type="datetime-local" value={form.startsAt} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="expiresAt" className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+                <input id="expiresAt" name="expiresAt" type="datetime-local" value={form.expiresAt} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="usageLimit" className="block text-sm font-medium text-gray-700 mb-1">Total uses</label>
+                <input id="usageLimit" name="usageLimit" type="number" min="1" value={form.usageLimit} onChange={handleChange} className={inputClass} placeholder="Unlimited" />
+              </div>
+              <div>
+                <label htmlFor="perUserLimit" className="block text-sm font-medium text-gray-700 mb-1">Uses per customer</label>
+                <input id="perUserLimit" name="perUserLimit" type="number" min="1" value={form.perUserLimit} onChange={handleChange} className={inputClass} placeholder="Unlimited" />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="applicableCategories" className="block text-sm font-medium text-gray-700 mb-1">Categories (comma separated, empty for all)</label>
+                <input id="applicableCategories" name="applicableCategories" value={form.applicableCategories} onChange={handleChange} className={inputClass} />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="applicableProducts" className="block text-sm font-medium text-gray-700 mb-1">Product IDs (comma separated, empty for all)</label>
+                <input id="applicableProducts" name="applicableProducts" value={form.applicableProducts} onChange={handleChange} className={inputClass} />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input name="active" type="checkbox" checked={form.active} onChange={handleChange} className="mr-2" />
+                Active
+              </label>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                disabled={processing}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800 disabled:opacity-50"
+                disabled={processing}
+              >
+                {processing ? <FiLoader className="animate-spin inline" /> : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { FiLoader, FiRefreshCw } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { EMAIL_QUEUE_STATUSES, getQueuedEmails, resendEmail } from '../../../utils/emailQueue';
+
+const STATUS_STYLES = {
+  [EMAIL_QUEUE_STATUSES.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [EMAIL_QUEUE_STATUSES.SENDING]: 'bg-blue-100 text-blue-800',
+  [EMAIL_QUEUE_STATUSES.SENT]: 'bg-green-100 text-green-800',
+  [EMAIL_QUEUE_STATUSES.DEAD]: 'bg-red-100 text-red-800'
+};
+
+// Format an ISO string or Firestore timestamp
+const formatDate = (value) => {
+  if (!value) return '—';
+
+  const date = value.toDate ? value.toDate() : new Date(value);
+
+  return new Intl.DateTimeFormat('en-IN', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+};
+
+export default function AdminEmails() {
+  const { currentUser } = useAuth();
+  const { showNotification } = useNotification();
+
+  const [emails, setEmails] = useState([]);
+  const [status, setStatus] = useState(EMAIL_QUEUE_STATUSES.DEAD);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [resendingId, setResendingId] = useState(null);
+
+  // Fetch queued emails
+  useEffect(() => {
+    async function fetchEmails() {
+      try {
+        setLoading(true);
+        setError(null);
+        setEmails(await getQueuedEmails({ status: status || null }));
+      } catch (err) {
+        console.error('Error fetching queued emails:', err);
+        setError('Failed to load emails');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchEmails();
+  }, [status]);
+
+  const handleResend = async (email) => {
+    try {
+      setResendingId(email.id);
+      await resendEmail(email.id, { actor: currentUser?.uid });
+      setEmails(prev => (status
+        ? prev.filter(e => e.id !== email.id)
+        : prev.map(e => (e.id === email.id ? { ...e, status: EMAIL_QUEUE_STATUSES.PENDING, attempts: 0 } : e))));
+      showNotification(`Email to ${[].concat(email.message.to).join(', ')} queued again`, 'success');
+    } catch (err) {
+      console.error('Error resending email:', err);
+      showNotification(err.message || 'Failed to resend email', 'error');
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  return (
+    <AdminLayout title="Emails">
+      <div className="mb-6 flex justify-end">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-deep focus:border-indigo-deep"
+        >
+          <option value={EMAIL_QUEUE_STATUSES.DEAD}>Failed</option>
+          <option value={EMAIL_QUEUE_STATUSES.PENDING}>Waiting</option>
+          <option value={EMAIL_QUEUE_STATUSES.SENDING}>Sending</option>
+          <option value={EMAIL_QUEUE_STATUSES.SENT}>Sent</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Emails Table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Next Attempt</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Error</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center">
+                    <div className="flex justify-center">
+                      <FiLoader className="animate-spin h-5 w-5 text-indigo-deep" />
+                    </div>
+                  </td>
+                </tr>
+              ) : emails.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No emails
+                  </td>
+                </tr>
+              ) : (
+                emails.map((email) => (
+                  <tr key={email.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{email.message.subject || email.message.template}</div>
+                      <div className="text-xs text-gray-500">{email.message.type} · queued {formatDate(email.createdAt)}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {[].concat(email.message.to).join(', ')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[email.status]}`}>
+                        {email.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {email.attempts} / {email.maxAttempts}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {[EMAIL_QUEUE_STATUSES.PENDING, EMAIL_QUEUE_STATUSES.SENDING].includes(email.status) ? formatDate(email.nextAttemptAt) : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-red-600 max-w-xs break-words">
+                      {email.lastError || '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {email.status === EMAIL_QUEUE_STATUSES.DEAD && (
+                        <button
+                          onClick={() => handleResend(email)}
+                          className="text-indigo-deep hover:text-indigo-800 disabled:opacity-50"
+                          disabled={resendingId === email.id}
+                        >
+                          <FiRefreshCw className={`inline ${resendingId === email.id ? 'animate-spin' : ''}`} /> Resend
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,377 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { FiLoader, FiArrowLeft, FiCheckCircle, FiAlertTriangle } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { getProductById } from '../../../utils/productService';
+import { getVariant } from '../../../utils/productVariants';
+import { adjustStock, reconcileStock } from '../../../utils/stockReservationService';
+import {
+  INVENTORY_MOVEMENT_TYPES,
+  getInventoryMovements,
+  getLedgerStock,
+  getStockLines,
+  setLowStockThresholds
+} from '../../../utils/inventoryService';
+
+const TYPE_LABELS = {
+  [INVENTORY_MOVEMENT_TYPES.SALE]: 'Sale',
+  [INVENTORY_MOVEMENT_TYPES.RETURN]: 'Return',
+  [INVENTORY_MOVEMENT_TYPES.CANCEL]: 'Cancelled order',
+  [INVENTORY_MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment',
+  [INVENTORY_MOVEMENT_TYPES.RESTOCK]: 'Restock'
+};
+
+const emptyForm = {
+  stockKey: '',
+  type: INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+  quantity: '',
+  reason: ''
+};
+
+// Size or variant name with its SKU
+const describeLine = (line) => (line.sku ? `${line.label} (${line.sku})` : line.label);
+
+export default function ProductInventory() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { currentUser } = useAuth();
+  const { showNotification } = useNotification();
+
+  const [product, setProduct] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [ledger, setLedger] = useState({});
+  const [filter, setFilter] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [thresholds, setThresholds] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchInventory = useCallback(async () => {
+    if (!id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [productData, productMovements, ledgerStock] = await Promise.all([
+        getProductById(id, true),
+        getInventoryMovements(id, { stockKey: filter || null }),
+        getLedgerStock(id)
+      ]);
+
+      if (!productData) {
+        setError('Product not found');
+        return;
+      }
+
+      setProduct(productData);
+      setThresholds(Object.fromEntries(getStockLines(productData).map(line => [line.stockKey, line.threshold])));
+      setMovements(productMovements);
+      setLedger(ledgerStock);
+    } catch (err) {
+      console.error('Error fetching inventory:', err);
+      setError('Failed to load inventory history');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, filter]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  const stockLines = getStockLines(product);
+  const mismatched = stockLines.filter(line => line.quantity !== (ledger[line.stockKey] || 0));
+
+  const describeStockKey = (stockKey) => {
+    const line = stockLines.find(entry => entry.stockKey === stockKey);
+    return line ? describeLine(line) : stockKey || 'All sizes';
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Apply a manual adjustment or restock
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const variant = getVariant(product, form.stockKey);
+
+    try {
+      setProcessing(true);
+
+      await adjustStock({
+        productId: id,
+        changes: [variant
+          ? { size: variant.size, variantId: variant.id, quantity: parseInt(form.quantity, 10) }
+          : { size: form.stockKey, quantity: parseInt(form.quantity, 10) }],
+        type: form.type,
+        reason: form.reason,
+        actor: currentUser?.uid
+      });
+
+      showNotification(`Stock of ${describeStockKey(form.stockKey)} updated`, 'success');
+      setForm(emptyForm);
+      await fetchInventory();
+    } catch (err) {
+      console.error('Error adjusting stock:', err);
+      showNotification(err.message || 'Failed to adjust stock', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Save the low-stock thresholds
+  const handleSaveThresholds = async () => {
+    try {
+      setProcessing(true);
+      const saved = await setLowStockThresholds(id, thresholds);
+      setProduct(prev => ({ ...prev, lowStockThresholds: saved }));
+      showNotification('Low-stock thresholds saved', 'success');
+    } catch (err) {
+      console.error('Error saving thresholds:', err);
+      showNotification(err.message || 'Failed to save thresholds', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Record stock that predates the ledger as opening balances
+  const handleReconcile = async () => {
+    if (!window.confirm('Record the difference between current stock and the ledger as opening balances?')) return;
+
+    try {
+      setProcessing(true);
+      await reconcileStock(id, { actor: currentUser?.uid });
+      showNotification('Opening balances recorded', 'success');
+      await fetchInventory();
+    } catch (err) {
+      console.error('Error recording opening balances:', err);
+      showNotification(err.message || 'Failed to record opening balances', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Format date
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '—';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(date);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep';
+
+  return (
+    <AdminLayout title={product ? `Inventory: ${product.name_en || product.name}` : 'Inventory'}>
+      <div className="mb-6">
+        <Link href="/admin/products" className="text-sm text-indigo-deep hover:text-indigo-800 flex items-center">
+          <FiArrowLeft className="mr-1" /> Back to products
+        </Link>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && !product ? (
+        <div className="flex justify-center py-12">
+          <FiLoader className="animate-spin h-6 w-6 text-indigo-deep" />
+        </div>
+      ) : product && (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+            {/* On-hand stock against the ledger */}
+            <div className="bg-white shadow-sm rounded-lg p-6 lg:col-span-2">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-medium text-gray-900">Stock</h2>
+                {mismatched.length > 0 ? (
+                  <button
+                    onClick={handleReconcile}
+                    disabled={processing}
+                    className="text-sm text-indigo-deep hover:text-indigo-800 disabled:text-gray-400"
+                  >
+                    Record opening balances
+                  </button>
+                ) : (
+                  <span className="text-sm text-green-700 flex items-center">
+                    <FiCheckCircle className="mr-1" /> Matches the ledger
+                  </span>
+                )}
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size / Variant</th>
+                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">In Stock</th>
+                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ledger</th>
+                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Low At</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {stockLines.map(line => (
+                    <tr key={line.stockKey}>
+                      <td className="px-4 py-2 text-gray-900">{describeLine(line)}</td>
+                      <td className={`px-4 py-2 text-right ${line.quantity <= line.threshold ? 'text-red-600 font-medium' : ''}`}>{line.quantity}</td>
+                      <td className="px-4 py-2 text-right">
+                        {line.quantity !== (ledger[line.stockKey] || 0) && (
+                          <FiAlertTriangle className="inline mr-1 text-yellow-600" title="Stock differs from the ledger" />
+                        )}
+                        {ledger[line.stockKey] || 0}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          value={thresholds[line.stockKey] ?? ''}
+                          onChange={(e) => setThresholds(prev => ({ ...prev, [line.stockKey]: e.target.value }))}
+                          className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm text-right"
+                          aria-label={`Low-stock threshold for ${line.label}`}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-3 flex justify-end">
+                <button
+                  onClick={handleSaveThresholds}
+                  disabled={processing}
+                  className="text-sm text-indigo-deep hover:text-indigo-800 disabled:text-gray-400"
+                >
+                  Save thresholds
+                </button>
+              </div>
+              {mismatched.length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Stock that differs from the ledger was set before movements were recorded. Recording opening balances starts the ledger from the current stock.
+                </p>
+              )}
+            </div>
+
+            {/* Manual adjustment */}
+            <form onSubmit={handleSubmit} className="bg-white shadow-sm rounded-lg p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">Adjust Stock</h2>
+              <div className="mb-3">
+                <label htmlFor="stockKey" className="block text-sm font-medium text-gray-700 mb-1">Size / Variant</label>
+                <select id="stockKey" name="stockKey" value={form.stockKey} onChange={handleChange} className={inputClass} required>
+                  <option value="" disabled>Select…</option>
+                  {stockLines.map(line => (
+                    <option key={line.stockKey} value={line.stockKey}>{describeLine(line)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="mb-3">
+                <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select id="type" name="type" value={form.type} onChange={handleChange} className={inputClass}>
+                  <option value={INVENTORY_MOVEMENT_TYPES.ADJUSTMENT}>Adjustment (stocktake, damage, loss)</option>
+                  <option value={INVENTORY_MOVEMENT_TYPES.RESTOCK}>Restock (delivery received)</option>
+                </select>
+              </div>
+              <div className="mb-3">
+                <label htmlFor="quantity" className="block text-sm font-medium text-gray-700 mb-1">Change</label>
+                <input
+                  id="quantity"
+                  name="quantity"
+                  type="number"
+                  step="1"
+                  value={form.quantity}
+                  onChange={handleChange}
+                  placeholder="e.g. 10 or -2"
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div className="mb-4">
+                <label htmlFor="reason" className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <input id="reason" name="reason" value={form.reason} onChange={handleChange} className={inputClass} required />
+              </div>
+              <button
+                type="submit"
+                disabled={processing}
+                className="w-full flex justify-center items-center px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800 disabled:opacity-50"
+              >
+                {processing && <FiLoader className="animate-spin mr-2" />} Apply
+              </button>
+            </form>
+          </div>
+
+          {/* Movement history */}
+          <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+            <div className="px-6 py-4 flex justify-between items-center border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Movements</h2>
+              <select value={filter} onChange={(e) => setFilter(e.target.value)} className="px-3 py-1 border border-gray-300 rounded-md text-sm">
+                <option value="">All sizes and variants</option>
+                {stockLines.map(line => (
+                  <option key={line.stockKey} value={line.stockKey}>{line.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size / Variant</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                    <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                    <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {movements.length === 0 ? (
+                    <tr>
+                      <td colSpan="8" className="px-6 py-4 text-center text-sm text-gray-500">
+                        No stock movements recorded yet
+                      </td>
+                    </tr>
+                  ) : (
+                    movements.map(movement => (
+                      <tr key={movement.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(movement.createdAt)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{describeStockKey(movement.stockKey)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{TYPE_LABELS[movement.type] || movement.type}</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                          {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">{movement.balance}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {movement.orderId ? (
+                            <Link href={`/admin/orders/${movement.orderId}`} className="text-indigo-deep hover:text-indigo-800">
+                              {movement.orderId}
+                            </Link>
+                          ) : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{movement.actor}</td>
+                        <td className="px-6 py-4 text-sm text-gray-500">{movement.reason || '—'}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </AdminLayout>
+  );
+}
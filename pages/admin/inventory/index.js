@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { FiLoader, FiPackage, FiRefreshCw } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { getLowStockItems } from '../../../utils/inventoryService';
+import { getBackInStockDemand } from '../../../utils/backInStockService';
+import { receiveStock } from '../../../utils/stockReservationService';
+
+const emptyReceipt = {
+  reference: '',
+  supplier: '',
+  note: ''
+};
+
+// Identify a low-stock line across products
+const getLineId = (item) => `${item.productId}:${item.stockKey}`;
+
+export default function AdminRestock() {
+  const { currentUser } = useAuth();
+  const { showNotification } = useNotification();
+
+  const [items, setItems] = useState([]);
+  const [demand, setDemand] = useState({});
+  const [quantities, setQuantities] = useState({});
+  const [receipt, setReceipt] = useState(emptyReceipt);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLowStock = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [lowStockItems, demandLines] = await Promise.all([getLowStockItems(), getBackInStockDemand()]);
+
+      setItems(lowStockItems);
+      setDemand(Object.fromEntries(demandLines.map(line => [getLineId(line), line.subscribers])));
+    } catch (err) {
+      console.error('Error fetching low stock items:', err);
+      setError('Failed to load low stock items');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLowStock();
+  }, [fetchLowStock]);
+
+  const receivedItems = items
+    .filter(item => parseInt(quantities[getLineId(item)], 10) > 0)
+    .map(item => ({
+      productId: item.productId,
+      size: item.size,
+      ...(item.variantId ? { variantId: item.variantId } : {}),
+      quantity: parseInt(quantities[getLineId(item)], 10)
+    }));
+
+  const handleReceiptChange = (e) => {
+    const { name, value } = e.target;
+    setReceipt(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Book the received units into stock
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setProcessing(true);
+
+      await receiveStock({ ...receipt, items: receivedItems, actor: currentUser?.uid });
+
+      showNotification(`Receipt ${receipt.reference} recorded`, 'success');
+      setReceipt(emptyReceipt);
+      setQuantities({});
+      await fetchLowStock();
+    } catch (err) {
+      console.error('Error recording receipt:', err);
+      showNotification(err.message || 'Failed to record receipt', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep';
+
+  return (
+    <AdminLayout title="Restock">
+      <div className="mb-6 flex justify-between items-center">
+        <p className="text-sm text-gray-600">
+          Sizes and variants at or below their low-stock threshold, with the customers waiting for each. Enter the units received and record the purchase order.
+        </p>
+        <button
+          onClick={fetchLowStock}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          title="Refresh"
+        >
+          <FiRefreshCw className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        {/* Low Stock Table */}
+        <div className="bg-white shadow-sm rounded-lg overflow-hidden mb-6">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size / Variant</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">In Stock</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Low At</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Waiting</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center">
+                      <div className="flex justify-center">
+                        <FiLoader className="animate-spin h-5 w-5 text-indigo-deep" />
+                      </div>
+                    </td>
+                  </tr>
+                ) : items.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
+                      Nothing is running low
+                    </td>
+                  </tr>
+                ) : (
+                  items.map(item => (
+                    <tr key={getLineId(item)} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        <Link href={`/admin/inventory/${item.productId}`} className="hover:text-indigo-deep">
+                          {item.name}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{item.label}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.sku || '—'}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${item.quantity === 0 ? 'text-red-600' : 'text-yellow-700'}`}>
+                        {item.quantity}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{item.threshold}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${demand[getLineId(item)] ? 'font-medium text-indigo-deep' : 'text-gray-400'}`}>
+                        {demand[getLineId(item)] || 0}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={quantities[getLineId(item)] ?? ''}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [getLineId(item)]: e.target.value }))}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm text-right"
+                          aria-label={`Units received of ${item.name} ${item.label}`}
+                        />
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Purchase Order Receipt */}
+        <div className="bg-white shadow-sm rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Purchase Order Receipt</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label htmlFor="reference" className="block text-sm font-medium text-gray-700 mb-1">PO Number</label>
+              <input id="reference" name="reference" value={receipt.reference} onChange={handleReceiptChange} className={inputClass} required />
+            </div>
+            <div>
+              <label htmlFor="supplier" className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+              <input id="supplier" name="supplier" value={receipt.supplier} onChange={handleReceiptChange} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="note" className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <input id="note" name="note" value={receipt.note} onChange={handleReceiptChange} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex justify-between items-center">
+            <p className="text-sm text-gray-500">
+              {receivedItems.length} line(s), {receivedItems.reduce((sum, item) => sum + item.quantity, 0)} unit(s)
+            </p>
+            <button
+              type="submit"
+              disabled={processing || receivedItems.length === 0}
+              className="flex items-center px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800 disabled:opacity-50"
+            >
+              {processing ? <FiLoader className="animate-spin mr-2" /> : <FiPackage className="mr-2" />} Record Receipt
+            </button>
+          </div>
+        </div>
+      </form>
+    </AdminLayout>
+  );
+}
@@ -268,25 +268,43 @@ export default function AdminNotifications() {
                           )}
                       </button>
                       </td>
-                      <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                        #{notification.orderNumber || notification.orderId?.substring(0, 8)}
-                      </td>
-                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {notification.customerName}
-                      </td>
-                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {formatCurrency(notification.total)}
-                      </td>
+                      {notification.type === 'low_stock' ? (
+                        <td colSpan="3" className="px-4 py-4 text-sm text-gray-700">
+                          <Link href="/admin/inventory" className="font-medium text-gray-900 hover:text-indigo-600">
+                            {notification.title}
+                          </Link>
+                          <ul className="mt-1 text-gray-500">
+                            {notification.items.map((item, index) => (
+                              <li key={index}>
+                                {item.name || item.productId} {item.variantId || item.size}: {item.remaining} left
+                              </li>
+                            ))}
+                          </ul>
+                        </td>
+                      ) : (
+                        <>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            #{notification.orderNumber || notification.orderId?.substring(0, 8)}
+                          </td>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {notification.customerName}
+                          </td>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {formatCurrency(notification.total)}
+                          </td>
+                        </>
+                      )}
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
                         {formatDate(notification.timestamp)}
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap">
                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full 
-                          ${notification.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 
+                          ${notification.type === 'low_stock' ? 'bg-orange-100 text-orange-800' :
+                            notification.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 
                             notification.status === 'shipped' ? 'bg-blue-100 text-blue-800' : 
                             notification.status === 'delivered' ? 'bg-green-100 text-green-800' : 
                             'bg-gray-100 text-gray-800'}`}>
-                          {notification.status || 'pending'}
+                          {notification.type === 'low_stock' ? 'low stock' : notification.status || 'pending'}
                         </span>
                       </td>
                     </tr>
@@ -4,13 +4,19 @@ import Link from 'next/link';
 import Head from 'next/head';
 import { FiArrowLeft, FiDownload, FiEdit, FiLoader, FiPackage, FiUser, FiMapPin, FiCreditCard, FiCalendar } from 'react-icons/fi';
 import AdminLayout from '../../../components/layout/AdminLayout';
-import { getOrderById, updateOrderStatus } from '../../../utils/orderService';
+import { getOrderById, getAllowedStatusTransitions, ORDER_STATUSES } from '../../../utils/orderService';
 import { getProductById } from '../../../utils/productService';
 import OptimizedImage from '../../../components/common/OptimizedImage';
 import { useNotification } from '../../../contexts/NotificationContext';
 import { useReactToPrint } from 'react-to-print';
-import { generateOrderPDF } from '../../../utils/pdfGenerator';
+import { INVOICEABLE_STATUSES } from '../../../utils/invoiceService';
 import AddressDisplay from '../../../components/common/AddressDisplay';
+import PaymentEventsPanel from '../../../components/admin/PaymentEventsPanel';
+import ShipmentPanel from '../../../components/admin/ShipmentPanel';
+import { fetchCsrfToken } from '../../../utils/csrf';
+import { SUPPLY_TYPES } from '../../../utils/gstService';
+import { getVariantLabel } from '../../../utils/productVariants';
+import { SHIPPABLE_ORDER_STATUSES } from '../../../utils/shipmentService';
 
 export default function OrderDetail() {
   const router = useRouter();
@@ -21,10 +27,14 @@ export default function OrderDetail() {
   const [statusLoading, setStatusLoading] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const [error, setError] = useState(null);
+  const [showOverride, setShowOverride] = useState(false);
+  const [overrideStatus, setOverrideStatus] = useState('');
+  const [overrideReason, setOverrideReason] = useState('');
   const { showNotification } = useNotification();
   const printRef = useRef();
   
-  const orderStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+  // Only offer the statuses the order state machine allows from the current one
+  const orderStatuses = order ? [order.status, ...getAllowedStatusTransitions(order.status)] : [];
 
   // Calculate total
   const calculateTotal = () => {
@@ -164,6 +174,27 @@ export default function OrderDetail() {
     window.print();
   };
   
+  // Send a status change to the server, which enforces the order state machine
+  const submitStatusChange = async (payload) => {
+    const csrfToken = await fetchCsrfToken();
+    const response = await fetch('/api/orders/status', {
+      method: 'PATCH',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      body: JSON.stringify({ orderId: id, ...payload })
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Unknown error');
+    }
+    
+    return data.order;
+  };
+  
   const handleStatusChange = async (newStatus) => {
     try {
       setStatusLoading(true);
@@ -171,8 +202,8 @@ export default function OrderDetail() {
       // Immediately update UI for better user experience
       setOrder(prev => ({ ...prev, status: newStatus }));
       
-      // Update in Firebase
-      await updateOrderStatus(id, newStatus);
+      await submitStatusChange({ status: newStatus });
+      setOrder(prev => ({ ...prev, originalStatus: newStatus }));
       
       showNotification(`Order status updated to ${newStatus}`, 'success');
     } catch (err) {
@@ -187,6 +218,49 @@ export default function OrderDetail() {
     }
   };
   
+  // Booking or tracking a shipment can move the order to shipped or delivered
+  const handleShipmentChange = async () => {
+    try {
+      const refreshed = await getOrderById(id);
+      setOrder(prev => ({
+        ...prev,
+        status: refreshed.status,
+        originalStatus: refreshed.status,
+        statusHistory: refreshed.statusHistory,
+        shipment: refreshed.shipment
+      }));
+    } catch (err) {
+      console.error('Error reloading order after shipment change:', err);
+    }
+  };
+  
+  // Force a status change outside the normal transitions; the reason is audited
+  const handleOverrideSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!overrideStatus || !overrideReason.trim()) {
+      showNotification('Select a status and give a reason for the override', 'warning');
+      return;
+    }
+    
+    try {
+      setStatusLoading(true);
+      
+      await submitStatusChange({ status: overrideStatus, override: true, reason: overrideReason.trim() });
+      setOrder(prev => ({ ...prev, status: overrideStatus, originalStatus: overrideStatus }));
+      
+      setShowOverride(false);
+      setOverrideStatus('');
+      setOverrideReason('');
+      showNotification(`Order status overridden to ${overrideStatus}`, 'success');
+    } catch (err) {
+      console.error('Error overriding order status:', err);
+      showNotification(`Failed to override order status: ${err.message || 'Unknown error'}`, 'error');
+    } finally {
+      setStatusLoading(false);
+    }
+  };
+  
   // Format date with proper error handling
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
@@ -309,6 +383,16 @@ export default function OrderDetail() {
                     Export PDF
                   </button>
                   
+                  {(order.invoice || INVOICEABLE_STATUSES.includes(order.status)) && (
+                    <a
+                      href={`/api/orders/invoice?orderId=${encodeURIComponent(id)}`}
+                      className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none no-print"
+                    >
+                      <FiDownload className="mr-2 -ml-1 h-5 w-5" />
+                      {order.invoice ? `Invoice ${order.invoice.number}` : 'Issue Invoice'}
+                    </a>
+                  )}
+                  
                   <div className="inline-flex items-center">
                     <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusBadgeColor(order.status)}`}>
                       {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
@@ -330,10 +414,58 @@ export default function OrderDetail() {
                       
                       <FiEdit className="absolute right-3 top-1/2 transform -translate-y-1/2 pointer-events-none text-gray-400" />
                     </div>
+                    
+                    <button
+                      type="button"
+                      onClick={() => setShowOverride(!showOverride)}
+                      className="ml-2 text-sm text-red-600 hover:text-red-800 no-print"
+                    >
+                      Override
+                    </button>
                   </div>
                 </div>
               </div>
               
+              {showOverride && (
+                <form onSubmit={handleOverrideSubmit} className="mt-4 p-4 border border-red-200 bg-red-50 rounded-md no-print">
+                  <p className="text-sm text-red-700 mb-3">
+                    Overrides bypass the normal order workflow and are recorded in the audit log.
+                  </p>
+                  <div className="flex flex-col md:flex-row gap-3">
+                    <select
+                      value={overrideStatus}
+                      onChange={(e) => setOverrideStatus(e.target.value)}
+                      className="border border-gray-300 rounded-md py-2 px-3 text-sm"
+                      required
+                    >
+                      <option value="">Select status</option>
+                      {Object.values(ORDER_STATUSES)
+                        .filter((status) => status !== order.status)
+                        .map((status) => (
+                          <option key={status} value={status}>
+                            {status.charAt(0).toUpperCase() + status.slice(1)}
+                          </option>
+                        ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={overrideReason}
+                      onChange={(e) => setOverrideReason(e.target.value)}
+                      placeholder="Reason for override"
+                      className="flex-1 border border-gray-300 rounded-md py-2 px-3 text-sm"
+                      required
+                    />
+                    <button
+                      type="submit"
+                      disabled={statusLoading}
+                      className="px-4 py-2 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Apply Override
+                    </button>
+                  </div>
+                </form>
+              )}
+              
               <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mt-6">
                 {/* Customer Info */}
                 <div className="bg-gray-50 p-4 rounded-lg">
@@ -372,6 +504,11 @@ export default function OrderDetail() {
                   </div>
                   <div>
                     <p className="font-medium capitalize">{order.status || 'Pending'}</p>
+                    {order.shipment?.trackingNumber && (
+                      <p className="text-sm text-gray-500">
+                        AWB {order.shipment.trackingNumber} via {order.shipment.carrier}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -441,7 +578,7 @@ export default function OrderDetail() {
                               </div>
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {item.size || 'N/A'}
+                              {item.variantId ? getVariantLabel(item) : item.size || 'N/A'}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                               {formatCurrency(itemPrice)}
@@ -484,6 +621,30 @@ export default function OrderDetail() {
                       <span className="text-sm text-gray-500">Shipping:</span>
                       <span className="text-sm font-medium">{formatCurrency(order.shipping || order.shippingCost || order.shippingFee || 0)}</span>
                     </div>
+                    {order.gst ? (
+                      order.gst.supplyType === SUPPLY_TYPES.INTER_STATE ? (
+                        <div className="flex justify-between">
+                          <span className="text-sm text-gray-500">IGST ({order.gst.placeOfSupply}):</span>
+                          <span className="text-sm font-medium">{formatCurrency(order.gst.igst)}</span>
+                        </div>
+                      ) : (
+                        <>
+                          <div className="flex justify-between">
+                            <span className="text-sm text-gray-500">CGST:</span>
+                            <span className="text-sm font-medium">{formatCurrency(order.gst.cgst)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-sm text-gray-500">SGST:</span>
+                            <span className="text-sm font-medium">{formatCurrency(order.gst.sgst)}</span>
+                          </div>
+                        </>
+                      )
+                    ) : parseFloat(order.tax || 0) > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-sm text-gray-500">Tax:</span>
+                        <span className="text-sm font-medium">{formatCurrency(order.tax)}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between pt-2 border-t border-gray-200">
                       <span className="text-base font-medium">Total:</span>
                       <span className="text-base font-bold">{formatCurrency(order.totalAmount || order.total || calculateTotal())}</span>
@@ -492,6 +653,16 @@ export default function OrderDetail() {
                 </div>
               </div>
             </div>
+            
+            {/* Carrier shipments and tracking */}
+            <ShipmentPanel
+              orderId={id}
+              canShip={SHIPPABLE_ORDER_STATUSES.includes(order.originalStatus)}
+              onChange={handleShipmentChange}
+            />
+            
+            {/* Payment webhook events */}
+            <PaymentEventsPanel orderId={id} />
           </div>
         </div>
       )}
@@ -2,7 +2,8 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { FiEye, FiLoader, FiSearch, FiChevronLeft, FiChevronRight, FiCalendar, FiFilter } from 'react-icons/fi';
 import AdminLayout from '../../../components/layout/AdminLayout';
-import { getAllOrders, updateOrderStatus } from '../../../utils/orderService';
+import { getAllOrders, getAllowedStatusTransitions } from '../../../utils/orderService';
+import { fetchCsrfToken } from '../../../utils/csrf';
 
 export default function AdminOrders() {
   const [orders, setOrders] = useState([]);
@@ -159,8 +160,22 @@ export default function AdminOrders() {
         )
       );
       
-      // Update in Firebase
-      await updateOrderStatus(selectedOrder.id, newStatus);
+      // Update through the API so the order state machine is enforced server-side
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/orders/status', {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ orderId: selectedOrder.id, status: newStatus })
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
       
       setSuccess(`Order status updated to ${newStatus}`);
       setShowStatusModal(false);
@@ -449,7 +464,7 @@ export default function AdminOrders() {
                 onChange={(e) => setNewStatus(e.target.value)}
                 className="w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-deep focus:border-indigo-deep"
               >
-                {orderStatuses.map(status => (
+                {[selectedOrder.status || 'pending', ...getAllowedStatusTransitions(selectedOrder.status || 'pending')].map(status => (
                   <option key={status} value={status}>
                     {status.charAt(0).toUpperCase() + status.slice(1)}
                   </option>
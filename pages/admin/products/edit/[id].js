@@ -3,8 +3,14 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import { FiSave, FiX, FiUpload, FiLoader, FiTrash2 } from 'react-icons/fi';
 import { useAuth } from '../../../../contexts/AuthContext';
-import { getProductById, updateProduct, uploadProductImage, deleteProduct } from '../../../../utils/productService';
+import Link from 'next/link';
+import { getProductById, updateProduct, updateProductStock, uploadProductImage, deleteProduct } from '../../../../utils/productService';
+import { GST_SLABS, DEFAULT_TAX_SLAB } from '../../../../utils/gstService';
+import { hasVariants, normalizeVariants, toVariantRows, buildVariantId } from '../../../../utils/productVariants';
+import { getStockChanges } from '../../../../utils/inventoryService';
+import VariantEditor from '../../../../components/admin/VariantEditor';
 import { ref, deleteObject } from 'firebase/storage';
+import { deleteField } from 'firebase/firestore';
 import { storage } from '../../../../utils/firebase';
 
 export default function EditProduct() {
@@ -18,6 +24,8 @@ export default function EditProduct() {
   const [imageFiles, setImageFiles] = useState([]);
   const [imagePreviewUrls, setImagePreviewUrls] = useState([]);
   const [existingImages, setExistingImages] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [stockReason, setStockReason] = useState('');
   const [formData, setFormData] = useState({
     name_en: '',
     slug: '',
@@ -25,6 +33,9 @@ export default function EditProduct() {
     price: '',
     salePrice: '',
     category: '',
+    hsnCode: '',
+    taxSlab: DEFAULT_TAX_SLAB,
+    weight: '',
     stock: {
       '28': 0,
       '30': 0,
@@ -59,6 +70,7 @@ export default function EditProduct() {
         
         setProduct(productData);
         setExistingImages(productData.images || []);
+        setVariants(toVariantRows(productData));
         
         // Initialize form data
         setFormData({
@@ -68,7 +80,11 @@ export default function EditProduct() {
           price: productData.price || '',
           salePrice: productData.salePrice || '',
           category: productData.category || '',
-          stock: productData.stock || {
+          hsnCode: productData.hsnCode || '',
+          taxSlab: productData.taxSlab || DEFAULT_TAX_SLAB,
+          weight: productData.weight ?? '',
+          // Variant products keep their stock by variant, edited with the variants
+          stock: (!hasVariants(productData) && productData.stock) || {
             '28': 0,
             '30': 0,
             '32': 0,
@@ -206,6 +222,22 @@ export default function EditProduct() {
     setExistingImages(newExistingImages);
   };
 
+  // Stock the form will leave the product with, by size or variant ID
+  const getFormStock = () => {
+    if (variants.length === 0) {
+      return formData.stock;
+    }
+    
+    return variants.reduce((stock, variant) => ({
+      ...stock,
+      [buildVariantId(variant)]: Math.max(0, parseInt(variant.stock, 10) || 0)
+    }), {});
+  };
+  
+  const savedStock = product?.stock && typeof product.stock === 'object' ? product.stock : {};
+  const stockChanges = getStockChanges(savedStock, getFormStock());
+  const hasStockChanges = Object.keys(stockChanges).length > 0;
+
   const validateForm = () => {
     if (!formData.name_en.trim()) {
       setError('Product name is required');
@@ -237,11 +269,28 @@ export default function EditProduct() {
       return false;
     }
     
+    if (formData.hsnCode && !/^(\d{4}|\d{6}|\d{8})$/.test(formData.hsnCode.trim())) {
+      setError('HSN code must be 4, 6 or 8 digits');
+      return false;
+    }
+    
     if (existingImages.length === 0 && imageFiles.length === 0) {
       setError('At least one product image is required');
       return false;
     }
     
+    try {
+      normalizeVariants(variants);
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+    
+    if (hasStockChanges && !stockReason.trim()) {
+      setError('Please give a reason for the stock changes');
+      return false;
+    }
+    
     return true;
   };
 
@@ -256,11 +305,14 @@ export default function EditProduct() {
     setError('');
     
     try {
-      // Prepare product data
+      // Prepare product data; stock changes go through the inventory ledger
+      const { stock, ...productFields } = formData;
       const productData = {
-        ...formData,
+        ...productFields,
         price: parseFloat(formData.price),
         salePrice: formData.salePrice ? parseFloat(formData.salePrice) : null,
+        hsnCode: formData.hsnCode.trim() || null,
+        weight: formData.weight ? parseFloat(formData.weight) : null,
         details: formData.details.filter(detail => detail.trim() !== ''),
         images: existingImages
       };
@@ -271,6 +323,37 @@ export default function EditProduct() {
         productData.images.push(imageUrl);
       }
       
+      // Upload new variant images; variant products keep their stock by variant
+      const variantRows = [];
+      for (const variant of variants) {
+        const variantImages = [...variant.images];
+        for (const file of variant.imageFiles || []) {
+          variantImages.push(await uploadProductImage(file, id));
+        }
+        variantRows.push({ ...variant, images: variantImages });
+      }
+      
+      if (variantRows.length > 0) {
+        productData.variants = normalizeVariants(variantRows).variants;
+      } else {
+        productData.variants = [];
+      }
+      
+      // Apply stock changes as adjustments, then drop sizes or variants the
+      // product no longer has (their stock is already down to 0)
+      const formStock = getFormStock();
+      
+      if (hasStockChanges) {
+        const levels = await updateProductStock(id, stockChanges, { reason: stockReason.trim(), actor: currentUser?.uid });
+        setProduct(prev => ({ ...prev, stock: { ...savedStock, ...levels } }));
+      }
+      
+      Object.keys(savedStock)
+        .filter(key => formStock[key] === undefined)
+        .forEach(key => {
+          productData[`stock.${key}`] = deleteField();
+        });
+      
       // Update product in Firestore
       await updateProduct(id, productData);
       
@@ -323,6 +406,12 @@ export default function EditProduct() {
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">Edit Product</h1>
           <div className="flex space-x-2">
+            <Link
+              href={`/admin/inventory/${id}`}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Inventory History
+            </Link>
             <button
               onClick={handleDelete}
               disabled={deleteLoading}
@@ -473,6 +562,59 @@ export default function EditProduct() {
                   </select>
                 </div>
                 
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      HSN Code
+                    </label>
+                    <input
+                      type="text"
+                      name="hsnCode"
+                      value={formData.hsnCode}
+                      onChange={handleChange}
+                      placeholder="e.g. 6203"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Printed on GST invoices
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      GST Slab
+                    </label>
+                    <select
+                      name="taxSlab"
+                      value={formData.taxSlab}
+                      onChange={handleChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                    >
+                      {Object.entries(GST_SLABS).map(([slabId, slab]) => (
+                        <option key={slabId} value={slabId}>{slab.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Packed Weight (kg)
+                  </label>
+                  <input
+                    type="number"
+                    name="weight"
+                    value={formData.weight}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.01"
+                    placeholder="0.5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Used to price shipping; 0.5 kg is assumed when empty
+                  </p>
+                </div>
+                
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Badges
@@ -528,28 +670,30 @@ export default function EditProduct() {
                   </button>
                 </div>
                 
-                <div className="mb-6">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Stock Levels
-                  </label>
-                  <div className="grid grid-cols-3 gap-4">
-                    {Object.keys(formData.stock).map((size) => (
-                      <div key={size} className="mb-4">
-                        <label className="block text-sm text-gray-600 mb-1">
-                          Size {size}
-                        </label>
-                        <input
-                          type="number"
-                          name={`stock.${size}`}
-                          value={formData.stock[size]}
-                          onChange={handleChange}
-                          min="0"
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
-                        />
-                      </div>
-                    ))}
+                {variants.length === 0 && (
+                  <div className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Stock Levels
+                    </label>
+                    <div className="grid grid-cols-3 gap-4">
+                      {Object.keys(formData.stock).map((size) => (
+                        <div key={size} className="mb-4">
+                          <label className="block text-sm text-gray-600 mb-1">
+                            Size {size}
+                          </label>
+                          <input
+                            type="number"
+                            name={`stock.${size}`}
+                            value={formData.stock[size]}
+                            onChange={handleChange}
+                            min="0"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                          />
+                        </div>
+                      ))}
+                    </div>
                   </div>
-                </div>
+                )}
                 
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -632,6 +776,39 @@ export default function EditProduct() {
                 </div>
               </div>
             </div>
+            
+            <div className="mt-6">
+              <h2 className="text-lg font-medium mb-2">Variants</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Sell the product in washes, waist sizes and lengths, each with its own SKU, price, stock and images.
+                Products with variants keep their stock per variant instead of per size.
+              </p>
+              <VariantEditor variants={variants} onChange={setVariants} />
+            </div>
+            
+            {hasStockChanges && (
+              <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                <h2 className="text-lg font-medium mb-2">Stock Changes</h2>
+                <p className="text-sm text-gray-600 mb-3">
+                  {Object.entries(stockChanges)
+                    .map(([key, change]) => `${key}: ${change > 0 ? '+' : ''}${change}`)
+                    .join(', ')}
+                </p>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason *
+                </label>
+                <input
+                  type="text"
+                  value={stockReason}
+                  onChange={(e) => setStockReason(e.target.value)}
+                  placeholder="e.g. Stocktake correction, new delivery, damaged units"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Changes are recorded as manual adjustments in the product&apos;s inventory history.
+                </p>
+              </div>
+            )}
           </form>
         </div>
       </div>
@@ -25,7 +25,8 @@ import {
   FiList,
   FiArrowDown,
   FiArrowUp,
-  FiDownload
+  FiDownload,
+  FiClock
 } from 'react-icons/fi';
 import AdminLayout from '../../../components/layout/AdminLayout';
 import { getProducts, deleteProduct } from '../../../utils/productService';
@@ -336,6 +337,12 @@ export default function AdminProducts() {
                         >
                           <FiEdit className="inline" /> Edit
                         </Link>
+                        <Link
+                          href={`/admin/inventory/${product.id}`}
+                          className="text-indigo-deep hover:text-indigo-800 mr-3"
+                        >
+                          <FiClock className="inline" /> Inventory
+                        </Link>
                         <button
                           onClick={() => {
                             setSelectedProduct(product);
@@ -450,6 +457,13 @@ export default function AdminProducts() {
                             >
                               <FiEdit size={18} />
                             </Link>
+                            <Link 
+                              href={`/admin/inventory/${product.id}`}
+                              className="text-indigo-deep hover:text-blue-800"
+                              title="Inventory history"
+                            >
+                              <FiClock size={18} />
+                            </Link>
                             <button
                               onClick={() => handleDeleteProduct(product.id)}
                               disabled={processing}
@@ -4,7 +4,11 @@ import Head from 'next/head';
 import { FiSave, FiX, FiUpload, FiLoader } from 'react-icons/fi';
 import { useAuth } from '../../../contexts/AuthContext';
 import { useNotification } from '../../../contexts/NotificationContext';
-import { createProduct, uploadProductImage, updateProduct } from '../../../utils/productService';
+import { createProduct, uploadProductImage, updateProduct, updateProductStock } from '../../../utils/productService';
+import { GST_SLABS, DEFAULT_TAX_SLAB } from '../../../utils/gstService';
+import { normalizeVariants } from '../../../utils/productVariants';
+import { INVENTORY_MOVEMENT_TYPES } from '../../../utils/inventoryService';
+import VariantEditor from '../../../components/admin/VariantEditor';
 
 export default function NewProduct() {
   const router = useRouter();
@@ -14,6 +18,7 @@ export default function NewProduct() {
   const [error, setError] = useState('');
   const [imageFiles, setImageFiles] = useState([]);
   const [imagePreviewUrls, setImagePreviewUrls] = useState([]);
+  const [variants, setVariants] = useState([]);
   const [formData, setFormData] = useState({
     name_en: '',
     slug: '',
@@ -21,6 +26,9 @@ export default function NewProduct() {
     price: '',
     salePrice: '',
     category: '',
+    hsnCode: '',
+    taxSlab: DEFAULT_TAX_SLAB,
+    weight: '',
     stock: {
       '28': 0,
       '30': 0,
@@ -203,11 +211,23 @@ export default function NewProduct() {
       return false;
     }
     
+    if (formData.hsnCode && !/^(\d{4}|\d{6}|\d{8})$/.test(formData.hsnCode.trim())) {
+      setError('HSN code must be 4, 6 or 8 digits');
+      return false;
+    }
+    
     if (imageFiles.length === 0) {
       setError('At least one product image is required');
       return false;
     }
     
+    try {
+      normalizeVariants(variants);
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+    
     return true;
   };
 
@@ -227,17 +247,35 @@ export default function NewProduct() {
         ...formData,
         price: parseFloat(formData.price),
         salePrice: formData.salePrice ? parseFloat(formData.salePrice) : null,
+        hsnCode: formData.hsnCode.trim() || null,
+        weight: formData.weight ? parseFloat(formData.weight) : null,
         details: formData.details.filter(detail => detail.trim() !== ''),
         images: [],
         createdAt: new Date()
       };
       
+      // Variant products keep their stock by variant instead of by size
+      if (variants.length > 0) {
+        Object.assign(productData, normalizeVariants(variants));
+      }
+      
+      // The product starts empty; its initial stock is booked in as a restock
+      // so the inventory ledger accounts for every unit
+      const initialStock = productData.stock;
+      productData.stock = Object.fromEntries(Object.keys(initialStock).map(key => [key, 0]));
+      
       console.log("Creating product with data:", productData);
       
       // Create product in Firestore
       const productId = await createProduct(productData);
       console.log("Product created with ID:", productId);
       
+      await updateProductStock(productId, initialStock, {
+        type: INVENTORY_MOVEMENT_TYPES.RESTOCK,
+        reason: 'Initial stock',
+        actor: currentUser?.uid
+      });
+      
       // Upload images
       const imageUrls = [];
       for (const file of imageFiles) {
@@ -248,8 +286,21 @@ export default function NewProduct() {
       
       console.log("All images uploaded:", imageUrls);
       
+      // Upload each variant's images
+      const variantRows = [];
+      for (const variant of variants) {
+        const variantImages = [...variant.images];
+        for (const file of variant.imageFiles || []) {
+          variantImages.push(await uploadProductImage(file, productId));
+        }
+        variantRows.push({ ...variant, images: variantImages });
+      }
+      
       // Update product with image URLs
-      await updateProduct(productId, { images: imageUrls });
+      await updateProduct(productId, {
+        images: imageUrls,
+        ...(variantRows.length > 0 ? { variants: normalizeVariants(variantRows).variants } : {})
+      });
       console.log("Product updated with image URLs");
       
       // Reset loading state before redirecting
@@ -412,6 +463,59 @@ export default function NewProduct() {
                   </select>
                 </div>
                 
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      HSN Code
+                    </label>
+                    <input
+                      type="text"
+                      name="hsnCode"
+                      value={formData.hsnCode}
+                      onChange={handleChange}
+                      placeholder="e.g. 6203"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Printed on GST invoices
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      GST Slab
+                    </label>
+                    <select
+                      name="taxSlab"
+                      value={formData.taxSlab}
+                      onChange={handleChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                    >
+                      {Object.entries(GST_SLABS).map(([slabId, slab]) => (
+                        <option key={slabId} value={slabId}>{slab.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Packed Weight (kg)
+                  </label>
+                  <input
+                    type="number"
+                    name="weight"
+                    value={formData.weight}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.01"
+                    placeholder="0.5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Used to price shipping; 0.5 kg is assumed when empty
+                  </p>
+                </div>
+                
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Badges
@@ -467,29 +571,31 @@ export default function NewProduct() {
                   </button>
                 </div>
                 
-                <div className="mb-6">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Stock Levels
-                  </label>
-                  <div className="grid grid-cols-3 gap-4">
-                    {Object.keys(formData.stock).map((size) => (
-                      <div key={size} className="mb-4">
-                        <label className="block text-sm text-gray-600 mb-1">
-                          Size {size}
-                        </label>
-                        <input
-                          type="number"
-                          id={`stock-${size}`}
-                          name={`stock.${size}`}
-                          value={formData.stock[size]}
-                          onChange={handleChange}
-                          min="0"
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
-                        />
-                      </div>
-                    ))}
+                {variants.length === 0 && (
+                  <div className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Stock Levels
+                    </label>
+                    <div className="grid grid-cols-3 gap-4">
+                      {Object.keys(formData.stock).map((size) => (
+                        <div key={size} className="mb-4">
+                          <label className="block text-sm text-gray-600 mb-1">
+                            Size {size}
+                          </label>
+                          <input
+                            type="number"
+                            id={`stock-${size}`}
+                            name={`stock.${size}`}
+                            value={formData.stock[size]}
+                            onChange={handleChange}
+                            min="0"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-deep"
+                          />
+                        </div>
+                      ))}
+                    </div>
                   </div>
-                </div>
+                )}
                 
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -544,6 +650,15 @@ export default function NewProduct() {
                 </div>
               </div>
             </div>
+            
+            <div className="mt-6">
+              <h2 className="text-lg font-medium mb-2">Variants</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Sell the product in washes, waist sizes and lengths, each with its own SKU, price, stock and images.
+                Products with variants keep their stock per variant instead of per size.
+              </p>
+              <VariantEditor variants={variants} onChange={setVariants} />
+            </div>
           </form>
         </div>
       </div>
@@ -0,0 +1,386 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { FiLoader, FiX, FiRefreshCw } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { fetchCsrfToken } from '../../../utils/csrf';
+
+const STATUS_FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'requested', label: 'Requested' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'received', label: 'Received' },
+  { id: 'completed', label: 'Completed' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  received: 'bg-indigo-100 text-indigo-800',
+  completing: 'bg-purple-100 text-purple-800',
+  completed: 'bg-green-100 text-green-800'
+};
+
+// Damaged goods shouldn't go back on sale without a second look
+const NO_RESTOCK_REASONS = ['defective'];
+
+// A typical folded garment in a poly mailer
+const DEFAULT_PACKAGE = { weight: '0.5', length: '30', breadth: '25', height: '5' };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString('en-IN') : '');
+
+export default function AdminReturns() {
+  const { showNotification } = useNotification();
+
+  const [returns, setReturns] = useState([]);
+  const [reasons, setReasons] = useState({});
+  const [status, setStatus] = useState('requested');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [note, setNote] = useState('');
+  const [restock, setRestock] = useState(true);
+  const [pkg, setPkg] = useState(DEFAULT_PACKAGE);
+  const [processing, setProcessing] = useState(false);
+
+  const loadReturns = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/returns?status=${encodeURIComponent(status)}`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      setReturns(data.returns);
+      setReasons(data.reasons);
+    } catch (err) {
+      console.error('Error fetching returns:', err);
+      setError('Failed to load returns');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadReturns();
+  }, [loadReturns]);
+
+  const openReturn = (returnRequest) => {
+    setSelected(returnRequest);
+    setNote('');
+    setRestock(!NO_RESTOCK_REASONS.includes(returnRequest.reason));
+    setPkg(DEFAULT_PACKAGE);
+  };
+
+  const runAction = async (action, body = {}) => {
+    try {
+      setProcessing(true);
+
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/returns/update', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ returnId: selected.id, action, ...body })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      if (action === 'schedule_pickup') {
+        showNotification(data.shipment.awb
+          ? `Pickup booked with AWB ${data.shipment.awb}`
+          : `Pickup booked, but no AWB yet: ${data.shipment.awbError}`, data.shipment.awb ? 'success' : 'warning');
+      } else {
+        showNotification(`Return ${selected.returnNumber} ${data.returnRequest.status}`, 'success');
+      }
+
+      setSelected(null);
+      await loadReturns();
+    } catch (err) {
+      console.error(`Error running return action ${action}:`, err);
+      showNotification(err.message || 'Failed to update return', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep';
+  const buttonClass = 'px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50';
+
+  return (
+    <AdminLayout title="Returns">
+      <div className="mb-6 flex flex-wrap justify-between items-center gap-3">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.id}
+              onClick={() => setStatus(filter.id)}
+              className={`px-3 py-1 rounded-full text-sm ${status === filter.id ? 'bg-indigo-deep text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <button onClick={loadReturns} className="text-sm text-gray-500 hover:text-gray-700 flex items-center">
+          <FiRefreshCw className="mr-1" /> Refresh
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Returns Table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center">
+                    <div className="flex justify-center">
+                      <FiLoader className="animate-spin h-5 w-5 text-indigo-deep" />
+                    </div>
+                  </td>
+                </tr>
+              ) : returns.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No returns here
+                  </td>
+                </tr>
+              ) : (
+                returns.map((returnRequest) => (
+                  <tr key={returnRequest.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{returnRequest.returnNumber}</div>
+                      <div className="text-xs text-gray-500">
+                        {returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} · {formatDate(returnRequest.createdAt)} ·{' '}
+                        <Link href={`/admin/orders/${returnRequest.orderId}`} className="text-indigo-600 hover:text-indigo-900">
+                          Order
+                        </Link>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div>{returnRequest.customer?.name}</div>
+                      <div className="text-xs text-gray-500">{returnRequest.customer?.email}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {returnRequest.items.map(item => (
+                        <div key={`${item.productId}-${item.variantId || item.size}`}>
+                          {item.quantity} × {item.name} {item.size && `(${item.size}${item.exchange ? ` → ${item.exchange.size}` : ''})`}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{reasons[returnRequest.reason] || returnRequest.reason}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[returnRequest.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {returnRequest.status}
+                      </span>
+                      {returnRequest.pickup?.trackingNumber && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Pickup {returnRequest.pickup.trackingNumber} · {String(returnRequest.pickup.status).replace(/_/g, ' ')}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <button onClick={() => openReturn(returnRequest)} className="text-indigo-600 hover:text-indigo-900">
+                        View
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Return Detail */}
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-2xl w-full p-6 max-h-full overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium">
+                {selected.type === 'exchange' ? 'Exchange' : 'Return'} {selected.returnNumber}
+              </h3>
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700">
+                <FiX />
+              </button>
+            </div>
+
+            <div className="text-sm text-gray-700 space-y-1 mb-4">
+              <p><span className="font-medium">Reason:</span> {reasons[selected.reason] || selected.reason}</p>
+              {selected.comment && <p><span className="font-medium">Customer says:</span> {selected.comment}</p>}
+              {selected.resolution?.type === 'refund' && <p><span className="font-medium">Refunded:</span> ₹{selected.resolution.amount}</p>}
+              {selected.resolution?.type === 'replacement' && (
+                <p>
+                  <span className="font-medium">Replacement:</span>{' '}
+                  <Link href={`/admin/orders/${selected.resolution.orderId}`} className="text-indigo-600 hover:text-indigo-900">
+                    #{selected.resolution.orderNumber}
+                  </Link>
+                </p>
+              )}
+            </div>
+
+            {selected.photos?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4">
+                {selected.photos.map((photo, index) => (
+                  <a key={index} href={photo} target="_blank" rel="noopener noreferrer">
+                    <img src={photo} alt={`Photo ${index + 1}`} className="h-24 w-24 object-cover rounded-md" />
+                  </a>
+                ))}
+              </div>
+            )}
+
+            <ul className="text-sm border-l-2 border-gray-200 pl-4 space-y-1 mb-4">
+              {(selected.statusHistory || []).map((entry, index) => (
+                <li key={index}>
+                  <span className="capitalize font-medium">{entry.to || entry.status}</span>
+                  <span className="text-gray-500"> · {new Date(entry.timestamp).toLocaleString('en-IN')}</span>
+                  {entry.note && <span className="text-gray-700"> · {entry.note}</span>}
+                </li>
+              ))}
+            </ul>
+
+            {['requested', 'approved'].includes(selected.status) && (
+              <>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="returnNote">Note</label>
+                <textarea
+                  id="returnNote"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  rows="2"
+                  className={`${inputClass} mb-4`}
+                  placeholder={selected.status === 'requested' ? 'Shown to the customer if you reject' : 'Condition of the items (optional)'}
+                />
+              </>
+            )}
+
+            {selected.status === 'requested' && (
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={() => runAction('reject', { note })}
+                  disabled={processing || !note.trim()}
+                  className={`${buttonClass} border border-red-300 text-red-700 hover:bg-red-50`}
+                >
+                  Reject
+                </button>
+                <button
+                  onClick={() => runAction('approve', { note: note.trim() || null })}
+                  disabled={processing}
+                  className={`${buttonClass} bg-indigo-deep text-white hover:bg-indigo-800`}
+                >
+                  Approve
+                </button>
+              </div>
+            )}
+
+            {selected.status === 'approved' && (
+              <>
+                {!selected.pickup && (
+                  <div className="mb-4">
+                    <p className="text-sm font-medium text-gray-700 mb-2">Book reverse pickup</p>
+                    <div className="grid grid-cols-4 gap-2 mb-2">
+                      {['weight', 'length', 'breadth', 'height'].map(field => (
+                        <input
+                          key={field}
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={pkg[field]}
+                          onChange={(e) => setPkg(prev => ({ ...prev, [field]: e.target.value }))}
+                          className={inputClass}
+                          placeholder={field}
+                          aria-label={field === 'weight' ? 'Weight (kg)' : `${field} (cm)`}
+                        />
+                      ))}
+                    </div>
+                    <button
+                      onClick={() => runAction('schedule_pickup', { package: pkg })}
+                      disabled={processing}
+                      className={`${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`}
+                    >
+                      Book Pickup
+                    </button>
+                  </div>
+                )}
+                {selected.pickup && (
+                  <p className="text-sm text-gray-700 mb-4">
+                    Pickup {selected.pickup.trackingNumber || 'booked'} with {selected.pickup.carrier} ·{' '}
+                    {String(selected.pickup.status).replace(/_/g, ' ')}. Update its tracking from the order page.
+                  </p>
+                )}
+                <div className="flex justify-between items-center">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input type="checkbox" checked={restock} onChange={(e) => setRestock(e.target.checked)} className="mr-2" />
+                    Put the items back in stock
+                  </label>
+                  <button
+                    onClick={() => runAction('receive', { note: note.trim() || null, restock })}
+                    disabled={processing}
+                    className={`${buttonClass} bg-indigo-deep text-white hover:bg-indigo-800`}
+                  >
+                    Mark Received
+                  </button>
+                </div>
+              </>
+            )}
+
+            {selected.status === 'received' && (
+              <div className="flex justify-end space-x-3">
+                {selected.type === 'exchange' && (
+                  <button
+                    onClick={() => runAction('complete', { refundInstead: true })}
+                    disabled={processing}
+                    className={`${buttonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`}
+                  >
+                    Refund Instead
+                  </button>
+                )}
+                <button
+                  onClick={() => runAction('complete')}
+                  disabled={processing}
+                  className={`${buttonClass} bg-indigo-deep text-white hover:bg-indigo-800`}
+                >
+                  {selected.type === 'exchange' ? 'Create Replacement Order' : 'Refund'}
+                </button>
+              </div>
+            )}
+
+            {processing && (
+              <div className="flex items-center text-sm text-gray-500 mt-3">
+                <FiLoader className="animate-spin mr-2" /> Working...
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
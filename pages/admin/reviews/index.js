@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import { FiCheck, FiX, FiEyeOff, FiLoader, FiStar, FiFlag, FiRefreshCw } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { getModerationQueue, moderateReview } from '../../../utils/reviewService';
+
+const ACTION_LABELS = {
+  approve: 'Approve',
+  reject: 'Reject',
+  hide: 'Hide'
+};
+
+export default function AdminReviews() {
+  const { currentUser } = useAuth();
+  const { showNotification } = useNotification();
+
+  const [queue, setQueue] = useState({ pending: [], reported: [] });
+  const [activeTab, setActiveTab] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedReview, setSelectedReview] = useState(null);
+  const [selectedAction, setSelectedAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+
+  // Fetch moderation queue
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await getModerationQueue();
+      setQueue(data);
+    } catch (err) {
+      console.error('Error fetching review queue:', err);
+      setError('Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  // Open the reason modal for an action
+  const openModeration = (review, action) => {
+    setSelectedReview(review);
+    setSelectedAction(action);
+    setReason('');
+  };
+
+  const closeModeration = () => {
+    setSelectedReview(null);
+    setSelectedAction(null);
+    setReason('');
+  };
+
+  // Apply the moderation decision
+  const handleModerate = async () => {
+    if (!selectedReview || !selectedAction) return;
+
+    if (!reason.trim()) {
+      showNotification('Please enter a reason', 'error');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+
+      await moderateReview(selectedReview.id, selectedAction, {
+        adminId: currentUser?.uid,
+        reason
+      });
+
+      // Remove the review from both lists
+      setQueue(prev => ({
+        pending: prev.pending.filter(review => review.id !== selectedReview.id),
+        reported: prev.reported.filter(review => review.id !== selectedReview.id)
+      }));
+
+      showNotification(`Review ${selectedAction === 'approve' ? 'approved' : selectedAction === 'reject' ? 'rejected' : 'hidden'}`, 'success');
+      closeModeration();
+    } catch (err) {
+      console.error('Error moderating review:', err);
+      showNotification(err.message || 'Failed to update review', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Format date
+  const formatDate = (value) => {
+    if (!value) return 'N/A';
+
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(value));
+  };
+
+  const reviews = activeTab === 'pending' ? queue.pending : queue.reported;
+
+  return (
+    <AdminLayout title="Review Moderation">
+      {/* Tabs */}
+      <div className="mb-6 flex justify-between items-center">
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setActiveTab('pending')}
+            className={`px-4 py-2 rounded-md text-sm font-medium ${
+              activeTab === 'pending' ? 'bg-indigo-deep text-white' : 'bg-white text-gray-700 border border-gray-300'
+            }`}
+          >
+            Pending ({queue.pending.length})
+          </button>
+          <button
+            onClick={() => setActiveTab('reported')}
+            className={`px-4 py-2 rounded-md text-sm font-medium ${
+              activeTab === 'reported' ? 'bg-indigo-deep text-white' : 'bg-white text-gray-700 border border-gray-300'
+            }`}
+          >
+            Reported ({queue.reported.length})
+          </button>
+        </div>
+
+        <button
+          onClick={fetchQueue}
+          className="flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+        >
+          <FiRefreshCw className="mr-2" /> Refresh
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Reviews */}
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <FiLoader className="animate-spin h-6 w-6 text-indigo-deep" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="bg-white shadow-sm rounded-lg p-8 text-center text-sm text-gray-500">
+          {activeTab === 'pending' ? 'No reviews awaiting approval' : 'No reported reviews'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <div key={review.id} className="bg-white shadow-sm rounded-lg p-6">
+              <div className="flex justify-between items-start mb-2">
+                <div>
+                  <p className="text-sm text-gray-500">{review.productName || review.productId}</p>
+                  <h3 className="text-lg font-semibold">{review.title}</h3>
+                  <p className="text-sm text-gray-500">
+                    by {review.userName} on {formatDate(review.createdAt)}
+                    {review.verifiedPurchase && <span className="ml-2 text-green-600">Verified Purchase</span>}
+                  </p>
+                </div>
+                <div className="flex">
+                  {[1, 2, 3, 4, 5].map((star) => (
+                    <FiStar
+                      key={star}
+                      className={`${star <= review.rating ? 'text-yellow-500 fill-yellow-500' : 'text-gray-300'} w-4 h-4`}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              <p className="text-gray-700 mb-4">{review.comment}</p>
+
+              {review.reports && review.reports.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
+                  <p className="text-sm font-medium text-red-800 flex items-center mb-1">
+                    <FiFlag className="mr-1" /> {review.reports.length} {review.reports.length === 1 ? 'report' : 'reports'}
+                    <span className="ml-2 font-normal text-red-700">(currently {review.status})</span>
+                  </p>
+                  <ul className="text-sm text-red-700 list-disc list-inside">
+                    {review.reports.map((report) => (
+                      <li key={report.id}>{report.reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 text-sm font-medium">
+                <button
+                  onClick={() => openModeration(review, 'approve')}
+                  className="text-green-600 hover:text-green-800"
+                >
+                  <FiCheck className="inline" /> {activeTab === 'reported' ? 'Keep' : 'Approve'}
+                </button>
+                <button
+                  onClick={() => openModeration(review, 'reject')}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  <FiX className="inline" /> Reject
+                </button>
+                <button
+                  onClick={() => openModeration(review, 'hide')}
+                  className="text-gray-600 hover:text-gray-800"
+                >
+                  <FiEyeOff className="inline" /> Hide
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Reason Modal */}
+      {selectedReview && selectedAction && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {ACTION_LABELS[selectedAction]} review
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">&ldquo;{selectedReview.title}&rdquo; by {selectedReview.userName}</p>
+
+            <label htmlFor="moderation-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason
+            </label>
+            <textarea
+              id="moderation-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows="3"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep mb-4"
+              placeholder="Why are you taking this action?"
+            />
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeModeration}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                disabled={processing}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleModerate}
+                className="px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800 disabled:opacity-50"
+                disabled={processing}
+              >
+                {processing ? <FiLoader className="animate-spin inline" /> : ACTION_LABELS[selectedAction]}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,424 @@
+import { useState, useEffect } from 'react';
+import { FiPlus, FiEdit, FiTrash2, FiLoader } from 'react-icons/fi';
+import AdminLayout from '../../../components/layout/AdminLayout';
+import { useNotification } from '../../../contexts/NotificationContext';
+import { DELIVERY_ZONES, ZONE_RULES } from '../../../utils/serviceabilityService';
+import {
+  SHIPPING_SERVICES,
+  SHIPPING_SERVICE_LABELS,
+  DEFAULT_SHIPPING_RATES,
+  getAllShippingRates,
+  createShippingRate,
+  updateShippingRate,
+  deleteShippingRate
+} from '../../../utils/shippingRateService';
+
+const emptyForm = {
+  name: '',
+  service: SHIPPING_SERVICES.STANDARD,
+  zones: [],
+  minWeight: '',
+  maxWeight: '',
+  minOrderValue: '',
+  maxOrderValue: '',
+  baseRate: '',
+  baseWeight: '',
+  additionalRate: '',
+  weightStep: '',
+  freeAbove: '',
+  codFee: '',
+  codPercent: '',
+  minDays: '',
+  maxDays: '',
+  active: true
+};
+
+// Numeric fields are kept as strings while editing
+const toInputValue = (value) => value ?? '';
+
+// Show a min-max range, either end of which may be open
+const formatRange = (min, max, unit = '') => {
+  if (min == null && max == null) return 'Any';
+  if (min == null) return `Up to ${max}${unit}`;
+  if (max == null) return `${min}${unit}+`;
+  return `${min}-${max}${unit}`;
+};
+
+export default function AdminShippingRates() {
+  const { showNotification } = useNotification();
+
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [processing, setProcessing] = useState(false);
+
+  // Fetch shipping rate rules
+  useEffect(() => {
+    async function fetchRates() {
+      try {
+        setLoading(true);
+        setError(null);
+        setRates(await getAllShippingRates());
+      } catch (err) {
+        console.error('Error fetching shipping rates:', err);
+        setError('Failed to load shipping rates');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchRates();
+  }, []);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEdit = (rate) => {
+    setEditingId(rate.id);
+    setForm({
+      ...emptyForm,
+      name: rate.name,
+      service: rate.service,
+      zones: rate.zones || [],
+      minWeight: toInputValue(rate.minWeight),
+      maxWeight: toInputValue(rate.maxWeight),
+      minOrderValue: toInputValue(rate.minOrderValue),
+      maxOrderValue: toInputValue(rate.maxOrderValue),
+      baseRate: toInputValue(rate.baseRate),
+      baseWeight: toInputValue(rate.baseWeight),
+      additionalRate: toInputValue(rate.additionalRate),
+      weightStep: toInputValue(rate.weightStep),
+      freeAbove: toInputValue(rate.freeAbove),
+      codFee: toInputValue(rate.codFee),
+      codPercent: toInputValue(rate.codPercent),
+      minDays: toInputValue(rate.deliveryDays?.min),
+      maxDays: toInputValue(rate.deliveryDays?.max),
+      active: rate.active !== false
+    });
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleZoneToggle = (zone) => {
+    setForm(prev => ({
+      ...prev,
+      zones: prev.zones.includes(zone) ? prev.zones.filter(z => z !== zone) : [...prev.zones, zone]
+    }));
+  };
+
+  // Save rule
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setProcessing(true);
+
+      if (editingId) {
+        const updated = await updateShippingRate(editingId, form);
+        setRates(prev => prev.map(rate => (rate.id === editingId ? updated : rate)));
+        showNotification(`Rule ${updated.name} updated`, 'success');
+      } else {
+        const created = await createShippingRate(form);
+        setRates(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+        showNotification(`Rule ${created.name} created`, 'success');
+      }
+
+      setShowForm(false);
+    } catch (err) {
+      console.error('Error saving shipping rate:', err);
+      showNotification(err.message || 'Failed to save shipping rate', 'error');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleToggleActive = async (rate) => {
+    try {
+      const updated = await updateShippingRate(rate.id, {
+        ...rate,
+        minDays: rate.deliveryDays?.min,
+        maxDays: rate.deliveryDays?.max,
+        active: rate.active === false
+      });
+      setRates(prev => prev.map(r => (r.id === rate.id ? updated : r)));
+    } catch (err) {
+      console.error('Error updating shipping rate:', err);
+      showNotification('Failed to update shipping rate', 'error');
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete rule ${rate.name}?`)) return;
+
+    try {
+      await deleteShippingRate(rate.id);
+      setRates(prev => prev.filter(r => r.id !== rate.id));
+      showNotification(`Rule ${rate.name} deleted`, 'success');
+    } catch (err) {
+      console.error('Error deleting shipping rate:', err);
+      showNotification('Failed to delete shipping rate', 'error');
+    }
+  };
+
+  // Describe what a rule charges
+  const formatCharges = (rate) => {
+    const parts = [`₹${rate.baseRate}${rate.baseWeight ? ` up to ${rate.baseWeight} kg` : ''}`];
+
+    if (rate.additionalRate) {
+      parts.push(`+₹${rate.additionalRate} per ${rate.weightStep || 0.5} kg`);
+    }
+    if (rate.freeAbove != null) {
+      parts.push(`free above ₹${rate.freeAbove}`);
+    }
+
+    return parts.join(', ');
+  };
+
+  const formatCod = (rate) => {
+    const parts = [];
+    if (rate.codFee) parts.push(`₹${rate.codFee}`);
+    if (rate.codPercent) parts.push(`${rate.codPercent}%`);
+    return parts.length > 0 ? parts.join(' + ') : '—';
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep';
+  const activeRules = rates.filter(rate => rate.active !== false);
+
+  return (
+    <AdminLayout title="Shipping Rates">
+      <div className="mb-6 flex justify-between items-center">
+        <p className="text-sm text-gray-500">
+          Checkout offers the cheapest matching rule of each service.
+          {activeRules.length === 0 && !loading && (
+            <> No rule is active, so standard delivery costs ₹{DEFAULT_SHIPPING_RATES[0].baseRate}, free above ₹{DEFAULT_SHIPPING_RATES[0].freeAbove}.</>
+          )}
+        </p>
+        <button
+          onClick={openCreate}
+          className="flex items-center px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800"
+        >
+          <FiPlus className="mr-2" /> New Rule
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Rules Table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Zones</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weight</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order Value</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Charges</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">COD</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="8" className="px-6 py-4 text-center">
+                    <div className="flex justify-center">
+                      <FiLoader className="animate-spin h-5 w-5 text-indigo-deep" />
+                    </div>
+                  </td>
+                </tr>
+              ) : rates.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No shipping rules yet
+                  </td>
+                </tr>
+              ) : (
+                rates.map((rate) => (
+                  <tr key={rate.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{rate.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {SHIPPING_SERVICE_LABELS[rate.service]}
+                        {rate.deliveryDays && ` · ${rate.deliveryDays.min}-${rate.deliveryDays.max} days`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {rate.zones?.length ? rate.zones.map(zone => ZONE_RULES[zone]?.label || zone).join(', ') : 'All'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatRange(rate.minWeight, rate.maxWeight, ' kg')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {rate.minOrderValue == null && rate.maxOrderValue == null
+                        ? 'Any'
+                        : formatRange(rate.minOrderValue != null ? `₹${rate.minOrderValue}` : null, rate.maxOrderValue != null ? `₹${rate.maxOrderValue}` : null)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {formatCharges(rate)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatCod(rate)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleToggleActive(rate)}
+                        className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          rate.active !== false ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                        }`}
+                      >
+                        {rate.active !== false ? 'Active' : 'Disabled'}
+                      </button>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => openEdit(rate)}
+                        className="text-indigo-deep hover:text-indigo-800 mr-3"
+                      >
+                        <FiEdit className="inline" /> Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rate)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <FiTrash2 className="inline" /> Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Rule Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-screen overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingId ? `Edit ${form.name}` : 'New Shipping Rule'}
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input id="name" name="name" value={form.name} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="service" className="block text-sm font-medium text-gray-700 mb-1">Service</label>
+                <select id="service" name="service" value={form.service} onChange={handleChange} className={inputClass}>
+                  {Object.values(SHIPPING_SERVICES).map(service => (
+                    <option key={service} value={service}>{SHIPPING_SERVICE_LABELS[service]}</option>
+                  ))}
+                </select>
+              </div>
+              <fieldset className="md:col-span-2">
+                <legend className="block text-sm font-medium text-gray-700 mb-1">Zones (none selected for all)</legend>
+                <div className="flex flex-wrap gap-4">
+                  {Object.values(DELIVERY_ZONES).map(zone => (
+                    <label key={zone} className="flex items-center text-sm text-gray-700">
+                      <input type="checkbox" checked={form.zones.includes(zone)} onChange={() => handleZoneToggle(zone)} className="mr-2" />
+                      {ZONE_RULES[zone].label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <div>
+                <label htmlFor="minWeight" className="block text-sm font-medium text-gray-700 mb-1">Minimum weight (kg)</label>
+                <input id="minWeight" name="minWeight" type="number" min="0" step="0.01" value={form.minWeight} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="maxWeight" className="block text-sm font-medium text-gray-700 mb-1">Maximum weight (kg)</label>
+                <input id="maxWeight" name="maxWeight" type="number" min="0" step="0.01" value={form.maxWeight} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="minOrderValue" className="block text-sm font-medium text-gray-700 mb-1">Minimum order value (₹)</label>
+                <input id="minOrderValue" name="minOrderValue" type="number" min="0" value={form.minOrderValue} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="maxOrderValue" className="block text-sm font-medium text-gray-700 mb-1">Maximum order value (₹)</label>
+                <input id="maxOrderValue" name="maxOrderValue" type="number" min="0" value={form.maxOrderValue} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="baseRate" className="block text-sm font-medium text-gray-700 mb-1">Base rate (₹)</label>
+                <input id="baseRate" name="baseRate" type="number" min="0" step="0.01" value={form.baseRate} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="baseWeight" className="block text-sm font-medium text-gray-700 mb-1">Weight covered by base rate (kg)</label>
+                <input id="baseWeight" name="baseWeight" type="number" min="0" step="0.01" value={form.baseWeight} onChange={handleChange} className={inputClass} placeholder="0" />
+              </div>
+              <div>
+                <label htmlFor="additionalRate" className="block text-sm font-medium text-gray-700 mb-1">Additional rate per step (₹)</label>
+                <input id="additionalRate" name="additionalRate" type="number" min="0" step="0.01" value={form.additionalRate} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="weightStep" className="block text-sm font-medium text-gray-700 mb-1">Weight step (kg)</label>
+                <input id="weightStep" name="weightStep" type="number" min="0" step="0.01" value={form.weightStep} onChange={handleChange} className={inputClass} placeholder="0.5" />
+              </div>
+              <div>
+                <label htmlFor="freeAbove" className="block text-sm font-medium text-gray-700 mb-1">Free above order value (₹)</label>
+                <input id="freeAbove" name="freeAbove" type="number" min="0" value={form.freeAbove} onChange={handleChange} className={inputClass} placeholder="Never free" />
+              </div>
+              <div />
+              <div>
+                <label htmlFor="codFee" className="block text-sm font-medium text-gray-700 mb-1">COD fee (₹)</label>
+                <input id="codFee" name="codFee" type="number" min="0" step="0.01" value={form.codFee} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="codPercent" className="block text-sm font-medium text-gray-700 mb-1">COD fee (% of order value)</label>
+                <input id="codPercent" name="codPercent" type="number" min="0" step="0.01" value={form.codPercent} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="minDays" className="block text-sm font-medium text-gray-700 mb-1">Delivery days from</label>
+                <input id="minDays" name="minDays" type="number" min="0" value={form.minDays} onChange={handleChange} className={inputClass} placeholder="Zone default" />
+              </div>
+              <div>
+                <label htmlFor="maxDays" className="block text-sm font-medium text-gray-700 mb-1">Delivery days to</label>
+                <input id="maxDays" name="maxDays" type="number" min="0" value={form.maxDays} onChange={handleChange} className={inputClass} placeholder="Zone default" />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input name="active" type="checkbox" checked={form.active} onChange={handleChange} className="mr-2" />
+                Active
+              </label>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                disabled={processing}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-indigo-deep text-white rounded-md text-sm font-medium hover:bg-indigo-800 disabled:opacity-50"
+                disabled={processing}
+              >
+                {processing ? <FiLoader className="animate-spin inline" /> : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,24 @@
+// API endpoint for the scheduled shipment tracking sync
+import { handleApiError, createError } from '../../../utils/errorHandler';
+import { syncActiveShipments } from '../../../utils/shipmentService';
+import { isAuthorizedScheduler } from '../../../utils/cronAuth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json(createError('VALIDATION', 'Method not allowed. Only POST requests are accepted.'));
+  }
+
+  if (!isAuthorizedScheduler(req)) {
+    return res.status(401).json(createError('AUTH', 'Invalid scheduler credentials.'));
+  }
+
+  try {
+    const summary = await syncActiveShipments();
+
+    console.log('Shipment tracking sync:', summary);
+
+    return res.status(200).json({ success: true, data: summary });
+  } catch (error) {
+    return handleApiError(error, res);
+  }
+}
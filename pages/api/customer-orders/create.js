@@ -5,8 +5,14 @@ import { withErrorHandling, combineMiddleware } from '../../../utils/errorHandle
 import { withCSRFProtection } from '../../../utils/csrf';
 import { checkoutRateLimit } from '../../../utils/rateLimit';
 import { sendOrderConfirmationEmail } from '../../../utils/emailService';
+import { sendOrderConfirmationMessages } from '../../../utils/messagingService';
+import { getUserById } from '../../../utils/userService';
 import { createError } from '../../../utils/errorHandler';
 import { createCustomerOrder } from '../../../utils/customerOrderService';
+import { priceOrder, assertClientTotal } from '../../../utils/pricingService';
+import { getStockKey } from '../../../utils/productVariants';
+import { assertServiceable, getDeliveryEstimate } from '../../../utils/serviceabilityService';
+import { getOrderShippingOption } from '../../../utils/shippingRateService';
 
 /**
  * Validate order data
@@ -72,9 +78,9 @@ const checkStockAvailability = async (items) => {
       continue;
     }
     
-    // Check if size exists and has enough stock
-    if (product.stock && item.size) {
-      const sizeStock = product.stock[item.size];
+    // Check if size (or variant) exists and has enough stock
+    if (product.stock && (item.size || item.variantId)) {
+      const sizeStock = product.stock[getStockKey(item)];
       
       if (sizeStock === undefined) {
         unavailableItems.push({
@@ -140,6 +146,9 @@ async function handler(req, res) {
       return res.status(400).json({ errors: validation.errors });
     }
     
+    // Refuse pincodes we don't deliver to, and COD where it isn't offered
+    const serviceability = await assertServiceable(orderData.shipping.address, orderData.payment.method);
+    
     // Check stock availability
     const stockCheck = await checkStockAvailability(orderData.items);
     
@@ -150,23 +159,51 @@ async function handler(req, res) {
       });
     }
     
+    // Re-price the order from Firestore, with the chosen shipping option,
+    // and reject a tampered client total
+    const pricing = await priceOrder({
+      items: orderData.items,
+      couponCode: orderData.couponCode,
+      userId,
+      destinationState: orderData.shipping.address.state,
+      serviceability,
+      shippingService: orderData.shipping.service,
+      paymentMethod: orderData.payment.method
+    });
+    assertClientTotal(orderData.totals?.total, pricing.totals.total);
+    
     // Create the order in the customer's subcollection
-    const order = await createCustomerOrder(orderData, userId);
+    const order = await createCustomerOrder({
+      ...orderData,
+      items: pricing.items,
+      couponCode: pricing.couponCode,
+      totals: pricing.totals,
+      shippingOption: getOrderShippingOption(pricing.shippingOption),
+      deliveryEstimate: getDeliveryEstimate(serviceability, pricing.shippingOption)
+    }, userId);
     
-    // Send order confirmation email
+    // Queue the order confirmation email
     try {
-      await sendOrderConfirmationEmail(orderData.customer.email, {
-        orderId: order.id,
-        customerName: orderData.customer.fullName,
-        orderItems: orderData.items,
-        orderTotal: orderData.totals.total,
-        shippingAddress: orderData.shipping.address
-      });
+      await sendOrderConfirmationEmail(
+        { id: order.id, orderNumber: order.orderNumber, items: pricing.items, total: pricing.totals.total },
+        { email: orderData.customer.email, displayName: orderData.customer.fullName }
+      );
     } catch (emailError) {
-      console.error('Failed to send order confirmation email:', emailError);
+      console.error('Failed to queue order confirmation email:', emailError);
       // Continue with the order process even if email fails
     }
     
+    // SMS and WhatsApp confirmation, on the channels the customer chose
+    try {
+      const customer = await getUserById(userId);
+      await sendOrderConfirmationMessages(
+        { id: order.id, items: pricing.items, total: pricing.totals.total, customer: orderData.customer },
+        { displayName: orderData.customer.fullName, ...customer }
+      );
+    } catch (messageError) {
+      console.error('Failed to send order confirmation messages:', messageError);
+    }
+    
     // Return the created order
     return res.status(201).json({
       success: true,
@@ -179,6 +216,12 @@ async function handler(req, res) {
     });
   } catch (error) {
     console.error('Error creating order:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
     return res.status(500).json({
       error: 'Failed to create order',
       message: error.message
@@ -1,9 +1,8 @@
 import { getSession } from 'next-auth/react';
-import { db } from '../../../utils/firebase';
-import { doc, getDoc, updateDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { validateCSRFToken } from '../../../utils/csrf';
 import { rateLimit } from '../../../utils/rateLimit';
 import { handleApiError, createError } from '../../../utils/errorHandler';
+import { getOrderById, cancelOrder } from '../../../utils/orderService';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -26,8 +25,9 @@ export default async function handler(req, res) {
     }
     
     // Verify CSRF token
-    if (!validateCSRFToken(req)) {
-      return res.status(403).json(createError('AUTHORIZATION', 'Invalid CSRF token'));
+    const csrfError = await validateCSRFToken(req);
+    if (csrfError) {
+      return res.status(403).json(createError('SECURITY', csrfError));
     }
     
     // Get user session
@@ -47,82 +47,20 @@ export default async function handler(req, res) {
     }
     
     try {
-      // Get the order
-      const orderRef = doc(db, 'orders', orderId);
-      const orderDoc = await getDoc(orderRef);
+      const order = await getOrderById(orderId);
       
-      if (!orderDoc.exists()) {
+      if (!order) {
         return res.status(404).json(createError('NOT_FOUND', 'Order not found'));
       }
       
-      const orderData = orderDoc.data();
-      
       // Check if the order belongs to the user
-      if (orderData.customer.id !== userId && session.user.role !== 'admin') {
+      if (order.userId !== userId && session.user.role !== 'admin') {
         return res.status(403).json(createError('AUTHORIZATION', 'You do not have permission to cancel this order'));
       }
       
-      // Check if the order can be cancelled
-      if (['delivered', 'cancelled', 'refunded'].includes(orderData.status)) {
-        return res.status(400).json(createError('VALIDATION', `Cannot cancel order with status: ${orderData.status}`));
-      }
-      
-      // Use a transaction to update order status and restore stock
-      await runTransaction(db, async (transaction) => {
-        // Update order status
-        transaction.update(orderRef, {
-          status: 'cancelled',
-          cancellation: {
-            reason: reason || 'Customer requested cancellation',
-            date: serverTimestamp(),
-            by: userId
-          },
-          updatedAt: serverTimestamp()
-        });
-        
-        // Restore stock for each item
-        for (const item of orderData.items) {
-          const productRef = doc(db, 'products', item.id);
-          const productDoc = await transaction.get(productRef);
-          
-          if (productDoc.exists()) {
-            const productData = productDoc.data();
-            
-            // Check which stock field to update
-            if (productData.stock && productData.stock[item.size] !== undefined) {
-              transaction.update(productRef, {
-                [`stock.${item.size}`]: productData.stock[item.size] + item.quantity
-              });
-            } else if (productData.sizes && productData.sizes[item.size] !== undefined) {
-              transaction.update(productRef, {
-                [`sizes.${item.size}`]: productData.sizes[item.size] + item.quantity
-              });
-            }
-          }
-        }
-        
-        // Update user's order list
-        const userRef = doc(db, 'users', userId);
-        const userDoc = await transaction.get(userRef);
-        
-        if (userDoc.exists()) {
-          const userData = userDoc.data();
-          const orders = userData.orders || [];
-          
-          // Find and update the order in the user's orders list
-          const updatedOrders = orders.map(order => {
-            if (order.id === orderId) {
-              return {
-                ...order,
-                status: 'cancelled'
-              };
-            }
-            return order;
-          });
-          
-          transaction.update(userRef, { orders: updatedOrders });
-        }
-      });
+      // Goes through the status state machine, which refuses orders past
+      // processing, records the history and gives back the order's stock
+      await cancelOrder(orderId, reason || 'Customer requested cancellation', { changedBy: userId });
       
       // Return success response
       return res.status(200).json({
@@ -132,10 +70,10 @@ export default async function handler(req, res) {
       
     } catch (error) {
       console.error('Error cancelling order:', error);
-      return handleApiError(res, error);
+      return handleApiError(error, res);
     }
   } catch (error) {
     console.error('Outer error in order cancellation:', error);
-    return handleApiError(res, error);
+    return handleApiError(error, res);
   }
 } 
\ No newline at end of file
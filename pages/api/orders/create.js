@@ -1,11 +1,20 @@
 import { getSession } from 'next-auth/react';
 import { db } from '../../../utils/firebase';
-import { doc, collection, addDoc, updateDoc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { doc, collection, setDoc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { withErrorHandling, combineMiddleware } from '../../../utils/errorHandler';
 import { withCSRFProtection } from '../../../utils/csrf';
 import { checkoutRateLimit } from '../../../utils/rateLimit';
 import { sendOrderConfirmationEmail } from '../../../utils/emailService';
+import { sendOrderConfirmationMessages } from '../../../utils/messagingService';
+import { getUserById } from '../../../utils/userService';
 import { createError } from '../../../utils/errorHandler';
+import { ORDER_STATUSES } from '../../../utils/orderService';
+import { redeemCouponInTransaction } from '../../../utils/couponService';
+import { priceOrder, calculateTotals, assertClientTotal } from '../../../utils/pricingService';
+import { holdStock, releaseReservation, convertReservation, PAYMENT_WINDOW_MS } from '../../../utils/stockReservationService';
+import { getStockKey } from '../../../utils/productVariants';
+import { assertServiceable, getDeliveryEstimate } from '../../../utils/serviceabilityService';
+import { getOrderShippingOption } from '../../../utils/shippingRateService';
 
 /**
  * Validate order data
@@ -71,9 +80,9 @@ const checkStockAvailability = async (items) => {
       continue;
     }
     
-    // Check if size exists and has enough stock
-    if (product.stock && item.size) {
-      const sizeStock = product.stock[item.size];
+    // Check if size (or variant) exists and has enough stock
+    if (product.stock && (item.size || item.variantId)) {
+      const sizeStock = product.stock[getStockKey(item)];
       
       if (sizeStock === undefined) {
         unavailableItems.push({
@@ -104,105 +113,6 @@ const checkStockAvailability = async (items) => {
   };
 };
 
-/**
- * Update product stock after order creation
- * @param {Array} items - Order items
- * @returns {Promise<void>}
- */
-const updateProductStock = async (items) => {
-  for (const item of items) {
-    const productRef = doc(db, 'products', item.id);
-    
-    await runTransaction(db, async (transaction) => {
-      const productDoc = await transaction.get(productRef);
-      
-      if (!productDoc.exists()) {
-        throw createError('NOT_FOUND', `Product ${item.id} not found`);
-      }
-      
-      const product = productDoc.data();
-      console.log(`Updating stock for product ${item.id}, size: ${item.size}, quantity: ${item.quantity}`);
-      
-      // Check if product has stock tracking by size
-      if (product.stock && typeof product.stock === 'object' && item.size) {
-        // Check if this size exists in the stock object
-        if (product.stock[item.size] === undefined) {
-          console.error(`Size ${item.size} not found in product ${item.id} stock`);
-          throw createError('VALIDATION', `Size ${item.size} not available for product ${product.name || item.name}`);
-        }
-        
-        // Check if enough stock for this size
-        if (product.stock[item.size] < item.quantity) {
-          console.error(`Insufficient stock for product ${item.id}, size ${item.size}: requested ${item.quantity}, available ${product.stock[item.size]}`);
-          throw createError('VALIDATION', `Insufficient stock for product ${product.name || item.name} in size ${item.size}`);
-        }
-        
-        // Update stock for this size
-        const newSizeStock = product.stock[item.size] - item.quantity;
-        const newStock = { ...product.stock, [item.size]: newSizeStock };
-        
-        console.log(`Updating stock for product ${item.id}, size ${item.size} from ${product.stock[item.size]} to ${newSizeStock}`);
-        transaction.update(productRef, { stock: newStock });
-        
-        // If stock is low, add a notification for admin
-        if (newSizeStock <= 3) {
-          const notificationsRef = collection(db, 'adminNotifications');
-          transaction.set(doc(notificationsRef), {
-            type: 'low_stock',
-            productId: item.id,
-            productName: product.name || item.name,
-            size: item.size,
-            currentStock: newSizeStock,
-            createdAt: serverTimestamp(),
-            read: false
-          });
-        }
-      } else if (typeof product.stock === 'number') {
-        // Legacy stock tracking (not by size)
-        if (product.stock < item.quantity) {
-          throw createError('VALIDATION', `Insufficient stock for product ${product.name || item.name}`);
-        }
-        
-        const newStock = product.stock - item.quantity;
-        transaction.update(productRef, { stock: newStock });
-        
-        // If stock is low, add a notification for admin
-        if (newStock <= product.lowStockThreshold || newStock <= 5) {
-          const notificationsRef = collection(db, 'adminNotifications');
-          transaction.set(doc(notificationsRef), {
-            type: 'low_stock',
-            productId: item.id,
-            productName: product.name || item.name,
-            currentStock: newStock,
-            createdAt: serverTimestamp(),
-            read: false
-          });
-        }
-      }
-    });
-  }
-};
-
-/**
- * Calculate order totals
- * @param {Array} items - Order items
- * @returns {Object} - Order totals
- */
-const calculateOrderTotals = (items) => {
-  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const shippingCost = subtotal > 1000 ? 0 : 100; // Free shipping over ₹1000
-  const taxRate = 0.18; // 18% GST
-  const tax = Math.round(subtotal * taxRate * 100) / 100;
-  const total = subtotal + shippingCost + tax;
-  
-  return {
-    subtotal,
-    shippingCost,
-    tax,
-    total
-  };
-};
-
 /**
  * Create order handler
  * @param {Object} req - Request object
@@ -214,12 +124,6 @@ const createOrderHandler = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  console.log('Firebase Environment Variables in API:', {
-    projectId: process.env.FIREBASE_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    privateKey: process.env.FIREBASE_PRIVATE_KEY ? 'Key exists' : 'Key missing'
-  });
-  
   try {
     // Get user session
     const session = await getSession({ req });
@@ -230,10 +134,10 @@ const createOrderHandler = async (req, res) => {
     }
     
     const { user } = session;
+    // The session carries the Firebase uid; older sessions only had id
+    const userId = user.uid || user.id;
     const orderData = req.body;
     
-    console.log('Processing order with payment method:', orderData.payment?.method);
-    
     // Validate order data
     const validation = validateOrderData(orderData);
     if (!validation.isValid) {
@@ -241,14 +145,28 @@ const createOrderHandler = async (req, res) => {
       throw createError('VALIDATION', 'Invalid order data', { validationErrors: validation.errors });
     }
     
+    // Refuse pincodes we don't deliver to, and COD where it isn't offered
+    const serviceability = await assertServiceable(orderData.shipping.address, orderData.payment.method);
+    
     // Check stock availability
     const stockCheck = await checkStockAvailability(orderData.items);
     if (!stockCheck.isAvailable) {
       throw createError('VALIDATION', 'Some items are not available', { unavailableItems: stockCheck.unavailableItems });
     }
     
-    // Calculate order totals
-    const totals = calculateOrderTotals(orderData.items);
+    // Re-price the order from Firestore, with the chosen shipping option,
+    // and reject a tampered client total
+    const pricing = await priceOrder({
+      items: orderData.items,
+      couponCode: orderData.couponCode,
+      userId,
+      destinationState: orderData.shipping.address.state,
+      serviceability,
+      shippingService: orderData.shipping.service,
+      paymentMethod: orderData.payment.method
+    });
+    assertClientTotal(orderData.total, pricing.totals.total);
+    let totals = pricing.totals;
     
     // Generate order number (format: RNG-YYYYMMDD-XXXX)
     const date = new Date();
@@ -261,19 +179,21 @@ const createOrderHandler = async (req, res) => {
     // Create order document
     const ordersRef = collection(db, 'orders');
     const orderDoc = {
-      userId: user.id,
+      userId,
       userEmail: user.email,
       orderNumber,
       customer: orderData.customer,
-      items: orderData.items,
+      items: pricing.items,
       shipping: orderData.shipping,
       billing: orderData.billing,
       payment: {
         method: orderData.payment.method,
         status: orderData.payment.method === 'cod' ? 'pending' : 'processing'
       },
-      status: orderData.payment.method === 'cod' ? 'pending' : 'processing',
+      status: orderData.payment.method === 'cod' ? ORDER_STATUSES.PENDING : ORDER_STATUSES.PAYMENT_PROCESSING,
       isRead: false,
+      shippingOption: getOrderShippingOption(pricing.shippingOption),
+      deliveryEstimate: getDeliveryEstimate(serviceability, pricing.shippingOption),
       ...totals,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
@@ -294,8 +214,8 @@ const createOrderHandler = async (req, res) => {
         status: 'pending',
         gateway: 'razorpay'
       };
-      // Set order status to payment_pending
-      orderDoc.status = 'payment_pending';
+      // Order waits in payment_processing until the gateway confirms
+      orderDoc.status = ORDER_STATUSES.PAYMENT_PROCESSING;
       orderDoc.payment.status = 'pending';
     } else if (orderData.payment.method === 'upi') {
       // For UPI payments, we'll use Razorpay
@@ -305,30 +225,64 @@ const createOrderHandler = async (req, res) => {
         status: 'pending',
         gateway: 'razorpay'
       };
-      // Set order status to payment_pending
-      orderDoc.status = 'payment_pending';
+      // Order waits in payment_processing until the gateway confirms
+      orderDoc.status = ORDER_STATUSES.PAYMENT_PROCESSING;
       orderDoc.payment.status = 'pending';
     } else {
       // For any other payment method
       throw createError('PAYMENT', 'Selected payment method is not supported.', { paymentMethodUnsupported: true });
     }
     
-    // Note: This code is unreachable for non-COD methods as they throw errors above
-    // It's kept for future implementation of payment gateways
-    
-    // Save order to database
-    const newOrderRef = await addDoc(ordersRef, orderDoc);
+    // Save order to database. The coupon is re-validated and redeemed in the
+    // same transaction so the order and redemption commit together.
+    const newOrderRef = doc(ordersRef);
     const orderId = newOrderRef.id;
     
-    // Update order with ID
-    await updateDoc(newOrderRef, { id: orderId });
+    // Hold the stock until the order is paid; fails with the unavailable items
+    const reservation = await holdStock({
+      items: pricing.items,
+      userId,
+      orderId,
+      ttlMs: PAYMENT_WINDOW_MS
+    });
+    orderDoc.stockReservationId = reservation.reservationId;
+    
+    try {
+      await runTransaction(db, async (transaction) => {
+        if (pricing.couponCode) {
+          const redemption = await redeemCouponInTransaction(transaction, pricing.couponCode, {
+            userId,
+            orderId,
+            items: pricing.items
+          });
+          
+          // The coupon may have changed since the order was priced
+          totals = calculateTotals({
+            items: pricing.items,
+            discount: redemption.discount,
+            destinationState: pricing.destinationState,
+            shipping: pricing.shippingOption
+          });
+          assertClientTotal(orderData.total, totals.total);
+          orderDoc.couponCode = redemption.code;
+          Object.assign(orderDoc, totals);
+          orderDoc.payment.details.amount = totals.total;
+        }
+        
+        transaction.set(newOrderRef, { ...orderDoc, id: orderId });
+      });
+    } catch (error) {
+      await releaseReservation(reservation.reservationId);
+      throw error;
+    }
     
-    // Also save to user's orders subcollection
-    const userOrdersRef = collection(db, 'users', user.id, 'orders');
-    await addDoc(userOrdersRef, { ...orderDoc, id: orderId });
+    // Also save to user's orders subcollection, under the same ID
+    await setDoc(doc(db, 'users', userId, 'orders', orderId), { ...orderDoc, id: orderId });
     
-    // Update product stock
-    await updateProductStock(orderData.items);
+    // Cash on Delivery orders are not paid online, so the stock is taken now
+    if (orderData.payment.method === 'cod') {
+      await convertReservation(reservation.reservationId);
+    }
     
     // Send order confirmation email
     try {
@@ -341,6 +295,14 @@ const createOrderHandler = async (req, res) => {
       // Don't fail the order creation if email sending fails
     }
     
+    // SMS and WhatsApp confirmation, on the channels the customer chose
+    try {
+      const customer = await getUserById(userId);
+      await sendOrderConfirmationMessages({ id: orderId, ...orderDoc }, { ...user, ...customer });
+    } catch (messageError) {
+      console.error('Failed to send order confirmation messages:', messageError);
+    }
+    
     // Return success response
     return res.status(200).json({
       success: true,
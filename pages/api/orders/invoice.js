@@ -0,0 +1,64 @@
+import { getServerSession } from 'next-auth/next';
+import { doc, getDoc } from 'firebase/firestore';
+import { authOptions } from '../auth/[...nextauth]';
+import { db } from '../../../utils/firebase';
+import { withErrorHandling, createError } from '../../../utils/errorHandler';
+import { issueInvoice, getInvoice, INVOICEABLE_STATUSES } from '../../../utils/invoiceService';
+import { generateInvoicePDF } from '../../../utils/pdfGenerator';
+
+/**
+ * API endpoint to download an order's GST tax invoice as a PDF.
+ * Invoices are normally issued when the order is confirmed; a confirmed order
+ * that is missing one (e.g. issuing failed at the time) gets it issued here.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const invoiceHandler = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  const { orderId } = req.query;
+
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const orderSnap = await getDoc(doc(db, 'orders', orderId));
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', 'Order not found');
+  }
+
+  const order = orderSnap.data();
+  const userId = session.user.uid || session.user.id;
+
+  if (order.userId !== userId && session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'You do not have permission to view this invoice');
+  }
+
+  let invoice = order.invoice?.id ? await getInvoice(order.invoice.id) : null;
+
+  if (!invoice) {
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw createError('NOT_FOUND', 'An invoice is issued once the order is confirmed');
+    }
+
+    invoice = await issueInvoice(orderId);
+  }
+
+  const pdf = Buffer.from(generateInvoicePDF(invoice));
+  const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(pdf);
+};
+
+export default withErrorHandling(invoiceHandler);
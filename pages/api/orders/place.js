@@ -0,0 +1,68 @@
+import { getSession } from 'next-auth/react';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import { checkoutRateLimit } from '../../../utils/rateLimit';
+import { placeOrder } from '../../../utils/checkoutService';
+import { getReservation } from '../../../utils/stockReservationService';
+
+/**
+ * Place order handler. Checkout orders are priced and written here, never in
+ * the browser, so the stored total is the one payment is charged for.
+ * POST { shippingAddress, items, paymentMethod, shippingService, couponCode,
+ * stockReservationId, totalAmount }
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<Object>} - API response
+ */
+const placeOrderHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getSession({ req });
+
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  const userId = session.user.uid || session.user.id;
+  const {
+    shippingAddress,
+    items,
+    paymentMethod,
+    shippingService,
+    couponCode,
+    stockReservationId,
+    totalAmount
+  } = req.body || {};
+
+  // The held stock must be the customer's own
+  if (stockReservationId) {
+    const reservation = await getReservation(stockReservationId);
+
+    if (!reservation || reservation.userId !== userId) {
+      throw createError('AUTHORIZATION', 'You do not have permission to use this stock reservation');
+    }
+  }
+
+  const result = await placeOrder({
+    userId,
+    email: session.user.email,
+    shippingAddress,
+    items,
+    paymentMethod,
+    shippingService,
+    couponCode,
+    stockReservationId,
+    totalAmount
+  });
+
+  return res.status(201).json(result);
+};
+
+// Apply middleware
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection,
+  checkoutRateLimit
+)(placeOrderHandler);
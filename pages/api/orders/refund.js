@@ -1,9 +1,8 @@
 import { getSession } from 'next-auth/react';
-import { db } from '../../../utils/firebase';
-import { doc, getDoc, updateDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { validateCSRFToken } from '../../../utils/csrf';
 import { rateLimit } from '../../../utils/rateLimit';
 import { handleApiError, createError } from '../../../utils/errorHandler';
+import { createRefund } from '../../../utils/refundService';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -26,8 +25,9 @@ export default async function handler(req, res) {
     }
     
     // Verify CSRF token
-    if (!validateCSRFToken(req)) {
-      return res.status(403).json(createError('AUTHORIZATION', 'Invalid CSRF token'));
+    const csrfError = await validateCSRFToken(req);
+    if (csrfError) {
+      return res.status(403).json(createError('SECURITY', csrfError));
     }
     
     // Get user session
@@ -42,10 +42,12 @@ export default async function handler(req, res) {
       return res.status(403).json(createError('AUTHORIZATION', 'Only administrators can process refunds'));
     }
     
-    const adminId = session.user.uid;
+    const adminId = session.user.uid || session.user.id;
     
-    // Get refund data from request body
-    const { orderId, reason, amount, items = [] } = req.body;
+    // Get refund data from request body. Without items or an amount the whole
+    // remaining balance is refunded; items refund those units and an amount
+    // overrides the refunded value (e.g. to keep a restocking fee).
+    const { orderId, reason, amount, items = [], restock = true } = req.body;
     
     if (!orderId) {
       return res.status(400).json(createError('VALIDATION', 'Order ID is required'));
@@ -55,144 +57,32 @@ export default async function handler(req, res) {
       return res.status(400).json(createError('VALIDATION', 'Refund reason is required'));
     }
     
-    if (!amount || isNaN(amount) || amount <= 0) {
+    if (amount !== undefined && amount !== null && (isNaN(amount) || amount <= 0)) {
       return res.status(400).json(createError('VALIDATION', 'Valid refund amount is required'));
     }
     
-    try {
-      // Get the order
-      const orderRef = doc(db, 'orders', orderId);
-      const orderDoc = await getDoc(orderRef);
-      
-      if (!orderDoc.exists()) {
-        return res.status(404).json(createError('NOT_FOUND', 'Order not found'));
-      }
-      
-      const orderData = orderDoc.data();
-      
-      // Check if the order can be refunded
-      if (['cancelled', 'refunded'].includes(orderData.status)) {
-        return res.status(400).json(createError('VALIDATION', `Cannot refund order with status: ${orderData.status}`));
-      }
-      
-      // Validate refund amount
-      if (amount > orderData.total) {
-        return res.status(400).json(createError('VALIDATION', 'Refund amount cannot exceed order total'));
-      }
-      
-      // Use a transaction to update order status and restore stock for refunded items
-      await runTransaction(db, async (transaction) => {
-        // Prepare refund data
-        const refundData = {
-          amount,
-          reason,
-          date: serverTimestamp(),
-          processedBy: adminId,
-          items: items.length > 0 ? items : 'full' // 'full' means all items are refunded
-        };
-        
-        // Update order status
-        transaction.update(orderRef, {
-          status: 'refunded',
-          refund: refundData,
-          updatedAt: serverTimestamp()
-        });
-        
-        // If specific items are being refunded, restore their stock
-        if (items.length > 0) {
-          for (const refundItem of items) {
-            // Find the item in the order
-            const orderItem = orderData.items.find(item => 
-              item.id === refundItem.id && item.size === refundItem.size
-            );
-            
-            if (!orderItem) continue;
-            
-            // Calculate quantity to restore (cannot exceed original quantity)
-            const quantityToRestore = Math.min(
-              refundItem.quantity || 0,
-              orderItem.quantity || 0
-            );
-            
-            if (quantityToRestore <= 0) continue;
-            
-            // Restore stock
-            const productRef = doc(db, 'products', orderItem.id);
-            const productDoc = await transaction.get(productRef);
-            
-            if (productDoc.exists()) {
-              const productData = productDoc.data();
-              
-              // Check which stock field to update
-              if (productData.stock && productData.stock[orderItem.size] !== undefined) {
-                transaction.update(productRef, {
-                  [`stock.${orderItem.size}`]: productData.stock[orderItem.size] + quantityToRestore
-                });
-              } else if (productData.sizes && productData.sizes[orderItem.size] !== undefined) {
-                transaction.update(productRef, {
-                  [`sizes.${orderItem.size}`]: productData.sizes[orderItem.size] + quantityToRestore
-                });
-              }
-            }
-          }
-        } else {
-          // Full refund, restore all items
-          for (const item of orderData.items) {
-            const productRef = doc(db, 'products', item.id);
-            const productDoc = await transaction.get(productRef);
-            
-            if (productDoc.exists()) {
-              const productData = productDoc.data();
-              
-              // Check which stock field to update
-              if (productData.stock && productData.stock[item.size] !== undefined) {
-                transaction.update(productRef, {
-                  [`stock.${item.size}`]: productData.stock[item.size] + item.quantity
-                });
-              } else if (productData.sizes && productData.sizes[item.size] !== undefined) {
-                transaction.update(productRef, {
-                  [`sizes.${item.size}`]: productData.sizes[item.size] + item.quantity
-                });
-              }
-            }
-          }
-        }
-        
-        // Update customer's order list
-        const userRef = doc(db, 'users', orderData.customer.id);
-        const userDoc = await transaction.get(userRef);
-        
-        if (userDoc.exists()) {
-          const userData = userDoc.data();
-          const orders = userData.orders || [];
-          
-          // Find and update the order in the user's orders list
-          const updatedOrders = orders.map(order => {
-            if (order.id === orderId) {
-              return {
-                ...order,
-                status: 'refunded'
-              };
-            }
-            return order;
-          });
-          
-          transaction.update(userRef, { orders: updatedOrders });
-        }
-      });
-      
-      // Return success response
-      return res.status(200).json({
-        success: true,
-        message: 'Refund processed successfully'
-      });
-      
-    } catch (error) {
-      console.error('Error processing refund:', error);
-      return handleApiError(res, error);
+    if (!Array.isArray(items)) {
+      return res.status(400).json(createError('VALIDATION', 'Refund items must be a list'));
     }
+    
+    const result = await createRefund({
+      orderId,
+      reason,
+      adminId,
+      amount: amount === undefined || amount === null ? undefined : Number(amount),
+      items,
+      restock: restock !== false
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Refund processed successfully',
+      refund: result.refund,
+      orderStatus: result.orderStatus,
+      summary: result.summary
+    });
   } catch (error) {
-    console.error('Outer error in refund processing:', error);
-    return handleApiError(res, error);
+    console.error('Error processing refund:', error);
+    return handleApiError(error, res);
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import { updateOrderStatus, overrideOrderStatus } from '../../../utils/orderService';
+
+/**
+ * API endpoint for admins to change an order's status.
+ * Normal changes must follow the order state machine; `override: true` forces
+ * the change and requires a reason, which is written to the order audit log.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const statusHandler = async (req, res) => {
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can change order status');
+  }
+
+  const { orderId, status, override = false, reason } = req.body;
+
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  if (!status) {
+    throw createError('VALIDATION', 'Status is required', { field: 'status' });
+  }
+
+  const order = override
+    ? await overrideOrderStatus(orderId, status, { adminId: session.user.uid, reason })
+    : await updateOrderStatus(orderId, status, {}, { changedBy: session.user.uid, note: reason });
+
+  return res.status(200).json({
+    success: true,
+    order: {
+      id: order.id,
+      status: order.status
+    }
+  });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(statusHandler);
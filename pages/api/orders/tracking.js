@@ -0,0 +1,77 @@
+import { getServerSession } from 'next-auth/next';
+import { doc, getDoc } from 'firebase/firestore';
+import { authOptions } from '../auth/[...nextauth]';
+import { db } from '../../../utils/firebase';
+import { withErrorHandling, createError } from '../../../utils/errorHandler';
+import { rateLimit } from '../../../utils/rateLimit';
+import { findOrderForTracking, getOrderTracking } from '../../../utils/orderTracking';
+
+// Guest lookups are keyed by order number and email, so they are throttled
+// to keep anyone from guessing their way through orders
+const lookupLimiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+  limit: 10
+});
+
+/**
+ * API endpoint for an order's tracking timeline.
+ * GET ?orderId= is for the signed-in customer who placed the order (or an
+ * admin); POST { orderNumber, email } lets guests look an order up. The
+ * lookup changes nothing, so it needs no CSRF token.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const trackingHandler = async (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (req.method === 'POST') {
+    try {
+      await lookupLimiter.check(res, 10, 'TRACK_ORDER');
+    } catch (error) {
+      throw createError('RATE_LIMIT', 'Too many lookups. Please try again in a minute.');
+    }
+
+    const order = await findOrderForTracking(req.body?.orderNumber, req.body?.email);
+    const tracking = await getOrderTracking(order);
+
+    return res.status(200).json({ success: true, tracking });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  const { orderId } = req.query;
+
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const userId = session.user.uid || session.user.id;
+
+  // Older checkout orders were only written under the customer
+  let orderSnap = await getDoc(doc(db, 'orders', orderId));
+  if (!orderSnap.exists()) {
+    orderSnap = await getDoc(doc(db, 'users', userId, 'orders', orderId));
+  }
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', 'Order not found');
+  }
+
+  const order = { id: orderId, ...orderSnap.data() };
+
+  if (order.userId !== userId && session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'You do not have permission to track this order');
+  }
+
+  const tracking = await getOrderTracking(order);
+
+  return res.status(200).json({ success: true, tracking });
+};
+
+export default withErrorHandling(trackingHandler);
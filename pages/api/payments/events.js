@@ -0,0 +1,52 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import {
+  getPaymentEvent,
+  getPaymentEventsForOrder,
+  replayPaymentEvent
+} from '../../../utils/paymentEventService';
+
+/**
+ * API endpoint for admins to inspect an order's payment webhook events.
+ * GET ?orderId= lists the events stored for the order; POST { eventId }
+ * replays a stored event through the same rules as a live delivery.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const paymentEventsHandler = async (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can view payment events');
+  }
+
+  if (req.method === 'GET') {
+    const events = await getPaymentEventsForOrder(req.query.orderId);
+    return res.status(200).json({ success: true, events });
+  }
+
+  const { eventId } = req.body;
+
+  if (!eventId) {
+    throw createError('VALIDATION', 'Event ID is required', { field: 'eventId' });
+  }
+
+  const result = await replayPaymentEvent(eventId, session.user.uid || session.user.id);
+  const event = await getPaymentEvent(eventId);
+
+  return res.status(200).json({ success: true, result, event });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(paymentEventsHandler);
@@ -2,7 +2,7 @@
 import { getSession } from 'next-auth/react';
 import { validateCSRFToken } from '../../../utils/csrf';
 import { handleApiError, createError } from '../../../utils/errorHandler';
-import { initializeRazorpayPayment, initializeUpiPayment } from '../../../utils/paymentService';
+import { initializePayment } from '../../../utils/paymentService';
 import rateLimit from '../../../utils/rateLimit';
 
 // Create a rate limiter for payment initialization - 10 per minute
@@ -34,45 +34,32 @@ export default async function handler(req, res) {
       return res.status(401).json(createError('AUTH', 'You must be logged in to initialize a payment.'));
     }
     
-    // Get request body
-    const { orderId, amount, paymentMethod, currency, customerName, customerEmail, customerPhone, vpa } = req.body;
+    // Get request body. The amount is read from the stored order, not the client.
+    const { orderId, paymentMethod, currency, customerName, customerEmail, customerPhone, vpa } = req.body;
+    const userId = session.user.uid || session.user.id;
     
     // Validate required fields
     if (!orderId) {
       return res.status(400).json(createError('VALIDATION', 'Order ID is required.'));
     }
     
-    if (!amount) {
-      return res.status(400).json(createError('VALIDATION', 'Amount is required.'));
-    }
-    
     if (!paymentMethod) {
       return res.status(400).json(createError('VALIDATION', 'Payment method is required.'));
     }
     
-    // Initialize payment based on method
-    let paymentData;
-    
-    if (paymentMethod === 'card') {
-      // Initialize Razorpay payment for card
-      paymentData = await initializeRazorpayPayment({
-        orderId,
-        amount,
-        currency: currency || 'INR',
-        customerName,
-        customerEmail,
-        customerPhone
-      });
-    } else if (paymentMethod === 'upi') {
-      // Initialize UPI payment
-      paymentData = await initializeUpiPayment({
-        orderId,
-        amount,
+    // The provider is picked from the payment method and recorded on the order
+    const paymentData = await initializePayment({
+      orderId,
+      userId,
+      paymentMethod,
+      currency: currency || 'INR',
+      customer: {
+        name: customerName,
+        email: customerEmail,
+        phone: customerPhone,
         vpa
-      });
-    } else {
-      return res.status(400).json(createError('VALIDATION', 'Invalid payment method. Supported methods: card, upi'));
-    }
+      }
+    });
     
     // Return payment initialization data
     return res.status(200).json(paymentData);
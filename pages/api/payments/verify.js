@@ -2,9 +2,7 @@
 import { getSession } from 'next-auth/react';
 import { validateCSRFToken } from '../../../utils/csrf';
 import { handleApiError, createError } from '../../../utils/errorHandler';
-import { verifyRazorpayPayment } from '../../../utils/paymentService';
-import { db } from '../../../utils/firebase';
-import { doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { verifyPayment } from '../../../utils/paymentService';
 import rateLimit from '../../../utils/rateLimit';
 
 // Create a rate limiter for payment verification - 10 per minute
@@ -36,73 +34,33 @@ export default async function handler(req, res) {
       return res.status(401).json(createError('AUTH', 'You must be logged in to verify a payment.'));
     }
     
-    // Get request body
-    const { orderId, razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+    // Get request body. `payload` is the provider's checkout response.
+    const { orderId, payload } = req.body;
     
     // Validate required fields
     if (!orderId) {
       return res.status(400).json(createError('VALIDATION', 'Order ID is required.'));
     }
     
-    if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+    if (!payload) {
       return res.status(400).json(createError('VALIDATION', 'Payment verification data is incomplete.'));
     }
     
-    // Verify payment
-    const verificationResult = await verifyRazorpayPayment({
-      razorpay_payment_id,
-      razorpay_order_id,
-      razorpay_signature
+    // Verify payment with the order's provider and mark the order as paid
+    const verificationResult = await verifyPayment({
+      orderId,
+      userId: session.user.uid || session.user.id,
+      payload
     });
     
-    if (verificationResult.success) {
-      try {
-        // Update order payment status in main orders collection
-        const mainOrderRef = doc(db, 'orders', orderId);
-        await updateDoc(mainOrderRef, {
-          'payment.status': 'paid',
-          'payment.details': {
-            paymentId: razorpay_payment_id,
-            paymentTimestamp: serverTimestamp(),
-            verificationTimestamp: serverTimestamp()
-          },
-          status: 'confirmed',
-          updatedAt: serverTimestamp()
-        });
-        
-        // Also update in user's orders subcollection if user is logged in
-        if (session.user.id) {
-          const userId = session.user.id;
-          const userOrderRef = doc(db, 'users', userId, 'orders', orderId);
-          
-          await updateDoc(userOrderRef, {
-            'payment.status': 'paid',
-            'payment.details': {
-              paymentId: razorpay_payment_id,
-              paymentTimestamp: serverTimestamp(),
-              verificationTimestamp: serverTimestamp()
-            },
-            status: 'confirmed',
-            updatedAt: serverTimestamp()
-          });
-        }
-        
-        // Return success response
-        return res.status(200).json({
-          success: true,
-          message: 'Payment verified successfully',
-          data: {
-            orderId,
-            paymentId: razorpay_payment_id
-          }
-        });
-      } catch (error) {
-        console.error('Error updating order after payment verification:', error);
-        return res.status(500).json(createError('DATABASE', 'Failed to update order after payment verification.'));
+    return res.status(200).json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: {
+        orderId,
+        paymentId: verificationResult.data.paymentId
       }
-    } else {
-      return res.status(400).json(createError('PAYMENT', 'Payment verification failed'));
-    }
+    });
   } catch (error) {
     return handleApiError(error, res);
   }
@@ -1,8 +1,16 @@
 import { buffer } from 'micro';
-import { db } from '../../../utils/firebase';
-import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
-import { createError } from '../../../utils/errorHandler';
-import { updateOrderStatus as serviceUpdateOrderStatus } from '../../../utils/orderService';
+import { getOrderByGatewayOrderId } from '../../../utils/paymentService';
+import { getPaymentProvider } from '../../../utils/paymentProviders';
+import {
+  recordPaymentEvent,
+  applyPaymentEvent,
+  PAYMENT_EVENT_STATUSES
+} from '../../../utils/paymentEventService';
+
+// Signature checks are implemented by the providers and order updates by the
+// payment event service; re-exported for existing callers
+export { verifyWebhookSignature } from '../../../utils/paymentProviders/razorpay';
+export { applyPaymentStatus as updateOrderStatus } from '../../../utils/paymentEventService';
 
 // Disable body parsing, we need the raw body for signature verification
 export const config = {
@@ -12,122 +20,29 @@ export const config = {
 };
 
 /**
- * Verify Razorpay webhook signature
- * @param {string} body - Raw request body
- * @param {string} signature - Razorpay signature from headers
- * @returns {Object} - Object containing verification result and error if any
+ * Resolve our order ID for a normalized payment event. Events carry the
+ * gateway order id, which is mapped back through `paymentGatewayOrders`; the
+ * order id the gateway echoes back (e.g. Razorpay payment notes) is used for
+ * payments made before that mapping existed.
+ * @param {Object} event - Normalized event from the provider
+ * @returns {Promise<string|null>} - Our order ID or null if it cannot be resolved
  */
-export const verifyWebhookSignature = (body, signature) => {
-  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
-    console.error('PAYMENT_WEBHOOK_SECRET is not defined');
-    return { valid: false, error: 'Webhook secret is not configured' };
+export const resolveOrderId = async (event) => {
+  if (!event) {
+    return null;
   }
 
-  if (!signature) {
-    return { valid: false, error: 'Signature is missing from request headers' };
-  }
-
-  try {
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
-
-    const isValid = expectedSignature === signature;
-    
-    return { 
-      valid: isValid, 
-      error: isValid ? null : 'Signature verification failed'
-    };
-  } catch (error) {
-    console.error('Error verifying webhook signature:', error);
-    return { valid: false, error: `Signature verification error: ${error.message}` };
-  }
-};
-
-/**
- * Update order status based on payment event
- * @param {string} orderId - Order ID
- * @param {string} status - New payment status
- * @param {Object} paymentDetails - Payment details from Razorpay
- * @returns {Promise<Object>} - Result of the update operation
- */
-export const updateOrderStatus = async (orderId, status, paymentDetails) => {
-  try {
-    if (!orderId) {
-      throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
-    }
-
-    if (!status) {
-      throw createError('VALIDATION', 'Payment status is required', { field: 'status' });
-    }
-
-    // Get order document
-    const orderRef = doc(db, 'orders', orderId);
-    const orderDoc = await getDoc(orderRef);
-
-    if (!orderDoc.exists()) {
-      throw createError('NOT_FOUND', `Order ${orderId} not found`, { resource: 'order' });
-    }
-
-    const orderData = orderDoc.data();
-    
-    // Map payment status to order status
-    let orderStatus = orderData.status;
-    let paymentStatus = status;
-
-    // Define status mapping
-    const statusMapping = {
-      'authorized': { orderStatus: 'processing', paymentStatus: 'authorized' },
-      'captured': { orderStatus: 'confirmed', paymentStatus: 'paid' },
-      'paid': { orderStatus: 'confirmed', paymentStatus: 'paid' },
-      'failed': { orderStatus: 'payment_failed', paymentStatus: 'failed' },
-      'payment_failed': { orderStatus: 'payment_failed', paymentStatus: 'failed' },
-      'refund_initiated': { orderStatus: 'refund_initiated', paymentStatus: 'refund_initiated' },
-      'refunded': { orderStatus: 'refunded', paymentStatus: 'refunded' }
-    };
-
-    // Apply status mapping if available
-    if (statusMapping[status]) {
-      orderStatus = statusMapping[status].orderStatus;
-      paymentStatus = statusMapping[status].paymentStatus;
-    }
-
-    // Use the orderService's updateOrderStatus function which no longer validates transitions
-    const additionalData = {
-      'payment.status': paymentStatus,
-      'payment.details': {
-        ...(orderData.payment?.details || {}),
-        ...paymentDetails,
-        updatedAt: serverTimestamp()
-      }
-    };
-
-    // Update the order using the service function
-    await serviceUpdateOrderStatus(orderId, orderStatus, additionalData);
+  const gatewayOrder = await getOrderByGatewayOrderId(event.gatewayOrderId);
 
-    console.log(`Order ${orderId} status updated to ${orderStatus}, payment status: ${paymentStatus}`);
-    
-    return {
-      success: true,
-      orderId,
-      orderStatus,
-      paymentStatus
-    };
-  } catch (error) {
-    console.error(`Error updating order ${orderId} status:`, error);
-    
-    // Add error code if not present
-    if (!error.code) {
-      error.code = 'DATABASE';
-    }
-    throw error;
-  }
+  return gatewayOrder?.orderId || event.orderId || null;
 };
 
 /**
- * Handle Razorpay webhook events
+ * Handle payment provider webhook events. The provider is taken from the
+ * `provider` query parameter (e.g. /api/payments/webhook?provider=razorpay)
+ * and defaults to Razorpay. Every event is stored in the `paymentEvents`
+ * ledger first; redeliveries of an event that was already processed are
+ * acknowledged without touching the order.
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  * @returns {Promise<void>}
@@ -138,15 +53,22 @@ const webhookHandler = async (req, res) => {
   }
 
   try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.query?.provider || 'razorpay');
+    } catch (providerError) {
+      return res.status(400).json({
+        error: providerError.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Get raw body for signature verification
     const rawBody = await buffer(req);
     const body = rawBody.toString();
-    
-    // Get Razorpay signature from headers
-    const signature = req.headers['x-razorpay-signature'];
 
     // Verify signature
-    const signatureVerification = verifyWebhookSignature(body, signature);
+    const signatureVerification = provider.verifyWebhook({ rawBody: body, headers: req.headers });
     
     if (!signatureVerification.valid) {
       console.error(`Invalid webhook signature: ${signatureVerification.error}`);
@@ -170,148 +92,61 @@ const webhookHandler = async (req, res) => {
       });
     }
     
-    const { event, payload: eventPayload } = payload;
+    const event = provider.parseWebhookEvent(payload, req.headers);
+    const eventType = event?.type || payload.event;
 
-    console.log(`Received Razorpay webhook: ${event}`, {
-      event,
-      eventId: payload.event_id,
+    console.log(`Received ${provider.name} webhook: ${eventType}`, {
+      event: eventType,
+      eventId: event?.id,
       timestamp: new Date().toISOString()
     });
 
-    // Handle different webhook events
-    switch (event) {
-      case 'payment.authorized':
-        // Payment has been authorized but not yet captured
-        await updateOrderStatus(
-          eventPayload.payment.entity.notes.order_id,
-          'authorized',
-          {
-            razorpayPaymentId: eventPayload.payment.entity.id,
-            razorpayOrderId: eventPayload.payment.entity.order_id,
-            method: eventPayload.payment.entity.method,
-            amount: eventPayload.payment.entity.amount / 100, // Convert from paise to rupees
-            status: 'authorized',
-            authorizationTimestamp: new Date().toISOString()
-          }
-        );
-        break;
-
-      case 'payment.captured': {
-        const { payment } = eventPayload;
-        const orderId = payment.notes?.order_id;
-
-        if (!orderId) {
-          console.error('Order ID not found in payment notes', { paymentId: payment.id });
-          return res.status(400).json({ 
-            error: 'Order ID not found in payment notes',
-            details: { paymentId: payment.id },
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        const result = await updateOrderStatus(orderId, 'captured', {
-          paymentId: payment.id,
-          amount: payment.amount / 100,
-          method: payment.method,
-          status: payment.status,
-          capturedAt: new Date().toISOString()
-        });
-
-        console.log('Payment captured update result:', result);
-        break;
-      }
-
-      case 'payment.failed': {
-        const { payment } = eventPayload;
-        const orderId = payment.notes?.order_id;
-
-        if (!orderId) {
-          console.error('Order ID not found in payment notes', { paymentId: payment.id });
-          return res.status(400).json({ 
-            error: 'Order ID not found in payment notes',
-            details: { paymentId: payment.id },
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        const result = await updateOrderStatus(orderId, 'failed', {
-          paymentId: payment.id,
-          amount: payment.amount / 100,
-          method: payment.method,
-          status: payment.status,
-          error: payment.error_code,
-          errorDescription: payment.error_description,
-          failedAt: new Date().toISOString()
-        });
-
-        console.log('Payment failed update result:', result);
-        break;
-      }
-
-      case 'refund.created': {
-        const { refund, payment } = eventPayload;
-        const orderId = payment.notes?.order_id;
-
-        if (!orderId) {
-          console.error('Order ID not found in payment notes', { paymentId: payment.id, refundId: refund.id });
-          return res.status(400).json({ 
-            error: 'Order ID not found in payment notes',
-            details: { paymentId: payment.id, refundId: refund.id },
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        const result = await updateOrderStatus(orderId, 'refund_initiated', {
-          paymentId: payment.id,
-          refundId: refund.id,
-          amount: refund.amount / 100,
-          status: refund.status,
-          refundInitiatedAt: new Date().toISOString()
-        });
-
-        console.log('Refund created update result:', result);
-        break;
-      }
-        break;
-
-      case 'refund.processed': {
-        const { refund, payment } = eventPayload;
-        const orderId = payment.notes?.order_id;
+    const orderId = await resolveOrderId(event);
+    const ledgerEntry = await recordPaymentEvent({
+      providerId: provider.id,
+      event,
+      rawBody: body,
+      orderId
+    });
 
-        if (!orderId) {
-          console.error('Order ID not found in payment notes', { paymentId: payment.id, refundId: refund.id });
-          return res.status(400).json({ 
-            error: 'Order ID not found in payment notes',
-            details: { paymentId: payment.id, refundId: refund.id },
-            timestamp: new Date().toISOString()
-          });
-        }
+    if (ledgerEntry.duplicate) {
+      console.log(`Duplicate webhook event ${ledgerEntry.id} (${ledgerEntry.processingStatus}), skipping`);
 
-        const result = await updateOrderStatus(orderId, 'refunded', {
-          paymentId: payment.id,
-          refundId: refund.id,
-          amount: refund.amount / 100,
-          status: refund.status,
-          refundProcessedAt: new Date().toISOString()
-        });
+      // Ask the gateway to retry later if another delivery is still processing it
+      return res.status(ledgerEntry.processingStatus === PAYMENT_EVENT_STATUSES.PROCESSING ? 409 : 200).json({
+        received: true,
+        duplicate: true,
+        event: eventType,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-        console.log('Refund processed update result:', result);
-        break;
-      }
+    try {
+      const result = await applyPaymentEvent({
+        id: ledgerEntry.id,
+        providerId: provider.id,
+        event,
+        orderId
+      });
 
-      default: {
-        console.log(`Unhandled webhook event: ${event}`, {
-          event,
-          eventId: payload.event_id,
+      console.log(`${eventType} processing result:`, result);
+    } catch (applyError) {
+      if (!orderId) {
+        console.error('Order ID not found in payment notes', { paymentId: event?.paymentId, refundId: event?.refundId });
+        return res.status(400).json({ 
+          error: 'Order ID not found in payment notes',
+          details: { paymentId: event?.paymentId, refundId: event?.refundId },
           timestamp: new Date().toISOString()
         });
       }
+
+      throw applyError;
     }
 
     // Acknowledge receipt of webhook
     return res.status(200).json({ 
       received: true,
-      event: event,
+      event: eventType,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
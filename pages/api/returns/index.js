@@ -0,0 +1,90 @@
+import { getServerSession } from 'next-auth/next';
+import { doc, getDoc } from 'firebase/firestore';
+import { authOptions } from '../auth/[...nextauth]';
+import { db } from '../../../utils/firebase';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import {
+  createReturnRequest,
+  getOrderReturnSummary,
+  getReturns,
+  RETURN_REASON_LABELS,
+  RETURN_CONFIG
+} from '../../../utils/returnService';
+
+// Requests carry up to three compressed photos as base64
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '2mb'
+    }
+  }
+};
+
+// What the return form needs to know, sent with every listing
+const FORM_OPTIONS = {
+  reasons: RETURN_REASON_LABELS,
+  maxPhotos: RETURN_CONFIG.MAX_PHOTOS,
+  maxPhotoBytes: RETURN_CONFIG.MAX_PHOTO_BYTES
+};
+
+/**
+ * API endpoint for returns and exchanges.
+ * GET ?orderId= gives the order's return window, its return requests and
+ * the items that can still be sent back; without an orderId, admins get
+ * every request (optionally ?status=). POST { orderId, type, items, reason,
+ * comment, photos } asks to return or exchange items.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const returnsHandler = async (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  const userId = session.user.uid || session.user.id;
+
+  if (req.method === 'POST') {
+    const { orderId, type, items, reason, comment, photos } = req.body || {};
+    const returnRequest = await createReturnRequest({ orderId, userId, type, items, reason, comment, photos });
+
+    return res.status(201).json({ success: true, returnRequest });
+  }
+
+  const { orderId, status } = req.query;
+
+  if (!orderId) {
+    if (session.user.role !== 'admin') {
+      throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+    }
+
+    const returns = await getReturns({ status: status || null });
+    return res.status(200).json({ success: true, returns, ...FORM_OPTIONS });
+  }
+
+  const orderSnap = await getDoc(doc(db, 'orders', orderId));
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', 'Order not found');
+  }
+
+  const order = { id: orderId, ...orderSnap.data() };
+
+  if (order.userId !== userId && session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'You do not have permission to view returns for this order');
+  }
+
+  const summary = await getOrderReturnSummary(order);
+
+  return res.status(200).json({ success: true, ...summary, ...FORM_OPTIONS });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(returnsHandler);
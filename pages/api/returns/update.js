@@ -0,0 +1,74 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import {
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  markReturnReceived,
+  completeReturn
+} from '../../../utils/returnService';
+
+const ACTIONS = ['approve', 'reject', 'schedule_pickup', 'receive', 'complete'];
+
+/**
+ * API endpoint for admin actions on a return request.
+ * POST { returnId, action, ... } where action is one of:
+ * - approve / reject: decide on the request; a rejection needs a `note`
+ * - schedule_pickup: book the reverse pickup ({ package, carrier })
+ * - receive: check the items in ({ note, restock })
+ * - complete: refund, or create the replacement order for an exchange
+ *   ({ refundInstead } refunds an exchange whose size sold out)
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const returnUpdateHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can manage returns');
+  }
+
+  const { returnId, action, note = null } = req.body;
+  const adminId = session.user.uid || session.user.id;
+
+  if (!ACTIONS.includes(action)) {
+    throw createError('VALIDATION', `Action must be one of: ${ACTIONS.join(', ')}`, { field: 'action' });
+  }
+
+  if (action === 'schedule_pickup') {
+    const shipment = await scheduleReturnPickup(returnId, {
+      package: req.body.package,
+      carrier: req.body.carrier
+    }, { actor: adminId });
+
+    return res.status(200).json({ success: true, shipment });
+  }
+
+  let returnRequest;
+
+  if (action === 'approve') {
+    returnRequest = await approveReturn(returnId, { adminId, note });
+  } else if (action === 'reject') {
+    returnRequest = await rejectReturn(returnId, { adminId, note });
+  } else if (action === 'receive') {
+    returnRequest = await markReturnReceived(returnId, { adminId, note, restock: req.body.restock !== false });
+  } else {
+    returnRequest = await completeReturn(returnId, { adminId, refundInstead: Boolean(req.body.refundInstead) });
+  }
+
+  return res.status(200).json({ success: true, returnRequest });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(returnUpdateHandler);
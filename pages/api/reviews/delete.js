@@ -0,0 +1,33 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import { deleteProductReview } from '../../../utils/reviewService';
+
+/**
+ * API endpoint for a customer to delete their review.
+ * POST { reviewId } deletes the signed-in user's review and, if it was
+ * approved, recomputes the product's rating aggregate.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const deleteReviewHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  const { reviewId } = req.body || {};
+  await deleteProductReview(reviewId, session.user.uid || session.user.id);
+
+  return res.status(200).json({ success: true });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(deleteReviewHandler);
@@ -0,0 +1,51 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import { getCarriers } from '../../../utils/carriers';
+import { createShipment, getShipmentsForOrder } from '../../../utils/shipmentService';
+
+/**
+ * API endpoint for admins to manage an order's shipments.
+ * GET ?orderId= lists the order's shipments and the carriers available;
+ * POST { orderId, package, carrier } books a shipment and fetches its AWB.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const shipmentsHandler = async (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can manage shipments');
+  }
+
+  if (req.method === 'GET') {
+    const shipments = await getShipmentsForOrder(req.query.orderId);
+    return res.status(200).json({
+      success: true,
+      shipments,
+      carriers: getCarriers(),
+      defaultCarrier: process.env.SHIPPING_CARRIER || 'fake'
+    });
+  }
+
+  const { orderId, package: pkg, carrier } = req.body;
+
+  const shipment = await createShipment(orderId, { package: pkg, carrier }, {
+    actor: session.user.uid || session.user.id
+  });
+
+  return res.status(201).json({ success: true, shipment });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(shipmentsHandler);
@@ -0,0 +1,38 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, createError } from '../../../utils/errorHandler';
+import { getShipmentLabel } from '../../../utils/shipmentService';
+
+/**
+ * API endpoint to download a shipment's label. Labels the carrier hosts are
+ * redirected to; the others are generated as a PDF.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const labelHandler = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can print shipping labels');
+  }
+
+  const label = await getShipmentLabel(req.query.shipmentId);
+
+  if (label.url) {
+    return res.redirect(302, label.url);
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${label.filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(Buffer.from(label.pdf));
+};
+
+export default withErrorHandling(labelHandler);
@@ -0,0 +1,53 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { withErrorHandling, combineMiddleware, createError } from '../../../utils/errorHandler';
+import { withCSRFProtection } from '../../../utils/csrf';
+import { assignShipmentAwb, cancelShipment, refreshTracking } from '../../../utils/shipmentService';
+
+const ACTIONS = ['track', 'assign_awb', 'cancel'];
+
+/**
+ * API endpoint for admin actions on a booked shipment.
+ * POST { shipmentId, action } where action is one of:
+ * - track: fetch new tracking events from the carrier
+ * - assign_awb: retry fetching the AWB number
+ * - cancel: cancel a shipment the courier has not collected
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const shipmentUpdateHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  if (!session || !session.user) {
+    throw createError('AUTHENTICATION', 'Authentication required');
+  }
+
+  if (session.user.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can manage shipments');
+  }
+
+  const { shipmentId, action } = req.body;
+
+  if (!ACTIONS.includes(action)) {
+    throw createError('VALIDATION', `Action must be one of: ${ACTIONS.join(', ')}`, { field: 'action' });
+  }
+
+  if (action === 'track') {
+    const { shipment, newEvents } = await refreshTracking(shipmentId);
+    return res.status(200).json({ success: true, shipment, newEvents });
+  }
+
+  const shipment = action === 'assign_awb'
+    ? await assignShipmentAwb(shipmentId)
+    : await cancelShipment(shipmentId, { actor: session.user.uid || session.user.id });
+
+  return res.status(200).json({ success: true, shipment });
+};
+
+export default combineMiddleware(
+  withErrorHandling,
+  withCSRFProtection
+)(shipmentUpdateHandler);
@@ -0,0 +1,53 @@
+import { withErrorHandling, createError } from '../../../utils/errorHandler';
+import { rateLimit } from '../../../utils/rateLimit';
+import { checkServiceability } from '../../../utils/serviceabilityService';
+import { priceItems } from '../../../utils/pricingService';
+import { getShippingRates, getShippingOptions } from '../../../utils/shippingRateService';
+
+// Checkout asks again whenever the pincode, cart or coupon changes
+const shippingOptionsLimiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+  limit: 30
+});
+
+/**
+ * API endpoint quoting the shipping options for a cart:
+ * POST { items, pincode, discount }. Items are priced and weighed from the
+ * catalog; the order is re-priced with the chosen option when it is placed.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const shippingOptionsHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    await shippingOptionsLimiter.check(res, 30, 'SHIPPING_OPTIONS');
+  } catch (error) {
+    throw createError('RATE_LIMIT', 'Too many requests. Please try again in a minute.');
+  }
+
+  const { items, pincode, discount = 0 } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError('VALIDATION', 'Items are required', { field: 'items' });
+  }
+
+  const serviceability = await checkServiceability(pincode);
+  const pricedItems = await priceItems(items);
+  const subtotal = pricedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const orderValue = subtotal - Math.min(Math.max(0, Number(discount) || 0), subtotal);
+
+  const options = getShippingOptions({
+    items: pricedItems,
+    orderValue,
+    serviceability,
+    rules: await getShippingRates()
+  });
+
+  return res.status(200).json({ success: true, serviceability, options });
+};
+
+export default withErrorHandling(shippingOptionsHandler);
@@ -0,0 +1,36 @@
+import { withErrorHandling, createError } from '../../../utils/errorHandler';
+import { rateLimit } from '../../../utils/rateLimit';
+import { checkServiceability } from '../../../utils/serviceabilityService';
+
+// Product pages and checkout check a pincode as it is typed
+const serviceabilityLimiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+  limit: 30
+});
+
+/**
+ * API endpoint to check delivery to a pincode: GET ?pincode=395003.
+ * Open to everyone, as it only reads the pincode directory.
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+const serviceabilityHandler = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    await serviceabilityLimiter.check(res, 30, 'PINCODE_CHECK');
+  } catch (error) {
+    throw createError('RATE_LIMIT', 'Too many pincode checks. Please try again in a minute.');
+  }
+
+  const serviceability = await checkServiceability(req.query.pincode);
+
+  // The directory changes rarely, so browsers may reuse an answer for an hour
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return res.status(200).json({ success: true, serviceability });
+};
+
+export default withErrorHandling(serviceabilityHandler);
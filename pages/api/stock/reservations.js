@@ -0,0 +1,70 @@
+// API endpoint to hold and release stock for a checkout
+import { getSession } from 'next-auth/react';
+import { validateCSRFToken } from '../../../utils/csrf';
+import { handleApiError, createError } from '../../../utils/errorHandler';
+import { holdStock, releaseReservation, getReservation } from '../../../utils/stockReservationService';
+import rateLimit from '../../../utils/rateLimit';
+
+// Create a rate limiter for stock reservations - 20 per minute
+const reservationRateLimiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  limit: 20,
+  uniqueTokenPerInterval: 500
+});
+
+export default async function handler(req, res) {
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json(createError('VALIDATION', 'Method not allowed. Only POST and DELETE requests are accepted.'));
+  }
+
+  try {
+    await reservationRateLimiter.check(res, 20, 'STOCK_RESERVATION');
+
+    // Validate CSRF token
+    const csrfError = await validateCSRFToken(req);
+    if (csrfError) {
+      return res.status(403).json(createError('SECURITY', csrfError));
+    }
+
+    const session = await getSession({ req });
+    if (!session || !session.user) {
+      return res.status(401).json(createError('AUTH', 'You must be logged in to reserve stock.'));
+    }
+
+    const userId = session.user.uid || session.user.id;
+    const { items, reservationId } = req.body || {};
+
+    // Reservations can only be renewed or released by the customer who made them
+    if (reservationId) {
+      const reservation = await getReservation(reservationId);
+
+      if (!reservation) {
+        throw createError('NOT_FOUND', 'Stock reservation not found');
+      }
+
+      if (reservation.userId !== userId) {
+        throw createError('AUTHORIZATION', 'You do not have permission to change this reservation');
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      if (!reservationId) {
+        return res.status(400).json(createError('VALIDATION', 'Reservation ID is required.'));
+      }
+
+      const result = await releaseReservation(reservationId);
+      return res.status(200).json({ success: true, data: result });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json(createError('VALIDATION', 'Items are required.'));
+    }
+
+    // Fails with the unavailable items when the stock is no longer there
+    const reservation = await holdStock({ items, reservationId, userId });
+
+    return res.status(200).json({ success: true, data: reservation });
+  } catch (error) {
+    return handleApiError(error, res, error.code === 'VALIDATION_ERROR');
+  }
+}
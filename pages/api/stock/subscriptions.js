@@ -0,0 +1,53 @@
+// API endpoint to subscribe to back-in-stock emails for a sold-out size
+import { getSession } from 'next-auth/react';
+import { validateCSRFToken } from '../../../utils/csrf';
+import { handleApiError, createError } from '../../../utils/errorHandler';
+import { subscribeToBackInStock } from '../../../utils/backInStockService';
+import rateLimit from '../../../utils/rateLimit';
+
+// Create a rate limiter for back-in-stock subscriptions - 10 per minute
+const subscriptionRateLimiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  limit: 10,
+  uniqueTokenPerInterval: 500
+});
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json(createError('VALIDATION', 'Method not allowed. Only POST requests are accepted.'));
+  }
+
+  try {
+    await subscriptionRateLimiter.check(res, 10, 'STOCK_SUBSCRIPTION');
+
+    // Validate CSRF token
+    const csrfError = await validateCSRFToken(req);
+    if (csrfError) {
+      return res.status(403).json(createError('SECURITY', csrfError));
+    }
+
+    // Guests subscribe with an email; signed-in customers are linked to their account
+    const session = await getSession({ req });
+    const userId = session?.user ? session.user.uid || session.user.id : null;
+    const { productId, size, variantId, email } = req.body || {};
+
+    if (!productId) {
+      return res.status(400).json(createError('VALIDATION', 'Product ID is required.'));
+    }
+
+    const subscription = await subscribeToBackInStock({
+      productId,
+      size,
+      variantId,
+      email: email || session?.user?.email || null,
+      userId
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { id: subscription.id, label: subscription.label, email: subscription.email }
+    });
+  } catch (error) {
+    return handleApiError(error, res, error.code === 'VALIDATION_ERROR');
+  }
+}
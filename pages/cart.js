@@ -3,10 +3,11 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { FiTrash2, FiShoppingBag, FiArrowRight, FiMinus, FiPlus, FiX, FiAlertCircle, FiCheck } from 'react-icons/fi';
-import { useCart } from '../contexts/CartContext';
+import { useCart, getCartLineId } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useNotification } from '../contexts/NotificationContext';
 import { isBase64Image } from '../utils/imageUtils';
+import { getVariantLabel } from '../utils/productVariants';
 
 export default function CartPage() {
   const router = useRouter();
@@ -17,7 +18,7 @@ export default function CartPage() {
     removeItem, 
     applyPromoCode, 
     subtotal, 
-    total, 
+    orderTotals, 
     discountAmount, 
     loading: cartLoading,
     validateStock 
@@ -71,14 +72,14 @@ export default function CartPage() {
   }, []);
 
   // Handle quantity updates
-  const handleQuantityChange = (productId, size, newQuantity) => {
+  const handleQuantityChange = (lineId, newQuantity) => {
     if (newQuantity < 1) return;
-    updateQuantity(productId, size, newQuantity);
+    updateQuantity(lineId, newQuantity);
   };
 
   // Remove item from cart
-  const handleRemoveItem = (productId, size) => {
-    removeItem(productId, size);
+  const handleRemoveItem = (lineId) => {
+    removeItem(lineId);
     showNotification('Item removed from cart', 'info');
   };
 
@@ -121,14 +122,12 @@ export default function CartPage() {
     const result = await applyPromoCode(promoCode);
     
     if (result.success) {
-      showNotification(`Promo code applied! ${result.discount}% discount`, 'success');
+      showNotification(`Promo code applied! You save ₹${result.discount.toFixed(2)}`, 'success');
     } else {
       showNotification(result.message || 'Invalid promo code', 'error');
     }
   };
 
-  const finalTotal = total;
-
   // Empty cart message
   if (isClient && !loading && cartItems.length === 0) {
     return (
@@ -194,7 +193,7 @@ export default function CartPage() {
                   <ul className="list-disc pl-5 space-y-1">
                     {stockErrors.map((item, index) => (
                       <li key={index}>
-                        <strong>{item.name}</strong> (Size: {item.size}) - {item.reason}
+                        <strong>{item.name}</strong> ({item.variantId ? getVariantLabel(item) : `Size: ${item.size}`}) - {item.reason}
                         {item.reason === 'Insufficient stock' && item.available > 0 && 
                           ` (Only ${item.available} available)`}
                       </li>
@@ -213,7 +212,7 @@ export default function CartPage() {
               <h2 className="text-xl font-semibold mb-4">Cart Items</h2>
               <div className="divide-y divide-gray-200">
                 {localCartItems.map((item) => (
-                  <div key={`${item.id}-${item.size}`} className="py-4 flex flex-col sm:flex-row">
+                  <div key={getCartLineId(item)} className="py-4 flex flex-col sm:flex-row">
                     <div className="w-full sm:w-24 h-24 mb-4 sm:mb-0 bg-gray-100 rounded-md overflow-hidden">
                       {item.image ? (
                         <img 
@@ -230,7 +229,7 @@ export default function CartPage() {
                     <div className="flex-1 sm:ml-6 flex flex-col sm:flex-row justify-between">
                       <div>
                         <h3 className="font-medium">{item.name}</h3>
-                        <p className="text-sm text-gray-600">Size: {item.size}</p>
+                        <p className="text-sm text-gray-600">{item.variantId ? getVariantLabel(item) : `Size: ${item.size}`}</p>
                         <p className="text-indigo-deep font-medium mt-1">
                           ₹{item.price.toFixed(2)}
                           {item.originalPrice > item.price && (
@@ -243,7 +242,7 @@ export default function CartPage() {
                       <div className="flex items-center mt-4 sm:mt-0">
                         <div className="flex items-center border border-gray-300 rounded-md">
                           <button 
-                            onClick={() => handleQuantityChange(item.id, item.size, item.quantity - 1)}
+                            onClick={() => handleQuantityChange(getCartLineId(item), item.quantity - 1)}
                             className="px-3 py-1 text-gray-600 hover:bg-gray-100"
                             disabled={item.quantity <= 1}
                           >
@@ -251,14 +250,14 @@ export default function CartPage() {
                           </button>
                           <span className="px-3 py-1 text-center w-10">{item.quantity}</span>
                           <button 
-                            onClick={() => handleQuantityChange(item.id, item.size, item.quantity + 1)}
+                            onClick={() => handleQuantityChange(getCartLineId(item), item.quantity + 1)}
                             className="px-3 py-1 text-gray-600 hover:bg-gray-100"
                           >
                             <FiPlus size={14} />
                           </button>
                         </div>
                         <button 
-                          onClick={() => handleRemoveItem(item.id, item.size)}
+                          onClick={() => handleRemoveItem(getCartLineId(item))}
                           className="ml-4 text-red-500 hover:text-red-700"
                           aria-label="Remove item"
                         >
@@ -289,9 +288,19 @@ export default function CartPage() {
                   </div>
                 )}
                 
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Shipping</span>
+                  <span>{orderTotals.shippingCost === 0 ? 'Free' : `₹${orderTotals.shippingCost.toFixed(2)}`}</span>
+                </div>
+                
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Tax (GST)</span>
+                  <span>₹{orderTotals.tax.toFixed(2)}</span>
+                </div>
+                
                 <div className="flex justify-between font-semibold text-lg border-t border-gray-200 pt-4">
                   <span>Total</span>
-                  <span>₹{finalTotal.toFixed(2)}</span>
+                  <span>₹{orderTotals.total.toFixed(2)}</span>
                 </div>
                 
                 <div className="mt-6">
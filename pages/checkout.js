@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
-import { useCart } from '../contexts/CartContext';
+import { useCart, getCartLineId } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useNotification } from '../contexts/NotificationContext';
 import Layout from '../components/layout/Layout';
@@ -9,16 +9,24 @@ import CheckoutForm from '../components/checkout/CheckoutForm';
 import Image from 'next/image';
 import { FiAlertCircle, FiArrowLeft, FiShoppingBag, FiLoader } from 'react-icons/fi';
 import SEO from '../components/common/SEO';
+import { SUPPLY_TYPES } from '../utils/gstService';
+import { getVariantLabel } from '../utils/productVariants';
 
 const CheckoutPage = () => {
   const router = useRouter();
-  const { cartItems, total, loading: cartLoading, isEmpty } = useCart();
+  const { cartItems, getOrderTotals, loading: cartLoading, isEmpty } = useCart();
   const { currentUser, loading: authLoading } = useAuth();
   const { showNotification } = useNotification();
   
   const [orderPlaced, setOrderPlaced] = useState(false);
   const [orderId, setOrderId] = useState(null);
   const [error, setError] = useState(null);
+  const [shippingState, setShippingState] = useState('');
+  const [shipping, setShipping] = useState(null);
+  
+  // Totals with the GST split for the shipping state entered in the form and
+  // the delivery option chosen there
+  const orderTotals = getOrderTotals(shippingState, shipping);
   
   // Redirect to cart if cart is empty
   useEffect(() => {
@@ -49,12 +57,12 @@ const CheckoutPage = () => {
     if (!authLoading && currentUser && cartItems.length > 0) {
       try {
         const analytics = require('../utils/analytics').default;
-        analytics.ecommerce.beginCheckout(cartItems, total);
+        analytics.ecommerce.beginCheckout(cartItems, orderTotals.total);
       } catch (error) {
         console.error('Error tracking checkout start:', error);
       }
     }
-  }, [authLoading, currentUser, cartItems, total]);
+  }, [authLoading, currentUser, cartItems, orderTotals.total]);
   
   // Handle order placement
   const handleOrderPlaced = (newOrderId) => {
@@ -74,9 +82,9 @@ const CheckoutPage = () => {
       
       const orderData = {
         orderNumber,
-        total: total + (total > 1000 ? 0 : 100) + Math.round(total * 0.18 * 100) / 100,
-        tax: Math.round(total * 0.18 * 100) / 100,
-        shippingCost: total > 1000 ? 0 : 100,
+        total: orderTotals.total,
+        tax: orderTotals.tax,
+        shippingCost: orderTotals.shippingCost,
         items: cartItems
       };
       
@@ -174,7 +182,7 @@ const CheckoutPage = () => {
             {/* Order Form */}
             <div className="lg:col-span-2">
               <div className="bg-white p-6 rounded-lg shadow-md">
-                <CheckoutForm onOrderPlaced={handleOrderPlaced} onError={handleError} />
+                <CheckoutForm onOrderPlaced={handleOrderPlaced} onError={handleError} onShippingStateChange={setShippingState} onShippingChange={setShipping} />
               </div>
             </div>
             
@@ -185,7 +193,7 @@ const CheckoutPage = () => {
                 
                 <div className="divide-y divide-gray-200">
                   {cartItems.map((item) => (
-                    <div key={`${item.id}-${item.size}`} className="py-4 flex space-x-4">
+                    <div key={getCartLineId(item)} className="py-4 flex space-x-4">
                       <div className="flex-shrink-0 relative w-16 h-16 rounded-md overflow-hidden">
                         {item.image ? (
                           <Image
@@ -203,7 +211,7 @@ const CheckoutPage = () => {
                       <div className="flex-1 flex flex-col justify-between">
                         <div>
                           <h3 className="text-sm font-medium text-gray-900">{item.name}</h3>
-                          <p className="mt-1 text-sm text-gray-500">Size: {item.size}</p>
+                          <p className="mt-1 text-sm text-gray-500">{item.variantId ? getVariantLabel(item) : `Size: ${item.size}`}</p>
                         </div>
                         <div className="flex justify-between text-sm font-medium">
                           <p className="text-gray-500">Qty {item.quantity}</p>
@@ -217,17 +225,49 @@ const CheckoutPage = () => {
                 <div className="border-t border-gray-200 pt-4 mt-4">
                   <div className="flex justify-between text-base font-medium text-gray-900">
                     <p>Subtotal</p>
-                    <p>₹{total.toFixed(2)}</p>
+                    <p>₹{orderTotals.subtotal.toFixed(2)}</p>
                   </div>
                   
+                  {orderTotals.discount > 0 && (
+                    <div className="flex justify-between text-sm text-green-600 mt-1">
+                      <p>Discount</p>
+                      <p>-₹{orderTotals.discount.toFixed(2)}</p>
+                    </div>
+                  )}
+                  
                   <div className="flex justify-between text-sm text-gray-500 mt-1">
                     <p>Shipping</p>
-                    <p>Free</p>
+                    <p>{orderTotals.shippingCost === 0 ? 'Free' : `₹${orderTotals.shippingCost.toFixed(2)}`}</p>
                   </div>
                   
+                  {orderTotals.codFee > 0 && (
+                    <div className="flex justify-between text-sm text-gray-500 mt-1">
+                      <p>COD Charges</p>
+                      <p>₹{orderTotals.codFee.toFixed(2)}</p>
+                    </div>
+                  )}
+                  
+                  {orderTotals.gst.supplyType === SUPPLY_TYPES.INTER_STATE ? (
+                    <div className="flex justify-between text-sm text-gray-500 mt-1">
+                      <p>IGST</p>
+                      <p>₹{orderTotals.gst.igst.toFixed(2)}</p>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="flex justify-between text-sm text-gray-500 mt-1">
+                        <p>CGST</p>
+                        <p>₹{orderTotals.gst.cgst.toFixed(2)}</p>
+                      </div>
+                      <div className="flex justify-between text-sm text-gray-500 mt-1">
+                        <p>SGST</p>
+                        <p>₹{orderTotals.gst.sgst.toFixed(2)}</p>
+                      </div>
+                    </>
+                  )}
+                  
                   <div className="flex justify-between text-base font-medium text-gray-900 mt-4">
                     <p>Total</p>
-                    <p>₹{total.toFixed(2)}</p>
+                    <p>₹{orderTotals.total.toFixed(2)}</p>
                   </div>
                 </div>
                 
@@ -6,6 +6,7 @@ import Image from 'next/image';
 import { useCart } from '../contexts/CartContext';
 import { useNotification } from '../contexts/NotificationContext';
 import { getProducts } from '../utils/productService';
+import { hasVariants, getSizesInStock } from '../utils/productVariants';
 import { FiTag, FiArrowRight, FiLoader } from 'react-icons/fi';
 import { useRouter } from 'next/router';
 import ProductCard from '../components/products/ProductCard';
@@ -109,8 +110,14 @@ export default function Home({ initialProducts }) {
   const handleAddToCart = (e, product) => {
     e.preventDefault();
     
+    // Products with variants need a wash and length chosen on the product page
+    if (hasVariants(product)) {
+      router.push(`/products/${product.slug}`);
+      return;
+    }
+    
     // Default to first available size if no sizes are available
-    const availableSizes = Object.keys(product.stock || {}).filter(size => product.stock[size] > 0);
+    const availableSizes = getSizesInStock(product);
     const defaultSize = availableSizes.length > 0 ? availableSizes[0] : '32';
     
     // Create a properly formatted product object
@@ -247,11 +247,12 @@ const OrderConfirmation = () => {
                   <p className="mt-1 text-sm text-gray-500">
                     Payment Status: <span className={`font-medium ${order.payment?.status === 'paid' || order.payment?.status === 'captured' ? 'text-green-600' : 
                       (order.payment?.status === 'failed' || order.payment?.status === 'payment_failed') ? 'text-red-600' : 
-                      (order.payment?.status === 'refunded' || order.payment?.status === 'refund_initiated') ? 'text-purple-600' : 'text-yellow-600'}`}>
+                      ['refunded', 'partially_refunded', 'refund_initiated'].includes(order.payment?.status) ? 'text-purple-600' : 'text-yellow-600'}`}>
                       {order.payment?.status === 'paid' || order.payment?.status === 'captured' ? 'Paid' : 
                        order.payment?.status === 'authorized' ? 'Authorized' : 
                        order.payment?.status === 'failed' || order.payment?.status === 'payment_failed' ? 'Failed' : 
                        order.payment?.status === 'refunded' ? 'Refunded' : 
+                       order.payment?.status === 'partially_refunded' ? 'Partially Refunded' : 
                        order.payment?.status === 'refund_initiated' ? 'Refund in Process' : 
                        order.payment?.status === 'pending' || order.payment?.status === 'payment_pending' ? 'Pending' : 
                        order.paymentStatus === 'paid' ? 'Paid' : 
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
-import { FiShoppingBag, FiHeart, FiShare2, FiChevronLeft, FiChevronRight, FiShoppingCart, FiLoader, FiAlertCircle, FiArrowLeft, FiCheck } from 'react-icons/fi';
+import { FiShoppingBag, FiHeart, FiShare2, FiChevronLeft, FiChevronRight, FiShoppingCart, FiLoader, FiAlertCircle, FiArrowLeft, FiCheck, FiBell } from 'react-icons/fi';
 import SEO from '../../components/common/SEO';
 import OptimizedImage from '../../components/common/OptimizedImage';
 import { useCart } from '../../contexts/CartContext';
@@ -10,8 +10,14 @@ import { collection, query, where, getDocs, doc, getDoc } from 'firebase/firesto
 import { useAuth } from '../../contexts/AuthContext';
 import { getProductBySlug, getRelatedProducts, toggleWishlistItem, isInWishlist } from '../../utils/productService';
 import ProductCard from '../../components/products/ProductCard';
+import ProductReviews from '../../components/products/ProductReviews';
+import DeliveryCheck from '../../components/products/DeliveryCheck';
+import { getProductReviews } from '../../utils/reviewService';
 import { useNotification } from '../../contexts/NotificationContext';
 import analytics from '../../utils/analytics';
+import { getUnitPrice } from '../../utils/pricingService';
+import { hasVariants, findVariant, getVariantOptions, getVariantStock, getVariantImages } from '../../utils/productVariants';
+import { fetchCsrfToken } from '../../utils/csrf';
 
 export default function ProductDetail() {
   const router = useRouter();
@@ -22,15 +28,21 @@ export default function ProductDetail() {
   
   const [product, setProduct] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
+  const [featuredReviews, setFeaturedReviews] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedImage, setSelectedImage] = useState(0);
   const [selectedSize, setSelectedSize] = useState(null);
+  const [selectedWash, setSelectedWash] = useState(null);
+  const [selectedLength, setSelectedLength] = useState(null);
   const [quantity, setQuantity] = useState(1);
   const [addingToCart, setAddingToCart] = useState(false);
   const [inWishlist, setInWishlist] = useState(false);
   const [togglingWishlist, setTogglingWishlist] = useState(false);
   const [addedToCart, setAddedToCart] = useState(false);
+  const [notifyEmail, setNotifyEmail] = useState('');
+  const [subscribing, setSubscribing] = useState(false);
+  const [subscribedTo, setSubscribedTo] = useState(null);
   
   // Define the size chart image path
   const sizeChartImage = '/images/size-chart.png';
@@ -47,8 +59,14 @@ export default function ProductDetail() {
         if (productData) {
           setProduct(productData);
           
-          // Set default selected size to the first available size
-          if (productData.stock) {
+          // Set default selection to the first variant or size in stock
+          if (hasVariants(productData)) {
+            const firstVariant = productData.variants.find(variant => getVariantStock(productData, variant) > 0) ||
+              productData.variants[0];
+            setSelectedWash(firstVariant.wash || null);
+            setSelectedSize(firstVariant.size ? String(firstVariant.size) : null);
+            setSelectedLength(firstVariant.length ? String(firstVariant.length) : null);
+          } else if (productData.stock) {
             const availableSizes = Object.entries(productData.stock)
               .filter(([_, stock]) => stock > 0)
               .map(([size]) => size);
@@ -62,6 +80,11 @@ export default function ProductDetail() {
           const related = await getRelatedProducts(productData);
           setRelatedProducts(related);
           
+          // Fetch a few approved reviews for structured data
+          getProductReviews(productData.id, { limit: 5 })
+            .then(setFeaturedReviews)
+            .catch(err => console.error('Error fetching reviews:', err));
+          
           // Check if product is in user's wishlist
           if (currentUser) {
             const wishlistStatus = await isInWishlist(currentUser.uid, productData.id);
@@ -81,6 +104,11 @@ export default function ProductDetail() {
     fetchProduct();
   }, [slug, currentUser]);
 
+  // Signed-in customers are notified at their account email by default
+  useEffect(() => {
+    setNotifyEmail(currentUser?.email || '');
+  }, [currentUser?.email]);
+
   // Track product view with analytics
   useEffect(() => {
     if (product && !loading) {
@@ -97,6 +125,12 @@ export default function ProductDetail() {
     setSelectedSize(size);
   };
 
+  // Handle wash selection; the gallery switches to the wash's images
+  const handleWashSelect = (wash) => {
+    setSelectedWash(wash);
+    setSelectedImage(0);
+  };
+
   // Handle quantity change
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value);
@@ -105,8 +139,28 @@ export default function ProductDetail() {
     }
   };
 
-  // Get maximum available quantity for selected size
+  const isVariantProduct = hasVariants(product);
+  const variantOptions = getVariantOptions(product);
+  const selectedVariant = isVariantProduct
+    ? findVariant(product, { wash: selectedWash, size: selectedSize, length: selectedLength })
+    : null;
+
+  // Check whether a wash, size or length has stock given the other choices
+  const isOptionAvailable = (option, value) => {
+    const selection = { wash: selectedWash, size: selectedSize, length: selectedLength, [option]: value };
+    const fields = option === 'wash' ? ['wash'] : option === 'size' ? ['wash', 'size'] : ['wash', 'size', 'length'];
+
+    return product.variants.some(variant =>
+      fields.every(field => String(variant[field] || '') === String(selection[field] || '')) &&
+      getVariantStock(product, variant) > 0
+    );
+  };
+
+  // Get maximum available quantity for selected size or variant
   const getMaxQuantity = () => {
+    if (isVariantProduct) {
+      return selectedVariant ? getVariantStock(product, selectedVariant) : 0;
+    }
     if (!product || !selectedSize || !product.stock) return 0;
     return product.stock[selectedSize] || 0;
   };
@@ -123,6 +177,10 @@ export default function ProductDetail() {
     return (product.stock[size] || 0) > 0;
   };
 
+  // A size (or variant) was chosen and it is sold out
+  const selectionKey = isVariantProduct ? selectedVariant?.id : selectedSize;
+  const isSelectionSoldOut = Boolean(selectionKey) && getMaxQuantity() <= 0;
+
   // Handle add to cart
   const handleAddToCart = () => {
     if (!selectedSize) {
@@ -130,11 +188,16 @@ export default function ProductDetail() {
       return;
     }
     
+    if (isVariantProduct && !selectedVariant) {
+      showNotification('This combination is not available', 'warning');
+      return;
+    }
+    
     try {
       setAddingToCart(true);
       
       // Add to cart using context
-      const result = addToCart(product, selectedSize, quantity);
+      const result = addToCart(product, selectedSize, quantity, selectedVariant);
       
       if (result.authRequired) {
         // Redirect to login page with return URL
@@ -160,6 +223,45 @@ export default function ProductDetail() {
     }
   };
 
+  // Subscribe to an email (and, when signed in, an in-app notification)
+  // when the selected sold-out size comes back
+  const handleNotifyMe = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setSubscribing(true);
+      
+      const csrfToken = await fetchCsrfToken();
+      const response = await fetch('/api/stock/subscriptions', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          productId: product.id,
+          size: selectedSize,
+          variantId: selectedVariant?.id || null,
+          email: notifyEmail
+        })
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+      
+      setSubscribedTo(selectionKey);
+      showNotification(`We'll let you know when ${data.data.label} is back`, 'success');
+    } catch (err) {
+      console.error('Error subscribing to back-in-stock notification:', err);
+      showNotification(err.message || 'Failed to subscribe', 'error');
+    } finally {
+      setSubscribing(false);
+    }
+  };
+
   // Handle wishlist toggle
   const handleToggleWishlist = async () => {
     if (!currentUser) {
@@ -206,6 +308,15 @@ export default function ProductDetail() {
     );
   }
 
+  // Variants show their own images, falling back to their wash's and the product's
+  const galleryImages = isVariantProduct
+    ? getVariantImages(product, selectedVariant || product.variants.find(variant => variant.wash === selectedWash))
+    : product.images || [];
+  
+  // A variant's price overrides the product's
+  const regularPrice = Number(selectedVariant?.price ?? product.price) || 0;
+  const unitPrice = getUnitPrice(product, selectedVariant);
+  
   // Generate breadcrumb data for structured data
   const breadcrumbItems = [
     { name: 'Home', url: 'https://ranga-denim.com/' },
@@ -236,7 +347,9 @@ export default function ProductDetail() {
           id: product.id,
           price: product.price,
           salePrice: product.salePrice,
-          inStock: isInStock()
+          inStock: isInStock(),
+          rating: product.ratingSummary,
+          reviews: featuredReviews
         }}
         keywords={[product.name_en || product.name, product.category, 'denim', 'clothing', 'fashion', 'Rangya']}
       />
@@ -279,9 +392,9 @@ export default function ProductDetail() {
                   height={600}
                   className="w-full h-full object-contain"
                 />
-              ) : product.images && product.images.length > 0 ? (
+              ) : galleryImages.length > 0 ? (
                 <OptimizedImage
-                  src={product.images[selectedImage]}
+                  src={galleryImages[selectedImage] || galleryImages[0]}
                   alt={product.name_en}
                   width={600}
                   height={600}
@@ -313,7 +426,7 @@ export default function ProductDetail() {
               </button>
               
               {/* Product Images */}
-              {product.images && product.images.map((image, index) => (
+              {galleryImages.map((image, index) => (
                 <button
                   key={index}
                   onClick={() => setSelectedImage(index)}
@@ -336,19 +449,22 @@ export default function ProductDetail() {
           {/* Product Info */}
           <div>
             <h1 className="text-3xl font-bold text-gray-900 mb-2">{product.name_en}</h1>
+            {selectedVariant && (
+              <p className="text-sm text-gray-500 mb-2">SKU: {selectedVariant.sku}</p>
+            )}
             
             {/* Price */}
             <div className="mb-4">
-              {product.salePrice ? (
+              {unitPrice < regularPrice ? (
                 <div className="flex items-center">
-                  <span className="text-2xl font-bold text-red-600">₹{product.salePrice}</span>
-                  <span className="ml-2 text-lg text-gray-500 line-through">₹{product.price}</span>
+                  <span className="text-2xl font-bold text-red-600">₹{unitPrice}</span>
+                  <span className="ml-2 text-lg text-gray-500 line-through">₹{regularPrice}</span>
                   <span className="ml-2 bg-red-100 text-red-800 text-xs font-semibold px-2 py-1 rounded">
-                    {Math.round((1 - product.salePrice / product.price) * 100)}% OFF
+                    {Math.round((1 - unitPrice / regularPrice) * 100)}% OFF
                   </span>
                 </div>
               ) : (
-                <span className="text-2xl font-bold text-gray-900">₹{product.price}</span>
+                <span className="text-2xl font-bold text-gray-900">₹{regularPrice}</span>
               )}
             </div>
             
@@ -383,8 +499,43 @@ export default function ProductDetail() {
               </div>
             </div>
             
+            {/* Variant Selection */}
+            {isVariantProduct && (
+              <div className="mb-8 space-y-6">
+                {[
+                  { option: 'wash', title: 'Select Wash', values: variantOptions.washes, selected: selectedWash, onSelect: handleWashSelect },
+                  { option: 'size', title: 'Select Waist Size', values: variantOptions.sizes, selected: selectedSize, onSelect: handleSizeSelect },
+                  { option: 'length', title: 'Select Length', values: variantOptions.lengths, selected: selectedLength, onSelect: setSelectedLength }
+                ].filter(({ values }) => values.length > 0).map(({ option, title, values, selected, onSelect }) => (
+                  <div key={option}>
+                    <h2 className="text-lg font-semibold mb-2">{title}</h2>
+                    <div className="flex flex-wrap gap-2">
+                      {values.map((value) => (
+                        <button
+                          key={value}
+                          onClick={() => onSelect(value)}
+                          className={`px-4 py-2 border rounded-md ${
+                            selected === value
+                              ? 'border-indigo-deep bg-indigo-deep text-white'
+                              : isOptionAvailable(option, value)
+                                ? 'border-gray-300 hover:border-indigo-deep'
+                                : 'border-gray-200 bg-gray-100 text-gray-400 line-through'
+                          }`}
+                        >
+                          {option === 'length' ? `L${value}` : value}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                {!selectedVariant && (
+                  <p className="text-sm text-red-600">This combination is not available</p>
+                )}
+              </div>
+            )}
+            
             {/* Size Selection */}
-            {product.stock && Object.keys(product.stock).length > 0 && (
+            {!isVariantProduct && product.stock && Object.keys(product.stock).length > 0 && (
               <div className="mb-8">
                 <h2 className="text-lg font-semibold mb-2">Select Size</h2>
                 <div className="flex flex-wrap gap-2">
@@ -392,13 +543,12 @@ export default function ProductDetail() {
                     <button
                       key={size}
                       onClick={() => handleSizeSelect(size)}
-                      disabled={!isSizeAvailable(size)}
                       className={`px-4 py-2 border rounded-md ${
                         selectedSize === size 
                           ? 'border-indigo-deep bg-indigo-deep text-white' 
                           : isSizeAvailable(size)
                             ? 'border-gray-300 hover:border-indigo-deep'
-                            : 'border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed'
+                            : 'border-gray-200 bg-gray-100 text-gray-400 line-through'
                       }`}
                     >
                       {size}
@@ -408,6 +558,41 @@ export default function ProductDetail() {
               </div>
             )}
             
+            {/* Back-in-stock subscription for a sold-out size */}
+            {isSelectionSoldOut && (
+              <div className="mb-8 border border-gray-200 rounded-md p-4">
+                {subscribedTo === selectionKey ? (
+                  <p className="text-green-600 font-medium flex items-center">
+                    <FiCheck className="mr-1" /> We&apos;ll let you know when this size is back in stock
+                  </p>
+                ) : (
+                  <form onSubmit={handleNotifyMe}>
+                    <h2 className="text-lg font-semibold mb-1">This size is sold out</h2>
+                    <p className="text-sm text-gray-600 mb-3">Leave your email and we&apos;ll tell you as soon as it&apos;s back.</p>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <input
+                        type="email"
+                        value={notifyEmail}
+                        onChange={(e) => setNotifyEmail(e.target.value)}
+                        placeholder="Your email"
+                        required
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep"
+                        aria-label="Email for back-in-stock notification"
+                      />
+                      <button
+                        type="submit"
+                        disabled={subscribing}
+                        className="px-4 py-2 rounded-md flex items-center justify-center bg-indigo-deep text-white hover:bg-blue-800 disabled:opacity-50"
+                      >
+                        {subscribing ? <FiLoader className="animate-spin mr-2" /> : <FiBell className="mr-2" />}
+                        Notify Me
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            )}
+            
             {/* Quantity */}
             <div className="mb-8">
               <h2 className="text-lg font-semibold mb-2">Quantity</h2>
@@ -482,9 +667,17 @@ export default function ProductDetail() {
                 )}
               </button>
             </div>
+            
+            {/* Delivery */}
+            <DeliveryCheck />
           </div>
         </div>
         
+        {/* Reviews */}
+        <div className="mb-16">
+          <ProductReviews productId={product.id} productName={product.name_en || product.name} />
+        </div>
+        
         {/* Related Products */}
         {relatedProducts.length > 0 && (
           <div className="mb-16">
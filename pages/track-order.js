@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { FiAlertCircle, FiLoader, FiSearch } from 'react-icons/fi';
+import OrderTracking from '../components/account/OrderTracking';
+
+/**
+ * Public order tracking for guests: look an order up by its number and the
+ * email it was placed with
+ */
+export default function TrackOrder() {
+  const router = useRouter();
+  const [orderNumber, setOrderNumber] = useState(typeof router.query.order === 'string' ? router.query.order : '');
+  const [email, setEmail] = useState('');
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!orderNumber.trim() || !email.trim()) {
+      setError('Please enter your order number and email address');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setTracking(null);
+
+      const response = await fetch('/api/orders/tracking', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderNumber, email })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Unknown error');
+      }
+
+      setTracking(data.tracking);
+    } catch (err) {
+      console.error('Error tracking order:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-2xl">
+      <Head>
+        <title>Track Your Order | Rangya</title>
+        <meta name="description" content="Track your Rangya order with your order number and email" />
+      </Head>
+
+      <h1 className="text-2xl font-semibold mb-2">Track Your Order</h1>
+      <p className="text-gray-600 mb-6">
+        Enter the order number from your confirmation email and the email address you ordered with.
+        Have an account? <Link href="/account/orders" className="text-indigo-deep hover:text-blue-800">See your orders</Link>.
+      </p>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="orderNumber" className="block text-sm font-medium text-gray-700 mb-1">Order number</label>
+            <input
+              id="orderNumber"
+              type="text"
+              value={orderNumber}
+              onChange={(e) => setOrderNumber(e.target.value)}
+              placeholder="ORD-1714557600000-4821"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep"
+            />
+          </div>
+          <div>
+            <label htmlFor="trackingEmail" className="block text-sm font-medium text-gray-700 mb-1">Email address</label>
+            <input
+              id="trackingEmail"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-indigo-deep focus:border-indigo-deep"
+            />
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4 flex items-center text-sm">
+            <FiAlertCircle className="text-red-500 mr-2" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="inline-flex items-center bg-indigo-deep text-white px-4 py-2 rounded hover:bg-blue-800 disabled:opacity-50"
+        >
+          {loading ? <FiLoader className="animate-spin mr-2" /> : <FiSearch className="mr-2" />}
+          Track Order
+        </button>
+      </form>
+
+      {tracking && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-lg font-semibold">Order {tracking.orderNumber}</h2>
+              {tracking.placedAt && (
+                <p className="text-sm text-gray-500">
+                  Placed on {new Date(tracking.placedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+                </p>
+              )}
+            </div>
+            <span className="px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 capitalize">
+              {tracking.status.replace(/_/g, ' ')}
+            </span>
+          </div>
+
+          <ul className="text-sm text-gray-700 mb-6">
+            {tracking.items.map((item, index) => (
+              <li key={`${item.name}-${item.size}-${index}`}>
+                {item.name}{item.size && ` (Size: ${item.size})`} × {item.quantity}
+              </li>
+            ))}
+          </ul>
+
+          <OrderTracking tracking={tracking} />
+        </div>
+      )}
+    </div>
+  );
+}
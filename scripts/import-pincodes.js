@@ -0,0 +1,134 @@
+/**
+ * Imports pincodes into the `pincodes` collection used by the delivery
+ * check and checkout (see utils/serviceabilityService.js).
+ *
+ * The input is a CSV with a header row. The India Post "All India Pincode
+ * Directory" (data.gov.in) works as it is: its post offices are grouped by
+ * pincode, and a pincode is deliverable when any of its offices delivers.
+ * Columns read: pincode, district, statename (or state), delivery (or
+ * deliverable).
+ *
+ * Optional columns override the delivery zone rules for a pincode: cod
+ * (yes/no), zone, min_days, max_days. A file holding only a few pincodes
+ * with these columns can be imported on top of the directory; pincodes are
+ * merged, so fields missing from the file are left as they were.
+ *
+ * Usage (needs serviceAccountKey.json in the project root):
+ *   npm run import-pincodes -- path/to/pincodes.csv
+ */
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+const BATCH_SIZE = 500;
+
+// Split a CSV line, allowing quoted values with commas
+const parseLine = (line) => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      value += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  values.push(value.trim());
+  return values;
+};
+
+const toTitleCase = (text) => text.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+
+const parseFlag = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return ['yes', 'y', 'true', '1', 'delivery'].includes(value.toLowerCase());
+};
+
+// Group the CSV rows into one record per pincode
+const readPincodes = (file) => {
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const columns = parseLine(header).map(column => column.toLowerCase());
+  const pincodes = new Map();
+
+  lines.forEach(line => {
+    const row = {};
+    parseLine(line).forEach((value, index) => { row[columns[index]] = value; });
+
+    const pincode = (row.pincode || '').replace(/\s+/g, '');
+    if (!/^[1-9][0-9]{5}$/.test(pincode)) return;
+
+    const record = pincodes.get(pincode) || { pincode };
+    const district = row.district || row.districtname;
+    const state = row.statename || row.state;
+    const deliverable = parseFlag(row.delivery ?? row.deliverable);
+
+    if (district) record.district = record.city = toTitleCase(district);
+    if (state) record.state = toTitleCase(state);
+    if (deliverable !== undefined) record.deliverable = record.deliverable || deliverable;
+
+    const cod = parseFlag(row.cod);
+    if (cod !== undefined) record.cod = cod;
+    if (row.zone) record.zone = row.zone.toLowerCase();
+    if (row.min_days && row.max_days) {
+      record.deliveryDays = { min: Number(row.min_days), max: Number(row.max_days) };
+    }
+
+    pincodes.set(pincode, record);
+  });
+
+  return [...pincodes.values()];
+};
+
+const importPincodes = async () => {
+  const file = process.argv[2];
+
+  if (!file) {
+    console.error('Usage: npm run import-pincodes -- path/to/pincodes.csv');
+    process.exit(1);
+  }
+
+  const keyPath = path.join(process.cwd(), 'serviceAccountKey.json');
+  if (!fs.existsSync(keyPath)) {
+    console.error('Missing Firebase Admin credentials. Please provide serviceAccountKey.json');
+    process.exit(1);
+  }
+
+  admin.initializeApp({ credential: admin.credential.cert(require(keyPath)) });
+  const db = admin.firestore();
+
+  const records = readPincodes(path.resolve(file));
+  console.log(`Importing ${records.length} pincode(s) from ${file}`);
+
+  for (let start = 0; start < records.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+
+    records.slice(start, start + BATCH_SIZE).forEach(record => {
+      batch.set(db.collection('pincodes').doc(record.pincode), {
+        ...record,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+
+    await batch.commit();
+    console.log(`Imported ${Math.min(start + BATCH_SIZE, records.length)} of ${records.length}`);
+  }
+
+  const undeliverable = records.filter(record => record.deliverable === false).length;
+  console.log(`Done. ${undeliverable} pincode(s) are marked as not deliverable.`);
+};
+
+importPincodes().catch(error => {
+  console.error('Error importing pincodes:', error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Runs the email worker once: sends queued emails that are due and retries
+ * failed ones whose backoff has passed (see utils/emailWorker.js). The
+ * scheduled Cloud Function calls the same endpoint every minute.
+ *
+ * Usage against the Firestore emulator:
+ * 1. firebase emulators:start --only firestore
+ * 2. USE_FIREBASE_EMULATOR=true CRON_SECRET=local-secret npm run dev
+ * 3. CRON_SECRET=local-secret npm run process-email-queue
+ *
+ * APP_URL defaults to http://localhost:3000.
+ */
+require('dotenv').config();
+
+const appUrl = process.env.APP_URL || 'http://localhost:3000';
+const cronSecret = process.env.CRON_SECRET;
+
+const run = async () => {
+  if (!cronSecret) {
+    console.error('CRON_SECRET must be set to the value the app was started with');
+    process.exit(1);
+  }
+
+  const response = await fetch(`${appUrl}/api/cron/process-email-queue`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${cronSecret}` }
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    console.error('Email queue run failed:', result);
+    process.exit(1);
+  }
+
+  const { sent, retrying, dead } = result.data;
+  console.log(`Sent ${sent} email(s)`);
+
+  if (retrying.length > 0) {
+    console.log(`${retrying.length} email(s) failed and will be retried:`, retrying);
+  }
+
+  if (dead.length > 0) {
+    console.error(`${dead.length} email(s) failed for good and can be resent from /admin/emails:`, dead);
+    process.exit(1);
+  }
+};
+
+run().catch(error => {
+  console.error('Error processing the email queue:', error);
+  process.exit(1);
+});
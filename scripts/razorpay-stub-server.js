@@ -0,0 +1,167 @@
+/**
+ * Local stand-in for the Razorpay Orders API, used by tests and for running
+ * checkout without gateway credentials. Point the app at it with
+ * RAZORPAY_API_URL=http://localhost:4010/v1
+ *
+ * Supports POST /v1/orders, GET /v1/orders/:id and POST /v1/payments/:id/refund
+ * with Basic auth, and replies with the same entity and error shapes as the
+ * real API.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4010;
+
+const gatewayError = (description, field) => ({
+  error: {
+    code: 'BAD_REQUEST_ERROR',
+    description,
+    source: 'NA',
+    step: 'NA',
+    reason: 'NA',
+    metadata: {},
+    ...(field ? { field } : {})
+  }
+});
+
+const generateId = (prefix) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(14);
+  return `${prefix}_${Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('')}`;
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      resolve(null);
+    }
+  });
+});
+
+/**
+ * Start the stub server
+ * @param {Object} options - Server options
+ * @param {string} options.keyId - Accepted key id
+ * @param {string} options.keySecret - Accepted key secret
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @returns {Promise<Object>} - { url, orders, refunds, requests, close }
+ */
+const startRazorpayStub = ({
+  keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_stub',
+  keySecret = process.env.RAZORPAY_KEY_SECRET || 'stub_secret',
+  port = DEFAULT_PORT
+} = {}) => {
+  const orders = new Map();
+  const refunds = new Map();
+  const requests = [];
+  const expectedAuth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    const body = req.method === 'POST' ? await readJson(req) : undefined;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    if (req.headers.authorization !== expectedAuth) {
+      return send(401, gatewayError('Authentication failed'));
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/orders') {
+      if (!body) {
+        return send(400, gatewayError('The request body is not valid JSON'));
+      }
+
+      if (!Number.isInteger(body.amount) || body.amount < 100) {
+        return send(400, gatewayError('The amount must be atleast INR 1.00', 'amount'));
+      }
+
+      if (typeof body.currency !== 'string' || body.currency.length !== 3) {
+        return send(400, gatewayError('The currency field is required', 'currency'));
+      }
+
+      if (body.receipt && String(body.receipt).length > 40) {
+        return send(400, gatewayError('The receipt may not be greater than 40 characters.', 'receipt'));
+      }
+
+      const order = {
+        id: generateId('order'),
+        entity: 'order',
+        amount: body.amount,
+        amount_paid: 0,
+        amount_due: body.amount,
+        currency: body.currency,
+        receipt: body.receipt || null,
+        offer_id: null,
+        status: 'created',
+        attempts: 0,
+        notes: body.notes || [],
+        created_at: Math.floor(Date.now() / 1000)
+      };
+
+      orders.set(order.id, order);
+      return send(200, order);
+    }
+
+    const match = req.method === 'GET' && req.url.match(/^\/v1\/orders\/([^/?]+)$/);
+    if (match) {
+      const order = orders.get(decodeURIComponent(match[1]));
+      return order
+        ? send(200, order)
+        : send(400, gatewayError('The id provided does not exist'));
+    }
+
+    const refundMatch = req.method === 'POST' && req.url.match(/^\/v1\/payments\/([^/?]+)\/refund$/);
+    if (refundMatch) {
+      if (!body || (body.amount !== undefined && (!Number.isInteger(body.amount) || body.amount < 100))) {
+        return send(400, gatewayError('The amount must be atleast INR 1.00', 'amount'));
+      }
+
+      const refund = {
+        id: generateId('rfnd'),
+        entity: 'refund',
+        amount: body.amount ?? null,
+        currency: 'INR',
+        payment_id: decodeURIComponent(refundMatch[1]),
+        notes: body.notes || [],
+        receipt: null,
+        status: 'processed',
+        speed_processed: 'normal',
+        created_at: Math.floor(Date.now() / 1000)
+      };
+
+      refunds.set(refund.id, refund);
+      return send(200, refund);
+    }
+
+    return send(404, gatewayError('The requested URL was not found on the server.'));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        orders,
+        refunds,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.env.RAZORPAY_STUB_PORT) || DEFAULT_PORT;
+
+  startRazorpayStub({ port }).then(({ url }) => {
+    console.log(`Razorpay stub listening on ${url}`);
+  });
+}
+
+module.exports = { startRazorpayStub };
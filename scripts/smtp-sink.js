@@ -0,0 +1,219 @@
+/**
+ * Local SMTP server that accepts every message and keeps it in memory, used
+ * by tests and for running the app with real SMTP delivery without sending
+ * anything. Point the app at it with
+ * EMAIL_HOST=127.0.0.1 EMAIL_PORT=2525 EMAIL_SECURE=false
+ *
+ * Speaks enough SMTP for Nodemailer: EHLO/HELO, AUTH PLAIN and LOGIN, MAIL,
+ * RCPT, DATA, RSET, NOOP and QUIT, without TLS.
+ */
+const net = require('net');
+
+const DEFAULT_PORT = 2525;
+
+const decodeBase64 = (value) => Buffer.from(value || '', 'base64').toString('utf8');
+
+/**
+ * Split a raw message into its headers (lower-cased names, folded lines
+ * joined) and body
+ * @param {string} raw - Raw message
+ * @returns {Object} - { headers, body }
+ */
+const parseMessage = (raw) => {
+  const separator = raw.indexOf('\r\n\r\n');
+  const headerBlock = separator === -1 ? raw : raw.slice(0, separator);
+  const headers = {};
+
+  headerBlock.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  return { headers, body: separator === -1 ? '' : raw.slice(separator + 4) };
+};
+
+/**
+ * Start the SMTP sink
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {Object} options.users - Accepted { user: password }; any login is accepted when not set
+ * @param {Array<string>} options.rejectRecipients - Addresses refused at RCPT TO
+ * @returns {Promise<Object>} - { host, port, messages, close }
+ */
+const startSmtpSink = ({ port = DEFAULT_PORT, users = null, rejectRecipients = [] } = {}) => {
+  const messages = [];
+  const sockets = new Set();
+  let sequence = 0;
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let session = { from: null, to: [], user: null };
+    let dataLines = null;
+    let authStep = null;
+
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const login = (user, password) => {
+      if (users && users[user] !== password) {
+        return reply('535 5.7.8 Authentication credentials invalid');
+      }
+
+      session.user = user;
+      return reply('235 2.7.0 Authentication successful');
+    };
+
+    const handleCommand = (line) => {
+      if (authStep === 'plain') {
+        authStep = null;
+        const [, user, password] = decodeBase64(line).split('\u0000');
+        return login(user, password);
+      }
+
+      if (authStep === 'login-user') {
+        authStep = { user: decodeBase64(line) };
+        return reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+      }
+
+      if (authStep && authStep.user !== undefined) {
+        const { user } = authStep;
+        authStep = null;
+        return login(user, decodeBase64(line));
+      }
+
+      const [command, ...rest] = line.split(' ');
+      const argument = rest.join(' ');
+
+      switch (command.toUpperCase()) {
+        case 'EHLO':
+          return socket.write('250-smtp-sink\r\n250-AUTH PLAIN LOGIN\r\n250-8BITMIME\r\n250 SMTPUTF8\r\n');
+        case 'HELO':
+          return reply('250 smtp-sink');
+        case 'AUTH': {
+          const [mechanism, initial] = argument.split(' ');
+
+          if (mechanism.toUpperCase() === 'PLAIN') {
+            if (initial) {
+              const [, user, password] = decodeBase64(initial).split('\u0000');
+              return login(user, password);
+            }
+            authStep = 'plain';
+            return reply('334');
+          }
+
+          if (mechanism.toUpperCase() === 'LOGIN') {
+            authStep = 'login-user';
+            return reply(`334 ${Buffer.from('Username:').toString('base64')}`);
+          }
+
+          return reply('504 5.5.4 Unrecognized authentication type');
+        }
+        case 'MAIL':
+          session.from = (argument.match(/<([^>]*)>/) || [])[1] || '';
+          session.to = [];
+          return reply('250 2.1.0 Ok');
+        case 'RCPT': {
+          const recipient = (argument.match(/<([^>]*)>/) || [])[1] || '';
+
+          if (rejectRecipients.includes(recipient)) {
+            return reply(`550 5.1.1 <${recipient}>: Recipient address rejected`);
+          }
+
+          session.to.push(recipient);
+          return reply('250 2.1.5 Ok');
+        }
+        case 'DATA':
+          if (session.to.length === 0) {
+            return reply('554 5.5.1 No valid recipients');
+          }
+          dataLines = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          session = { from: null, to: [], user: session.user };
+          return reply('250 2.0.0 Ok');
+        case 'NOOP':
+          return reply('250 2.0.0 Ok');
+        case 'QUIT':
+          reply('221 2.0.0 Bye');
+          return socket.end();
+        default:
+          return reply('502 5.5.2 Command not recognized');
+      }
+    };
+
+    const handleLine = (line) => {
+      if (dataLines === null) {
+        return handleCommand(line);
+      }
+
+      if (line !== '.') {
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+        return undefined;
+      }
+
+      const raw = dataLines.join('\r\n');
+      const id = `sink-${++sequence}`;
+
+      messages.push({
+        id,
+        envelope: { from: session.from, to: session.to },
+        user: session.user,
+        raw,
+        ...parseMessage(raw)
+      });
+      dataLines = null;
+      session = { from: null, to: [], user: session.user };
+      return reply(`250 2.0.0 Ok: queued as ${id}`);
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      let newline = buffer.indexOf('\r\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        handleLine(line);
+        newline = buffer.indexOf('\r\n');
+      }
+    });
+
+    reply('220 smtp-sink ESMTP ready');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.env.SMTP_SINK_PORT) || DEFAULT_PORT;
+
+  startSmtpSink({ port }).then(({ host, port: listeningPort, messages }) => {
+    console.log(`SMTP sink listening on ${host}:${listeningPort}`);
+
+    setInterval(() => {
+      while (messages.length > 0) {
+        const message = messages.shift();
+        console.log(`${message.id}: ${message.envelope.from} -> ${message.envelope.to.join(', ')}: ${message.headers.subject}`);
+      }
+    }, 1000);
+  });
+}
+
+module.exports = { startSmtpSink };
@@ -0,0 +1,48 @@
+/**
+ * Runs the abandoned-checkout sweep once: releases expired stock holds and
+ * cancels orders whose payment window lapsed (see utils/checkoutSweeper.js).
+ * The scheduled Cloud Function calls the same endpoint every 5 minutes.
+ *
+ * Usage against the Firestore emulator:
+ * 1. firebase emulators:start --only firestore
+ * 2. USE_FIREBASE_EMULATOR=true CRON_SECRET=local-secret npm run dev
+ * 3. CRON_SECRET=local-secret npm run sweep-checkouts
+ *
+ * APP_URL defaults to http://localhost:3000.
+ */
+require('dotenv').config();
+
+const appUrl = process.env.APP_URL || 'http://localhost:3000';
+const cronSecret = process.env.CRON_SECRET;
+
+const sweep = async () => {
+  if (!cronSecret) {
+    console.error('CRON_SECRET must be set to the value the app was started with');
+    process.exit(1);
+  }
+
+  const response = await fetch(`${appUrl}/api/cron/sweep-checkouts`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${cronSecret}` }
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    console.error('Sweep failed:', result);
+    process.exit(1);
+  }
+
+  const { releasedReservations, cancelledOrders, failed } = result.data;
+  console.log(`Released ${releasedReservations} expired reservation(s)`);
+  console.log(`Cancelled ${cancelledOrders.length} lapsed order(s)${cancelledOrders.length ? `: ${cancelledOrders.join(', ')}` : ''}`);
+
+  if (failed.length > 0) {
+    console.error(`${failed.length} reservation(s) could not be swept and will be retried:`, failed);
+    process.exit(1);
+  }
+};
+
+sweep().catch(error => {
+  console.error('Error running the sweep:', error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+import { getDoc, getDocs, setDoc, updateDoc, runTransaction } from 'firebase/firestore';
+
+// What a test's `deleteField` mock returns; updates remove the field
+const DELETE_FIELD = 'delete-field';
+
+/**
+ * Back a test's `firebase/firestore` mock with in-memory documents keyed by
+ * path. The test's mock must give references a `path` (and queries a `path`
+ * and `constraints` of `{ field, op, value }`); only the functions it defines
+ * are faked.
+ *
+ * Dotted update keys are applied as nested fields. Queries match the documents
+ * directly under a collection with `==` (the default) and `<` constraints.
+ * Transactions are optimistic like Firestore's: reads record the document
+ * version, the callback yields before committing, and a transaction whose
+ * reads changed underneath it is retried.
+ * @param {Object} docs - Documents keyed by path; written to in place
+ * @returns {Object} - The documents
+ */
+export const createFirestoreFake = (docs) => {
+  const versions = {};
+
+  const snapshot = (path) => {
+    const data = docs[path];
+    return { id: path.split('/').pop(), exists: () => data !== undefined, data: () => data };
+  };
+
+  const write = (path, data) => {
+    docs[path] = data;
+    versions[path] = (versions[path] || 0) + 1;
+  };
+
+  const applyUpdate = (path, data) => {
+    const current = { ...docs[path] };
+    Object.entries(data).forEach(([key, value]) => {
+      const [field, nested] = key.split('.');
+
+      if (!nested) {
+        current[field] = value;
+        return;
+      }
+
+      const parent = { ...current[field] };
+      if (value === DELETE_FIELD) {
+        delete parent[nested];
+      } else {
+        parent[nested] = value;
+      }
+      current[field] = parent;
+    });
+    write(path, current);
+  };
+
+  getDoc?.mockImplementation(async (ref) => snapshot(ref.path));
+
+  getDocs?.mockImplementation(async (q) => {
+    const matches = Object.keys(docs)
+      .filter(path => q?.path && path.startsWith(`${q.path}/`) && !path.slice(q.path.length + 1).includes('/'))
+      .filter(path => (q.constraints || []).filter(Boolean).every(({ field, op, value }) => {
+        const fieldValue = docs[path][field];
+        return op === '<' ? fieldValue < value : fieldValue === value;
+      }))
+      .map(path => ({ ref: { path }, ...snapshot(path) }));
+
+    return { empty: matches.length === 0, docs: matches };
+  });
+
+  setDoc?.mockImplementation(async (ref, data) => write(ref.path, data));
+  updateDoc?.mockImplementation(async (ref, data) => applyUpdate(ref.path, data));
+
+  runTransaction?.mockImplementation(async (db, callback) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const reads = {};
+      const writes = [];
+      const transaction = {
+        get: async (ref) => {
+          reads[ref.path] = versions[ref.path] || 0;
+          return snapshot(ref.path);
+        },
+        set: (ref, data) => writes.push(() => write(ref.path, data)),
+        update: (ref, data) => writes.push(() => applyUpdate(ref.path, data))
+      };
+
+      const result = await callback(transaction);
+
+      // Let other transactions run between reading and committing
+      await new Promise(resolve => setImmediate(resolve));
+
+      const conflict = Object.entries(reads).some(([path, version]) => (versions[path] || 0) !== version);
+      if (conflict) {
+        continue;
+      }
+
+      writes.forEach(commit => commit());
+      return result;
+    }
+
+    throw new Error('Transaction failed after too many attempts');
+  });
+
+  return docs;
+};
@@ -0,0 +1,258 @@
+// Back-in-Stock Service: customers subscribe to a sold-out size (or variant)
+// of a product and are told when it comes back. Guests subscribe with an
+// email; signed-in customers are linked to their account and also get an
+// in-app notification in `users/{uid}/notifications`.
+//
+// Subscriptions live in `stockSubscriptions`, one per product, size and
+// subscriber. Whenever stock of a size goes from zero to positive the stock
+// reservation service calls notifyBackInStock, which notifies every active
+// subscription of it once and marks it `notified`.
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { isValidEmail } from './validationUtils';
+import { sendBackInStockEmail } from './emailService';
+import { getStockKey } from './productVariants';
+import { getStockLines } from './inventoryService';
+
+/**
+ * Subscription lifecycle states
+ */
+export const SUBSCRIPTION_STATUSES = {
+  ACTIVE: 'active',
+  NOTIFIED: 'notified'
+};
+
+/**
+ * Find the stock line a size or variant of a product draws on. Products with
+ * a single stock number share one line between all sizes.
+ * @param {Object} product - Product data
+ * @param {string} stockKey - Size or variant ID
+ * @returns {Object|null} - Stock line or null if the product has no such size
+ */
+const findStockLine = (product, stockKey) => {
+  const lines = getStockLines(product);
+  return lines.find(line => line.stockKey === stockKey) ||
+    lines.find(line => line.stockKey === '') ||
+    null;
+};
+
+// One subscription per product, size and subscriber, so subscribing twice
+// doesn't email twice
+const getSubscriptionId = (productId, stockKey, subscriber) => {
+  return [productId, stockKey || 'all', subscriber].map(part => String(part).replace(/\//g, '_')).join('_');
+};
+
+/**
+ * Subscribe to be told when a sold-out size or variant is back in stock
+ * @param {Object} params - Subscription
+ * @param {string} params.productId - Product ID
+ * @param {string} params.size - Size
+ * @param {string} params.variantId - Variant ID, for products sold in variants
+ * @param {string} params.email - Email to notify (required for guests)
+ * @param {string} params.userId - Signed-in customer (optional)
+ * @returns {Promise<Object>} - Subscription
+ */
+export const subscribeToBackInStock = async ({ productId, size = null, variantId = null, email = null, userId = null }) => {
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+
+  if (!userId && !normalizedEmail) {
+    throw createError('VALIDATION', 'Email is required', { field: 'email' });
+  }
+
+  if (normalizedEmail && !isValidEmail(normalizedEmail)) {
+    throw createError('VALIDATION', 'Please enter a valid email address', { field: 'email' });
+  }
+
+  if (!productId || (!size && !variantId)) {
+    throw createError('VALIDATION', 'Please select a size', { field: 'size' });
+  }
+
+  const productSnap = await getDoc(doc(db, 'products', productId));
+
+  if (!productSnap.exists()) {
+    throw createError('NOT_FOUND', `Product ${productId} not found`, { productId });
+  }
+
+  const line = findStockLine(productSnap.data(), getStockKey({ size, variantId }));
+
+  if (!line) {
+    throw createError('VALIDATION', 'This size is not available for this product', { field: 'size' });
+  }
+
+  if (line.quantity > 0) {
+    throw createError('VALIDATION', 'This size is in stock', { field: 'size', available: line.quantity });
+  }
+
+  const subscription = {
+    productId,
+    stockKey: line.stockKey,
+    size: size || null,
+    variantId: variantId || null,
+    label: line.label,
+    email: normalizedEmail,
+    userId: userId || null,
+    status: SUBSCRIPTION_STATUSES.ACTIVE,
+    notifiedAt: null,
+    createdAt: serverTimestamp()
+  };
+  const subscriptionId = getSubscriptionId(productId, line.stockKey, userId || normalizedEmail);
+
+  await setDoc(doc(db, 'stockSubscriptions', subscriptionId), subscription);
+
+  return { id: subscriptionId, ...subscription };
+};
+
+/**
+ * Notify the active subscriptions of sizes or variants that just came back
+ * into stock. Each subscriber is emailed, signed-in customers also get an
+ * in-app notification, and the subscription is marked notified. A failed
+ * subscription is left active and retried on the next restock.
+ * @param {string} productId - Product ID
+ * @param {Array} stockKeys - Sizes or variant IDs that went from zero to positive
+ * @returns {Promise<Object>} - { notified, failed }
+ */
+export const notifyBackInStock = async (productId, stockKeys = []) => {
+  const result = { notified: 0, failed: 0 };
+  const keys = stockKeys.map(String);
+
+  if (keys.length === 0) {
+    return result;
+  }
+
+  const productSnap = await getDoc(doc(db, 'products', productId));
+
+  if (!productSnap.exists()) {
+    return result;
+  }
+
+  const product = productSnap.data();
+  const snapshot = await getDocs(query(
+    collection(db, 'stockSubscriptions'),
+    where('productId', '==', productId),
+    where('status', '==', SUBSCRIPTION_STATUSES.ACTIVE)
+  ));
+
+  for (const subscriptionDoc of snapshot.docs) {
+    const subscription = subscriptionDoc.data();
+    const line = findStockLine(product, subscription.stockKey);
+
+    // Sold out again before we got to it: wait for the next restock
+    if (!keys.includes(subscription.stockKey) || !line || line.quantity <= 0) {
+      continue;
+    }
+
+    try {
+      const item = {
+        productId,
+        stockKey: subscription.stockKey,
+        name: product.name || product.name_en || productId,
+        label: line.label,
+        slug: product.slug
+      };
+
+      if (subscription.email) {
+        await sendBackInStockEmail(subscription.email, item);
+      }
+
+      if (subscription.userId) {
+        await addDoc(collection(db, 'users', subscription.userId, 'notifications'), {
+          type: 'back_in_stock',
+          title: 'Back in stock',
+          message: `${item.name} (${item.label}) is back in stock`,
+          link: `/products/${item.slug || productId}`,
+          read: false,
+          createdAt: serverTimestamp()
+        });
+      }
+
+      await updateDoc(subscriptionDoc.ref, {
+        status: SUBSCRIPTION_STATUSES.NOTIFIED,
+        notifiedAt: serverTimestamp()
+      });
+      result.notified += 1;
+    } catch (error) {
+      console.error(`Failed to notify back-in-stock subscription ${subscriptionDoc.id}:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get the demand for sold-out sizes: active subscriptions grouped by product
+ * and size or variant, most wanted first
+ * @returns {Promise<Array>} - [{ productId, name, stockKey, label, quantity, subscribers, customers, guests, since }]
+ */
+export const getBackInStockDemand = async () => {
+  const snapshot = await getDocs(query(
+    collection(db, 'stockSubscriptions'),
+    where('status', '==', SUBSCRIPTION_STATUSES.ACTIVE)
+  ));
+  const demand = {};
+
+  snapshot.docs.forEach(subscriptionDoc => {
+    const subscription = subscriptionDoc.data();
+    const id = `${subscription.productId}:${subscription.stockKey}`;
+    const line = demand[id] || {
+      productId: subscription.productId,
+      stockKey: subscription.stockKey,
+      label: subscription.label,
+      subscribers: 0,
+      customers: 0,
+      guests: 0,
+      since: null
+    };
+    const createdAt = subscription.createdAt?.toDate ? subscription.createdAt.toDate() : subscription.createdAt;
+
+    line.subscribers += 1;
+    line[subscription.userId ? 'customers' : 'guests'] += 1;
+
+    if (createdAt && (!line.since || createdAt < line.since)) {
+      line.since = createdAt;
+    }
+
+    demand[id] = line;
+  });
+
+  const lines = Object.values(demand);
+  const products = {};
+
+  for (const productId of new Set(lines.map(line => line.productId))) {
+    const productSnap = await getDoc(doc(db, 'products', productId));
+    products[productId] = productSnap.exists() ? productSnap.data() : null;
+  }
+
+  return lines
+    .map(line => {
+      const product = products[line.productId];
+      const stockLine = product ? findStockLine(product, line.stockKey) : null;
+
+      return {
+        ...line,
+        name: product ? product.name || product.name_en || line.productId : line.productId,
+        label: stockLine?.label || line.label,
+        quantity: stockLine ? stockLine.quantity : 0
+      };
+    })
+    .sort((a, b) => b.subscribers - a.subscribers || a.name.localeCompare(b.name));
+};
+
+export default {
+  SUBSCRIPTION_STATUSES,
+  subscribeToBackInStock,
+  notifyBackInStock,
+  getBackInStockDemand
+};
@@ -0,0 +1,25 @@
+/**
+ * Normalized shipment states. Carriers map their own statuses to these.
+ */
+export const SHIPMENT_STATUSES = {
+  BOOKED: 'booked',                    // consignment created, no AWB yet
+  READY_TO_SHIP: 'ready_to_ship',      // AWB assigned, waiting for pickup
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  DELIVERY_FAILED: 'delivery_failed',  // attempt failed, courier will retry
+  RETURNED_TO_ORIGIN: 'returned_to_origin',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Which way a shipment travels: forward from the warehouse to the customer,
+ * or reverse, a pickup of returned items from the customer
+ */
+export const SHIPMENT_DIRECTIONS = {
+  FORWARD: 'forward',
+  REVERSE: 'reverse'
+};
+
+export default SHIPMENT_STATUSES;
@@ -0,0 +1,113 @@
+// Fake carrier: books shipments in memory and prints its own labels. Used in
+// development when no carrier account is configured, and by tests, which
+// create their own with createFakeCarrier() and move shipments along with
+// addTrackingEvent().
+import { createError } from '../errorHandler';
+import { generateShippingLabelPDF } from '../pdfGenerator';
+import { SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS } from './constants';
+
+/**
+ * Create a fake carrier
+ * @param {Object} options - Carrier options
+ * @param {string} options.id - Carrier ID (default: fake)
+ * @param {string} options.name - Display name and courier name on labels
+ * @param {Array<string>} options.unserviceable - Pincodes it refuses to
+ *   deliver to or, for return pickups, collect from
+ * @returns {Object} - Carrier implementation with the booked `consignments`
+ *   and an addTrackingEvent(awb, event) helper
+ */
+export const createFakeCarrier = ({
+  id = 'fake',
+  name = 'Local Courier',
+  unserviceable = []
+} = {}) => {
+  const consignments = new Map();
+  let sequence = 0;
+
+  const findByAwb = (awb) => Array.from(consignments.values()).find(consignment => consignment.awb === awb);
+
+  return {
+    id,
+    name,
+    consignments,
+
+    async createShipment({ shipment }) {
+      const reverse = shipment.direction === SHIPMENT_DIRECTIONS.REVERSE;
+      const pincode = reverse ? shipment.pickupAddress?.postalCode : shipment.deliveryAddress?.postalCode;
+
+      if (unserviceable.includes(pincode)) {
+        throw createError('EXTERNAL_SERVICE', `${name} does not ${reverse ? 'pick up from' : 'deliver to'} ${pincode}`);
+      }
+
+      const carrierShipmentId = `shp_fake_${++sequence}`;
+      consignments.set(carrierShipmentId, { carrierShipmentId, awb: null, events: [], cancelled: false });
+
+      return { carrierShipmentId, carrierOrderId: shipment.orderNumber || shipment.orderId };
+    },
+
+    async assignAwb({ shipment }) {
+      const consignment = consignments.get(shipment.carrierShipmentId);
+
+      if (!consignment) {
+        throw createError('EXTERNAL_SERVICE', `Unknown consignment ${shipment.carrierShipmentId}`);
+      }
+
+      consignment.awb = consignment.awb || `FAKE${String(sequence).padStart(8, '0')}`;
+
+      return { awb: consignment.awb, courierName: name, trackingUrl: null };
+    },
+
+    async getLabel({ shipment }) {
+      return { pdf: generateShippingLabelPDF({ ...shipment, courierName: shipment.courierName || name }) };
+    },
+
+    async track({ shipment }) {
+      const consignment = findByAwb(shipment.awb);
+
+      if (!consignment) {
+        throw createError('EXTERNAL_SERVICE', `Unknown AWB ${shipment.awb}`);
+      }
+
+      const latest = consignment.events[consignment.events.length - 1];
+
+      return {
+        status: consignment.cancelled ? SHIPMENT_STATUSES.CANCELLED : (latest?.status || SHIPMENT_STATUSES.READY_TO_SHIP),
+        events: consignment.events,
+        expectedDeliveryDate: consignment.expectedDeliveryDate || null
+      };
+    },
+
+    async cancel({ shipment }) {
+      const consignment = consignments.get(shipment.carrierShipmentId);
+
+      if (consignment) {
+        consignment.cancelled = true;
+      }
+
+      return { cancelled: true };
+    },
+
+    /**
+     * Record a scan against a booked AWB, as the courier would
+     * @param {string} awb - AWB number
+     * @param {Object} event - { status, description, location, occurredAt, expectedDeliveryDate }
+     */
+    addTrackingEvent(awb, { expectedDeliveryDate, ...event }) {
+      const consignment = findByAwb(awb);
+
+      consignment.events.push({
+        carrierStatus: event.status,
+        description: event.status.replace(/_/g, ' '),
+        location: null,
+        occurredAt: new Date().toISOString(),
+        ...event
+      });
+
+      if (expectedDeliveryDate) {
+        consignment.expectedDeliveryDate = expectedDeliveryDate;
+      }
+    }
+  };
+};
+
+export default createFakeCarrier();
@@ -0,0 +1,91 @@
+/**
+ * Shipping carrier registry. The shipment service talks to couriers and
+ * aggregators only through this interface, so adding one means writing a
+ * carrier module and registering it here.
+ *
+ * A carrier is an object with:
+ * - id {string}: stored on the shipment as `carrier`
+ * - name {string}: display name
+ * - createShipment({ shipment, order }) => { carrierShipmentId, carrierOrderId }
+ *     books the consignment; `shipment` carries the package, items and
+ *     delivery address (see utils/shipmentService.js). Reverse shipments
+ *     (`direction` 'reverse') are return pickups and also carry the
+ *     customer's `pickupAddress`.
+ * - assignAwb({ shipment }) => { awb, courierName, trackingUrl }
+ * - getLabel({ shipment }) => { url } for a label the carrier hosts, or
+ *     { pdf } with the label file contents
+ * - track({ shipment }) => { status, events, expectedDeliveryDate } where
+ *     status and each event's status are SHIPMENT_STATUSES values and events
+ *     are { status, carrierStatus, description, location, occurredAt }
+ * - cancel({ shipment }) => { cancelled }
+ *
+ * Weights are in kilograms and dimensions in centimetres.
+ */
+import { createError } from '../errorHandler';
+import fakeCarrier from './fake';
+import shiprocketCarrier from './shiprocket';
+
+export { SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS } from './constants';
+
+const CARRIER_FUNCTIONS = ['createShipment', 'assignAwb', 'getLabel', 'track', 'cancel'];
+
+const carriers = new Map();
+
+/**
+ * Register a carrier, replacing any carrier with the same id
+ * @param {Object} carrier - Carrier implementation
+ * @returns {Object} - The registered carrier
+ */
+export const registerCarrier = (carrier) => {
+  const missing = CARRIER_FUNCTIONS.filter(name => typeof carrier?.[name] !== 'function');
+
+  if (!carrier?.id || missing.length > 0) {
+    throw createError('VALIDATION', `Invalid carrier ${carrier?.id || ''}`.trim(), { missing });
+  }
+
+  carriers.set(carrier.id, carrier);
+  return carrier;
+};
+
+/**
+ * Remove a registered carrier
+ * @param {string} carrierId - Carrier ID
+ */
+export const unregisterCarrier = (carrierId) => {
+  carriers.delete(carrierId);
+};
+
+/**
+ * Get a carrier by ID
+ * @param {string} carrierId - Carrier ID
+ * @returns {Object} - Carrier implementation
+ */
+export const getCarrier = (carrierId) => {
+  const carrier = carriers.get(carrierId);
+
+  if (!carrier) {
+    throw createError('VALIDATION', `Unknown carrier: ${carrierId}`, { field: 'carrier' });
+  }
+
+  return carrier;
+};
+
+/**
+ * List the registered carriers
+ * @returns {Array<Object>} - { id, name } of each carrier
+ */
+export const getCarriers = () => Array.from(carriers.values())
+  .map(carrier => ({ id: carrier.id, name: carrier.name }));
+
+/**
+ * Pick the carrier for a new shipment: the one asked for, or the one named in
+ * SHIPPING_CARRIER (default: fake, which books nothing)
+ * @param {string} carrierId - Carrier ID (optional)
+ * @returns {Object} - Carrier implementation
+ */
+export const selectCarrier = (carrierId) => {
+  return getCarrier(carrierId || process.env.SHIPPING_CARRIER || fakeCarrier.id);
+};
+
+registerCarrier(fakeCarrier);
+registerCarrier(shiprocketCarrier);
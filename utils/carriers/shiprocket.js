@@ -0,0 +1,262 @@
+// Shiprocket carrier (courier aggregator). Shiprocket books the consignment,
+// picks the courier when the AWB is assigned and hosts the label.
+import { createError } from '../errorHandler';
+import { SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS } from './constants';
+
+const SHIPROCKET_CONFIG = {
+  apiUrl: process.env.SHIPROCKET_API_URL || 'https://apiv2.shiprocket.in/v1/external',
+  // Pickup address nickname, as set up in the Shiprocket dashboard
+  pickupLocation: process.env.SHIPROCKET_PICKUP_LOCATION || 'Primary',
+  // Tokens are valid for 10 days; renew a day early
+  tokenTtlMs: 9 * 24 * 60 * 60 * 1000
+};
+
+let session = { token: null, expiresAt: 0 };
+
+/**
+ * Forget the cached API token (used by tests and after a 401)
+ */
+export const resetShiprocketSession = () => {
+  session = { token: null, expiresAt: 0 };
+};
+
+const getToken = async () => {
+  if (session.token && session.expiresAt > Date.now()) {
+    return session.token;
+  }
+
+  const { SHIPROCKET_EMAIL: email, SHIPROCKET_PASSWORD: password } = process.env;
+
+  if (!email || !password) {
+    throw createError('CONFIGURATION', 'Shiprocket is not configured. Please set SHIPROCKET_EMAIL and SHIPROCKET_PASSWORD environment variables.');
+  }
+
+  const data = await request('/auth/login', {
+    body: { email, password },
+    authenticated: false
+  });
+
+  session = { token: data.token, expiresAt: Date.now() + SHIPROCKET_CONFIG.tokenTtlMs };
+  return session.token;
+};
+
+const request = async (path, { method = 'POST', body, authenticated = true } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (authenticated) {
+    headers.Authorization = `Bearer ${await getToken()}`;
+  }
+
+  const response = await fetch(`${SHIPROCKET_CONFIG.apiUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      resetShiprocketSession();
+    }
+
+    throw createError('EXTERNAL_SERVICE', `Shiprocket request failed: ${data.message || response.status}`, {
+      path,
+      status: response.status,
+      errors: data.errors || null
+    });
+  }
+
+  return data;
+};
+
+// Shiprocket reports statuses as labels such as "PICKED UP", "IN TRANSIT",
+// "OUT FOR DELIVERY", "UNDELIVERED", "RTO DELIVERED" or "CANCELED"
+export const mapShiprocketStatus = (label) => {
+  const text = String(label || '').toUpperCase().trim();
+
+  if (!text || text === 'NA') return null;
+  if (text.startsWith('RTO')) return SHIPMENT_STATUSES.RETURNED_TO_ORIGIN;
+  if (text.includes('CANCEL')) return SHIPMENT_STATUSES.CANCELLED;
+  if (text.includes('UNDELIVERED') || text.includes('FAILED')) return SHIPMENT_STATUSES.DELIVERY_FAILED;
+  if (text.includes('OUT FOR DELIVERY')) return SHIPMENT_STATUSES.OUT_FOR_DELIVERY;
+  if (text.includes('DELIVERED')) return SHIPMENT_STATUSES.DELIVERED;
+  if (text.includes('PICKED UP')) return SHIPMENT_STATUSES.PICKED_UP;
+  if (text.includes('PICKUP') || text.includes('AWB') || text.includes('MANIFEST')) return SHIPMENT_STATUSES.READY_TO_SHIP;
+  return SHIPMENT_STATUSES.IN_TRANSIT;
+};
+
+// Shiprocket times are IST without an offset, e.g. "2026-05-01 14:23:00"
+const parseShiprocketDate = (value) => {
+  if (!value) return null;
+
+  const date = new Date(`${String(value).trim().replace(' ', 'T')}+05:30`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const formatOrderDate = (date) => {
+  const ist = new Date(date.getTime() + (5.5 * 60 * 60 * 1000));
+  return ist.toISOString().slice(0, 16).replace('T', ' ');
+};
+
+const toOrderItems = (items) => items.map(item => ({
+  name: item.size ? `${item.name} (${item.size})` : item.name,
+  sku: item.sku,
+  units: item.quantity,
+  selling_price: item.price
+}));
+
+// Return pickups are booked as return orders: the courier collects from the
+// customer and delivers to the warehouse
+const createReturnOrder = async (shipment) => {
+  const pickup = shipment.pickupAddress;
+  const warehouse = shipment.deliveryAddress;
+
+  return request('/orders/create/return', {
+    body: {
+      order_id: shipment.reference,
+      order_date: formatOrderDate(new Date()),
+      pickup_customer_name: pickup.fullName,
+      pickup_last_name: '',
+      pickup_address: pickup.line1,
+      pickup_address_2: pickup.line2,
+      pickup_city: pickup.city,
+      pickup_state: pickup.state,
+      pickup_country: pickup.country,
+      pickup_pincode: pickup.postalCode,
+      pickup_email: pickup.email,
+      pickup_phone: pickup.phone,
+      shipping_customer_name: warehouse.fullName,
+      shipping_last_name: '',
+      shipping_address: warehouse.line1,
+      shipping_address_2: warehouse.line2,
+      shipping_city: warehouse.city,
+      shipping_state: warehouse.state,
+      shipping_country: warehouse.country,
+      shipping_pincode: warehouse.postalCode,
+      shipping_phone: warehouse.phone,
+      order_items: toOrderItems(shipment.items),
+      payment_method: 'Prepaid',
+      sub_total: shipment.declaredValue,
+      length: shipment.package.length,
+      breadth: shipment.package.breadth,
+      height: shipment.package.height,
+      weight: shipment.package.weight
+    }
+  });
+};
+
+const shiprocketCarrier = {
+  id: 'shiprocket',
+  name: 'Shiprocket',
+
+  async createShipment({ shipment }) {
+    if (shipment.direction === SHIPMENT_DIRECTIONS.REVERSE) {
+      const data = await createReturnOrder(shipment);
+
+      if (!data.shipment_id) {
+        throw createError('EXTERNAL_SERVICE', `Shiprocket did not book the return pickup: ${data.message || data.status || 'no shipment ID'}`);
+      }
+
+      return { carrierShipmentId: String(data.shipment_id), carrierOrderId: String(data.order_id) };
+    }
+
+    const address = shipment.deliveryAddress;
+    const data = await request('/orders/create/adhoc', {
+      body: {
+        order_id: shipment.reference,
+        order_date: formatOrderDate(new Date()),
+        pickup_location: SHIPROCKET_CONFIG.pickupLocation,
+        billing_customer_name: address.fullName,
+        billing_last_name: '',
+        billing_address: address.line1,
+        billing_address_2: address.line2,
+        billing_city: address.city,
+        billing_pincode: address.postalCode,
+        billing_state: address.state,
+        billing_country: address.country,
+        billing_email: address.email,
+        billing_phone: address.phone,
+        shipping_is_billing: true,
+        order_items: toOrderItems(shipment.items),
+        payment_method: shipment.paymentMode === 'cod' ? 'COD' : 'Prepaid',
+        sub_total: shipment.paymentMode === 'cod' ? shipment.codAmount : shipment.declaredValue,
+        length: shipment.package.length,
+        breadth: shipment.package.breadth,
+        height: shipment.package.height,
+        weight: shipment.package.weight
+      }
+    });
+
+    if (!data.shipment_id) {
+      throw createError('EXTERNAL_SERVICE', `Shiprocket did not book the shipment: ${data.message || data.status || 'no shipment ID'}`);
+    }
+
+    return { carrierShipmentId: String(data.shipment_id), carrierOrderId: String(data.order_id) };
+  },
+
+  async assignAwb({ shipment }) {
+    const data = await request('/courier/assign/awb', {
+      body: {
+        shipment_id: shipment.carrierShipmentId,
+        ...(shipment.direction === SHIPMENT_DIRECTIONS.REVERSE ? { is_return: 1 } : {})
+      }
+    });
+    const assigned = data.response?.data;
+
+    if (data.awb_assign_status !== 1 || !assigned?.awb_code) {
+      throw createError('EXTERNAL_SERVICE', `Shiprocket could not assign an AWB: ${data.message || assigned?.awb_assign_error || 'no courier available'}`);
+    }
+
+    return {
+      awb: String(assigned.awb_code),
+      courierName: assigned.courier_name || null,
+      trackingUrl: `https://shiprocket.co/tracking/${assigned.awb_code}`
+    };
+  },
+
+  async getLabel({ shipment }) {
+    const data = await request('/courier/generate/label', {
+      body: { shipment_id: [shipment.carrierShipmentId] }
+    });
+
+    if (!data.label_url) {
+      throw createError('EXTERNAL_SERVICE', `Shiprocket did not generate a label: ${data.response || data.message || 'no label URL'}`);
+    }
+
+    return { url: data.label_url };
+  },
+
+  async track({ shipment }) {
+    const data = await request(`/courier/track/awb/${encodeURIComponent(shipment.awb)}`, { method: 'GET' });
+    const tracking = data.tracking_data || {};
+    const current = (tracking.shipment_track || [])[0] || {};
+
+    const events = (tracking.shipment_track_activities || [])
+      .map(activity => ({
+        status: mapShiprocketStatus(activity['sr-status-label'] || activity.activity),
+        carrierStatus: activity['sr-status-label'] || activity.status || null,
+        description: activity.activity || '',
+        location: activity.location || null,
+        occurredAt: parseShiprocketDate(activity.date)
+      }))
+      .filter(event => event.status && event.occurredAt);
+
+    return {
+      status: mapShiprocketStatus(current.current_status),
+      events,
+      expectedDeliveryDate: parseShiprocketDate(current.edd || tracking.etd)
+    };
+  },
+
+  async cancel({ shipment }) {
+    if (shipment.awb) {
+      await request('/orders/cancel/shipment/awbs', { body: { awbs: [shipment.awb] } });
+    } else {
+      await request('/orders/cancel', { body: { ids: [shipment.carrierOrderId] } });
+    }
+
+    return { cancelled: true };
+  }
+};
+
+export default shiprocketCarrier;
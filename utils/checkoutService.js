@@ -0,0 +1,191 @@
+import { 
+  collection, 
+  doc, 
+  serverTimestamp, 
+  runTransaction 
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { priceOrder, calculateTotals, assertClientTotal } from './pricingService';
+import { redeemCouponInTransaction } from './couponService';
+import { assertServiceable, getDeliveryEstimate } from './serviceabilityService';
+import { getOrderShippingOption } from './shippingRateService';
+import { canReservationBackOrder } from './stockReservationService';
+import { ORDER_STATUSES } from './orderService';
+import { createError } from './errorHandler';
+
+/**
+ * Places an order for the current user, creates order document in Firestore
+ * (under the user, mirrored in the top-level orders collection like API-created
+ * orders) and clears the user's cart. Stock is not touched here: it is held when
+ * checkout starts and when payment is initialized (see stockReservationService).
+ * Runs on the server through /api/orders/place; customers cannot write orders.
+ *
+ * @param {Object} orderData - Order data containing all required information
+ * @param {string} orderData.userId - The current user's ID
+ * @param {string} orderData.email - The current user's email, used for guest order tracking
+ * @param {Object} orderData.shippingAddress - The shipping address object
+ * @param {Array} orderData.items - Array of cart items with product details
+ * @param {string} orderData.paymentMethod - Payment method (e.g., "Cash on Delivery")
+ * @param {string} orderData.couponCode - Optional coupon code to redeem
+ * @param {string} orderData.stockReservationId - Reservation made when checkout started;
+ *   ignored unless it holds exactly the order's items (see canReservationBackOrder),
+ *   in which case the order's stock is held when payment is initialized
+ * @param {number} orderData.totalAmount - Total shown to the customer; the order
+ *   is re-priced from Firestore and rejected if this doesn't match
+ * @returns {Promise<Object>} - Object containing orderId, orderNumber, totalAmount and success status
+ */
+export const placeOrder = async (orderData) => {
+  // Validate required data
+  if (!orderData.userId) {
+    throw createError('VALIDATION', 'User ID is required');
+  }
+  
+  if (!orderData.items || !orderData.items.length) {
+    throw createError('VALIDATION', 'Order must contain at least one item', { field: 'items' });
+  }
+
+  try {
+    // 1. Refuse pincodes we don't deliver to, and COD where it isn't offered
+    const serviceability = await assertServiceable(orderData.shippingAddress, orderData.paymentMethod);
+    
+    // 2. Re-price the order from Firestore, with the chosen shipping option;
+    // client prices are never trusted
+    const pricing = await priceOrder({
+      items: orderData.items,
+      couponCode: orderData.couponCode,
+      userId: orderData.userId,
+      destinationState: orderData.shippingAddress?.state,
+      serviceability,
+      shippingService: orderData.shippingService,
+      paymentMethod: orderData.paymentMethod
+    });
+    assertClientTotal(orderData.totalAmount, pricing.totals.total);
+    
+    // 3. Create a reference to the user's orders subcollection
+    const userOrdersRef = collection(db, 'users', orderData.userId, 'orders');
+    
+    // 4. Generate a new document reference with auto-ID
+    const newOrderRef = doc(userOrdersRef);
+    const orderId = newOrderRef.id;
+    
+    // Generate order number (format: RNG-YYYYMMDD-XXXX)
+    const date = new Date();
+    const dateStr = date.getFullYear() +
+      String(date.getMonth() + 1).padStart(2, '0') +
+      String(date.getDate()).padStart(2, '0');
+    const randomPart = Math.floor(1000 + Math.random() * 9000);
+    const orderNumber = `RNG-${dateStr}-${randomPart}`;
+    
+    // 5. Prepare the order document
+    const orderDocument = {
+      orderId: orderId,
+      orderNumber,
+      userId: orderData.userId,
+      userEmail: orderData.email || null,
+      createdAt: serverTimestamp(),
+      paymentMethod: orderData.paymentMethod,
+      status: ORDER_STATUSES.PENDING,
+      shippingAddress: orderData.shippingAddress,
+      shippingOption: getOrderShippingOption(pricing.shippingOption),
+      deliveryEstimate: getDeliveryEstimate(serviceability, pricing.shippingOption),
+      items: pricing.items.map(item => ({
+        productId: item.id,
+        name: item.name,
+        hsnCode: item.hsnCode,
+        size: item.size,
+        ...(item.variantId ? {
+          variantId: item.variantId,
+          sku: item.sku,
+          wash: item.wash,
+          length: item.length
+        } : {}),
+        qty: item.quantity,
+        unitPrice: item.price,
+        imageURL: item.image
+      })),
+      couponCode: null,
+      // Stock is held by this reservation and taken once the order is paid
+      stockReservationId: null,
+      subtotal: pricing.totals.subtotal,
+      discount: pricing.totals.discount,
+      shippingFee: pricing.totals.shippingCost,
+      codFee: pricing.totals.codFee,
+      tax: pricing.totals.tax,
+      gst: pricing.totals.gst,
+      totalAmount: pricing.totals.total
+    };
+    
+    // 6. Redeem the coupon, write both copies of the order, tie the stock
+    // hold to it and clear the cart atomically
+    await runTransaction(db, async (transaction) => {
+      // Reads come before the coupon redemption's writes
+      const reservationRef = orderData.stockReservationId
+        ? doc(db, 'stockReservations', orderData.stockReservationId)
+        : null;
+      const reservationSnap = reservationRef ? await transaction.get(reservationRef) : null;
+      const reservation = reservationSnap?.exists() ? reservationSnap.data() : null;
+      const useReservation = canReservationBackOrder(reservation, {
+        userId: orderData.userId,
+        items: pricing.items
+      });
+      
+      if (reservationRef && !useReservation) {
+        console.warn(`Stock reservation ${orderData.stockReservationId} does not match order ${orderId}; holding the order's items instead`);
+      }
+      
+      if (pricing.couponCode) {
+        const redemption = await redeemCouponInTransaction(transaction, pricing.couponCode, {
+          userId: orderData.userId,
+          orderId,
+          items: pricing.items
+        });
+        
+        // The coupon may have changed since it was validated
+        const totals = calculateTotals({
+          items: pricing.items,
+          discount: redemption.discount,
+          destinationState: pricing.destinationState,
+          shipping: pricing.shippingOption
+        });
+        assertClientTotal(orderData.totalAmount, totals.total);
+        
+        Object.assign(orderDocument, {
+          couponCode: redemption.code,
+          discount: totals.discount,
+          shippingFee: totals.shippingCost,
+          codFee: totals.codFee,
+          tax: totals.tax,
+          gst: totals.gst,
+          totalAmount: totals.total
+        });
+      }
+      
+      orderDocument.stockReservationId = useReservation ? orderData.stockReservationId : null;
+      transaction.set(newOrderRef, orderDocument);
+      transaction.set(doc(db, 'orders', orderId), orderDocument);
+      // The checkout sweeper cancels the order if this hold lapses unpaid
+      if (useReservation) {
+        transaction.update(reservationRef, {
+          orderId,
+          updatedAt: serverTimestamp()
+        });
+      }
+      transaction.set(doc(db, 'userCarts', orderData.userId), {
+        items: [],
+        discount: 0,
+        promoCode: '',
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+    });
+    
+    return {
+      success: true,
+      orderId: orderId,
+      orderNumber,
+      totalAmount: orderDocument.totalAmount
+    };
+  } catch (error) {
+    console.error('Error placing order:', error);
+    throw error;
+  }
+};
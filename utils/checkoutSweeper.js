@@ -0,0 +1,152 @@
+// Checkout Sweeper: cleans up after abandoned checkouts. Expired stock holds
+// are released, and orders whose payment window lapsed without a payment are
+// cancelled and their customer told. Runs on a schedule through
+// /api/cron/sweep-checkouts (see functions/index.js), or locally with
+// `npm run sweep-checkouts`.
+import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { ORDER_STATUSES, updateOrderStatus } from './orderService';
+import { createStatusHistoryEntry } from './orderStatusHistory';
+import { PAYMENT_STATUSES } from './paymentProviders';
+import { getExpiredReservations, getReservation, releaseReservation, RESERVATION_STATUSES } from './stockReservationService';
+import { sendOrderStatusUpdateEmail } from './emailService';
+import { getUserById } from './userService';
+
+export const CANCELLATION_REASON = 'Payment was not completed in time';
+
+// Orders still waiting for their payment; 'Pending' is used by orders placed from the cart
+const AWAITING_PAYMENT_STATUSES = [ORDER_STATUSES.PENDING, ORDER_STATUSES.PAYMENT_PROCESSING, 'Pending'];
+
+// Payment statuses where no money has moved. Anything further along (e.g. an
+// authorized payment) is left for the payment webhook to settle.
+const UNPAID_PAYMENT_STATUSES = [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED];
+
+/**
+ * Check whether an order is still waiting for a payment that never came
+ * @param {Object} order - Order data
+ * @returns {boolean} - Whether the order can be cancelled as lapsed
+ */
+const isLapsedOrder = (order) => {
+  return AWAITING_PAYMENT_STATUSES.includes(order.status) &&
+    UNPAID_PAYMENT_STATUSES.includes(order.payment?.status || PAYMENT_STATUSES.PENDING);
+};
+
+/**
+ * Cancel the order a lapsed reservation was held for. Orders in the top-level
+ * collection go through updateOrderStatus, which also releases the stock and
+ * emails the customer; orders that only live under the user are updated here.
+ * @param {Object} reservation - Expired reservation with orderId and userId
+ * @returns {Promise<boolean>} - Whether the order was cancelled
+ */
+const cancelLapsedOrder = async (reservation) => {
+  const orderSnap = await getDoc(doc(db, 'orders', reservation.orderId));
+
+  if (orderSnap.exists()) {
+    if (!isLapsedOrder(orderSnap.data())) {
+      return false;
+    }
+
+    await updateOrderStatus(reservation.orderId, ORDER_STATUSES.CANCELLED, {
+      cancellationReason: CANCELLATION_REASON,
+      cancelledAt: serverTimestamp()
+    }, {
+      changedBy: 'system',
+      note: CANCELLATION_REASON
+    });
+    return true;
+  }
+
+  if (!reservation.userId) {
+    return false;
+  }
+
+  const userOrderRef = doc(db, 'users', reservation.userId, 'orders', reservation.orderId);
+  const userOrderSnap = await getDoc(userOrderRef);
+
+  if (!userOrderSnap.exists() || !isLapsedOrder(userOrderSnap.data())) {
+    return false;
+  }
+
+  const order = userOrderSnap.data();
+
+  await updateDoc(userOrderRef, {
+    status: ORDER_STATUSES.CANCELLED,
+    cancellationReason: CANCELLATION_REASON,
+    cancelledAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    statusHistory: [
+      ...(order.statusHistory || []),
+      createStatusHistoryEntry({
+        from: order.status,
+        to: ORDER_STATUSES.CANCELLED,
+        changedBy: 'system',
+        note: CANCELLATION_REASON
+      }, order)
+    ]
+  });
+
+  try {
+    const user = await getUserById(reservation.userId);
+    if (user) {
+      await sendOrderStatusUpdateEmail(
+        { id: reservation.orderId, ...order, status: ORDER_STATUSES.CANCELLED },
+        user,
+        ORDER_STATUSES.CANCELLED,
+        CANCELLATION_REASON
+      );
+    }
+  } catch (emailError) {
+    console.error(`Failed to email the customer of lapsed order ${reservation.orderId}:`, emailError);
+  }
+
+  return true;
+};
+
+/**
+ * Release expired stock holds and cancel the unpaid orders they were held for.
+ * Each reservation is handled on its own, so one failure does not stop the
+ * sweep; failed ones are picked up again on the next run.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} - { releasedReservations, cancelledOrders, failed }
+ */
+export const sweepAbandonedCheckouts = async ({ now = new Date() } = {}) => {
+  const reservations = await getExpiredReservations(now);
+  const summary = { releasedReservations: 0, cancelledOrders: [], failed: [] };
+
+  for (const reservation of reservations) {
+    try {
+      // The customer may have restarted payment since the query, which renews the hold
+      const current = await getReservation(reservation.id);
+      if (current?.status !== RESERVATION_STATUSES.HELD || new Date(current.expiresAt) > now) {
+        continue;
+      }
+
+      // The order is cancelled first (which also releases the hold), so a
+      // crash in between leaves the hold in place to retry with
+      const cancelled = Boolean(current.orderId) && await cancelLapsedOrder(current);
+      if (cancelled) {
+        summary.cancelledOrders.push(current.orderId);
+      }
+
+      const result = await releaseReservation(current.id, {
+        status: RESERVATION_STATUSES.EXPIRED,
+        onlyIfExpired: true
+      });
+
+      if (cancelled || result.released) {
+        summary.releasedReservations++;
+      }
+    } catch (error) {
+      console.error(`Error sweeping stock reservation ${reservation.id}:`, error);
+      summary.failed.push({ reservationId: reservation.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  CANCELLATION_REASON,
+  sweepAbandonedCheckouts
+};
@@ -0,0 +1,402 @@
+import {
+  collection,
+  query,
+  orderBy,
+  getDocs,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+
+export const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+/**
+ * Normalize a coupon code. Codes are case-insensitive and stored upper-case
+ * as the coupon document id.
+ * @param {string} code - Coupon code
+ * @returns {string} - Normalized code
+ */
+export const normalizeCouponCode = (code) => (code || '').trim().toUpperCase();
+
+/**
+ * Convert a Firestore timestamp, Date or date string to a Date
+ * @param {*} value - Date-like value
+ * @returns {Date|null} - Date or null
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate coupon fields before saving
+ * @param {Object} couponData - Coupon data
+ */
+const validateCouponData = (couponData) => {
+  const code = normalizeCouponCode(couponData.code);
+
+  if (!code || !/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw createError('VALIDATION', 'Coupon code must be 3-32 letters, numbers, dashes or underscores', { field: 'code' });
+  }
+
+  if (!Object.values(COUPON_TYPES).includes(couponData.type)) {
+    throw createError('VALIDATION', 'Coupon type must be percentage or fixed', { field: 'type' });
+  }
+
+  const value = Number(couponData.value);
+
+  if (!(value > 0) || (couponData.type === COUPON_TYPES.PERCENTAGE && value > 100)) {
+    throw createError('VALIDATION', 'Coupon value is invalid', { field: 'value' });
+  }
+
+  const startsAt = toDate(couponData.startsAt);
+  const expiresAt = toDate(couponData.expiresAt);
+
+  if (startsAt && expiresAt && expiresAt <= startsAt) {
+    throw createError('VALIDATION', 'Expiry must be after the start date', { field: 'expiresAt' });
+  }
+};
+
+/**
+ * Build the stored coupon document from form data
+ * @param {Object} couponData - Coupon data
+ * @returns {Object} - Coupon document fields
+ */
+const buildCouponDocument = (couponData) => ({
+  code: normalizeCouponCode(couponData.code),
+  description: couponData.description || '',
+  type: couponData.type,
+  value: Number(couponData.value),
+  maxDiscount: couponData.maxDiscount ? Number(couponData.maxDiscount) : null,
+  minCartValue: Number(couponData.minCartValue) || 0,
+  startsAt: toDate(couponData.startsAt),
+  expiresAt: toDate(couponData.expiresAt),
+  usageLimit: couponData.usageLimit ? Number(couponData.usageLimit) : null,
+  perUserLimit: couponData.perUserLimit ? Number(couponData.perUserLimit) : null,
+  applicableCategories: couponData.applicableCategories || [],
+  applicableProducts: couponData.applicableProducts || [],
+  active: couponData.active !== false
+});
+
+/**
+ * Get the cart items a coupon applies to
+ * @param {Object} coupon - Coupon
+ * @param {Array} items - Cart items ({ id, category, price, quantity })
+ * @returns {Array} - Eligible items
+ */
+const getEligibleItems = (coupon, items) => {
+  const categories = coupon.applicableCategories || [];
+  const products = coupon.applicableProducts || [];
+
+  if (categories.length === 0 && products.length === 0) {
+    return items;
+  }
+
+  return items.filter(item =>
+    products.includes(item.productId || item.id) ||
+    (item.category && categories.includes(item.category))
+  );
+};
+
+/**
+ * Evaluate a coupon against a cart. This is a pure check shared by the cart
+ * and by order creation; usage limits are passed in by the caller.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context - Evaluation context
+ * @param {Array} context.items - Cart items ({ id, category, price, quantity })
+ * @param {number} context.userUsageCount - Times this user has redeemed the coupon
+ * @param {Date} context.now - Current time
+ * @returns {Object} - { valid, discount, message }
+ */
+export const evaluateCoupon = (coupon, { items = [], userUsageCount = 0, now = new Date() } = {}) => {
+  const invalid = (message) => ({ valid: false, discount: 0, message });
+
+  if (!coupon || coupon.active === false) {
+    return invalid('Invalid promo code');
+  }
+
+  const startsAt = toDate(coupon.startsAt);
+  const expiresAt = toDate(coupon.expiresAt);
+
+  if (startsAt && now < startsAt) {
+    return invalid('This promo code is not active yet');
+  }
+
+  if (expiresAt && now > expiresAt) {
+    return invalid('This promo code has expired');
+  }
+
+  if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) {
+    return invalid('This promo code has reached its usage limit');
+  }
+
+  if (coupon.perUserLimit && userUsageCount >= coupon.perUserLimit) {
+    return invalid('You have already used this promo code');
+  }
+
+  const cartValue = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+  if (coupon.minCartValue && cartValue < coupon.minCartValue) {
+    return invalid(`Add items worth ₹${round(coupon.minCartValue - cartValue)} more to use this promo code`);
+  }
+
+  const eligibleSubtotal = getEligibleItems(coupon, items)
+    .reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+  if (eligibleSubtotal <= 0) {
+    return invalid('This promo code does not apply to the items in your cart');
+  }
+
+  let discount = coupon.type === COUPON_TYPES.PERCENTAGE
+    ? (eligibleSubtotal * coupon.value) / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return {
+    valid: true,
+    discount: round(Math.min(discount, eligibleSubtotal)),
+    message: null
+  };
+};
+
+/**
+ * Fill in product categories for cart items when the coupon is restricted
+ * by category. Cart items don't carry the category themselves.
+ * @param {Object} coupon - Coupon
+ * @param {Array} items - Cart items
+ * @param {Function} getProduct - Loads a product snapshot by id
+ * @returns {Promise<Array>} - Items with categories
+ */
+const withCategories = async (coupon, items, getProduct) => {
+  if (!coupon.applicableCategories || coupon.applicableCategories.length === 0) {
+    return items;
+  }
+
+  return Promise.all(items.map(async (item) => {
+    if (item.category) return item;
+    const productSnap = await getProduct(doc(db, 'products', item.productId || item.id));
+    return { ...item, category: productSnap.exists() ? productSnap.data().category : null };
+  }));
+};
+
+/**
+ * Validate a coupon for a cart without redeeming it
+ * @param {string} code - Coupon code
+ * @param {Object} options - Options
+ * @param {Array} options.items - Cart items
+ * @param {string} options.userId - User ID (for per-user limits)
+ * @returns {Promise<Object>} - { valid, discount, message, coupon }
+ */
+export const validateCoupon = async (code, { items = [], userId } = {}) => {
+  const couponCode = normalizeCouponCode(code);
+
+  if (!couponCode) {
+    return { valid: false, discount: 0, message: 'Please enter a promo code' };
+  }
+
+  try {
+    const couponSnap = await getDoc(doc(db, 'coupons', couponCode));
+
+    if (!couponSnap.exists()) {
+      return { valid: false, discount: 0, message: 'Invalid promo code' };
+    }
+
+    const coupon = couponSnap.data();
+    let userUsageCount = 0;
+
+    if (userId && coupon.perUserLimit) {
+      const usageSnap = await getDoc(doc(db, 'coupons', couponCode, 'usage', userId));
+      userUsageCount = usageSnap.exists() ? usageSnap.data().count || 0 : 0;
+    }
+
+    const evaluation = evaluateCoupon(coupon, {
+      items: await withCategories(coupon, items, getDoc),
+      userUsageCount
+    });
+
+    return { ...evaluation, coupon: { ...coupon, code: couponCode } };
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    throw createError('DATABASE', 'Failed to validate promo code', error);
+  }
+};
+
+/**
+ * Re-validate and redeem a coupon inside an existing transaction. The global
+ * and per-user usage counters are incremented and a redemption record is
+ * written, so the order write in the same transaction commits atomically
+ * with the redemption.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} code - Coupon code
+ * @param {Object} options - Options
+ * @param {string} options.userId - Redeeming user ID
+ * @param {string} options.orderId - Order ID
+ * @param {Array} options.items - Order items
+ * @returns {Promise<Object>} - { code, discount }
+ */
+export const redeemCouponInTransaction = async (transaction, code, { userId, orderId, items = [] }) => {
+  const couponCode = normalizeCouponCode(code);
+  const couponRef = doc(db, 'coupons', couponCode);
+  const usageRef = doc(db, 'coupons', couponCode, 'usage', userId);
+
+  const [couponSnap, usageSnap] = await Promise.all([
+    transaction.get(couponRef),
+    transaction.get(usageRef)
+  ]);
+
+  if (!couponSnap.exists()) {
+    throw createError('VALIDATION', 'Invalid promo code', { field: 'couponCode' });
+  }
+
+  const coupon = couponSnap.data();
+  const userUsageCount = usageSnap.exists() ? usageSnap.data().count || 0 : 0;
+  const evaluation = evaluateCoupon(coupon, {
+    items: await withCategories(coupon, items, (ref) => transaction.get(ref)),
+    userUsageCount
+  });
+
+  if (!evaluation.valid) {
+    throw createError('VALIDATION', evaluation.message, { field: 'couponCode' });
+  }
+
+  transaction.update(couponRef, {
+    usedCount: (coupon.usedCount || 0) + 1,
+    updatedAt: serverTimestamp()
+  });
+  transaction.set(usageRef, {
+    count: userUsageCount + 1,
+    lastUsedAt: serverTimestamp()
+  });
+  transaction.set(doc(db, 'couponRedemptions', `${couponCode}_${orderId}`), {
+    code: couponCode,
+    userId,
+    orderId,
+    discount: evaluation.discount,
+    createdAt: serverTimestamp()
+  });
+
+  return { code: couponCode, discount: evaluation.discount };
+};
+
+/**
+ * Get all coupons (admin)
+ * @returns {Promise<Array>} - Coupons
+ */
+export const getAllCoupons = async () => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'coupons'), orderBy('code')));
+
+    return snapshot.docs.map(couponDoc => {
+      const data = couponDoc.data();
+      return {
+        id: couponDoc.id,
+        ...data,
+        startsAt: toDate(data.startsAt)?.toISOString() || null,
+        expiresAt: toDate(data.expiresAt)?.toISOString() || null
+      };
+    });
+  } catch (error) {
+    console.error('Error getting coupons:', error);
+    throw createError('DATABASE', 'Failed to load coupons', error);
+  }
+};
+
+/**
+ * Create a coupon (admin)
+ * @param {Object} couponData - Coupon data
+ * @returns {Promise<Object>} - Created coupon
+ */
+export const createCoupon = async (couponData) => {
+  validateCouponData(couponData);
+
+  const coupon = buildCouponDocument(couponData);
+  const couponRef = doc(db, 'coupons', coupon.code);
+
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(couponRef);
+
+    if (existing.exists()) {
+      throw createError('VALIDATION', `Coupon ${coupon.code} already exists`, { field: 'code' });
+    }
+
+    transaction.set(couponRef, {
+      ...coupon,
+      usedCount: 0,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+  });
+
+  return { id: coupon.code, ...coupon, usedCount: 0 };
+};
+
+/**
+ * Update a coupon (admin). The code and usage count cannot be changed.
+ * @param {string} code - Coupon code
+ * @param {Object} couponData - Coupon data
+ * @returns {Promise<Object>} - Updated coupon fields
+ */
+export const updateCoupon = async (code, couponData) => {
+  const couponCode = normalizeCouponCode(code);
+  validateCouponData({ ...couponData, code: couponCode });
+
+  const coupon = buildCouponDocument({ ...couponData, code: couponCode });
+
+  await updateDoc(doc(db, 'coupons', couponCode), {
+    ...coupon,
+    updatedAt: serverTimestamp()
+  });
+
+  return { id: couponCode, ...coupon };
+};
+
+/**
+ * Enable or disable a coupon (admin)
+ * @param {string} code - Coupon code
+ * @param {boolean} active - Whether the coupon can be used
+ * @returns {Promise<void>}
+ */
+export const setCouponActive = async (code, active) => {
+  await setDoc(doc(db, 'coupons', normalizeCouponCode(code)), {
+    active,
+    updatedAt: serverTimestamp()
+  }, { merge: true });
+};
+
+/**
+ * Delete a coupon (admin)
+ * @param {string} code - Coupon code
+ * @returns {Promise<void>}
+ */
+export const deleteCoupon = async (code) => {
+  await deleteDoc(doc(db, 'coupons', normalizeCouponCode(code)));
+};
+
+export default {
+  COUPON_TYPES,
+  normalizeCouponCode,
+  evaluateCoupon,
+  validateCoupon,
+  redeemCouponInTransaction,
+  getAllCoupons,
+  createCoupon,
+  updateCoupon,
+  setCouponActive,
+  deleteCoupon
+};
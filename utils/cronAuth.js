@@ -0,0 +1,24 @@
+// Authentication for the /api/cron endpoints the scheduled Cloud Functions
+// call (see functions/index.js)
+import crypto from 'crypto';
+
+/**
+ * Check the shared secret the scheduler sends as a bearer token
+ * @param {Object} req - Request object
+ * @returns {boolean} - Whether the request comes from the scheduler
+ */
+export const isAuthorizedScheduler = (req) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+
+  if (!secret || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(header.slice('Bearer '.length));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+export default isAuthorizedScheduler;
@@ -5,26 +5,26 @@ import {
   getDocs,
   doc,
   getDoc,
-  addDoc,
   updateDoc,
   orderBy,
   limit,
   serverTimestamp,
   startAfter,
-  Timestamp,
   writeBatch,
   runTransaction,
   deleteDoc,
-  increment,
-  setDoc
+  increment
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { createError } from './errorHandler';
 import { ORDER_STATUSES, isValidStatusTransition } from './orderService';
+import { createStatusHistoryEntry } from './orderStatusHistory';
+import { redeemCouponInTransaction } from './couponService';
+import { calculateTotals, assertClientTotal } from './pricingService';
 
 /**
  * Create a new order in the customer's orders subcollection
- * @param {Object} orderData - Order data
+ * @param {Object} orderData - Order data, priced by priceOrder (items, totals, shippingOption)
  * @param {string} userId - User ID
  * @returns {Promise<Object>} - Created order with ID
  */
@@ -44,27 +44,48 @@ export const createCustomerOrder = async (orderData, userId) => {
     const customerOrdersRef = collection(db, 'users', userId, 'orders');
     
     // Add order data with timestamps
-    const orderWithTimestamps = {
+    let orderWithTimestamps = {
       ...orderData,
       userId,
       status: ORDER_STATUSES.PENDING,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
       statusHistory: [
-        {
-          status: ORDER_STATUSES.PENDING,
-          timestamp: Timestamp.now(),
+        createStatusHistoryEntry({
+          to: ORDER_STATUSES.PENDING,
+          changedBy: userId,
           note: 'Order created'
-        }
+        }, { userId })
       ]
     };
 
-    // Add the order to the customer's orders subcollection
-    const docRef = await addDoc(customerOrdersRef, orderWithTimestamps);
-    
-    // Also add to the main orders collection for admin access
-    const mainOrdersRef = collection(db, 'orders');
-    await setDoc(doc(mainOrdersRef, docRef.id), orderWithTimestamps);
+    // Add the order to the customer's orders subcollection and the main
+    // orders collection (for admin access), redeeming any coupon atomically
+    const docRef = doc(customerOrdersRef);
+    
+    await runTransaction(db, async (transaction) => {
+      if (orderData.couponCode) {
+        const redemption = await redeemCouponInTransaction(transaction, orderData.couponCode, {
+          userId,
+          orderId: docRef.id,
+          items: orderData.items
+        });
+        
+        // The coupon may have changed since it was validated
+        const totals = calculateTotals({
+          items: orderData.items,
+          discount: redemption.discount,
+          destinationState: orderData.shipping?.address?.state || null,
+          shipping: orderData.shippingOption || null
+        });
+        assertClientTotal(orderData.totals?.total, totals.total);
+        
+        orderWithTimestamps = { ...orderWithTimestamps, couponCode: redemption.code, totals };
+      }
+      
+      transaction.set(docRef, orderWithTimestamps);
+      transaction.set(doc(db, 'orders', docRef.id), orderWithTimestamps);
+    });
 
     return {
       id: docRef.id,
@@ -72,6 +93,9 @@ export const createCustomerOrder = async (orderData, userId) => {
     };
   } catch (error) {
     console.error('Error creating customer order:', error);
+    if (error.code === 'VALIDATION_ERROR') {
+      throw error;
+    }
     throw createError('DATABASE', 'Failed to create customer order', error);
   }
 };
@@ -198,11 +222,12 @@ export const updateCustomerOrderStatus = async (userId, orderId, newStatus, note
     const statusUpdate = {
       status: newStatus,
       updatedAt: serverTimestamp(),
-      statusHistory: [...(order.statusHistory || []), {
-        status: newStatus,
-        timestamp: Timestamp.now(),
+      statusHistory: [...(order.statusHistory || []), createStatusHistoryEntry({
+        from: order.status,
+        to: newStatus,
+        changedBy: userId,
         note: note || `Status changed to ${newStatus}`
-      }]
+      }, order)]
     };
     
     await updateDoc(orderRef, statusUpdate);
@@ -0,0 +1,155 @@
+// Email Queue: outbound emails are written to `emailQueue` and sent by the
+// email worker (see emailWorker) rather than inside the request that caused
+// them, so a slow or failing mail server never holds up or loses an order
+// update. Failed sends are retried with exponential backoff; after
+// MAX_ATTEMPTS an email is `dead` and waits for an admin to resend it from
+// /admin/emails.
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+
+/**
+ * Queued email states
+ */
+export const EMAIL_QUEUE_STATUSES = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DEAD: 'dead'
+};
+
+export const EMAIL_QUEUE_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  BASE_RETRY_DELAY_MS: 60 * 1000, // 1 minute, doubled after every failure
+  MAX_RETRY_DELAY_MS: 60 * 60 * 1000, // 1 hour
+  // How long a worker has to send a claimed email before another worker may
+  // pick it up again
+  LEASE_MS: 5 * 60 * 1000, // 5 minutes
+  BATCH_SIZE: 20
+};
+
+/**
+ * Wait before the next attempt after a failed one: 1, 2, 4, 8... minutes,
+ * up to an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) => {
+  return Math.min(
+    EMAIL_QUEUE_CONFIG.BASE_RETRY_DELAY_MS * (2 ** Math.max(0, attempts - 1)),
+    EMAIL_QUEUE_CONFIG.MAX_RETRY_DELAY_MS
+  );
+};
+
+/**
+ * Queue an email for the worker to send. Takes the same options as
+ * emailService.sendEmail; they are stored as JSON, so template variables
+ * should be plain data.
+ * @param {Object} options - Email options ({ to, template, variables, subject, html, text, replyTo, type, metadata })
+ * @returns {Promise<Object>} - { queued, queueId }
+ */
+export const enqueueEmail = async (options) => {
+  const { to, template = null, subject = null, html = null, text = null } = options;
+
+  if (!to || (!template && (!subject || (!html && !text)))) {
+    throw createError('VALIDATION', 'Missing required email fields: to, and either a template or subject and html or text');
+  }
+
+  const message = JSON.parse(JSON.stringify({
+    to,
+    template,
+    variables: options.variables || {},
+    subject,
+    html,
+    text,
+    replyTo: options.replyTo || null,
+    type: options.type || template || 'general',
+    metadata: options.metadata || {}
+  }));
+
+  const queueRef = await addDoc(collection(db, 'emailQueue'), {
+    message,
+    status: EMAIL_QUEUE_STATUSES.PENDING,
+    attempts: 0,
+    maxAttempts: EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return { queued: true, queueId: queueRef.id };
+};
+
+/**
+ * Get queued emails, newest first
+ * @param {Object} options - Options
+ * @param {string} options.status - Only emails in this state
+ * @param {number} options.max - Most emails to return
+ * @returns {Promise<Array>} - Queued emails
+ */
+export const getQueuedEmails = async ({ status = null, max = 50 } = {}) => {
+  const constraints = status ? [where('status', '==', status)] : [];
+
+  const snapshot = await getDocs(query(
+    collection(db, 'emailQueue'),
+    ...constraints,
+    orderBy('createdAt', 'desc'),
+    limit(max)
+  ));
+
+  return snapshot.docs.map(queueDoc => ({ id: queueDoc.id, ...queueDoc.data() }));
+};
+
+/**
+ * Send a dead email again: it goes back into the queue with a fresh set of
+ * attempts and is picked up on the worker's next run
+ * @param {string} queueId - Queued email ID
+ * @param {Object} options - Options
+ * @param {string} options.actor - Admin user ID
+ * @returns {Promise<Object>} - { queueId, status }
+ */
+export const resendEmail = async (queueId, { actor = null } = {}) => {
+  const queueRef = doc(db, 'emailQueue', queueId);
+  const queueSnap = await getDoc(queueRef);
+
+  if (!queueSnap.exists()) {
+    throw createError('NOT_FOUND', `Queued email ${queueId} not found`);
+  }
+
+  if (queueSnap.data().status !== EMAIL_QUEUE_STATUSES.DEAD) {
+    throw createError('VALIDATION', 'Only emails that failed for good can be resent', { status: queueSnap.data().status });
+  }
+
+  await updateDoc(queueRef, {
+    status: EMAIL_QUEUE_STATUSES.PENDING,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    resentBy: actor || null,
+    resentAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return { queueId, status: EMAIL_QUEUE_STATUSES.PENDING };
+};
+
+export default {
+  EMAIL_QUEUE_STATUSES,
+  EMAIL_QUEUE_CONFIG,
+  getRetryDelay,
+  enqueueEmail,
+  getQueuedEmails,
+  resendEmail
+};
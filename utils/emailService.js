@@ -1,7 +1,16 @@
-import { serverTimestamp } from 'firebase/firestore';
+// Email Service: every email the shop sends goes through sendEmail, which
+// renders its template (see utils/emailTemplates), hands it to the configured
+// transport (see utils/emailTransports: SMTP, or a file or console transport
+// in development) and records the delivery in the `emails` collection.
+//
+// The typed senders below don't send straight away: they queue the email
+// (see emailQueue) and the email worker sends it with retries.
+import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from './firebase';
-import { collection, addDoc } from 'firebase/firestore';
 import { createError } from './errorHandler';
+import { renderEmailTemplate } from './emailTemplates';
+import { selectEmailTransport } from './emailTransports';
+import { enqueueEmail } from './emailQueue';
 
 // Email configuration
 const EMAIL_CONFIG = {
@@ -12,79 +21,160 @@ const EMAIL_CONFIG = {
 };
 
 /**
- * Mock email sending function that just logs to console and stores in DB
+ * Delivery states stored on `emails/{id}.status`
+ */
+export const EMAIL_STATUSES = {
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const getSite = () => ({
+  name: EMAIL_CONFIG.siteName,
+  url: EMAIL_CONFIG.siteUrl,
+  supportEmail: EMAIL_CONFIG.supportEmail
+});
+
+const getCustomerName = (user) => user.displayName || user.name || user.firstName || null;
+
+// The parts of an order the templates use; queued emails store their
+// variables, so they carry no more of the order than this
+const toOrderVariables = (order) => ({
+  id: order.id || null,
+  orderNumber: order.orderNumber || order.id || null,
+  status: order.status || null,
+  items: (order.items || []).map(item => ({
+    name: item.name,
+    size: item.size || null,
+    quantity: item.quantity ?? item.qty,
+    price: item.price
+  })),
+  total: order.total ?? order.totalAmount ?? null
+});
+
+/**
+ * Record an email delivery attempt. A failure to record is logged and never
+ * fails the send.
+ * @param {Object} record - Email record
+ * @returns {Promise<string|null>} - Email record ID
+ */
+const recordDelivery = async (record) => {
+  try {
+    const emailRef = await addDoc(collection(db, 'emails'), { ...record, createdAt: serverTimestamp() });
+    return emailRef.id;
+  } catch (dbError) {
+    console.error('Error saving email to database:', dbError);
+    return null;
+  }
+};
+
+/**
+ * Send an email through the configured transport and record its delivery
+ * status in the `emails` collection. Pass a template and its variables, or a
+ * subject with html and/or text.
  * @param {Object} options - Email options
- * @returns {Promise<Object>} - Send result
+ * @param {string|Array} options.to - Recipient(s)
+ * @param {string} options.template - Template name (optional)
+ * @param {Object} options.variables - Template variables
+ * @param {string} options.subject - Subject; overrides the template's
+ * @param {string} options.html - HTML body, when not using a template
+ * @param {string} options.text - Text body, when not using a template
+ * @param {string} options.replyTo - Reply-to address (optional)
+ * @param {boolean} options.saveToDb - Record the delivery (default: true)
+ * @param {string} options.type - Kind of email (defaults to the template name)
+ * @param {Object} options.metadata - IDs the email relates to, e.g. { orderId }
+ * @returns {Promise<Object>} - { success, messageId, transport, emailId }
  */
 export const sendEmail = async (options) => {
+  const {
+    to,
+    template = null,
+    variables = {},
+    replyTo = null,
+    saveToDb = true,
+    type = template || 'general',
+    metadata = {}
+  } = options;
+  const rendered = template ? renderEmailTemplate(template, variables, getSite()) : {};
+  const subject = options.subject || rendered.subject;
+  const html = options.html || rendered.html;
+  const text = options.text || rendered.text;
+
+  // Validate required fields
+  if (!to || !subject || (!html && !text)) {
+    throw createError('VALIDATION', 'Missing required email fields: to, subject, and either html or text');
+  }
+
+  const transport = selectEmailTransport();
+  const record = { to, subject, type, template, metadata, transport: transport.id };
+
   try {
-    const { to, subject, html, text, saveToDb = true, type = 'general', metadata = {} } = options;
-    
-    // Validate required fields
-    if (!to || !subject || (!html && !text)) {
-      throw new Error('Missing required email fields: to, subject, and either html or text');
-    }
-    
-    // Log email instead of sending
-    console.log('MOCK EMAIL SENT:');
-    console.log('To:', to);
-    console.log('Subject:', subject);
-    console.log('Type:', type);
-    
-    // Generate a mock message ID
-    const mockMessageId = `mock-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
-    
-    // Save to database if requested
+    const result = await transport.send({
+      from: EMAIL_CONFIG.from,
+      to,
+      ...(replyTo ? { replyTo } : {}),
+      subject,
+      html,
+      text
+    });
+
+    const emailId = saveToDb
+      ? await recordDelivery({
+        ...record,
+        status: EMAIL_STATUSES.SENT,
+        messageId: result.messageId,
+        accepted: result.accepted,
+        rejected: result.rejected,
+        sentAt: serverTimestamp()
+      })
+      : null;
+
+    return { success: true, messageId: result.messageId, transport: transport.id, emailId };
+  } catch (error) {
+    console.error(`Error sending email through ${transport.id}:`, error);
+
     if (saveToDb) {
-      try {
-        const emailsRef = collection(db, 'emails');
-        await addDoc(emailsRef, {
-          to,
-          subject,
-          type,
-          metadata,
-          status: 'mock_sent',
-          messageId: mockMessageId,
-          createdAt: serverTimestamp()
-        });
-      } catch (dbError) {
-        console.error('Error saving email to database:', dbError);
-      }
+      await recordDelivery({
+        ...record,
+        status: EMAIL_STATUSES.FAILED,
+        error: error.message,
+        failedAt: serverTimestamp()
+      });
     }
-    
-    return { success: true, messageId: mockMessageId };
-  } catch (error) {
-    console.error('Error sending mock email:', error);
+
     throw createError('EXTERNAL_SERVICE', 'Failed to send email', error);
   }
 };
 
 /**
- * Send order confirmation email (mock version)
+ * Send order confirmation email
  * @param {Object} order - Order data
  * @param {Object} user - User data
- * @returns {Promise<Object>} - Send result
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendOrderConfirmationEmail = async (order, user) => {
-  console.log('Mock order confirmation email for order:', order.orderNumber);
-  console.log('To user:', user.email);
-  
-  return { success: true, messageId: `mock-order-confirmation-${Date.now()}` };
+  return enqueueEmail({
+    to: user.email,
+    template: 'order_confirmation',
+    variables: { order: toOrderVariables(order), customerName: getCustomerName(user) },
+    metadata: { orderId: order.id || null }
+  });
 };
 
 /**
- * Send order status update email (mock version)
+ * Send order status update email
  * @param {Object} order - Order data
  * @param {Object} user - User data
- * @param {string} newStatus - New order status
+ * @param {string} newStatus - New order status (defaults to the order's)
  * @param {string} message - Optional message
- * @returns {Promise<Object>} - Send result
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendOrderStatusUpdate = async (order, user, newStatus, message = '') => {
-  console.log(`Mock order status update email for order: ${order.orderNumber}, new status: ${newStatus}`);
-  console.log('To user:', user.email);
-  
-  return { success: true, messageId: `mock-status-update-${Date.now()}` };
+  return enqueueEmail({
+    to: user.email,
+    template: 'order_status_update',
+    variables: { order: toOrderVariables(order), customerName: getCustomerName(user), status: newStatus || order.status, message },
+    metadata: { orderId: order.id || null, status: newStatus || order.status || null }
+  });
 };
 
 /**
@@ -93,74 +183,98 @@ export const sendOrderStatusUpdate = async (order, user, newStatus, message = ''
  * @param {Object} user - User data
  * @param {string} newStatus - New order status
  * @param {string} message - Optional message
- * @returns {Promise<Object>} - Send result
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendOrderStatusUpdateEmail = async (order, user, newStatus, message = '') => {
   return sendOrderStatusUpdate(order, user, newStatus, message);
 };
 
 /**
- * Send order shipped email (mock version)
+ * Send order shipped email
  * @param {Object} order - Order data
  * @param {Object} user - User data
- * @param {Object} trackingInfo - Tracking information
- * @returns {Promise<Object>} - Send result
+ * @param {Object} trackingInfo - { trackingNumber, carrier, trackingUrl }
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendOrderShippedEmail = async (order, user, trackingInfo = {}) => {
-  console.log(`Mock order shipped email for order: ${order.orderNumber}`);
-  console.log('To user:', user.email);
-  if (trackingInfo.trackingNumber) {
-    console.log('Tracking number:', trackingInfo.trackingNumber);
-  }
-  
-  return { success: true, messageId: `mock-order-shipped-${Date.now()}` };
+  return enqueueEmail({
+    to: user.email,
+    template: 'order_shipped',
+    variables: { order: toOrderVariables(order), customerName: getCustomerName(user), tracking: trackingInfo },
+    metadata: { orderId: order.id || null, trackingNumber: trackingInfo.trackingNumber || null }
+  });
 };
 
 /**
- * Send welcome email (mock version)
+ * Send welcome email
  * @param {Object} user - User data
- * @returns {Promise<Object>} - Send result
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendWelcomeEmail = async (user) => {
-  console.log('Mock welcome email');
-  console.log('To user:', user.email);
-  
-  return { success: true, messageId: `mock-welcome-${Date.now()}` };
+  return enqueueEmail({
+    to: user.email,
+    template: 'welcome',
+    variables: { customerName: getCustomerName(user) },
+    metadata: { userId: user.uid || user.id || null }
+  });
 };
 
 /**
- * Send password reset email (mock version)
+ * Send password reset email
  * @param {Object} user - User data
  * @param {string} resetLink - Password reset link
- * @returns {Promise<Object>} - Send result
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendPasswordResetEmail = async (user, resetLink) => {
-  console.log('Mock password reset email');
-  console.log('To user:', user.email);
-  console.log('Reset link:', resetLink);
-  
-  return { success: true, messageId: `mock-password-reset-${Date.now()}` };
+  return enqueueEmail({
+    to: user.email,
+    template: 'password_reset',
+    variables: { customerName: getCustomerName(user), resetLink },
+    metadata: { userId: user.uid || user.id || null }
+  });
 };
 
 /**
- * Send marketing newsletter (mock version)
+ * Send marketing newsletter
  * @param {string} to - Recipient email
- * @param {Object} campaign - Campaign data
- * @returns {Promise<Object>} - Send result
+ * @param {Object} campaign - { id, subject, title, html, text }
+ * @returns {Promise<Object>} - { queued, queueId }
  */
 export const sendMarketingEmail = async (to, campaign) => {
-  console.log('Mock marketing email');
-  console.log('To:', to);
-  console.log('Subject:', campaign.subject);
-  
-  return { success: true, messageId: `mock-marketing-${Date.now()}` };
+  return enqueueEmail({
+    to,
+    template: 'marketing',
+    variables: { campaign },
+    metadata: { campaignId: campaign.id || null }
+  });
+};
+
+/**
+ * Send back-in-stock email to a customer subscribed to a sold-out size
+ * @param {string} to - Recipient email
+ * @param {Object} item - { productId, stockKey, name, label, slug }
+ * @returns {Promise<Object>} - { queued, queueId }
+ */
+export const sendBackInStockEmail = async (to, item) => {
+  return enqueueEmail({
+    to,
+    template: 'back_in_stock',
+    variables: {
+      name: item.name,
+      label: item.label,
+      productUrl: `${EMAIL_CONFIG.siteUrl}/products/${item.slug || item.productId}`
+    },
+    metadata: { productId: item.productId, stockKey: item.stockKey }
+  });
 };
 
 export default {
+  EMAIL_STATUSES,
   sendEmail,
   sendOrderConfirmationEmail,
   sendOrderStatusUpdate,
   sendWelcomeEmail,
   sendPasswordResetEmail,
-  sendMarketingEmail
+  sendMarketingEmail,
+  sendBackInStockEmail
 }; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Email template registry. A template renders the subject and the HTML and
+ * plain-text versions of one kind of email from its variables; the shared
+ * layout in ./layout wraps both bodies.
+ *
+ * A template is an object with:
+ * - subject(variables) {string}
+ * - title(variables) {string}: heading of the email
+ * - preheader(variables) {string}: preview line (optional)
+ * - html(variables) {string}: body HTML; variables must go through escapeHtml
+ * - text(variables) {string}: body text
+ *
+ * Every template also gets `site` ({ name, url, supportEmail }).
+ */
+import { createError } from '../errorHandler';
+import { renderHtmlLayout, renderTextLayout } from './layout';
+import { EMAIL_TEMPLATES } from './templates';
+
+export { escapeHtml } from './layout';
+
+const TEMPLATE_FUNCTIONS = ['subject', 'title', 'html', 'text'];
+
+const templates = new Map();
+
+/**
+ * Register an email template, replacing any template with the same name
+ * @param {string} name - Template name, e.g. order_confirmation
+ * @param {Object} template - Template implementation
+ * @returns {Object} - The registered template
+ */
+export const registerEmailTemplate = (name, template) => {
+  const missing = TEMPLATE_FUNCTIONS.filter(key => typeof template?.[key] !== 'function');
+
+  if (!name || missing.length > 0) {
+    throw createError('VALIDATION', `Invalid email template ${name || ''}`.trim(), { missing });
+  }
+
+  templates.set(name, template);
+  return template;
+};
+
+/**
+ * Check whether an email template is registered
+ * @param {string} name - Template name
+ * @returns {boolean} - Whether it exists
+ */
+export const hasEmailTemplate = (name) => templates.has(name);
+
+/**
+ * Render an email from its template
+ * @param {string} name - Template name
+ * @param {Object} variables - Event variables
+ * @param {Object} site - { name, url, supportEmail }
+ * @returns {Object} - { subject, html, text }
+ */
+export const renderEmailTemplate = (name, variables = {}, site) => {
+  const template = templates.get(name);
+
+  if (!template) {
+    throw createError('VALIDATION', `Unknown email template: ${name}`, { field: 'template' });
+  }
+
+  const context = { ...variables, site };
+  const title = template.title(context);
+
+  return {
+    subject: template.subject(context),
+    html: renderHtmlLayout({
+      title,
+      preheader: template.preheader ? template.preheader(context) : '',
+      body: template.html(context),
+      site
+    }),
+    text: renderTextLayout({ title, body: template.text(context), site })
+  };
+};
+
+Object.entries(EMAIL_TEMPLATES).forEach(([name, template]) => registerEmailTemplate(name, template));
@@ -0,0 +1,113 @@
+// Layout and partials shared by every email template. Each email is a
+// template body wrapped in the layout: the site header, the body and a footer
+// with the support address, in an HTML version and a plain-text version.
+import { formatCurrency } from '../helpers';
+
+/**
+ * Escape a value for HTML. Every variable that ends up in an HTML template
+ * goes through this.
+ * @param {*} value - Value
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (character) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[character]));
+
+/**
+ * Link styled as a button
+ * @param {Object} params - { url, label }
+ * @returns {string} - HTML
+ */
+export const button = ({ url, label }) => `
+  <p style="margin: 24px 0;">
+    <a href="${escapeHtml(url)}" style="background: #1e2a5a; color: #ffffff; padding: 12px 20px; border-radius: 4px; text-decoration: none; display: inline-block;">${escapeHtml(label)}</a>
+  </p>`;
+
+/**
+ * Order items with their options, quantities and line totals
+ * @param {Array} items - Order items
+ * @returns {string} - HTML
+ */
+export const itemsTable = (items = []) => `
+  <table width="100%" cellpadding="8" cellspacing="0" style="border-collapse: collapse; margin: 16px 0;">
+    ${items.map(item => `
+    <tr style="border-bottom: 1px solid #e5e7eb;">
+      <td>${escapeHtml(item.name)}${item.size ? ` <span style="color: #6b7280;">(${escapeHtml(item.size)})</span>` : ''}</td>
+      <td align="center">× ${escapeHtml(item.quantity)}</td>
+      <td align="right">${escapeHtml(formatCurrency((Number(item.price) || 0) * (Number(item.quantity) || 0)))}</td>
+    </tr>`).join('')}
+  </table>`;
+
+/**
+ * Order items as plain text
+ * @param {Array} items - Order items
+ * @returns {string} - Text
+ */
+export const itemsText = (items = []) => items
+  .map(item => `- ${item.name}${item.size ? ` (${item.size})` : ''} × ${item.quantity}: ${formatCurrency((Number(item.price) || 0) * (Number(item.quantity) || 0))}`)
+  .join('\n');
+
+/**
+ * Wrap a template body in the HTML layout
+ * @param {Object} params - Layout input
+ * @param {string} params.title - Heading
+ * @param {string} params.preheader - Preview line shown by mail clients (optional)
+ * @param {string} params.body - Body HTML
+ * @param {Object} params.site - { name, url, supportEmail }
+ * @returns {string} - HTML document
+ */
+export const renderHtmlLayout = ({ title, preheader = '', body, site }) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f3f4f6; font-family: Arial, sans-serif; color: #111827;">
+  <span style="display: none;">${escapeHtml(preheader)}</span>
+  <table width="100%" cellpadding="0" cellspacing="0">
+    <tr>
+      <td align="center" style="padding: 24px;">
+        <table width="600" cellpadding="24" cellspacing="0" style="background: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="border-bottom: 1px solid #e5e7eb;">
+              <a href="${escapeHtml(site.url)}" style="color: #1e2a5a; font-size: 24px; font-weight: bold; text-decoration: none;">${escapeHtml(site.name)}</a>
+            </td>
+          </tr>
+          <tr>
+            <td>
+              <h1 style="font-size: 20px; margin: 0 0 16px;">${escapeHtml(title)}</h1>
+              ${body}
+            </td>
+          </tr>
+          <tr>
+            <td style="border-top: 1px solid #e5e7eb; color: #6b7280; font-size: 12px;">
+              Questions? Write to <a href="mailto:${escapeHtml(site.supportEmail)}" style="color: #6b7280;">${escapeHtml(site.supportEmail)}</a>.<br>
+              ${escapeHtml(site.name)} · <a href="${escapeHtml(site.url)}" style="color: #6b7280;">${escapeHtml(site.url)}</a>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+/**
+ * Wrap a template body in the plain-text layout
+ * @param {Object} params - { title, body, site }
+ * @returns {string} - Text
+ */
+export const renderTextLayout = ({ title, body, site }) => [
+  title,
+  '',
+  body.trim(),
+  '',
+  '--',
+  `${site.name} · ${site.url}`,
+  `Questions? Write to ${site.supportEmail}.`
+].join('\n');
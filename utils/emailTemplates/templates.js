@@ -0,0 +1,131 @@
+// Email templates, one per event. Each template builds its subject, title,
+// preview line and HTML and text bodies from the event's variables plus
+// `site` ({ name, url, supportEmail }); the layout adds the header and footer.
+import { formatCurrency } from '../helpers';
+import { escapeHtml, button, itemsTable, itemsText } from './layout';
+
+const getOrderTotal = (order) => order.total ?? order.totalAmount ?? 0;
+const getOrderUrl = (order, site) => `${site.url}/account/orders/${order.id}`;
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+const greeting = (customerName) => `Hi ${customerName || 'there'},`;
+
+export const EMAIL_TEMPLATES = {
+  // { order, customerName }
+  order_confirmation: {
+    subject: ({ order }) => `Order ${order.orderNumber} confirmed`,
+    title: () => 'Thank you for your order',
+    preheader: ({ order }) => `We've received order ${order.orderNumber}.`,
+    html: ({ order, customerName, site }) => `
+      <p>${escapeHtml(greeting(customerName))}</p>
+      <p>We've received your order <strong>${escapeHtml(order.orderNumber)}</strong> and will let you know when it ships.</p>
+      ${itemsTable(order.items)}
+      <p style="text-align: right;"><strong>Total: ${escapeHtml(formatCurrency(getOrderTotal(order)))}</strong></p>
+      ${button({ url: getOrderUrl(order, site), label: 'View your order' })}`,
+    text: ({ order, customerName, site }) => `
+${greeting(customerName)}
+
+We've received your order ${order.orderNumber} and will let you know when it ships.
+
+${itemsText(order.items)}
+
+Total: ${formatCurrency(getOrderTotal(order))}
+
+View your order: ${getOrderUrl(order, site)}`
+  },
+
+  // { order, customerName, status, message }
+  order_status_update: {
+    subject: ({ order, status }) => `Order ${order.orderNumber} is ${formatStatus(status || order.status)}`,
+    title: ({ status, order }) => `Your order is ${formatStatus(status || order.status)}`,
+    html: ({ order, customerName, status, message, site }) => `
+      <p>${escapeHtml(greeting(customerName))}</p>
+      <p>Your order <strong>${escapeHtml(order.orderNumber)}</strong> is now <strong>${escapeHtml(formatStatus(status || order.status))}</strong>.</p>
+      ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+      ${button({ url: getOrderUrl(order, site), label: 'View your order' })}`,
+    text: ({ order, customerName, status, message, site }) => `
+${greeting(customerName)}
+
+Your order ${order.orderNumber} is now ${formatStatus(status || order.status)}.
+${message ? `\n${message}\n` : ''}
+View your order: ${getOrderUrl(order, site)}`
+  },
+
+  // { order, customerName, tracking: { trackingNumber, carrier, trackingUrl } }
+  order_shipped: {
+    subject: ({ order }) => `Order ${order.orderNumber} has shipped`,
+    title: () => 'Your order is on its way',
+    preheader: ({ tracking = {} }) => (tracking.trackingNumber ? `Tracking number ${tracking.trackingNumber}` : ''),
+    html: ({ order, customerName, tracking = {}, site }) => `
+      <p>${escapeHtml(greeting(customerName))}</p>
+      <p>Your order <strong>${escapeHtml(order.orderNumber)}</strong> has shipped${tracking.carrier ? ` with ${escapeHtml(tracking.carrier)}` : ''}.</p>
+      ${tracking.trackingNumber ? `<p>Tracking number: <strong>${escapeHtml(tracking.trackingNumber)}</strong></p>` : ''}
+      ${itemsTable(order.items)}
+      ${button({ url: tracking.trackingUrl || getOrderUrl(order, site), label: tracking.trackingUrl ? 'Track your parcel' : 'View your order' })}`,
+    text: ({ order, customerName, tracking = {}, site }) => `
+${greeting(customerName)}
+
+Your order ${order.orderNumber} has shipped${tracking.carrier ? ` with ${tracking.carrier}` : ''}.
+${tracking.trackingNumber ? `Tracking number: ${tracking.trackingNumber}\n` : ''}
+${itemsText(order.items)}
+
+${tracking.trackingUrl ? `Track your parcel: ${tracking.trackingUrl}` : `View your order: ${getOrderUrl(order, site)}`}`
+  },
+
+  // { customerName }
+  welcome: {
+    subject: ({ site }) => `Welcome to ${site.name}`,
+    title: ({ site }) => `Welcome to ${site.name}`,
+    html: ({ customerName, site }) => `
+      <p>${escapeHtml(greeting(customerName))}</p>
+      <p>Thanks for creating an account. Your orders, wishlist and addresses are all in one place now.</p>
+      ${button({ url: `${site.url}/products`, label: 'Start shopping' })}`,
+    text: ({ customerName, site }) => `
+${greeting(customerName)}
+
+Thanks for creating an account. Your orders, wishlist and addresses are all in one place now.
+
+Start shopping: ${site.url}/products`
+  },
+
+  // { customerName, resetLink }
+  password_reset: {
+    subject: () => 'Reset your password',
+    title: () => 'Reset your password',
+    html: ({ customerName, resetLink }) => `
+      <p>${escapeHtml(greeting(customerName))}</p>
+      <p>We received a request to reset your password. The link below lets you choose a new one.</p>
+      ${button({ url: resetLink, label: 'Reset password' })}
+      <p style="color: #6b7280;">If you didn't ask for this, you can ignore this email.</p>`,
+    text: ({ customerName, resetLink }) => `
+${greeting(customerName)}
+
+We received a request to reset your password. Choose a new one here:
+${resetLink}
+
+If you didn't ask for this, you can ignore this email.`
+  },
+
+  // { campaign: { subject, title, html, text } } - campaign bodies are written by admins
+  marketing: {
+    subject: ({ campaign }) => campaign.subject,
+    title: ({ campaign }) => campaign.title || campaign.subject,
+    html: ({ campaign }) => campaign.html || `<p>${escapeHtml(campaign.text)}</p>`,
+    text: ({ campaign }) => campaign.text || String(campaign.html || '').replace(/<[^>]+>/g, '')
+  },
+
+  // { name, label, productUrl }
+  back_in_stock: {
+    subject: ({ name }) => `${name} is back in stock`,
+    title: () => 'Back in stock',
+    preheader: ({ name, label }) => `${name} (${label}) is available again.`,
+    html: ({ name, label, productUrl }) => `
+      <p>Good news! <strong>${escapeHtml(name)}</strong> (${escapeHtml(label)}) is back in stock.</p>
+      ${button({ url: productUrl, label: 'Get it before it sells out again' })}`,
+    text: ({ name, label, productUrl }) => `
+Good news! ${name} (${label}) is back in stock.
+
+Get it before it sells out again: ${productUrl}`
+  }
+};
+
+export default EMAIL_TEMPLATES;
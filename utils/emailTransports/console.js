@@ -0,0 +1,25 @@
+// Console email transport: prints each message instead of sending it. Used in
+// development when no SMTP server is configured.
+let sequence = 0;
+
+const toList = (addresses) => [].concat(addresses || []);
+
+/**
+ * Create a console transport
+ * @param {Object} options - Transport options
+ * @param {Function} options.log - Where messages are printed (default: console.log)
+ * @returns {Object} - Transport implementation
+ */
+export const createConsoleTransport = ({ log = (...args) => console.log(...args) } = {}) => ({
+  id: 'console',
+
+  async send({ from, to, subject, text }) {
+    const messageId = `<console-${Date.now()}-${++sequence}@localhost>`;
+
+    log(`Email ${messageId}\nFrom: ${from}\nTo: ${toList(to).join(', ')}\nSubject: ${subject}\n\n${text}`);
+
+    return { messageId, accepted: toList(to), rejected: [] };
+  }
+});
+
+export default createConsoleTransport();
@@ -0,0 +1,37 @@
+// File email transport: writes each message, with its HTML and text bodies,
+// as a JSON file to EMAIL_OUTBOX_DIR (default: local-data/outbox) so it can
+// be opened in development without sending anything.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_OUTBOX_DIR = path.join('local-data', 'outbox');
+
+let sequence = 0;
+
+const toList = (addresses) => [].concat(addresses || []);
+
+/**
+ * Create a file transport
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Outbox directory (defaults to EMAIL_OUTBOX_DIR)
+ * @returns {Object} - Transport implementation
+ */
+export const createFileTransport = ({ directory = null } = {}) => ({
+  id: 'file',
+
+  async send(message) {
+    const outbox = directory || process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    const name = `${Date.now()}-${++sequence}`;
+    const messageId = `<file-${name}@localhost>`;
+
+    await fs.mkdir(outbox, { recursive: true });
+    await fs.writeFile(
+      path.join(outbox, `${name}.json`),
+      JSON.stringify({ messageId, ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId, accepted: toList(message.to), rejected: [] };
+  }
+});
+
+export default createFileTransport();
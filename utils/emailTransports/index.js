@@ -0,0 +1,72 @@
+/**
+ * Email transport registry. emailService sends every message through the
+ * transport selected here, so adding a delivery method (an API-based
+ * provider, say) means writing a transport module and registering it.
+ *
+ * A transport is an object with:
+ * - id {string}: stored on the email record as `transport`
+ * - send({ from, to, replyTo, subject, html, text, headers })
+ *     => { messageId, accepted, rejected } where accepted and rejected list
+ *     recipient addresses. A transport throws when nothing could be sent.
+ *
+ * EMAIL_TRANSPORT picks the transport by ID. Without it, SMTP is used when
+ * EMAIL_HOST is set and the console transport otherwise.
+ */
+import { createError } from '../errorHandler';
+import smtpTransport from './smtp';
+import fileTransport from './file';
+import consoleTransport from './console';
+
+const transports = new Map();
+
+/**
+ * Register an email transport, replacing any transport with the same id
+ * @param {Object} transport - Transport implementation
+ * @returns {Object} - The registered transport
+ */
+export const registerEmailTransport = (transport) => {
+  if (!transport?.id || typeof transport.send !== 'function') {
+    throw createError('VALIDATION', `Invalid email transport ${transport?.id || ''}`.trim());
+  }
+
+  transports.set(transport.id, transport);
+  return transport;
+};
+
+/**
+ * Remove a registered email transport
+ * @param {string} transportId - Transport ID
+ */
+export const unregisterEmailTransport = (transportId) => {
+  transports.delete(transportId);
+};
+
+/**
+ * Get an email transport by ID
+ * @param {string} transportId - Transport ID
+ * @returns {Object} - Transport implementation
+ */
+export const getEmailTransport = (transportId) => {
+  const transport = transports.get(transportId);
+
+  if (!transport) {
+    throw createError('VALIDATION', `Unknown email transport: ${transportId}`, { field: 'transport' });
+  }
+
+  return transport;
+};
+
+/**
+ * Get the transport emails are currently sent through
+ * @returns {Object} - Transport implementation
+ */
+export const selectEmailTransport = () => {
+  const transportId = process.env.EMAIL_TRANSPORT ||
+    (process.env.EMAIL_HOST ? smtpTransport.id : consoleTransport.id);
+
+  return getEmailTransport(transportId);
+};
+
+registerEmailTransport(smtpTransport);
+registerEmailTransport(fileTransport);
+registerEmailTransport(consoleTransport);
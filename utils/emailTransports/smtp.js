@@ -0,0 +1,70 @@
+// SMTP email transport through Nodemailer. The server is configured with
+// EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE (TLS from the start, usually port 465),
+// EMAIL_USER and EMAIL_PASSWORD. Nodemailer is only loaded when the first
+// message is sent, so importing emailService stays cheap.
+
+/**
+ * Read the SMTP settings from the environment
+ * @returns {Object} - { host, port, secure, user, password }
+ */
+const getEnvConfig = () => ({
+  host: process.env.EMAIL_HOST,
+  port: Number(process.env.EMAIL_PORT) || 587,
+  secure: process.env.EMAIL_SECURE === 'true',
+  user: process.env.EMAIL_USER,
+  password: process.env.EMAIL_PASSWORD
+});
+
+/**
+ * Create an SMTP transport
+ * @param {Object} config - Server settings; any left out are read from the environment when sending
+ * @returns {Object} - Transport implementation
+ */
+export const createSmtpTransport = (config = {}) => {
+  let transporter = null;
+  let transporterKey = null;
+
+  // Reuse the pooled connection until the settings change
+  const getTransporter = async () => {
+    const { host, port, secure, user, password } = { ...getEnvConfig(), ...config };
+    const key = JSON.stringify([host, port, secure, user, password]);
+
+    if (!transporter || transporterKey !== key) {
+      const { default: nodemailer } = await import('nodemailer');
+
+      transporter?.close();
+      transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        pool: true,
+        ...(user ? { auth: { user, pass: password } } : {})
+      });
+      transporterKey = key;
+    }
+
+    return transporter;
+  };
+
+  return {
+    id: 'smtp',
+
+    async send({ from, to, replyTo, subject, html, text, headers }) {
+      const info = await (await getTransporter()).sendMail({ from, to, replyTo, subject, html, text, headers });
+
+      return {
+        messageId: info.messageId,
+        accepted: (info.accepted || []).map(String),
+        rejected: (info.rejected || []).map(String)
+      };
+    },
+
+    close() {
+      transporter?.close();
+      transporter = null;
+      transporterKey = null;
+    }
+  };
+};
+
+export default createSmtpTransport();
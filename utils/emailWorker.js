@@ -0,0 +1,148 @@
+// Email Worker: sends the emails waiting in the queue (see emailQueue)
+// through emailService, whatever transport it is configured with. Runs on a
+// schedule through /api/cron/process-email-queue (see functions/index.js),
+// or locally with `npm run process-email-queue`.
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { sendEmail } from './emailService';
+import { EMAIL_QUEUE_STATUSES, EMAIL_QUEUE_CONFIG, getRetryDelay } from './emailQueue';
+
+/**
+ * Claim a due email for this run. The claim counts as an attempt and leases
+ * the email for LEASE_MS, so a worker that dies mid-send does not lose it and
+ * two workers never send it at the same time.
+ * @param {string} queueId - Queued email ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Claimed email, or null if it is no longer due
+ */
+const claimEmail = async (queueId, now) => {
+  const queueRef = doc(db, 'emailQueue', queueId);
+
+  return runTransaction(db, async (transaction) => {
+    const queueSnap = await transaction.get(queueRef);
+
+    if (!queueSnap.exists()) {
+      return null;
+    }
+
+    const email = queueSnap.data();
+    const due = [EMAIL_QUEUE_STATUSES.PENDING, EMAIL_QUEUE_STATUSES.SENDING].includes(email.status) &&
+      new Date(email.nextAttemptAt) <= now;
+
+    if (!due) {
+      return null;
+    }
+
+    const attempts = (email.attempts || 0) + 1;
+
+    transaction.update(queueRef, {
+      status: EMAIL_QUEUE_STATUSES.SENDING,
+      attempts,
+      nextAttemptAt: new Date(now.getTime() + EMAIL_QUEUE_CONFIG.LEASE_MS).toISOString(),
+      updatedAt: serverTimestamp()
+    });
+
+    return { ...email, id: queueId, attempts };
+  });
+};
+
+/**
+ * Record a failed attempt: retry later, or give up once the attempts run out.
+ * Emails that can never be sent (e.g. an unknown template) give up at once.
+ * @param {Object} email - Claimed email
+ * @param {Error} error - Why the send failed
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} - New status
+ */
+const recordFailure = async (email, error, now) => {
+  const permanent = error.code === 'VALIDATION_ERROR';
+  const dead = permanent || email.attempts >= (email.maxAttempts || EMAIL_QUEUE_CONFIG.MAX_ATTEMPTS);
+  const lastError = error.originalError?.message || error.message;
+
+  await updateDoc(doc(db, 'emailQueue', email.id), dead
+    ? {
+      status: EMAIL_QUEUE_STATUSES.DEAD,
+      lastError,
+      deadAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+    : {
+      status: EMAIL_QUEUE_STATUSES.PENDING,
+      lastError,
+      nextAttemptAt: new Date(now.getTime() + getRetryDelay(email.attempts)).toISOString(),
+      updatedAt: serverTimestamp()
+    });
+
+  return dead ? EMAIL_QUEUE_STATUSES.DEAD : EMAIL_QUEUE_STATUSES.PENDING;
+};
+
+/**
+ * Send the emails that are due: new ones, failed ones whose retry delay has
+ * passed, and ones a crashed worker left leased. Each email is handled on
+ * its own, so one failure does not stop the run.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {number} options.max - Most emails to send in this run
+ * @returns {Promise<Object>} - { sent, retrying, dead }
+ */
+export const processEmailQueue = async ({ now = new Date(), max = EMAIL_QUEUE_CONFIG.BATCH_SIZE } = {}) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'emailQueue'),
+    where('status', 'in', [EMAIL_QUEUE_STATUSES.PENDING, EMAIL_QUEUE_STATUSES.SENDING]),
+    where('nextAttemptAt', '<=', now.toISOString()),
+    orderBy('nextAttemptAt'),
+    limit(max)
+  ));
+  const summary = { sent: 0, retrying: [], dead: [] };
+
+  for (const queueDoc of snapshot.docs) {
+    const email = await claimEmail(queueDoc.id, now);
+
+    if (!email) {
+      continue;
+    }
+
+    try {
+      const result = await sendEmail({
+        ...email.message,
+        metadata: { ...email.message.metadata, queueId: email.id, attempt: email.attempts }
+      });
+
+      await updateDoc(doc(db, 'emailQueue', email.id), {
+        status: EMAIL_QUEUE_STATUSES.SENT,
+        messageId: result.messageId,
+        transport: result.transport,
+        lastError: null,
+        sentAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      summary.sent++;
+    } catch (error) {
+      // If even the failure can't be recorded, the lease runs out and the
+      // email is picked up again
+      const status = await recordFailure(email, error, now).catch(recordError => {
+        console.error(`Error recording failed email ${email.id}:`, recordError);
+        return EMAIL_QUEUE_STATUSES.SENDING;
+      });
+
+      summary[status === EMAIL_QUEUE_STATUSES.DEAD ? 'dead' : 'retrying'].push({ queueId: email.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  processEmailQueue
+};
@@ -0,0 +1,155 @@
+/**
+ * Indian GST calculation. Intra-state supplies are taxed as CGST + SGST and
+ * inter-state supplies as IGST, decided by comparing the seller's state with
+ * the place of supply (the shipping address state).
+ */
+
+/**
+ * Seller registration details used for place-of-supply and invoicing
+ */
+export const SELLER_CONFIG = {
+  name: process.env.NEXT_PUBLIC_SELLER_NAME || 'Rangya',
+  address: process.env.NEXT_PUBLIC_SELLER_ADDRESS || 'Surat, Gujarat',
+  state: process.env.NEXT_PUBLIC_SELLER_STATE || 'Gujarat',
+  gstin: process.env.NEXT_PUBLIC_SELLER_GSTIN || ''
+};
+
+export const SUPPLY_TYPES = {
+  INTRA_STATE: 'intra_state',
+  INTER_STATE: 'inter_state'
+};
+
+/**
+ * Tax slabs a product can be assigned to (`product.taxSlab`). Rates are in
+ * percent; `maxUnitPrice` bands are checked in order against the taxable
+ * value of a single piece, so cheaper apparel falls into the lower rate.
+ */
+export const GST_SLABS = {
+  apparel: {
+    label: 'Apparel',
+    bands: [
+      { maxUnitPrice: 2500, rate: 5 },
+      { maxUnitPrice: null, rate: 18 }
+    ]
+  },
+  footwear: {
+    label: 'Footwear',
+    bands: [
+      { maxUnitPrice: 2500, rate: 5 },
+      { maxUnitPrice: null, rate: 18 }
+    ]
+  },
+  standard: {
+    label: 'Standard (18%)',
+    bands: [{ maxUnitPrice: null, rate: 18 }]
+  },
+  exempt: {
+    label: 'Exempt',
+    bands: [{ maxUnitPrice: null, rate: 0 }]
+  }
+};
+
+export const DEFAULT_TAX_SLAB = 'apparel';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Determine whether a supply is intra-state or inter-state. An unknown
+ * destination (e.g. the cart before an address is entered) is treated as
+ * intra-state; the total tax is the same either way.
+ * @param {string} destinationState - Shipping address state
+ * @returns {string} - One of SUPPLY_TYPES
+ */
+export const getSupplyType = (destinationState) => {
+  if (!destinationState || normalizeState(destinationState) === normalizeState(SELLER_CONFIG.state)) {
+    return SUPPLY_TYPES.INTRA_STATE;
+  }
+
+  return SUPPLY_TYPES.INTER_STATE;
+};
+
+/**
+ * Get the GST rate for a product slab at a given per-piece taxable value
+ * @param {string} taxSlab - Slab ID from GST_SLABS
+ * @param {number} unitValue - Taxable value of a single piece
+ * @returns {number} - Rate in percent
+ */
+export const getGstRate = (taxSlab, unitValue) => {
+  const slab = GST_SLABS[taxSlab] || GST_SLABS[DEFAULT_TAX_SLAB];
+  const band = slab.bands.find(({ maxUnitPrice }) => maxUnitPrice === null || unitValue <= maxUnitPrice);
+
+  return band.rate;
+};
+
+/**
+ * Calculate itemized GST for an order. The order-level discount is spread
+ * across lines in proportion to their value before the rate is chosen,
+ * because the slab depends on the actual transaction value per piece.
+ * @param {Object} params - Tax input
+ * @param {Array} params.items - Priced items ({ id, price, quantity, hsnCode, taxSlab })
+ * @param {number} params.discount - Order-level discount amount
+ * @param {string} params.destinationState - Shipping address state
+ * @returns {Object} - { sellerState, placeOfSupply, supplyType, cgst, sgst, igst, total, lines }
+ */
+export const calculateGst = ({ items = [], discount = 0, destinationState }) => {
+  const supplyType = getSupplyType(destinationState);
+  const grossTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const appliedDiscount = round(Math.min(Math.max(0, discount), grossTotal));
+  let remainingDiscount = appliedDiscount;
+
+  const lines = items.map((item, index) => {
+    const lineValue = item.price * item.quantity;
+    // The last line absorbs rounding so line discounts add up exactly
+    const lineDiscount = index === items.length - 1
+      ? remainingDiscount
+      : round(grossTotal > 0 ? (appliedDiscount * lineValue) / grossTotal : 0);
+    remainingDiscount = round(remainingDiscount - lineDiscount);
+
+    const taxableValue = round(lineValue - lineDiscount);
+    const rate = getGstRate(item.taxSlab, item.quantity > 0 ? taxableValue / item.quantity : 0);
+    const tax = round((taxableValue * rate) / 100);
+    const cgst = supplyType === SUPPLY_TYPES.INTRA_STATE ? round(tax / 2) : 0;
+
+    return {
+      productId: item.productId || item.id,
+      name: item.name || '',
+      size: item.size || null,
+      sku: item.sku || null,
+      hsnCode: item.hsnCode || null,
+      quantity: item.quantity,
+      taxableValue,
+      rate,
+      cgst,
+      sgst: supplyType === SUPPLY_TYPES.INTRA_STATE ? round(tax - cgst) : 0,
+      igst: supplyType === SUPPLY_TYPES.INTER_STATE ? tax : 0
+    };
+  });
+
+  const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+
+  return {
+    sellerState: SELLER_CONFIG.state,
+    placeOfSupply: destinationState || SELLER_CONFIG.state,
+    supplyType,
+    cgst,
+    sgst,
+    igst,
+    total: round(cgst + sgst + igst),
+    lines
+  };
+};
+
+export default {
+  SELLER_CONFIG,
+  SUPPLY_TYPES,
+  GST_SLABS,
+  DEFAULT_TAX_SLAB,
+  getSupplyType,
+  getGstRate,
+  calculateGst
+};
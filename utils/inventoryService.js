@@ -0,0 +1,287 @@
+// Inventory Service: the append-only ledger of stock movements. Every change
+// to a product's stock (a sale, a return, a cancelled order put back, a
+// delivery or a manual correction) is recorded in `inventoryMovements` with
+// its signed quantity, the resulting balance, the order it belongs to, who
+// made it and why. Summing a product's movements gives its on-hand stock.
+//
+// Movements are written in the same transaction as the stock change they
+// describe, and are never updated or deleted.
+//
+// Each size or variant also has a low-stock threshold: the product's own
+// `lowStockThresholds.{stockKey}`, or DEFAULT_LOW_STOCK_THRESHOLD.
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { hasVariants, getVariantLabel } from './productVariants';
+
+/**
+ * Why stock changed
+ */
+export const INVENTORY_MOVEMENT_TYPES = {
+  SALE: 'sale',
+  RETURN: 'return',
+  CANCEL: 'cancel',
+  ADJUSTMENT: 'adjustment',
+  RESTOCK: 'restock'
+};
+
+// Reason recorded on the adjustment that starts the ledger of stock that
+// predates it
+export const OPENING_BALANCE_REASON = 'Opening balance';
+
+// Stock level at or below which a size or variant is low, unless the product
+// sets its own threshold for it
+export const DEFAULT_LOW_STOCK_THRESHOLD = 3;
+
+/**
+ * Record a stock movement inside the transaction that changes the stock
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} movement - Movement data
+ * @param {string} movement.productId - Product ID
+ * @param {string} movement.stockKey - Size or variant ID the stock is kept under ('' for a single stock number)
+ * @param {string} movement.type - One of INVENTORY_MOVEMENT_TYPES
+ * @param {number} movement.quantity - Signed change (negative for units leaving stock)
+ * @param {number} movement.balance - Stock after the movement
+ * @param {string} movement.orderId - Order the movement belongs to (optional)
+ * @param {string} movement.actor - User ID of who made the change; system changes are recorded as 'system'
+ * @param {string} movement.reason - Why the stock changed (required for adjustments)
+ * @param {string} movement.receiptId - Purchase-order receipt the units arrived with (optional)
+ * @returns {string} - Movement ID
+ */
+export const recordMovement = (transaction, {
+  productId,
+  stockKey,
+  size = null,
+  variantId = null,
+  type,
+  quantity,
+  balance,
+  orderId = null,
+  actor = null,
+  reason = null,
+  receiptId = null
+}) => {
+  const movementRef = doc(collection(db, 'inventoryMovements'));
+
+  transaction.set(movementRef, {
+    productId,
+    stockKey: String(stockKey ?? ''),
+    size: size || null,
+    variantId: variantId || null,
+    type,
+    quantity,
+    balance,
+    orderId: orderId || null,
+    actor: actor || 'system',
+    reason: reason || null,
+    ...(receiptId ? { receiptId } : {}),
+    createdAt: serverTimestamp()
+  });
+
+  return movementRef.id;
+};
+
+/**
+ * Get a product's stock movements, newest first
+ * @param {string} productId - Product ID
+ * @param {Object} options - Options
+ * @param {string} options.stockKey - Only movements of this size or variant
+ * @param {number} options.max - Most movements to return
+ * @returns {Promise<Array>} - Movements
+ */
+export const getInventoryMovements = async (productId, { stockKey = null, max = 100 } = {}) => {
+  const constraints = [where('productId', '==', productId)];
+
+  if (stockKey !== null) {
+    constraints.push(where('stockKey', '==', String(stockKey)));
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'inventoryMovements'),
+    ...constraints,
+    orderBy('createdAt', 'desc'),
+    limit(max)
+  ));
+
+  return snapshot.docs.map(movementDoc => ({ id: movementDoc.id, ...movementDoc.data() }));
+};
+
+/**
+ * Sum movements into on-hand stock per size or variant
+ * @param {Array} movements - Movements
+ * @returns {Object} - Quantity by stock key
+ */
+export const sumMovements = (movements = []) => {
+  return movements.reduce((totals, movement) => {
+    const key = movement.stockKey || '';
+    totals[key] = (totals[key] || 0) + (Number(movement.quantity) || 0);
+    return totals;
+  }, {});
+};
+
+/**
+ * Work out the signed changes that turn one stock map into another, e.g.
+ * when an admin edits stock levels on the product form
+ * @param {Object} previous - Stock by size or variant ID before the edit
+ * @param {Object} next - Stock by size or variant ID after the edit
+ * @returns {Object} - Non-zero changes by size or variant ID
+ */
+export const getStockChanges = (previous = {}, next = {}) => {
+  const changes = {};
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(key => {
+    const change = (Number(next[key]) || 0) - (Number(previous[key]) || 0);
+
+    if (change !== 0) {
+      changes[key] = change;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Derive a product's on-hand stock from its full movement history
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} - Quantity by stock key
+ */
+export const getLedgerStock = async (productId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'inventoryMovements'),
+    where('productId', '==', productId)
+  ));
+
+  return sumMovements(snapshot.docs.map(movementDoc => movementDoc.data()));
+};
+
+/**
+ * Get the low-stock threshold of a size or variant
+ * @param {Object} product - Product data
+ * @param {string} stockKey - Size or variant ID
+ * @returns {number} - Threshold
+ */
+export const getLowStockThreshold = (product, stockKey) => {
+  const threshold = product?.lowStockThresholds?.[stockKey];
+  return threshold === undefined || threshold === null ? DEFAULT_LOW_STOCK_THRESHOLD : Number(threshold);
+};
+
+/**
+ * List the sizes or variants a product keeps stock under
+ * @param {Object} product - Product data
+ * @returns {Array} - [{ stockKey, size, variantId, sku, label, quantity, threshold }]
+ */
+export const getStockLines = (product) => {
+  if (!product) {
+    return [];
+  }
+
+  const toLine = (line) => ({ ...line, threshold: getLowStockThreshold(product, line.stockKey) });
+
+  if (typeof product.stock === 'number') {
+    return [toLine({ stockKey: '', size: null, variantId: null, sku: null, label: 'All sizes', quantity: product.stock })];
+  }
+
+  const stock = (product.stock && typeof product.stock === 'object' ? product.stock : product.sizes) || {};
+
+  if (hasVariants(product)) {
+    return product.variants.map(variant => toLine({
+      stockKey: variant.id,
+      size: variant.size,
+      variantId: variant.id,
+      sku: variant.sku,
+      label: getVariantLabel(variant),
+      quantity: Number(stock[variant.id]) || 0
+    }));
+  }
+
+  return Object.keys(stock).map(size => toLine({
+    stockKey: size,
+    size,
+    variantId: null,
+    sku: null,
+    label: `Size ${size}`,
+    quantity: Number(stock[size]) || 0
+  }));
+};
+
+/**
+ * Get the sizes or variants of a product at or below their threshold
+ * @param {Object} product - Product data
+ * @returns {Array} - Stock lines
+ */
+export const getLowStockLines = (product) => {
+  return getStockLines(product).filter(line => line.quantity <= line.threshold);
+};
+
+/**
+ * Get every size or variant in the catalogue at or below its threshold,
+ * emptiest first
+ * @returns {Promise<Array>} - Stock lines with productId and name
+ */
+export const getLowStockItems = async () => {
+  const snapshot = await getDocs(collection(db, 'products'));
+
+  return snapshot.docs
+    .flatMap(productDoc => {
+      const product = productDoc.data();
+      return getLowStockLines(product).map(line => ({
+        ...line,
+        productId: productDoc.id,
+        name: product.name || product.name_en || productDoc.id
+      }));
+    })
+    .sort((a, b) => a.quantity - b.quantity || a.name.localeCompare(b.name));
+};
+
+/**
+ * Set a product's low-stock thresholds per size or variant
+ * @param {string} productId - Product ID
+ * @param {Object} thresholds - Threshold by size or variant ID
+ * @returns {Promise<Object>} - Saved thresholds
+ */
+export const setLowStockThresholds = async (productId, thresholds = {}) => {
+  const lowStockThresholds = {};
+
+  Object.entries(thresholds).forEach(([stockKey, value]) => {
+    const threshold = Number(value);
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw createError('VALIDATION', `Low-stock threshold for ${stockKey || 'all sizes'} must be a whole number of 0 or more`, {
+        field: 'lowStockThresholds',
+        stockKey
+      });
+    }
+
+    lowStockThresholds[stockKey] = threshold;
+  });
+
+  await updateDoc(doc(db, 'products', productId), { lowStockThresholds, updatedAt: serverTimestamp() });
+
+  return lowStockThresholds;
+};
+
+export default {
+  INVENTORY_MOVEMENT_TYPES,
+  OPENING_BALANCE_REASON,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  recordMovement,
+  getInventoryMovements,
+  sumMovements,
+  getStockChanges,
+  getLedgerStock,
+  getLowStockThreshold,
+  getStockLines,
+  getLowStockLines,
+  getLowStockItems,
+  setLowStockThresholds
+};
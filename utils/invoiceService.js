@@ -0,0 +1,213 @@
+import { doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { SELLER_CONFIG, calculateGst } from './gstService';
+
+export const INVOICE_PREFIX = 'RNG';
+
+// Statuses in which an order has been paid for or confirmed and is invoiced
+export const INVOICEABLE_STATUSES = ['processing', 'shipped', 'delivered'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Get the Indian financial year (April to March) for a date, e.g. "2026-27".
+ * The year turns at midnight IST whatever the server's time zone.
+ * @param {Date} date - Date to check
+ * @returns {string} - Financial year label
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format an invoice number, e.g. "RNG/2026-27/00042"
+ * @param {string} financialYear - Financial year label
+ * @param {number} sequence - Sequence number within the financial year
+ * @returns {string} - Invoice number
+ */
+export const formatInvoiceNumber = (financialYear, sequence) => {
+  return `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+};
+
+/**
+ * Flatten an address object into printable lines
+ * @param {Object} address - Address object
+ * @returns {Array<string>} - Address lines
+ */
+export const formatAddressLines = (address) => {
+  if (!address) return [];
+
+  return [
+    `${address.flatNo || address.buildingNo || ''} ${address.buildingName || ''}`.trim(),
+    address.street || address.line1 || address.address || '',
+    address.landmark || '',
+    [address.city, address.state].filter(Boolean).join(', '),
+    [address.postalCode || address.zipCode, address.country].filter(Boolean).join(' - ')
+  ].filter(line => line.trim() !== '');
+};
+
+/**
+ * Build the invoice snapshot for an order. Orders created before itemized GST
+ * was stored are taxed from their items so old orders can still be invoiced.
+ * @param {Object} order - Order data
+ * @returns {Object} - Invoice fields (without number and timestamps)
+ */
+export const buildInvoiceData = (order) => {
+  const totals = order.totals || {};
+  const shippingAddress = order.shipping?.address || order.shippingAddress || null;
+  const billingAddress = order.billing?.address || shippingAddress;
+  const items = (order.items || []).map(item => ({
+    ...item,
+    price: Number(item.price ?? item.unitPrice) || 0,
+    quantity: Number(item.quantity ?? item.qty) || 0
+  }));
+  const discount = Number(order.discount ?? totals.discount) || 0;
+  const gst = order.gst || totals.gst || calculateGst({
+    items,
+    discount,
+    destinationState: shippingAddress?.state
+  });
+  const subtotal = Number(order.subtotal ?? totals.subtotal) ||
+    round(items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+  const shippingCost = Number(order.shippingCost ?? order.shippingFee ?? totals.shippingCost) || 0;
+  const codFee = Number(order.codFee ?? totals.codFee) || 0;
+
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber || null,
+    userId: order.userId || null,
+    seller: {
+      name: SELLER_CONFIG.name,
+      gstin: SELLER_CONFIG.gstin,
+      state: SELLER_CONFIG.state,
+      addressLines: formatAddressLines({ street: SELLER_CONFIG.address })
+    },
+    buyer: {
+      name: order.customer?.fullName || shippingAddress?.fullName || '',
+      email: order.customer?.email || order.userEmail || '',
+      phone: order.customer?.phone || shippingAddress?.phone || '',
+      billingAddressLines: formatAddressLines(billingAddress),
+      shippingAddressLines: formatAddressLines(shippingAddress)
+    },
+    placeOfSupply: gst.placeOfSupply,
+    supplyType: gst.supplyType,
+    lines: gst.lines,
+    cgst: gst.cgst,
+    sgst: gst.sgst,
+    igst: gst.igst,
+    subtotal,
+    discount,
+    shippingCost,
+    codFee,
+    tax: gst.total,
+    total: Number(order.total ?? order.totalAmount ?? totals.total) ||
+      round(subtotal - discount + shippingCost + codFee + gst.total)
+  };
+};
+
+/**
+ * Issue a GST invoice for an order. The per-financial-year counter, the
+ * invoice document and the order's invoice reference are written in one
+ * transaction, so a number is only consumed when its invoice exists and
+ * the sequence has no gaps. Issuing twice returns the existing invoice.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} - Issued invoice
+ */
+export const issueInvoice = async (orderId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const orderRef = doc(db, 'orders', orderId);
+
+  const invoiceId = await runTransaction(db, async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+
+    if (!orderSnap.exists()) {
+      throw createError('NOT_FOUND', `Order ${orderId} not found`);
+    }
+
+    const order = { id: orderSnap.id, ...orderSnap.data() };
+
+    if (order.invoice?.id) {
+      return order.invoice.id;
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw createError('VALIDATION', 'An invoice can only be issued once the order is confirmed', {
+        status: order.status
+      });
+    }
+
+    const financialYear = getFinancialYear();
+    const counterRef = doc(db, 'invoiceCounters', financialYear);
+    const counterSnap = await transaction.get(counterRef);
+    const sequence = (counterSnap.exists() ? counterSnap.data().lastSequence || 0 : 0) + 1;
+    const invoiceNumber = formatInvoiceNumber(financialYear, sequence);
+    const newInvoiceId = invoiceNumber.replace(/\//g, '-');
+
+    transaction.set(counterRef, {
+      financialYear,
+      lastSequence: sequence,
+      updatedAt: serverTimestamp()
+    });
+
+    transaction.set(doc(db, 'invoices', newInvoiceId), {
+      ...buildInvoiceData(order),
+      invoiceNumber,
+      financialYear,
+      sequence,
+      issuedAt: serverTimestamp()
+    });
+
+    transaction.update(orderRef, {
+      invoice: {
+        id: newInvoiceId,
+        number: invoiceNumber,
+        issuedAt: new Date().toISOString()
+      },
+      updatedAt: serverTimestamp()
+    });
+
+    return newInvoiceId;
+  });
+
+  return getInvoice(invoiceId);
+};
+
+/**
+ * Get an invoice by ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object|null>} - Invoice or null if not found
+ */
+export const getInvoice = async (invoiceId) => {
+  const invoiceSnap = await getDoc(doc(db, 'invoices', invoiceId));
+
+  if (!invoiceSnap.exists()) {
+    return null;
+  }
+
+  const invoice = invoiceSnap.data();
+
+  return {
+    id: invoiceSnap.id,
+    ...invoice,
+    issuedAt: invoice.issuedAt?.toDate ? invoice.issuedAt.toDate().toISOString() : invoice.issuedAt
+  };
+};
+
+export default {
+  INVOICE_PREFIX,
+  INVOICEABLE_STATUSES,
+  getFinancialYear,
+  formatInvoiceNumber,
+  formatAddressLines,
+  buildInvoiceData,
+  issueInvoice,
+  getInvoice
+};
@@ -0,0 +1,70 @@
+/**
+ * SMS and WhatsApp template registry. A template turns one kind of event into
+ * the values of a pre-registered gateway template (see ./templates).
+ *
+ * A template is an object with:
+ * - sms {string}: the DLT-registered text, with {#var#} for each value
+ * - dltTemplateId {string}: DLT template ID; SMS can't be sent without it
+ * - whatsappTemplate {string}: approved WhatsApp template name
+ * - language {string}: WhatsApp template language (default: en)
+ * - params(variables) {Array<string>}: one value per {#var#}, in order
+ *
+ * Every template also gets `site` ({ name, url }). Values are cut to the 30
+ * characters DLT allows.
+ */
+import { createError } from '../errorHandler';
+import { MESSAGE_TEMPLATES } from './templates';
+
+const DLT_VARIABLE = '{#var#}';
+const DLT_VARIABLE_MAX_LENGTH = 30;
+
+const templates = new Map();
+
+/**
+ * Register a message template, replacing any template with the same name
+ * @param {string} name - Template name, e.g. order_shipped
+ * @param {Object} template - Template implementation
+ * @returns {Object} - The registered template
+ */
+export const registerMessageTemplate = (name, template) => {
+  if (!name || typeof template?.sms !== 'string' || typeof template.params !== 'function') {
+    throw createError('VALIDATION', `Invalid message template ${name || ''}`.trim());
+  }
+
+  templates.set(name, template);
+  return template;
+};
+
+/**
+ * Render a message from its template
+ * @param {string} name - Template name
+ * @param {Object} variables - Event variables
+ * @param {Object} site - { name, url }
+ * @returns {Object} - { name, dltTemplateId, whatsappTemplate, language, params, body }
+ */
+export const renderMessageTemplate = (name, variables = {}, site) => {
+  const template = templates.get(name);
+
+  if (!template) {
+    throw createError('VALIDATION', `Unknown message template: ${name}`, { field: 'template' });
+  }
+
+  const params = template.params({ ...variables, site })
+    .map(value => String(value ?? '').slice(0, DLT_VARIABLE_MAX_LENGTH));
+  const slots = template.sms.split(DLT_VARIABLE).length - 1;
+
+  if (params.length !== slots) {
+    throw createError('VALIDATION', `Message template ${name} has ${slots} values but got ${params.length}`);
+  }
+
+  return {
+    name,
+    dltTemplateId: template.dltTemplateId || null,
+    whatsappTemplate: template.whatsappTemplate || name,
+    language: template.language || 'en',
+    params,
+    body: template.sms.split(DLT_VARIABLE).reduce((body, part, index) => `${body}${params[index - 1]}${part}`)
+  };
+};
+
+Object.entries(MESSAGE_TEMPLATES).forEach(([name, template]) => registerMessageTemplate(name, template));
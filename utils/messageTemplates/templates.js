@@ -0,0 +1,63 @@
+// SMS and WhatsApp templates, one per event. In India every transactional SMS
+// must match a template registered on the DLT platform word for word, with
+// {#var#} where values go, so `sms` is the registered text and the DLT
+// template ID comes from the environment. WhatsApp templates are approved in
+// the WhatsApp Business account under `whatsappTemplate` and take the same
+// `params`, in the same order. DLT values are at most 30 characters, so links
+// are part of the registered text rather than values.
+import { formatCurrency } from '../helpers';
+
+const getOrderNumber = (order) => order.orderNumber || order.id;
+const getOrderTotal = (order) => order.total ?? order.totalAmount ?? 0;
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+// SMS is sent in the GSM character set, which has no rupee sign
+const formatAmount = (amount) => formatCurrency(amount, false);
+
+export const MESSAGE_TEMPLATES = {
+  // { order, customerName }
+  order_confirmation: {
+    dltTemplateId: process.env.DLT_TEMPLATE_ORDER_CONFIRMATION || null,
+    whatsappTemplate: 'order_confirmation',
+    sms: 'Dear {#var#}, your Rangya order {#var#} of Rs {#var#} is confirmed. Track it at rangya.com/account/orders - RANGYA',
+    params: ({ order, customerName }) => [
+      customerName || 'Customer',
+      getOrderNumber(order),
+      formatAmount(getOrderTotal(order))
+    ]
+  },
+
+  // { order, customerName, status }
+  order_status_update: {
+    dltTemplateId: process.env.DLT_TEMPLATE_ORDER_STATUS_UPDATE || null,
+    whatsappTemplate: 'order_status_update',
+    sms: 'Dear {#var#}, your Rangya order {#var#} is now {#var#}. Details at rangya.com/account/orders - RANGYA',
+    params: ({ order, customerName, status }) => [
+      customerName || 'Customer',
+      getOrderNumber(order),
+      formatStatus(status || order.status)
+    ]
+  },
+
+  // { order, customerName, tracking: { trackingNumber, carrier, trackingUrl } }
+  order_shipped: {
+    dltTemplateId: process.env.DLT_TEMPLATE_ORDER_SHIPPED || null,
+    whatsappTemplate: 'order_shipped',
+    sms: 'Dear {#var#}, your Rangya order {#var#} has shipped via {#var#}, tracking number {#var#}. Track it at rangya.com/account/orders - RANGYA',
+    params: ({ order, customerName, tracking = {} }) => [
+      customerName || 'Customer',
+      getOrderNumber(order),
+      tracking.carrier || 'courier',
+      tracking.trackingNumber || 'to follow'
+    ]
+  },
+
+  // { code, validMinutes }
+  otp: {
+    dltTemplateId: process.env.DLT_TEMPLATE_OTP || null,
+    whatsappTemplate: 'otp',
+    sms: '{#var#} is your Rangya verification code. It is valid for {#var#} minutes. Do not share it with anyone. - RANGYA',
+    params: ({ code, validMinutes = 10 }) => [code, String(validMinutes)]
+  }
+};
+
+export default MESSAGE_TEMPLATES;
@@ -0,0 +1,40 @@
+// Fake messaging provider: records each message in memory instead of sending
+// it. Used in development when no gateway is configured, and by tests, which
+// create their own with createFakeMessagingProvider() to inspect `messages`.
+import { createError } from '../errorHandler';
+
+/**
+ * Create a fake messaging provider
+ * @param {Object} options - Provider options
+ * @param {string} options.id - Provider ID (default: fake)
+ * @param {Array<string>} options.channels - Channels it serves (default: sms, whatsapp)
+ * @param {Array<string>} options.unreachable - Numbers it fails to deliver to
+ * @returns {Object} - Provider implementation with the recorded `messages`
+ */
+export const createFakeMessagingProvider = ({
+  id = 'fake',
+  channels = ['sms', 'whatsapp'],
+  unreachable = []
+} = {}) => {
+  const messages = [];
+  let sequence = 0;
+
+  return {
+    id,
+    channels,
+    messages,
+
+    async send(message) {
+      if (unreachable.includes(message.to)) {
+        throw createError('EXTERNAL_SERVICE', `${message.to} is not reachable on ${message.channel}`);
+      }
+
+      const messageId = `${message.channel}_fake_${++sequence}`;
+      messages.push({ ...message, messageId });
+
+      return { messageId, status: 'submitted' };
+    }
+  };
+};
+
+export default createFakeMessagingProvider();
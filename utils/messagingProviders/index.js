@@ -0,0 +1,84 @@
+/**
+ * Messaging provider registry. messagingService sends every SMS and WhatsApp
+ * message through a provider selected here, so adding a gateway means
+ * writing a provider module and registering it.
+ *
+ * A provider is an object with:
+ * - id {string}: stored on the message record as `provider`
+ * - channels {Array<string>}: channels it delivers on (sms, whatsapp)
+ * - send({ channel, to, template, params, body, senderId, entityId })
+ *     => { messageId, status } where `to` is an E.164 number (+91...),
+ *     `template` is { name, dltTemplateId, whatsappTemplate, language } and
+ *     `params` are the template's values in order. `body` is the SMS text
+ *     exactly as registered on DLT with the values filled in; `senderId`
+ *     (header) and `entityId` (principal entity) are the DLT registration.
+ *     A provider throws when the message was not accepted.
+ *
+ * MESSAGING_PROVIDER picks the provider (default: fake) for the channels it
+ * supports; other channels go to the first provider that supports them.
+ */
+import { createError } from '../errorHandler';
+import fakeProvider from './fake';
+
+const providers = new Map();
+
+/**
+ * Register a messaging provider, replacing any provider with the same id
+ * @param {Object} provider - Provider implementation
+ * @returns {Object} - The registered provider
+ */
+export const registerMessagingProvider = (provider) => {
+  if (!provider?.id || !Array.isArray(provider.channels) || typeof provider.send !== 'function') {
+    throw createError('VALIDATION', `Invalid messaging provider ${provider?.id || ''}`.trim());
+  }
+
+  providers.set(provider.id, provider);
+  return provider;
+};
+
+/**
+ * Remove a registered messaging provider
+ * @param {string} providerId - Provider ID
+ */
+export const unregisterMessagingProvider = (providerId) => {
+  providers.delete(providerId);
+};
+
+/**
+ * Get a messaging provider by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - Provider implementation
+ */
+export const getMessagingProvider = (providerId) => {
+  const provider = providers.get(providerId);
+
+  if (!provider) {
+    throw createError('VALIDATION', `Unknown messaging provider: ${providerId}`, { field: 'provider' });
+  }
+
+  return provider;
+};
+
+/**
+ * Pick the provider for a channel
+ * @param {string} channel - sms or whatsapp
+ * @returns {Object} - Provider implementation
+ */
+export const selectMessagingProvider = (channel) => {
+  const preferred = providers.get(process.env.MESSAGING_PROVIDER || fakeProvider.id);
+
+  if (preferred?.channels.includes(channel)) {
+    return preferred;
+  }
+
+  const provider = Array.from(providers.values())
+    .find(candidate => candidate.channels.includes(channel));
+
+  if (!provider) {
+    throw createError('VALIDATION', `No messaging provider for channel: ${channel}`, { field: 'channel' });
+  }
+
+  return provider;
+};
+
+registerMessagingProvider(fakeProvider);
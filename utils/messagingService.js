@@ -0,0 +1,295 @@
+// Messaging Service: SMS and WhatsApp updates for customers. Every message
+// goes through sendMessage, which renders its template (see
+// utils/messageTemplates), hands it to the provider for the channel (see
+// utils/messagingProviders) and records the delivery in `messages`.
+//
+// Customers choose their channels in `users/{uid}.notificationPreferences`;
+// the order senders below skip the channels they turned off.
+import { collection, doc, addDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { renderMessageTemplate } from './messageTemplates';
+import { selectMessagingProvider } from './messagingProviders';
+
+// DLT registration of the SMS sender
+const MESSAGING_CONFIG = {
+  senderId: process.env.SMS_SENDER_ID || 'RANGYA',
+  entityId: process.env.DLT_ENTITY_ID || null,
+  siteName: 'Rangya',
+  siteUrl: process.env.NEXT_PUBLIC_SITE_URL || 'https://rangya.com'
+};
+
+export const MESSAGE_CHANNELS = {
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp'
+};
+
+/**
+ * Delivery states stored on `messages/{id}.status`
+ */
+export const MESSAGE_STATUSES = {
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Transactional SMS is on unless turned off; WhatsApp needs the customer's
+// opt-in
+export const DEFAULT_CHANNEL_PREFERENCES = {
+  email: true,
+  sms: true,
+  whatsapp: false
+};
+
+const getSite = () => ({
+  name: MESSAGING_CONFIG.siteName,
+  url: MESSAGING_CONFIG.siteUrl
+});
+
+const getCustomerName = (user) => user.displayName || user.name || user.firstName || null;
+
+const recordDelivery = async (record) => {
+  try {
+    const messageRef = await addDoc(collection(db, 'messages'), { ...record, createdAt: serverTimestamp() });
+    return messageRef.id;
+  } catch (dbError) {
+    console.error('Error saving message to database:', dbError);
+    return null;
+  }
+};
+
+/**
+ * Normalize an Indian mobile number to E.164
+ * @param {string} phone - Number as entered, e.g. 98765 43210 or +91-9876543210
+ * @returns {string|null} - +919876543210, or null if it isn't a mobile number
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+
+  return /^[6-9]\d{9}$/.test(digits) ? `+91${digits}` : null;
+};
+
+/**
+ * Get a customer's channel preferences, with defaults for channels they never set
+ * @param {Object} user - User data
+ * @returns {Object} - { email, sms, whatsapp }
+ */
+export const getChannelPreferences = (user) => ({
+  ...DEFAULT_CHANNEL_PREFERENCES,
+  ...(user?.notificationPreferences || {})
+});
+
+/**
+ * Save a customer's channel preferences and the mobile number messages go to
+ * @param {string} userId - User ID
+ * @param {Object} preferences - { email, sms, whatsapp }
+ * @param {Object} options - Options
+ * @param {string} options.phone - Mobile number (optional)
+ * @returns {Promise<Object>} - { notificationPreferences, phone }
+ */
+export const updateChannelPreferences = async (userId, preferences, { phone } = {}) => {
+  const notificationPreferences = Object.keys(DEFAULT_CHANNEL_PREFERENCES).reduce((saved, channel) => ({
+    ...saved,
+    [channel]: preferences[channel] === undefined ? DEFAULT_CHANNEL_PREFERENCES[channel] : Boolean(preferences[channel])
+  }), {});
+  const update = { notificationPreferences, updatedAt: serverTimestamp() };
+
+  if (phone !== undefined) {
+    update.phone = normalizePhone(phone);
+
+    if (phone && !update.phone) {
+      throw createError('VALIDATION', 'Please enter a valid 10-digit mobile number', { field: 'phone' });
+    }
+  }
+
+  await updateDoc(doc(db, 'users', userId), update);
+
+  return { notificationPreferences, phone: update.phone };
+};
+
+/**
+ * Send an SMS or WhatsApp message through the channel's provider and record
+ * its delivery status in the `messages` collection
+ * @param {Object} options - Message options
+ * @param {string} options.channel - sms or whatsapp
+ * @param {string} options.to - Mobile number
+ * @param {string} options.template - Template name
+ * @param {Object} options.variables - Template variables
+ * @param {string} options.type - Kind of message (defaults to the template name)
+ * @param {Object} options.metadata - IDs the message relates to, e.g. { orderId }
+ * @returns {Promise<Object>} - { success, messageId, provider, recordId }
+ */
+export const sendMessage = async ({ channel, to, template, variables = {}, type = template, metadata = {} }) => {
+  if (!Object.values(MESSAGE_CHANNELS).includes(channel)) {
+    throw createError('VALIDATION', `Unknown message channel: ${channel}`, { field: 'channel' });
+  }
+
+  const phone = normalizePhone(to);
+
+  if (!phone) {
+    throw createError('VALIDATION', 'A valid mobile number is required', { field: 'to' });
+  }
+
+  const rendered = renderMessageTemplate(template, variables, getSite());
+
+  // DLT operators drop SMS that don't name their registered template
+  if (channel === MESSAGE_CHANNELS.SMS && !rendered.dltTemplateId) {
+    throw createError('VALIDATION', `Message template ${template} has no DLT template ID`, { field: 'template' });
+  }
+
+  const provider = selectMessagingProvider(channel);
+  const record = { channel, to: phone, template, type, metadata, provider: provider.id };
+
+  try {
+    const result = await provider.send({
+      channel,
+      to: phone,
+      template: {
+        name: rendered.name,
+        dltTemplateId: rendered.dltTemplateId,
+        whatsappTemplate: rendered.whatsappTemplate,
+        language: rendered.language
+      },
+      params: rendered.params,
+      body: rendered.body,
+      senderId: MESSAGING_CONFIG.senderId,
+      entityId: MESSAGING_CONFIG.entityId
+    });
+
+    const recordId = await recordDelivery({
+      ...record,
+      status: MESSAGE_STATUSES.SENT,
+      messageId: result.messageId,
+      providerStatus: result.status || null,
+      sentAt: serverTimestamp()
+    });
+
+    return { success: true, messageId: result.messageId, provider: provider.id, recordId };
+  } catch (error) {
+    console.error(`Error sending ${channel} message through ${provider.id}:`, error);
+
+    await recordDelivery({
+      ...record,
+      status: MESSAGE_STATUSES.FAILED,
+      error: error.message,
+      failedAt: serverTimestamp()
+    });
+
+    throw createError('EXTERNAL_SERVICE', `Failed to send ${channel} message`, error);
+  }
+};
+
+/**
+ * Send a message on every SMS/WhatsApp channel the customer turned on. A
+ * failed channel is logged and does not stop the others.
+ * @param {Object} user - User data
+ * @param {Object} options - { template, variables, type, metadata, phone }; phone
+ *   is used when the customer has none saved (e.g. the one given at checkout)
+ * @returns {Promise<Object>} - { sent, failed } channel lists
+ */
+export const notifyCustomer = async (user, { phone = null, ...message }) => {
+  const preferences = getChannelPreferences(user);
+  const to = user.phone || phone;
+  const results = { sent: [], failed: [] };
+
+  if (!to) {
+    return results;
+  }
+
+  for (const channel of Object.values(MESSAGE_CHANNELS)) {
+    if (!preferences[channel]) {
+      continue;
+    }
+
+    try {
+      await sendMessage({ ...message, channel, to });
+      results.sent.push(channel);
+    } catch (error) {
+      console.error(`Failed to send ${message.template} ${channel} message:`, error);
+      results.failed.push({ channel, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// The number the customer gave with the order
+const getOrderPhone = (order) => order.customer?.phone || order.shippingAddress?.phone || order.shipping?.address?.phone || null;
+
+/**
+ * Send order confirmation messages
+ * @param {Object} order - Order data
+ * @param {Object} user - User data
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+export const sendOrderConfirmationMessages = async (order, user) => {
+  return notifyCustomer(user, {
+    template: 'order_confirmation',
+    variables: { order, customerName: getCustomerName(user) },
+    metadata: { orderId: order.id },
+    phone: getOrderPhone(order)
+  });
+};
+
+/**
+ * Send order status update messages
+ * @param {Object} order - Order data
+ * @param {Object} user - User data
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+export const sendOrderStatusMessages = async (order, user) => {
+  return notifyCustomer(user, {
+    template: 'order_status_update',
+    variables: { order, customerName: getCustomerName(user), status: order.status },
+    metadata: { orderId: order.id, status: order.status },
+    phone: getOrderPhone(order)
+  });
+};
+
+/**
+ * Send order shipped messages
+ * @param {Object} order - Order data
+ * @param {Object} user - User data
+ * @param {Object} trackingInfo - { trackingNumber, carrier, trackingUrl }
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+export const sendOrderShippedMessages = async (order, user, trackingInfo = {}) => {
+  return notifyCustomer(user, {
+    template: 'order_shipped',
+    variables: { order, customerName: getCustomerName(user), tracking: trackingInfo },
+    metadata: { orderId: order.id, trackingNumber: trackingInfo.trackingNumber || null },
+    phone: getOrderPhone(order)
+  });
+};
+
+/**
+ * Send a one-time password by SMS. Codes are always sent, whatever the
+ * customer's preferences.
+ * @param {string} phone - Mobile number
+ * @param {string} code - One-time password
+ * @param {Object} options - { validMinutes, purpose }
+ * @returns {Promise<Object>} - Send result
+ */
+export const sendOtpMessage = async (phone, code, { validMinutes = 10, purpose = 'verification' } = {}) => {
+  return sendMessage({
+    channel: MESSAGE_CHANNELS.SMS,
+    to: phone,
+    template: 'otp',
+    variables: { code, validMinutes },
+    metadata: { purpose }
+  });
+};
+
+export default {
+  MESSAGE_CHANNELS,
+  MESSAGE_STATUSES,
+  DEFAULT_CHANNEL_PREFERENCES,
+  normalizePhone,
+  getChannelPreferences,
+  updateChannelPreferences,
+  sendMessage,
+  notifyCustomer,
+  sendOrderConfirmationMessages,
+  sendOrderStatusMessages,
+  sendOrderShippedMessages,
+  sendOtpMessage
+};
@@ -14,7 +14,6 @@ import {
   Timestamp,
   writeBatch,
   runTransaction,
-  deleteDoc,
   increment,
   setDoc
 } from 'firebase/firestore';
@@ -23,8 +22,15 @@ import { db, functions } from './firebase';
 import { updateProductStock } from './productService';
 import { createError } from './errorHandler';
 import { sendOrderConfirmationEmail, sendOrderStatusUpdateEmail, sendOrderShippedEmail } from './emailService';
+import { getChannelPreferences, sendOrderStatusMessages, sendOrderShippedMessages } from './messagingService';
 import { getUserById } from './userService';
 import { createOrderStatusNotification } from './orderUtils';
+import { createStatusHistoryEntry } from './orderStatusHistory';
+import { getUnitPrice } from './pricingService';
+import { getVariant, getStockKey } from './productVariants';
+import { issueInvoice } from './invoiceService';
+import { convertOrderStock, releaseOrderStock, restockItems, releaseExpiredReservations } from './stockReservationService';
+import { INVENTORY_MOVEMENT_TYPES, recordMovement, getLowStockThreshold } from './inventoryService';
 
 // Collection references as functions to avoid initialization issues
 const getOrdersRef = () => {
@@ -54,6 +60,7 @@ const ORDER_STATUSES = {
 const VALID_STATUS_TRANSITIONS = {
   [ORDER_STATUSES.PENDING]: [
     ORDER_STATUSES.PAYMENT_PROCESSING,
+    ORDER_STATUSES.PAYMENT_FAILED,
     ORDER_STATUSES.PROCESSING,
     ORDER_STATUSES.SHIPPED,
     ORDER_STATUSES.DELIVERED,
@@ -66,6 +73,7 @@ const VALID_STATUS_TRANSITIONS = {
   ],
   [ORDER_STATUSES.PAYMENT_FAILED]: [
     ORDER_STATUSES.PAYMENT_PROCESSING,
+    ORDER_STATUSES.PROCESSING,
     ORDER_STATUSES.CANCELLED
   ],
   [ORDER_STATUSES.PROCESSING]: [
@@ -94,9 +102,6 @@ const VALID_STATUS_TRANSITIONS = {
   ]
 };
 
-// Stock reservation expiration time in milliseconds (30 minutes)
-const STOCK_RESERVATION_EXPIRY = 30 * 60 * 1000;
-
 /**
  * Validate if a status transition is allowed
  * @param {string} currentStatus - Current order status
@@ -107,7 +112,25 @@ const isValidStatusTransition = (currentStatus, newStatus) => {
   if (currentStatus === newStatus) return true;
   
   const validTransitions = VALID_STATUS_TRANSITIONS[currentStatus];
-  return validTransitions && validTransitions.includes(newStatus);
+  return Boolean(validTransitions && validTransitions.includes(newStatus));
+};
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} currentStatus - Current order status
+ * @returns {Array<string>} - Allowed next statuses
+ */
+const getAllowedStatusTransitions = (currentStatus) => {
+  return VALID_STATUS_TRANSITIONS[currentStatus] || [];
+};
+
+/**
+ * Check whether a value is one of the canonical order statuses
+ * @param {string} status - Status to check
+ * @returns {boolean} - Whether the status is known
+ */
+const isKnownOrderStatus = (status) => {
+  return Object.values(ORDER_STATUSES).includes(status);
 };
 
 /**
@@ -141,6 +164,7 @@ export const createOrder = async (orderData, userId) => {
         const productRefs = {};
         const unavailableItems = [];
         const lowStockItems = [];
+        const movements = [];
 
         // First, check all products stock
         for (const item of orderData.items) {
@@ -165,8 +189,9 @@ export const createOrder = async (orderData, userId) => {
             continue; // Skip stock check for products without stock tracking
           }
           
-          // Check if requested size exists and has enough stock
-          const sizeStock = productData.stock[item.size];
+          // Check if requested size (or variant) exists and has enough stock
+          const stockKey = getStockKey(item);
+          const sizeStock = productData.stock[stockKey];
           
           if (sizeStock === undefined) {
             unavailableItems.push({
@@ -190,13 +215,17 @@ export const createOrder = async (orderData, userId) => {
             continue;
           }
 
-          // Check for low stock (less than 3 items remaining after purchase)
-          if (sizeStock - item.quantity < 3) {
+          // Alert when the purchase takes the stock down to its low-stock threshold
+          const threshold = getLowStockThreshold(productData, stockKey);
+          if (sizeStock > threshold && sizeStock - item.quantity <= threshold) {
             lowStockItems.push({
               id: item.id,
+              productId: item.id,
               name: item.name,
               size: item.size,
-              remaining: sizeStock - item.quantity
+              ...(item.variantId ? { variantId: item.variantId } : {}),
+              remaining: sizeStock - item.quantity,
+              threshold
             });
           }
           
@@ -205,7 +234,15 @@ export const createOrder = async (orderData, userId) => {
             stockUpdates[item.id] = { ...productData.stock };
           }
           
-          stockUpdates[item.id][item.size] = sizeStock - item.quantity;
+          stockUpdates[item.id][stockKey] = sizeStock - item.quantity;
+          movements.push({
+            productId: item.id,
+            stockKey,
+            size: item.size,
+            variantId: item.variantId,
+            quantity: -item.quantity,
+            balance: sizeStock - item.quantity
+          });
         }
         
         // If any items are unavailable, abort the transaction
@@ -236,6 +273,14 @@ export const createOrder = async (orderData, userId) => {
         
         transaction.set(orderRef, newOrder);
         
+        // Record the stock taken in the inventory ledger
+        movements.forEach(movement => recordMovement(transaction, {
+          ...movement,
+          type: INVENTORY_MOVEMENT_TYPES.SALE,
+          orderId: orderRef.id,
+          actor: userId
+        }));
+        
         // Create notification for new order
         const orderNotificationRef = doc(collection(db, 'adminNotifications'));
         transaction.set(orderNotificationRef, {
@@ -842,17 +887,86 @@ export const getAllOrders = async (options = {}) => {
 
 /**
  * Update order status
+ * Only transitions listed in VALID_STATUS_TRANSITIONS are accepted; anything
+ * else must go through overrideOrderStatus.
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status
+ * @param {Object} additionalData - Additional data to update
+ * @param {Object} options - Audit options
+ * @param {string} options.changedBy - ID of the user or system making the change
+ * @param {string} options.note - Optional note stored in the status history
+ * @param {string} options.userId - Customer ID, to find orders that only live
+ *   under the customer (optional)
+ * @returns {Promise<Object>} - Updated order
+ */
+export const updateOrderStatus = async (orderId, status, additionalData = {}, options = {}) => {
+  return applyOrderStatusChange(orderId, status, additionalData, {
+    changedBy: options.changedBy || null,
+    note: options.note || null,
+    userId: options.userId || null,
+    override: false
+  });
+};
+
+/**
+ * Force an order into a status outside the normal transition rules.
+ * Restricted to admins, requires a reason and is written to the order audit log.
  * @param {string} orderId - Order ID
  * @param {string} status - New status
+ * @param {Object} override - Override details
+ * @param {string} override.adminId - ID of the admin forcing the change
+ * @param {string} override.reason - Why the normal transition rules are being bypassed
  * @param {Object} additionalData - Additional data to update
  * @returns {Promise<Object>} - Updated order
  */
-export const updateOrderStatus = async (orderId, status, additionalData = {}) => {
+export const overrideOrderStatus = async (orderId, status, override = {}, additionalData = {}) => {
+  const { adminId, reason } = override;
+
+  if (!adminId) {
+    throw createError('AUTHENTICATION', 'Admin ID is required to override an order status');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw createError('VALIDATION', 'A reason is required to override an order status', { field: 'reason' });
+  }
+
+  const admin = await getUserById(adminId);
+  if (!admin || admin.role !== 'admin') {
+    throw createError('AUTHORIZATION', 'Only administrators can override order statuses');
+  }
+
+  return applyOrderStatusChange(orderId, status, additionalData, {
+    changedBy: adminId,
+    note: reason.trim(),
+    override: true
+  });
+};
+
+/**
+ * Apply a status change to an order, validating the transition unless overridden
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status
+ * @param {Object} additionalData - Additional data to update
+ * @param {Object} audit - Who made the change and whether it bypassed validation
+ * @returns {Promise<Object>} - Updated order
+ */
+const applyOrderStatusChange = async (orderId, status, additionalData, audit) => {
   try {
-    const orderRef = doc(db, 'orders', orderId);
+    if (!orderId) {
+      throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+    }
+
+    let orderRef = doc(db, 'orders', orderId);
+    let customerCopyOnly = false;
+    
+    // Get current order. Orders placed from the cart may only exist under the customer.
+    let orderDoc = await getDoc(orderRef);
+    if (!orderDoc.exists() && audit.userId) {
+      orderRef = doc(db, 'users', audit.userId, 'orders', orderId);
+      orderDoc = await getDoc(orderRef);
+      customerCopyOnly = true;
+    }
     
-    // Get current order
-    const orderDoc = await getDoc(orderRef);
     if (!orderDoc.exists()) {
       throw createError('NOT_FOUND', `Order ${orderId} not found`);
     }
@@ -860,18 +974,40 @@ export const updateOrderStatus = async (orderId, status, additionalData = {}) =>
     const order = orderDoc.data();
     const currentStatus = order.status;
     
-    // Remove status transition validation - allow any status change
+    // Legacy orders may carry a non-canonical status; they can still receive
+    // same-status updates, but nothing may move into an unknown status
+    if (status !== currentStatus && !isKnownOrderStatus(status)) {
+      throw createError('VALIDATION', `Unknown order status: ${status}`, {
+        field: 'status',
+        status,
+        allowed: Object.values(ORDER_STATUSES)
+      });
+    }
+    
+    if (!audit.override && !isValidStatusTransition(currentStatus, status)) {
+      throw createError('VALIDATION', `Cannot change order status from ${currentStatus} to ${status}`, {
+        field: 'status',
+        from: currentStatus,
+        to: status,
+        allowed: getAllowedStatusTransitions(currentStatus)
+      });
+    }
     
     // Update order
+    const historyEntry = createStatusHistoryEntry({
+      from: currentStatus || null,
+      to: status,
+      changedBy: audit.changedBy,
+      note: audit.note,
+      override: audit.override
+    }, order);
+    
     const updateData = {
       status,
       updatedAt: serverTimestamp(),
       statusHistory: [
         ...(order.statusHistory || []),
-        {
-          status: currentStatus,
-          timestamp: new Date().toISOString()
-        }
+        historyEntry
       ],
       ...additionalData
     };
@@ -883,8 +1019,41 @@ export const updateOrderStatus = async (orderId, status, additionalData = {}) =>
     
     await updateDoc(orderRef, updateData);
     
+    // Keep the customer's copy of the order in step
+    if (order.userId && !customerCopyOnly) {
+      const customerOrderRef = doc(db, 'users', order.userId, 'orders', orderId);
+      const customerOrderDoc = await getDoc(customerOrderRef);
+      
+      if (customerOrderDoc.exists()) {
+        await updateDoc(customerOrderRef, updateData);
+      }
+    }
+    
+    if (audit.override) {
+      await addDoc(collection(db, 'orderAuditLog'), {
+        type: 'status_override',
+        orderId,
+        orderNumber: order.orderNumber || null,
+        from: currentStatus || null,
+        to: status,
+        reason: audit.note,
+        adminId: audit.changedBy,
+        createdAt: serverTimestamp()
+      });
+    }
+    
     // Handle stock updates based on status changes
-    await handleStockForStatusChange(order, status);
+    await handleStockForStatusChange({ id: orderId, ...order }, status, audit.changedBy);
+    
+    // Confirmation (payment captured or COD accepted) is when the tax invoice
+    // is issued. The invoice route retries if this fails.
+    if (status === ORDER_STATUSES.PROCESSING && currentStatus !== ORDER_STATUSES.PROCESSING) {
+      try {
+        await issueInvoice(orderId);
+      } catch (invoiceError) {
+        console.error(`Failed to issue invoice for order ${orderId}:`, invoiceError);
+      }
+    }
     
     // Create status update notification using the utility function
     await createOrderStatusNotification(
@@ -901,12 +1070,17 @@ export const updateOrderStatus = async (orderId, status, additionalData = {}) =>
       ...updatedOrderDoc.data()
     };
     
-    // Send status update email
+    // Tell the customer on the channels they chose. Orders shipped by hand
+    // after a shipment was booked use its tracking details.
+    const shipment = additionalData.shipment || order.shipment;
+    const shipped = status === ORDER_STATUSES.SHIPPED && shipment;
+    let user = null;
+    
     try {
-      const user = await getUserById(order.userId);
-      if (user) {
-        if (status === ORDER_STATUSES.SHIPPED && additionalData.shipment) {
-          await sendOrderShippedEmail(updatedOrder, user, additionalData.shipment);
+      user = await getUserById(order.userId);
+      if (user && getChannelPreferences(user).email) {
+        if (shipped) {
+          await sendOrderShippedEmail(updatedOrder, user, shipment);
         } else {
           await sendOrderStatusUpdateEmail(updatedOrder, user);
         }
@@ -916,6 +1090,15 @@ export const updateOrderStatus = async (orderId, status, additionalData = {}) =>
       // Don't fail the status update if email sending fails
     }
     
+    // SMS and WhatsApp; failed channels are logged by the messaging service
+    if (user) {
+      if (shipped) {
+        await sendOrderShippedMessages(updatedOrder, user, shipment);
+      } else {
+        await sendOrderStatusMessages(updatedOrder, user);
+      }
+    }
+    
     return updatedOrder;
   } catch (error) {
     console.error('Error updating order status:', error);
@@ -927,180 +1110,72 @@ export const updateOrderStatus = async (orderId, status, additionalData = {}) =>
 };
 
 /**
- * Handle stock updates based on order status changes
- * @param {Object} order - Order object
- * @param {string} newStatus - New order status
- * @returns {Promise<void>}
+ * Get the order items not yet recorded in `order.returnedItems`
+ * @param {Object} order - Order data
+ * @returns {Array} - Items with the quantities still out
  */
-const handleStockForStatusChange = async (order, newStatus) => {
-  try {
-    const currentStatus = order.status;
-    
-    // If order is cancelled, restore stock
-    if (newStatus === ORDER_STATUSES.CANCELLED && 
-        [ORDER_STATUSES.PENDING, ORDER_STATUSES.PAYMENT_PROCESSING, ORDER_STATUSES.PROCESSING].includes(currentStatus)) {
-      await restoreStock(order.items);
-    }
-    
-    // If order is returned, restore stock
-    if (newStatus === ORDER_STATUSES.RETURNED && 
-        [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.DELIVERED].includes(currentStatus)) {
-      await restoreStock(order.items);
-    }
-    
-    // If order transitions from pending to processing, confirm stock reservation
-    if (newStatus === ORDER_STATUSES.PROCESSING && 
-        [ORDER_STATUSES.PENDING, ORDER_STATUSES.PAYMENT_PROCESSING].includes(currentStatus)) {
-      await confirmStockReservation(order.items, order.id);
-    }
-  } catch (error) {
-    console.error('Error handling stock for status change:', error);
-    throw error;
-  }
-};
+const getUnreturnedItems = (order) => {
+  const returned = {};
 
-/**
- * Reserve stock for order items
- * @param {Array} items - Order items
- * @param {string} orderId - Order ID
- * @returns {Promise<void>}
- */
-const reserveStock = async (items, orderId) => {
-  try {
-    // For each item, create a stock reservation
-    for (const item of items) {
-      const reservationRef = collection(db, 'stock_reservations');
-      await addDoc(reservationRef, {
-        productId: item.productId,
-        quantity: item.quantity,
-        orderId,
-        createdAt: serverTimestamp(),
-        expiresAt: new Date(Date.now() + STOCK_RESERVATION_EXPIRY)
-      });
-    }
-  } catch (error) {
-    console.error('Error reserving stock:', error);
-    throw error;
-  }
+  (order.returnedItems || []).forEach(item => {
+    const key = `${item.productId}:${getStockKey(item)}`;
+    returned[key] = (returned[key] || 0) + (Number(item.quantity) || 0);
+  });
+
+  return (order.items || [])
+    .map(item => {
+      const key = `${item.productId || item.id}:${getStockKey(item)}`;
+      const quantity = Number(item.quantity ?? item.qty) || 0;
+      const alreadyReturned = Math.min(quantity, returned[key] || 0);
+
+      returned[key] = (returned[key] || 0) - alreadyReturned;
+      return { ...item, quantity: quantity - alreadyReturned };
+    })
+    .filter(item => item.quantity > 0);
 };
 
 /**
- * Confirm stock reservation (when order is confirmed)
- * @param {Array} items - Order items
- * @param {string} orderId - Order ID
+ * Handle stock updates based on order status changes. Stock is held by the
+ * order's reservation until it is confirmed (see stockReservationService).
+ * @param {Object} order - Order object
+ * @param {string} newStatus - New order status
+ * @param {string} actor - User who changed the status (optional)
  * @returns {Promise<void>}
  */
-const confirmStockReservation = async (items, orderId) => {
+const handleStockForStatusChange = async (order, newStatus, actor = null) => {
   try {
-    // Remove reservations and update actual stock
-    for (const item of items) {
-      const productRef = doc(db, 'products', item.productId);
-      
-      await runTransaction(db, async (transaction) => {
-        // Get product
-        const productDoc = await transaction.get(productRef);
-        if (!productDoc.exists()) {
-          throw createError('NOT_FOUND', `Product ${item.productId} not found`);
-        }
-        
-        const product = productDoc.data();
-        
-        // Update stock
-        const newStock = Math.max(0, product.stock - item.quantity);
-        transaction.update(productRef, { stock: newStock });
-        
-        // Create low stock notification if needed
-        if (newStock <= (product.lowStockThreshold || 5)) {
-          const notificationsRef = collection(db, 'adminNotifications');
-          transaction.set(doc(notificationsRef), {
-            type: 'low_stock',
-            productId: item.productId,
-            productName: product.name,
-            currentStock: newStock,
-            createdAt: serverTimestamp(),
-            read: false
-          });
-        }
-      });
-      
-      // Delete reservations for this order
-      const reservationsQuery = query(
-        collection(db, 'stock_reservations'),
-        where('orderId', '==', orderId),
-        where('productId', '==', item.productId)
-      );
-      
-      const reservationsSnapshot = await getDocs(reservationsQuery);
-      reservationsSnapshot.forEach(async (doc) => {
-        await deleteDoc(doc.ref);
-      });
+    // Payment captured or COD accepted: take the reserved stock
+    if (newStatus === ORDER_STATUSES.PROCESSING) {
+      await convertOrderStock(order, { actor });
     }
-  } catch (error) {
-    console.error('Error confirming stock reservation:', error);
-    throw error;
-  }
-};
+    
+    // Cancelled: drop the hold, or put back stock that was already taken
+    if (newStatus === ORDER_STATUSES.CANCELLED) {
+      await releaseOrderStock(order, { actor });
+    }
+    
+    // Returned items go back on the shelf, except those already checked in
+    // through a return request (see utils/returnService.js)
+    if (newStatus === ORDER_STATUSES.RETURNED) {
+      const unreturnedItems = getUnreturnedItems(order);
 
-/**
- * Restore stock for cancelled or returned orders
- * @param {Array} items - Order items
- * @returns {Promise<void>}
- */
-const restoreStock = async (items) => {
-  try {
-    for (const item of items) {
-      const productRef = doc(db, 'products', item.productId);
-      
-      await runTransaction(db, async (transaction) => {
-        // Get product
-        const productDoc = await transaction.get(productRef);
-        if (!productDoc.exists()) {
-          throw createError('NOT_FOUND', `Product ${item.productId} not found`);
-        }
-        
-        const product = productDoc.data();
-        
-        // Restore stock
-        const newStock = product.stock + item.quantity;
-        transaction.update(productRef, { stock: newStock });
-      });
+      if (unreturnedItems.length > 0) {
+        await restockItems(unreturnedItems, { type: INVENTORY_MOVEMENT_TYPES.RETURN, orderId: order.id, actor });
+      }
     }
   } catch (error) {
-    console.error('Error restoring stock:', error);
+    console.error('Error handling stock for status change:', error);
     throw error;
   }
 };
 
 /**
- * Clean up expired stock reservations
- * @returns {Promise<number>} - Number of expired reservations cleaned up
+ * Release stock reservations whose hold has expired
+ * @returns {Promise<number>} - Number of expired reservations released
  */
 export const cleanupExpiredReservations = async () => {
   try {
-    const now = new Date();
-    
-    // Get expired reservations
-    const reservationsQuery = query(
-      collection(db, 'stock_reservations'),
-      where('expiresAt', '<', now)
-    );
-    
-    const reservationsSnapshot = await getDocs(reservationsQuery);
-    const expiredReservations = [];
-    
-    reservationsSnapshot.forEach((doc) => {
-      expiredReservations.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    
-    // Delete expired reservations
-    for (const reservation of expiredReservations) {
-      await deleteDoc(doc(db, 'stock_reservations', reservation.id));
-    }
-    
-    return expiredReservations.length;
+    return await releaseExpiredReservations();
   } catch (error) {
     console.error('Error cleaning up expired reservations:', error);
     throw createError('DATABASE', 'Failed to clean up expired reservations', error);
@@ -1172,11 +1247,12 @@ export const validateOrderItems = async (items) => {
       }
       
       // Verify price (if provided)
-      if (item.price && Math.abs(item.price - product.price) > 0.01) {
+      const unitPrice = getUnitPrice(product, getVariant(product, item.variantId));
+      if (item.price && Math.abs(item.price - unitPrice) > 0.01) {
         invalidItems.push({
           ...item,
           error: 'Price mismatch',
-          correctPrice: product.price
+          correctPrice: unitPrice
         });
         continue;
       }
@@ -1201,26 +1277,6 @@ export const validateOrderItems = async (items) => {
   }
 };
 
-/**
- * Calculate order totals
- * @param {Array} items - Order items
- * @returns {Object} - Order totals
- */
-const calculateOrderTotals = (items) => {
-  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const shippingCost = subtotal > 1000 ? 0 : 100; // Free shipping over ₹1000
-  const taxRate = 0.18; // 18% GST
-  const tax = Math.round(subtotal * taxRate * 100) / 100;
-  const total = subtotal + shippingCost + tax;
-  
-  return {
-    subtotal,
-    shippingCost,
-    tax,
-    total
-  };
-};
-
 /**
  * Validates shipping address for completeness
  * @param {Object} address - The shipping address to validate
@@ -1337,9 +1393,11 @@ export const createTestOrder = async () => {
  * Cancel an order
  * @param {string} orderId - Order ID to cancel
  * @param {string} reason - Reason for cancellation
+ * @param {Object} options - Options
+ * @param {string} options.changedBy - ID of the user cancelling it
  * @returns {Promise<Object>} - Updated order
  */
-export const cancelOrder = async (orderId, reason = 'Customer requested cancellation') => {
+export const cancelOrder = async (orderId, reason = 'Customer requested cancellation', { changedBy = null } = {}) => {
   try {
     const order = await getOrderById(orderId);
     if (!order) {
@@ -1347,19 +1405,17 @@ export const cancelOrder = async (orderId, reason = 'Customer requested cancella
     }
 
     if (!isValidStatusTransition(order.status, ORDER_STATUSES.CANCELLED)) {
-      throw new Error(`Cannot cancel order with status: ${order.status}`);
+      throw createError('VALIDATION', `Cannot cancel order with status: ${order.status}`, {
+        from: order.status,
+        to: ORDER_STATUSES.CANCELLED
+      });
     }
 
-    // Update order status to cancelled
+    // Update order status to cancelled; this also gives back the order's stock
     const updatedOrder = await updateOrderStatus(orderId, ORDER_STATUSES.CANCELLED, {
       cancellationReason: reason,
       cancelledAt: serverTimestamp()
-    });
-
-    // Restore stock for cancelled items
-    if (order.items && order.items.length > 0) {
-      await restoreStock(order.items);
-    }
+    }, { changedBy, note: reason });
 
     return updatedOrder;
   } catch (error) {
@@ -1400,17 +1456,24 @@ export const markOrderAsPaid = async (orderId, paymentData = {}) => {
 // Export constants and functions
 export {
   ORDER_STATUSES,
-  isValidStatusTransition
+  VALID_STATUS_TRANSITIONS,
+  isValidStatusTransition,
+  getAllowedStatusTransitions,
+  isKnownOrderStatus
 };
 
 export default {
   ORDER_STATUSES,
+  VALID_STATUS_TRANSITIONS,
   isValidStatusTransition,
+  getAllowedStatusTransitions,
+  isKnownOrderStatus,
   getOrderById,
   getUserOrders,
   getAllOrders,
   createOrder,
   updateOrderStatus,
+  overrideOrderStatus,
   validateOrderItems,
   cleanupExpiredReservations,
   cancelOrder,
@@ -0,0 +1,110 @@
+// Order status history: one `order.statusHistory` entry per status change.
+// As it always has, `status` holds the status the order left; `to` holds the
+// one it moved to, alongside who moved it and why. Entries written before
+// `to` existed are read back by getStatusChanges.
+
+/**
+ * Kinds of actor recorded on status changes
+ */
+export const STATUS_ACTORS = {
+  CUSTOMER: 'customer',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// changedBy values used by automated changes rather than a user ID
+export const SYSTEM_CHANGED_BY = ['system', 'payment_webhook', 'payment_verify', 'carrier_tracking'];
+
+/**
+ * Work out which kind of actor made a change
+ * @param {string} changedBy - User ID or system name
+ * @param {Object} order - Order data (its userId identifies the customer)
+ * @param {boolean} override - Whether the change was an admin override
+ * @returns {string} - A STATUS_ACTORS value
+ */
+export const getStatusActor = (changedBy, order = {}, override = false) => {
+  if (override) return STATUS_ACTORS.ADMIN;
+  if (!changedBy || SYSTEM_CHANGED_BY.includes(changedBy)) return STATUS_ACTORS.SYSTEM;
+  if (changedBy === order.userId) return STATUS_ACTORS.CUSTOMER;
+  return STATUS_ACTORS.ADMIN;
+};
+
+/**
+ * Build a status history entry
+ * @param {Object} change - Change details
+ * @param {string} change.from - Status the order left (null for a new order)
+ * @param {string} change.to - Status the order moved to
+ * @param {string} change.changedBy - User ID or system name
+ * @param {string} change.note - Why the status changed (optional)
+ * @param {boolean} change.override - Whether an admin forced the change
+ * @param {Object} order - Order data
+ * @returns {Object} - { status (the one left), to, timestamp, changedBy, actor, note, override }
+ */
+export const createStatusHistoryEntry = ({ from = null, to, changedBy = null, note = null, override = false }, order = {}) => {
+  const entry = {
+    status: from,
+    to,
+    timestamp: new Date().toISOString(),
+    changedBy,
+    actor: getStatusActor(changedBy, order, override)
+  };
+
+  if (note) {
+    entry.note = note;
+  }
+
+  if (override) {
+    entry.override = true;
+  }
+
+  return entry;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read an order's status history as a list of changes, oldest first, each
+ * with the status the order moved to as `status` and the one it left as
+ * `from`. Entries without `to` predate it: those with ISO string timestamps
+ * only held the status the order left, so the status it moved to is the one
+ * the next entry left (or the current one), while those with Firestore
+ * timestamps, written by the customer order service, held the new status.
+ * @param {Object} order - Order data
+ * @returns {Array<Object>} - { status, from, at (Date), changedBy, actor, note }
+ */
+export const getStatusChanges = (order) => {
+  const history = order.statusHistory || [];
+
+  return history
+    .map((entry, index) => {
+      const at = toDate(entry.timestamp);
+      const actor = entry.actor || getStatusActor(entry.changedBy, order, entry.override);
+
+      if ('to' in entry) {
+        return { ...entry, status: entry.to, from: entry.status, at, actor };
+      }
+
+      if (typeof entry.timestamp !== 'string') {
+        return { ...entry, from: null, at, actor };
+      }
+
+      const next = history[index + 1];
+      const nextLeft = next && ('to' in next || typeof next.timestamp === 'string');
+
+      return { ...entry, status: nextLeft ? next.status : order.status, from: entry.status, at, actor };
+    })
+    .filter(change => change.at && change.status)
+    .sort((a, b) => a.at - b.at);
+};
+
+export default {
+  STATUS_ACTORS,
+  SYSTEM_CHANGED_BY,
+  getStatusActor,
+  createStatusHistoryEntry,
+  getStatusChanges
+};
@@ -0,0 +1,222 @@
+// Order Tracking: the customer's view of where an order is. The timeline
+// merges the order's status changes (see utils/orderStatusHistory.js) with
+// the carrier's scans of its shipments (see utils/shipmentService.js), and
+// the expected delivery date comes from the carrier once the order ships.
+import { collection, query, where, limit, getDocs } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { ORDER_STATUSES } from './orderService';
+import { getStatusChanges } from './orderStatusHistory';
+import { getShipmentsForOrder, SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS } from './shipmentService';
+
+// Days from order to doorstep for orders placed without a pincode estimate
+export const DEFAULT_DELIVERY_DAYS = { min: 4, max: 7 };
+
+const ORDER_STATUS_LABELS = {
+  [ORDER_STATUSES.PENDING]: 'Order placed',
+  [ORDER_STATUSES.PAYMENT_PROCESSING]: 'Awaiting payment',
+  [ORDER_STATUSES.PAYMENT_FAILED]: 'Payment failed',
+  [ORDER_STATUSES.PROCESSING]: 'Order confirmed',
+  [ORDER_STATUSES.SHIPPED]: 'Shipped',
+  [ORDER_STATUSES.DELIVERED]: 'Delivered',
+  [ORDER_STATUSES.CANCELLED]: 'Cancelled',
+  [ORDER_STATUSES.REFUNDED]: 'Refunded',
+  [ORDER_STATUSES.PARTIALLY_REFUNDED]: 'Partially refunded',
+  [ORDER_STATUSES.RETURNED]: 'Returned'
+};
+
+const SHIPMENT_STATUS_LABELS = {
+  [SHIPMENT_STATUSES.READY_TO_SHIP]: 'Packed and waiting for the courier',
+  [SHIPMENT_STATUSES.PICKED_UP]: 'Picked up by the courier',
+  [SHIPMENT_STATUSES.IN_TRANSIT]: 'In transit',
+  [SHIPMENT_STATUSES.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [SHIPMENT_STATUSES.DELIVERED]: 'Delivered',
+  [SHIPMENT_STATUSES.DELIVERY_FAILED]: 'Delivery attempt failed',
+  [SHIPMENT_STATUSES.RETURNED_TO_ORIGIN]: 'Returning to the seller',
+  [SHIPMENT_STATUSES.CANCELLED]: 'Shipment cancelled'
+};
+
+// Orders that will not be delivered
+const CLOSED_ORDER_STATUSES = [
+  ORDER_STATUSES.PAYMENT_FAILED,
+  ORDER_STATUSES.CANCELLED,
+  ORDER_STATUSES.REFUNDED,
+  ORDER_STATUSES.RETURNED
+];
+
+const toISOString = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const addDays = (iso, days) => new Date(new Date(iso).getTime() + (days * 24 * 60 * 60 * 1000)).toISOString();
+
+const formatStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+/**
+ * Build an order's tracking timeline, oldest first
+ * @param {Object} order - Order data
+ * @param {Array<Object>} shipments - The order's shipments
+ * @returns {Array<Object>} - { type ('order' or 'shipment'), status, label, location, at }
+ */
+export const buildTrackingTimeline = (order, shipments = []) => {
+  const placedAt = toISOString(order.createdAt);
+  const timeline = [];
+
+  if (placedAt) {
+    timeline.push({ type: 'order', status: ORDER_STATUSES.PENDING, label: ORDER_STATUS_LABELS.pending, location: null, at: placedAt });
+  }
+
+  const carrierDelivered = shipments.some(shipment =>
+    (shipment.events || []).some(event => event.status === SHIPMENT_STATUSES.DELIVERED));
+
+  getStatusChanges(order)
+    // Placement is shown from createdAt, and the carrier's delivery scan
+    // says more than the order status it caused
+    .filter(change => change.status !== ORDER_STATUSES.PENDING || !placedAt)
+    .filter(change => change.status !== ORDER_STATUSES.DELIVERED || !carrierDelivered)
+    .forEach(change => {
+      timeline.push({
+        type: 'order',
+        status: change.status,
+        label: ORDER_STATUS_LABELS[change.status] || formatStatus(change.status),
+        location: null,
+        at: change.at.toISOString()
+      });
+    });
+
+  shipments
+    .filter(shipment => shipment.status !== SHIPMENT_STATUSES.CANCELLED)
+    .forEach(shipment => {
+      (shipment.events || []).forEach(event => {
+        timeline.push({
+          type: 'shipment',
+          status: event.status,
+          label: SHIPMENT_STATUS_LABELS[event.status] || formatStatus(event.status),
+          description: event.description || null,
+          location: event.location || null,
+          at: event.occurredAt
+        });
+      });
+    });
+
+  return timeline.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+/**
+ * Work out when an order should arrive: the delivery date once delivered,
+ * the carrier's date once shipped, or before that the window quoted for the
+ * pincode at checkout (see utils/serviceabilityService.js), falling back to
+ * a window from the order date. Orders that won't be delivered have none.
+ * @param {Object} order - Order data
+ * @param {Object} shipment - The order's current shipment (optional)
+ * @returns {Object|null} - { from, to, source: 'delivered' | 'carrier' | 'estimate' }
+ */
+export const getExpectedDelivery = (order, shipment = null) => {
+  const deliveredAt = toISOString(shipment?.deliveredAt || order.deliveredAt);
+
+  if (order.status === ORDER_STATUSES.DELIVERED && deliveredAt) {
+    return { from: deliveredAt, to: deliveredAt, source: 'delivered' };
+  }
+
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    return null;
+  }
+
+  if (shipment?.expectedDeliveryDate) {
+    return { from: shipment.expectedDeliveryDate, to: shipment.expectedDeliveryDate, source: 'carrier' };
+  }
+
+  // Quoted for the pincode when the order was placed
+  if (order.deliveryEstimate?.from) {
+    return { from: order.deliveryEstimate.from, to: order.deliveryEstimate.to, source: 'estimate' };
+  }
+
+  const placedAt = toISOString(order.createdAt);
+
+  if (!placedAt) {
+    return null;
+  }
+
+  return {
+    from: addDays(placedAt, DEFAULT_DELIVERY_DAYS.min),
+    to: addDays(placedAt, DEFAULT_DELIVERY_DAYS.max),
+    source: 'estimate'
+  };
+};
+
+/**
+ * Get the tracking details shown to a customer. Only what the customer
+ * already knows about the order is included: no addresses, prices or
+ * internal notes.
+ * @param {Object} order - Order data (with id)
+ * @returns {Promise<Object>} - { orderId, orderNumber, status, placedAt, items,
+ *   shipment, expectedDelivery, timeline }
+ */
+export const getOrderTracking = async (order) => {
+  // Return pickups are followed on the return request, not here
+  const shipments = (await getShipmentsForOrder(order.id))
+    .filter(shipment => shipment.direction !== SHIPMENT_DIRECTIONS.REVERSE);
+  const current = shipments.find(shipment => shipment.status !== SHIPMENT_STATUSES.CANCELLED) || null;
+
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber || order.id,
+    status: order.status,
+    placedAt: toISOString(order.createdAt),
+    items: (order.items || []).map(item => ({
+      name: item.name,
+      size: item.size || null,
+      quantity: Number(item.quantity ?? item.qty) || 1
+    })),
+    shipment: current && {
+      courierName: current.courierName || current.carrierName,
+      awb: current.awb,
+      trackingUrl: current.trackingUrl,
+      status: current.status
+    },
+    expectedDelivery: getExpectedDelivery(order, current),
+    timeline: buildTrackingTimeline(order, shipments)
+  };
+};
+
+/**
+ * Find an order for a guest tracking lookup. The email must be the one the
+ * order was placed with; a wrong email and an unknown order number get the
+ * same answer, so the lookup can't be used to find order numbers.
+ * @param {string} orderNumber - Order number, e.g. ORD-1714557600000-4821
+ * @param {string} email - Email the order was placed with
+ * @returns {Promise<Object>} - Order data (with id)
+ */
+export const findOrderForTracking = async (orderNumber, email) => {
+  const number = String(orderNumber || '').trim().toUpperCase();
+  const address = String(email || '').trim().toLowerCase();
+
+  if (!number || !address) {
+    throw createError('VALIDATION', 'Order number and email are required', { field: !number ? 'orderNumber' : 'email' });
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'orders'),
+    where('orderNumber', '==', number),
+    limit(1)
+  ));
+  const orderDoc = snapshot.docs[0];
+  const order = orderDoc && { id: orderDoc.id, ...orderDoc.data() };
+  const orderEmail = order && (order.customer?.email || order.userEmail || order.email || '');
+
+  if (!order || orderEmail.trim().toLowerCase() !== address) {
+    throw createError('NOT_FOUND', 'We could not find an order with that number and email');
+  }
+
+  return order;
+};
+
+export default {
+  DEFAULT_DELIVERY_DAYS,
+  buildTrackingTimeline,
+  getExpectedDelivery,
+  getOrderTracking,
+  findOrderForTracking
+};
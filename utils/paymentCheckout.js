@@ -0,0 +1,62 @@
+/**
+ * Browser side of payment providers. /api/payments/initialize returns a
+ * `checkout` descriptor whose `type` selects a handler here; handlers resolve
+ * with one of:
+ * - { status: 'completed', payload } - payload is posted to /api/payments/verify
+ * - { status: 'completed' } - nothing to verify (e.g. Cash on Delivery)
+ * - { status: 'redirected' } - the gateway's hosted page takes over
+ * - { status: 'dismissed' } - the customer closed the payment window
+ */
+import { loadAndCreateRazorpayInstance } from './razorpayLoader';
+
+const checkoutHandlers = {
+  // Nothing to collect online
+  none: async () => ({ status: 'completed' }),
+
+  // Hosted payment pages (e.g. Stripe Checkout, Cashfree) that return via a callback URL
+  redirect: async (checkout) => {
+    window.location.assign(checkout.url);
+    return { status: 'redirected' };
+  },
+
+  razorpay: (checkout) => new Promise((resolve, reject) => {
+    loadAndCreateRazorpayInstance({
+      ...checkout.options,
+      handler: (response) => resolve({ status: 'completed', payload: response }),
+      modal: {
+        ondismiss: () => resolve({ status: 'dismissed' })
+      }
+    }).then((result) => {
+      if (!result.success) {
+        reject(new Error(`Payment gateway could not be loaded: ${result.error || 'Unknown error'}`));
+        return;
+      }
+
+      result.instance.open();
+    });
+  })
+};
+
+/**
+ * Register a browser checkout handler for a provider's checkout type
+ * @param {string} type - Checkout type returned by the provider
+ * @param {Function} handler - async (checkout) => outcome
+ */
+export const registerCheckoutHandler = (type, handler) => {
+  checkoutHandlers[type] = handler;
+};
+
+/**
+ * Continue a payment in the browser
+ * @param {Object} checkout - Checkout descriptor from /api/payments/initialize
+ * @returns {Promise<Object>} - Checkout outcome
+ */
+export const openPaymentCheckout = async (checkout) => {
+  const handler = checkoutHandlers[checkout?.type];
+
+  if (!handler) {
+    throw new Error(`Unsupported payment checkout: ${checkout?.type}`);
+  }
+
+  return handler(checkout);
+};
@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  doc,
+  getDoc,
+  updateDoc,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import {
+  ORDER_STATUSES,
+  isValidStatusTransition,
+  updateOrderStatus as serviceUpdateOrderStatus
+} from './orderService';
+import { PAYMENT_STATUSES, PAYMENT_EVENT_TYPES } from './paymentProviders';
+import { findPaymentOrder } from './paymentService';
+import { applyRefundEvent, REFUND_STATUSES } from './refundService';
+
+/**
+ * Processing states of a `paymentEvents` ledger entry
+ */
+export const PAYMENT_EVENT_STATUSES = {
+  PROCESSING: 'processing',
+  APPLIED: 'applied',
+  IGNORED: 'ignored',
+  FAILED: 'failed'
+};
+
+// How long a delivery may hold an event before a redelivery can take it over
+const PROCESSING_LOCK_MS = 2 * 60 * 1000; // 2 minutes
+
+// Payment status and event timestamp field recorded for each normalized
+// payment event type; refund events update the order's refund ledger instead
+const EVENT_HANDLERS = {
+  [PAYMENT_EVENT_TYPES.AUTHORIZED]: { status: 'authorized', timestampField: 'authorizedAt' },
+  [PAYMENT_EVENT_TYPES.CAPTURED]: { status: 'captured', timestampField: 'capturedAt' },
+  [PAYMENT_EVENT_TYPES.FAILED]: { status: 'failed', timestampField: 'failedAt' },
+  [PAYMENT_EVENT_TYPES.REFUND_CREATED]: { refundStatus: REFUND_STATUSES.INITIATED },
+  [PAYMENT_EVENT_TYPES.REFUND_PROCESSED]: { refundStatus: REFUND_STATUSES.PROCESSED },
+  [PAYMENT_EVENT_TYPES.REFUND_FAILED]: { refundStatus: REFUND_STATUSES.FAILED }
+};
+
+// Payment statuses only move forward. A failed attempt can be followed by a
+// successful one, but nothing moves a payment back once it is authorized,
+// paid or refunded, so late or redelivered events cannot undo newer ones.
+// Refund statuses are derived from the refund ledger, which orders its own
+// entries, so they share a rank.
+const PAYMENT_STATUS_RANK = {
+  [PAYMENT_STATUSES.PENDING]: 0,
+  [PAYMENT_STATUSES.FAILED]: 1,
+  [PAYMENT_STATUSES.AUTHORIZED]: 2,
+  [PAYMENT_STATUSES.PAID]: 3,
+  [PAYMENT_STATUSES.REFUND_INITIATED]: 4,
+  [PAYMENT_STATUSES.PARTIALLY_REFUNDED]: 4,
+  [PAYMENT_STATUSES.REFUNDED]: 5
+};
+
+/**
+ * Check whether a payment status change would move the payment backwards
+ * @param {string} currentStatus - Current payment status
+ * @param {string} nextStatus - Payment status the event maps to
+ * @returns {boolean} - True if the event is older than the current state
+ */
+export const isStalePaymentStatus = (currentStatus, nextStatus) => {
+  const currentRank = PAYMENT_STATUS_RANK[currentStatus || PAYMENT_STATUSES.PENDING] ?? 0;
+  const nextRank = PAYMENT_STATUS_RANK[nextStatus] ?? 0;
+
+  return nextRank < currentRank;
+};
+
+/**
+ * Record a payment status on every copy of an order in one transaction, so
+ * the rank check and the write see the same payment state.
+ * @param {Array<Object>} refs - Order document references, primary first
+ * @param {string} paymentStatus - Payment status the event maps to
+ * @param {Object} paymentDetails - Payment details from the provider
+ * @returns {Promise<Object>} - Order as it was before the write, whether the event was stale and whether it moved the payment status
+ */
+const recordPaymentStatus = (refs, paymentStatus, paymentDetails) => runTransaction(db, async (transaction) => {
+  const orderDoc = await transaction.get(refs[0]);
+  const order = orderDoc.data();
+  const currentStatus = order.payment?.status;
+
+  if (isStalePaymentStatus(currentStatus, paymentStatus)) {
+    return { order, stale: true, changed: false };
+  }
+
+  const update = {
+    'payment.status': paymentStatus,
+    'payment.details': {
+      ...(order.payment?.details || {}),
+      ...paymentDetails,
+      updatedAt: serverTimestamp()
+    },
+    updatedAt: serverTimestamp()
+  };
+  refs.forEach(ref => transaction.update(ref, update));
+
+  return { order, stale: false, changed: currentStatus !== paymentStatus };
+});
+
+/**
+ * Update order status based on payment event
+ * @param {string} orderId - Order ID
+ * @param {string} status - New payment status
+ * @param {Object} paymentDetails - Payment details from the provider
+ * @returns {Promise<Object>} - Result of the update operation
+ */
+export const applyPaymentStatus = async (orderId, status, paymentDetails) => {
+  try {
+    if (!orderId) {
+      throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+    }
+
+    if (!status) {
+      throw createError('VALIDATION', 'Payment status is required', { field: 'status' });
+    }
+
+    // Get the order's copies; checkout orders may only live under the customer
+    const { refs } = await findPaymentOrder(orderId);
+
+    let paymentStatus = status;
+    let mappedOrderStatus = null;
+
+    // Map gateway payment states onto the canonical order statuses.
+    // A null orderStatus means the event only affects the payment fields.
+    const statusMapping = {
+      'authorized': { orderStatus: ORDER_STATUSES.PAYMENT_PROCESSING, paymentStatus: 'authorized' },
+      'captured': { orderStatus: ORDER_STATUSES.PROCESSING, paymentStatus: 'paid' },
+      'paid': { orderStatus: ORDER_STATUSES.PROCESSING, paymentStatus: 'paid' },
+      'failed': { orderStatus: ORDER_STATUSES.PAYMENT_FAILED, paymentStatus: 'failed' },
+      'payment_failed': { orderStatus: ORDER_STATUSES.PAYMENT_FAILED, paymentStatus: 'failed' },
+      'refund_initiated': { orderStatus: null, paymentStatus: 'refund_initiated' },
+      'refunded': { orderStatus: ORDER_STATUSES.REFUNDED, paymentStatus: 'refunded' }
+    };
+
+    // Apply status mapping if available
+    if (statusMapping[status]) {
+      mappedOrderStatus = statusMapping[status].orderStatus;
+      paymentStatus = statusMapping[status].paymentStatus;
+    }
+
+    // Events arrive out of order and are redelivered; an event older than the
+    // order's payment state (e.g. "failed" after "captured") changes nothing
+    const { order: orderData, stale, changed } = await recordPaymentStatus(refs, paymentStatus, paymentDetails);
+
+    if (stale) {
+      console.warn(`Ignoring stale payment event ${status} for order ${orderId} with payment status ${orderData.payment.status}`);
+      return {
+        success: true,
+        stale: true,
+        orderId,
+        orderStatus: orderData.status,
+        paymentStatus: orderData.payment.status
+      };
+    }
+
+    // Only the delivery that moved the payment status changes the order
+    // status, so a duplicate racing it (or the checkout verify call) cannot
+    // repeat the stock, invoice and notification side effects
+    let orderStatus = (changed && mappedOrderStatus) || orderData.status;
+
+    // Gateway events must not push the order through an illegal transition
+    // (e.g. a late "failed" after the order has shipped). The payment details
+    // are recorded but the order status stays where it is.
+    if (!isValidStatusTransition(orderData.status, orderStatus)) {
+      console.warn(`Ignoring order status change ${orderData.status} -> ${orderStatus} for order ${orderId} from payment event ${status}`);
+      orderStatus = orderData.status;
+    }
+
+    if (orderStatus !== orderData.status) {
+      try {
+        await serviceUpdateOrderStatus(orderId, orderStatus, {}, {
+          changedBy: 'payment_webhook',
+          userId: orderData.userId
+        });
+      } catch (error) {
+        // Hand the payment status back so a redelivery can make the change
+        await Promise.all(refs.map(ref => updateDoc(ref, {
+          'payment.status': orderData.payment?.status || PAYMENT_STATUSES.PENDING
+        }))).catch(releaseError => console.error(`Error releasing payment status of order ${orderId}:`, releaseError));
+        throw error;
+      }
+    }
+
+    console.log(`Order ${orderId} status updated to ${orderStatus}, payment status: ${paymentStatus}`);
+
+    return {
+      success: true,
+      orderId,
+      orderStatus,
+      paymentStatus
+    };
+  } catch (error) {
+    console.error(`Error updating order ${orderId} status:`, error);
+
+    // Add error code if not present
+    if (!error.code) {
+      error.code = 'DATABASE';
+    }
+    throw error;
+  }
+};
+
+/**
+ * Build the ledger id for a webhook delivery. Providers send a unique event
+ * id; deliveries without one are keyed by a hash of the body instead.
+ * @param {string} providerId - Payment provider ID
+ * @param {Object} event - Normalized event
+ * @param {string} rawBody - Raw webhook body
+ * @returns {string} - `paymentEvents` document ID
+ */
+export const getPaymentEventId = (providerId, event, rawBody) => {
+  const eventId = event?.id || crypto.createHash('sha256').update(rawBody || '').digest('hex').slice(0, 40);
+  return `${providerId}_${eventId}`.replace(/\//g, '_');
+};
+
+/**
+ * Store a webhook event in the `paymentEvents` ledger and claim it for
+ * processing. Events already applied or ignored are reported as duplicates,
+ * as are events another delivery is still processing; failed events are
+ * claimed again so gateway retries can complete them.
+ * @param {Object} params - Event data
+ * @param {string} params.providerId - Payment provider ID
+ * @param {Object} params.event - Normalized event from the provider
+ * @param {string} params.rawBody - Raw webhook body, kept for auditing
+ * @param {string} params.orderId - Our order ID, if it could be resolved
+ * @returns {Promise<Object>} - { id, duplicate, processingStatus }
+ */
+export const recordPaymentEvent = async ({ providerId, event, rawBody, orderId }) => {
+  const id = getPaymentEventId(providerId, event, rawBody);
+  const eventRef = doc(db, 'paymentEvents', id);
+  const now = Date.now();
+
+  return runTransaction(db, async (transaction) => {
+    const eventSnap = await transaction.get(eventRef);
+    const lock = {
+      processingStatus: PAYMENT_EVENT_STATUSES.PROCESSING,
+      lockedUntil: now + PROCESSING_LOCK_MS,
+      lastAttemptAt: serverTimestamp()
+    };
+
+    if (!eventSnap.exists()) {
+      transaction.set(eventRef, {
+        provider: providerId,
+        eventId: event?.id || null,
+        type: event?.type || null,
+        orderId: orderId || null,
+        gatewayOrderId: event?.gatewayOrderId || null,
+        paymentId: event?.paymentId || null,
+        refundId: event?.refundId || null,
+        amount: event?.amount ?? null,
+        event: event || null,
+        payload: rawBody,
+        attempts: 1,
+        result: null,
+        error: null,
+        receivedAt: serverTimestamp(),
+        processedAt: null,
+        ...lock
+      });
+
+      return { id, duplicate: false, processingStatus: lock.processingStatus };
+    }
+
+    const existing = eventSnap.data();
+    const inFlight = existing.processingStatus === PAYMENT_EVENT_STATUSES.PROCESSING &&
+      existing.lockedUntil > now;
+
+    if (inFlight || [PAYMENT_EVENT_STATUSES.APPLIED, PAYMENT_EVENT_STATUSES.IGNORED].includes(existing.processingStatus)) {
+      return { id, duplicate: true, processingStatus: existing.processingStatus };
+    }
+
+    transaction.update(eventRef, {
+      ...lock,
+      orderId: existing.orderId || orderId || null,
+      attempts: (existing.attempts || 0) + 1
+    });
+
+    return { id, duplicate: false, processingStatus: lock.processingStatus };
+  });
+};
+
+/**
+ * Record the outcome of processing a ledger entry
+ * @param {string} id - `paymentEvents` document ID
+ * @param {string} processingStatus - One of PAYMENT_EVENT_STATUSES
+ * @param {Object} outcome - { result, reason, error }
+ * @returns {Promise<void>}
+ */
+const completePaymentEvent = async (id, processingStatus, { result = null, reason = null, error = null } = {}) => {
+  await updateDoc(doc(db, 'paymentEvents', id), {
+    processingStatus,
+    result,
+    reason,
+    error,
+    lockedUntil: null,
+    processedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Apply a claimed ledger entry to its order and record the outcome.
+ * Unhandled event types are marked ignored; stale events (older than the
+ * order's payment state) are ignored without touching the order.
+ * @param {Object} params - Ledger entry
+ * @param {string} params.id - `paymentEvents` document ID
+ * @param {string} params.providerId - Payment provider ID
+ * @param {Object} params.event - Normalized event
+ * @param {string} params.orderId - Our order ID
+ * @returns {Promise<Object>} - { processingStatus, result, reason }
+ */
+export const applyPaymentEvent = async ({ id, providerId, event, orderId }) => {
+  const handler = event && EVENT_HANDLERS[event.type];
+
+  if (!handler) {
+    await completePaymentEvent(id, PAYMENT_EVENT_STATUSES.IGNORED, { reason: 'unhandled_event' });
+    return { processingStatus: PAYMENT_EVENT_STATUSES.IGNORED, reason: 'unhandled_event' };
+  }
+
+  if (!orderId) {
+    await completePaymentEvent(id, PAYMENT_EVENT_STATUSES.FAILED, { error: 'Order ID not found for payment event' });
+    throw createError('VALIDATION', 'Order ID not found for payment event', { field: 'orderId' });
+  }
+
+  try {
+    const result = handler.refundStatus
+      ? await applyRefundEvent({ orderId, providerId, event, status: handler.refundStatus })
+      : await applyPaymentStatus(orderId, handler.status, {
+        provider: providerId,
+        paymentId: event.paymentId || null,
+        gatewayOrderId: event.gatewayOrderId || null,
+        amount: event.amount ?? null,
+        method: event.method || null,
+        status: event.status || null,
+        ...(event.errorCode ? { error: event.errorCode, errorDescription: event.errorDescription || null } : {}),
+        [handler.timestampField]: new Date().toISOString()
+      });
+
+    const { success, stale, ...summary } = result;
+    const processingStatus = stale ? PAYMENT_EVENT_STATUSES.IGNORED : PAYMENT_EVENT_STATUSES.APPLIED;
+    const reason = stale ? 'stale_event' : null;
+
+    await completePaymentEvent(id, processingStatus, { result: summary, reason });
+    return { processingStatus, result: summary, reason };
+  } catch (error) {
+    await completePaymentEvent(id, PAYMENT_EVENT_STATUSES.FAILED, { error: error.message });
+    throw error;
+  }
+};
+
+const toISOString = (value) => (value?.toDate ? value.toDate().toISOString() : value);
+
+const formatPaymentEvent = (eventSnap) => {
+  const data = eventSnap.data();
+
+  return {
+    id: eventSnap.id,
+    ...data,
+    receivedAt: toISOString(data.receivedAt),
+    processedAt: toISOString(data.processedAt),
+    lastAttemptAt: toISOString(data.lastAttemptAt),
+    lastReplayedAt: toISOString(data.lastReplayedAt)
+  };
+};
+
+/**
+ * Get a payment event from the ledger
+ * @param {string} id - `paymentEvents` document ID
+ * @returns {Promise<Object|null>} - Event or null if not found
+ */
+export const getPaymentEvent = async (id) => {
+  const eventSnap = await getDoc(doc(db, 'paymentEvents', id));
+  return eventSnap.exists() ? formatPaymentEvent(eventSnap) : null;
+};
+
+/**
+ * List the payment events received for an order, newest first
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} - Ledger entries
+ */
+export const getPaymentEventsForOrder = async (orderId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'paymentEvents'),
+    where('orderId', '==', orderId),
+    orderBy('receivedAt', 'desc')
+  ));
+
+  return snapshot.docs.map(formatPaymentEvent);
+};
+
+/**
+ * Re-apply a stored event, e.g. after fixing the cause of a failure. The same
+ * monotonic rules apply, so replaying an old event cannot undo newer state.
+ * @param {string} id - `paymentEvents` document ID
+ * @param {string} adminId - ID of the admin replaying the event
+ * @returns {Promise<Object>} - { processingStatus, result, reason }
+ */
+export const replayPaymentEvent = async (id, adminId) => {
+  const paymentEvent = await getPaymentEvent(id);
+
+  if (!paymentEvent) {
+    throw createError('NOT_FOUND', `Payment event ${id} not found`);
+  }
+
+  await updateDoc(doc(db, 'paymentEvents', id), {
+    attempts: (paymentEvent.attempts || 0) + 1,
+    lastAttemptAt: serverTimestamp(),
+    lastReplayedBy: adminId || null,
+    lastReplayedAt: serverTimestamp()
+  });
+
+  return applyPaymentEvent({
+    id,
+    providerId: paymentEvent.provider,
+    event: paymentEvent.event,
+    orderId: paymentEvent.orderId
+  });
+};
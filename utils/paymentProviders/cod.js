@@ -0,0 +1,43 @@
+// Cash on Delivery: nothing is collected online, so there is no gateway order,
+// no checkout step and no webhook. Payment is settled when the order is delivered.
+import { createError } from '../errorHandler';
+import { PAYMENT_STATUSES } from './constants';
+
+const codProvider = {
+  id: 'cod',
+  name: 'Cash on Delivery',
+  paymentMethods: ['cod'],
+
+  async initialize({ amount, currency }) {
+    return {
+      gatewayOrderId: null,
+      amount,
+      currency,
+      checkout: { type: 'none' }
+    };
+  },
+
+  async verify() {
+    throw createError('VALIDATION', 'Cash on Delivery orders are not verified online');
+  },
+
+  verifyWebhook() {
+    return { valid: false, error: 'Cash on Delivery does not send webhooks' };
+  },
+
+  parseWebhookEvent() {
+    return null;
+  },
+
+  async refund() {
+    throw createError('VALIDATION', 'Cash on Delivery payments are refunded offline');
+  },
+
+  async getStatus({ order }) {
+    return {
+      status: order.status === 'delivered' ? PAYMENT_STATUSES.PAID : PAYMENT_STATUSES.PENDING
+    };
+  }
+};
+
+export default codProvider;
@@ -0,0 +1,24 @@
+/**
+ * Provider-neutral payment statuses stored in `order.payment.status`
+ */
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUND_INITIATED: 'refund_initiated',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * Normalized webhook event types every provider's parseWebhookEvent maps onto
+ */
+export const PAYMENT_EVENT_TYPES = {
+  AUTHORIZED: 'payment.authorized',
+  CAPTURED: 'payment.captured',
+  FAILED: 'payment.failed',
+  REFUND_CREATED: 'refund.created',
+  REFUND_PROCESSED: 'refund.processed',
+  REFUND_FAILED: 'refund.failed'
+};
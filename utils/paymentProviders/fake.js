@@ -0,0 +1,95 @@
+// In-memory payment provider for tests. It is not registered by default;
+// tests register it with registerPaymentProvider(createFakePaymentProvider()).
+import { PAYMENT_STATUSES } from './constants';
+
+const FAKE_WEBHOOK_SECRET = 'fake-webhook-secret';
+
+/**
+ * Create a fake payment provider that records everything it is asked to do
+ * @param {Object} options - Provider options
+ * @param {string} options.id - Provider ID (default: fake)
+ * @param {Array<string>} options.paymentMethods - Methods it serves (default: card, upi)
+ * @returns {Object} - Provider implementation with test helpers
+ */
+export const createFakePaymentProvider = ({ id = 'fake', paymentMethods = ['card', 'upi'] } = {}) => {
+  const gatewayOrders = new Map();
+  const refunds = [];
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}_fake_${++sequence}`;
+  const signPayment = (gatewayOrderId, paymentId) => `signed:${gatewayOrderId}:${paymentId}`;
+
+  return {
+    id,
+    name: 'Fake gateway',
+    paymentMethods,
+    gatewayOrders,
+    refunds,
+
+    async initialize({ orderId, amount, currency }) {
+      const gatewayOrderId = nextId('order');
+      gatewayOrders.set(gatewayOrderId, { orderId, amount, currency, status: PAYMENT_STATUSES.PENDING });
+
+      return {
+        gatewayOrderId,
+        amount,
+        currency,
+        checkout: { type: 'fake', gatewayOrderId }
+      };
+    },
+
+    async verify({ payload = {} }) {
+      const verified = payload.signature === signPayment(payload.gatewayOrderId, payload.paymentId);
+
+      if (verified && gatewayOrders.has(payload.gatewayOrderId)) {
+        gatewayOrders.get(payload.gatewayOrderId).status = PAYMENT_STATUSES.PAID;
+      }
+
+      return { verified, paymentId: payload.paymentId, gatewayOrderId: payload.gatewayOrderId };
+    },
+
+    verifyWebhook({ headers = {} }) {
+      const valid = headers['x-fake-signature'] === FAKE_WEBHOOK_SECRET;
+      return { valid, error: valid ? null : 'Signature verification failed' };
+    },
+
+    parseWebhookEvent(payload) {
+      return payload;
+    },
+
+    async refund({ paymentId, amount, notes }) {
+      const refund = { refundId: nextId('rfnd'), paymentId, amount, notes, status: 'processed' };
+      refunds.push(refund);
+      return { refundId: refund.refundId, amount, status: refund.status };
+    },
+
+    async getStatus({ order }) {
+      const gatewayOrder = gatewayOrders.get(order.payment?.gatewayOrderId);
+      return { status: gatewayOrder?.status || PAYMENT_STATUSES.PENDING };
+    },
+
+    /**
+     * Simulate a completed checkout; the result is what the browser would post to verify
+     * @param {string} gatewayOrderId - Gateway order ID from initialize
+     * @returns {Object} - Verification payload
+     */
+    completeCheckout(gatewayOrderId) {
+      const paymentId = nextId('pay');
+      return { gatewayOrderId, paymentId, signature: signPayment(gatewayOrderId, paymentId) };
+    },
+
+    /**
+     * Build a signed webhook request for a normalized event
+     * @param {Object} event - Normalized event ({ id, type, gatewayOrderId, ... })
+     * @returns {Object} - { rawBody, headers }
+     */
+    createWebhook(event) {
+      return {
+        rawBody: JSON.stringify(event),
+        headers: { 'x-fake-signature': FAKE_WEBHOOK_SECRET }
+      };
+    }
+  };
+};
+
+export default createFakePaymentProvider;
@@ -0,0 +1,115 @@
+/**
+ * Payment provider registry. Checkout, order and webhook code talk to
+ * providers only through this interface, so adding a gateway means writing a
+ * provider module and registering it here.
+ *
+ * A provider is an object with:
+ * - id {string}: stored on the order as `payment.provider`
+ * - name {string}: display name
+ * - paymentMethods {Array<string>}: checkout methods it can collect (card, upi, cod, ...)
+ * - initialize({ order, orderId, amount, currency, paymentMethod, customer })
+ *     => { gatewayOrderId, amount, currency, checkout } where `checkout.type`
+ *     tells the browser how to continue (see utils/paymentCheckout.js)
+ * - verify({ order, payload }) => { verified, paymentId, gatewayOrderId }
+ * - verifyWebhook({ rawBody, headers }) => { valid, error }
+ * - parseWebhookEvent(payload, headers) => normalized event ({ id, type, orderId,
+ *     gatewayOrderId, paymentId, refundId, refundReference, amount, method,
+ *     status, ... }) or null. refundReference is the `refund_id` note sent with
+ *     refunds, when the gateway echoes it back. Gateways that send the event id
+ *     as a header read it from `headers`.
+ * - refund({ order, paymentId, amount, notes }) => { refundId, amount, status }
+ *     where status is the gateway's (e.g. pending, processed, failed)
+ * - getStatus({ order }) => { status } with a value from PAYMENT_STATUSES
+ *
+ * Amounts passed to and returned from initialize and refund are in the
+ * smallest currency unit (paise); webhook event amounts are in rupees.
+ */
+import { createError } from '../errorHandler';
+import razorpayProvider from './razorpay';
+import codProvider from './cod';
+
+export { PAYMENT_STATUSES, PAYMENT_EVENT_TYPES } from './constants';
+
+const PROVIDER_FUNCTIONS = ['initialize', 'verify', 'verifyWebhook', 'parseWebhookEvent', 'refund', 'getStatus'];
+
+const providers = new Map();
+
+/**
+ * Register a payment provider, replacing any provider with the same id
+ * @param {Object} provider - Provider implementation
+ * @returns {Object} - The registered provider
+ */
+export const registerPaymentProvider = (provider) => {
+  const missing = PROVIDER_FUNCTIONS.filter(name => typeof provider?.[name] !== 'function');
+
+  if (!provider?.id || !Array.isArray(provider.paymentMethods) || missing.length > 0) {
+    throw createError('VALIDATION', `Invalid payment provider ${provider?.id || ''}`.trim(), { missing });
+  }
+
+  providers.set(provider.id, provider);
+  return provider;
+};
+
+/**
+ * Remove a registered payment provider
+ * @param {string} providerId - Provider ID
+ */
+export const unregisterPaymentProvider = (providerId) => {
+  providers.delete(providerId);
+};
+
+/**
+ * Get a payment provider by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - Provider implementation
+ */
+export const getPaymentProvider = (providerId) => {
+  const provider = providers.get(providerId);
+
+  if (!provider) {
+    throw createError('VALIDATION', `Unknown payment provider: ${providerId}`, { field: 'provider' });
+  }
+
+  return provider;
+};
+
+/**
+ * Pick the provider for a checkout payment method. The gateway named in
+ * PAYMENT_PROVIDER (default: razorpay) is preferred for the methods it
+ * supports; other methods go to the first provider that supports them.
+ * @param {string} paymentMethod - Checkout payment method (card, upi, cod, ...)
+ * @returns {Object} - Provider implementation
+ */
+export const selectPaymentProvider = (paymentMethod) => {
+  const preferred = providers.get(process.env.PAYMENT_PROVIDER || razorpayProvider.id);
+
+  if (preferred?.paymentMethods.includes(paymentMethod)) {
+    return preferred;
+  }
+
+  const provider = Array.from(providers.values())
+    .find(candidate => candidate.paymentMethods.includes(paymentMethod));
+
+  if (!provider) {
+    throw createError('VALIDATION', `Unsupported payment method: ${paymentMethod}`, { field: 'paymentMethod' });
+  }
+
+  return provider;
+};
+
+/**
+ * Get the provider an order is paid through. Orders keep the provider chosen
+ * when payment was initialized, even if the configured default changes later.
+ * @param {Object} order - Order data
+ * @returns {Object} - Provider implementation
+ */
+export const getProviderForOrder = (order) => {
+  if (order.payment?.provider) {
+    return getPaymentProvider(order.payment.provider);
+  }
+
+  return selectPaymentProvider(order.payment?.method || order.paymentMethod);
+};
+
+registerPaymentProvider(razorpayProvider);
+registerPaymentProvider(codProvider);
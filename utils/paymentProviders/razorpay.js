@@ -0,0 +1,204 @@
+// Razorpay payment provider (cards, UPI and netbanking through Razorpay Checkout)
+import crypto from 'crypto';
+import { createError } from '../errorHandler';
+import { createRazorpayClient } from '../razorpayClient';
+import { PAYMENT_STATUSES } from './constants';
+
+/**
+ * Verify Razorpay webhook signature
+ * @param {string} body - Raw request body
+ * @param {string} signature - Razorpay signature from headers
+ * @returns {Object} - Object containing verification result and error if any
+ */
+export const verifyWebhookSignature = (body, signature) => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    console.error('PAYMENT_WEBHOOK_SECRET is not defined');
+    return { valid: false, error: 'Webhook secret is not configured' };
+  }
+
+  if (!signature) {
+    return { valid: false, error: 'Signature is missing from request headers' };
+  }
+
+  try {
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+
+    const isValid = expectedSignature === signature;
+
+    return {
+      valid: isValid,
+      error: isValid ? null : 'Signature verification failed'
+    };
+  } catch (error) {
+    console.error('Error verifying webhook signature:', error);
+    return { valid: false, error: `Signature verification error: ${error.message}` };
+  }
+};
+
+/**
+ * Verify the signature Razorpay Checkout returns after a successful payment
+ * @param {Object} paymentData - Payment data from Razorpay
+ * @param {string} paymentData.razorpay_payment_id - Razorpay payment ID
+ * @param {string} paymentData.razorpay_order_id - Razorpay order ID
+ * @param {string} paymentData.razorpay_signature - Razorpay signature
+ * @returns {boolean} - Whether the signature is valid
+ */
+export const verifyCheckoutSignature = (paymentData) => {
+  if (!paymentData.razorpay_payment_id || !paymentData.razorpay_order_id || !paymentData.razorpay_signature) {
+    throw createError('VALIDATION', 'Invalid payment data');
+  }
+
+  if (!process.env.RAZORPAY_KEY_SECRET) {
+    throw createError('CONFIGURATION', 'Razorpay is not configured. Please set RAZORPAY_KEY_SECRET environment variable.');
+  }
+
+  const generatedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${paymentData.razorpay_order_id}|${paymentData.razorpay_payment_id}`)
+    .digest('hex');
+
+  return generatedSignature === paymentData.razorpay_signature;
+};
+
+// Razorpay order states; "attempted" means a payment was tried but not completed
+const ORDER_STATUS_MAPPING = {
+  created: PAYMENT_STATUSES.PENDING,
+  attempted: PAYMENT_STATUSES.PENDING,
+  paid: PAYMENT_STATUSES.PAID
+};
+
+const razorpayProvider = {
+  id: 'razorpay',
+  name: 'Razorpay',
+  paymentMethods: ['card', 'upi', 'netbanking'],
+
+  /**
+   * Create (or reuse) the Razorpay order and return Checkout options.
+   * Checkout retries reuse the gateway order as long as the amount is unchanged.
+   */
+  async initialize({ order, orderId, amount, currency, paymentMethod, customer = {} }) {
+    const client = createRazorpayClient();
+    let gatewayOrder = null;
+
+    if (order.payment?.gatewayOrderId && order.payment.gatewayAmount === amount) {
+      const existingOrder = await client.fetchOrder(order.payment.gatewayOrderId);
+
+      if (existingOrder.status !== 'paid') {
+        gatewayOrder = existingOrder;
+      }
+    }
+
+    if (!gatewayOrder) {
+      gatewayOrder = await client.createOrder({
+        amount,
+        currency,
+        receipt: orderId,
+        notes: {
+          order_id: orderId,
+          user_id: order.userId || ''
+        }
+      });
+    }
+
+    return {
+      gatewayOrderId: gatewayOrder.id,
+      amount: gatewayOrder.amount,
+      currency: gatewayOrder.currency,
+      checkout: {
+        type: 'razorpay',
+        options: {
+          key: process.env.RAZORPAY_KEY_ID,
+          amount: gatewayOrder.amount,
+          currency: gatewayOrder.currency,
+          name: 'Rangya Denim',
+          description: `Order #${orderId}`,
+          order_id: gatewayOrder.id,
+          ...(paymentMethod === 'upi' ? { method: 'upi' } : {}),
+          prefill: {
+            name: customer.name,
+            email: customer.email,
+            contact: customer.phone,
+            ...(customer.vpa ? { vpa: customer.vpa } : {})
+          },
+          notes: {
+            address: 'Rangya Denim Corporate Office',
+            order_id: orderId
+          },
+          theme: {
+            color: '#4F46E5' // Indigo color from Tailwind
+          }
+        }
+      }
+    };
+  },
+
+  /**
+   * Verify the Checkout success response for an order
+   */
+  async verify({ payload = {} }) {
+    return {
+      verified: verifyCheckoutSignature(payload),
+      paymentId: payload.razorpay_payment_id,
+      gatewayOrderId: payload.razorpay_order_id
+    };
+  },
+
+  verifyWebhook({ rawBody, headers = {} }) {
+    return verifyWebhookSignature(rawBody, headers['x-razorpay-signature']);
+  },
+
+  /**
+   * Normalize a Razorpay webhook body. Entities are nested under `entity` in
+   * live payloads; bare entities are accepted as well. Razorpay sends the
+   * event id in the `x-razorpay-event-id` header, not in the body.
+   */
+  parseWebhookEvent(payload, headers = {}) {
+    const payment = payload.payload?.payment?.entity || payload.payload?.payment || null;
+    const refund = payload.payload?.refund?.entity || payload.payload?.refund || null;
+    const entity = refund || payment || {};
+
+    return {
+      id: headers['x-razorpay-event-id'] || null,
+      type: payload.event,
+      orderId: payment?.notes?.order_id || refund?.notes?.order_id || null,
+      gatewayOrderId: payment?.order_id || null,
+      paymentId: payment?.id || refund?.payment_id || null,
+      refundId: refund?.id || null,
+      // Our refund ledger entry, sent in the refund notes by refundService
+      refundReference: refund?.notes?.refund_id || null,
+      amount: typeof entity.amount === 'number' ? entity.amount / 100 : null, // Convert from paise to rupees
+      method: payment?.method || null,
+      status: entity.status || null,
+      errorCode: payment?.error_code || null,
+      errorDescription: payment?.error_description || null
+    };
+  },
+
+  async refund({ paymentId, amount, notes }) {
+    const refund = await createRazorpayClient().createRefund(paymentId, { amount, notes });
+
+    return {
+      refundId: refund.id,
+      amount: refund.amount,
+      status: refund.status
+    };
+  },
+
+  async getStatus({ order }) {
+    if (!order.payment?.gatewayOrderId) {
+      return { status: PAYMENT_STATUSES.PENDING };
+    }
+
+    const gatewayOrder = await createRazorpayClient().fetchOrder(order.payment.gatewayOrderId);
+
+    return {
+      status: ORDER_STATUS_MAPPING[gatewayOrder.status] || PAYMENT_STATUSES.PENDING,
+      gatewayStatus: gatewayOrder.status
+    };
+  }
+};
+
+export default razorpayProvider;
@@ -1,154 +1,313 @@
-// Payment Service for Razorpay integration
+// Payment Service: provider-independent payment flow for orders.
+// Gateway specifics live in utils/paymentProviders.
+import {
+  collection,
+  query,
+  where,
+  limit,
+  getDocs,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
 import { createError } from './errorHandler';
+import { selectPaymentProvider, getProviderForOrder, PAYMENT_STATUSES } from './paymentProviders';
+import { holdOrderStock, convertReservation } from './stockReservationService';
+import { ORDER_STATUSES, isValidStatusTransition, updateOrderStatus } from './orderService';
 
 /**
- * Initialize Razorpay payment
- * @param {Object} orderData - Order data containing payment details
- * @param {string} orderData.orderId - The order ID
- * @param {number} orderData.amount - The amount to be paid in smallest currency unit (paise for INR)
- * @param {string} orderData.currency - The currency code (e.g., INR)
- * @param {string} orderData.customerName - Customer's name
- * @param {string} orderData.customerEmail - Customer's email
- * @param {string} orderData.customerPhone - Customer's phone number
- * @returns {Promise<Object>} - Object containing payment details for the frontend
+ * Load an order that is about to be paid for. Orders placed from the cart live
+ * under the user's orders subcollection and API-created orders are mirrored in
+ * the top-level collection, so both copies are returned for updating.
+ * @param {string} orderId - Our order ID
+ * @param {string} userId - ID of the paying user
+ * @returns {Promise<Object>} - { order, refs } where refs are the existing copies
  */
-export const initializeRazorpayPayment = async (orderData) => {
+export const getOrderForPayment = async (orderId, userId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const refs = [doc(db, 'orders', orderId)];
+
+  if (userId) {
+    refs.push(doc(db, 'users', userId, 'orders', orderId));
+  }
+
+  const snapshots = await Promise.all(refs.map(ref => getDoc(ref)));
+  const existing = snapshots
+    .map((snapshot, index) => ({ snapshot, ref: refs[index] }))
+    .filter(({ snapshot }) => snapshot.exists());
+
+  if (existing.length === 0) {
+    throw createError('NOT_FOUND', `Order ${orderId} not found`);
+  }
+
+  const order = { id: orderId, ...existing[0].snapshot.data() };
+
+  if (userId && order.userId && order.userId !== userId) {
+    throw createError('AUTHORIZATION', 'You do not have permission to pay for this order');
+  }
+
+  return { order, refs: existing.map(({ ref }) => ref) };
+};
+
+/**
+ * Load an order for a gateway webhook, refund or status check, which only
+ * know our order ID. The customer, needed to find orders that live under
+ * them, is taken from the order's `paymentGatewayOrders` mapping.
+ * @param {string} orderId - Our order ID
+ * @returns {Promise<Object>} - { order, refs } as for getOrderForPayment
+ */
+export const findPaymentOrder = async (orderId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const mappings = await getDocs(query(
+    collection(db, 'paymentGatewayOrders'),
+    where('orderId', '==', orderId),
+    limit(1)
+  ));
+  const userId = mappings.empty ? null : mappings.docs[0].data().userId || null;
+
+  return getOrderForPayment(orderId, userId);
+};
+
+/**
+ * Get the payable amount of an order in the smallest currency unit (paise)
+ * @param {Object} order - Order data
+ * @returns {number} - Amount in paise
+ */
+export const getOrderAmount = (order) => {
+  const orderTotal = Number(order.total ?? order.totalAmount ?? order.totals?.total);
+  return Math.round(orderTotal * 100) || 0;
+};
+
+/**
+ * Start paying for an order. The provider is chosen from the payment method
+ * and recorded on the order; the amount is taken from the stored order, never
+ * from the client. Gateway order ids are also saved in `paymentGatewayOrders`
+ * so that checkout callbacks and webhooks, which only carry the gateway id,
+ * can be mapped back. The order's stock is held for the payment window, or
+ * taken straight away when there is nothing to pay online (Cash on Delivery).
+ * The order was priced and checked for Cash on Delivery or online payment when
+ * it was placed, so that choice can't be changed here; online methods (card,
+ * UPI, ...) can still be swapped for one another.
+ * @param {Object} params - Parameters
+ * @param {string} params.orderId - Our order ID
+ * @param {string} params.userId - ID of the paying user
+ * @param {string} params.paymentMethod - Checkout payment method (card, upi, cod, ...);
+ *   defaults to the order's
+ * @param {string} params.currency - The currency code (e.g., INR)
+ * @param {Object} params.customer - { name, email, phone, vpa } used to prefill checkout
+ * @returns {Promise<Object>} - { provider, checkout } for the browser
+ */
+export const initializePayment = async ({ orderId, userId, paymentMethod, currency = 'INR', customer = {} }) => {
   try {
-    // Validate required data
-    if (!orderData.orderId) {
-      throw createError('VALIDATION', 'Order ID is required');
+    const { order, refs } = await getOrderForPayment(orderId, userId);
+
+    if (order.payment?.status === PAYMENT_STATUSES.PAID) {
+      throw createError('VALIDATION', 'This order has already been paid for');
+    }
+
+    const orderMethod = order.payment?.method || order.paymentMethod;
+
+    // The COD fee and COD eligibility were settled with the order's method
+    if (paymentMethod && orderMethod && (paymentMethod === 'cod') !== (orderMethod === 'cod')) {
+      throw createError('VALIDATION', 'Payment method does not match the order. Please place the order again to change it.', {
+        field: 'paymentMethod'
+      });
+    }
+
+    const method = paymentMethod || orderMethod;
+    const provider = selectPaymentProvider(method);
+    const amount = getOrderAmount(order);
+
+    if (amount <= 0) {
+      throw createError('VALIDATION', 'Order has no payable amount', { field: 'amount' });
     }
-    
-    if (!orderData.amount) {
-      throw createError('VALIDATION', 'Amount is required');
+
+    // Fails with the unavailable items if the stock went while the customer was away
+    const reservation = await holdOrderStock(order);
+
+    // Gateway state from another provider (e.g. the default gateway changed since) is not reused
+    const paymentState = order.payment?.provider === provider.id ? order.payment : {};
+
+    const result = await provider.initialize({
+      order: { ...order, payment: paymentState },
+      orderId,
+      amount,
+      currency,
+      paymentMethod: method,
+      customer
+    });
+
+    if (result.gatewayOrderId && result.gatewayOrderId !== paymentState.gatewayOrderId) {
+      await setDoc(doc(db, 'paymentGatewayOrders', result.gatewayOrderId), {
+        provider: provider.id,
+        orderId,
+        userId: order.userId || userId || null,
+        amount: result.amount,
+        currency: result.currency,
+        createdAt: serverTimestamp()
+      });
     }
-    
-    // Check if Razorpay keys are configured
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      throw createError('CONFIGURATION', 'Razorpay is not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables.');
+
+    if (result.checkout?.type === 'none') {
+      await convertReservation(reservation.reservationId);
     }
-    
-    // In a real implementation, you would create a Razorpay order here
-    // For now, we'll just return the necessary data for the frontend
+
+    await Promise.all(refs.map(ref => updateDoc(ref, {
+      'payment.provider': provider.id,
+      'payment.method': method,
+      'payment.status': order.payment?.status || PAYMENT_STATUSES.PENDING,
+      'payment.gatewayOrderId': result.gatewayOrderId || null,
+      'payment.gatewayAmount': result.amount,
+      stockReservationId: reservation.reservationId,
+      updatedAt: serverTimestamp()
+    })));
+
     return {
       success: true,
       data: {
-        key: process.env.RAZORPAY_KEY_ID,
-        amount: orderData.amount,
-        currency: orderData.currency || 'INR',
-        name: 'Rangya Denim',
-        description: `Order #${orderData.orderId}`,
-        order_id: orderData.orderId,
-        prefill: {
-          name: orderData.customerName,
-          email: orderData.customerEmail,
-          contact: orderData.customerPhone
-        },
-        notes: {
-          address: 'Rangya Denim Corporate Office'
-        },
-        theme: {
-          color: '#4F46E5' // Indigo color from Tailwind
-        }
+        provider: provider.id,
+        checkout: result.checkout
       }
     };
   } catch (error) {
-    console.error('Error initializing Razorpay payment:', error);
+    console.error('Error initializing payment:', error);
     throw error;
   }
 };
 
 /**
- * Verify Razorpay payment
- * @param {Object} paymentData - Payment data from Razorpay
- * @param {string} paymentData.razorpay_payment_id - Razorpay payment ID
- * @param {string} paymentData.razorpay_order_id - Razorpay order ID
- * @param {string} paymentData.razorpay_signature - Razorpay signature
+ * Verify the payment confirmation the browser received from the gateway, mark
+ * the order as paid and take its reserved stock
+ * @param {Object} params - Parameters
+ * @param {string} params.orderId - Our order ID
+ * @param {string} params.userId - ID of the paying user
+ * @param {Object} params.payload - Provider-specific checkout response
  * @returns {Promise<Object>} - Object containing verification result
  */
-export const verifyRazorpayPayment = async (paymentData) => {
+export const verifyPayment = async ({ orderId, userId, payload }) => {
   try {
-    // Validate required data
-    if (!paymentData.razorpay_payment_id || !paymentData.razorpay_order_id || !paymentData.razorpay_signature) {
-      throw createError('VALIDATION', 'Invalid payment data');
+    const { order, refs } = await getOrderForPayment(orderId, userId);
+    const provider = getProviderForOrder(order);
+    const result = await provider.verify({ order, payload: payload || {} });
+
+    if (!result.verified) {
+      throw createError('VALIDATION', 'Invalid payment signature');
     }
-    
-    // Check if Razorpay keys are configured
-    if (!process.env.RAZORPAY_KEY_SECRET) {
-      throw createError('CONFIGURATION', 'Razorpay is not configured. Please set RAZORPAY_KEY_SECRET environment variable.');
+
+    // The confirmation must be for the gateway order we created for this order,
+    // otherwise a valid signature for some other (cheaper) payment could mark it as paid
+    if (!order.payment?.gatewayOrderId || result.gatewayOrderId !== order.payment.gatewayOrderId) {
+      throw createError('VALIDATION', 'Payment does not belong to this order');
     }
-    
-    // Verify the payment signature
-    const crypto = require('crypto');
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${paymentData.razorpay_order_id}|${paymentData.razorpay_payment_id}`)
-      .digest('hex');
-    
-    const isSignatureValid = generatedSignature === paymentData.razorpay_signature;
-    
-    if (!isSignatureValid) {
-      throw createError('VALIDATION', 'Invalid payment signature');
+
+    const paymentData = {
+      'payment.status': PAYMENT_STATUSES.PAID,
+      'payment.details': {
+        paymentId: result.paymentId,
+        gatewayOrderId: result.gatewayOrderId,
+        paymentTimestamp: serverTimestamp(),
+        verificationTimestamp: serverTimestamp()
+      }
+    };
+
+    // The paid order moves on through the state machine, which records the
+    // change and takes the held stock. An order that has already moved on
+    // (e.g. the webhook got there first) only gets the payment details.
+    if (isValidStatusTransition(order.status, ORDER_STATUSES.PROCESSING)) {
+      await updateOrderStatus(orderId, ORDER_STATUSES.PROCESSING, paymentData, {
+        changedBy: 'payment_verify',
+        userId: order.userId || userId
+      });
+    } else {
+      console.warn(`Recording payment for order ${orderId} without moving it on from ${order.status}`);
+      await Promise.all(refs.map(ref => updateDoc(ref, { ...paymentData, updatedAt: serverTimestamp() })));
     }
-    
+
     return {
       success: true,
       data: {
-        paymentId: paymentData.razorpay_payment_id,
-        orderId: paymentData.razorpay_order_id,
+        orderId,
+        provider: provider.id,
+        paymentId: result.paymentId,
         verified: true
       }
     };
   } catch (error) {
-    console.error('Error verifying Razorpay payment:', error);
+    console.error('Error verifying payment:', error);
     throw error;
   }
 };
 
 /**
- * Initialize UPI payment
- * @param {Object} orderData - Order data containing payment details
- * @param {string} orderData.orderId - The order ID
- * @param {number} orderData.amount - The amount to be paid in smallest currency unit (paise for INR)
- * @param {string} orderData.vpa - UPI Virtual Payment Address (optional)
- * @returns {Promise<Object>} - Object containing payment details for the frontend
+ * Refund an order's payment through the provider it was paid with
+ * @param {Object} params - Parameters
+ * @param {string} params.orderId - Our order ID
+ * @param {number} params.amount - Amount to refund in rupees; defaults to the order total
+ * @param {Object} params.notes - Key-value notes stored with the gateway refund
+ * @returns {Promise<Object>} - { provider, refundId, amount, status } with amount in rupees
  */
-export const initializeUpiPayment = async (orderData) => {
-  try {
-    // Validate required data
-    if (!orderData.orderId) {
-      throw createError('VALIDATION', 'Order ID is required');
-    }
-    
-    if (!orderData.amount) {
-      throw createError('VALIDATION', 'Amount is required');
-    }
-    
-    // Check if Razorpay keys are configured (UPI is handled through Razorpay)
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      throw createError('CONFIGURATION', 'Razorpay is not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables.');
-    }
-    
-    // In a real implementation, you would create a UPI payment request here
-    // For now, we'll just return the necessary data for the frontend
-    return {
-      success: true,
-      data: {
-        key: process.env.RAZORPAY_KEY_ID,
-        amount: orderData.amount,
-        currency: 'INR',
-        name: 'Rangya Denim',
-        description: `Order #${orderData.orderId}`,
-        order_id: orderData.orderId,
-        method: 'upi',
-        vpa: orderData.vpa || '',
-        theme: {
-          color: '#4F46E5' // Indigo color from Tailwind
-        }
-      }
-    };
-  } catch (error) {
-    console.error('Error initializing UPI payment:', error);
-    throw error;
+export const refundPayment = async ({ orderId, amount, notes = {} }) => {
+  const { order } = await findPaymentOrder(orderId);
+  const provider = getProviderForOrder(order);
+  const paymentId = order.payment?.details?.paymentId;
+
+  if (!paymentId) {
+    throw createError('VALIDATION', 'Order has no captured payment to refund');
   }
-};
\ No newline at end of file
+
+  const refundAmount = amount === undefined ? getOrderAmount(order) : Math.round(amount * 100);
+
+  if (refundAmount <= 0 || refundAmount > getOrderAmount(order)) {
+    throw createError('VALIDATION', 'Refund amount must be between 0 and the order total', { field: 'amount' });
+  }
+
+  const refund = await provider.refund({ order, paymentId, amount: refundAmount, notes });
+
+  return {
+    provider: provider.id,
+    refundId: refund.refundId,
+    amount: (refund.amount ?? refundAmount) / 100,
+    status: refund.status
+  };
+};
+
+/**
+ * Ask the order's provider for the current payment status
+ * @param {string} orderId - Our order ID
+ * @returns {Promise<Object>} - { provider, status }
+ */
+export const getPaymentStatus = async (orderId) => {
+  const { order } = await findPaymentOrder(orderId);
+  const provider = getProviderForOrder(order);
+  const { status } = await provider.getStatus({ order });
+
+  return { provider: provider.id, status };
+};
+
+/**
+ * Map a gateway order id back to our order
+ * @param {string} gatewayOrderId - Gateway order id (e.g. Razorpay order_...)
+ * @returns {Promise<Object|null>} - { provider, orderId, userId, amount, currency } or null if unknown
+ */
+export const getOrderByGatewayOrderId = async (gatewayOrderId) => {
+  if (!gatewayOrderId) {
+    return null;
+  }
+
+  const mappingSnap = await getDoc(doc(db, 'paymentGatewayOrders', gatewayOrderId));
+
+  if (!mappingSnap.exists()) {
+    return null;
+  }
+
+  return mappingSnap.data();
+};
@@ -63,4 +63,286 @@ export const generateOrderPDF = async (orderId, element) => {
     console.error('PDF generation failed:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+// jsPDF's built-in fonts have no rupee glyph
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatInvoiceDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Generates a GST tax invoice PDF with jsPDF text drawing, so it works on the
+ * server and produces sharp, searchable output
+ * @param {Object} invoice - Invoice document (see utils/invoiceService.js)
+ * @returns {ArrayBuffer} - PDF file contents
+ */
+export const generateInvoicePDF = (invoice) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const margin = 14;
+  const pageWidth = 210;
+  const pageBottom = 280;
+  const right = pageWidth - margin;
+  const isInterState = invoice.supplyType === 'inter_state';
+  let y = 18;
+
+  // Header
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text('TAX INVOICE', pageWidth / 2, y, { align: 'center' });
+  y += 10;
+
+  // Seller details (left) and invoice details (right)
+  pdf.setFontSize(11);
+  pdf.text(invoice.seller.name, margin, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  const sellerLines = [
+    ...invoice.seller.addressLines,
+    `State: ${invoice.seller.state}`,
+    `GSTIN: ${invoice.seller.gstin || 'N/A'}`
+  ];
+  sellerLines.forEach((line, index) => pdf.text(line, margin, y + 5 + (index * 4.5)));
+
+  const invoiceDetails = [
+    ['Invoice No:', invoice.invoiceNumber],
+    ['Invoice Date:', formatInvoiceDate(invoice.issuedAt)],
+    ['Order No:', invoice.orderNumber || invoice.orderId],
+    ['Place of Supply:', invoice.placeOfSupply]
+  ];
+  invoiceDetails.forEach(([label, value], index) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(label, 125, y + (index * 4.5));
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(String(value || ''), 152, y + (index * 4.5));
+  });
+  y += 10 + (Math.max(sellerLines.length, invoiceDetails.length) * 4.5);
+
+  // Buyer addresses
+  const addressBlock = (title, lines, x) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(title, x, y);
+    pdf.setFont('helvetica', 'normal');
+    const blockLines = [invoice.buyer.name, ...lines, invoice.buyer.phone && `Phone: ${invoice.buyer.phone}`]
+      .filter(Boolean)
+      .flatMap(line => pdf.splitTextToSize(line, 85));
+    blockLines.forEach((line, index) => pdf.text(line, x, y + 5 + (index * 4.5)));
+    return blockLines.length;
+  };
+  const billToLines = addressBlock('Bill To', invoice.buyer.billingAddressLines, margin);
+  const shipToLines = addressBlock('Ship To', invoice.buyer.shippingAddressLines, 110);
+  y += 10 + (Math.max(billToLines, shipToLines) * 4.5);
+
+  // Line items
+  const columns = isInterState
+    ? [
+        { title: '#', width: 8 },
+        { title: 'Item', width: 62 },
+        { title: 'HSN', width: 16 },
+        { title: 'Qty', width: 10, align: 'right' },
+        { title: 'Taxable Value', width: 26, align: 'right' },
+        { title: 'Rate', width: 12, align: 'right' },
+        { title: 'IGST', width: 24, align: 'right' },
+        { title: 'Total', width: 24, align: 'right' }
+      ]
+    : [
+        { title: '#', width: 8 },
+        { title: 'Item', width: 44 },
+        { title: 'HSN', width: 16 },
+        { title: 'Qty', width: 10, align: 'right' },
+        { title: 'Taxable Value', width: 24, align: 'right' },
+        { title: 'Rate', width: 12, align: 'right' },
+        { title: 'CGST', width: 22, align: 'right' },
+        { title: 'SGST', width: 22, align: 'right' },
+        { title: 'Total', width: 24, align: 'right' }
+      ];
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    const wrapped = cells.map((cell, index) => pdf.splitTextToSize(String(cell), columns[index].width - 2));
+    const rowHeight = Math.max(...wrapped.map(lines => lines.length)) * 4 + 2;
+
+    if (y + rowHeight > pageBottom) {
+      pdf.addPage();
+      y = 18;
+    }
+
+    let x = margin;
+    wrapped.forEach((lines, index) => {
+      const column = columns[index];
+      const textX = column.align === 'right' ? x + column.width - 1 : x + 1;
+      pdf.text(lines, textX, y + 4, { align: column.align || 'left' });
+      x += column.width;
+    });
+    y += rowHeight;
+    pdf.line(margin, y, right, y);
+  };
+
+  pdf.setFontSize(8);
+  pdf.line(margin, y, right, y);
+  drawRow(columns.map(column => column.title), { bold: true });
+
+  invoice.lines.forEach((line, index) => {
+    const lineTax = line.cgst + line.sgst + line.igst;
+    const taxCells = isInterState
+      ? [formatAmount(line.igst)]
+      : [formatAmount(line.cgst), formatAmount(line.sgst)];
+
+    drawRow([
+      index + 1,
+      line.size ? `${line.name} (Size: ${line.size})` : line.name,
+      line.hsnCode || '-',
+      line.quantity,
+      formatAmount(line.taxableValue),
+      `${line.rate}%`,
+      ...taxCells,
+      formatAmount(line.taxableValue + lineTax)
+    ]);
+  });
+
+  // Totals
+  const totalRows = [
+    ['Subtotal', formatAmount(invoice.subtotal)],
+    invoice.discount > 0 && ['Discount', `- ${formatAmount(invoice.discount)}`],
+    ['Taxable Value', formatAmount(invoice.subtotal - invoice.discount)],
+    ...(isInterState
+      ? [['IGST', formatAmount(invoice.igst)]]
+      : [['CGST', formatAmount(invoice.cgst)], ['SGST', formatAmount(invoice.sgst)]]),
+    ['Shipping', formatAmount(invoice.shippingCost)],
+    invoice.codFee > 0 && ['COD Charges', formatAmount(invoice.codFee)]
+  ].filter(Boolean);
+
+  if (y + (totalRows.length * 5) + 20 > pageBottom) {
+    pdf.addPage();
+    y = 18;
+  }
+
+  y += 6;
+  pdf.setFontSize(9);
+  pdf.setFont('helvetica', 'normal');
+  totalRows.forEach(([label, value]) => {
+    pdf.text(label, 140, y);
+    pdf.text(value, right, y, { align: 'right' });
+    y += 5;
+  });
+  pdf.line(140, y - 3, right, y - 3);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text('Grand Total', 140, y + 2);
+  pdf.text(formatAmount(invoice.total), right, y + 2, { align: 'right' });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.text('This is a computer-generated invoice and does not require a signature.', pageWidth / 2, 290, { align: 'center' });
+
+  return pdf.output('arraybuffer');
+};
+
+/**
+ * Generates a 4x6 inch shipping label for carriers that do not host their
+ * own, such as the local fake carrier
+ * @param {Object} shipment - Shipment document (see utils/shipmentService.js)
+ * @returns {ArrayBuffer} - PDF file contents
+ */
+export const generateShippingLabelPDF = (shipment) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: [101.6, 152.4] });
+  const margin = 5;
+  const pageWidth = 101.6;
+  const right = pageWidth - margin;
+  const address = shipment.deliveryAddress || {};
+  const pkg = shipment.package || {};
+  let y = 10;
+
+  const rule = () => {
+    pdf.line(margin, y, right, y);
+    y += 5;
+  };
+
+  // Courier and AWB
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.text(shipment.courierName || 'Courier', margin, y);
+  pdf.text(shipment.paymentMode === 'cod' ? `COD ${formatAmount(shipment.codAmount)}` : 'PREPAID', right, y, { align: 'right' });
+  y += 9;
+  pdf.setFontSize(18);
+  pdf.text(shipment.awb || 'AWB PENDING', pageWidth / 2, y, { align: 'center' });
+  y += 5;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.text('AWB', pageWidth / 2, y, { align: 'center' });
+  y += 4;
+  rule();
+
+  // Delivery address
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.text('Deliver To', margin, y);
+  y += 5;
+  pdf.setFontSize(11);
+  pdf.text(address.fullName || '', margin, y);
+  y += 5;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  [address.line1, address.line2, [address.city, address.state].filter(Boolean).join(', ')]
+    .filter(Boolean)
+    .flatMap(line => pdf.splitTextToSize(line, right - margin))
+    .forEach(line => {
+      pdf.text(line, margin, y);
+      y += 4.5;
+    });
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(14);
+  pdf.text(`PIN ${address.postalCode || ''}`, margin, y + 2);
+  pdf.setFontSize(9);
+  pdf.text(address.phone ? `Ph: ${address.phone}` : '', right, y + 2, { align: 'right' });
+  y += 7;
+  rule();
+
+  // Order and package
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  [
+    ['Order', shipment.orderNumber || shipment.orderId],
+    ['Reference', shipment.reference],
+    ['Weight', `${pkg.weight || 0} kg`],
+    ['Dimensions', `${pkg.length || 0} x ${pkg.breadth || 0} x ${pkg.height || 0} cm`]
+  ].forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`${label}:`, margin, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(String(value || ''), margin + 22, y);
+    y += 4.5;
+  });
+  y += 1;
+  rule();
+
+  pdf.setFontSize(8);
+  (shipment.items || []).slice(0, 6).forEach(item => {
+    const name = item.size ? `${item.name} (${item.size})` : item.name;
+    pdf.text(pdf.splitTextToSize(name, right - margin - 12)[0], margin, y);
+    pdf.text(`x${item.quantity}`, right, y, { align: 'right' });
+    y += 4;
+  });
+
+  if ((shipment.items || []).length > 6) {
+    pdf.text(`+ ${shipment.items.length - 6} more`, margin, y);
+    y += 4;
+  }
+
+  // Return address
+  y = Math.max(y + 2, 128);
+  pdf.line(margin, y, right, y);
+  y += 5;
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(`If undelivered, return to: ${shipment.sender?.name || ''}`, margin, y);
+  pdf.setFont('helvetica', 'normal');
+  (shipment.sender?.addressLines || []).slice(0, 3).forEach((line, index) => {
+    pdf.text(line, margin, y + 4 + (index * 4));
+  });
+
+  return pdf.output('arraybuffer');
+};
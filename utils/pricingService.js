@@ -0,0 +1,224 @@
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { validateCoupon } from './couponService';
+import { calculateGst, DEFAULT_TAX_SLAB } from './gstService';
+import { hasVariants, getVariant } from './productVariants';
+import {
+  DEFAULT_SHIPPING_RATES,
+  getOrderWeight,
+  calculateShippingCost,
+  getShippingRates,
+  getShippingOptions,
+  selectShippingOption
+} from './shippingRateService';
+
+/**
+ * Pricing rules shared by the cart, checkout and every order-creation path
+ */
+export const PRICING_CONFIG = {
+  // Largest difference between a client total and the server total that is
+  // still treated as a rounding difference
+  TOTAL_TOLERANCE: 0.01
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the price a product currently sells for. A sale price only applies
+ * when it is set and lower than the regular price. A variant with its own
+ * price only goes on sale through its own sale price.
+ * @param {Object} product - Product data
+ * @param {Object} variant - Selected variant (optional)
+ * @returns {number} - Unit price
+ */
+export const getUnitPrice = (product, variant = null) => {
+  const hasOwnPrice = variant?.price !== undefined && variant?.price !== null;
+  const price = Number(hasOwnPrice ? variant.price : product.price) || 0;
+  const salePrice = Number(hasOwnPrice ? variant.salePrice : variant?.salePrice ?? product.salePrice);
+
+  return salePrice > 0 && salePrice < price ? salePrice : price;
+};
+
+/**
+ * Calculate order totals from priced items. GST is itemized per line and
+ * split into CGST/SGST or IGST depending on the destination state. Shipping
+ * is the chosen shipping option's; before one is chosen (e.g. in the cart)
+ * it is quoted at the default standard rate.
+ * @param {Object} params - Pricing input
+ * @param {Array} params.items - Items with price, quantity and tax slab
+ * @param {number} params.discount - Coupon discount amount
+ * @param {string} params.destinationState - Shipping address state (optional)
+ * @param {Object} params.shipping - Chosen shipping: { shippingCost, codFee } (optional)
+ * @returns {Object} - { subtotal, discount, shippingCost, codFee, tax, gst, total }
+ */
+export const calculateTotals = ({ items = [], discount = 0, destinationState = null, shipping = null }) => {
+  const subtotal = round(items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+  const appliedDiscount = round(Math.min(Math.max(0, discount), subtotal));
+  const taxableAmount = subtotal - appliedDiscount;
+  const { shippingCost, codFee } = items.length === 0
+    ? { shippingCost: 0, codFee: 0 }
+    : shipping || {
+      shippingCost: calculateShippingCost(DEFAULT_SHIPPING_RATES[0], { weight: getOrderWeight(items), orderValue: taxableAmount }).shippingCost,
+      codFee: 0
+    };
+  const gst = calculateGst({ items, discount: appliedDiscount, destinationState });
+
+  return {
+    subtotal,
+    discount: appliedDiscount,
+    shippingCost,
+    codFee: codFee || 0,
+    tax: gst.total,
+    gst,
+    total: round(taxableAmount + shippingCost + (codFee || 0) + gst.total)
+  };
+};
+
+/**
+ * Replace client-supplied item prices with current prices from Firestore.
+ * Items of variant products must name their variant; its SKU and options are
+ * copied onto the item.
+ * @param {Array} items - Order items ({ id, quantity, size, variantId, ... })
+ * @returns {Promise<Array>} - Items with server prices
+ */
+export const priceItems = async (items = []) => {
+  return Promise.all(items.map(async (item) => {
+    const productId = item.productId || item.id;
+    const quantity = Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createError('VALIDATION', 'Item quantity must be a positive whole number', { productId });
+    }
+
+    const productSnap = await getDoc(doc(db, 'products', productId));
+
+    if (!productSnap.exists()) {
+      throw createError('NOT_FOUND', `Product ${productId} not found`, { productId });
+    }
+
+    const product = productSnap.data();
+    const variant = getVariant(product, item.variantId);
+
+    if (hasVariants(product) && !variant) {
+      throw createError('VALIDATION', `Please choose an available option for ${product.name || item.name}`, {
+        productId,
+        variantId: item.variantId || null
+      });
+    }
+
+    return {
+      ...item,
+      name: product.name || item.name,
+      category: product.category || null,
+      hsnCode: product.hsnCode || null,
+      taxSlab: product.taxSlab || DEFAULT_TAX_SLAB,
+      weight: Number(variant?.weight ?? product.weight) || null,
+      quantity,
+      price: getUnitPrice(product, variant),
+      ...(variant ? {
+        variantId: variant.id,
+        sku: variant.sku,
+        wash: variant.wash,
+        size: variant.size,
+        length: variant.length || null
+      } : {})
+    };
+  }));
+};
+
+/**
+ * Price an order on the server: current product prices, coupon discount,
+ * GST and shipping. With the address's serviceability, shipping is priced
+ * by the shipping rate rules (see shippingRateService) for the chosen
+ * service, including the COD surcharge when paying on delivery.
+ * @param {Object} params - Order input
+ * @param {Array} params.items - Order items
+ * @param {string} params.couponCode - Optional coupon code
+ * @param {string} params.userId - User ID (for coupon per-user limits)
+ * @param {string} params.destinationState - Shipping address state
+ * @param {Object} params.serviceability - Result of checkServiceability for the address (optional)
+ * @param {string} params.shippingService - Chosen shipping service (defaults to the cheapest)
+ * @param {string} params.paymentMethod - Payment method, e.g. 'cod'
+ * @returns {Promise<Object>} - { items, totals, couponCode, destinationState,
+ *   shippingOptions, shippingOption }
+ */
+export const priceOrder = async ({
+  items,
+  couponCode,
+  userId,
+  destinationState = null,
+  serviceability = null,
+  shippingService = null,
+  paymentMethod = null
+}) => {
+  if (!items || items.length === 0) {
+    throw createError('VALIDATION', 'Order must contain at least one item', { field: 'items' });
+  }
+
+  const pricedItems = await priceItems(items);
+  let discount = 0;
+
+  if (couponCode) {
+    const coupon = await validateCoupon(couponCode, { items: pricedItems, userId });
+
+    if (!coupon.valid) {
+      throw createError('VALIDATION', coupon.message, { field: 'couponCode' });
+    }
+
+    discount = coupon.discount;
+  }
+
+  let shippingOptions = null;
+  let shippingOption = null;
+
+  if (serviceability) {
+    const subtotal = pricedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+    shippingOptions = getShippingOptions({
+      items: pricedItems,
+      orderValue: round(subtotal - Math.min(discount, subtotal)),
+      serviceability,
+      rules: await getShippingRates()
+    });
+    const option = selectShippingOption(shippingOptions, shippingService);
+    shippingOption = { ...option, codFee: paymentMethod === 'cod' ? option.codFee : 0 };
+  }
+
+  return {
+    items: pricedItems,
+    totals: calculateTotals({ items: pricedItems, discount, destinationState, shipping: shippingOption }),
+    couponCode: couponCode || null,
+    destinationState,
+    shippingOptions,
+    shippingOption
+  };
+};
+
+/**
+ * Reject an order whose client-side total doesn't match the server total
+ * @param {number} clientTotal - Total the client displayed and submitted
+ * @param {number} serverTotal - Total calculated by the pricing engine
+ */
+export const assertClientTotal = (clientTotal, serverTotal) => {
+  if (clientTotal === undefined || clientTotal === null) {
+    return;
+  }
+
+  if (Math.abs(Number(clientTotal) - serverTotal) > PRICING_CONFIG.TOTAL_TOLERANCE) {
+    throw createError('VALIDATION', 'Order total has changed. Please review your cart and try again.', {
+      field: 'total',
+      expected: serverTotal,
+      received: Number(clientTotal)
+    });
+  }
+};
+
+export default {
+  PRICING_CONFIG,
+  getUnitPrice,
+  calculateTotals,
+  priceItems,
+  priceOrder,
+  assertClientTotal
+};
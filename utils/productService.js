@@ -12,12 +12,11 @@ import {
   limit,
   startAfter,
   increment,
-  serverTimestamp,
-  runTransaction,
-  deleteField
+  serverTimestamp
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { setCacheItem, getCacheItem, deleteCacheItem, cachedFunction } from './cacheUtils';
+import { adjustStock } from './stockReservationService';
 
 // Collection references - initialize them when needed, not at module level
 const getProductsRef = () => {
@@ -617,39 +616,26 @@ export async function deleteProduct(productId) {
 }
 
 /**
- * Update product stock
+ * Update product stock by hand. The change is recorded in the inventory
+ * ledger (see stockReservationService.adjustStock).
  * @param {string} productId - Product ID
- * @param {Object} stockUpdates - Stock updates by size
- * @returns {Promise<void>}
+ * @param {Object} stockUpdates - Signed stock changes by size or variant ID
+ * @param {Object} options - { reason, actor, type } for the inventory ledger
+ * @returns {Promise<Object>} - New stock levels by size or variant ID
  */
-export async function updateProductStock(productId, stockUpdates) {
+export async function updateProductStock(productId, stockUpdates, { reason, actor = null, type } = {}) {
   try {
-    const productRef = doc(db, 'products', productId);
-    
-    // Get current product data
-    const productSnap = await getDoc(productRef);
-    
-    if (!productSnap.exists()) {
-      throw new Error(`Product ${productId} not found`);
-    }
-    
-    const productData = productSnap.data();
-    const currentStock = productData.stock || {};
-    
-    // Create stock update object for Firestore
-    const stockUpdateObj = {};
-    
-    Object.entries(stockUpdates).forEach(([size, change]) => {
-      // Calculate new stock value, ensuring it doesn't go below 0
-      const currentValue = currentStock[size] || 0;
-      const newValue = Math.max(0, currentValue + change);
-      
-      // Add to update object
-      stockUpdateObj[`stock.${size}`] = newValue;
+    const result = await adjustStock({
+      productId,
+      changes: Object.entries(stockUpdates).map(([size, quantity]) => ({ size, quantity })),
+      type,
+      reason,
+      actor
     });
     
-    // Update Firestore
-    await updateDoc(productRef, stockUpdateObj);
+    deleteCacheItem(`product:${productId}`);
+    
+    return result;
   } catch (error) {
     console.error('Error updating product stock:', error);
     throw error;
@@ -717,165 +703,4 @@ export async function isInWishlist(userId, productId) {
     console.error('Error checking wishlist:', error);
     return false;
   }
-}
-
-/**
- * Reserve stock for a product
- * @param {string} productId - Product ID
- * @param {string} size - Size to reserve
- * @param {number} quantity - Quantity to reserve
- * @param {string} sessionId - Unique session ID
- * @returns {Promise<boolean>} - Whether reservation was successful
- */
-export const reserveStock = async (productId, size, quantity, sessionId) => {
-  try {
-    const productRef = doc(db, 'products', productId);
-    
-    // Use transaction to ensure atomic operation
-    return await runTransaction(db, async (transaction) => {
-      const productDoc = await transaction.get(productRef);
-      
-      if (!productDoc.exists()) {
-        throw new Error(`Product ${productId} not found`);
-      }
-      
-      const productData = productDoc.data();
-      
-      // Check which field contains stock information
-      const hasStockField = productData.stock && productData.stock[size] !== undefined;
-      const hasSizesField = productData.sizes && productData.sizes[size] !== undefined;
-      
-      // Get available quantity
-      let availableQuantity = 0;
-      let stockFieldToUpdate = '';
-      
-      if (hasStockField) {
-        availableQuantity = productData.stock[size];
-        stockFieldToUpdate = 'stock';
-      } else if (hasSizesField) {
-        availableQuantity = productData.sizes[size];
-        stockFieldToUpdate = 'sizes';
-      } else {
-        throw new Error(`No stock information for ${productData.name || 'product'} (${size})`);
-      }
-      
-      // Check for existing reservations and clean up expired ones (older than 15 minutes)
-      const reservations = productData.reservations || {};
-      const currentTime = new Date().getTime();
-      let reservedQuantity = 0;
-      
-      Object.entries(reservations).forEach(([resId, res]) => {
-        // Skip the current session's reservation
-        if (resId.startsWith(sessionId)) return;
-        
-        // Check if reservation has expired (15 minutes)
-        const reservationTime = new Date(res.timestamp).getTime();
-        if (currentTime - reservationTime < 15 * 60 * 1000) {
-          // Reservation is still valid
-          if (res.size === size) {
-            reservedQuantity += res.quantity;
-          }
-        }
-      });
-      
-      // Calculate truly available quantity
-      const trueAvailableQuantity = availableQuantity - reservedQuantity;
-      
-      // Check if enough stock is available
-      if (trueAvailableQuantity < quantity) {
-        return {
-          success: false,
-          availableQuantity: trueAvailableQuantity,
-          message: `Only ${trueAvailableQuantity} items available for this product/size`
-        };
-      }
-      
-      // Create a unique reservation ID
-      const reservationId = `${sessionId}_${new Date().getTime()}`;
-      
-      // Add the reservation
-      transaction.update(productRef, {
-        [`reservations.${reservationId}`]: {
-          size,
-          quantity,
-          timestamp: new Date().toISOString(),
-          expiresAt: new Date(currentTime + 15 * 60 * 1000).toISOString() // 15 minutes expiry
-        }
-      });
-      
-      return {
-        success: true,
-        reservationId,
-        expiresAt: new Date(currentTime + 15 * 60 * 1000).toISOString()
-      };
-    });
-  } catch (error) {
-    console.error('Error reserving stock:', error);
-    return {
-      success: false,
-      message: error.message
-    };
-  }
-};
-
-/**
- * Release a stock reservation
- * @param {string} productId - Product ID
- * @param {string} reservationId - Reservation ID to release
- * @returns {Promise<boolean>} - Whether release was successful
- */
-export const releaseStockReservation = async (productId, reservationId) => {
-  try {
-    const productRef = doc(db, 'products', productId);
-    
-    await updateDoc(productRef, {
-      [`reservations.${reservationId}`]: deleteField()
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('Error releasing stock reservation:', error);
-    return false;
-  }
-};
-
-/**
- * Clean up expired reservations for a product
- * @param {string} productId - Product ID
- * @returns {Promise<number>} - Number of expired reservations removed
- */
-export const cleanupExpiredReservations = async (productId) => {
-  try {
-    const productRef = doc(db, 'products', productId);
-    const productDoc = await getDoc(productRef);
-    
-    if (!productDoc.exists()) {
-      throw new Error(`Product ${productId} not found`);
-    }
-    
-    const productData = productDoc.data();
-    const reservations = productData.reservations || {};
-    const currentTime = new Date().getTime();
-    const updates = {};
-    let removedCount = 0;
-    
-    Object.entries(reservations).forEach(([resId, res]) => {
-      // Check if reservation has expired (15 minutes)
-      const reservationTime = new Date(res.timestamp).getTime();
-      if (currentTime - reservationTime >= 15 * 60 * 1000) {
-        // Reservation has expired, mark for deletion
-        updates[`reservations.${resId}`] = deleteField();
-        removedCount++;
-      }
-    });
-    
-    if (removedCount > 0) {
-      await updateDoc(productRef, updates);
-    }
-    
-    return removedCount;
-  } catch (error) {
-    console.error('Error cleaning up expired reservations:', error);
-    return 0;
-  }
-};
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,285 @@
+// Product Variants: denim sells in washes × waist sizes × lengths (inseam),
+// each variant with its own SKU, price override and images. Variants are
+// stored on the product in `variants`; their stock lives in the product's
+// `stock` map keyed by variant ID, so holds, sales and restocks work on
+// variants the same way they do on plain sizes.
+import { createError } from './errorHandler';
+
+/**
+ * Check whether a product is sold in variants
+ * @param {Object} product - Product data
+ * @returns {boolean} - Whether the product has variants
+ */
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+const toIdPart = (value) => String(value)
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+/**
+ * Build the ID of a variant from its options, e.g. "dark-indigo-32-30"
+ * @param {Object} options - { wash, size, length }
+ * @returns {string} - Variant ID
+ */
+export const buildVariantId = ({ wash, size, length }) => {
+  return [wash, size, length]
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(toIdPart)
+    .join('-');
+};
+
+/**
+ * Get a product's variant by ID
+ * @param {Object} product - Product data
+ * @param {string} variantId - Variant ID
+ * @returns {Object|null} - Variant or null if not found
+ */
+export const getVariant = (product, variantId) => {
+  if (!hasVariants(product) || !variantId) {
+    return null;
+  }
+
+  return product.variants.find(variant => variant.id === variantId) || null;
+};
+
+/**
+ * Find the variant matching a wash, size and length selection
+ * @param {Object} product - Product data
+ * @param {Object} selection - { wash, size, length }
+ * @returns {Object|null} - Variant or null if there is no such combination
+ */
+export const findVariant = (product, { wash, size, length }) => {
+  if (!hasVariants(product)) {
+    return null;
+  }
+
+  return product.variants.find(variant =>
+    (variant.wash || '') === (wash || '') &&
+    String(variant.size || '') === String(size || '') &&
+    String(variant.length || '') === String(length || '')
+  ) || null;
+};
+
+/**
+ * Get the washes, sizes and lengths a product comes in, in the order the
+ * variants list them
+ * @param {Object} product - Product data
+ * @returns {Object} - { washes, sizes, lengths }
+ */
+export const getVariantOptions = (product) => {
+  const options = { washes: [], sizes: [], lengths: [] };
+
+  (hasVariants(product) ? product.variants : []).forEach(variant => {
+    [['washes', variant.wash], ['sizes', variant.size], ['lengths', variant.length]].forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && !options[key].includes(String(value))) {
+        options[key].push(String(value));
+      }
+    });
+  });
+
+  return options;
+};
+
+/**
+ * Units of a variant in stock, before holds
+ * @param {Object} product - Product data
+ * @param {Object} variant - Variant
+ * @returns {number} - Stock quantity
+ */
+export const getVariantStock = (product, variant) => {
+  return Number(product?.stock?.[variant.id]) || 0;
+};
+
+/**
+ * Get the sizes of a product that have stock, for both variant products and
+ * products with a per-size stock map
+ * @param {Object} product - Product data
+ * @returns {Array} - Sizes in stock
+ */
+export const getSizesInStock = (product) => {
+  if (hasVariants(product)) {
+    return [...new Set(product.variants
+      .filter(variant => getVariantStock(product, variant) > 0)
+      .map(variant => String(variant.size)))];
+  }
+
+  if (!product?.stock || typeof product.stock !== 'object') {
+    return [];
+  }
+
+  return Object.keys(product.stock).filter(size => product.stock[size] > 0);
+};
+
+/**
+ * Get the images to show for a variant: its own, those of another variant in
+ * the same wash, or the product's
+ * @param {Object} product - Product data
+ * @param {Object} variant - Variant (optional)
+ * @returns {Array} - Image URLs
+ */
+export const getVariantImages = (product, variant) => {
+  if (variant?.images?.length > 0) {
+    return variant.images;
+  }
+
+  if (variant && hasVariants(product)) {
+    const sameWash = product.variants.find(other => other.wash === variant.wash && other.images?.length > 0);
+    if (sameWash) {
+      return sameWash.images;
+    }
+  }
+
+  return product?.images || [];
+};
+
+/**
+ * Describe a variant for carts, orders and invoices, e.g. "Dark Indigo W32 L30"
+ * @param {Object} variant - Variant or order item with wash, size and length
+ * @returns {string} - Variant label
+ */
+export const getVariantLabel = (variant) => {
+  if (!variant) {
+    return '';
+  }
+
+  return [
+    variant.wash,
+    variant.size ? `W${variant.size}` : null,
+    variant.length ? `L${variant.length}` : null
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Key a cart or order item's stock is kept under: the variant ID for variant
+ * products, otherwise the size
+ * @param {Object} item - Item with variantId and/or size
+ * @returns {string} - Stock key
+ */
+export const getStockKey = (item) => String(item.variantId || item.size || '');
+
+/**
+ * Build one variant row per wash × size × length combination, keeping the
+ * rows that already exist
+ * @param {Object} options - { washes, sizes, lengths }
+ * @param {Array} existing - Existing variant rows
+ * @returns {Array} - Variant rows
+ */
+export const buildVariantMatrix = ({ washes = [], sizes = [], lengths = [] }, existing = []) => {
+  const rows = [...existing];
+  const existingIds = new Set(existing.map(row => buildVariantId(row)));
+
+  washes.forEach(wash => {
+    sizes.forEach(size => {
+      (lengths.length > 0 ? lengths : ['']).forEach(length => {
+        const id = buildVariantId({ wash, size, length });
+
+        if (!existingIds.has(id)) {
+          existingIds.add(id);
+          rows.push({ id, sku: '', wash, size, length, price: '', salePrice: '', stock: 0, images: [] });
+        }
+      });
+    });
+  });
+
+  return rows;
+};
+
+const toOptionalPrice = (value, field, index) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const price = Number(value);
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw createError('VALIDATION', `Variant ${index + 1}: ${field} must be a positive number`, { field, index });
+  }
+
+  return price;
+};
+
+/**
+ * Validate variant rows from the admin form and split them into the
+ * product's `variants` and its `stock` map
+ * @param {Array} rows - Variant rows ({ sku, wash, size, length, price, salePrice, stock, images })
+ * @returns {Object} - { variants, stock }
+ */
+export const normalizeVariants = (rows = []) => {
+  const variants = [];
+  const stock = {};
+  const skus = new Set();
+
+  rows.forEach((row, index) => {
+    const wash = String(row.wash || '').trim();
+    const size = String(row.size || '').trim();
+    const length = String(row.length || '').trim();
+    const sku = String(row.sku || '').trim();
+
+    if (!wash || !size) {
+      throw createError('VALIDATION', `Variant ${index + 1}: wash and size are required`, { field: 'variants', index });
+    }
+
+    if (!sku) {
+      throw createError('VALIDATION', `Variant ${index + 1}: SKU is required`, { field: 'sku', index });
+    }
+
+    if (skus.has(sku.toUpperCase())) {
+      throw createError('VALIDATION', `SKU ${sku} is used by more than one variant`, { field: 'sku', index });
+    }
+
+    const id = buildVariantId({ wash, size, length });
+
+    if (stock[id] !== undefined) {
+      throw createError('VALIDATION', `${getVariantLabel({ wash, size, length })} is listed more than once`, { field: 'variants', index });
+    }
+
+    skus.add(sku.toUpperCase());
+    stock[id] = Math.max(0, parseInt(row.stock, 10) || 0);
+    variants.push({
+      id,
+      sku,
+      wash,
+      size,
+      length: length || null,
+      price: toOptionalPrice(row.price, 'price', index),
+      salePrice: toOptionalPrice(row.salePrice, 'salePrice', index),
+      images: row.images || []
+    });
+  });
+
+  return { variants, stock };
+};
+
+/**
+ * Turn a product's variants back into admin form rows
+ * @param {Object} product - Product data
+ * @returns {Array} - Variant rows
+ */
+export const toVariantRows = (product) => {
+  return (hasVariants(product) ? product.variants : []).map(variant => ({
+    ...variant,
+    length: variant.length || '',
+    price: variant.price ?? '',
+    salePrice: variant.salePrice ?? '',
+    stock: getVariantStock(product, variant),
+    images: variant.images || []
+  }));
+};
+
+export default {
+  hasVariants,
+  buildVariantId,
+  getVariant,
+  findVariant,
+  getVariantOptions,
+  getVariantStock,
+  getSizesInStock,
+  getVariantImages,
+  getVariantLabel,
+  getStockKey,
+  buildVariantMatrix,
+  normalizeVariants,
+  toVariantRows
+};
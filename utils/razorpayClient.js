@@ -0,0 +1,105 @@
+/**
+ * Minimal server-side client for the Razorpay Orders API.
+ * Requests are authenticated with HTTP Basic auth using the key id and secret,
+ * so this module must only be used from API routes.
+ */
+import { createError } from './errorHandler';
+
+export const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+const REQUEST_TIMEOUT_MS = 10000; // 10 seconds timeout
+
+/**
+ * Create a Razorpay API client
+ * @param {Object} options - Client options
+ * @param {string} options.keyId - Razorpay key id (defaults to RAZORPAY_KEY_ID)
+ * @param {string} options.keySecret - Razorpay key secret (defaults to RAZORPAY_KEY_SECRET)
+ * @param {string} options.baseUrl - API base URL (defaults to RAZORPAY_API_URL, e.g. a local stub)
+ * @returns {Object} - Client with createOrder, fetchOrder and createRefund
+ */
+export const createRazorpayClient = ({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  baseUrl = process.env.RAZORPAY_API_URL || RAZORPAY_API_URL
+} = {}) => {
+  if (!keyId || !keySecret) {
+    throw createError('CONFIGURATION', 'Razorpay is not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables.');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  const request = async (method, path, body) => {
+    let response;
+
+    try {
+      response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        method,
+        headers: {
+          Authorization: authorization,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw createError('EXTERNAL_SERVICE', 'Could not reach the payment gateway', error);
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Razorpay reports failures as { error: { code, description, field } }
+      throw createError('EXTERNAL_SERVICE', data.error?.description || 'Payment gateway request failed', {
+        status: response.status,
+        gatewayCode: data.error?.code || null,
+        field: data.error?.field || null
+      });
+    }
+
+    return data;
+  };
+
+  return {
+    /**
+     * Create a gateway order that checkout and signature verification refer to
+     * @param {Object} params - Order parameters
+     * @param {number} params.amount - Amount in the smallest currency unit (paise for INR)
+     * @param {string} params.currency - Currency code
+     * @param {string} params.receipt - Our reference for the order (max 40 characters)
+     * @param {Object} params.notes - Key-value notes copied onto the gateway's payments
+     * @returns {Promise<Object>} - Razorpay order entity
+     */
+    createOrder: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw createError('VALIDATION', 'Amount must be a positive integer in the smallest currency unit', {
+          field: 'amount'
+        });
+      }
+
+      return request('POST', '/orders', { amount, currency, receipt, notes });
+    },
+
+    /**
+     * Fetch a gateway order
+     * @param {string} gatewayOrderId - Razorpay order id (order_...)
+     * @returns {Promise<Object>} - Razorpay order entity
+     */
+    fetchOrder: (gatewayOrderId) => request('GET', `/orders/${encodeURIComponent(gatewayOrderId)}`),
+
+    /**
+     * Refund a captured payment, fully or partially
+     * @param {string} paymentId - Razorpay payment id (pay_...)
+     * @param {Object} params - Refund parameters
+     * @param {number} params.amount - Amount in the smallest currency unit; omit for a full refund
+     * @param {Object} params.notes - Key-value notes stored on the refund
+     * @returns {Promise<Object>} - Razorpay refund entity
+     */
+    createRefund: (paymentId, { amount, notes = {} } = {}) => request(
+      'POST',
+      `/payments/${encodeURIComponent(paymentId)}/refund`,
+      { ...(amount ? { amount } : {}), notes }
+    )
+  };
+};
+
+export default createRazorpayClient;
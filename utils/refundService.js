@@ -0,0 +1,484 @@
+// Refund Service: refunds are kept as a ledger on the order (`order.refunds`),
+// one entry per refund, so partial refunds add up instead of replacing each
+// other. The order status follows the cumulative refunded amount.
+import { runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { calculateGst } from './gstService';
+import { ORDER_STATUSES, isValidStatusTransition, updateOrderStatus } from './orderService';
+import { getOrderAmount, refundPayment, findPaymentOrder } from './paymentService';
+import { PAYMENT_STATUSES } from './paymentProviders';
+import { restockItems } from './stockReservationService';
+import { INVENTORY_MOVEMENT_TYPES } from './inventoryService';
+import { getStockKey } from './productVariants';
+
+/**
+ * Status of a refund ledger entry
+ */
+export const REFUND_STATUSES = {
+  PENDING: 'pending', // reserved in the ledger, not yet accepted by the gateway
+  INITIATED: 'initiated', // accepted by the gateway, money not yet returned
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+// Refund entries only move forward; processed and failed are final
+const REFUND_STATUS_RANK = {
+  [REFUND_STATUSES.PENDING]: 0,
+  [REFUND_STATUSES.INITIATED]: 1,
+  [REFUND_STATUSES.PROCESSED]: 2,
+  [REFUND_STATUSES.FAILED]: 2
+};
+
+// Gateway refund statuses (from provider.refund) mapped onto ledger statuses
+const GATEWAY_REFUND_STATUSES = {
+  processed: REFUND_STATUSES.PROCESSED,
+  failed: REFUND_STATUSES.FAILED
+};
+
+const REFUND_PAYMENT_STATUSES = [
+  PAYMENT_STATUSES.REFUND_INITIATED,
+  PAYMENT_STATUSES.PARTIALLY_REFUNDED,
+  PAYMENT_STATUSES.REFUNDED
+];
+
+// Cancelling or returning an order already puts its stock back
+const RESTOCKED_ORDER_STATUSES = [ORDER_STATUSES.CANCELLED, ORDER_STATUSES.RETURNED];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const getItemKey = (item) => `${item.productId || item.id}:${getStockKey(item)}`;
+
+const generateRefundId = () => `refund_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+
+/**
+ * Get an order's refund ledger. Orders refunded before the ledger existed
+ * carry a single `refund` object, which is read as one processed entry.
+ * @param {Object} order - Order data
+ * @returns {Array} - Refund entries
+ */
+export const getRefundLedger = (order) => {
+  if (Array.isArray(order.refunds)) {
+    return order.refunds;
+  }
+
+  if (order.refund) {
+    return [{
+      id: 'legacy',
+      amount: Number(order.refund.amount) || 0,
+      items: Array.isArray(order.refund.items) ? order.refund.items : [],
+      reason: order.refund.reason || null,
+      status: REFUND_STATUSES.PROCESSED,
+      createdBy: order.refund.processedBy || null
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Get the refundable value of each order line. A unit's value includes its
+ * share of the coupon discount and its GST, so refunding every unit of every
+ * line refunds everything but shipping.
+ * @param {Object} order - Order data
+ * @param {Array} refunds - Refund ledger
+ * @returns {Array} - Lines with { key, productId, size, name, quantity, refundedQuantity, unitAmount }
+ */
+export const getRefundableItems = (order, refunds = getRefundLedger(order)) => {
+  const items = (order.items || []).map(item => ({
+    ...item,
+    price: Number(item.price ?? item.unitPrice) || 0,
+    quantity: Number(item.quantity ?? item.qty) || 0
+  }));
+  const shippingAddress = order.shipping?.address || order.shippingAddress || null;
+  const gst = order.gst || order.totals?.gst || calculateGst({
+    items,
+    discount: Number(order.discount ?? order.totals?.discount) || 0,
+    destinationState: shippingAddress?.state
+  });
+
+  const refundedQuantities = {};
+  refunds
+    .filter(refund => refund.status !== REFUND_STATUSES.FAILED)
+    .forEach(refund => (refund.items || []).forEach(item => {
+      const key = getItemKey(item);
+      refundedQuantities[key] = (refundedQuantities[key] || 0) + (Number(item.quantity) || 0);
+    }));
+
+  return items.map((item, index) => {
+    const line = gst.lines?.[index];
+    const lineAmount = line
+      ? line.taxableValue + line.cgst + line.sgst + line.igst
+      : item.price * item.quantity;
+    const key = getItemKey(item);
+
+    return {
+      key,
+      productId: item.productId || item.id,
+      size: item.size || null,
+      ...(item.variantId ? { variantId: item.variantId, sku: item.sku || null } : {}),
+      name: item.name || '',
+      quantity: item.quantity,
+      refundedQuantity: refundedQuantities[key] || 0,
+      unitAmount: item.quantity > 0 ? lineAmount / item.quantity : 0
+    };
+  });
+};
+
+/**
+ * Add up an order's refund ledger. Failed refunds are left out; pending and
+ * initiated refunds count, so they cannot be issued twice.
+ * @param {Object} order - Order data
+ * @param {Array} refunds - Refund ledger
+ * @returns {Object} - { orderAmount, refundedAmount, processedAmount, remainingAmount, inProgress, fullyRefunded }
+ */
+export const summarizeRefunds = (order, refunds = getRefundLedger(order)) => {
+  const orderPaise = getOrderAmount(order);
+  const active = refunds.filter(refund => refund.status !== REFUND_STATUSES.FAILED);
+  const sumPaise = (entries) => entries.reduce((sum, refund) => sum + Math.round((Number(refund.amount) || 0) * 100), 0);
+  const refundedPaise = sumPaise(active);
+
+  return {
+    orderAmount: orderPaise / 100,
+    refundedAmount: refundedPaise / 100,
+    processedAmount: sumPaise(active.filter(refund => refund.status === REFUND_STATUSES.PROCESSED)) / 100,
+    remainingAmount: Math.max(0, orderPaise - refundedPaise) / 100,
+    inProgress: active.some(refund => [REFUND_STATUSES.PENDING, REFUND_STATUSES.INITIATED].includes(refund.status)),
+    fullyRefunded: refundedPaise > 0 && refundedPaise >= orderPaise
+  };
+};
+
+/**
+ * Payment status that reflects the refund ledger
+ * @param {Object} order - Order data
+ * @param {Object} summary - Result of summarizeRefunds
+ * @returns {string} - Payment status
+ */
+const getRefundPaymentStatus = (order, summary) => {
+  if (summary.refundedAmount === 0) {
+    // Every refund failed; the payment is back to being fully paid
+    const currentStatus = order.payment?.status || null;
+    return REFUND_PAYMENT_STATUSES.includes(currentStatus) ? PAYMENT_STATUSES.PAID : currentStatus;
+  }
+
+  if (summary.inProgress) {
+    return PAYMENT_STATUSES.REFUND_INITIATED;
+  }
+
+  return summary.fullyRefunded ? PAYMENT_STATUSES.REFUNDED : PAYMENT_STATUSES.PARTIALLY_REFUNDED;
+};
+
+/**
+ * Work out the items and amount of a new refund
+ * @param {Object} order - Order data
+ * @param {Array} refunds - Refund ledger
+ * @param {Object} request - { amount, items }
+ * @returns {Object} - { amount, items }
+ */
+const resolveRefund = (order, refunds, { amount, items = [] }) => {
+  const lines = getRefundableItems(order, refunds);
+  const summary = summarizeRefunds(order, refunds);
+  const fullRefund = items.length === 0 && (amount === undefined || amount === null);
+
+  // A full refund covers every unit that has not been refunded yet
+  const requested = fullRefund
+    ? lines.map(line => ({ ...line, quantity: line.quantity - line.refundedQuantity }))
+    : items.map(item => ({ key: getItemKey(item), quantity: Number(item.quantity) }));
+
+  const refundItems = requested
+    .filter(item => !fullRefund || item.quantity > 0)
+    .map(item => {
+      const line = lines.find(orderLine => orderLine.key === item.key);
+
+      if (!line) {
+        throw createError('VALIDATION', `Item ${item.key} is not part of this order`, { field: 'items' });
+      }
+
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0 || item.quantity > line.quantity - line.refundedQuantity) {
+        throw createError('VALIDATION', `Invalid refund quantity for ${line.name || line.productId}`, {
+          field: 'items',
+          item: line.key,
+          refundable: line.quantity - line.refundedQuantity
+        });
+      }
+
+      return {
+        productId: line.productId,
+        size: line.size,
+        name: line.name,
+        quantity: item.quantity,
+        amount: round(line.unitAmount * item.quantity)
+      };
+    });
+
+  let refundAmount;
+  if (fullRefund) {
+    refundAmount = summary.remainingAmount;
+  } else if (amount === undefined || amount === null) {
+    refundAmount = round(refundItems.reduce((sum, item) => sum + item.amount, 0));
+  } else {
+    refundAmount = round(Number(amount));
+  }
+
+  if (!(refundAmount > 0)) {
+    throw createError('VALIDATION', summary.remainingAmount > 0 ? 'Valid refund amount is required' : 'Order has already been fully refunded', {
+      field: 'amount'
+    });
+  }
+
+  if (refundAmount > summary.remainingAmount) {
+    throw createError('VALIDATION', `Refund amount cannot exceed the remaining refundable amount of ${summary.remainingAmount}`, {
+      field: 'amount',
+      remaining: summary.remainingAmount
+    });
+  }
+
+  return { amount: refundAmount, items: refundItems };
+};
+
+/**
+ * Update a ledger entry (or add one) and the order's refund totals in one
+ * transaction
+ * @param {string} orderId - Order ID
+ * @param {Function} findEntry - Predicate selecting the entry to update
+ * @param {Object} changes - Fields to set on the entry
+ * @param {Function} createEntry - Builds a new entry if none matches (optional)
+ * @returns {Promise<Object|null>} - { order, entry, summary, stale } or null if no entry matched
+ */
+const updateRefundLedger = async (orderId, findEntry, changes, createEntry = null) => {
+  // Checkout orders may only live under the customer; every copy is updated
+  const { refs } = await findPaymentOrder(orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderSnap = await transaction.get(refs[0]);
+
+    if (!orderSnap.exists()) {
+      throw createError('NOT_FOUND', `Order ${orderId} not found`, { resource: 'order' });
+    }
+
+    const order = { id: orderId, ...orderSnap.data() };
+    const refunds = [...getRefundLedger(order)];
+    let index = refunds.findIndex(findEntry);
+
+    if (index === -1) {
+      if (!createEntry) {
+        return null;
+      }
+
+      refunds.push(createEntry(order));
+      index = refunds.length - 1;
+    } else if (changes.status && REFUND_STATUS_RANK[changes.status] <= REFUND_STATUS_RANK[refunds[index].status]) {
+      // Gateway responses and webhooks race; never move an entry backwards
+      return { order, entry: refunds[index], summary: summarizeRefunds(order, refunds), stale: true };
+    }
+
+    const entry = { ...refunds[index], ...changes, updatedAt: new Date().toISOString() };
+    refunds[index] = entry;
+
+    const summary = summarizeRefunds(order, refunds);
+    const paymentStatus = getRefundPaymentStatus(order, summary);
+
+    refs.forEach(ref => transaction.update(ref, {
+      refunds,
+      refundedAmount: summary.refundedAmount,
+      ...(paymentStatus ? { 'payment.status': paymentStatus } : {}),
+      updatedAt: serverTimestamp()
+    }));
+
+    return {
+      order: { ...order, refunds, payment: { ...order.payment, status: paymentStatus } },
+      entry,
+      summary,
+      stale: false
+    };
+  });
+};
+
+/**
+ * Move the order to partially_refunded or refunded to match its ledger
+ * @param {Object} order - Order data with the updated ledger
+ * @param {Object} summary - Result of summarizeRefunds
+ * @param {Object} audit - { changedBy, note } for the status history
+ * @returns {Promise<string>} - The order status afterwards
+ */
+const syncRefundOrderStatus = async (order, summary, audit) => {
+  let targetStatus = null;
+
+  if (summary.fullyRefunded) {
+    targetStatus = ORDER_STATUSES.REFUNDED;
+  } else if (summary.refundedAmount > 0) {
+    targetStatus = ORDER_STATUSES.PARTIALLY_REFUNDED;
+  }
+
+  if (!targetStatus || targetStatus === order.status) {
+    return order.status;
+  }
+
+  // e.g. a partial refund of a cancelled order, or a refund that failed
+  // after the order was already marked refunded
+  if (!isValidStatusTransition(order.status, targetStatus)) {
+    console.warn(`Order ${order.id} stays ${order.status}; refunds total ${summary.refundedAmount} of ${summary.orderAmount}`);
+    return order.status;
+  }
+
+  await updateOrderStatus(order.id, targetStatus, {}, { ...audit, userId: order.userId });
+  return targetStatus;
+};
+
+/**
+ * Refund an order, in full or in part. The refund is reserved in the ledger
+ * first so concurrent refunds cannot exceed the order total, then issued
+ * through the order's payment provider. Orders without an online payment
+ * (e.g. Cash on Delivery) are recorded as refunded outside the gateway.
+ * @param {Object} params - Refund request
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.reason - Why the refund is issued
+ * @param {string} params.adminId - ID of the admin issuing the refund
+ * @param {number} params.amount - Amount in rupees; defaults to the value of the items,
+ *   or everything not yet refunded when no items are given
+ * @param {Array} params.items - Items refunded ({ productId, size, quantity })
+ * @param {boolean} params.restock - Put the refunded items back into stock (default: true)
+ * @returns {Promise<Object>} - { refund, orderStatus, summary }
+ */
+export const createRefund = async ({ orderId, reason, adminId, amount, items = [], restock = true }) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  if (!reason || !reason.trim()) {
+    throw createError('VALIDATION', 'Refund reason is required', { field: 'reason' });
+  }
+
+  const refundId = generateRefundId();
+
+  const reserved = await updateRefundLedger(orderId, () => false, {}, (order) => {
+    if (!isValidStatusTransition(order.status, ORDER_STATUSES.REFUNDED)) {
+      throw createError('VALIDATION', `Cannot refund order with status: ${order.status}`, { field: 'status' });
+    }
+
+    const refund = resolveRefund(order, getRefundLedger(order), { amount, items });
+    const paymentId = order.payment?.details?.paymentId || null;
+
+    return {
+      id: refundId,
+      amount: refund.amount,
+      items: refund.items,
+      reason: reason.trim(),
+      status: REFUND_STATUSES.PENDING,
+      provider: paymentId ? order.payment?.provider || null : null,
+      paymentId,
+      gatewayRefundId: null,
+      error: null,
+      createdBy: adminId || null,
+      createdAt: new Date().toISOString()
+    };
+  });
+
+  const isRefundEntry = (entry) => entry.id === refundId;
+  let changes = { status: REFUND_STATUSES.PROCESSED, processedAt: new Date().toISOString() };
+
+  if (reserved.entry.paymentId) {
+    try {
+      const gatewayRefund = await refundPayment({
+        orderId,
+        amount: reserved.entry.amount,
+        notes: { order_id: orderId, refund_id: refundId, reason: reason.trim().substring(0, 200) }
+      });
+      const status = GATEWAY_REFUND_STATUSES[gatewayRefund.status] || REFUND_STATUSES.INITIATED;
+
+      changes = {
+        status,
+        gatewayRefundId: gatewayRefund.refundId,
+        ...(status === REFUND_STATUSES.PROCESSED ? { processedAt: new Date().toISOString() } : {})
+      };
+    } catch (error) {
+      console.error(`Gateway refund failed for order ${orderId}:`, error);
+      await updateRefundLedger(orderId, isRefundEntry, { status: REFUND_STATUSES.FAILED, error: error.message });
+      throw error;
+    }
+  }
+
+  // A webhook may already have moved the entry further; updateRefundLedger keeps the newer state
+  const result = await updateRefundLedger(orderId, isRefundEntry, changes);
+  const orderStatus = await syncRefundOrderStatus(result.order, result.summary, {
+    changedBy: adminId || null,
+    note: `Refund of ${reserved.entry.amount}: ${reason.trim()}`
+  });
+
+  if (restock && !RESTOCKED_ORDER_STATUSES.includes(reserved.order.status)) {
+    try {
+      await restockItems(reserved.entry.items, {
+        type: INVENTORY_MOVEMENT_TYPES.RETURN,
+        orderId,
+        actor: adminId || null,
+        reason: reason.trim()
+      });
+    } catch (error) {
+      // The money has been refunded; stock can be corrected by hand
+      console.error(`Failed to restock refunded items for order ${orderId}:`, error);
+    }
+  }
+
+  return { refund: result.entry, orderStatus, summary: result.summary };
+};
+
+/**
+ * Apply a refund webhook event to the ledger. The entry is matched by the
+ * gateway refund id or the refund_id note we send; refunds issued directly
+ * from the gateway dashboard are added to the ledger.
+ * @param {Object} params - Event data
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.providerId - Payment provider ID
+ * @param {Object} params.event - Normalized refund event
+ * @param {string} params.status - Ledger status the event maps to
+ * @returns {Promise<Object>} - { success, stale, orderId, orderStatus, paymentStatus, refundId, refundStatus }
+ */
+export const applyRefundEvent = async ({ orderId, providerId, event, status }) => {
+  const result = await updateRefundLedger(
+    orderId,
+    (entry) => (event.refundId && entry.gatewayRefundId === event.refundId) ||
+      (event.refundReference && entry.id === event.refundReference),
+    {
+      status,
+      gatewayRefundId: event.refundId || null,
+      ...(status === REFUND_STATUSES.PROCESSED ? { processedAt: new Date().toISOString() } : {}),
+      ...(status === REFUND_STATUSES.FAILED ? { error: event.errorDescription || 'Refund failed at the payment gateway' } : {})
+    },
+    () => ({
+      id: generateRefundId(),
+      amount: Number(event.amount) || 0,
+      items: [],
+      reason: 'Refund issued from the payment gateway',
+      status: REFUND_STATUSES.PENDING,
+      provider: providerId,
+      paymentId: event.paymentId || null,
+      gatewayRefundId: event.refundId || null,
+      error: null,
+      createdBy: providerId,
+      createdAt: new Date().toISOString()
+    })
+  );
+
+  const orderStatus = result.stale
+    ? result.order.status
+    : await syncRefundOrderStatus(result.order, result.summary, { changedBy: 'payment_webhook' });
+
+  return {
+    success: true,
+    stale: result.stale,
+    orderId,
+    orderStatus,
+    paymentStatus: result.order.payment?.status || null,
+    refundId: result.entry.id,
+    refundStatus: result.entry.status
+  };
+};
+
+export default {
+  REFUND_STATUSES,
+  getRefundLedger,
+  getRefundableItems,
+  summarizeRefunds,
+  createRefund,
+  applyRefundEvent
+};
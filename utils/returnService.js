@@ -0,0 +1,832 @@
+// Return Service: customers ask to return or exchange delivered items within
+// the return window, one `returns` document per request. An admin approves
+// or rejects the request, books a reverse pickup, marks the items received
+// (which puts them back in stock) and completes it with a refund or, for an
+// exchange, a replacement order in the new size.
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  doc,
+  getDoc,
+  addDoc,
+  setDoc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { ORDER_STATUSES, isValidStatusTransition, updateOrderStatus } from './orderService';
+import { createStatusHistoryEntry, getStatusChanges } from './orderStatusHistory';
+import { createRefund, getRefundableItems } from './refundService';
+import {
+  getAvailableStock,
+  holdStock,
+  convertReservation,
+  releaseReservation,
+  restockItems
+} from './stockReservationService';
+import { INVENTORY_MOVEMENT_TYPES } from './inventoryService';
+import { getStockKey, getVariant, hasVariants } from './productVariants';
+import { createReturnPickup } from './shipmentService';
+import { estimateBase64Size } from './imageUtils';
+
+export const RETURN_TYPES = {
+  RETURN: 'return', // items back for a refund
+  EXCHANGE: 'exchange' // items back for the same item in another size
+};
+
+export const RETURN_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved', // a pickup can be booked
+  REJECTED: 'rejected',
+  RECEIVED: 'received', // items checked in at the warehouse
+  COMPLETING: 'completing', // claimed by the admin refunding or replacing it
+  COMPLETED: 'completed' // refunded, or replacement order created
+};
+
+const RETURN_STATUS_TRANSITIONS = {
+  [RETURN_STATUSES.REQUESTED]: [RETURN_STATUSES.APPROVED, RETURN_STATUSES.REJECTED],
+  [RETURN_STATUSES.APPROVED]: [RETURN_STATUSES.RECEIVED],
+  [RETURN_STATUSES.RECEIVED]: [RETURN_STATUSES.COMPLETING],
+  // Back to received when the refund or replacement failed
+  [RETURN_STATUSES.COMPLETING]: [RETURN_STATUSES.COMPLETED, RETURN_STATUSES.RECEIVED],
+  [RETURN_STATUSES.REJECTED]: [],
+  [RETURN_STATUSES.COMPLETED]: []
+};
+
+export const RETURN_REASONS = {
+  SIZE_TOO_SMALL: 'size_too_small',
+  SIZE_TOO_LARGE: 'size_too_large',
+  DEFECTIVE: 'defective',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  CHANGED_MIND: 'changed_mind'
+};
+
+export const RETURN_REASON_LABELS = {
+  [RETURN_REASONS.SIZE_TOO_SMALL]: 'Size too small',
+  [RETURN_REASONS.SIZE_TOO_LARGE]: 'Size too large',
+  [RETURN_REASONS.DEFECTIVE]: 'Damaged or defective',
+  [RETURN_REASONS.WRONG_ITEM]: 'Wrong item received',
+  [RETURN_REASONS.NOT_AS_DESCRIBED]: 'Not as described',
+  [RETURN_REASONS.CHANGED_MIND]: 'Changed my mind'
+};
+
+// Reasons we need to see before approving
+const PHOTO_REQUIRED_REASONS = [
+  RETURN_REASONS.DEFECTIVE,
+  RETURN_REASONS.WRONG_ITEM,
+  RETURN_REASONS.NOT_AS_DESCRIBED
+];
+
+export const RETURN_CONFIG = {
+  WINDOW_DAYS: 7, // counted from delivery
+  MAX_PHOTOS: 3,
+  // Photos are stored on the request as base64; three of these stay well
+  // inside Firestore's 1 MB document limit
+  MAX_PHOTO_BYTES: 250 * 1024,
+  MAX_COMMENT_LENGTH: 1000
+};
+
+// Orders that can be returned from; a partially refunded order may still
+// have items to send back
+export const RETURNABLE_ORDER_STATUSES = [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.PARTIALLY_REFUNDED];
+
+// Requests that no longer claim the order's items
+const CLOSED_RETURN_STATUSES = [RETURN_STATUSES.REJECTED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toISOString = (value) => (value?.toDate ? value.toDate().toISOString() : value);
+
+const getItemKey = (item) => `${item.productId || item.id}:${getStockKey(item)}`;
+
+const formatReturn = (snapshot) => {
+  const data = snapshot.data();
+
+  return {
+    id: snapshot.id,
+    ...data,
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt)
+  };
+};
+
+/**
+ * When an order was delivered: set by carrier tracking, or the time it was
+ * last marked delivered
+ * @param {Object} order - Order data
+ * @returns {Date|null} - Delivery time, or null if it was never delivered
+ */
+export const getDeliveredAt = (order) => {
+  const delivered = toDate(order.deliveredAt);
+
+  if (delivered) {
+    return delivered;
+  }
+
+  const change = getStatusChanges(order)
+    .filter(({ status }) => status === ORDER_STATUSES.DELIVERED)
+    .pop();
+
+  return change ? change.at : null;
+};
+
+/**
+ * Check whether an order can still be returned
+ * @param {Object} order - Order data
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Object} - { eligible, deliveredAt, closesAt, reason }
+ */
+export const getReturnWindow = (order, now = new Date()) => {
+  const deliveredAt = getDeliveredAt(order);
+  const closesAt = deliveredAt ? new Date(deliveredAt.getTime() + (RETURN_CONFIG.WINDOW_DAYS * DAY_MS)) : null;
+  const returnWindow = {
+    eligible: false,
+    deliveredAt: deliveredAt ? deliveredAt.toISOString() : null,
+    closesAt: closesAt ? closesAt.toISOString() : null,
+    reason: null
+  };
+
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status) || !deliveredAt) {
+    return { ...returnWindow, reason: 'Only delivered orders can be returned' };
+  }
+
+  if (now > closesAt) {
+    return { ...returnWindow, reason: `Returns closed ${RETURN_CONFIG.WINDOW_DAYS} days after delivery` };
+  }
+
+  return { ...returnWindow, eligible: true };
+};
+
+/**
+ * Work out how much of each order line can still be returned. Units in open
+ * return requests, or refunded already, are taken off.
+ * @param {Object} order - Order data
+ * @param {Array} returns - The order's return requests
+ * @returns {Array} - Lines with { key, productId, size, variantId?, name, price, image,
+ *   quantity, returnableQuantity }
+ */
+export const getReturnableItems = (order, returns = []) => {
+  const requested = {};
+
+  returns
+    .filter(request => !CLOSED_RETURN_STATUSES.includes(request.status))
+    .forEach(request => (request.items || []).forEach(item => {
+      const key = getItemKey(item);
+      requested[key] = (requested[key] || 0) + (Number(item.quantity) || 0);
+    }));
+
+  const refundable = getRefundableItems(order);
+
+  return (order.items || []).map((item, index) => {
+    const key = getItemKey(item);
+    const quantity = Number(item.quantity ?? item.qty) || 0;
+    // Refunds issued for returns count the same units twice, so take the larger
+    const taken = Math.max(requested[key] || 0, refundable[index]?.refundedQuantity || 0);
+    const returnableQuantity = Math.max(0, quantity - taken);
+
+    // An item ordered on two lines: the first line takes its share
+    requested[key] = Math.max(0, (requested[key] || 0) - quantity);
+
+    return {
+      key,
+      productId: item.productId || item.id,
+      size: item.size || null,
+      ...(item.variantId ? { variantId: item.variantId, sku: item.sku || null } : {}),
+      name: item.name || '',
+      price: Number(item.price ?? item.unitPrice) || 0,
+      image: item.image || null,
+      quantity,
+      returnableQuantity
+    };
+  });
+};
+
+/**
+ * The sizes an item can be exchanged for: other sizes of the product (in the
+ * same wash and length for variant products) that are in stock
+ * @param {Object} product - Product data
+ * @param {Object} item - Order item
+ * @returns {Array} - Options { size, variantId? }
+ */
+export const getExchangeOptions = (product, item) => {
+  if (!product) {
+    return [];
+  }
+
+  const inStock = (stockKey) => {
+    const available = getAvailableStock(product, stockKey);
+    return available === null || available > 0;
+  };
+
+  if (hasVariants(product)) {
+    const current = getVariant(product, item.variantId) || item;
+
+    return product.variants
+      .filter(variant =>
+        variant.id !== item.variantId &&
+        (variant.wash || '') === (current.wash || '') &&
+        String(variant.length || '') === String(current.length || '') &&
+        inStock(variant.id)
+      )
+      .map(variant => ({ size: String(variant.size), variantId: variant.id }));
+  }
+
+  const sizes = product.stock && typeof product.stock === 'object'
+    ? Object.keys(product.stock)
+    : Object.keys(product.sizes || {});
+
+  return sizes
+    .filter(size => size !== String(item.size || '') && inStock(size))
+    .map(size => ({ size }));
+};
+
+/**
+ * Get a return request by ID
+ * @param {string} returnId - Return request ID
+ * @returns {Promise<Object|null>} - Return request or null
+ */
+export const getReturn = async (returnId) => {
+  const snapshot = await getDoc(doc(db, 'returns', returnId));
+  return snapshot.exists() ? formatReturn(snapshot) : null;
+};
+
+const getReturnOrFail = async (returnId) => {
+  if (!returnId) {
+    throw createError('VALIDATION', 'Return ID is required', { field: 'returnId' });
+  }
+
+  const returnRequest = await getReturn(returnId);
+
+  if (!returnRequest) {
+    throw createError('NOT_FOUND', `Return request ${returnId} not found`);
+  }
+
+  return returnRequest;
+};
+
+/**
+ * List an order's return requests, newest first
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} - Return requests
+ */
+export const getReturnsForOrder = async (orderId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'returns'),
+    where('orderId', '==', orderId),
+    orderBy('createdAt', 'desc')
+  ));
+
+  return snapshot.docs.map(formatReturn);
+};
+
+/**
+ * List return requests for the admin, newest first
+ * @param {Object} options - { status }
+ * @returns {Promise<Array>} - Return requests
+ */
+export const getReturns = async ({ status = null } = {}) => {
+  const constraints = status ? [where('status', '==', status)] : [];
+
+  const snapshot = await getDocs(query(
+    collection(db, 'returns'),
+    ...constraints,
+    orderBy('createdAt', 'desc')
+  ));
+
+  return snapshot.docs.map(formatReturn);
+};
+
+/**
+ * What a customer sees on their order page: the return window, the requests
+ * made so far and what can still be returned, with the sizes each item can
+ * be exchanged for
+ * @param {Object} order - Order data (with id)
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { window, returns, items }
+ */
+export const getOrderReturnSummary = async (order, { now = new Date() } = {}) => {
+  const returns = await getReturnsForOrder(order.id);
+  const returnWindow = getReturnWindow(order, now);
+  const lines = getReturnableItems(order, returns);
+
+  if (!returnWindow.eligible) {
+    return { window: returnWindow, returns, items: lines.map(line => ({ ...line, exchangeOptions: [] })) };
+  }
+
+  const productIds = [...new Set(lines.filter(line => line.returnableQuantity > 0).map(line => line.productId))];
+  const products = {};
+
+  await Promise.all(productIds.map(async (productId) => {
+    const productSnap = await getDoc(doc(db, 'products', productId));
+    products[productId] = productSnap.exists() ? productSnap.data() : null;
+  }));
+
+  return {
+    window: returnWindow,
+    returns,
+    items: lines.map(line => ({
+      ...line,
+      exchangeOptions: line.returnableQuantity > 0 ? getExchangeOptions(products[line.productId], line) : []
+    }))
+  };
+};
+
+const getOrderOrFail = async (orderId) => {
+  const orderSnap = await getDoc(doc(db, 'orders', orderId));
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', `Order ${orderId} not found`);
+  }
+
+  return { id: orderSnap.id, ...orderSnap.data() };
+};
+
+const validatePhotos = (photos, reason) => {
+  if (!Array.isArray(photos)) {
+    throw createError('VALIDATION', 'Photos must be a list of images', { field: 'photos' });
+  }
+
+  if (photos.length > RETURN_CONFIG.MAX_PHOTOS) {
+    throw createError('VALIDATION', `Please attach at most ${RETURN_CONFIG.MAX_PHOTOS} photos`, { field: 'photos' });
+  }
+
+  if (photos.length === 0 && PHOTO_REQUIRED_REASONS.includes(reason)) {
+    throw createError('VALIDATION', 'Please attach a photo showing the problem', { field: 'photos' });
+  }
+
+  photos.forEach(photo => {
+    if (typeof photo !== 'string' || !photo.startsWith('data:image/')) {
+      throw createError('VALIDATION', 'Photos must be images', { field: 'photos' });
+    }
+
+    if (estimateBase64Size(photo) > RETURN_CONFIG.MAX_PHOTO_BYTES) {
+      throw createError('VALIDATION', `Each photo must be under ${RETURN_CONFIG.MAX_PHOTO_BYTES / 1024} KB`, { field: 'photos' });
+    }
+  });
+};
+
+// Check an exchange size against what the product has in stock now
+const resolveExchange = async (line, exchange) => {
+  if (!exchange?.size && !exchange?.variantId) {
+    throw createError('VALIDATION', `Please choose the size you want instead of ${line.name}`, {
+      field: 'items',
+      productId: line.productId
+    });
+  }
+
+  const productSnap = await getDoc(doc(db, 'products', line.productId));
+  const options = getExchangeOptions(productSnap.exists() ? productSnap.data() : null, line);
+  const option = options.find(candidate => (exchange.variantId
+    ? candidate.variantId === exchange.variantId
+    : candidate.size === String(exchange.size)));
+
+  if (!option) {
+    throw createError('VALIDATION', `${line.name} is not available in that size`, {
+      field: 'items',
+      productId: line.productId,
+      available: options
+    });
+  }
+
+  return option;
+};
+
+/**
+ * Ask to return or exchange items of a delivered order
+ * @param {Object} params - Return request
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.userId - Customer asking; must have placed the order
+ * @param {string} params.type - RETURN_TYPES value
+ * @param {Array} params.items - [{ productId, size, variantId?, quantity, exchange: { size, variantId? } }]
+ * @param {string} params.reason - RETURN_REASONS value
+ * @param {string} params.comment - More detail from the customer (optional)
+ * @param {Array} params.photos - Base64 images (optional unless the item is faulty)
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - Created return request
+ */
+export const createReturnRequest = async ({
+  orderId,
+  userId,
+  type,
+  items = [],
+  reason,
+  comment = '',
+  photos = []
+}, { now = new Date() } = {}) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  if (!Object.values(RETURN_TYPES).includes(type)) {
+    throw createError('VALIDATION', 'Please choose a return or an exchange', { field: 'type' });
+  }
+
+  if (!Object.values(RETURN_REASONS).includes(reason)) {
+    throw createError('VALIDATION', 'Please choose a reason', { field: 'reason' });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError('VALIDATION', 'Please choose the items to send back', { field: 'items' });
+  }
+
+  if (String(comment || '').length > RETURN_CONFIG.MAX_COMMENT_LENGTH) {
+    throw createError('VALIDATION', `Comments are limited to ${RETURN_CONFIG.MAX_COMMENT_LENGTH} characters`, { field: 'comment' });
+  }
+
+  validatePhotos(photos, reason);
+
+  const order = await getOrderOrFail(orderId);
+
+  if (order.userId !== userId) {
+    throw createError('AUTHORIZATION', 'You do not have permission to return items from this order');
+  }
+
+  const returnWindow = getReturnWindow(order, now);
+
+  if (!returnWindow.eligible) {
+    throw createError('VALIDATION', returnWindow.reason, { field: 'orderId', closesAt: returnWindow.closesAt });
+  }
+
+  const existing = await getReturnsForOrder(orderId);
+  const lines = getReturnableItems(order, existing);
+  const claimed = {};
+  const returnItems = [];
+
+  for (const item of items) {
+    const key = getItemKey(item);
+    const line = lines.find(candidate => candidate.key === key);
+    const quantity = Number(item.quantity);
+
+    if (!line) {
+      throw createError('VALIDATION', 'That item is not part of this order', { field: 'items', productId: item.productId });
+    }
+
+    claimed[key] = (claimed[key] || 0) + quantity;
+
+    if (!Number.isInteger(quantity) || quantity <= 0 || claimed[key] > line.returnableQuantity) {
+      throw createError('VALIDATION', `You can send back up to ${line.returnableQuantity} of ${line.name}`, {
+        field: 'items',
+        productId: line.productId,
+        returnable: line.returnableQuantity
+      });
+    }
+
+    returnItems.push({
+      productId: line.productId,
+      size: line.size,
+      ...(line.variantId ? { variantId: line.variantId, sku: line.sku } : {}),
+      name: line.name,
+      price: line.price,
+      image: line.image,
+      quantity,
+      ...(type === RETURN_TYPES.EXCHANGE ? { exchange: await resolveExchange(line, item.exchange) } : {})
+    });
+  }
+
+  const returnNumber = `${order.orderNumber || orderId}-R${existing.length + 1}`;
+  const record = {
+    returnNumber,
+    orderId,
+    orderNumber: order.orderNumber || null,
+    userId,
+    customer: {
+      name: order.customer?.fullName || order.shipping?.address?.fullName || '',
+      email: order.customer?.email || order.userEmail || ''
+    },
+    type,
+    status: RETURN_STATUSES.REQUESTED,
+    reason,
+    comment: String(comment || '').trim(),
+    photos,
+    items: returnItems,
+    pickup: null,
+    resolution: null,
+    statusHistory: [createStatusHistoryEntry({ to: RETURN_STATUSES.REQUESTED, changedBy: userId }, order)],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+
+  const returnRef = await addDoc(collection(db, 'returns'), record);
+
+  await addDoc(collection(db, 'adminNotifications'), {
+    type: 'return_requested',
+    title: type === RETURN_TYPES.EXCHANGE ? 'Exchange Requested' : 'Return Requested',
+    message: `${returnNumber}: ${RETURN_REASON_LABELS[reason]} (order #${order.orderNumber || orderId})`,
+    orderId,
+    returnId: returnRef.id,
+    createdAt: serverTimestamp(),
+    read: false
+  });
+
+  return { id: returnRef.id, ...record };
+};
+
+// Move a request to its next status inside a transaction, so two admins
+// cannot act on it at once. `apply` may add changes and runs before writing.
+const changeReturnStatus = async (returnId, status, { adminId = null, note = null } = {}, apply = null) => {
+  const returnRef = doc(db, 'returns', returnId);
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(returnRef);
+
+    if (!snapshot.exists()) {
+      throw createError('NOT_FOUND', `Return request ${returnId} not found`);
+    }
+
+    const returnRequest = { id: returnId, ...snapshot.data() };
+
+    if (!RETURN_STATUS_TRANSITIONS[returnRequest.status]?.includes(status)) {
+      throw createError('VALIDATION', `Cannot change a ${returnRequest.status} return to ${status}`, {
+        field: 'status',
+        from: returnRequest.status,
+        to: status
+      });
+    }
+
+    const changes = apply ? await apply(transaction, returnRequest) : {};
+    const update = {
+      ...changes,
+      status,
+      statusHistory: [
+        ...(returnRequest.statusHistory || []),
+        createStatusHistoryEntry({ from: returnRequest.status, to: status, changedBy: adminId, note }, returnRequest)
+      ],
+      updatedAt: serverTimestamp()
+    };
+
+    transaction.update(returnRef, update);
+
+    return { ...returnRequest, ...update };
+  });
+};
+
+/**
+ * Approve a return request so a pickup can be booked
+ * @param {string} returnId - Return request ID
+ * @param {Object} options - { adminId, note }
+ * @returns {Promise<Object>} - Updated return request
+ */
+export const approveReturn = async (returnId, { adminId = null, note = null } = {}) => {
+  return changeReturnStatus(returnId, RETURN_STATUSES.APPROVED, { adminId, note });
+};
+
+/**
+ * Turn a return request down. The customer sees the note.
+ * @param {string} returnId - Return request ID
+ * @param {Object} options - { adminId, note }
+ * @returns {Promise<Object>} - Updated return request
+ */
+export const rejectReturn = async (returnId, { adminId = null, note } = {}) => {
+  if (!note || !note.trim()) {
+    throw createError('VALIDATION', 'Please say why the return is rejected', { field: 'note' });
+  }
+
+  return changeReturnStatus(returnId, RETURN_STATUSES.REJECTED, { adminId, note: note.trim() });
+};
+
+/**
+ * Book the reverse pickup of an approved return's items
+ * @param {string} returnId - Return request ID
+ * @param {Object} details - { package, carrier } as for createShipment
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - Created shipment
+ */
+export const scheduleReturnPickup = async (returnId, details = {}, { actor = null } = {}) => {
+  const returnRequest = await getReturnOrFail(returnId);
+
+  if (returnRequest.status !== RETURN_STATUSES.APPROVED) {
+    throw createError('VALIDATION', `Pickups are booked for approved returns, not ${returnRequest.status} ones`, { field: 'status' });
+  }
+
+  return createReturnPickup(returnRequest, details, { actor });
+};
+
+/**
+ * Check in a return's items at the warehouse. They are recorded on the order
+ * as `returnedItems` and put back in stock, unless they can't be sold again
+ * (e.g. damaged). Once every unit of the order has come back, the order is
+ * marked returned.
+ * @param {string} returnId - Return request ID
+ * @param {Object} options - Options
+ * @param {string} options.adminId - Admin checking the items in
+ * @param {string} options.note - Condition of the items (optional)
+ * @param {boolean} options.restock - Put the items back in stock (default: true)
+ * @returns {Promise<Object>} - Updated return request
+ */
+export const markReturnReceived = async (returnId, { adminId = null, note = null, restock = true } = {}) => {
+  let order = null;
+
+  const received = await changeReturnStatus(returnId, RETURN_STATUSES.RECEIVED, { adminId, note }, async (transaction, returnRequest) => {
+    const orderRef = doc(db, 'orders', returnRequest.orderId);
+    const orderSnap = await transaction.get(orderRef);
+
+    if (!orderSnap.exists()) {
+      throw createError('NOT_FOUND', `Order ${returnRequest.orderId} not found`);
+    }
+
+    const returnedItems = [
+      ...(orderSnap.data().returnedItems || []),
+      ...returnRequest.items.map(item => ({
+        productId: item.productId,
+        size: item.size || null,
+        ...(item.variantId ? { variantId: item.variantId } : {}),
+        quantity: item.quantity,
+        returnId,
+        restocked: restock
+      }))
+    ];
+
+    transaction.update(orderRef, { returnedItems, updatedAt: serverTimestamp() });
+    order = { id: orderSnap.id, ...orderSnap.data(), returnedItems };
+
+    return { receivedAt: new Date().toISOString(), restocked: restock };
+  });
+
+  if (restock) {
+    try {
+      await restockItems(received.items, {
+        type: INVENTORY_MOVEMENT_TYPES.RETURN,
+        orderId: received.orderId,
+        actor: adminId,
+        reason: `Return ${received.returnNumber}`
+      });
+    } catch (error) {
+      // The return is checked in; stock can be corrected by hand
+      console.error(`Failed to restock returned items for ${received.returnNumber}:`, error);
+    }
+  }
+
+  const orderedUnits = (order.items || []).reduce((sum, item) => sum + (Number(item.quantity ?? item.qty) || 0), 0);
+  const returnedUnits = order.returnedItems.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+  if (returnedUnits >= orderedUnits && isValidStatusTransition(order.status, ORDER_STATUSES.RETURNED)) {
+    await updateOrderStatus(order.id, ORDER_STATUSES.RETURNED, {}, {
+      changedBy: adminId,
+      note: `All items returned (${received.returnNumber})`
+    });
+  }
+
+  return received;
+};
+
+// A zero-value order shipping the exchanged sizes, taking their stock now
+const createReplacementOrder = async (returnRequest, order, adminId) => {
+  const items = returnRequest.items.map(item => ({
+    id: item.productId,
+    productId: item.productId,
+    name: item.name,
+    size: item.exchange.size,
+    ...(item.exchange.variantId ? { variantId: item.exchange.variantId } : {}),
+    price: item.price,
+    image: item.image,
+    quantity: item.quantity
+  }));
+
+  const orderRef = doc(collection(db, 'orders'));
+  const reservation = await holdStock({ items, userId: order.userId, orderId: orderRef.id });
+
+  const replacement = {
+    userId: order.userId,
+    userEmail: order.userEmail || order.customer?.email || null,
+    orderNumber: returnRequest.returnNumber.replace(/-R(\d+)$/, '-X$1'),
+    customer: order.customer || null,
+    items,
+    shipping: order.shipping || null,
+    shippingAddress: order.shippingAddress || null,
+    billing: order.billing || null,
+    payment: {
+      method: 'exchange',
+      status: 'paid',
+      details: { type: 'exchange', amount: 0 }
+    },
+    status: ORDER_STATUSES.PROCESSING,
+    isRead: false,
+    replacementFor: order.id,
+    returnId: returnRequest.id,
+    subtotal: 0,
+    discount: 0,
+    shippingCost: 0,
+    codFee: 0,
+    tax: 0,
+    total: 0,
+    stockReservationId: reservation.reservationId,
+    statusHistory: [createStatusHistoryEntry({
+      to: ORDER_STATUSES.PROCESSING,
+      changedBy: adminId,
+      note: `Exchange for order #${order.orderNumber || order.id} (${returnRequest.returnNumber})`
+    }, order)],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+
+  try {
+    await setDoc(orderRef, { ...replacement, id: orderRef.id });
+  } catch (error) {
+    await releaseReservation(reservation.reservationId);
+    throw error;
+  }
+
+  await addDoc(collection(db, 'users', order.userId, 'orders'), { ...replacement, id: orderRef.id });
+  await convertReservation(reservation.reservationId, { actor: adminId });
+
+  return { id: orderRef.id, ...replacement };
+};
+
+// Refund a claimed return, or create its replacement order
+const settleReturn = async (returnRequest, { adminId, refundInstead }) => {
+  if (returnRequest.type === RETURN_TYPES.EXCHANGE && !refundInstead) {
+    const order = await getOrderOrFail(returnRequest.orderId);
+    const replacement = await createReplacementOrder(returnRequest, order, adminId);
+
+    return { type: 'replacement', orderId: replacement.id, orderNumber: replacement.orderNumber };
+  }
+
+  // Stock was put back when the items were received
+  const { refund } = await createRefund({
+    orderId: returnRequest.orderId,
+    reason: `Return ${returnRequest.returnNumber}: ${RETURN_REASON_LABELS[returnRequest.reason]}`,
+    adminId,
+    items: returnRequest.items.map(item => ({
+      productId: item.productId,
+      size: item.size,
+      ...(item.variantId ? { variantId: item.variantId } : {}),
+      quantity: item.quantity
+    })),
+    restock: false
+  });
+
+  return { type: 'refund', refundId: refund.id, amount: refund.amount, status: refund.status };
+};
+
+/**
+ * Settle a received return: refund the items, or create the replacement
+ * order for an exchange. An exchange whose new size has sold out meanwhile
+ * can be refunded instead. The return is claimed (moved to `completing`) in
+ * a transaction first, so a double submit or a second admin cannot refund
+ * it or take stock for a replacement twice.
+ * @param {string} returnId - Return request ID
+ * @param {Object} options - Options
+ * @param {string} options.adminId - Admin completing the return
+ * @param {boolean} options.refundInstead - Refund an exchange instead (optional)
+ * @returns {Promise<Object>} - Updated return request
+ */
+export const completeReturn = async (returnId, { adminId = null, refundInstead = false } = {}) => {
+  // Fails for anything but a received return, including one already being completed
+  const returnRequest = await changeReturnStatus(returnId, RETURN_STATUSES.COMPLETING, { adminId });
+
+  let resolution;
+
+  try {
+    resolution = await settleReturn(returnRequest, { adminId, refundInstead });
+  } catch (error) {
+    // Nothing was settled, so the return can be completed again
+    await changeReturnStatus(returnId, RETURN_STATUSES.RECEIVED, { adminId, note: `Could not complete: ${error.message}` })
+      .catch(releaseError => console.error(`Error releasing return ${returnId}:`, releaseError));
+    throw error;
+  }
+
+  return changeReturnStatus(returnId, RETURN_STATUSES.COMPLETED, {
+    adminId,
+    note: resolution.type === 'refund'
+      ? `Refunded ${resolution.amount}`
+      : `Replacement order #${resolution.orderNumber}`
+  }, async () => ({ resolution, completedAt: new Date().toISOString() }));
+};
+
+export default {
+  RETURN_TYPES,
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  RETURN_REASON_LABELS,
+  RETURN_CONFIG,
+  RETURNABLE_ORDER_STATUSES,
+  getDeliveredAt,
+  getReturnWindow,
+  getReturnableItems,
+  getExchangeOptions,
+  getReturn,
+  getReturnsForOrder,
+  getReturns,
+  getOrderReturnSummary,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  markReturnReceived,
+  completeReturn
+};
@@ -1,88 +1,570 @@
-// Mock review service - no functionality
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  orderBy,
+  limit,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
 import { db } from './firebase';
+import { createError } from './errorHandler';
+
+const RATING_VALUES = [1, 2, 3, 4, 5];
+
+// Review moderation statuses. Only approved reviews are public and counted
+// in the product rating aggregate.
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  HIDDEN: 'hidden'
+};
+
+// Moderation actions and the status each one results in
+export const MODERATION_ACTIONS = {
+  approve: REVIEW_STATUSES.APPROVED,
+  reject: REVIEW_STATUSES.REJECTED,
+  hide: REVIEW_STATUSES.HIDDEN
+};
 
 /**
- * Mock function to get product reviews
+ * Build the review document id. One review per user per product is enforced
+ * by keying the document on both ids.
  * @param {string} productId - Product ID
- * @returns {Promise<Array>} - Empty array of reviews
+ * @param {string} userId - User ID
+ * @returns {string} - Review document ID
+ */
+export const getReviewId = (productId, userId) => `${productId}_${userId}`;
+
+/**
+ * Create an empty rating aggregate
+ * @returns {Object} - Empty rating summary
  */
-export const getProductReviews = async (productId) => {
-  console.log('Mock getProductReviews called for product:', productId);
-  return [];
+const emptyRatingSummary = () => ({
+  average: 0,
+  count: 0,
+  total: 0,
+  distribution: RATING_VALUES.reduce((acc, value) => ({ ...acc, [value]: 0 }), {})
+});
+
+/**
+ * Apply a rating change to a product's rating aggregate
+ * @param {Object} summary - Current rating summary
+ * @param {number|null} oldRating - Rating being removed (null if none)
+ * @param {number|null} newRating - Rating being added (null if none)
+ * @returns {Object} - Updated rating summary
+ */
+export const applyRatingChange = (summary, oldRating, newRating) => {
+  const base = emptyRatingSummary();
+  const next = {
+    count: summary?.count || 0,
+    total: summary?.total || 0,
+    distribution: { ...base.distribution, ...(summary?.distribution || {}) }
+  };
+
+  if (oldRating) {
+    next.count -= 1;
+    next.total -= oldRating;
+    next.distribution[oldRating] = Math.max(0, (next.distribution[oldRating] || 0) - 1);
+  }
+
+  if (newRating) {
+    next.count += 1;
+    next.total += newRating;
+    next.distribution[newRating] = (next.distribution[newRating] || 0) + 1;
+  }
+
+  next.count = Math.max(0, next.count);
+  next.total = next.count > 0 ? Math.max(0, next.total) : 0;
+  next.average = next.count > 0 ? Math.round((next.total / next.count) * 10) / 10 : 0;
+
+  return next;
 };
 
 /**
- * Mock function to get product rating
+ * Recompute a product's rating aggregate from its approved reviews. Product
+ * documents are admin-only, so this runs from moderation and the review API,
+ * never from the browser.
  * @param {string} productId - Product ID
- * @returns {Promise<Object>} - Default rating object
+ * @returns {Promise<Object>} - Updated rating summary
  */
-export const getProductRating = async (productId) => {
-  console.log('Mock getProductRating called for product:', productId);
+export const refreshRatingSummary = async (productId) => {
+  const approvedReviews = await getDocs(query(
+    collection(db, 'reviews'),
+    where('productId', '==', productId),
+    where('status', '==', REVIEW_STATUSES.APPROVED)
+  ));
+
+  const ratingSummary = approvedReviews.docs.reduce(
+    (summary, reviewDoc) => applyRatingChange(summary, null, reviewDoc.data().rating),
+    emptyRatingSummary()
+  );
+
+  await updateDoc(doc(db, 'products', productId), { ratingSummary });
+
+  return ratingSummary;
+};
+
+/**
+ * Validate review input
+ * @param {Object} reviewData - Review data
+ */
+const validateReview = (reviewData) => {
+  const rating = Number(reviewData.rating);
+
+  if (!RATING_VALUES.includes(rating)) {
+    throw createError('VALIDATION', 'Rating must be a whole number between 1 and 5', { field: 'rating' });
+  }
+
+  if (!reviewData.title || !reviewData.title.trim()) {
+    throw createError('VALIDATION', 'Review title is required', { field: 'title' });
+  }
+
+  if (!reviewData.comment || !reviewData.comment.trim()) {
+    throw createError('VALIDATION', 'Review comment is required', { field: 'comment' });
+  }
+
+  return rating;
+};
+
+/**
+ * Convert a review snapshot to a plain object
+ * @param {Object} snapshot - Firestore document snapshot
+ * @returns {Object} - Review object
+ */
+const toReview = (snapshot) => {
+  const data = snapshot.data();
+
   return {
-    average: 0,
-    count: 0,
-    distribution: {}
+    id: snapshot.id,
+    ...data,
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
   };
 };
 
 /**
- * Mock function to add product review
+ * Check whether a user has a delivered order containing the product
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} - True if the purchase is verified
+ */
+export const hasDeliveredPurchase = async (userId, productId) => {
+  const deliveredOrdersQuery = query(
+    collection(db, 'orders'),
+    where('userId', '==', userId),
+    where('status', '==', 'delivered')
+  );
+
+  const snapshot = await getDocs(deliveredOrdersQuery);
+
+  return snapshot.docs.some((orderDoc) => {
+    const items = orderDoc.data().items || [];
+    return items.some((item) => (item.productId || item.id) === productId);
+  });
+};
+
+/**
+ * Get approved reviews for a product, newest first
+ * @param {string} productId - Product ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of reviews
+ * @returns {Promise<Array>} - Product reviews
+ */
+export const getProductReviews = async (productId, options = {}) => {
+  if (!productId) {
+    throw createError('VALIDATION', 'Product ID is required', { field: 'productId' });
+  }
+
+  try {
+    const reviewsQuery = query(
+      collection(db, 'reviews'),
+      where('productId', '==', productId),
+      where('status', '==', REVIEW_STATUSES.APPROVED),
+      orderBy('createdAt', 'desc'),
+      limit(options.limit || 50)
+    );
+
+    const snapshot = await getDocs(reviewsQuery);
+    return snapshot.docs.map(toReview);
+  } catch (error) {
+    console.error('Error getting product reviews:', error);
+    throw createError('DATABASE', 'Failed to load reviews', error);
+  }
+};
+
+/**
+ * Get the rating aggregate maintained on the product document
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} - Rating summary ({ average, count, distribution })
+ */
+export const getProductRating = async (productId) => {
+  if (!productId) {
+    throw createError('VALIDATION', 'Product ID is required', { field: 'productId' });
+  }
+
+  try {
+    const productSnap = await getDoc(doc(db, 'products', productId));
+    const summary = productSnap.exists() ? productSnap.data().ratingSummary : null;
+    const { average, count, distribution } = { ...emptyRatingSummary(), ...(summary || {}) };
+
+    return { average, count, distribution };
+  } catch (error) {
+    console.error('Error getting product rating:', error);
+    throw createError('DATABASE', 'Failed to load product rating', error);
+  }
+};
+
+/**
+ * Add a review. Each user can review a product once. New reviews are pending
+ * until a moderator approves them, which is also when the verified purchase
+ * flag is set; the browser cannot be trusted to set it.
  * @param {Object} reviewData - Review data
- * @returns {Promise<Object>} - Mock review object
+ * @returns {Promise<Object>} - Created review
  */
 export const addProductReview = async (reviewData) => {
-  console.log('Mock addProductReview called with data:', reviewData);
+  const { productId, userId } = reviewData;
+
+  if (!productId || !userId) {
+    throw createError('VALIDATION', 'Product ID and user ID are required');
+  }
+
+  const rating = validateReview(reviewData);
+  const reviewId = getReviewId(productId, userId);
+  const reviewRef = doc(db, 'reviews', reviewId);
+  const productRef = doc(db, 'products', productId);
+
+  const review = {
+    productId,
+    productName: reviewData.productName || '',
+    userId,
+    userName: reviewData.userName || 'Anonymous',
+    rating,
+    title: reviewData.title.trim(),
+    comment: reviewData.comment.trim(),
+    verifiedPurchase: false,
+    status: REVIEW_STATUSES.PENDING
+  };
+
+  await runTransaction(db, async (transaction) => {
+    const [existingReview, productSnap] = await Promise.all([
+      transaction.get(reviewRef),
+      transaction.get(productRef)
+    ]);
+
+    if (existingReview.exists()) {
+      throw createError('VALIDATION', 'You have already reviewed this product', { reviewId });
+    }
+
+    if (!productSnap.exists()) {
+      throw createError('NOT_FOUND', 'Product not found');
+    }
+
+    transaction.set(reviewRef, {
+      ...review,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+  });
+
   return {
-    id: 'mock-review-id',
-    ...reviewData,
-    status: 'pending',
+    id: reviewId,
+    ...review,
     createdAt: new Date().toISOString()
   };
 };
 
 /**
- * Mock function to update product review
+ * Update a review. Only the author can edit their review, and an edited
+ * review goes back to the moderation queue. The rating aggregate catches up
+ * when a moderator decides on the edit.
  * @param {string} reviewId - Review ID
- * @param {Object} reviewData - Review data
- * @returns {Promise<Object>} - Mock review object
+ * @param {Object} reviewData - Review data (must include userId)
+ * @returns {Promise<Object>} - Updated review
  */
 export const updateProductReview = async (reviewId, reviewData) => {
-  console.log('Mock updateProductReview called for review:', reviewId);
-  return {
-    id: reviewId,
-    ...reviewData,
-    status: 'pending',
-    updatedAt: new Date().toISOString()
-  };
+  if (!reviewId || !reviewData?.userId) {
+    throw createError('VALIDATION', 'Review ID and user ID are required');
+  }
+
+  const rating = validateReview(reviewData);
+  const reviewRef = doc(db, 'reviews', reviewId);
+  let updatedReview;
+
+  await runTransaction(db, async (transaction) => {
+    const reviewSnap = await transaction.get(reviewRef);
+
+    if (!reviewSnap.exists()) {
+      throw createError('NOT_FOUND', 'Review not found');
+    }
+
+    const existing = reviewSnap.data();
+
+    if (existing.userId !== reviewData.userId) {
+      throw createError('AUTHORIZATION', 'You can only edit your own review');
+    }
+
+    const changes = {
+      rating,
+      title: reviewData.title.trim(),
+      comment: reviewData.comment.trim(),
+      status: REVIEW_STATUSES.PENDING,
+      updatedAt: serverTimestamp()
+    };
+
+    transaction.update(reviewRef, changes);
+
+    updatedReview = {
+      id: reviewId,
+      ...existing,
+      ...changes,
+      createdAt: existing.createdAt?.toDate ? existing.createdAt.toDate().toISOString() : existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  return updatedReview;
 };
 
 /**
- * Mock function to delete product review
+ * Delete a review. Only the author can delete their review. Runs from
+ * /api/reviews/delete so that the rating aggregate can be recomputed.
  * @param {string} reviewId - Review ID
- * @param {string} userId - User ID
+ * @param {string} userId - User ID of the author
  * @returns {Promise<boolean>} - Success flag
  */
 export const deleteProductReview = async (reviewId, userId) => {
-  console.log('Mock deleteProductReview called for review:', reviewId);
+  if (!reviewId || !userId) {
+    throw createError('VALIDATION', 'Review ID and user ID are required');
+  }
+
+  const reviewRef = doc(db, 'reviews', reviewId);
+  let existing;
+
+  await runTransaction(db, async (transaction) => {
+    const reviewSnap = await transaction.get(reviewRef);
+
+    if (!reviewSnap.exists()) {
+      throw createError('NOT_FOUND', 'Review not found');
+    }
+
+    existing = reviewSnap.data();
+
+    if (existing.userId !== userId) {
+      throw createError('AUTHORIZATION', 'You can only delete your own review');
+    }
+
+    transaction.delete(reviewRef);
+  });
+
+  if (existing.status === REVIEW_STATUSES.APPROVED) {
+    await refreshRatingSummary(existing.productId);
+  }
+
   return true;
 };
 
 /**
- * Mock function to get user's product review
+ * Get a user's review for a product
  * @param {string} userId - User ID
  * @param {string} productId - Product ID
  * @returns {Promise<Object|null>} - User's review or null
  */
 export const getUserProductReview = async (userId, productId) => {
-  console.log('Mock getUserProductReview called for user:', userId, 'and product:', productId);
-  return null;
+  if (!userId || !productId) {
+    return null;
+  }
+
+  const reviewSnap = await getDoc(doc(db, 'reviews', getReviewId(productId, userId)));
+  return reviewSnap.exists() ? toReview(reviewSnap) : null;
+};
+
+/**
+ * Report a review as abusive or inappropriate. Each user can report a
+ * review once; reports stay open until a moderator acts on the review.
+ * @param {string} reviewId - Review ID
+ * @param {Object} report - Report details
+ * @param {string} report.userId - Reporting user ID
+ * @param {string} report.reason - Why the review is being reported
+ * @returns {Promise<Object>} - Created report
+ */
+export const reportReview = async (reviewId, { userId, reason } = {}) => {
+  if (!reviewId || !userId) {
+    throw createError('VALIDATION', 'Review ID and user ID are required');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw createError('VALIDATION', 'Please tell us why you are reporting this review', { field: 'reason' });
+  }
+
+  const reviewSnap = await getDoc(doc(db, 'reviews', reviewId));
+
+  if (!reviewSnap.exists()) {
+    throw createError('NOT_FOUND', 'Review not found');
+  }
+
+  if (reviewSnap.data().userId === userId) {
+    throw createError('VALIDATION', 'You cannot report your own review');
+  }
+
+  const reportId = `${reviewId}_${userId}`;
+  const reportRef = doc(db, 'reviewReports', reportId);
+
+  if ((await getDoc(reportRef)).exists()) {
+    throw createError('VALIDATION', 'You have already reported this review');
+  }
+
+  const report = {
+    reviewId,
+    productId: reviewSnap.data().productId,
+    reporterId: userId,
+    reason: reason.trim(),
+    status: 'open'
+  };
+
+  await setDoc(reportRef, { ...report, createdAt: serverTimestamp() });
+
+  return { id: reportId, ...report };
+};
+
+/**
+ * Approve, reject or hide a review. Approving checks the author's delivered
+ * orders for the verified purchase flag. The product rating aggregate is
+ * recomputed from the approved reviews, and any open reports against the
+ * review are resolved.
+ * @param {string} reviewId - Review ID
+ * @param {string} action - One of 'approve', 'reject' or 'hide'
+ * @param {Object} moderation - Moderation details
+ * @param {string} moderation.adminId - Moderating admin's user ID
+ * @param {string} moderation.reason - Reason for the decision
+ * @returns {Promise<Object>} - Updated review status
+ */
+export const moderateReview = async (reviewId, action, { adminId, reason } = {}) => {
+  const status = MODERATION_ACTIONS[action];
+
+  if (!status) {
+    throw createError('VALIDATION', `Unknown moderation action: ${action}`, { field: 'action' });
+  }
+
+  if (!adminId) {
+    throw createError('AUTHENTICATION', 'Admin ID is required to moderate reviews');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw createError('VALIDATION', 'A reason is required to moderate a review', { field: 'reason' });
+  }
+
+  const reviewRef = doc(db, 'reviews', reviewId);
+  const openReports = await getDocs(query(
+    collection(db, 'reviewReports'),
+    where('reviewId', '==', reviewId),
+    where('status', '==', 'open')
+  ));
+
+  const moderation = {
+    action,
+    reason: reason.trim(),
+    adminId,
+    moderatedAt: new Date().toISOString()
+  };
+  let productId;
+
+  await runTransaction(db, async (transaction) => {
+    const reviewSnap = await transaction.get(reviewRef);
+
+    if (!reviewSnap.exists()) {
+      throw createError('NOT_FOUND', 'Review not found');
+    }
+
+    const review = reviewSnap.data();
+    productId = review.productId;
+
+    const changes = { status, moderation, updatedAt: serverTimestamp() };
+    if (status === REVIEW_STATUSES.APPROVED) {
+      changes.verifiedPurchase = await hasDeliveredPurchase(review.userId, productId);
+    }
+
+    transaction.update(reviewRef, changes);
+
+    openReports.docs.forEach((reportDoc) => {
+      transaction.update(reportDoc.ref, {
+        status: 'resolved',
+        resolution: moderation
+      });
+    });
+  });
+
+  // Always recompute: an edited review may still be counted at its old rating
+  await refreshRatingSummary(productId);
+
+  return { id: reviewId, status, moderation };
+};
+
+/**
+ * Get reviews awaiting moderation: pending reviews and reviews with open reports
+ * @returns {Promise<Object>} - { pending, reported } review lists
+ */
+export const getModerationQueue = async () => {
+  try {
+    const [pendingSnap, reportsSnap] = await Promise.all([
+      getDocs(query(
+        collection(db, 'reviews'),
+        where('status', '==', REVIEW_STATUSES.PENDING),
+        orderBy('createdAt', 'asc')
+      )),
+      getDocs(query(
+        collection(db, 'reviewReports'),
+        where('status', '==', 'open')
+      ))
+    ]);
+
+    // Group open reports by review
+    const reportsByReview = {};
+    reportsSnap.docs.forEach((reportDoc) => {
+      const report = { id: reportDoc.id, ...reportDoc.data() };
+      reportsByReview[report.reviewId] = [...(reportsByReview[report.reviewId] || []), report];
+    });
+
+    const reviewSnaps = await Promise.all(
+      Object.keys(reportsByReview).map((reviewId) => getDoc(doc(db, 'reviews', reviewId)))
+    );
+
+    const reported = reviewSnaps
+      .filter((reviewSnap) => reviewSnap.exists())
+      .map((reviewSnap) => ({
+        ...toReview(reviewSnap),
+        reports: reportsByReview[reviewSnap.id]
+      }));
+
+    return {
+      pending: pendingSnap.docs.map(toReview),
+      reported
+    };
+  } catch (error) {
+    console.error('Error getting review moderation queue:', error);
+    throw createError('DATABASE', 'Failed to load review moderation queue', error);
+  }
 };
 
 export default {
+  REVIEW_STATUSES,
+  MODERATION_ACTIONS,
+  getReviewId,
+  applyRatingChange,
+  hasDeliveredPurchase,
   getProductReviews,
   getProductRating,
   addProductReview,
   updateProductReview,
   deleteProductReview,
-  getUserProductReview
-}; 
\ No newline at end of file
+  getUserProductReview,
+  reportReview,
+  moderateReview,
+  getModerationQueue
+};
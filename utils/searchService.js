@@ -14,6 +14,7 @@ import {
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { setCacheItem, getCacheItem } from './cacheUtils';
+import { getSizesInStock } from './productVariants';
 
 /**
  * Advanced search for products
@@ -148,7 +149,8 @@ export async function searchProducts(options = {}) {
         
         // Apply sizes filter
         if (sizes.length > 0) {
-          matchesSizes = sizes.some(size => product.stock && product.stock[size] > 0);
+          const sizesInStock = getSizesInStock(product);
+          matchesSizes = sizes.some(size => sizesInStock.includes(String(size)));
         }
         
         // Apply in-stock filter
@@ -0,0 +1,193 @@
+// Pincode serviceability: whether we deliver to a pincode, whether Cash on
+// Delivery is allowed there and how many days delivery takes. Pincodes live
+// in the `pincodes` collection (imported from the India Post directory with
+// scripts/import-pincodes.js); each is placed in a delivery zone by its
+// distance from the warehouse, and the zone decides COD and delivery days
+// unless the pincode overrides them.
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { SELLER_CONFIG } from './gstService';
+
+/**
+ * Pincode the warehouse ships from
+ */
+export const ORIGIN_PINCODE = process.env.NEXT_PUBLIC_SHIPPING_ORIGIN_PINCODE || '395003';
+
+export const DELIVERY_ZONES = {
+  LOCAL: 'local',
+  REGIONAL: 'regional',
+  METRO: 'metro',
+  NATIONAL: 'national',
+  SPECIAL: 'special'
+};
+
+/**
+ * What each zone allows. `deliveryDays` counts from the day the order is
+ * placed.
+ */
+export const ZONE_RULES = {
+  [DELIVERY_ZONES.LOCAL]: { label: 'Within the city', deliveryDays: { min: 1, max: 2 }, cod: true },
+  [DELIVERY_ZONES.REGIONAL]: { label: 'Within the state', deliveryDays: { min: 2, max: 4 }, cod: true },
+  [DELIVERY_ZONES.METRO]: { label: 'Metro cities', deliveryDays: { min: 3, max: 5 }, cod: true },
+  [DELIVERY_ZONES.NATIONAL]: { label: 'Rest of India', deliveryDays: { min: 4, max: 7 }, cod: true },
+  [DELIVERY_ZONES.SPECIAL]: { label: 'North East, J&K, Ladakh and islands', deliveryDays: { min: 7, max: 10 }, cod: false }
+};
+
+// Pincode prefixes of the metro cities: Delhi, Mumbai, Kolkata, Chennai,
+// Bengaluru, Hyderabad and Pune
+const METRO_PREFIXES = ['110', '400', '700', '600', '560', '500', '411'];
+
+// Pincode prefixes couriers treat as special zones: J&K and Ladakh, Sikkim,
+// the North East, Andaman & Nicobar and Lakshadweep
+const SPECIAL_PREFIXES = ['18', '19', '737', '78', '79', '744', '68255'];
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase();
+
+/**
+ * Clean up a pincode entered by a customer
+ * @param {string|number} pincode - Pincode as entered
+ * @returns {string} - Six digits, or an empty string if it isn't a pincode
+ */
+export const normalizePincode = (pincode) => {
+  const digits = String(pincode ?? '').replace(/\s+/g, '');
+  return PINCODE_PATTERN.test(digits) ? digits : '';
+};
+
+/**
+ * Place a pincode in a delivery zone. A zone set on the pincode record
+ * wins; otherwise the zone follows from the pincode and state.
+ * @param {Object} record - Pincode record ({ pincode, state, zone })
+ * @returns {string} - A DELIVERY_ZONES value
+ */
+export const getDeliveryZone = (record) => {
+  if (record.zone && ZONE_RULES[record.zone]) return record.zone;
+
+  const { pincode } = record;
+
+  if (pincode.slice(0, 3) === ORIGIN_PINCODE.slice(0, 3)) return DELIVERY_ZONES.LOCAL;
+  if (SPECIAL_PREFIXES.some(prefix => pincode.startsWith(prefix))) return DELIVERY_ZONES.SPECIAL;
+  if (normalizeState(record.state) === normalizeState(SELLER_CONFIG.state)) return DELIVERY_ZONES.REGIONAL;
+  if (METRO_PREFIXES.includes(pincode.slice(0, 3))) return DELIVERY_ZONES.METRO;
+  return DELIVERY_ZONES.NATIONAL;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + (days * 24 * 60 * 60 * 1000)).toISOString();
+
+/**
+ * Check whether we deliver to a pincode
+ * @param {string} pincode - Six-digit pincode
+ * @param {Object} options - Options
+ * @param {Date} options.now - When the order would be placed (defaults to now)
+ * @returns {Promise<Object>} - { pincode, deliverable, codAvailable, city, district, state,
+ *   zone, estimatedDays: { min, max }, estimatedDelivery: { from, to } }
+ */
+export const checkServiceability = async (pincode, { now = new Date() } = {}) => {
+  const code = normalizePincode(pincode);
+
+  if (!code) {
+    throw createError('VALIDATION', 'Please enter a valid 6-digit pincode', { field: 'pincode' });
+  }
+
+  const snapshot = await getDoc(doc(db, 'pincodes', code));
+
+  if (!snapshot.exists()) {
+    return {
+      pincode: code,
+      deliverable: false,
+      codAvailable: false,
+      city: null,
+      district: null,
+      state: null,
+      zone: null,
+      estimatedDays: null,
+      estimatedDelivery: null
+    };
+  }
+
+  const record = { ...snapshot.data(), pincode: code };
+  const zone = getDeliveryZone(record);
+  const rule = ZONE_RULES[zone];
+  const deliverable = record.deliverable !== false;
+  const estimatedDays = record.deliveryDays || rule.deliveryDays;
+
+  return {
+    pincode: code,
+    deliverable,
+    codAvailable: deliverable && rule.cod && record.cod !== false,
+    city: record.city || record.district || null,
+    district: record.district || null,
+    state: record.state || null,
+    zone,
+    estimatedDays: deliverable ? estimatedDays : null,
+    estimatedDelivery: deliverable ? {
+      from: addDays(now, estimatedDays.min),
+      to: addDays(now, estimatedDays.max)
+    } : null
+  };
+};
+
+/**
+ * Make sure an order can be delivered to its address with the chosen
+ * payment method. Called when an order is created.
+ * @param {Object} address - Shipping address (with postalCode)
+ * @param {string} paymentMethod - Payment method, e.g. 'cod' or 'upi'
+ * @returns {Promise<Object>} - The serviceability result
+ */
+export const assertServiceable = async (address, paymentMethod) => {
+  const pincode = normalizePincode(address?.postalCode || address?.pincode);
+
+  if (!pincode) {
+    throw createError('VALIDATION', 'Please enter a valid 6-digit pincode', { field: 'shippingAddress.postalCode' });
+  }
+
+  const serviceability = await checkServiceability(pincode);
+
+  if (!serviceability.deliverable) {
+    throw createError('VALIDATION', `Sorry, we don't deliver to ${pincode} yet`, {
+      field: 'shippingAddress.postalCode',
+      pincode
+    });
+  }
+
+  if (paymentMethod === 'cod' && !serviceability.codAvailable) {
+    throw createError('VALIDATION', `Cash on Delivery is not available for ${pincode}. Please pay online.`, {
+      field: 'paymentMethod',
+      pincode
+    });
+  }
+
+  return serviceability;
+};
+
+/**
+ * The delivery estimate stored on an order. A chosen shipping option (e.g.
+ * express) may promise faster delivery than the zone.
+ * @param {Object} serviceability - Result of checkServiceability
+ * @param {Object} shippingOption - Chosen shipping option (optional)
+ * @returns {Object} - { zone, minDays, maxDays, from, to }
+ */
+export const getDeliveryEstimate = (serviceability, shippingOption = null) => {
+  const { estimatedDays, estimatedDelivery } = shippingOption || serviceability;
+
+  return {
+    zone: serviceability.zone,
+    minDays: estimatedDays.min,
+    maxDays: estimatedDays.max,
+    from: estimatedDelivery.from,
+    to: estimatedDelivery.to
+  };
+};
+
+export default {
+  ORIGIN_PINCODE,
+  DELIVERY_ZONES,
+  ZONE_RULES,
+  normalizePincode,
+  getDeliveryZone,
+  checkServiceability,
+  assertServiceable,
+  getDeliveryEstimate
+};
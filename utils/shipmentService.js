@@ -0,0 +1,660 @@
+// Shipment Service: parcels booked with a carrier for an order. Each shipment
+// is a `shipments` document holding the package, the carrier's consignment
+// and AWB, and the tracking events seen so far; the order keeps a summary in
+// `order.shipment`. Return pickups are reverse shipments from the customer
+// back to the warehouse, summarized on their return request as `pickup`.
+// Carriers are reached only through utils/carriers.
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs,
+  doc,
+  getDoc,
+  addDoc,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { getCarrier, selectCarrier, SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS } from './carriers';
+import { ORDER_STATUSES, isValidStatusTransition, updateOrderStatus } from './orderService';
+import { SELLER_CONFIG } from './gstService';
+import { formatAddressLines } from './invoiceService';
+import { ORIGIN_PINCODE } from './serviceabilityService';
+
+export { SHIPMENT_STATUSES, SHIPMENT_DIRECTIONS };
+
+// Orders that can be handed to a carrier. Shipped orders are included so an
+// order marked shipped by hand can still get a tracked shipment.
+export const SHIPPABLE_ORDER_STATUSES = [ORDER_STATUSES.PROCESSING, ORDER_STATUSES.SHIPPED];
+
+// Shipments the carrier is still moving, which tracking sync polls
+export const ACTIVE_SHIPMENT_STATUSES = [
+  SHIPMENT_STATUSES.READY_TO_SHIP,
+  SHIPMENT_STATUSES.PICKED_UP,
+  SHIPMENT_STATUSES.IN_TRANSIT,
+  SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUSES.DELIVERY_FAILED
+];
+
+// Shipments that can still be called off before the courier collects them
+const CANCELLABLE_STATUSES = [SHIPMENT_STATUSES.BOOKED, SHIPMENT_STATUSES.READY_TO_SHIP];
+
+// Shipment statuses that mean the parcel has left the warehouse
+const DISPATCHED_STATUSES = [
+  SHIPMENT_STATUSES.PICKED_UP,
+  SHIPMENT_STATUSES.IN_TRANSIT,
+  SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUSES.DELIVERY_FAILED,
+  SHIPMENT_STATUSES.DELIVERED
+];
+
+export const SHIPMENT_SYNC_CONFIG = {
+  BATCH_SIZE: 25
+};
+
+// Shipments that are finished with and don't block booking another
+const CLOSED_STATUSES = [SHIPMENT_STATUSES.CANCELLED, SHIPMENT_STATUSES.RETURNED_TO_ORIGIN];
+
+// Where return pickups are delivered
+const WAREHOUSE_ADDRESS = {
+  fullName: SELLER_CONFIG.name,
+  phone: process.env.SHIPPING_WAREHOUSE_PHONE || '',
+  email: '',
+  line1: SELLER_CONFIG.address,
+  line2: '',
+  city: process.env.SHIPPING_WAREHOUSE_CITY || '',
+  state: SELLER_CONFIG.state,
+  postalCode: ORIGIN_PINCODE,
+  country: 'India'
+};
+
+// Volumetric divisor used by Indian couriers (cm³ per kg)
+const VOLUMETRIC_DIVISOR = 5000;
+
+const round = (value, places = 2) => Math.round(value * (10 ** places)) / (10 ** places);
+
+const toISOString = (value) => (value?.toDate ? value.toDate().toISOString() : value);
+
+const isReverse = (shipment) => shipment.direction === SHIPMENT_DIRECTIONS.REVERSE;
+
+const formatShipment = (snapshot) => {
+  const data = snapshot.data();
+
+  return {
+    id: snapshot.id,
+    ...data,
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt)
+  };
+};
+
+/**
+ * Validate a package's weight and dimensions and work out the weight the
+ * carrier will charge for: the greater of the actual and volumetric weight
+ * @param {Object} pkg - { weight (kg), length, breadth, height (cm) }
+ * @returns {Object} - Package with numeric values and chargeableWeight
+ */
+export const normalizePackage = (pkg = {}) => {
+  const normalized = {};
+
+  ['weight', 'length', 'breadth', 'height'].forEach(field => {
+    const value = Number(pkg[field]);
+
+    if (!Number.isFinite(value) || value <= 0) {
+      throw createError('VALIDATION', `Package ${field} must be a positive number`, { field });
+    }
+
+    normalized[field] = round(value);
+  });
+
+  const volumetricWeight = round((normalized.length * normalized.breadth * normalized.height) / VOLUMETRIC_DIVISOR);
+
+  return {
+    ...normalized,
+    volumetricWeight,
+    chargeableWeight: Math.max(normalized.weight, volumetricWeight)
+  };
+};
+
+/**
+ * The summary of a shipment stored on the order as `order.shipment`. Its
+ * trackingNumber, carrier and trackingUrl are what the shipped email and
+ * SMS show.
+ * @param {Object} shipment - Shipment data
+ * @returns {Object} - Order shipment summary
+ */
+export const getOrderShipmentSummary = (shipment) => ({
+  shipmentId: shipment.id,
+  carrier: shipment.courierName || shipment.carrierName || shipment.carrier,
+  trackingNumber: shipment.awb || null,
+  trackingUrl: shipment.trackingUrl || null,
+  status: shipment.status,
+  expectedDeliveryDate: shipment.expectedDeliveryDate || null
+});
+
+// The customer's address from the order, as carriers take it
+const getCustomerAddress = (order) => {
+  const address = order.shipping?.address || order.shippingAddress || {};
+
+  if (!address.postalCode && !address.zipCode) {
+    throw createError('VALIDATION', 'The order has no delivery pincode', { field: 'shippingAddress' });
+  }
+
+  return {
+    fullName: address.fullName || address.name || order.customer?.fullName || '',
+    phone: address.phone || order.customer?.phone || '',
+    email: order.customer?.email || order.userEmail || '',
+    line1: [address.flatNo || address.buildingNo, address.buildingName, address.street || address.line1 || address.address]
+      .filter(Boolean)
+      .join(', '),
+    line2: address.landmark || '',
+    city: address.city || '',
+    state: address.state || '',
+    postalCode: address.postalCode || address.zipCode,
+    country: address.country || 'India'
+  };
+};
+
+const toConsignmentItems = (items = []) => items.map(item => ({
+  productId: item.productId || item.id || null,
+  name: item.name,
+  size: item.size || null,
+  sku: item.sku || item.productId || item.id || null,
+  quantity: Number(item.quantity ?? item.qty) || 1,
+  price: Number(item.price ?? item.unitPrice) || 0
+}));
+
+// The consignment details a carrier needs, taken from the order
+const buildConsignment = (order) => {
+  const paymentMethod = order.payment?.method || order.paymentMethod;
+  const total = Number(order.total ?? order.totalAmount ?? order.totals?.total) || 0;
+  const paymentMode = paymentMethod === 'cod' ? 'cod' : 'prepaid';
+
+  return {
+    deliveryAddress: getCustomerAddress(order),
+    sender: {
+      name: SELLER_CONFIG.name,
+      addressLines: formatAddressLines({ street: SELLER_CONFIG.address })
+    },
+    items: toConsignmentItems(order.items),
+    paymentMode,
+    declaredValue: total,
+    codAmount: paymentMode === 'cod' ? total : 0
+  };
+};
+
+// A return pickup: collected from the customer, delivered to the warehouse.
+// Nothing is collected on delivery and only the returned items are declared.
+const buildReturnConsignment = (order, returnRequest) => {
+  const pickupAddress = getCustomerAddress(order);
+  const items = toConsignmentItems(returnRequest.items);
+
+  return {
+    pickupAddress,
+    deliveryAddress: WAREHOUSE_ADDRESS,
+    sender: {
+      name: pickupAddress.fullName,
+      addressLines: [pickupAddress.line1, pickupAddress.line2, `${pickupAddress.city} ${pickupAddress.postalCode}`.trim()]
+        .filter(Boolean)
+    },
+    items,
+    paymentMode: 'prepaid',
+    declaredValue: round(items.reduce((sum, item) => sum + (item.price * item.quantity), 0)),
+    codAmount: 0
+  };
+};
+
+/**
+ * Get a shipment by ID
+ * @param {string} shipmentId - Shipment ID
+ * @returns {Promise<Object|null>} - Shipment or null
+ */
+export const getShipment = async (shipmentId) => {
+  const snapshot = await getDoc(doc(db, 'shipments', shipmentId));
+  return snapshot.exists() ? formatShipment(snapshot) : null;
+};
+
+const getShipmentOrFail = async (shipmentId) => {
+  if (!shipmentId) {
+    throw createError('VALIDATION', 'Shipment ID is required', { field: 'shipmentId' });
+  }
+
+  const shipment = await getShipment(shipmentId);
+
+  if (!shipment) {
+    throw createError('NOT_FOUND', `Shipment ${shipmentId} not found`);
+  }
+
+  return shipment;
+};
+
+/**
+ * List an order's shipments, newest first
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} - Shipments
+ */
+export const getShipmentsForOrder = async (orderId) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'shipments'),
+    where('orderId', '==', orderId),
+    orderBy('createdAt', 'desc')
+  ));
+
+  return snapshot.docs.map(formatShipment);
+};
+
+// Keep the shipment's summary current on its order, or on its return
+// request for return pickups. A cancelled shipment clears the summary.
+const updateShipmentSummary = async (shipment) => {
+  const summary = shipment.status === SHIPMENT_STATUSES.CANCELLED ? null : getOrderShipmentSummary(shipment);
+
+  if (isReverse(shipment)) {
+    await updateDoc(doc(db, 'returns', shipment.returnId), {
+      pickup: summary,
+      updatedAt: serverTimestamp()
+    });
+    return;
+  }
+
+  await updateDoc(doc(db, 'orders', shipment.orderId), {
+    shipment: summary,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Ask the carrier for the shipment's AWB number. Called when a shipment is
+ * created, and again by admins when the carrier could not assign one then.
+ * @param {string} shipmentId - Shipment ID
+ * @returns {Promise<Object>} - Updated shipment
+ */
+export const assignShipmentAwb = async (shipmentId) => {
+  const shipment = await getShipmentOrFail(shipmentId);
+
+  if (shipment.awb) {
+    return shipment;
+  }
+
+  if (shipment.status !== SHIPMENT_STATUSES.BOOKED) {
+    throw createError('VALIDATION', `Cannot assign an AWB to a ${shipment.status} shipment`, { field: 'status' });
+  }
+
+  const carrier = getCarrier(shipment.carrier);
+  const assigned = await carrier.assignAwb({ shipment });
+  const update = {
+    awb: assigned.awb,
+    courierName: assigned.courierName || carrier.name,
+    trackingUrl: assigned.trackingUrl || null,
+    status: SHIPMENT_STATUSES.READY_TO_SHIP,
+    awbError: null,
+    updatedAt: serverTimestamp()
+  };
+
+  await updateDoc(doc(db, 'shipments', shipmentId), update);
+
+  const updated = { ...shipment, ...update };
+  await updateShipmentSummary(updated);
+
+  return updated;
+};
+
+// Book a consignment with the carrier, store the shipment and fetch its AWB.
+// If the carrier books the consignment but cannot assign an AWB yet, the
+// shipment is kept as booked with `awbError` so the AWB can be fetched later.
+const bookShipment = async (carrier, shipment, { order, actor }) => {
+  const booked = await carrier.createShipment({ shipment, order });
+  const record = {
+    ...shipment,
+    carrierShipmentId: booked.carrierShipmentId,
+    carrierOrderId: booked.carrierOrderId || null,
+    status: SHIPMENT_STATUSES.BOOKED,
+    awb: null,
+    courierName: null,
+    trackingUrl: null,
+    events: [],
+    expectedDeliveryDate: null,
+    trackedAt: new Date().toISOString(),
+    createdBy: actor,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+
+  const shipmentRef = await addDoc(collection(db, 'shipments'), record);
+  const created = { id: shipmentRef.id, ...record };
+
+  try {
+    return await assignShipmentAwb(shipmentRef.id);
+  } catch (error) {
+    console.error(`Failed to assign an AWB to shipment ${shipmentRef.id}:`, error);
+
+    await updateDoc(shipmentRef, { awbError: error.message, updatedAt: serverTimestamp() });
+    await updateShipmentSummary(created);
+
+    return { ...created, awbError: error.message };
+  }
+};
+
+/**
+ * Book a shipment for an order with a carrier and fetch its AWB number. An
+ * order has at most one open shipment; cancel it to book another. Return
+ * pickups don't count.
+ * @param {string} orderId - Order ID
+ * @param {Object} details - Shipment details
+ * @param {Object} details.package - { weight (kg), length, breadth, height (cm) }
+ * @param {string} details.carrier - Carrier ID (default: SHIPPING_CARRIER)
+ * @param {Object} options - Options
+ * @param {string} options.actor - ID of the admin booking the shipment
+ * @returns {Promise<Object>} - Created shipment
+ */
+export const createShipment = async (orderId, { package: pkg, carrier: carrierId } = {}, { actor = null } = {}) => {
+  if (!orderId) {
+    throw createError('VALIDATION', 'Order ID is required', { field: 'orderId' });
+  }
+
+  const packageDetails = normalizePackage(pkg);
+  const carrier = selectCarrier(carrierId);
+
+  const orderSnap = await getDoc(doc(db, 'orders', orderId));
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', `Order ${orderId} not found`);
+  }
+
+  const order = { id: orderId, ...orderSnap.data() };
+
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw createError('VALIDATION', `A ${order.status} order cannot be shipped`, {
+      field: 'status',
+      allowed: SHIPPABLE_ORDER_STATUSES
+    });
+  }
+
+  const existing = await getShipmentsForOrder(orderId);
+  const open = existing.find(shipment => !isReverse(shipment) && !CLOSED_STATUSES.includes(shipment.status));
+
+  if (open) {
+    throw createError('VALIDATION', `Order already has shipment ${open.awb || open.reference}; cancel it to book another`, {
+      field: 'orderId',
+      shipmentId: open.id
+    });
+  }
+
+  const shipment = {
+    orderId,
+    orderNumber: order.orderNumber || null,
+    userId: order.userId || null,
+    reference: `${order.orderNumber || orderId}-${existing.length + 1}`,
+    direction: SHIPMENT_DIRECTIONS.FORWARD,
+    carrier: carrier.id,
+    carrierName: carrier.name,
+    package: packageDetails,
+    ...buildConsignment(order)
+  };
+
+  return bookShipment(carrier, shipment, { order, actor });
+};
+
+/**
+ * Book a reverse pickup of a return request's items: the courier collects
+ * them from the customer's delivery address and brings them to the
+ * warehouse. A return has at most one open pickup.
+ * @param {Object} returnRequest - Return request ({ id, orderId, items })
+ * @param {Object} details - Pickup details
+ * @param {Object} details.package - { weight (kg), length, breadth, height (cm) }
+ * @param {string} details.carrier - Carrier ID (default: SHIPPING_CARRIER)
+ * @param {Object} options - Options
+ * @param {string} options.actor - ID of the admin booking the pickup
+ * @returns {Promise<Object>} - Created shipment
+ */
+export const createReturnPickup = async (returnRequest, { package: pkg, carrier: carrierId } = {}, { actor = null } = {}) => {
+  if (!returnRequest?.id || !returnRequest.orderId) {
+    throw createError('VALIDATION', 'Return request is required', { field: 'returnId' });
+  }
+
+  const packageDetails = normalizePackage(pkg);
+  const carrier = selectCarrier(carrierId);
+
+  const orderSnap = await getDoc(doc(db, 'orders', returnRequest.orderId));
+
+  if (!orderSnap.exists()) {
+    throw createError('NOT_FOUND', `Order ${returnRequest.orderId} not found`);
+  }
+
+  const order = { id: orderSnap.id, ...orderSnap.data() };
+  const existing = await getShipmentsForOrder(order.id);
+  const open = existing.find(shipment => shipment.returnId === returnRequest.id && !CLOSED_STATUSES.includes(shipment.status));
+
+  if (open) {
+    throw createError('VALIDATION', `Return already has pickup ${open.awb || open.reference}; cancel it to book another`, {
+      field: 'returnId',
+      shipmentId: open.id
+    });
+  }
+
+  const shipment = {
+    orderId: order.id,
+    orderNumber: order.orderNumber || null,
+    userId: order.userId || null,
+    returnId: returnRequest.id,
+    reference: `${order.orderNumber || order.id}-R${existing.filter(isReverse).length + 1}`,
+    direction: SHIPMENT_DIRECTIONS.REVERSE,
+    carrier: carrier.id,
+    carrierName: carrier.name,
+    package: packageDetails,
+    ...buildReturnConsignment(order, returnRequest)
+  };
+
+  return bookShipment(carrier, shipment, { order, actor });
+};
+
+/**
+ * Get a shipment's label: a link to the carrier's hosted label, or the PDF
+ * for carriers that don't host one
+ * @param {string} shipmentId - Shipment ID
+ * @returns {Promise<Object>} - { url } or { pdf, filename }
+ */
+export const getShipmentLabel = async (shipmentId) => {
+  const shipment = await getShipmentOrFail(shipmentId);
+
+  if (!shipment.awb || shipment.status === SHIPMENT_STATUSES.CANCELLED) {
+    throw createError('VALIDATION', 'Labels are available once an AWB is assigned', { field: 'shipmentId' });
+  }
+
+  if (shipment.labelUrl) {
+    return { url: shipment.labelUrl };
+  }
+
+  const label = await getCarrier(shipment.carrier).getLabel({ shipment });
+
+  if (label.url) {
+    await updateDoc(doc(db, 'shipments', shipmentId), { labelUrl: label.url, updatedAt: serverTimestamp() });
+    return { url: label.url };
+  }
+
+  return { pdf: label.pdf, filename: `label-${shipment.awb}.pdf` };
+};
+
+// Carriers resend their whole scan history; keep each scan once, oldest first
+const mergeTrackingEvents = (existing, incoming) => {
+  const key = (event) => `${event.occurredAt}|${event.carrierStatus || event.status}|${event.location || ''}`;
+  const seen = new Set(existing.map(key));
+  const added = incoming.filter(event => {
+    if (seen.has(key(event))) return false;
+    seen.add(key(event));
+    return true;
+  });
+
+  return {
+    events: [...existing, ...added].sort((a, b) => a.occurredAt.localeCompare(b.occurredAt)),
+    added
+  };
+};
+
+// Move the order along with its parcel: shipped once the courier has it,
+// delivered when it arrives. Orders a status doesn't apply to are left alone.
+const syncOrderStatus = async (shipment) => {
+  const orderSnap = await getDoc(doc(db, 'orders', shipment.orderId));
+
+  if (!orderSnap.exists()) {
+    return;
+  }
+
+  let orderStatus = orderSnap.data().status;
+  const audit = { changedBy: 'carrier_tracking' };
+
+  if (DISPATCHED_STATUSES.includes(shipment.status) && isValidStatusTransition(orderStatus, ORDER_STATUSES.SHIPPED)) {
+    await updateOrderStatus(shipment.orderId, ORDER_STATUSES.SHIPPED, {
+      shipment: getOrderShipmentSummary(shipment)
+    }, { ...audit, note: `Picked up by ${shipment.courierName || shipment.carrierName}` });
+    orderStatus = ORDER_STATUSES.SHIPPED;
+  }
+
+  if (shipment.status === SHIPMENT_STATUSES.DELIVERED && isValidStatusTransition(orderStatus, ORDER_STATUSES.DELIVERED)) {
+    await updateOrderStatus(shipment.orderId, ORDER_STATUSES.DELIVERED, {
+      shipment: getOrderShipmentSummary(shipment),
+      deliveredAt: shipment.deliveredAt
+    }, { ...audit, note: `Delivered by ${shipment.courierName || shipment.carrierName}` });
+  }
+};
+
+/**
+ * Fetch a shipment's tracking from its carrier, store the scans not seen
+ * before and move the order to shipped or delivered to match
+ * @param {string} shipmentId - Shipment ID
+ * @returns {Promise<Object>} - { shipment, newEvents }
+ */
+export const refreshTracking = async (shipmentId) => {
+  const shipment = await getShipmentOrFail(shipmentId);
+
+  if (!shipment.awb) {
+    throw createError('VALIDATION', 'Shipments are tracked once an AWB is assigned', { field: 'shipmentId' });
+  }
+
+  if (shipment.status === SHIPMENT_STATUSES.CANCELLED) {
+    return { shipment, newEvents: [] };
+  }
+
+  const tracking = await getCarrier(shipment.carrier).track({ shipment });
+  const { events, added } = mergeTrackingEvents(shipment.events || [], tracking.events || []);
+  const status = tracking.status || events[events.length - 1]?.status || shipment.status;
+
+  const update = {
+    events,
+    status,
+    expectedDeliveryDate: tracking.expectedDeliveryDate || shipment.expectedDeliveryDate || null,
+    trackedAt: new Date().toISOString(),
+    updatedAt: serverTimestamp()
+  };
+
+  if (status === SHIPMENT_STATUSES.DELIVERED && !shipment.deliveredAt) {
+    const deliveredEvent = events.filter(event => event.status === SHIPMENT_STATUSES.DELIVERED).pop();
+    update.deliveredAt = deliveredEvent?.occurredAt || update.trackedAt;
+  }
+
+  await updateDoc(doc(db, 'shipments', shipmentId), update);
+
+  const updated = { ...shipment, ...update };
+
+  // A return pickup reaching the warehouse leaves the order alone; the
+  // return is received once the items have been checked
+  if (added.length > 0 || status !== shipment.status) {
+    await updateShipmentSummary(updated);
+
+    if (!isReverse(updated)) {
+      await syncOrderStatus(updated);
+    }
+  }
+
+  return { shipment: updated, newEvents: added };
+};
+
+/**
+ * Refresh tracking for the shipments still on their way, least recently
+ * tracked first. Run on a schedule (see /api/cron/sync-shipments).
+ * @param {Object} options - { max }
+ * @returns {Promise<Object>} - { checked, updated, failed }
+ */
+export const syncActiveShipments = async ({ max = SHIPMENT_SYNC_CONFIG.BATCH_SIZE } = {}) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'shipments'),
+    where('status', 'in', ACTIVE_SHIPMENT_STATUSES),
+    orderBy('trackedAt', 'asc'),
+    limit(max)
+  ));
+
+  const summary = { checked: 0, updated: 0, failed: [] };
+
+  for (const shipmentDoc of snapshot.docs) {
+    summary.checked += 1;
+
+    try {
+      const { newEvents } = await refreshTracking(shipmentDoc.id);
+
+      if (newEvents.length > 0) {
+        summary.updated += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to refresh tracking for shipment ${shipmentDoc.id}:`, error);
+      summary.failed.push({ shipmentId: shipmentDoc.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Cancel a shipment the courier has not collected yet
+ * @param {string} shipmentId - Shipment ID
+ * @param {Object} options - Options
+ * @param {string} options.actor - ID of the admin cancelling it
+ * @returns {Promise<Object>} - Updated shipment
+ */
+export const cancelShipment = async (shipmentId, { actor = null } = {}) => {
+  const shipment = await getShipmentOrFail(shipmentId);
+
+  if (!CANCELLABLE_STATUSES.includes(shipment.status)) {
+    throw createError('VALIDATION', `A ${shipment.status} shipment cannot be cancelled`, { field: 'status' });
+  }
+
+  await getCarrier(shipment.carrier).cancel({ shipment });
+
+  const update = {
+    status: SHIPMENT_STATUSES.CANCELLED,
+    cancelledAt: new Date().toISOString(),
+    cancelledBy: actor,
+    updatedAt: serverTimestamp()
+  };
+
+  await updateDoc(doc(db, 'shipments', shipmentId), update);
+
+  const cancelled = { ...shipment, ...update };
+  await updateShipmentSummary(cancelled);
+
+  return cancelled;
+};
+
+export default {
+  SHIPMENT_STATUSES,
+  SHIPMENT_DIRECTIONS,
+  SHIPPABLE_ORDER_STATUSES,
+  ACTIVE_SHIPMENT_STATUSES,
+  normalizePackage,
+  getOrderShipmentSummary,
+  getShipment,
+  getShipmentsForOrder,
+  createShipment,
+  createReturnPickup,
+  assignShipmentAwb,
+  getShipmentLabel,
+  refreshTracking,
+  syncActiveShipments,
+  cancelShipment
+};
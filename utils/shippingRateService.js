@@ -0,0 +1,323 @@
+// Shipping rates: what delivery costs for an order, worked out from rules
+// admins keep in the `shippingRates` collection. A rule prices one service
+// (standard or express) for some delivery zones, weights and order values;
+// checkout is offered the cheapest matching rule of each service. While no
+// rule is active the built-in flat rate applies.
+import {
+  collection,
+  query,
+  orderBy,
+  getDocs,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { DELIVERY_ZONES } from './serviceabilityService';
+
+export const SHIPPING_SERVICES = {
+  STANDARD: 'standard',
+  EXPRESS: 'express'
+};
+
+export const SHIPPING_SERVICE_LABELS = {
+  [SHIPPING_SERVICES.STANDARD]: 'Standard Delivery',
+  [SHIPPING_SERVICES.EXPRESS]: 'Express Delivery'
+};
+
+/**
+ * Packed weight (kg) of one piece of a product without a weight in the catalog
+ */
+export const DEFAULT_ITEM_WEIGHT = 0.5;
+
+/**
+ * Rates used while no rule is active: ₹100 standard delivery anywhere,
+ * free above ₹1000
+ */
+export const DEFAULT_SHIPPING_RATES = [
+  {
+    id: 'default-standard',
+    name: 'Standard',
+    service: SHIPPING_SERVICES.STANDARD,
+    zones: [],
+    baseRate: 100,
+    freeAbove: 1000,
+    active: true
+  }
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Total packed weight of an order in kg
+ * @param {Array} items - Items with quantity and (optionally) weight
+ * @returns {number} - Weight in kg
+ */
+export const getOrderWeight = (items = []) => round(items.reduce((sum, item) =>
+  sum + ((Number(item.weight) || DEFAULT_ITEM_WEIGHT) * (Number(item.quantity) || 0)), 0));
+
+/**
+ * Whether a rule covers an order
+ * @param {Object} rule - Shipping rate rule
+ * @param {Object} order - { zone, weight (kg), orderValue }
+ * @returns {boolean} - Whether the rule applies
+ */
+export const ruleMatches = (rule, { zone, weight, orderValue }) => {
+  if (rule.active === false) return false;
+  if (rule.zones?.length && !rule.zones.includes(zone)) return false;
+  if (rule.minWeight != null && weight < rule.minWeight) return false;
+  if (rule.maxWeight != null && weight > rule.maxWeight) return false;
+  if (rule.minOrderValue != null && orderValue < rule.minOrderValue) return false;
+  if (rule.maxOrderValue != null && orderValue > rule.maxOrderValue) return false;
+  return true;
+};
+
+/**
+ * Price an order with a rule. The base rate covers the first `baseWeight`
+ * kg and every started `weightStep` kg above it adds `additionalRate`.
+ * Orders worth more than `freeAbove` ship free; the COD surcharge
+ * (`codFee` plus `codPercent` of the order value) is charged either way.
+ * @param {Object} rule - Shipping rate rule
+ * @param {Object} order - { weight (kg), orderValue }
+ * @returns {Object} - { shippingCost, codFee }
+ */
+export const calculateShippingCost = (rule, { weight, orderValue }) => {
+  const baseWeight = Number(rule.baseWeight) || 0;
+  const weightStep = Number(rule.weightStep) || 0.5;
+  const extraSteps = Math.ceil(round(Math.max(0, weight - baseWeight)) / weightStep);
+  const isFree = rule.freeAbove != null && orderValue > rule.freeAbove;
+
+  return {
+    shippingCost: isFree ? 0 : round((Number(rule.baseRate) || 0) + (extraSteps * (Number(rule.additionalRate) || 0))),
+    codFee: round((Number(rule.codFee) || 0) + (orderValue * (Number(rule.codPercent) || 0) / 100))
+  };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + (days * 24 * 60 * 60 * 1000)).toISOString();
+
+/**
+ * Shipping options for an order: the cheapest matching rule of each service,
+ * cheapest first
+ * @param {Object} params - Order details
+ * @param {Array} params.items - Priced items (with weight)
+ * @param {number} params.orderValue - Order value after discount
+ * @param {Object} params.serviceability - Result of checkServiceability
+ * @param {Array} params.rules - Shipping rate rules
+ * @param {Date} params.now - When the order is placed (defaults to now)
+ * @returns {Array<Object>} - { service, label, ruleId, shippingCost, codFee,
+ *   estimatedDays, estimatedDelivery }
+ */
+export const getShippingOptions = ({ items, orderValue, serviceability, rules, now = new Date() }) => {
+  if (!serviceability?.deliverable) {
+    return [];
+  }
+
+  const weight = getOrderWeight(items);
+  const order = { zone: serviceability.zone, weight, orderValue };
+  const cheapest = {};
+
+  rules.filter(rule => ruleMatches(rule, order)).forEach(rule => {
+    const cost = calculateShippingCost(rule, order);
+    const current = cheapest[rule.service];
+
+    if (!current || cost.shippingCost < current.shippingCost) {
+      const estimatedDays = rule.deliveryDays || serviceability.estimatedDays;
+
+      cheapest[rule.service] = {
+        service: rule.service,
+        label: SHIPPING_SERVICE_LABELS[rule.service] || rule.name,
+        ruleId: rule.id,
+        ...cost,
+        weight,
+        estimatedDays,
+        estimatedDelivery: {
+          from: addDays(now, estimatedDays.min),
+          to: addDays(now, estimatedDays.max)
+        }
+      };
+    }
+  });
+
+  return Object.values(cheapest).sort((a, b) => a.shippingCost - b.shippingCost);
+};
+
+/**
+ * Pick the option a customer chose; without a choice, the cheapest
+ * @param {Array<Object>} options - Result of getShippingOptions
+ * @param {string} service - Chosen service (optional)
+ * @returns {Object} - The option
+ */
+export const selectShippingOption = (options, service = null) => {
+  if (options.length === 0) {
+    throw createError('VALIDATION', 'No delivery option is available for this address', { field: 'shippingService' });
+  }
+
+  if (!service) {
+    return options[0];
+  }
+
+  const option = options.find(candidate => candidate.service === service);
+
+  if (!option) {
+    throw createError('VALIDATION', `${SHIPPING_SERVICE_LABELS[service] || 'This delivery option'} is not available for this address`, {
+      field: 'shippingService'
+    });
+  }
+
+  return option;
+};
+
+/**
+ * The part of the chosen option stored on an order
+ * @param {Object} option - Chosen shipping option
+ * @returns {Object} - { service, label, ruleId, shippingCost, codFee, weight, estimatedDays }
+ */
+export const getOrderShippingOption = (option) => ({
+  service: option.service,
+  label: option.label,
+  ruleId: option.ruleId,
+  shippingCost: option.shippingCost,
+  codFee: option.codFee,
+  weight: option.weight,
+  estimatedDays: option.estimatedDays
+});
+
+/**
+ * Get every shipping rate rule
+ * @returns {Promise<Array>} - Rules, by name
+ */
+export const getAllShippingRates = async () => {
+  const snapshot = await getDocs(query(collection(db, 'shippingRates'), orderBy('name')));
+  return snapshot.docs.map(rateDoc => ({ id: rateDoc.id, ...rateDoc.data() }));
+};
+
+/**
+ * Get the rules checkout prices with: the active saved rules, or the
+ * defaults while none are active
+ * @returns {Promise<Array>} - Rules
+ */
+export const getShippingRates = async () => {
+  const rules = (await getAllShippingRates()).filter(rule => rule.active !== false);
+  return rules.length > 0 ? rules : DEFAULT_SHIPPING_RATES;
+};
+
+/**
+ * Validate and normalize a rule before saving
+ * @param {Object} rateData - Rule fields from the admin form
+ * @returns {Object} - Rule to store
+ */
+const normalizeShippingRate = (rateData) => {
+  const name = (rateData.name || '').trim();
+
+  if (!name) {
+    throw createError('VALIDATION', 'Rule name is required', { field: 'name' });
+  }
+
+  if (!Object.values(SHIPPING_SERVICES).includes(rateData.service)) {
+    throw createError('VALIDATION', 'Service must be standard or express', { field: 'service' });
+  }
+
+  const zones = (rateData.zones || []).filter(zone => Object.values(DELIVERY_ZONES).includes(zone));
+  const rate = {
+    name,
+    service: rateData.service,
+    zones,
+    minWeight: toNumberOrNull(rateData.minWeight),
+    maxWeight: toNumberOrNull(rateData.maxWeight),
+    minOrderValue: toNumberOrNull(rateData.minOrderValue),
+    maxOrderValue: toNumberOrNull(rateData.maxOrderValue),
+    baseRate: Number(rateData.baseRate),
+    baseWeight: toNumberOrNull(rateData.baseWeight),
+    additionalRate: toNumberOrNull(rateData.additionalRate),
+    weightStep: toNumberOrNull(rateData.weightStep),
+    freeAbove: toNumberOrNull(rateData.freeAbove),
+    codFee: toNumberOrNull(rateData.codFee),
+    codPercent: toNumberOrNull(rateData.codPercent),
+    deliveryDays: null,
+    active: rateData.active !== false
+  };
+
+  const numbers = ['minWeight', 'maxWeight', 'minOrderValue', 'maxOrderValue', 'baseRate', 'baseWeight',
+    'additionalRate', 'weightStep', 'freeAbove', 'codFee', 'codPercent'];
+  const invalid = numbers.find(field => rate[field] !== null && (Number.isNaN(rate[field]) || rate[field] < 0));
+
+  if (invalid) {
+    throw createError('VALIDATION', `${invalid} must be a positive number`, { field: invalid });
+  }
+
+  if (rate.weightStep === 0) {
+    throw createError('VALIDATION', 'Weight step must be more than 0 kg', { field: 'weightStep' });
+  }
+
+  const minDays = toNumberOrNull(rateData.minDays);
+  const maxDays = toNumberOrNull(rateData.maxDays);
+
+  if (minDays !== null || maxDays !== null) {
+    if (!Number.isInteger(minDays) || !Number.isInteger(maxDays) || minDays < 0 || maxDays < minDays) {
+      throw createError('VALIDATION', 'Delivery days must be whole numbers, with the minimum not above the maximum', { field: 'minDays' });
+    }
+
+    rate.deliveryDays = { min: minDays, max: maxDays };
+  }
+
+  return rate;
+};
+
+/**
+ * Create a shipping rate rule
+ * @param {Object} rateData - Rule fields
+ * @returns {Promise<Object>} - Created rule
+ */
+export const createShippingRate = async (rateData) => {
+  const rate = normalizeShippingRate(rateData);
+  const rateRef = await addDoc(collection(db, 'shippingRates'), {
+    ...rate,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return { id: rateRef.id, ...rate };
+};
+
+/**
+ * Update a shipping rate rule
+ * @param {string} rateId - Rule ID
+ * @param {Object} rateData - Rule fields
+ * @returns {Promise<Object>} - Updated rule
+ */
+export const updateShippingRate = async (rateId, rateData) => {
+  const rate = normalizeShippingRate(rateData);
+  await updateDoc(doc(db, 'shippingRates', rateId), { ...rate, updatedAt: serverTimestamp() });
+  return { id: rateId, ...rate };
+};
+
+/**
+ * Delete a shipping rate rule
+ * @param {string} rateId - Rule ID
+ */
+export const deleteShippingRate = async (rateId) => {
+  await deleteDoc(doc(db, 'shippingRates', rateId));
+};
+
+export default {
+  SHIPPING_SERVICES,
+  SHIPPING_SERVICE_LABELS,
+  DEFAULT_ITEM_WEIGHT,
+  DEFAULT_SHIPPING_RATES,
+  getOrderWeight,
+  ruleMatches,
+  calculateShippingCost,
+  getShippingOptions,
+  selectShippingOption,
+  getOrderShippingOption,
+  getAllShippingRates,
+  getShippingRates,
+  createShippingRate,
+  updateShippingRate,
+  deleteShippingRate
+};
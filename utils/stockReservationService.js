@@ -0,0 +1,942 @@
+// Stock Reservation Service: the single place stock is held, taken and put
+// back. A reservation holds units per product and size (or variant, for
+// products sold in variants) from checkout until the order is paid
+// (converted: stock is decremented), cancelled or the hold expires
+// (released: nothing was taken).
+//
+// Reservations live in `stockReservations/{id}`. Each product also carries
+// the live holds against it in `stockHolds.{reservationId}`, so availability
+// (stock minus unexpired holds) is checked and held in one transaction on the
+// product documents; two checkouts for the last unit cannot both succeed.
+//
+// Every change to a stock level is recorded in the inventory ledger (see
+// inventoryService) in the same transaction. Sizes that come back into stock
+// are announced to their back-in-stock subscribers once the change commits.
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  runTransaction,
+  deleteField,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { createError } from './errorHandler';
+import { getStockKey, hasVariants, getVariant } from './productVariants';
+import {
+  INVENTORY_MOVEMENT_TYPES,
+  OPENING_BALANCE_REASON,
+  recordMovement,
+  getLedgerStock,
+  getLowStockThreshold
+} from './inventoryService';
+import { notifyBackInStock } from './backInStockService';
+
+/**
+ * Reservation lifecycle states
+ */
+export const RESERVATION_STATUSES = {
+  HELD: 'held',
+  CONVERTED: 'converted',
+  RELEASED: 'released',
+  EXPIRED: 'expired'
+};
+
+// How long stock is held while the customer fills in checkout
+export const CHECKOUT_HOLD_MS = 15 * 60 * 1000; // 15 minutes
+
+// How long an order's stock is held while its payment is completed
+export const PAYMENT_WINDOW_MS = 30 * 60 * 1000; // 30 minutes
+
+const getReservationRef = (reservationId) => doc(db, 'stockReservations', reservationId);
+
+/**
+ * Normalize order or cart items to { productId, size, variantId?, quantity },
+ * merging repeated product/size (or variant) lines
+ * @param {Array} items - Items with id or productId and quantity or qty
+ * @returns {Array} - Reservation items
+ */
+export const toReservationItems = (items = []) => {
+  const merged = new Map();
+
+  items.forEach(item => {
+    const productId = item.productId || item.id;
+    const size = item.size ? String(item.size) : '';
+    const quantity = Number(item.quantity ?? item.qty) || 0;
+    const key = `${productId}:${getStockKey(item)}`;
+
+    if (!productId || quantity <= 0) {
+      throw createError('VALIDATION', 'Each item needs a product and a positive quantity', { field: 'items' });
+    }
+
+    const existing = merged.get(key);
+    merged.set(key, {
+      productId,
+      size,
+      ...(item.variantId ? { variantId: item.variantId } : {}),
+      quantity: (existing?.quantity || 0) + quantity
+    });
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Check that a checkout reservation can back an order: it is still held, the
+ * customer's own, not tied to another order yet, and holds exactly the
+ * order's items. Anything else would let a small hold back a large order, or
+ * one hold back two orders.
+ * @param {Object} reservation - Reservation data (or null)
+ * @param {Object} order - { userId, items } of the order being placed
+ * @returns {boolean} - Whether the order can take the reservation over
+ */
+export const canReservationBackOrder = (reservation, { userId, items = [] }) => {
+  if (!reservation || reservation.status !== RESERVATION_STATUSES.HELD ||
+    reservation.orderId || reservation.userId !== userId) {
+    return false;
+  }
+
+  const itemKey = (item) => `${item.productId}:${getStockKey(item)}`;
+  const held = new Map(toReservationItems(reservation.items || []).map(item => [itemKey(item), item.quantity]));
+  const ordered = toReservationItems(items);
+
+  return ordered.length === held.size && ordered.every(item => held.get(itemKey(item)) === item.quantity);
+};
+
+/**
+ * Identify a reservation item in errors and notifications
+ * @param {Object} item - Reservation item
+ * @returns {Object} - { productId, size, variantId? }
+ */
+const describeItem = (item) => ({
+  productId: item.productId,
+  size: item.size,
+  ...(item.variantId ? { variantId: item.variantId } : {})
+});
+
+/**
+ * Find where a product keeps the stock for a size. Products keep a per-size
+ * (or per-variant) `stock` map; older products use a `sizes` map or a single
+ * stock number.
+ * @param {Object} product - Product data
+ * @param {string} size - Size, or variant ID for products with variants
+ * @returns {Object|null} - { path, key, quantity, shared } or null if stock is not tracked
+ */
+const getStockLevel = (product, size) => {
+  if (product.stock && typeof product.stock === 'object') {
+    return { path: `stock.${size}`, key: size, quantity: product.stock[size], shared: false };
+  }
+
+  if (product.sizes && typeof product.sizes === 'object') {
+    return { path: `sizes.${size}`, key: size, quantity: product.sizes[size], shared: false };
+  }
+
+  if (typeof product.stock === 'number') {
+    return { path: 'stock', key: '', quantity: product.stock, shared: true };
+  }
+
+  return null;
+};
+
+/**
+ * Units of a size held by unexpired reservations
+ * @param {Object} product - Product data
+ * @param {string} size - Size, or variant ID for products with variants
+ * @param {Object} options - { now, excludeId, shared }
+ * @returns {number} - Held quantity
+ */
+const getHeldQuantity = (product, size, { now = Date.now(), excludeId = null, shared = false } = {}) => {
+  return Object.entries(product.stockHolds || {}).reduce((total, [reservationId, hold]) => {
+    if (reservationId === excludeId || new Date(hold.expiresAt).getTime() <= now) {
+      return total;
+    }
+
+    const sizes = hold.sizes || {};
+    const held = shared
+      ? Object.values(sizes).reduce((sum, quantity) => sum + quantity, 0)
+      : sizes[size] || 0;
+
+    return total + held;
+  }, 0);
+};
+
+/**
+ * Units of a size that can still be bought: stock less unexpired holds
+ * @param {Object} product - Product data
+ * @param {string} size - Size, or variant ID for products with variants
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Available quantity, or null if stock is not tracked
+ */
+export const getAvailableStock = (product, size, now = Date.now()) => {
+  const level = getStockLevel(product, size);
+
+  if (!level) {
+    return null;
+  }
+
+  return Math.max(0, (Number(level.quantity) || 0) - getHeldQuantity(product, size, { now, shared: level.shared }));
+};
+
+/**
+ * Record the movement of a reservation or order item in the inventory ledger
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} item - Reservation item
+ * @param {Object} level - Stock level the item draws on
+ * @param {Object} movement - { type, quantity, balance, orderId, actor, reason }
+ */
+const recordItemMovement = (transaction, item, level, movement) => {
+  recordMovement(transaction, {
+    productId: item.productId,
+    stockKey: level.key,
+    size: item.size,
+    variantId: item.variantId,
+    ...movement
+  });
+};
+
+/**
+ * Tell back-in-stock subscribers about sizes that went from zero to positive.
+ * Runs after the stock change has committed, so a failure is only logged.
+ * @param {Array} restocked - [{ productId, stockKey }]
+ * @returns {Promise<void>}
+ */
+const announceRestocked = async (restocked) => {
+  const stockKeysByProduct = {};
+
+  restocked.forEach(({ productId, stockKey }) => {
+    stockKeysByProduct[productId] = [...(stockKeysByProduct[productId] || []), stockKey];
+  });
+
+  for (const [productId, stockKeys] of Object.entries(stockKeysByProduct)) {
+    try {
+      await notifyBackInStock(productId, stockKeys);
+    } catch (error) {
+      console.error(`Failed to send back-in-stock notifications for product ${productId}:`, error);
+    }
+  }
+};
+
+/**
+ * Read every product of a reservation inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array} items - Reservation items
+ * @returns {Promise<Object>} - Product data (or null) by product ID
+ */
+const readProducts = async (transaction, items) => {
+  const products = {};
+
+  for (const productId of new Set(items.map(item => item.productId))) {
+    const productSnap = await transaction.get(doc(db, 'products', productId));
+    products[productId] = productSnap.exists() ? productSnap.data() : null;
+  }
+
+  return products;
+};
+
+/**
+ * Hold stock for a checkout or an order. Calling it again for an existing
+ * reservation renews the hold (e.g. when payment starts); if the earlier hold
+ * lapsed, availability is checked again. Converted reservations are left as
+ * they are.
+ * @param {Object} params - Hold request
+ * @param {Array} params.items - Items to hold; defaults to the reservation's items
+ * @param {string} params.reservationId - Existing reservation to renew (optional)
+ * @param {string} params.userId - Customer ID
+ * @param {string} params.orderId - Order the stock is held for, once it exists
+ * @param {number} params.ttlMs - How long to hold the stock
+ * @returns {Promise<Object>} - { reservationId, status, expiresAt }
+ */
+export const holdStock = async ({ items = null, reservationId = null, userId = null, orderId = null, ttlMs = CHECKOUT_HOLD_MS }) => {
+  const reservationRef = reservationId
+    ? getReservationRef(reservationId)
+    : doc(collection(db, 'stockReservations'));
+  const requestedItems = items ? toReservationItems(items) : null;
+
+  return runTransaction(db, async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+    const existing = reservationSnap.exists() ? reservationSnap.data() : null;
+
+    if (existing?.status === RESERVATION_STATUSES.CONVERTED) {
+      return { reservationId: reservationRef.id, status: existing.status, expiresAt: existing.expiresAt };
+    }
+
+    const holdItems = requestedItems || existing?.items || [];
+
+    if (holdItems.length === 0) {
+      throw createError('VALIDATION', 'No items to reserve', { field: 'items' });
+    }
+
+    const products = await readProducts(transaction, [...holdItems, ...(existing?.items || [])]);
+    const now = Date.now();
+    const expiresAt = new Date(now + ttlMs).toISOString();
+    const unavailableItems = [];
+    const holds = {};
+    const sharedRequested = {};
+
+    holdItems.forEach(item => {
+      const product = products[item.productId];
+      const stockKey = getStockKey(item);
+      const itemRef = describeItem(item);
+
+      if (!product) {
+        unavailableItems.push({ ...itemRef, reason: 'Product not found' });
+        return;
+      }
+
+      const level = getStockLevel(product, stockKey);
+
+      if (level && level.quantity === undefined) {
+        unavailableItems.push({ ...itemRef, name: product.name, reason: 'Size not available' });
+        return;
+      }
+
+      if (level) {
+        // Sizes of a product with a single stock number draw on the same units
+        const alreadyRequested = level.shared ? sharedRequested[item.productId] || 0 : 0;
+        const available = (Number(level.quantity) || 0) - alreadyRequested -
+          getHeldQuantity(product, stockKey, { now, excludeId: reservationRef.id, shared: level.shared });
+
+        if (available < item.quantity) {
+          unavailableItems.push({
+            ...itemRef,
+            name: product.name,
+            requested: item.quantity,
+            available: Math.max(0, available),
+            reason: 'Insufficient stock'
+          });
+          return;
+        }
+
+        sharedRequested[item.productId] = alreadyRequested + item.quantity;
+      }
+
+      holds[item.productId] = { ...holds[item.productId], [stockKey]: item.quantity };
+    });
+
+    if (unavailableItems.length > 0) {
+      throw createError('VALIDATION', 'Some items are not available', { unavailableItems });
+    }
+
+    Object.keys(products)
+      .filter(productId => products[productId])
+      .forEach(productId => {
+        // Products dropped from a renewed reservation lose their hold
+        transaction.update(doc(db, 'products', productId), {
+          [`stockHolds.${reservationRef.id}`]: holds[productId] ? { sizes: holds[productId], expiresAt } : deleteField()
+        });
+      });
+
+    transaction.set(reservationRef, {
+      userId: existing?.userId || userId || null,
+      orderId: orderId || existing?.orderId || null,
+      items: holdItems,
+      status: RESERVATION_STATUSES.HELD,
+      expiresAt,
+      createdAt: existing?.createdAt || serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+
+    return { reservationId: reservationRef.id, status: RESERVATION_STATUSES.HELD, expiresAt };
+  });
+};
+
+/**
+ * Take the reserved stock once an order is paid (or confirmed without online
+ * payment). A payment that arrives after the hold lapsed still takes the
+ * stock; shortfalls are reported as oversold.
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} options - Options
+ * @param {string} options.actor - User who confirmed the order (optional)
+ * @returns {Promise<Object>} - { converted, status, oversold, lowStockItems }
+ */
+export const convertReservation = async (reservationId, { actor = null } = {}) => {
+  const reservationRef = getReservationRef(reservationId);
+
+  return runTransaction(db, async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+
+    if (!reservationSnap.exists()) {
+      throw createError('NOT_FOUND', `Stock reservation ${reservationId} not found`);
+    }
+
+    const reservation = reservationSnap.data();
+
+    if (reservation.status === RESERVATION_STATUSES.CONVERTED) {
+      return { converted: false, status: reservation.status, oversold: [], lowStockItems: [] };
+    }
+
+    const products = await readProducts(transaction, reservation.items);
+    const updates = {};
+    const oversold = [];
+    const lowStockItems = [];
+
+    reservation.items.forEach(item => {
+      const product = products[item.productId];
+      const level = product && getStockLevel(product, getStockKey(item));
+      const itemRef = describeItem(item);
+
+      if (!level) {
+        return;
+      }
+
+      const productUpdates = updates[item.productId] || { [`stockHolds.${reservationId}`]: deleteField() };
+      const current = productUpdates[level.path] ?? (Number(level.quantity) || 0);
+      const remaining = current - item.quantity;
+
+      if (remaining < 0) {
+        oversold.push({ ...itemRef, shortBy: -remaining });
+      }
+
+      // Alert once, when a sale takes the stock down to its threshold
+      const threshold = getLowStockThreshold(product, level.key);
+
+      if (current > threshold && remaining <= threshold) {
+        lowStockItems.push({ ...itemRef, name: product.name, remaining: Math.max(0, remaining), threshold });
+      }
+
+      productUpdates[level.path] = Math.max(0, remaining);
+      updates[item.productId] = productUpdates;
+
+      if (productUpdates[level.path] !== current) {
+        recordItemMovement(transaction, item, level, {
+          type: INVENTORY_MOVEMENT_TYPES.SALE,
+          quantity: productUpdates[level.path] - current,
+          balance: productUpdates[level.path],
+          orderId: reservation.orderId,
+          actor
+        });
+      }
+    });
+
+    Object.entries(updates).forEach(([productId, productUpdates]) => {
+      transaction.update(doc(db, 'products', productId), { ...productUpdates, updatedAt: serverTimestamp() });
+    });
+
+    if (lowStockItems.length > 0) {
+      transaction.set(doc(collection(db, 'adminNotifications')), {
+        type: 'low_stock',
+        title: 'Low Stock Alert',
+        message: `${lowStockItems.length} item(s) are running low on stock`,
+        items: lowStockItems,
+        orderId: reservation.orderId || null,
+        createdAt: serverTimestamp(),
+        read: false
+      });
+    }
+
+    transaction.update(reservationRef, {
+      status: RESERVATION_STATUSES.CONVERTED,
+      convertedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      ...(oversold.length > 0 ? { oversold } : {})
+    });
+
+    if (oversold.length > 0) {
+      console.warn(`Stock reservation ${reservationId} oversold:`, oversold);
+    }
+
+    return { converted: true, status: RESERVATION_STATUSES.CONVERTED, oversold, lowStockItems };
+  });
+};
+
+/**
+ * Drop a hold without taking stock
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} options - Options
+ * @param {string} options.status - RELEASED (default) or EXPIRED
+ * @param {boolean} options.onlyIfExpired - Leave the hold alone if it was renewed meanwhile
+ * @returns {Promise<Object>} - { released, status }
+ */
+export const releaseReservation = async (reservationId, { status = RESERVATION_STATUSES.RELEASED, onlyIfExpired = false } = {}) => {
+  const reservationRef = getReservationRef(reservationId);
+
+  return runTransaction(db, async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+
+    if (!reservationSnap.exists()) {
+      return { released: false, status: null };
+    }
+
+    const reservation = reservationSnap.data();
+
+    if (reservation.status !== RESERVATION_STATUSES.HELD ||
+        (onlyIfExpired && new Date(reservation.expiresAt).getTime() > Date.now())) {
+      return { released: false, status: reservation.status };
+    }
+
+    const products = await readProducts(transaction, reservation.items);
+
+    Object.keys(products)
+      .filter(productId => products[productId])
+      .forEach(productId => {
+        transaction.update(doc(db, 'products', productId), {
+          [`stockHolds.${reservationId}`]: deleteField()
+        });
+      });
+
+    transaction.update(reservationRef, {
+      status,
+      releasedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+
+    return { released: true, status };
+  });
+};
+
+/**
+ * Put units back into stock (cancelled after payment, returned, refunded)
+ * @param {Array} items - Items with product, size and quantity
+ * @param {Object} movement - How the units are recorded in the inventory ledger
+ * @param {string} movement.type - CANCEL, RETURN or RESTOCK (default)
+ * @param {string} movement.orderId - Order the units came back from (optional)
+ * @param {string} movement.actor - User who put the units back (optional)
+ * @param {string} movement.reason - Why (optional)
+ * @returns {Promise<void>}
+ */
+export const restockItems = async (items, {
+  type = INVENTORY_MOVEMENT_TYPES.RESTOCK,
+  orderId = null,
+  actor = null,
+  reason = null
+} = {}) => {
+  const restocked = [];
+
+  for (const item of toReservationItems(items)) {
+    const productRef = doc(db, 'products', item.productId);
+
+    const backInStock = await runTransaction(db, async (transaction) => {
+      const productSnap = await transaction.get(productRef);
+
+      if (!productSnap.exists()) {
+        return null;
+      }
+
+      const level = getStockLevel(productSnap.data(), getStockKey(item));
+
+      if (!level || level.quantity === undefined) {
+        return null;
+      }
+
+      const current = Number(level.quantity) || 0;
+      const balance = current + item.quantity;
+
+      transaction.update(productRef, {
+        [level.path]: balance,
+        updatedAt: serverTimestamp()
+      });
+      recordItemMovement(transaction, item, level, { type, quantity: item.quantity, balance, orderId, actor, reason });
+
+      return current <= 0 && balance > 0 ? { productId: item.productId, stockKey: level.key } : null;
+    });
+
+    if (backInStock) {
+      restocked.push(backInStock);
+    }
+  }
+
+  await announceRestocked(restocked);
+};
+
+/**
+ * Change stock by hand: a delivery (RESTOCK) or a correction such as a
+ * stocktake or damaged goods (ADJUSTMENT). Every change is recorded in the
+ * inventory ledger with the admin's reason.
+ * @param {Object} params - Adjustment
+ * @param {string} params.productId - Product ID
+ * @param {Array} params.changes - [{ size, variantId, quantity }] with the signed change per size or variant
+ * @param {string} params.type - ADJUSTMENT (default) or RESTOCK
+ * @param {string} params.reason - Why the stock changed
+ * @param {string} params.actor - Admin user ID
+ * @returns {Promise<Object>} - New stock levels by stock key
+ */
+export const adjustStock = async ({
+  productId,
+  changes = [],
+  type = INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+  reason,
+  actor = null
+}) => {
+  if (![INVENTORY_MOVEMENT_TYPES.ADJUSTMENT, INVENTORY_MOVEMENT_TYPES.RESTOCK].includes(type)) {
+    throw createError('VALIDATION', `Stock cannot be adjusted by hand as ${type}`, { field: 'type' });
+  }
+
+  if (!reason || !reason.trim()) {
+    throw createError('VALIDATION', 'A reason is required to change stock', { field: 'reason' });
+  }
+
+  const adjustments = changes.filter(change => Number(change.quantity) !== 0);
+
+  adjustments.forEach(change => {
+    if (!Number.isInteger(Number(change.quantity))) {
+      throw createError('VALIDATION', 'Stock changes must be whole numbers', { field: 'quantity' });
+    }
+
+    if (type === INVENTORY_MOVEMENT_TYPES.RESTOCK && Number(change.quantity) < 0) {
+      throw createError('VALIDATION', 'A restock must add stock', { field: 'quantity' });
+    }
+  });
+
+  if (adjustments.length === 0) {
+    return {};
+  }
+
+  const productRef = doc(db, 'products', productId);
+  let restocked = [];
+
+  const stockLevels = await runTransaction(db, async (transaction) => {
+    const productSnap = await transaction.get(productRef);
+
+    if (!productSnap.exists()) {
+      throw createError('NOT_FOUND', `Product ${productId} not found`);
+    }
+
+    const product = productSnap.data();
+    const updates = {};
+    const levels = {};
+    const opening = {};
+
+    adjustments.forEach(change => {
+      const stockKey = getStockKey(change);
+      // Products that don't track stock yet start a per-size stock map
+      const level = getStockLevel(product, stockKey) || { path: `stock.${stockKey}`, key: stockKey, quantity: 0, shared: false };
+      const current = updates[level.path] ?? (Number(level.quantity) || 0);
+      const balance = current + Number(change.quantity);
+
+      opening[level.key] = opening[level.key] ?? current;
+
+      if (balance < 0) {
+        throw createError('VALIDATION', `Stock of ${stockKey || product.name} cannot go below 0`, {
+          field: 'quantity',
+          stockKey,
+          available: current
+        });
+      }
+
+      updates[level.path] = balance;
+      levels[level.key] = balance;
+      recordItemMovement(transaction, { productId, size: change.size, variantId: change.variantId }, level, {
+        type,
+        quantity: Number(change.quantity),
+        balance,
+        actor,
+        reason: reason.trim()
+      });
+    });
+
+    transaction.update(productRef, { ...updates, updatedAt: serverTimestamp() });
+    restocked = Object.keys(levels)
+      .filter(stockKey => opening[stockKey] <= 0 && levels[stockKey] > 0)
+      .map(stockKey => ({ productId, stockKey }));
+
+    return levels;
+  });
+
+  await announceRestocked(restocked);
+
+  return stockLevels;
+};
+
+/**
+ * Book in the units received against a purchase order. The stock of every
+ * item goes up, each is recorded as a restock, and the receipt is stored in
+ * `purchaseOrderReceipts`, all in one transaction.
+ * @param {Object} params - Receipt
+ * @param {string} params.reference - Purchase order number
+ * @param {string} params.supplier - Supplier (optional)
+ * @param {Array} params.items - [{ productId, size, variantId, quantity }] received
+ * @param {string} params.note - Note (optional)
+ * @param {string} params.actor - Admin user ID
+ * @returns {Promise<Object>} - { receiptId, items } with each item's new balance
+ */
+export const receiveStock = async ({ reference, supplier = '', items = [], note = '', actor = null }) => {
+  if (!reference || !reference.trim()) {
+    throw createError('VALIDATION', 'Purchase order reference is required', { field: 'reference' });
+  }
+
+  const receivedItems = toReservationItems(items);
+
+  if (receivedItems.length === 0) {
+    throw createError('VALIDATION', 'A receipt needs at least one item', { field: 'items' });
+  }
+
+  if (receivedItems.some(item => !Number.isInteger(item.quantity))) {
+    throw createError('VALIDATION', 'Received quantities must be whole numbers', { field: 'items' });
+  }
+
+  const receiptRef = doc(collection(db, 'purchaseOrderReceipts'));
+  const reason = `Purchase order ${reference.trim()}${supplier.trim() ? ` from ${supplier.trim()}` : ''}`;
+
+  let restocked = [];
+
+  const receipt = await runTransaction(db, async (transaction) => {
+    const products = await readProducts(transaction, receivedItems);
+    const updates = {};
+    const balances = [];
+
+    restocked = [];
+
+    receivedItems.forEach(item => {
+      const product = products[item.productId];
+      const stockKey = getStockKey(item);
+
+      if (!product) {
+        throw createError('NOT_FOUND', `Product ${item.productId} not found`, describeItem(item));
+      }
+
+      if (hasVariants(product) && !getVariant(product, item.variantId)) {
+        throw createError('VALIDATION', `${product.name || item.productId} has no variant ${stockKey}`, describeItem(item));
+      }
+
+      const level = getStockLevel(product, stockKey) || { path: `stock.${stockKey}`, key: stockKey, quantity: 0, shared: false };
+      const productUpdates = updates[item.productId] || {};
+      const current = productUpdates[level.path] ?? (Number(level.quantity) || 0);
+      const balance = current + item.quantity;
+
+      if (current <= 0 && balance > 0) {
+        restocked.push({ productId: item.productId, stockKey: level.key });
+      }
+
+      productUpdates[level.path] = balance;
+      updates[item.productId] = productUpdates;
+      balances.push({ ...item, balance });
+      recordItemMovement(transaction, item, level, {
+        type: INVENTORY_MOVEMENT_TYPES.RESTOCK,
+        quantity: item.quantity,
+        balance,
+        actor,
+        reason,
+        receiptId: receiptRef.id
+      });
+    });
+
+    Object.entries(updates).forEach(([productId, productUpdates]) => {
+      transaction.update(doc(db, 'products', productId), { ...productUpdates, updatedAt: serverTimestamp() });
+    });
+
+    transaction.set(receiptRef, {
+      reference: reference.trim(),
+      supplier: supplier.trim() || null,
+      items: receivedItems,
+      note: note.trim() || null,
+      receivedBy: actor || null,
+      createdAt: serverTimestamp()
+    });
+
+    return { receiptId: receiptRef.id, items: balances };
+  });
+
+  await announceRestocked(restocked);
+
+  return receipt;
+};
+
+/**
+ * Start the ledger of stock that predates it: for every size or variant
+ * whose stock differs from the sum of its movements, record the difference
+ * as an opening balance. Stock itself is not changed.
+ * @param {string} productId - Product ID
+ * @param {Object} options - Options
+ * @param {string} options.actor - Admin user ID
+ * @returns {Promise<Object>} - Recorded differences by stock key
+ */
+export const reconcileStock = async (productId, { actor = null } = {}) => {
+  const ledger = await getLedgerStock(productId);
+  const productRef = doc(db, 'products', productId);
+
+  return runTransaction(db, async (transaction) => {
+    const productSnap = await transaction.get(productRef);
+
+    if (!productSnap.exists()) {
+      throw createError('NOT_FOUND', `Product ${productId} not found`);
+    }
+
+    const product = productSnap.data();
+    const stockMap = typeof product.stock === 'number'
+      ? { '': product.stock }
+      : (product.stock && typeof product.stock === 'object' ? product.stock : product.sizes || {});
+    const differences = {};
+
+    Object.entries(stockMap).forEach(([stockKey, quantity]) => {
+      const balance = Number(quantity) || 0;
+      const difference = balance - (ledger[stockKey] || 0);
+
+      if (difference !== 0) {
+        differences[stockKey] = difference;
+        recordMovement(transaction, {
+          productId,
+          stockKey,
+          type: INVENTORY_MOVEMENT_TYPES.ADJUSTMENT,
+          quantity: difference,
+          balance,
+          actor,
+          reason: OPENING_BALANCE_REASON
+        });
+      }
+    });
+
+    return differences;
+  });
+};
+
+/**
+ * Get a stock reservation
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<Object|null>} - Reservation or null if not found
+ */
+export const getReservation = async (reservationId) => {
+  const reservationSnap = await getDoc(getReservationRef(reservationId));
+  return reservationSnap.exists() ? { id: reservationSnap.id, ...reservationSnap.data() } : null;
+};
+
+/**
+ * Get the stock reservation of an order
+ * @param {Object} order - Order data with id and optional stockReservationId
+ * @returns {Promise<Object|null>} - Reservation or null if the order has none
+ */
+export const getOrderReservation = async (order) => {
+  if (order.stockReservationId) {
+    return getReservation(order.stockReservationId);
+  }
+
+  if (!order.id) {
+    return null;
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'stockReservations'),
+    where('orderId', '==', order.id),
+    limit(1)
+  ));
+
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+/**
+ * Hold an order's stock for its payment window, reusing the checkout
+ * reservation when there is one
+ * @param {Object} order - Order data with id and items
+ * @returns {Promise<Object>} - { reservationId, status, expiresAt }
+ */
+export const holdOrderStock = async (order) => {
+  const reservation = await getOrderReservation(order);
+
+  return holdStock({
+    reservationId: reservation?.id || null,
+    items: reservation ? null : order.items,
+    userId: order.userId || null,
+    orderId: order.id,
+    ttlMs: PAYMENT_WINDOW_MS
+  });
+};
+
+/**
+ * Take an order's reserved stock once it is paid
+ * @param {Object} order - Order data with id
+ * @param {Object} options - { actor } who confirmed the order (optional)
+ * @returns {Promise<Object>} - Conversion result; orders from before
+ *   reservations took their stock when placed and are left alone
+ */
+export const convertOrderStock = async (order, { actor = null } = {}) => {
+  const reservation = await getOrderReservation(order);
+
+  if (!reservation) {
+    return { converted: false, status: null, oversold: [], lowStockItems: [] };
+  }
+
+  return convertReservation(reservation.id, { actor });
+};
+
+/**
+ * Give back an order's stock when it is cancelled: a held reservation is
+ * released, stock already taken is restocked
+ * @param {Object} order - Order data with id and items
+ * @param {Object} options - { actor } who cancelled the order (optional)
+ * @returns {Promise<Object>} - { released, restocked }
+ */
+export const releaseOrderStock = async (order, { actor = null } = {}) => {
+  const reservation = await getOrderReservation(order);
+  const movement = { type: INVENTORY_MOVEMENT_TYPES.CANCEL, orderId: order.id || null, actor };
+
+  if (!reservation) {
+    // Orders from before reservations took their stock when placed
+    await restockItems(order.items || [], movement);
+    return { released: false, restocked: true };
+  }
+
+  if (reservation.status === RESERVATION_STATUSES.HELD) {
+    const result = await releaseReservation(reservation.id);
+    return { released: result.released, restocked: false };
+  }
+
+  if (reservation.status === RESERVATION_STATUSES.CONVERTED) {
+    await restockItems(reservation.items, movement);
+    return { released: false, restocked: true };
+  }
+
+  return { released: false, restocked: false };
+};
+
+/**
+ * Get the reservations still held after their hold expired
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Expired reservations
+ */
+export const getExpiredReservations = async (now = new Date()) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'stockReservations'),
+    where('status', '==', RESERVATION_STATUSES.HELD),
+    where('expiresAt', '<', now.toISOString())
+  ));
+
+  return snapshot.docs.map(reservationDoc => ({ id: reservationDoc.id, ...reservationDoc.data() }));
+};
+
+/**
+ * Release every hold that has expired
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reservations released
+ */
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const reservations = await getExpiredReservations(now);
+  let released = 0;
+
+  for (const reservation of reservations) {
+    const result = await releaseReservation(reservation.id, {
+      status: RESERVATION_STATUSES.EXPIRED,
+      onlyIfExpired: true
+    });
+
+    if (result.released) {
+      released++;
+    }
+  }
+
+  return released;
+};
+
+export default {
+  RESERVATION_STATUSES,
+  CHECKOUT_HOLD_MS,
+  PAYMENT_WINDOW_MS,
+  toReservationItems,
+  getAvailableStock,
+  holdStock,
+  convertReservation,
+  releaseReservation,
+  restockItems,
+  adjustStock,
+  receiveStock,
+  reconcileStock,
+  getReservation,
+  getOrderReservation,
+  holdOrderStock,
+  convertOrderStock,
+  releaseOrderStock,
+  getExpiredReservations,
+  releaseExpiredReservations
+};